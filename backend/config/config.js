@@ -58,6 +58,82 @@ const config = {
     },
   },
 
+  // Shipping labels and tracking (mock, easypost or shippo)
+  shipping: {
+    provider: (process.env.SHIPPING_PROVIDER || 'mock').toLowerCase(),
+    timeoutMs: parseInt(process.env.SHIPPING_PROVIDER_TIMEOUT_MS, 10) || 10000,
+    labelFormat: (process.env.SHIPPING_LABEL_FORMAT || 'PDF').toUpperCase(),
+    customsSigner: process.env.SHIPPING_CUSTOMS_SIGNER || 'Vinyl Catalog Shipping',
+    easypost: {
+      apiKey: process.env.EASYPOST_API_KEY,
+      baseURL: process.env.EASYPOST_API_URL || 'https://api.easypost.com/v2',
+      webhookSecret: process.env.EASYPOST_WEBHOOK_SECRET,
+    },
+    shippo: {
+      apiKey: process.env.SHIPPO_API_KEY,
+      baseURL: process.env.SHIPPO_API_URL || 'https://api.goshippo.com',
+      webhookSecret: process.env.SHIPPO_WEBHOOK_SECRET,
+    },
+    // Shared secret for carriers posting the generic X-Carrier-Signature format
+    webhookSecret: process.env.CARRIER_WEBHOOK_SECRET,
+    webhookToleranceSeconds: parseInt(process.env.CARRIER_WEBHOOK_TOLERANCE_SECONDS, 10) || 300,
+    // Opt-in for local carriers and the simulator; ignored in production
+    allowUnsignedWebhooks: process.env.CARRIER_WEBHOOK_ALLOW_UNSIGNED === 'true',
+    // Dimensional weight = ceil(L x W x H / divisor) lb for parcels above the minimum volume
+    // (USPS: 166 over one cubic foot; UPS/FedEx: 139 with no minimum)
+    dimDivisor: parseInt(process.env.SHIPPING_DIM_DIVISOR, 10) || 166,
+    dimMinCubicInches: process.env.SHIPPING_DIM_MIN_CUBIC_INCHES ? parseInt(process.env.SHIPPING_DIM_MIN_CUBIC_INCHES, 10) : 1728,
+  },
+
+  // Notifications (outbox + delivery channels)
+  notifications: {
+    enabled: process.env.NOTIFICATIONS_ENABLED !== 'false',
+    channels: (process.env.NOTIFICATION_CHANNELS || 'EMAIL,IN_APP').split(',').map((c) => c.trim().toUpperCase()),
+    adminEmails: process.env.NOTIFICATION_ADMIN_EMAILS ? process.env.NOTIFICATION_ADMIN_EMAILS.split(',').map((e) => e.trim()) : [],
+    maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5,
+    retryBaseDelaySeconds: parseInt(process.env.NOTIFICATION_RETRY_BASE_DELAY_SECONDS, 10) || 60,
+    batchSize: parseInt(process.env.NOTIFICATION_BATCH_SIZE, 10) || 50,
+    email: {
+      // smtp: real server or local sink (MailHog, smtp4dev); file: write messages to outputDir
+      transport: process.env.EMAIL_TRANSPORT || 'file',
+      from: process.env.EMAIL_FROM || 'Vinyl Catalog <no-reply@vinylcatalog.com>',
+      outputDir: process.env.EMAIL_OUTPUT_DIR || 'logs/mail',
+      smtp: {
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD,
+      },
+    },
+    webhook: {
+      urls: process.env.NOTIFICATION_WEBHOOK_URLS ? process.env.NOTIFICATION_WEBHOOK_URLS.split(',').map((u) => u.trim()) : [],
+      secret: process.env.NOTIFICATION_WEBHOOK_SECRET,
+      timeoutMs: parseInt(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS, 10) || 5000,
+    },
+  },
+
+  // Automatic markdowns (nightly job applying the SELLER policy's markdown schedule)
+  markdowns: {
+    enabled: process.env.MARKDOWNS_ENABLED !== 'false',
+    schedule: process.env.MARKDOWN_CRON || '0 3 * * *',
+  },
+
+  // Scheduled pricing policies (activates/expires versions with effective windows)
+  policySchedules: {
+    enabled: process.env.POLICY_SCHEDULES_ENABLED !== 'false',
+    schedule: process.env.POLICY_SCHEDULE_CRON || '*/5 * * * *',
+  },
+
+  // Market snapshot refresh (re-fetches Discogs/eBay prices for active releases)
+  marketRefresh: {
+    enabled: process.env.MARKET_REFRESH_ENABLED !== 'false',
+    schedule: process.env.MARKET_REFRESH_CRON || '0 */6 * * *',
+    batchSize: parseInt(process.env.MARKET_REFRESH_BATCH_SIZE, 10) || 50,
+    staleAfterHours: parseInt(process.env.MARKET_REFRESH_STALE_HOURS, 10) || 24,
+    sources: (process.env.MARKET_REFRESH_SOURCES || 'DISCOGS,EBAY').split(',').map((s) => s.trim().toUpperCase()),
+  },
+
   // Feature Flags
   features: {
     pricingEngine: process.env.FEATURE_PRICING_ENGINE === 'true',
@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE "wishlist_items" (
+    "id" UUID NOT NULL,
+    "user_id" UUID,
+    "session_id" VARCHAR(255),
+    "notify_email" VARCHAR(255),
+    "inventory_lot_id" UUID NOT NULL,
+    "release_id" UUID NOT NULL,
+    "price_at_add" DECIMAL(10,2) NOT NULL,
+    "last_notified_price" DECIMAL(10,2),
+    "price_drop_alerts" BOOLEAN NOT NULL DEFAULT true,
+    "back_in_stock_alerts" BOOLEAN NOT NULL DEFAULT true,
+    "last_alerted_at" TIMESTAMPTZ,
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT "wishlist_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "wishlist_items_user_id_inventory_lot_id_key" ON "wishlist_items"("user_id", "inventory_lot_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "wishlist_items_session_id_inventory_lot_id_key" ON "wishlist_items"("session_id", "inventory_lot_id");
+
+-- CreateIndex
+CREATE INDEX "wishlist_items_inventory_lot_id_idx" ON "wishlist_items"("inventory_lot_id");
+
+-- CreateIndex
+CREATE INDEX "wishlist_items_release_id_back_in_stock_alerts_idx" ON "wishlist_items"("release_id", "back_in_stock_alerts");
+
+-- AddForeignKey
+ALTER TABLE "wishlist_items" ADD CONSTRAINT "wishlist_items_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "admin_users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "wishlist_items" ADD CONSTRAINT "wishlist_items_inventory_lot_id_fkey" FOREIGN KEY ("inventory_lot_id") REFERENCES "inventory_lots"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "wishlist_items" ADD CONSTRAINT "wishlist_items_release_id_fkey" FOREIGN KEY ("release_id") REFERENCES "releases"("id") ON DELETE CASCADE ON UPDATE CASCADE;
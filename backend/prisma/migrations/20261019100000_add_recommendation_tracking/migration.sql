@@ -0,0 +1,43 @@
+-- CreateTable
+CREATE TABLE "recommendation_impressions" (
+    "id" UUID NOT NULL,
+    "tracking_id" VARCHAR(100) NOT NULL,
+    "variant" VARCHAR(50) NOT NULL,
+    "algorithm" VARCHAR(100),
+    "source_release_id" UUID,
+    "item_ids" JSONB NOT NULL,
+    "buyer_id" VARCHAR(255),
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "recommendation_impressions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "recommendation_clicks" (
+    "id" UUID NOT NULL,
+    "tracking_id" VARCHAR(100) NOT NULL,
+    "variant" VARCHAR(50) NOT NULL,
+    "inventory_lot_id" UUID NOT NULL,
+    "buyer_id" VARCHAR(255),
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "recommendation_clicks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "recommendation_impressions_tracking_id_idx" ON "recommendation_impressions"("tracking_id");
+
+-- CreateIndex
+CREATE INDEX "recommendation_impressions_variant_created_at_idx" ON "recommendation_impressions"("variant", "created_at" DESC);
+
+-- CreateIndex
+CREATE INDEX "recommendation_clicks_inventory_lot_id_idx" ON "recommendation_clicks"("inventory_lot_id");
+
+-- CreateIndex
+CREATE INDEX "recommendation_clicks_tracking_id_idx" ON "recommendation_clicks"("tracking_id");
+
+-- CreateIndex
+CREATE INDEX "recommendation_clicks_variant_created_at_idx" ON "recommendation_clicks"("variant", "created_at" DESC);
+
+-- AddForeignKey
+ALTER TABLE "recommendation_clicks" ADD CONSTRAINT "recommendation_clicks_inventory_lot_id_fkey" FOREIGN KEY ("inventory_lot_id") REFERENCES "inventory_lots"("id") ON DELETE CASCADE ON UPDATE CASCADE;
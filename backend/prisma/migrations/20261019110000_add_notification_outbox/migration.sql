@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "NotificationChannel" AS ENUM ('EMAIL', 'WEBHOOK', 'IN_APP');
+
+-- CreateEnum
+CREATE TYPE "NotificationStatus" AS ENUM ('PENDING', 'SENT', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "notification_outbox" (
+    "id" UUID NOT NULL,
+    "channel" "NotificationChannel" NOT NULL,
+    "event_type" VARCHAR(100) NOT NULL,
+    "recipient" VARCHAR(500) NOT NULL,
+    "subject" VARCHAR(500),
+    "body" TEXT,
+    "payload" JSONB NOT NULL,
+    "status" "NotificationStatus" NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "max_attempts" INTEGER NOT NULL DEFAULT 5,
+    "next_attempt_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_error" TEXT,
+    "sent_at" TIMESTAMPTZ,
+    "read_at" TIMESTAMPTZ,
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT "notification_outbox_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "notification_outbox_status_next_attempt_at_idx" ON "notification_outbox"("status", "next_attempt_at");
+
+-- CreateIndex
+CREATE INDEX "notification_outbox_channel_recipient_created_at_idx" ON "notification_outbox"("channel", "recipient", "created_at" DESC);
+
+-- CreateIndex
+CREATE INDEX "notification_outbox_event_type_idx" ON "notification_outbox"("event_type");
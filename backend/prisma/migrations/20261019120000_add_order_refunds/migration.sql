@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN     "refund_id" UUID,
+ADD COLUMN     "refunded_at" TIMESTAMPTZ;
+
+-- CreateTable
+CREATE TABLE "order_refunds" (
+    "id" UUID NOT NULL,
+    "order_id" UUID NOT NULL,
+    "stripe_refund_id" VARCHAR(255),
+    "amount" DECIMAL(10,2) NOT NULL,
+    "status" VARCHAR(50) NOT NULL,
+    "reason" VARCHAR(255),
+    "is_full_refund" BOOLEAN NOT NULL DEFAULT false,
+    "created_by" UUID,
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT "order_refunds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "order_items_refund_id_idx" ON "order_items"("refund_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "order_refunds_stripe_refund_id_key" ON "order_refunds"("stripe_refund_id");
+
+-- CreateIndex
+CREATE INDEX "order_refunds_order_id_created_at_idx" ON "order_refunds"("order_id", "created_at" DESC);
+
+-- AddForeignKey
+ALTER TABLE "order_items" ADD CONSTRAINT "order_items_refund_id_fkey" FOREIGN KEY ("refund_id") REFERENCES "order_refunds"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "order_refunds" ADD CONSTRAINT "order_refunds_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
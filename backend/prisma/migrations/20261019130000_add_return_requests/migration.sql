@@ -0,0 +1,81 @@
+-- CreateEnum
+CREATE TYPE "ReturnDisposition" AS ENUM ('RELIST', 'WRITE_OFF');
+
+-- CreateEnum
+CREATE TYPE "ReturnReason" AS ENUM ('NOT_AS_DESCRIBED', 'DAMAGED_IN_TRANSIT', 'WRONG_ITEM', 'DEFECTIVE', 'OTHER');
+
+-- CreateEnum
+CREATE TYPE "ReturnStatus" AS ENUM ('REQUESTED', 'APPROVED', 'DENIED', 'RECEIVED', 'COMPLETED');
+
+-- CreateTable
+CREATE TABLE "return_requests" (
+    "id" UUID NOT NULL,
+    "rma_number" VARCHAR(50) NOT NULL,
+    "order_id" UUID NOT NULL,
+    "buyer_email" VARCHAR(255) NOT NULL,
+    "status" "ReturnStatus" NOT NULL DEFAULT 'REQUESTED',
+    "reason" "ReturnReason" NOT NULL,
+    "reason_details" TEXT,
+    "photo_urls" JSONB,
+    "admin_notes" TEXT,
+    "reviewed_by" UUID,
+    "reviewed_at" TIMESTAMPTZ,
+    "label_url" VARCHAR(500),
+    "tracking_number" VARCHAR(255),
+    "carrier" "ShippingCarrier",
+    "received_by" UUID,
+    "received_at" TIMESTAMPTZ,
+    "refund_id" UUID,
+    "completed_at" TIMESTAMPTZ,
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT "return_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "return_items" (
+    "id" UUID NOT NULL,
+    "return_id" UUID NOT NULL,
+    "order_item_id" UUID NOT NULL,
+    "inventory_lot_id" UUID NOT NULL,
+    "received_condition_media" "VinylCondition",
+    "received_condition_sleeve" "VinylCondition",
+    "disposition" "ReturnDisposition",
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "return_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "return_requests_rma_number_key" ON "return_requests"("rma_number");
+
+-- CreateIndex
+CREATE INDEX "return_requests_order_id_idx" ON "return_requests"("order_id");
+
+-- CreateIndex
+CREATE INDEX "return_requests_buyer_email_idx" ON "return_requests"("buyer_email");
+
+-- CreateIndex
+CREATE INDEX "return_requests_status_created_at_idx" ON "return_requests"("status", "created_at" DESC);
+
+-- CreateIndex
+CREATE INDEX "return_items_return_id_idx" ON "return_items"("return_id");
+
+-- CreateIndex
+CREATE INDEX "return_items_order_item_id_idx" ON "return_items"("order_item_id");
+
+-- AddForeignKey
+ALTER TABLE "return_requests" ADD CONSTRAINT "return_requests_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_requests" ADD CONSTRAINT "return_requests_refund_id_fkey" FOREIGN KEY ("refund_id") REFERENCES "order_refunds"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_items" ADD CONSTRAINT "return_items_return_id_fkey" FOREIGN KEY ("return_id") REFERENCES "return_requests"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_items" ADD CONSTRAINT "return_items_order_item_id_fkey" FOREIGN KEY ("order_item_id") REFERENCES "order_items"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_items" ADD CONSTRAINT "return_items_inventory_lot_id_fkey" FOREIGN KEY ("inventory_lot_id") REFERENCES "inventory_lots"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
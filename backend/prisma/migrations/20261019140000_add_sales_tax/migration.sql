@@ -0,0 +1,56 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "tax_breakdown" JSONB;
+
+-- CreateTable
+CREATE TABLE "tax_jurisdictions" (
+    "id" UUID NOT NULL,
+    "state" VARCHAR(2) NOT NULL,
+    "name" VARCHAR(100),
+    "state_rate" DECIMAL(6,5) NOT NULL,
+    "shipping_taxable" BOOLEAN NOT NULL DEFAULT false,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT "tax_jurisdictions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "tax_zip_rates" (
+    "id" UUID NOT NULL,
+    "zip_code" VARCHAR(5) NOT NULL,
+    "state" VARCHAR(2) NOT NULL,
+    "region_name" VARCHAR(100),
+    "local_rate" DECIMAL(6,5) NOT NULL,
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT "tax_zip_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "tax_exemptions" (
+    "id" UUID NOT NULL,
+    "buyer_email" VARCHAR(255) NOT NULL,
+    "certificate_number" VARCHAR(100) NOT NULL,
+    "exempt_states" TEXT[],
+    "expires_at" TIMESTAMPTZ,
+    "notes" TEXT,
+    "created_by" UUID,
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT "tax_exemptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tax_jurisdictions_state_key" ON "tax_jurisdictions"("state");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tax_zip_rates_zip_code_key" ON "tax_zip_rates"("zip_code");
+
+-- CreateIndex
+CREATE INDEX "tax_zip_rates_state_idx" ON "tax_zip_rates"("state");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tax_exemptions_buyer_email_key" ON "tax_exemptions"("buyer_email");
@@ -0,0 +1,71 @@
+-- CreateEnum
+CREATE TYPE "PromotionType" AS ENUM ('PERCENT_OFF', 'FIXED_OFF', 'FREE_SHIPPING');
+
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN     "discount_amount" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "discount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "discount_breakdown" JSONB,
+ADD COLUMN     "promotion_id" UUID;
+
+-- CreateTable
+CREATE TABLE "promotions" (
+    "id" UUID NOT NULL,
+    "code" VARCHAR(50) NOT NULL,
+    "description" TEXT,
+    "type" "PromotionType" NOT NULL,
+    "value" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "genres" TEXT[],
+    "labels" TEXT[],
+    "min_subtotal" DECIMAL(10,2),
+    "max_redemptions" INTEGER,
+    "max_redemptions_per_buyer" INTEGER,
+    "starts_at" TIMESTAMPTZ,
+    "expires_at" TIMESTAMPTZ,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_by" UUID,
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT "promotions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "promotion_redemptions" (
+    "id" UUID NOT NULL,
+    "promotion_id" UUID NOT NULL,
+    "order_id" UUID NOT NULL,
+    "buyer_email" VARCHAR(255) NOT NULL,
+    "discount_amount" DECIMAL(10,2) NOT NULL,
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "promotion_redemptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promotions_code_key" ON "promotions"("code");
+
+-- CreateIndex
+CREATE INDEX "promotions_is_active_expires_at_idx" ON "promotions"("is_active", "expires_at");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promotion_redemptions_promotion_id_order_id_key" ON "promotion_redemptions"("promotion_id", "order_id");
+
+-- CreateIndex
+CREATE INDEX "promotion_redemptions_promotion_id_buyer_email_idx" ON "promotion_redemptions"("promotion_id", "buyer_email");
+
+-- CreateIndex
+CREATE INDEX "promotion_redemptions_created_at_idx" ON "promotion_redemptions"("created_at" DESC);
+
+-- CreateIndex
+CREATE INDEX "orders_promotion_id_idx" ON "orders"("promotion_id");
+
+-- AddForeignKey
+ALTER TABLE "orders" ADD CONSTRAINT "orders_promotion_id_fkey" FOREIGN KEY ("promotion_id") REFERENCES "promotions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promotion_redemptions" ADD CONSTRAINT "promotion_redemptions_promotion_id_fkey" FOREIGN KEY ("promotion_id") REFERENCES "promotions"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promotion_redemptions" ADD CONSTRAINT "promotion_redemptions_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "inventory_lots" ADD COLUMN     "markdown_opt_out" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "markdown_percent" DECIMAL(5,4) NOT NULL DEFAULT 0,
+ADD COLUMN     "marked_down_at" TIMESTAMPTZ;
@@ -0,0 +1,52 @@
+-- AlterTable
+ALTER TABLE "seller_submissions" ADD COLUMN     "seller_id" UUID;
+
+-- CreateTable
+CREATE TABLE "sellers" (
+    "id" UUID NOT NULL,
+    "email" VARCHAR(255) NOT NULL,
+    "name" VARCHAR(255),
+    "phone" VARCHAR(50),
+    "notes" TEXT,
+    "user_id" UUID,
+    "payout_method" VARCHAR(50),
+    "payout_details" JSONB,
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT "sellers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sellers_email_key" ON "sellers"("email");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sellers_user_id_key" ON "sellers"("user_id");
+
+-- CreateIndex
+CREATE INDEX "seller_submissions_seller_id_created_at_idx" ON "seller_submissions"("seller_id", "created_at" DESC);
+
+-- AddForeignKey
+ALTER TABLE "seller_submissions" ADD CONSTRAINT "seller_submissions_seller_id_fkey" FOREIGN KEY ("seller_id") REFERENCES "sellers"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "sellers" ADD CONSTRAINT "sellers_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "admin_users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: one seller per distinct submission contact (emails are
+-- normalised to lower case), keeping the most recent non-empty name
+INSERT INTO "sellers" ("id", "email", "name", "created_at", "updated_at")
+SELECT
+    gen_random_uuid(),
+    LOWER(TRIM("seller_contact")),
+    (ARRAY_AGG("seller_name" ORDER BY "created_at" DESC)
+        FILTER (WHERE "seller_name" IS NOT NULL AND "seller_name" <> ''))[1],
+    MIN("created_at"),
+    CURRENT_TIMESTAMP
+FROM "seller_submissions"
+WHERE TRIM("seller_contact") <> ''
+GROUP BY LOWER(TRIM("seller_contact"));
+
+UPDATE "seller_submissions" AS s
+SET "seller_id" = se."id"
+FROM "sellers" AS se
+WHERE se."email" = LOWER(TRIM(s."seller_contact"));
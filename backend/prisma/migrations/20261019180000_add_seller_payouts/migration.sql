@@ -0,0 +1,129 @@
+-- CreateEnum
+CREATE TYPE "PayableStatus" AS ENUM ('OPEN', 'BATCHED', 'PAID', 'VOID');
+
+-- CreateEnum
+CREATE TYPE "PayoutBatchStatus" AS ENUM ('DRAFT', 'APPROVED', 'PAID', 'FAILED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "seller_payables" (
+    "id" UUID NOT NULL,
+    "seller_id" UUID NOT NULL,
+    "submission_id" UUID NOT NULL,
+    "submission_item_id" UUID NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "status" "PayableStatus" NOT NULL DEFAULT 'OPEN',
+    "payout_id" UUID,
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT "seller_payables_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "payout_batches" (
+    "id" UUID NOT NULL,
+    "batch_number" VARCHAR(50) NOT NULL,
+    "method" VARCHAR(50) NOT NULL,
+    "status" "PayoutBatchStatus" NOT NULL DEFAULT 'DRAFT',
+    "total_amount" DECIMAL(10,2) NOT NULL,
+    "notes" TEXT,
+    "created_by" UUID,
+    "approved_by" UUID,
+    "approved_at" TIMESTAMPTZ,
+    "paid_at" TIMESTAMPTZ,
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT "payout_batches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "seller_payouts" (
+    "id" UUID NOT NULL,
+    "batch_id" UUID NOT NULL,
+    "seller_id" UUID NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "payout_details" JSONB,
+    "reference" VARCHAR(255),
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "seller_payouts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "payout_batch_audits" (
+    "id" UUID NOT NULL,
+    "batch_id" UUID NOT NULL,
+    "from_status" "PayoutBatchStatus" NOT NULL,
+    "to_status" "PayoutBatchStatus" NOT NULL,
+    "change_reason" VARCHAR(255),
+    "changed_by" UUID,
+    "changed_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "payout_batch_audits_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "seller_payables_submission_item_id_key" ON "seller_payables"("submission_item_id");
+
+-- CreateIndex
+CREATE INDEX "seller_payables_seller_id_status_idx" ON "seller_payables"("seller_id", "status");
+
+-- CreateIndex
+CREATE INDEX "seller_payables_payout_id_idx" ON "seller_payables"("payout_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payout_batches_batch_number_key" ON "payout_batches"("batch_number");
+
+-- CreateIndex
+CREATE INDEX "payout_batches_status_created_at_idx" ON "payout_batches"("status", "created_at" DESC);
+
+-- CreateIndex
+CREATE INDEX "seller_payouts_seller_id_idx" ON "seller_payouts"("seller_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "seller_payouts_batch_id_seller_id_key" ON "seller_payouts"("batch_id", "seller_id");
+
+-- CreateIndex
+CREATE INDEX "payout_batch_audits_batch_id_changed_at_idx" ON "payout_batch_audits"("batch_id", "changed_at" DESC);
+
+-- AddForeignKey
+ALTER TABLE "seller_payables" ADD CONSTRAINT "seller_payables_seller_id_fkey" FOREIGN KEY ("seller_id") REFERENCES "sellers"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "seller_payables" ADD CONSTRAINT "seller_payables_submission_id_fkey" FOREIGN KEY ("submission_id") REFERENCES "seller_submissions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "seller_payables" ADD CONSTRAINT "seller_payables_submission_item_id_fkey" FOREIGN KEY ("submission_item_id") REFERENCES "submission_items"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "seller_payables" ADD CONSTRAINT "seller_payables_payout_id_fkey" FOREIGN KEY ("payout_id") REFERENCES "seller_payouts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "seller_payouts" ADD CONSTRAINT "seller_payouts_batch_id_fkey" FOREIGN KEY ("batch_id") REFERENCES "payout_batches"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "seller_payouts" ADD CONSTRAINT "seller_payouts_seller_id_fkey" FOREIGN KEY ("seller_id") REFERENCES "sellers"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payout_batch_audits" ADD CONSTRAINT "payout_batch_audits_batch_id_fkey" FOREIGN KEY ("batch_id") REFERENCES "payout_batches"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: items accepted before the ledger existed (the cut-off is this
+-- migration) were settled outside the system, so they are recorded as PAID
+-- with no payout. They count towards sellers' lifetime totals but are never
+-- batched again; an admin reopens any that are still owed
+-- (POST /api/v1/admin/payouts/payables/reopen).
+INSERT INTO "seller_payables" ("id", "seller_id", "submission_id", "submission_item_id", "amount", "status", "created_at", "updated_at")
+SELECT
+    gen_random_uuid(),
+    s."seller_id",
+    i."submission_id",
+    i."id",
+    COALESCE(i."final_offer_price", i."auto_offer_price"),
+    'PAID',
+    i."updated_at",
+    CURRENT_TIMESTAMP
+FROM "submission_items" AS i
+JOIN "seller_submissions" AS s ON s."id" = i."submission_id"
+WHERE i."status" IN ('ACCEPTED', 'CONVERTED_TO_INVENTORY')
+  AND s."seller_id" IS NOT NULL;
@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "PolicyScope" ADD VALUE 'LABEL';
+
+-- AlterTable
+ALTER TABLE "pricing_policies" ADD COLUMN     "label_scope" VARCHAR(255),
+ADD COLUMN     "policy_type" VARCHAR(10);
+
+-- CreateIndex
+CREATE INDEX "pricing_policies_policy_type_scope_is_active_idx" ON "pricing_policies"("policy_type", "scope", "is_active");
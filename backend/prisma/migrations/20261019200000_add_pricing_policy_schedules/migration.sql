@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "pricing_policies" ADD COLUMN     "effective_from" TIMESTAMPTZ(6),
+ADD COLUMN     "effective_until" TIMESTAMPTZ(6),
+ADD COLUMN     "schedule_status" VARCHAR(20),
+ADD COLUMN     "replaced_policy_id" UUID;
+
+-- CreateIndex
+CREATE INDEX "pricing_policies_schedule_status_effective_from_idx" ON "pricing_policies"("schedule_status", "effective_from");
+
+-- CreateIndex
+CREATE INDEX "pricing_policies_is_active_effective_until_idx" ON "pricing_policies"("is_active", "effective_until");
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "inventory_lots" ADD COLUMN     "quantity" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "reserved_quantity" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN     "quantity" INTEGER NOT NULL DEFAULT 1;
+
+-- Backfill: single-unit lots already reserved for checkout hold their unit
+UPDATE "inventory_lots" SET "reserved_quantity" = "quantity" WHERE "status" = 'RESERVED';
+
+-- AddCheckConstraint
+ALTER TABLE "inventory_lots" ADD CONSTRAINT "inventory_lots_quantity_check" CHECK ("quantity" >= 0 AND "reserved_quantity" >= 0 AND "reserved_quantity" <= "quantity");
+
+-- AddCheckConstraint
+ALTER TABLE "order_items" ADD CONSTRAINT "order_items_quantity_check" CHECK ("quantity" > 0);
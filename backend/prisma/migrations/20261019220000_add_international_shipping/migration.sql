@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "shipping_zones" ADD COLUMN     "countries_included" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "postal_code_patterns" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- AlterTable
+ALTER TABLE "shipments" ADD COLUMN     "customs_form" VARCHAR(10),
+ADD COLUMN     "declared_value" DECIMAL(10,2),
+ADD COLUMN     "customs_declaration" JSONB;
+
+-- CreateIndex
+CREATE INDEX "shipping_zones_countries_included_idx" ON "shipping_zones" USING GIN ("countries_included");
@@ -0,0 +1,47 @@
+-- CreateEnum
+CREATE TYPE "CarrierWebhookOutcome" AS ENUM ('PROCESSED', 'OUT_OF_ORDER', 'DUPLICATE', 'IGNORED', 'REJECTED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "carrier_webhook_events" (
+    "id" UUID NOT NULL,
+    "provider" VARCHAR(20) NOT NULL,
+    "event_id" VARCHAR(100),
+    "event_type" VARCHAR(100),
+    "tracking_number" VARCHAR(100),
+    "status" VARCHAR(50),
+    "signature_valid" BOOLEAN NOT NULL DEFAULT false,
+    "outcome" "CarrierWebhookOutcome" NOT NULL,
+    "headers" JSONB NOT NULL,
+    "raw_body" TEXT NOT NULL,
+    "shipment_id" UUID,
+    "tracking_event_id" UUID,
+    "error" TEXT,
+    "replay_count" INTEGER NOT NULL DEFAULT 0,
+    "received_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processed_at" TIMESTAMPTZ,
+
+    CONSTRAINT "carrier_webhook_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "carrier_webhook_events_provider_received_at_idx" ON "carrier_webhook_events"("provider", "received_at" DESC);
+
+-- CreateIndex
+CREATE INDEX "carrier_webhook_events_outcome_received_at_idx" ON "carrier_webhook_events"("outcome", "received_at" DESC);
+
+-- CreateIndex
+CREATE INDEX "carrier_webhook_events_tracking_number_idx" ON "carrier_webhook_events"("tracking_number");
+
+-- CreateIndex
+CREATE INDEX "carrier_webhook_events_event_id_idx" ON "carrier_webhook_events"("event_id");
+
+-- Remove tracking events stored more than once by carrier retries
+DELETE FROM "shipment_tracking" a
+USING "shipment_tracking" b
+WHERE a."carrier_event_id" IS NOT NULL
+  AND a."shipment_id" = b."shipment_id"
+  AND a."carrier_event_id" = b."carrier_event_id"
+  AND (a."created_at", a."id") > (b."created_at", b."id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "shipment_tracking_shipment_id_carrier_event_id_key" ON "shipment_tracking"("shipment_id", "carrier_event_id");
@@ -0,0 +1,79 @@
+-- CreateTable
+CREATE TABLE "shipping_boxes" (
+    "id" UUID NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "capacity" INTEGER NOT NULL,
+    "length_in" DECIMAL(6,2) NOT NULL,
+    "width_in" DECIMAL(6,2) NOT NULL,
+    "height_in" DECIMAL(6,2) NOT NULL,
+    "empty_weight_oz" INTEGER NOT NULL,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT "shipping_boxes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "shipment_packages" (
+    "id" UUID NOT NULL,
+    "shipment_id" UUID NOT NULL,
+    "package_number" INTEGER NOT NULL,
+    "box_id" UUID,
+    "box_name" VARCHAR(100),
+    "units" INTEGER NOT NULL,
+    "items" JSONB NOT NULL,
+    "weight_oz" INTEGER NOT NULL,
+    "dimensional_weight_oz" INTEGER NOT NULL DEFAULT 0,
+    "billable_weight_oz" INTEGER NOT NULL,
+    "dimensions" JSONB,
+    "status" "ShipmentStatus" NOT NULL DEFAULT 'PENDING_LABEL',
+    "tracking_number" VARCHAR(100),
+    "tracking_url" VARCHAR(500),
+    "label_url" VARCHAR(500),
+    "label_format" VARCHAR(20),
+    "provider_shipment_id" VARCHAR(100),
+    "provider_rate_id" VARCHAR(100),
+    "provider_metadata" JSONB,
+    "customs_declaration" JSONB,
+    "cost" DECIMAL(10,2),
+    "created_at" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT "shipment_packages_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "shipment_tracking" ADD COLUMN     "package_id" UUID;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "shipping_boxes_name_key" ON "shipping_boxes"("name");
+
+-- CreateIndex
+CREATE INDEX "shipping_boxes_is_active_capacity_idx" ON "shipping_boxes"("is_active", "capacity");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "shipment_packages_tracking_number_key" ON "shipment_packages"("tracking_number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "shipment_packages_shipment_id_package_number_key" ON "shipment_packages"("shipment_id", "package_number");
+
+-- CreateIndex
+CREATE INDEX "shipment_tracking_package_id_idx" ON "shipment_tracking"("package_id");
+
+-- AddForeignKey
+ALTER TABLE "shipment_packages" ADD CONSTRAINT "shipment_packages_shipment_id_fkey" FOREIGN KEY ("shipment_id") REFERENCES "shipments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "shipment_packages" ADD CONSTRAINT "shipment_packages_box_id_fkey" FOREIGN KEY ("box_id") REFERENCES "shipping_boxes"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "shipment_tracking" ADD CONSTRAINT "shipment_tracking_package_id_fkey" FOREIGN KEY ("package_id") REFERENCES "shipment_packages"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Default mailer catalogue (inches, ounces)
+INSERT INTO "shipping_boxes" ("id", "name", "capacity", "length_in", "width_in", "height_in", "empty_weight_oz", "updated_at")
+VALUES
+    (gen_random_uuid(), 'Single LP Mailer', 1, 12.75, 12.75, 1.00, 6, CURRENT_TIMESTAMP),
+    (gen_random_uuid(), '1-3 LP Mailer', 3, 12.75, 12.75, 2.00, 9, CURRENT_TIMESTAMP),
+    (gen_random_uuid(), '5 LP Box', 5, 13.00, 13.00, 3.00, 14, CURRENT_TIMESTAMP),
+    (gen_random_uuid(), '10 LP Box', 10, 13.50, 13.50, 4.50, 20, CURRENT_TIMESTAMP);
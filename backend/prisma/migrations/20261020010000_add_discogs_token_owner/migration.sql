@@ -0,0 +1,11 @@
+-- AlterTable
+-- Tokens connected before owners were recorded keep a NULL owner and are
+-- only used for catalog and marketplace lookups, never for a seller's
+-- collection import
+ALTER TABLE "discogs_oauth_tokens" ADD COLUMN     "user_id" UUID;
+
+-- CreateIndex
+CREATE INDEX "discogs_oauth_tokens_user_id_idx" ON "discogs_oauth_tokens"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "discogs_oauth_tokens" ADD CONSTRAINT "discogs_oauth_tokens_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "admin_users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
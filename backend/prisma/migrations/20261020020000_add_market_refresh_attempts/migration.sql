@@ -0,0 +1,21 @@
+-- CreateTable
+-- One row per release and source: when the refresher last tried it and how
+-- many tries in a row found no prices or failed, so releases with no market
+-- data back off instead of ranking as never fetched on every run
+CREATE TABLE "market_refresh_attempts" (
+    "id" UUID NOT NULL,
+    "release_id" UUID NOT NULL,
+    "source" "MarketSource" NOT NULL,
+    "last_attempt_at" TIMESTAMPTZ NOT NULL,
+    "last_outcome" VARCHAR(20) NOT NULL,
+    "consecutive_misses" INTEGER NOT NULL DEFAULT 0,
+    "updated_at" TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT "market_refresh_attempts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "market_refresh_attempts_release_id_source_key" ON "market_refresh_attempts"("release_id", "source");
+
+-- AddForeignKey
+ALTER TABLE "market_refresh_attempts" ADD CONSTRAINT "market_refresh_attempts_release_id_fkey" FOREIGN KEY ("release_id") REFERENCES "releases"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+-- When checkout completion took the item's units off its lot; until then
+-- they are still counted in the lot's reserved_quantity
+ALTER TABLE "order_items" ADD COLUMN     "sold_at" TIMESTAMPTZ(6);
+
+-- Backfill: items of paid orders were taken off their lots at checkout
+UPDATE "order_items" AS oi SET "sold_at" = COALESCE(o."payment_confirmed_at", o."created_at")
+FROM "orders" AS o
+WHERE o."id" = oi."order_id" AND o."status" IN ('PAYMENT_CONFIRMED', 'PROCESSING', 'SHIPPED', 'DELIVERED', 'REFUNDED');
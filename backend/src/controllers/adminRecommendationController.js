@@ -0,0 +1,27 @@
+import recommendationService from '../services/recommendationService.js';
+
+/**
+ * GET /api/v1/admin/recommendations/report
+ * A/B conversion report per recommendation variant over a date range
+ */
+export const getVariantReport = async (req, res, next) => {
+  try {
+    const { startDate, endDate, attributionDays, baseline } = req.query;
+
+    const report = await recommendationService.getVariantReport({
+      startDate: startDate ? new Date(startDate) : undefined,
+      endDate: endDate ? new Date(endDate) : undefined,
+      attributionDays:
+        attributionDays !== undefined ? Number(attributionDays) : undefined,
+      baseline,
+    });
+
+    res.json({
+      success: true,
+      data: report,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,5 @@
 import adminSubmissionService from '../services/adminSubmissionService.js';
+import sellerService from '../services/sellerService.js';
 import logger from '../../config/logger.js';
 
 /**
@@ -49,6 +50,35 @@ export const getSubmissionDetail = async (req, res, next) => {
   }
 };
 
+/**
+ * POST /api/v1/admin/submissions/in-store
+ * Open an in-store submission for a walk-in seller; scanned items are then
+ * added through POST /api/v1/submissions/:sellerId
+ */
+export const createInStoreSubmission = async (req, res, next) => {
+  try {
+    const { email, name, phone, notes, payoutMethod } = req.body;
+
+    const submission = await sellerService.registerSeller(
+      { email, name, phone, notes, payoutMethod },
+      { channel: 'in_store' }
+    );
+
+    logger.info('In-store submission opened', {
+      submissionId: submission.id,
+      openedBy: req.user?.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: submission,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * POST /api/v1/admin/submissions/:submissionId/accept
  * Accept an entire submission
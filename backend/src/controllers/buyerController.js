@@ -101,16 +101,44 @@ export const searchProducts = async (req, res, next) => {
   }
 };
 
+/**
+ * Resolve the wishlist owner for the current request
+ * Buyer accounts own their wishlist, everyone else uses a session id
+ */
+const getWishlistOwner = (req) => ({
+  userId: req.user?.role === 'BUYER' ? req.user.id : null,
+  sessionId: req.headers['x-session-id'] || req.query.sessionId || null,
+});
+
+/**
+ * Get buyer wishlist
+ */
+export const getWishlist = async (req, res, next) => {
+  try {
+    const wishlist = await buyerService.getWishlist(getWishlistOwner(req));
+
+    res.json({
+      success: true,
+      data: wishlist,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Add product to wishlist
  */
 export const addToWishlist = async (req, res, next) => {
   try {
-    const { inventoryLotId } = req.body;
-    const buyerId =
-      req.session?.userId || req.headers['x-buyer-id'] || 'anonymous';
+    const { inventoryLotId, email, priceDropAlerts, backInStockAlerts } =
+      req.body;
 
-    const item = await buyerService.addToWishlist(buyerId, inventoryLotId);
+    const item = await buyerService.addToWishlist(
+      getWishlistOwner(req),
+      inventoryLotId,
+      { email, priceDropAlerts, backInStockAlerts }
+    );
 
     res.json({
       success: true,
@@ -128,11 +156,9 @@ export const addToWishlist = async (req, res, next) => {
 export const removeFromWishlist = async (req, res, next) => {
   try {
     const { inventoryLotId } = req.params;
-    const buyerId =
-      req.session?.userId || req.headers['x-buyer-id'] || 'anonymous';
 
     const result = await buyerService.removeFromWishlist(
-      buyerId,
+      getWishlistOwner(req),
       inventoryLotId
     );
 
@@ -244,14 +270,53 @@ export const getRecommendationVariants = async (req, res, next) => {
   }
 };
 
+/**
+ * Buyer key for recommendation tracking, matched against the email on a
+ * later order. Only the signed-in account (or server session) counts; an
+ * id sent by the client could claim another buyer's purchases.
+ */
+const getTrackingBuyerId = (req) =>
+  req.user?.email?.toLowerCase() || req.session?.userId || 'anonymous';
+
+/**
+ * Record recommendation impression for CTR tracking
+ */
+export const recordRecommendationImpression = async (req, res, next) => {
+  try {
+    const {
+      recommendationTrackingId,
+      variantName,
+      itemIds,
+      releaseId,
+      algorithm,
+    } = req.body;
+    const buyerId = getTrackingBuyerId(req);
+
+    const result = await recommendationService.recordRecommendationImpression({
+      recommendationTrackingId,
+      variantName,
+      itemIds,
+      releaseId,
+      algorithm,
+      buyerId,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Record recommendation click for conversion tracking
  */
 export const recordRecommendationClick = async (req, res, next) => {
   try {
     const { recommendationTrackingId, variantName, itemId } = req.body;
-    const buyerId =
-      req.session?.userId || req.headers['x-buyer-id'] || 'anonymous';
+    const buyerId = getTrackingBuyerId(req);
 
     const result = await recommendationService.recordRecommendationClick({
       recommendationTrackingId,
@@ -43,7 +43,7 @@ export async function getCart(req, res, next) {
  */
 export async function addToCart(req, res, next) {
   try {
-    const { orderId, inventoryLotId } = req.body;
+    const { orderId, inventoryLotId, quantity = 1 } = req.body;
 
     if (!orderId || !inventoryLotId) {
       throw new ApiError('orderId and inventoryLotId are required', 400);
@@ -51,12 +51,14 @@ export async function addToCart(req, res, next) {
 
     const updatedCart = await checkoutService.addToCart(
       orderId,
-      inventoryLotId
+      inventoryLotId,
+      Number(quantity)
     );
 
     logger.info('Item added to cart via API', {
       orderId,
       inventoryLotId,
+      quantity,
     });
 
     res.json({
@@ -129,13 +131,67 @@ export async function getCartSummary(req, res, next) {
  */
 export async function recalculateCart(req, res, next) {
   try {
-    const { orderId, shippingMethod } = req.body;
+    const { orderId, shippingMethod, shippingAddress } = req.body;
 
     if (!orderId) {
       throw new ApiError('orderId is required', 400);
     }
 
     const updatedCart = await checkoutService.recalculateCartTotals(
+      orderId,
+      shippingMethod || 'STANDARD',
+      shippingAddress
+    );
+
+    res.json({
+      success: true,
+      data: updatedCart,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Apply a promo code to cart
+ * POST /api/v1/checkout/cart/promo
+ */
+export async function applyPromoCode(req, res, next) {
+  try {
+    const { orderId, code, shippingMethod } = req.body;
+
+    if (!orderId || !code) {
+      throw new ApiError('orderId and code are required', 400);
+    }
+
+    const updatedCart = await checkoutService.applyPromoCode(
+      orderId,
+      code,
+      shippingMethod || 'STANDARD'
+    );
+
+    res.json({
+      success: true,
+      data: updatedCart,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove the promo code from cart
+ * DELETE /api/v1/checkout/cart/promo
+ */
+export async function removePromoCode(req, res, next) {
+  try {
+    const { orderId, shippingMethod } = req.body;
+
+    if (!orderId) {
+      throw new ApiError('orderId is required', 400);
+    }
+
+    const updatedCart = await checkoutService.removePromoCode(
       orderId,
       shippingMethod || 'STANDARD'
     );
@@ -195,7 +251,8 @@ export async function initiateCheckout(req, res, next) {
 
     const checkoutResult = await checkoutService.initiateCheckout(
       orderId,
-      total
+      total,
+      req.user
     );
 
     logger.info('Checkout initiated via API', {
@@ -401,6 +458,57 @@ export async function getOrderHistory(req, res, next) {
   }
 }
 
+/**
+ * Issue a full or partial refund for an order
+ * POST /api/v1/checkout/orders/:orderId/refunds
+ */
+export async function createRefund(req, res, next) {
+  try {
+    const { orderId } = req.params;
+    const { orderItemIds, reason } = req.body;
+
+    if (!orderId) {
+      throw new ApiError('orderId is required', 400);
+    }
+
+    const refund = await paymentService.createRefund(
+      orderId,
+      { orderItemIds, reason },
+      req.user?.id
+    );
+
+    res.status(201).json({
+      success: true,
+      data: refund,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List refunds for an order
+ * GET /api/v1/checkout/orders/:orderId/refunds
+ */
+export async function getRefunds(req, res, next) {
+  try {
+    const { orderId } = req.params;
+
+    if (!orderId) {
+      throw new ApiError('orderId is required', 400);
+    }
+
+    const refunds = await paymentService.getRefunds(orderId);
+
+    res.json({
+      success: true,
+      data: refunds,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Get payment intent details
  * GET /api/v1/checkout/payment-intent/:paymentIntentId
@@ -32,6 +32,25 @@ export async function getOrdersReadyToShip(req, res, next) {
   }
 }
 
+/**
+ * Get the packing plan (boxes, records and weights per package) for an order
+ * GET /api/v1/fulfillment/orders/:orderId/packing-plan
+ */
+export async function getPackingPlan(req, res, next) {
+  try {
+    const { orderId } = req.params;
+
+    const plan = await fulfillmentService.getPackingPlan(orderId);
+
+    res.json({
+      success: true,
+      data: plan,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Prepare order for shipment
  * POST /api/v1/fulfillment/orders/:orderId/prepare
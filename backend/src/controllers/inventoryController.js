@@ -1,20 +1,47 @@
 import inventoryService from '../services/inventoryService.js';
+import inventoryCsvService from '../services/inventoryCsvService.js';
 import logger from '../../config/logger.js';
 
+/**
+ * listInventory filters from the query string, shared by listing and export
+ */
+const parseInventoryFilters = (query) => {
+  const {
+    status,
+    excludeStatus,
+    conditions,
+    genre,
+    minPrice,
+    maxPrice,
+    search,
+    sortBy,
+    sortOrder,
+  } = query;
+
+  return {
+    status,
+    excludeStatus,
+    conditions,
+    genre,
+    minPrice: minPrice !== undefined ? parseFloat(minPrice) : undefined,
+    maxPrice: maxPrice !== undefined ? parseFloat(maxPrice) : undefined,
+    search,
+    sortBy: sortBy || 'createdAt',
+    sortOrder: sortOrder || 'desc',
+  };
+};
+
 /**
  * List inventory with pagination and filtering
  */
 export const listInventory = async (req, res, next) => {
   try {
-    const { status, excludeStatus, limit, page, sortBy, sortOrder } = req.query;
+    const { limit, page } = req.query;
 
     const result = await inventoryService.listInventory({
-      status,
-      excludeStatus,
+      ...parseInventoryFilters(req.query),
       limit: limit ? parseInt(limit) : 50,
       page: page ? parseInt(page) : 1,
-      sortBy: sortBy || 'createdAt',
-      sortOrder: sortOrder || 'desc',
     });
 
     res.json({
@@ -57,6 +84,8 @@ export const updateInventory = async (req, res, next) => {
       internalNotes,
       publicDescription,
       sku,
+      markdownOptOut,
+      quantity,
       release,
     } = req.body;
 
@@ -67,6 +96,8 @@ export const updateInventory = async (req, res, next) => {
       internalNotes,
       publicDescription,
       sku,
+      markdownOptOut,
+      quantity,
       release,
     });
 
@@ -125,6 +156,24 @@ export const applyPricingPolicy = async (req, res, next) => {
   }
 };
 
+/**
+ * Run scheduled markdowns now, or preview them with dryRun
+ */
+export const applyScheduledMarkdowns = async (req, res, next) => {
+  try {
+    const result = await inventoryService.applyScheduledMarkdowns({
+      dryRun: req.body.dryRun === true,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get pricing history for an inventory lot
  */
@@ -225,3 +274,59 @@ export const bulkUpdatePrices = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Export inventory as CSV or JSON for spreadsheet editing
+ */
+export const exportInventory = async (req, res, next) => {
+  try {
+    const { format = 'csv', columns } = req.query;
+
+    const result = await inventoryCsvService.exportInventory(
+      parseInventoryFilters(req.query),
+      { format, columns, userId: req.user?.id }
+    );
+
+    if (result.format === 'json') {
+      return res.json({
+        success: true,
+        data: {
+          columns: result.columns,
+          rows: result.rows,
+        },
+      });
+    }
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.send(result.csv);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Import an edited inventory sheet (CSV body, or JSON { csv, dryRun });
+ * dryRun may also be given in the query string
+ */
+export const importInventory = async (req, res, next) => {
+  try {
+    const csvUpload = typeof req.body === 'string';
+    const csvText = csvUpload ? req.body : req.body?.csv;
+    let dryRun = req.query.dryRun;
+    if (!csvUpload && req.body?.dryRun !== undefined) {
+      dryRun = req.body.dryRun;
+    }
+
+    const result = await inventoryCsvService.importInventory(csvText, {
+      dryRun: dryRun === true || dryRun === 'true',
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,49 @@
+import marketSnapshotService from '../services/marketSnapshotService.js';
+
+/**
+ * GET /api/v1/admin/market/releases/:releaseId/history
+ * Price history per market source with trend summary
+ */
+export const getPriceHistory = async (req, res, next) => {
+  try {
+    const { days, source } = req.query;
+
+    const history = await marketSnapshotService.getPriceHistory(
+      req.params.releaseId,
+      { days, source }
+    );
+
+    res.json({
+      success: true,
+      data: history,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/v1/admin/market/alerts
+ * Releases whose median price moved past the threshold
+ */
+export const getTrendAlerts = async (req, res, next) => {
+  try {
+    const { days, threshold, source, limit } = req.query;
+
+    const result = await marketSnapshotService.getTrendAlerts({
+      days,
+      threshold,
+      source,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
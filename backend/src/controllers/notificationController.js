@@ -0,0 +1,109 @@
+import notificationService from '../services/notificationService.js';
+
+/**
+ * GET /api/v1/notifications/inbox
+ * In-app notifications for the authenticated user
+ */
+export const getInbox = async (req, res, next) => {
+  try {
+    const { unreadOnly, limit } = req.query;
+
+    const inbox = await notificationService.getInbox(req.user?.email, {
+      unreadOnly: unreadOnly === 'true',
+      limit: limit ? parseInt(limit, 10) : 50,
+    });
+
+    res.json({
+      success: true,
+      data: inbox,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/v1/notifications/inbox/:notificationId/read
+ * Mark an in-app notification as read
+ */
+export const markInboxRead = async (req, res, next) => {
+  try {
+    const result = await notificationService.markInboxRead(
+      req.user?.email,
+      req.params.notificationId
+    );
+
+    res.json({
+      success: true,
+      data: result,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/v1/admin/notifications
+ * Notification outbox with delivery status
+ */
+export const listOutbox = async (req, res, next) => {
+  try {
+    const { status, channel, eventType, limit, page } = req.query;
+
+    const result = await notificationService.listOutbox({
+      status,
+      channel,
+      eventType,
+      limit: limit ? Math.min(parseInt(limit, 10), 500) : 50,
+      page: page ? parseInt(page, 10) : 1,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/v1/admin/notifications/:notificationId/retry
+ * Re-queue a failed notification
+ */
+export const retryNotification = async (req, res, next) => {
+  try {
+    const notification = await notificationService.retryNotification(
+      req.params.notificationId
+    );
+
+    res.json({
+      success: true,
+      data: notification,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/v1/admin/notifications/dispatch
+ * Deliver due notifications now instead of waiting for the job
+ */
+export const dispatchNotifications = async (req, res, next) => {
+  try {
+    const result = await notificationService.dispatchPending();
+
+    res.json({
+      success: true,
+      data: result,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,179 @@
+import payoutService from '../services/payoutService.js';
+
+/**
+ * GET /api/v1/admin/payouts/balances
+ * Open, in-payout and paid balances per seller
+ */
+export const getBalances = async (req, res, next) => {
+  try {
+    const { payoutMethod, owedOnly, page, limit } = req.query;
+
+    const result = await payoutService.getBalances({
+      payoutMethod,
+      owedOnly: owedOnly === 'true',
+      page,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/v1/admin/payouts/payables/reopen
+ * Reopen historical payables that are still owed
+ */
+export const reopenPayables = async (req, res, next) => {
+  try {
+    const { submissionItemIds } = req.body;
+
+    const result = await payoutService.reopenHistoricalPayables(
+      submissionItemIds,
+      req.user?.id
+    );
+
+    res.json({
+      success: true,
+      data: result,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/v1/admin/payouts/batches
+ * Payout batches, newest first
+ */
+export const listBatches = async (req, res, next) => {
+  try {
+    const { status, method, page, limit } = req.query;
+
+    const result = await payoutService.listBatches({
+      status,
+      method,
+      page,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/v1/admin/payouts/batches
+ * Create a payout batch from open payables
+ */
+export const createBatch = async (req, res, next) => {
+  try {
+    const { method, sellerIds, minAmount, notes } = req.body;
+
+    const batch = await payoutService.createBatch(
+      { method, sellerIds, minAmount, notes },
+      req.user?.id
+    );
+
+    res.status(201).json({
+      success: true,
+      data: batch,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/v1/admin/payouts/batches/:batchId
+ * Batch detail with seller payouts and audit trail
+ */
+export const getBatch = async (req, res, next) => {
+  try {
+    const batch = await payoutService.getBatch(req.params.batchId);
+
+    res.json({
+      success: true,
+      data: batch,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/v1/admin/payouts/batches/:batchId/export
+ * Batch as a CSV download for accounting
+ */
+export const exportBatch = async (req, res, next) => {
+  try {
+    const { filename, csv } = await payoutService.exportBatchCsv(
+      req.params.batchId
+    );
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build a handler that moves a batch to the given status
+ * @param {string} toStatus - Target batch status
+ * @returns {Function} Express handler
+ */
+const transitionTo = (toStatus) => async (req, res, next) => {
+  try {
+    const { reason, references } = req.body || {};
+
+    const batch = await payoutService.transitionBatch(
+      req.params.batchId,
+      toStatus,
+      { reason, references },
+      req.user?.id
+    );
+
+    res.json({
+      success: true,
+      data: batch,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/v1/admin/payouts/batches/:batchId/approve
+ */
+export const approveBatch = transitionTo('APPROVED');
+
+/**
+ * POST /api/v1/admin/payouts/batches/:batchId/paid
+ */
+export const markBatchPaid = transitionTo('PAID');
+
+/**
+ * POST /api/v1/admin/payouts/batches/:batchId/failed
+ */
+export const markBatchFailed = transitionTo('FAILED');
+
+/**
+ * POST /api/v1/admin/payouts/batches/:batchId/cancel
+ */
+export const cancelBatch = transitionTo('CANCELLED');
@@ -1,6 +1,9 @@
 import { v4 as uuidv4 } from 'uuid';
 import prisma from '../utils/db.js';
 import pricingService from '../services/pricingService.js';
+import pricingSimulationService from '../services/pricingSimulationService.js';
+import pricingPolicyScheduleService from '../services/pricingPolicyScheduleService.js';
+import scopedPricingPolicyService from '../services/scopedPricingPolicyService.js';
 import { clearCache } from '../utils/cache.js';
 import logger from '../../config/logger.js';
 import { ApiError } from '../middleware/errorHandler.js';
@@ -49,6 +52,8 @@ export const getPricingPolicy = async (req, res, next) => {
         minOffer: policy.minOffer?.toString(),
         maxOffer: policy.maxOffer?.toString(),
         offerExpiryDays: policy.offerExpiryDays,
+        effectiveFrom: policy.effectiveFrom,
+        effectiveUntil: policy.effectiveUntil,
       },
     });
   } catch (error) {
@@ -86,6 +91,12 @@ export const savePricingPolicy = async (req, res, next) => {
       );
     }
 
+    pricingService.validateMarketBlend(buyFormula.marketBlend);
+    pricingService.validateMarketBlend(sellFormula.marketBlend);
+
+    // A future effectiveFrom queues the version for the schedule job
+    const window = pricingPolicyScheduleService.parseWindow(req.body);
+
     // Find existing policy
     let existingPolicy = await prisma.pricingPolicy.findFirst({
       where: {
@@ -97,10 +108,15 @@ export const savePricingPolicy = async (req, res, next) => {
       },
     });
 
-    let newVersion = 1;
-    if (existingPolicy) {
-      newVersion = existingPolicy.version + 1;
+    // Scheduled versions can hold higher numbers than the active one
+    const latestPolicy = await prisma.pricingPolicy.findFirst({
+      where: { scope: type },
+      orderBy: { version: 'desc' },
+      select: { version: true },
+    });
+    const newVersion = (latestPolicy?.version || 0) + 1;
 
+    if (existingPolicy && !window.scheduled) {
       // Record the audit trail
       await prisma.pricingPolicyAudit.create({
         data: {
@@ -140,7 +156,6 @@ export const savePricingPolicy = async (req, res, next) => {
         id: uuidv4(),
         name,
         scope: type,
-        isActive: true,
         version: newVersion,
         buyFormula,
         sellFormula,
@@ -148,10 +163,31 @@ export const savePricingPolicy = async (req, res, next) => {
         minOffer: minOffer ? parseFloat(minOffer) : null,
         maxOffer: maxOffer ? parseFloat(maxOffer) : null,
         offerExpiryDays: offerExpiryDays || 30,
+        ...pricingPolicyScheduleService.scheduleData(
+          window,
+          existingPolicy?.id
+        ),
         createdBy: req.user?.id,
       },
     });
 
+    if (window.scheduled) {
+      await prisma.pricingPolicyAudit.create({
+        data: {
+          id: uuidv4(),
+          policyId: policy.id,
+          changeType: 'SCHEDULE',
+          previousVersion: existingPolicy?.version,
+          newVersion,
+          changes: {
+            effectiveFrom: window.effectiveFrom,
+            effectiveUntil: window.effectiveUntil,
+          },
+          changedBy: req.user?.id,
+        },
+      });
+    }
+
     // Clear both policy and search result caches so new pricing takes effect immediately
     if (pricingService.clearPolicyCache) {
       pricingService.clearPolicyCache();
@@ -176,8 +212,14 @@ export const savePricingPolicy = async (req, res, next) => {
         minOffer: policy.minOffer?.toString(),
         maxOffer: policy.maxOffer?.toString(),
         offerExpiryDays: policy.offerExpiryDays,
+        isActive: policy.isActive,
+        effectiveFrom: policy.effectiveFrom,
+        effectiveUntil: policy.effectiveUntil,
+        scheduleStatus: policy.scheduleStatus,
       },
-      message: `${type} pricing policy saved (v${newVersion})`,
+      message: window.scheduled
+        ? `${type} pricing policy v${newVersion} scheduled for ${window.effectiveFrom.toISOString()}`
+        : `${type} pricing policy saved (v${newVersion})`,
     });
   } catch (error) {
     next(error);
@@ -220,6 +262,9 @@ export const getPricingPolicyHistory = async (req, res, next) => {
         name: p.name,
         version: p.version,
         isActive: p.isActive,
+        effectiveFrom: p.effectiveFrom,
+        effectiveUntil: p.effectiveUntil,
+        scheduleStatus: p.scheduleStatus,
         createdAt: p.createdAt,
         updatedAt: p.updatedAt,
         audits: p.policyAudits,
@@ -269,6 +314,13 @@ export const rollbackPricingPolicy = async (req, res, next) => {
       },
     });
 
+    // Scheduled versions can hold higher numbers than the active one
+    const latestPolicy = await prisma.pricingPolicy.findFirst({
+      where: { scope: type },
+      orderBy: { version: 'desc' },
+      select: { version: true },
+    });
+
     if (currentPolicy) {
       // Deactivate current
       await prisma.pricingPolicy.update({
@@ -284,7 +336,7 @@ export const rollbackPricingPolicy = async (req, res, next) => {
         name: targetPolicy.name,
         scope: type,
         isActive: true,
-        version: (currentPolicy?.version || 0) + 1,
+        version: (latestPolicy?.version || 0) + 1,
         buyFormula: targetPolicy.buyFormula,
         sellFormula: targetPolicy.sellFormula,
         conditionCurve: targetPolicy.conditionCurve,
@@ -330,3 +382,204 @@ export const rollbackPricingPolicy = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Preview a draft policy against current inventory without saving it
+ * SELLER drafts reprice LIVE lots; BUYER drafts re-quote pending submission items
+ */
+export const simulatePricingPolicy = async (req, res, next) => {
+  try {
+    const { type } = req.params;
+    const { buyFormula, sellFormula, conditionCurve, limit } = req.body;
+
+    const result = await pricingSimulationService.simulate(
+      type,
+      { buyFormula, sellFormula, conditionCurve },
+      { limit }
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List release/label/genre/channel scoped policies
+ */
+export const listScopedPricingPolicies = async (req, res, next) => {
+  try {
+    const { type, scope, includeInactive } = req.query;
+
+    const policies = await scopedPricingPolicyService.listPolicies({
+      type,
+      scope,
+      includeInactive: includeInactive === 'true',
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: policies,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a scoped policy with its linked releases
+ */
+export const getScopedPricingPolicy = async (req, res, next) => {
+  try {
+    const policy = await scopedPricingPolicyService.getPolicy(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a scoped policy
+ */
+export const createScopedPricingPolicy = async (req, res, next) => {
+  try {
+    const policy = await scopedPricingPolicyService.createPolicy(
+      req.body,
+      req.user?.id
+    );
+
+    return res.status(201).json({
+      success: true,
+      data: policy,
+      message: `${policy.scope} pricing policy created`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a scoped policy in place
+ */
+export const updateScopedPricingPolicy = async (req, res, next) => {
+  try {
+    const policy = await scopedPricingPolicyService.updatePolicy(
+      req.params.id,
+      req.body,
+      req.user?.id
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: policy,
+      message: `Pricing policy updated to version ${policy.version}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate a scoped policy
+ */
+export const deactivateScopedPricingPolicy = async (req, res, next) => {
+  try {
+    const policy = await scopedPricingPolicyService.deactivatePolicy(
+      req.params.id,
+      req.user?.id
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: policy,
+      message: 'Pricing policy deactivated',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Explain which policy would price a release/genre/label/channel
+ */
+export const resolvePricingPolicy = async (req, res, next) => {
+  try {
+    const { type, releaseId, genre, label, channel } = req.query;
+
+    const result = await scopedPricingPolicyService.explainResolution(type, {
+      releaseId,
+      genre,
+      label,
+      channel,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upcoming scheduled versions and active versions with an end date
+ */
+export const getPricingPolicySchedules = async (req, res, next) => {
+  try {
+    const schedules = await pricingPolicyScheduleService.listSchedules(
+      req.params.type
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: schedules,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a scheduled version before it activates
+ */
+export const cancelScheduledPricingPolicy = async (req, res, next) => {
+  try {
+    const policy = await pricingPolicyScheduleService.cancelSchedule(
+      req.params.type,
+      req.params.id,
+      req.user?.id
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: policy,
+      message: `Scheduled policy v${policy.version} cancelled`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Apply due activations and expiries now instead of waiting for the job
+ */
+export const applyPricingPolicySchedules = async (req, res, next) => {
+  try {
+    const result = await pricingPolicyScheduleService.applySchedules();
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,133 @@
+import promotionService from '../services/promotionService.js';
+
+/**
+ * GET /api/v1/admin/promotions
+ * Promotions with redemption counts
+ */
+export const listPromotions = async (req, res, next) => {
+  try {
+    const { active, page, limit } = req.query;
+
+    const result = await promotionService.listPromotions({
+      active,
+      page,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/v1/admin/promotions/report
+ * Redemption report per promotion for a date range
+ */
+export const getRedemptionReport = async (req, res, next) => {
+  try {
+    const { startDate, endDate, promotionId } = req.query;
+
+    const report = await promotionService.getRedemptionReport({
+      startDate,
+      endDate,
+      promotionId,
+    });
+
+    res.json({
+      success: true,
+      data: report,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/v1/admin/promotions/:promotionId
+ * Promotion detail
+ */
+export const getPromotion = async (req, res, next) => {
+  try {
+    const promotion = await promotionService.getPromotion(
+      req.params.promotionId
+    );
+
+    res.json({
+      success: true,
+      data: promotion,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/v1/admin/promotions
+ * Create a promotion
+ */
+export const createPromotion = async (req, res, next) => {
+  try {
+    const promotion = await promotionService.createPromotion(
+      req.body,
+      req.user?.id
+    );
+
+    res.status(201).json({
+      success: true,
+      data: promotion,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/v1/admin/promotions/:promotionId
+ * Update a promotion
+ */
+export const updatePromotion = async (req, res, next) => {
+  try {
+    const promotion = await promotionService.updatePromotion(
+      req.params.promotionId,
+      req.body,
+      req.user?.id
+    );
+
+    res.json({
+      success: true,
+      data: promotion,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/v1/admin/promotions/:promotionId
+ * Deactivate a promotion (redemption history is kept)
+ */
+export const deactivatePromotion = async (req, res, next) => {
+  try {
+    const promotion = await promotionService.deactivatePromotion(
+      req.params.promotionId,
+      req.user?.id
+    );
+
+    res.json({
+      success: true,
+      data: promotion,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
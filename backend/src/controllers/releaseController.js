@@ -1,4 +1,5 @@
 import releaseService from '../services/releaseService.js';
+import catalogLookupService from '../services/catalogLookupService.js';
 import logger from '../../config/logger.js';
 
 export const getAllReleases = async (req, res, next) => {
@@ -353,3 +354,24 @@ export const getDiscogsQuote = async (req, res, next) => {
     next(error);
   }
 };
+
+export const lookupRelease = async (req, res, next) => {
+  try {
+    const { barcode, catno, label, source } = req.query;
+
+    const result = await catalogLookupService.lookup({
+      barcode,
+      catno,
+      label,
+      source,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
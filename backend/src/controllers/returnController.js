@@ -0,0 +1,172 @@
+import returnService from '../services/returnService.js';
+
+/**
+ * POST /api/v1/returns
+ * Buyer opens a return request for one of their shipped orders
+ */
+export const requestReturn = async (req, res, next) => {
+  try {
+    const { orderNumber, orderItemIds, reason, reasonDetails, photoUrls } =
+      req.body;
+
+    const returnRequest = await returnService.requestReturn({
+      orderNumber,
+      buyerEmail: req.user?.email,
+      orderItemIds,
+      reason,
+      reasonDetails,
+      photoUrls,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: returnRequest,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/v1/returns
+ * Return requests for the authenticated buyer
+ */
+export const getMyReturns = async (req, res, next) => {
+  try {
+    const returns = await returnService.getBuyerReturns(req.user?.email);
+
+    res.json({
+      success: true,
+      data: returns,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/v1/admin/returns
+ * Return requests for admin review
+ */
+export const listReturns = async (req, res, next) => {
+  try {
+    const { status, page, limit } = req.query;
+
+    const result = await returnService.listReturns({ status, page, limit });
+
+    res.json({
+      success: true,
+      data: result,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/v1/admin/returns/:returnId
+ * Return request detail
+ */
+export const getReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await returnService.getReturn(req.params.returnId);
+
+    res.json({
+      success: true,
+      data: returnRequest,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/v1/admin/returns/:returnId/approve
+ * Approve a return and issue the prepaid return label
+ */
+export const approveReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await returnService.approveReturn(
+      req.params.returnId,
+      req.user?.id,
+      { notes: req.body.notes }
+    );
+
+    res.json({
+      success: true,
+      data: returnRequest,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/v1/admin/returns/:returnId/deny
+ * Deny a return request
+ */
+export const denyReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await returnService.denyReturn(
+      req.params.returnId,
+      req.user?.id,
+      { notes: req.body.notes }
+    );
+
+    res.json({
+      success: true,
+      data: returnRequest,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/v1/admin/returns/:returnId/receive
+ * Record receipt, re-grade lots and hand off to payments for the refund
+ */
+export const receiveReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await returnService.receiveReturn(
+      req.params.returnId,
+      req.user?.id,
+      { items: req.body.items, notes: req.body.notes }
+    );
+
+    res.json({
+      success: true,
+      data: returnRequest,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/v1/admin/returns/:returnId/complete
+ * Retry the refund hand-off for a received return
+ */
+export const completeReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await returnService.completeReturn(
+      req.params.returnId,
+      req.user?.id
+    );
+
+    res.json({
+      success: true,
+      data: returnRequest,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,5 @@
 import sellerService from '../services/sellerService.js';
+import payoutService from '../services/payoutService.js';
 import logger from '../../config/logger.js';
 
 /**
@@ -7,13 +8,14 @@ import logger from '../../config/logger.js';
  */
 export const registerSeller = async (req, res, next) => {
   try {
-    const { email, name, phone, notes } = req.body;
+    const { email, name, phone, notes, payoutMethod } = req.body;
 
     const seller = await sellerService.registerSeller({
       email,
       name,
       phone,
       notes,
+      payoutMethod,
     });
 
     res.status(201).json({
@@ -26,6 +28,64 @@ export const registerSeller = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/v1/sellers/me
+ * Get the seller record linked to the logged-in SELLER account
+ */
+export const getMySeller = async (req, res, next) => {
+  try {
+    const seller = await sellerService.getSellerForUser(req.user);
+
+    res.json({
+      success: true,
+      data: seller,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/v1/sellers/me/payouts
+ * Balance and payout history for the logged-in SELLER account
+ */
+export const getMyPayouts = async (req, res, next) => {
+  try {
+    const sellerId = await sellerService.findSellerIdForUser(req.user);
+    const payouts = await payoutService.getSellerPayoutSummary(sellerId);
+
+    res.json({
+      success: true,
+      data: payouts,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/v1/sellers/:id/payouts
+ * Balance and payout history for a seller
+ */
+export const getSellerPayouts = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await sellerService.assertSellerAccess(id, req.user);
+    const payouts = await payoutService.getSellerPayoutSummary(id);
+
+    res.json({
+      success: true,
+      data: payouts,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * GET /api/v1/sellers/:id
  * Get seller information by ID
@@ -34,7 +94,7 @@ export const getSellerById = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const seller = await sellerService.getSellerById(id);
+    const seller = await sellerService.getSellerById(id, req.user);
 
     res.json({
       success: true,
@@ -53,9 +113,34 @@ export const getSellerById = async (req, res, next) => {
 export const updateSeller = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, notes } = req.body;
+    const { name, phone, notes, payoutMethod, payoutDetails } = req.body;
+
+    const seller = await sellerService.updateSeller(
+      id,
+      { name, phone, notes, payoutMethod, payoutDetails },
+      req.user
+    );
+
+    res.json({
+      success: true,
+      data: seller,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/v1/sellers/:id/account
+ * Link a seller to a SELLER login account (admin only)
+ */
+export const linkSellerAccount = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { userId } = req.body;
 
-    const seller = await sellerService.updateSeller(id, { name, notes });
+    const seller = await sellerService.linkSellerAccount(id, userId);
 
     res.json({
       success: true,
@@ -73,9 +158,10 @@ export const updateSeller = async (req, res, next) => {
  */
 export const listSellers = async (req, res, next) => {
   try {
-    const { status, limit, page } = req.query;
+    const { search, status, limit, page } = req.query;
 
     const result = await sellerService.listSellers({
+      search,
       status,
       limit: limit ? parseInt(limit, 10) : 50,
       page: page ? parseInt(page, 10) : 1,
@@ -99,7 +185,7 @@ export const getSellerQuote = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const quote = await sellerService.getSellerQuote(id);
+    const quote = await sellerService.getSellerQuote(id, req.user);
 
     res.json({
       success: true,
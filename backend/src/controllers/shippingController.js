@@ -1,6 +1,8 @@
 import shippingService from '../services/shippingService.js';
+import packingService from '../services/packingService.js';
 import logger from '../../config/logger.js';
 import { ApiError } from '../middleware/errorHandler.js';
+import { isDomesticAddress } from '../utils/address.js';
 
 /**
  * Shipping Controller
@@ -20,7 +22,7 @@ export async function calculateShippingRates(req, res, next) {
       throw new ApiError('destinationAddress is required', 400);
     }
 
-    if (!destinationAddress.state) {
+    if (isDomesticAddress(destinationAddress) && !destinationAddress.state) {
       throw new ApiError('Destination address must include state', 400);
     }
 
@@ -32,6 +34,7 @@ export async function calculateShippingRates(req, res, next) {
 
     logger.info('Shipping rates calculated via API', {
       destinationState: destinationAddress.state,
+      destinationCountry: destinationAddress.country,
       itemCount: items?.length || 0,
     });
 
@@ -50,13 +53,17 @@ export async function calculateShippingRates(req, res, next) {
  */
 export async function getZoneForAddress(req, res, next) {
   try {
-    const { state } = req.query;
+    const { state, country, postalCode } = req.query;
 
-    if (!state) {
-      throw new ApiError('state is required', 400);
+    if (!state && !country && !postalCode) {
+      throw new ApiError('state, country or postalCode is required', 400);
     }
 
-    const zone = await shippingService.getZoneForAddress({ state });
+    const zone = await shippingService.getZoneForAddress({
+      state,
+      country,
+      postalCode,
+    });
 
     if (!zone) {
       throw new ApiError('No shipping zone found for address', 404);
@@ -99,6 +106,23 @@ export async function listShippingZones(req, res, next) {
   }
 }
 
+/**
+ * Report states and ZIP3 prefixes with no zone or overlapping zones (admin)
+ * GET /api/v1/shipping/zones/coverage
+ */
+export async function getZoneCoverage(req, res, next) {
+  try {
+    const report = await shippingService.getZoneCoverageReport();
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Get shipping zone by ID (admin)
  * GET /api/v1/shipping/zones/:zoneId
@@ -128,15 +152,30 @@ export async function getShippingZone(req, res, next) {
  */
 export async function createShippingZone(req, res, next) {
   try {
-    const { name, statesIncluded, priority, description, isActive } = req.body;
+    const {
+      name,
+      statesIncluded,
+      countriesIncluded,
+      postalCodePatterns,
+      zipRanges,
+      priority,
+      description,
+      isActive,
+    } = req.body;
 
-    if (!name || !statesIncluded || !Array.isArray(statesIncluded)) {
-      throw new ApiError('name and statesIncluded (array) are required', 400);
+    if (!name || (!statesIncluded && !countriesIncluded && !zipRanges)) {
+      throw new ApiError(
+        'name and statesIncluded, countriesIncluded or zipRanges (array) are required',
+        400
+      );
     }
 
     const zone = await shippingService.createShippingZone({
       name,
       statesIncluded,
+      countriesIncluded,
+      postalCodePatterns,
+      zipRanges,
       priority: priority ?? 0,
       description,
       isActive: isActive !== false,
@@ -161,11 +200,23 @@ export async function createShippingZone(req, res, next) {
 export async function updateShippingZone(req, res, next) {
   try {
     const { zoneId } = req.params;
-    const { name, statesIncluded, priority, description, isActive } = req.body;
+    const {
+      name,
+      statesIncluded,
+      countriesIncluded,
+      postalCodePatterns,
+      zipRanges,
+      priority,
+      description,
+      isActive,
+    } = req.body;
 
     const zone = await shippingService.updateShippingZone(zoneId, {
       name,
       statesIncluded,
+      countriesIncluded,
+      postalCodePatterns,
+      zipRanges,
       priority,
       description,
       isActive,
@@ -383,3 +434,126 @@ export async function deleteShippingRate(req, res, next) {
     next(error);
   }
 }
+
+/**
+ * List mailer boxes in the packing catalogue (admin)
+ * GET /api/v1/shipping/boxes
+ */
+export async function listShippingBoxes(req, res, next) {
+  try {
+    const { isActive } = req.query;
+
+    const filters = {};
+    if (isActive !== undefined) {
+      filters.isActive = isActive === 'true';
+    }
+
+    const boxes = await packingService.listBoxes(filters);
+
+    res.json({
+      success: true,
+      data: boxes,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Add a mailer box to the packing catalogue (admin)
+ * POST /api/v1/shipping/boxes
+ */
+export async function createShippingBox(req, res, next) {
+  try {
+    const {
+      name,
+      capacity,
+      lengthIn,
+      widthIn,
+      heightIn,
+      emptyWeightOz,
+      isActive,
+    } = req.body;
+
+    const box = await packingService.createBox({
+      name,
+      capacity,
+      lengthIn,
+      widthIn,
+      heightIn,
+      emptyWeightOz,
+      isActive,
+    });
+
+    logger.info('Shipping box created via API', { boxId: box.id, name });
+
+    res.status(201).json({
+      success: true,
+      data: box,
+      message: 'Shipping box created',
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a mailer box (admin)
+ * PUT /api/v1/shipping/boxes/:boxId
+ */
+export async function updateShippingBox(req, res, next) {
+  try {
+    const { boxId } = req.params;
+    const {
+      name,
+      capacity,
+      lengthIn,
+      widthIn,
+      heightIn,
+      emptyWeightOz,
+      isActive,
+    } = req.body;
+
+    const box = await packingService.updateBox(boxId, {
+      name,
+      capacity,
+      lengthIn,
+      widthIn,
+      heightIn,
+      emptyWeightOz,
+      isActive,
+    });
+
+    logger.info('Shipping box updated via API', { boxId });
+
+    res.json({
+      success: true,
+      data: box,
+      message: 'Shipping box updated',
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a mailer box (admin)
+ * DELETE /api/v1/shipping/boxes/:boxId
+ */
+export async function deleteShippingBox(req, res, next) {
+  try {
+    const { boxId } = req.params;
+
+    const deleted = await packingService.deleteBox(boxId);
+
+    logger.info('Shipping box deleted via API', { boxId });
+
+    res.json({
+      success: true,
+      data: deleted,
+      message: 'Shipping box deleted',
+    });
+  } catch (error) {
+    next(error);
+  }
+}
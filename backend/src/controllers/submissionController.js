@@ -1,4 +1,5 @@
 import submissionService from '../services/submissionService.js';
+import collectionImportService from '../services/collectionImportService.js';
 import logger from '../../config/logger.js';
 
 /**
@@ -132,3 +133,41 @@ export const getSubmissionHistory = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * POST /api/v1/submissions/:sellerId/import
+ * Bulk-add a Discogs collection (export CSV or username) to a submission
+ * CSV bodies take their options from the query string
+ */
+export const importCollection = async (req, res, next) => {
+  try {
+    const { sellerId } = req.params;
+    const csvUpload = typeof req.body === 'string';
+    const input = csvUpload ? req.query : { ...req.query, ...req.body };
+    const flag = (value, fallback) =>
+      value === undefined ? fallback : value === true || value === 'true';
+
+    const result = await collectionImportService.importCollection(
+      sellerId,
+      {
+        csv: csvUpload ? req.body : input.csv,
+        discogsUsername: input.discogsUsername,
+      },
+      {
+        defaultConditionMedia: input.defaultConditionMedia,
+        defaultConditionSleeve: input.defaultConditionSleeve,
+        useCollectionConditions: flag(input.useCollectionConditions, true),
+        preview: flag(input.preview, false),
+      },
+      req.user
+    );
+
+    res.status(result.preview ? 200 : 201).json({
+      success: true,
+      data: result,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
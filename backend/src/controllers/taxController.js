@@ -0,0 +1,215 @@
+import taxService from '../services/taxService.js';
+
+/**
+ * GET /api/v1/admin/tax/jurisdictions
+ * State rates and shippable states without a rate
+ */
+export const listJurisdictions = async (req, res, next) => {
+  try {
+    const result = await taxService.listJurisdictions();
+
+    res.json({
+      success: true,
+      data: result,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/v1/admin/tax/jurisdictions/:state
+ * Create or update a state rate
+ */
+export const upsertJurisdiction = async (req, res, next) => {
+  try {
+    const jurisdiction = await taxService.upsertJurisdiction(
+      req.params.state,
+      req.body
+    );
+
+    res.json({
+      success: true,
+      data: jurisdiction,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/v1/admin/tax/jurisdictions/:state
+ * Stop collecting tax for a state
+ */
+export const deleteJurisdiction = async (req, res, next) => {
+  try {
+    await taxService.deleteJurisdiction(req.params.state);
+
+    res.json({
+      success: true,
+      message: 'Tax jurisdiction deleted',
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/v1/admin/tax/zip-rates
+ * ZIP-level local rates
+ */
+export const listZipRates = async (req, res, next) => {
+  try {
+    const { state, page, limit } = req.query;
+
+    const result = await taxService.listZipRates({ state, page, limit });
+
+    res.json({
+      success: true,
+      data: result,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/v1/admin/tax/zip-rates/:zipCode
+ * Create or update a ZIP-level local rate
+ */
+export const upsertZipRate = async (req, res, next) => {
+  try {
+    const zipRate = await taxService.upsertZipRate(
+      req.params.zipCode,
+      req.body
+    );
+
+    res.json({
+      success: true,
+      data: zipRate,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/v1/admin/tax/zip-rates/:zipCode
+ * Remove a ZIP-level local rate
+ */
+export const deleteZipRate = async (req, res, next) => {
+  try {
+    await taxService.deleteZipRate(req.params.zipCode);
+
+    res.json({
+      success: true,
+      message: 'Tax ZIP rate deleted',
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/v1/admin/tax/import/:table
+ * Import jurisdictions or ZIP rates from CSV (text/csv body, or JSON {csv})
+ */
+export const importTaxTable = async (req, res, next) => {
+  try {
+    const csvText = typeof req.body === 'string' ? req.body : req.body?.csv;
+
+    const result = await taxService.importCsv(req.params.table, csvText);
+
+    res.json({
+      success: true,
+      data: result,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/v1/admin/tax/exemptions
+ * Buyer exemption certificates
+ */
+export const listExemptions = async (req, res, next) => {
+  try {
+    const exemptions = await taxService.listExemptions();
+
+    res.json({
+      success: true,
+      data: exemptions,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/v1/admin/tax/exemptions/:buyerEmail
+ * Record or update a buyer's exemption certificate
+ */
+export const upsertExemption = async (req, res, next) => {
+  try {
+    const exemption = await taxService.upsertExemption(
+      req.params.buyerEmail,
+      req.body,
+      req.user?.id
+    );
+
+    res.json({
+      success: true,
+      data: exemption,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/v1/admin/tax/exemptions/:buyerEmail
+ * Remove a buyer's exemption
+ */
+export const deleteExemption = async (req, res, next) => {
+  try {
+    await taxService.deleteExemption(req.params.buyerEmail);
+
+    res.json({
+      success: true,
+      message: 'Tax exemption deleted',
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/v1/admin/tax/report
+ * Tax collected per state for a filing period
+ */
+export const getTaxReport = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const report = await taxService.getTaxReport({ startDate, endDate });
+
+    res.json({
+      success: true,
+      data: report,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
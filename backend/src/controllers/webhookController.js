@@ -1,4 +1,5 @@
 import shippingService from '../services/shippingService.js';
+import carrierWebhookService from '../services/carrierWebhookService.js';
 import logger from '../../config/logger.js';
 import { ApiError } from '../middleware/errorHandler.js';
 
@@ -10,63 +11,34 @@ import { ApiError } from '../middleware/errorHandler.js';
 /**
  * Receive carrier webhook events
  * POST /api/v1/webhooks/shipping/carrier-events
+ * Every webhook is recorded; bad signatures get 401. Events that fail to
+ * apply are still acknowledged (carriers would only retry them) and can be
+ * replayed from the admin view.
  */
 export async function receiveCarrierWebhook(req, res, next) {
   try {
-    const { headers, body } = req;
-
-    // Get signature from header (varies by carrier)
-    const signature =
-      headers['x-carrier-signature'] ||
-      headers['stripe-signature'] ||
-      headers['shippo-signature'];
-
-    if (!signature) {
-      logger.warn('Webhook received without signature');
-      // Still process for development, but log warning
-    }
+    const webhook = await carrierWebhookService.receive({
+      provider: req.query.provider,
+      headers: req.headers,
+      rawBody: req.rawBody,
+      body: req.body,
+    });
 
-    // Validate signature if present
-    if (signature) {
-      const isValid = await shippingService.validateWebhookSignature(
-        signature,
-        body
-      );
-
-      if (!isValid) {
-        logger.error('Invalid webhook signature', { signature });
-        throw new ApiError('Invalid webhook signature', 401);
-      }
+    if (webhook.outcome === 'REJECTED') {
+      throw new ApiError('Invalid webhook signature', 401);
     }
 
-    // Process the webhook
-    const result = await shippingService.processCarrierWebhook(body);
-
-    logger.info('Carrier webhook processed', {
-      eventType: body.type || body.status,
-      trackingNumber: body.tracking_number || body.id,
-    });
-
-    // Return 200 OK immediately to acknowledge receipt
     res.status(200).json({
       success: true,
       message: 'Webhook acknowledged',
+      data: {
+        webhookId: webhook.id,
+        outcome: webhook.outcome,
+      },
       acknowledgementId: req.id,
     });
   } catch (error) {
-    // Log error but still return 200 to prevent carrier retries
-    logger.error('Error processing carrier webhook', {
-      error: error.message,
-      body: req.body,
-    });
-
-    // Return 200 to prevent infinite retries from carrier
-    res.status(200).json({
-      success: false,
-      message: 'Webhook acknowledged but with errors',
-      error: error.message,
-      acknowledgementId: req.id,
-    });
+    next(error);
   }
 }
 
@@ -82,6 +54,72 @@ export async function webhookHealth(req, res) {
   });
 }
 
+/**
+ * GET /api/v1/admin/shipping/webhooks
+ * Received carrier webhooks with outcome counts
+ */
+export async function listCarrierWebhooks(req, res, next) {
+  try {
+    const { provider, outcome, trackingNumber, eventId, limit, page } =
+      req.query;
+
+    const result = await carrierWebhookService.listEvents({
+      provider,
+      outcome,
+      trackingNumber,
+      eventId,
+      limit: limit ? Math.min(parseInt(limit, 10), 500) : 50,
+      page: page ? parseInt(page, 10) : 1,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/v1/admin/shipping/webhooks/:webhookId
+ * A received webhook with headers, raw body and parsed event
+ */
+export async function getCarrierWebhook(req, res, next) {
+  try {
+    const webhook = await carrierWebhookService.getEvent(req.params.webhookId);
+
+    res.json({
+      success: true,
+      data: webhook,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/v1/admin/shipping/webhooks/:webhookId/replay
+ * Process a recorded webhook again
+ */
+export async function replayCarrierWebhook(req, res, next) {
+  try {
+    const webhook = await carrierWebhookService.replayEvent(
+      req.params.webhookId
+    );
+
+    res.json({
+      success: true,
+      data: webhook,
+      requestId: req.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Simulate carrier webhook for testing
  * POST /api/v1/webhooks/shipping/simulate
@@ -107,7 +145,9 @@ export async function simulateCarrierWebhook(req, res, next) {
     };
 
     // Process as if it came from carrier
-    const result = await shippingService.processCarrierWebhook(mockPayload);
+    const result = await shippingService.processCarrierWebhook(
+      carrierWebhookService.parseEvent('generic', mockPayload)
+    );
 
     logger.info('Simulated carrier webhook', {
       trackingNumber,
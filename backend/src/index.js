@@ -19,9 +19,19 @@ import sellersRoutes from './routes/sellers.js';
 import submissionsRoutes from './routes/submissions.js';
 import adminRoutes from './routes/admin.js';
 import adminPreferencesRoutes from './routes/adminPreferences.js';
+import adminRecommendationsRoutes from './routes/adminRecommendations.js';
+import adminNotificationsRoutes from './routes/adminNotifications.js';
+import adminReturnsRoutes from './routes/adminReturns.js';
+import adminTaxRoutes from './routes/adminTax.js';
+import adminPromotionsRoutes from './routes/adminPromotions.js';
+import adminPayoutsRoutes from './routes/adminPayouts.js';
+import adminMarketRoutes from './routes/adminMarket.js';
+import adminShippingWebhooksRoutes from './routes/adminShippingWebhooks.js';
+import notificationsRoutes from './routes/notifications.js';
 import inventoryRoutes from './routes/inventory.js';
 import buyerRoutes from './routes/buyer.js';
 import checkoutRoutes from './routes/checkout.js';
+import returnsRoutes from './routes/returns.js';
 import reservationRoutes from './routes/reservations.js';
 import shippingRoutes from './routes/shipping.js';
 import fulfillmentRoutes from './routes/fulfillment.js';
@@ -167,6 +177,33 @@ app.use('/api/v1/admin/submissions', adminRoutes);
 // Admin preferences routes (table column visibility)
 app.use('/api/v1/admin/preferences', adminPreferencesRoutes);
 
+// Admin recommendation A/B reporting routes
+app.use('/api/v1/admin/recommendations', adminRecommendationsRoutes);
+
+// Admin notification outbox routes
+app.use('/api/v1/admin/notifications', adminNotificationsRoutes);
+
+// Admin returns (RMA) review routes
+app.use('/api/v1/admin/returns', adminReturnsRoutes);
+
+// Admin sales tax tables, exemptions and reporting routes
+app.use('/api/v1/admin/tax', adminTaxRoutes);
+
+// Admin promo codes and redemption reporting routes
+app.use('/api/v1/admin/promotions', adminPromotionsRoutes);
+
+// Admin seller payout ledger and batch routes
+app.use('/api/v1/admin/payouts', adminPayoutsRoutes);
+
+// Admin market price history and trend alert routes
+app.use('/api/v1/admin/market', adminMarketRoutes);
+
+// Admin carrier webhook inspection and replay routes
+app.use('/api/v1/admin/shipping/webhooks', adminShippingWebhooksRoutes);
+
+// In-app notification inbox routes
+app.use('/api/v1/notifications', notificationsRoutes);
+
 // Inventory routes
 app.use('/api/v1/inventory', inventoryRoutes);
 
@@ -176,6 +213,9 @@ app.use('/api/v1/buyer', buyerRoutes);
 // Checkout and orders routes
 app.use('/api/v1/checkout', checkoutRoutes);
 
+// Buyer returns (RMA) routes
+app.use('/api/v1/returns', returnsRoutes);
+
 // Inventory reservation routes
 app.use('/api/v1/inventory/reserves', reservationRoutes);
 
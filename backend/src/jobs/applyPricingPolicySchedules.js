@@ -0,0 +1,112 @@
+import cron from 'node-cron';
+import logger from '../../config/logger.js';
+import pricingPolicyScheduleService from '../services/pricingPolicyScheduleService.js';
+
+/**
+ * Background job to activate and expire scheduled pricing policy versions
+ * Runs every 5 minutes by default
+ * Activates versions whose effectiveFrom has passed and expires versions past
+ * effectiveUntil, restoring the version they replaced; see
+ * pricingPolicyScheduleService.applySchedules
+ */
+class ApplyPricingPolicySchedulesJob {
+  constructor() {
+    this.task = null;
+    this.isRunning = false;
+    this.lastRunAt = null;
+    this.lastResult = null;
+  }
+
+  /**
+   * Start the background job
+   * @param {string} schedule - Cron schedule expression (default: every 5 minutes)
+   */
+  start(schedule = '*/5 * * * *') {
+    if (this.task) {
+      logger.warn('Policy schedule job already running');
+      return;
+    }
+
+    try {
+      this.task = cron.schedule(schedule, async () => {
+        await this.execute();
+      });
+
+      logger.info('Policy schedule job started', {
+        schedule,
+      });
+    } catch (error) {
+      logger.error('Error starting policy schedule job', {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Stop the background job
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task.destroy();
+      this.task = null;
+      logger.info('Policy schedule job stopped');
+    }
+  }
+
+  /**
+   * Execute the schedule run
+   */
+  async execute() {
+    if (this.isRunning) {
+      logger.debug(
+        'Policy schedule job already running, skipping this execution'
+      );
+      return;
+    }
+
+    this.isRunning = true;
+    const startTime = Date.now();
+
+    try {
+      const result = await pricingPolicyScheduleService.applySchedules();
+
+      this.lastRunAt = new Date();
+      this.lastResult = {
+        activated: result.activated.length,
+        expired: result.expired.length,
+        reverted: result.reverted.length,
+        failed: result.errors.length,
+      };
+
+      if (this.lastResult.activated > 0 || this.lastResult.expired > 0) {
+        logger.info('Policy schedule job completed', {
+          ...this.lastResult,
+          duration: `${Date.now() - startTime}ms`,
+        });
+      }
+    } catch (error) {
+      logger.error('Error during policy schedule job execution', {
+        error: error.message,
+        stack: error.stack,
+      });
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isActive: this.task !== null,
+      isRunning: this.isRunning,
+      lastRunAt: this.lastRunAt,
+      lastResult: this.lastResult,
+    };
+  }
+}
+
+// Export singleton instance
+export default new ApplyPricingPolicySchedulesJob();
@@ -0,0 +1,108 @@
+import cron from 'node-cron';
+import logger from '../../config/logger.js';
+import inventoryService from '../services/inventoryService.js';
+
+/**
+ * Background job to mark down aged inventory
+ * Runs nightly at 03:00 by default
+ * Applies the active SELLER policy's markdown schedule to LIVE lots; see
+ * inventoryService.applyScheduledMarkdowns for the floor and opt-out rules
+ */
+class ApplyScheduledMarkdownsJob {
+  constructor() {
+    this.task = null;
+    this.isRunning = false;
+    this.lastRunAt = null;
+    this.lastResult = null;
+  }
+
+  /**
+   * Start the background job
+   * @param {string} schedule - Cron schedule expression (default: daily at 03:00)
+   */
+  start(schedule = '0 3 * * *') {
+    if (this.task) {
+      logger.warn('Markdown job already running');
+      return;
+    }
+
+    try {
+      this.task = cron.schedule(schedule, async () => {
+        await this.execute();
+      });
+
+      logger.info('Scheduled markdowns job started', {
+        schedule,
+      });
+    } catch (error) {
+      logger.error('Error starting markdown job', {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Stop the background job
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task.destroy();
+      this.task = null;
+      logger.info('Scheduled markdowns job stopped');
+    }
+  }
+
+  /**
+   * Execute the markdown run
+   */
+  async execute() {
+    if (this.isRunning) {
+      logger.debug('Markdown job already running, skipping this execution');
+      return;
+    }
+
+    this.isRunning = true;
+    const startTime = Date.now();
+
+    try {
+      const result = await inventoryService.applyScheduledMarkdowns();
+
+      this.lastRunAt = new Date();
+      this.lastResult = {
+        applied: result.applied,
+        policyName: result.policyName,
+        message: result.message,
+        ...result.summary,
+        failed: result.errors?.length || 0,
+      };
+
+      logger.info('Markdown job completed', {
+        ...this.lastResult,
+        duration: `${Date.now() - startTime}ms`,
+      });
+    } catch (error) {
+      logger.error('Error during markdown job execution', {
+        error: error.message,
+        stack: error.stack,
+      });
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isActive: this.task !== null,
+      isRunning: this.isRunning,
+      lastRunAt: this.lastRunAt,
+      lastResult: this.lastResult,
+    };
+  }
+}
+
+// Export singleton instance
+export default new ApplyScheduledMarkdownsJob();
@@ -0,0 +1,104 @@
+import cron from 'node-cron';
+import logger from '../../config/logger.js';
+import notificationService from '../services/notificationService.js';
+
+/**
+ * Background job to deliver queued notifications
+ * Runs every minute by default
+ * Sends due email/webhook notifications from the outbox; failures are
+ * rescheduled with backoff by the notification service
+ */
+class DispatchNotificationsJob {
+  constructor() {
+    this.task = null;
+    this.isRunning = false;
+    this.lastRunAt = null;
+    this.lastResult = null;
+  }
+
+  /**
+   * Start the background job
+   * @param {string} schedule - Cron schedule expression (default: every minute)
+   */
+  start(schedule = '* * * * *') {
+    if (this.task) {
+      logger.warn('Notification dispatch job already running');
+      return;
+    }
+
+    try {
+      this.task = cron.schedule(schedule, async () => {
+        await this.execute();
+      });
+
+      logger.info('Notification dispatch job started', {
+        schedule,
+      });
+    } catch (error) {
+      logger.error('Error starting notification dispatch job', {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Stop the background job
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task.destroy();
+      this.task = null;
+      logger.info('Notification dispatch job stopped');
+    }
+  }
+
+  /**
+   * Execute the dispatch logic
+   */
+  async execute() {
+    if (this.isRunning) {
+      logger.debug('Notification dispatch already running, skipping');
+      return;
+    }
+
+    this.isRunning = true;
+    const startTime = Date.now();
+
+    try {
+      const result = await notificationService.dispatchPending();
+
+      this.lastRunAt = new Date();
+      this.lastResult = result;
+
+      if (result.processed > 0) {
+        logger.info('Notification dispatch job completed', {
+          ...result,
+          duration: `${Date.now() - startTime}ms`,
+        });
+      }
+    } catch (error) {
+      logger.error('Error during notification dispatch job execution', {
+        error: error.message,
+        stack: error.stack,
+      });
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isActive: this.task !== null,
+      isRunning: this.isRunning,
+      lastRunAt: this.lastRunAt,
+      lastResult: this.lastResult,
+    };
+  }
+}
+
+// Export singleton instance
+export default new DispatchNotificationsJob();
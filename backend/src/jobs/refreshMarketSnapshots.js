@@ -0,0 +1,109 @@
+import cron from 'node-cron';
+import logger from '../../config/logger.js';
+import marketSnapshotService from '../services/marketSnapshotService.js';
+
+/**
+ * Background job to refresh market snapshots
+ * Runs every 6 hours by default
+ * Re-fetches Discogs and eBay price statistics for the most stale, most
+ * valuable releases with LIVE inventory or open submissions; see
+ * marketSnapshotService.refreshSnapshots for selection and throttling
+ */
+class RefreshMarketSnapshotsJob {
+  constructor() {
+    this.task = null;
+    this.isRunning = false;
+    this.lastRunAt = null;
+    this.lastResult = null;
+  }
+
+  /**
+   * Start the background job
+   * @param {string} schedule - Cron schedule expression (default: every 6 hours)
+   */
+  start(schedule = '0 */6 * * *') {
+    if (this.task) {
+      logger.warn('Market refresh job already running');
+      return;
+    }
+
+    try {
+      this.task = cron.schedule(schedule, async () => {
+        await this.execute();
+      });
+
+      logger.info('Market refresh job started', {
+        schedule,
+      });
+    } catch (error) {
+      logger.error('Error starting market refresh job', {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Stop the background job
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task.destroy();
+      this.task = null;
+      logger.info('Market refresh job stopped');
+    }
+  }
+
+  /**
+   * Execute the refresh run
+   */
+  async execute() {
+    if (this.isRunning) {
+      logger.debug(
+        'Market refresh job already running, skipping this execution'
+      );
+      return;
+    }
+
+    this.isRunning = true;
+    const startTime = Date.now();
+
+    try {
+      const { errors, ...summary } =
+        await marketSnapshotService.refreshSnapshots();
+
+      this.lastRunAt = new Date();
+      this.lastResult = {
+        ...summary,
+        lastError: errors[errors.length - 1]?.error || null,
+      };
+
+      logger.info('Market refresh job completed', {
+        ...this.lastResult,
+        duration: `${Date.now() - startTime}ms`,
+      });
+    } catch (error) {
+      logger.error('Error during market refresh job execution', {
+        error: error.message,
+        stack: error.stack,
+      });
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isActive: this.task !== null,
+      isRunning: this.isRunning,
+      lastRunAt: this.lastRunAt,
+      lastResult: this.lastResult,
+    };
+  }
+}
+
+// Export singleton instance
+export default new RefreshMarketSnapshotsJob();
@@ -64,8 +64,13 @@ export const authenticate = async (req, res, next) => {
   }
 
   // Allow seller submission without authentication
-  // Sellers who just registered need to submit items
-  if (req.path.startsWith('/api/v1/submissions/') && req.method === 'POST') {
+  // Sellers who just registered need to submit items; collection imports
+  // read Discogs accounts and need a logged-in seller
+  if (
+    req.path.startsWith('/api/v1/submissions/') &&
+    req.method === 'POST' &&
+    !/\/import\/?$/.test(req.path)
+  ) {
     return next();
   }
 
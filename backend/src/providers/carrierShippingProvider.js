@@ -0,0 +1,304 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import ShippingProviderInterface from './shippingProviderInterface.js';
+import { normalizeAddress } from '../utils/address.js';
+
+/**
+ * Shipping methods by carrier service name, checked in order; services
+ * matching neither (ground, media mail, first class) are STANDARD
+ */
+const SERVICE_METHODS = [
+  [
+    /overnight|next_?day|priority_?express|^express$|express_?mail/i,
+    'OVERNIGHT',
+  ],
+  [/2_?day|2nd_?day|3_?day|priority|express/i, 'EXPRESS'],
+];
+
+/**
+ * LP mailer used when the shipment has no dimensions (inches)
+ */
+const DEFAULT_PARCEL = { length: 13, width: 13, height: 2 };
+
+/**
+ * Base class for HTTP carrier aggregators (EasyPost, Shippo)
+ * Holds the API client, error handling and the mapping from provider rates
+ * to our shipping methods and carriers; subclasses speak the provider's API.
+ */
+export default class CarrierShippingProvider extends ShippingProviderInterface {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.name - Provider name used in errors and metadata
+   * @param {string} options.baseURL - API base URL
+   * @param {Object} options.headers - Auth headers
+   * @param {number} options.timeoutMs - Request timeout
+   * @param {string} options.labelFormat - PDF, PNG or ZPL
+   * @param {string} options.customsSigner - Name certifying customs forms
+   * @param {Function} options.adapter - Axios adapter (replays fixtures in tests)
+   */
+  constructor(options) {
+    super();
+    this.name = options.name;
+    this.labelFormat = options.labelFormat || 'PDF';
+    this.customsSigner = options.customsSigner || 'Shipping Department';
+    this.client = axios.create({
+      baseURL: options.baseURL,
+      timeout: options.timeoutMs || 10000,
+      headers: { 'Content-Type': 'application/json', ...options.headers },
+      ...(options.adapter && { adapter: options.adapter }),
+    });
+  }
+
+  /**
+   * Quote rates and pick the cheapest one for the shipping method
+   * @param {Object} shipmentData - { orderId, fromAddress, toAddress, weight, dimensions, shippingMethod, carrier?, customsDeclaration? }
+   * @returns {Promise<Object>} { id, rateId, carrier, cost, deliveryDays, metadata }
+   */
+  async createShipment(shipmentData) {
+    const rates = await this.getRates(
+      shipmentData.fromAddress,
+      shipmentData.toAddress,
+      shipmentData
+    );
+    const rate = this.selectRate(
+      rates,
+      shipmentData.shippingMethod,
+      shipmentData.carrier
+    );
+    if (!rate) {
+      throw new Error(
+        `${this.name} has no ${shipmentData.shippingMethod} rate for this shipment`
+      );
+    }
+
+    return {
+      id: rate.providerShipmentId,
+      rateId: rate.rateId,
+      carrier: rate.carrier,
+      cost: rate.cost,
+      deliveryDays: rate.deliveryDays,
+      trackingNumber: null,
+      metadata: this.rateMetadata(rate),
+    };
+  }
+
+  /**
+   * The provider shipment and rate to buy for a shipment record, quoting
+   * again when the shipment was created without them
+   * @param {Object} shipment - Shipment record
+   * @returns {Promise<Object>} { providerShipmentId, rateId, metadata }
+   */
+  async quotedRate(shipment) {
+    if (shipment.providerShipmentId && shipment.providerRateId) {
+      return {
+        providerShipmentId: shipment.providerShipmentId,
+        rateId: shipment.providerRateId,
+        metadata: {},
+      };
+    }
+
+    const quote = await this.createShipment({
+      orderId: shipment.orderId,
+      fromAddress: shipment.fromAddress,
+      toAddress: shipment.toAddress,
+      weight: shipment.weightOz,
+      dimensions: shipment.dimensions,
+      shippingMethod: shipment.shippingMethod,
+      carrier: shipment.carrier,
+      customsDeclaration: shipment.customsDeclaration,
+    });
+    return {
+      providerShipmentId: quote.id,
+      rateId: quote.rateId,
+      metadata: quote.metadata,
+    };
+  }
+
+  /**
+   * Cheapest rate for a shipping method, preferring the given carrier
+   * @param {Array<Object>} rates - Rates from getRates
+   * @param {string} method - STANDARD, EXPRESS or OVERNIGHT
+   * @param {string} [carrier] - Preferred carrier (ignored when it has no rate)
+   * @returns {Object|null} Rate
+   */
+  selectRate(rates, method, carrier) {
+    const forMethod = rates.filter((rate) => rate.method === method);
+    const preferred = forMethod.filter((rate) => rate.carrier === carrier);
+    const candidates = preferred.length > 0 ? preferred : forMethod;
+
+    return candidates.reduce(
+      (best, rate) => (!best || rate.cost < best.cost ? rate : best),
+      null
+    );
+  }
+
+  /**
+   * Cheapest rate for a return label, trying faster methods only when
+   * there is no standard rate
+   * @param {Array<Object>} rates - Rates from getRates
+   * @returns {Object|null} Rate
+   */
+  selectReturnRate(rates) {
+    return (
+      this.selectRate(rates, 'STANDARD') ||
+      this.selectRate(rates, 'EXPRESS') ||
+      this.selectRate(rates, 'OVERNIGHT')
+    );
+  }
+
+  /**
+   * What we keep about a rate in shipments.provider_metadata
+   */
+  rateMetadata(rate) {
+    return {
+      provider: this.name,
+      service: rate.service,
+      rate: rate.cost,
+      currency: rate.currency,
+      deliveryDays: rate.deliveryDays,
+    };
+  }
+
+  /**
+   * Shipping method for a carrier service name
+   * @param {string} service - e.g. "Priority", "usps_media_mail", "FEDEX_2_DAY"
+   * @returns {string} STANDARD, EXPRESS or OVERNIGHT
+   */
+  methodForService(service) {
+    const match = SERVICE_METHODS.find(([pattern]) =>
+      pattern.test(service || '')
+    );
+    return match ? match[1] : 'STANDARD';
+  }
+
+  /**
+   * ShippingCarrier value for a provider carrier name
+   * @param {string} carrier - e.g. "USPS", "FedEx", "DHLExpress", "dhl_express"
+   * @returns {string|null} USPS, UPS, FEDEX or DHL; null for other carriers
+   */
+  carrierCode(carrier) {
+    const code = String(carrier || '')
+      .toUpperCase()
+      .replace(/[^A-Z]/g, '');
+    if (code.startsWith('DHL')) return 'DHL';
+    return ['USPS', 'UPS', 'FEDEX'].includes(code) ? code : null;
+  }
+
+  /**
+   * Our address shape (line1/street, postalCode/zip) as the street1/zip
+   * fields both providers use
+   */
+  toProviderAddress(address) {
+    const normalized = normalizeAddress(address) || {};
+    return {
+      name: normalized.name || normalized.fullName,
+      company: normalized.company,
+      street1: normalized.street1 || normalized.line1 || normalized.street,
+      street2: normalized.street2 || normalized.line2,
+      city: normalized.city,
+      state: normalized.state,
+      zip: normalized.postalCode,
+      country: normalized.country,
+      phone: normalized.phone,
+      email: normalized.email,
+    };
+  }
+
+  /**
+   * Parcel size in inches, from shipment dimensions or the LP mailer default
+   */
+  parcelDimensions(dimensions) {
+    return { ...DEFAULT_PARCEL, ...(dimensions || {}) };
+  }
+
+  /**
+   * "City, ST 12345, US" from a provider tracking location
+   * @param {Object} location - { city, state, zip, country }
+   * @returns {string|null} Location label
+   */
+  formatLocation(location) {
+    return CarrierShippingProvider.formatLocation(location);
+  }
+
+  static formatLocation(location) {
+    if (!location) return null;
+    const region = [location.state, location.zip].filter(Boolean).join(' ');
+    const place = [location.city, region].filter(Boolean).join(', ');
+    return [place, location.country].filter(Boolean).join(', ') || null;
+  }
+
+  /**
+   * Hex HMAC-SHA256 of a webhook payload
+   * @param {string} secret - Webhook signing secret
+   * @param {string} payload - Signed content (raw body, or timestamp.body)
+   * @returns {string} Hex digest
+   */
+  static hmacHex(secret, payload) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(payload, 'utf8')
+      .digest('hex');
+  }
+
+  /**
+   * Constant-time comparison of a received signature with the expected one
+   * @param {string} received - Signature from the request
+   * @param {string} expected - Signature we computed
+   * @returns {boolean} True when they match
+   */
+  static signaturesMatch(received, expected) {
+    if (typeof received !== 'string' || typeof expected !== 'string') {
+      return false;
+    }
+    const a = Buffer.from(received.trim());
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  /**
+   * Whether a signature timestamp is recent enough to rule out replays
+   * @param {string|number} timestamp - Unix timestamp (seconds)
+   * @param {number} toleranceSeconds - Allowed clock difference
+   * @param {number} [now] - Current time (ms), for tests
+   * @returns {boolean} True when within the tolerance
+   */
+  static timestampFresh(timestamp, toleranceSeconds, now = Date.now()) {
+    const seconds = Number(timestamp);
+    if (!Number.isFinite(seconds)) return false;
+    return Math.abs(now / 1000 - seconds) <= toleranceSeconds;
+  }
+
+  /**
+   * Send a request and unwrap the response body; provider errors are
+   * rethrown with the provider's message and HTTP status
+   * @param {string} method - HTTP method
+   * @param {string} url - Path under the base URL
+   * @param {Object} [data] - JSON body
+   * @returns {Promise<Object>} Response body
+   */
+  async request(method, url, data) {
+    try {
+      const response = await this.client.request({ method, url, data });
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status;
+      const detail =
+        this.errorMessage(error.response?.data) || error.message || 'error';
+      const wrapped = new Error(
+        `${this.name} ${method.toUpperCase()} ${url} failed${status ? ` (${status})` : ''}: ${detail}`
+      );
+      wrapped.status = status;
+      wrapped.providerError = error.response?.data;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Human-readable message from a provider error body
+   * @param {Object} body - Error response body
+   * @returns {string|null} Message
+   */
+  errorMessage(body) {
+    return typeof body === 'string' ? body : null;
+  }
+}
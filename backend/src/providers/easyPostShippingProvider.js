@@ -0,0 +1,305 @@
+import CarrierShippingProvider from './carrierShippingProvider.js';
+import logger from '../../config/logger.js';
+
+/**
+ * EasyPost tracker statuses as ShipmentStatus values
+ */
+const TRACKING_STATUSES = {
+  pre_transit: 'LABEL_GENERATED',
+  in_transit: 'IN_TRANSIT',
+  available_for_pickup: 'IN_TRANSIT',
+  out_for_delivery: 'OUT_FOR_DELIVERY',
+  delivered: 'DELIVERED',
+  return_to_sender: 'RETURNED',
+  failure: 'FAILED_DELIVERY',
+  cancelled: 'EXCEPTION',
+  error: 'EXCEPTION',
+};
+
+/**
+ * EasyPost Shipping Provider
+ * Rates, labels, tracking and refunds through the EasyPost v2 API
+ * (https://docs.easypost.com). The API key is sent as the basic auth user.
+ */
+export default class EasyPostShippingProvider extends CarrierShippingProvider {
+  /**
+   * @param {Object} options - { apiKey, baseURL, timeoutMs, labelFormat, customsSigner, adapter }
+   */
+  constructor(options = {}) {
+    if (!options.apiKey) {
+      throw new Error('EASYPOST_API_KEY is required for the EasyPost provider');
+    }
+
+    super({
+      ...options,
+      name: 'easypost',
+      baseURL: options.baseURL || 'https://api.easypost.com/v2',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${options.apiKey}:`).toString('base64')}`,
+      },
+    });
+    logger.info('EasyPostShippingProvider initialized');
+  }
+
+  /**
+   * Create an EasyPost shipment and return its rates
+   * Every rate carries the EasyPost shipment id needed to buy it.
+   */
+  async getRates(fromAddress, toAddress, packageDetails = {}) {
+    const shipment = await this.request('post', '/shipments', {
+      shipment: this._shipmentBody(fromAddress, toAddress, packageDetails),
+    });
+
+    logger.info('EasyPostShippingProvider.getRates', {
+      providerShipmentId: shipment.id,
+      rateCount: shipment.rates?.length || 0,
+    });
+
+    return (shipment.rates || [])
+      .map((rate) => ({
+        method: this.methodForService(rate.service),
+        carrier: this.carrierCode(rate.carrier),
+        service: rate.service,
+        cost: parseFloat(rate.rate),
+        currency: rate.currency,
+        deliveryDays: rate.delivery_days ?? rate.est_delivery_days ?? null,
+        rateId: rate.id,
+        providerShipmentId: shipment.id,
+      }))
+      .filter((rate) => rate.carrier);
+  }
+
+  /**
+   * Buy the shipment's quoted rate (quoting first if it has none)
+   * @param {Object} shipment - Shipment record
+   * @returns {Promise<Object>} Label details with provider ids and metadata
+   */
+  async generateLabel(shipment) {
+    const { providerShipmentId, rateId, metadata } =
+      await this.quotedRate(shipment);
+
+    const bought = await this.request(
+      'post',
+      `/shipments/${providerShipmentId}/buy`,
+      { rate: { id: rateId } }
+    );
+
+    logger.info('EasyPostShippingProvider.generateLabel', {
+      shipmentId: shipment.id,
+      providerShipmentId,
+      trackingNumber: bought.tracking_code,
+    });
+
+    const label = bought.postage_label || {};
+    return {
+      trackingNumber: bought.tracking_code,
+      trackingUrl: bought.tracker?.public_url,
+      labelUrl: label.label_pdf_url || label.label_zpl_url || label.label_url,
+      labelFormat: this.labelFormat,
+      carrier: this.carrierCode(bought.selected_rate?.carrier),
+      providerShipmentId,
+      rateId,
+      metadata: {
+        ...metadata,
+        provider: this.name,
+        labelId: label.id,
+        trackerId: bought.tracker?.id,
+        postage: bought.selected_rate
+          ? parseFloat(bought.selected_rate.rate)
+          : undefined,
+      },
+    };
+  }
+
+  /**
+   * Buy the cheapest standard label from the buyer back to the warehouse
+   */
+  async generateReturnLabel(returnData) {
+    const rates = await this.getRates(
+      returnData.fromAddress,
+      returnData.toAddress,
+      { weight: returnData.weightOz, reference: returnData.rmaNumber }
+    );
+    const rate = this.selectReturnRate(rates);
+    if (!rate) {
+      throw new Error(
+        `${this.name} has no rate for return ${returnData.rmaNumber}`
+      );
+    }
+
+    const bought = await this.request(
+      'post',
+      `/shipments/${rate.providerShipmentId}/buy`,
+      { rate: { id: rate.rateId } }
+    );
+
+    logger.info('EasyPostShippingProvider.generateReturnLabel', {
+      rmaNumber: returnData.rmaNumber,
+      trackingNumber: bought.tracking_code,
+    });
+
+    const label = bought.postage_label || {};
+    return {
+      trackingNumber: bought.tracking_code,
+      carrier: rate.carrier,
+      labelUrl: label.label_pdf_url || label.label_url,
+      labelFormat: this.labelFormat,
+    };
+  }
+
+  /**
+   * Tracking status and events from an EasyPost tracker
+   * (creating a tracker for a known code returns the existing one)
+   */
+  async getTracking(trackingNumber, carrier) {
+    const tracker = await this.request('post', '/trackers', {
+      tracker: {
+        tracking_code: trackingNumber,
+        ...(carrier && carrier !== 'MOCK' && { carrier }),
+      },
+    });
+
+    const events = (tracker.tracking_details || []).map((detail) => ({
+      status: TRACKING_STATUSES[detail.status] || null,
+      statusDetail: detail.status_detail,
+      timestamp: detail.datetime ? new Date(detail.datetime) : null,
+      location: this.formatLocation(detail.tracking_location),
+      message: detail.message,
+    }));
+
+    return {
+      trackingNumber: tracker.tracking_code,
+      status: TRACKING_STATUSES[tracker.status] || null,
+      statusDetail: tracker.status_detail,
+      trackingUrl: tracker.public_url,
+      events,
+      estimatedDelivery: tracker.est_delivery_date
+        ? new Date(tracker.est_delivery_date)
+        : null,
+    };
+  }
+
+  /**
+   * Request a refund for an unused label
+   * @param {Object} shipment - Shipment record with providerShipmentId
+   * @returns {Promise<boolean>} True when the refund was submitted
+   */
+  async voidLabel(shipment) {
+    if (!shipment?.providerShipmentId) {
+      throw new Error('Shipment has no EasyPost shipment id');
+    }
+
+    const refunded = await this.request(
+      'post',
+      `/shipments/${shipment.providerShipmentId}/refund`
+    );
+
+    logger.info('EasyPostShippingProvider.voidLabel', {
+      shipmentId: shipment.id,
+      refundStatus: refunded.refund_status,
+    });
+
+    return ['submitted', 'refunded'].includes(refunded.refund_status);
+  }
+
+  /**
+   * Verify the X-Hmac-Signature header ("hmac-sha256-hex=<digest>") EasyPost
+   * sends with webhooks; the digest covers the raw body and the secret is
+   * NFKD-normalized, as in EasyPost's client libraries
+   * @param {Object} headers - Request headers (lower-case names)
+   * @param {string} rawBody - Raw request body
+   * @param {string} secret - Webhook secret
+   * @returns {boolean} True when the signature matches
+   */
+  static verifyWebhookSignature(headers, rawBody, secret) {
+    const digest = CarrierShippingProvider.hmacHex(
+      secret.normalize('NFKD'),
+      rawBody
+    );
+    return CarrierShippingProvider.signaturesMatch(
+      headers['x-hmac-signature'],
+      `hmac-sha256-hex=${digest}`
+    );
+  }
+
+  /**
+   * Tracking update from an EasyPost webhook Event
+   * tracker.* events carry the whole tracker; the newest tracking detail
+   * supplies the location and event time. The Event id is the carrier event id
+   * (retries reuse it).
+   * @param {Object} body - Webhook body ({ object: 'Event', id, description, result })
+   * @returns {Object} { eventId, eventType, trackingNumber, status, statusDetail, location, message, eventTime }
+   */
+  static parseWebhookEvent(body) {
+    const tracker = body?.result?.object === 'Tracker' ? body.result : null;
+    const details = tracker?.tracking_details || [];
+    const latest = details[details.length - 1] || {};
+    const eventTime =
+      latest.datetime || tracker?.updated_at || body?.created_at;
+
+    return {
+      eventId: body?.id,
+      eventType: body?.description,
+      trackingNumber: tracker?.tracking_code,
+      status: TRACKING_STATUSES[tracker?.status] || null,
+      statusDetail: tracker?.status_detail || latest.status_detail,
+      location: CarrierShippingProvider.formatLocation(
+        latest.tracking_location
+      ),
+      message: latest.message,
+      eventTime: eventTime ? new Date(eventTime) : null,
+    };
+  }
+
+  /**
+   * EasyPost error bodies: { error: { code, message, errors: [...] } }
+   */
+  errorMessage(body) {
+    if (!body?.error) return super.errorMessage(body);
+    const fieldErrors = (body.error.errors || [])
+      .map((e) => e.message || e.field)
+      .filter(Boolean);
+    return [body.error.message, ...fieldErrors].join('; ');
+  }
+
+  /**
+   * Shipment request body with parcel, label format and customs
+   * @private
+   */
+  _shipmentBody(fromAddress, toAddress, packageDetails) {
+    const body = {
+      from_address: this.toProviderAddress(fromAddress),
+      to_address: this.toProviderAddress(toAddress),
+      parcel: {
+        ...this.parcelDimensions(packageDetails.dimensions),
+        weight: packageDetails.weight,
+      },
+      options: { label_format: this.labelFormat },
+      reference: packageDetails.reference || packageDetails.orderId,
+    };
+
+    const customs = packageDetails.customsDeclaration;
+    if (customs) {
+      body.customs_info = {
+        contents_type: 'merchandise',
+        customs_certify: true,
+        customs_signer: this.customsSigner,
+        non_delivery_option: (
+          customs.nonDeliveryOption || 'RETURN'
+        ).toLowerCase(),
+        restriction_type: 'none',
+        eel_pfc: customs.declaredValue < 2500 ? 'NOEEI 30.37(a)' : undefined,
+        customs_items: customs.items.map((item) => ({
+          description: item.description,
+          quantity: item.quantity,
+          value: item.value,
+          weight: item.weightOz,
+          hs_tariff_number: item.hsCode,
+          origin_country: item.originCountry,
+        })),
+      };
+    }
+
+    return body;
+  }
+}
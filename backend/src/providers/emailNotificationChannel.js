@@ -0,0 +1,79 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import NotificationChannelInterface from './notificationChannelInterface.js';
+import logger from '../../config/logger.js';
+import { renderNotification } from '../templates/notificationTemplates.js';
+
+/**
+ * Email Notification Channel
+ * Sends templated email through nodemailer
+ *
+ * Transports:
+ * - smtp: real SMTP server, or a local sink such as MailHog/smtp4dev
+ * - file: writes each message as an .eml file (offline development/testing)
+ */
+export default class EmailNotificationChannel extends NotificationChannelInterface {
+  /**
+   * @param {Object} options - Email options (config.notifications.email)
+   */
+  constructor(options = {}) {
+    super();
+    this.transportType = options.transport || 'file';
+    this.from = options.from;
+    this.outputDir = options.outputDir || 'logs/mail';
+
+    if (this.transportType === 'smtp') {
+      const { host, port, secure, user, password } = options.smtp || {};
+      this.transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass: password } : undefined,
+      });
+    } else if (this.transportType === 'file') {
+      this.transporter = nodemailer.createTransport({
+        streamTransport: true,
+        buffer: true,
+        newline: 'unix',
+      });
+    } else {
+      throw new Error(`Unsupported email transport: ${this.transportType}`);
+    }
+
+    logger.info('EmailNotificationChannel initialized', {
+      transport: this.transportType,
+    });
+  }
+
+  /**
+   * Send notification email
+   */
+  async send(notification) {
+    const { html } = renderNotification(
+      notification.eventType,
+      notification.payload
+    );
+
+    const info = await this.transporter.sendMail({
+      from: this.from,
+      to: notification.recipient,
+      subject: notification.subject,
+      text: notification.body,
+      html,
+      headers: { 'X-Notification-Id': notification.id },
+    });
+
+    if (this.transportType === 'file') {
+      await fs.mkdir(this.outputDir, { recursive: true });
+      const filePath = path.join(
+        this.outputDir,
+        `${Date.now()}-${notification.id}.eml`
+      );
+      await fs.writeFile(filePath, info.message);
+      return { messageId: info.messageId, filePath };
+    }
+
+    return { messageId: info.messageId };
+  }
+}
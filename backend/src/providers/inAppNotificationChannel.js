@@ -0,0 +1,14 @@
+import NotificationChannelInterface from './notificationChannelInterface.js';
+
+/**
+ * In-App Notification Channel
+ * The outbox record itself is the inbox entry, so delivery is immediate
+ */
+export default class InAppNotificationChannel extends NotificationChannelInterface {
+  /**
+   * Mark in-app notification as delivered
+   */
+  async send(notification) {
+    return { inboxId: notification.id };
+  }
+}
@@ -62,6 +62,7 @@ export default class MockShippingProvider extends ShippingProviderInterface {
 
     return {
       id: trackingNumber,
+      carrier: 'MOCK',
       trackingNumber,
       labelUrl: `/mock-labels/${shipmentData.orderId}.pdf`,
       labelFormat: 'PDF',
@@ -87,6 +88,25 @@ export default class MockShippingProvider extends ShippingProviderInterface {
     };
   }
 
+  /**
+   * Generate mock return label
+   */
+  async generateReturnLabel(returnData) {
+    logger.info('MockShippingProvider.generateReturnLabel', {
+      rmaNumber: returnData.rmaNumber,
+      orderId: returnData.orderId,
+    });
+
+    const trackingNumber = `MOCKRTN${Date.now().toString().padStart(12, '0')}`;
+
+    return {
+      trackingNumber,
+      carrier: 'MOCK',
+      labelUrl: `/mock-labels/returns/${returnData.rmaNumber}.pdf`,
+      labelFormat: 'PDF',
+    };
+  }
+
   /**
    * Get mock tracking information
    */
@@ -122,9 +142,9 @@ export default class MockShippingProvider extends ShippingProviderInterface {
   /**
    * Void mock label
    */
-  async voidLabel(shipmentId) {
+  async voidLabel(shipment) {
     logger.info('MockShippingProvider.voidLabel', {
-      shipmentId,
+      shipmentId: shipment.id,
     });
 
     // In mock provider, just return success
@@ -0,0 +1,22 @@
+/**
+ * Notification Channel Interface
+ * Defines the contract for notification delivery channels
+ * Allows swapping between email transports, webhooks, in-app inbox, etc.
+ */
+export default class NotificationChannelInterface {
+  /**
+   * Deliver a notification from the outbox
+   * Throw to signal failure; the outbox schedules a retry
+   * @param {Object} notification - Outbox record
+   * @param {string} notification.id - Outbox ID
+   * @param {string} notification.eventType - Notification event type
+   * @param {string} notification.recipient - Email address, webhook URL or inbox owner
+   * @param {string} notification.subject - Rendered subject
+   * @param {string} notification.body - Rendered plain-text body
+   * @param {Object} notification.payload - Event data
+   * @returns {Promise<Object>} Delivery details (e.g. messageId)
+   */
+  async send(notification) {
+    throw new Error('send() not implemented');
+  }
+}
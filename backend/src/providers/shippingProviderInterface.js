@@ -16,9 +16,9 @@ export default class ShippingProviderInterface {
   }
 
   /**
-   * Create shipment with provider
-   * @param {Object} shipmentData - Shipment details
-   * @returns {Promise<Object>} Created shipment response
+   * Create shipment with provider and choose its rate
+   * @param {Object} shipmentData - Shipment details {orderId, fromAddress, toAddress, weight, shippingMethod, customsDeclaration?}
+   * @returns {Promise<Object>} Created shipment {id, rateId, carrier, trackingNumber?, metadata}
    */
   async createShipment(shipmentData) {
     throw new Error('createShipment() not implemented');
@@ -27,16 +27,26 @@ export default class ShippingProviderInterface {
   /**
    * Generate shipping label
    * @param {Object} shipment - Shipment record
-   * @returns {Promise<Object>} Label details {labelUrl, trackingNumber, labelFormat}
+   * @returns {Promise<Object>} Label details {labelUrl, trackingNumber, labelFormat, trackingUrl?, carrier?, rateId?, metadata?}
    */
   async generateLabel(shipment) {
     throw new Error('generateLabel() not implemented');
   }
 
+  /**
+   * Generate prepaid return label (buyer ships back to warehouse)
+   * @param {Object} returnData - {rmaNumber, orderId, fromAddress, toAddress, weightOz}
+   * @returns {Promise<Object>} Label details {labelUrl, trackingNumber, carrier, labelFormat}
+   */
+  async generateReturnLabel(returnData) {
+    throw new Error('generateReturnLabel() not implemented');
+  }
+
   /**
    * Get tracking information
+   * Providers that need the carrier take it as a second argument
    * @param {string} trackingNumber - Tracking number
-   * @returns {Promise<Object>} Tracking details
+   * @returns {Promise<Object>} Tracking details {trackingNumber, status, events, estimatedDelivery}
    */
   async getTracking(trackingNumber) {
     throw new Error('getTracking() not implemented');
@@ -44,10 +54,10 @@ export default class ShippingProviderInterface {
 
   /**
    * Void/cancel shipping label
-   * @param {string} shipmentId - Shipment ID
+   * @param {Object} shipment - Shipment record (with provider ids)
    * @returns {Promise<boolean>} Success
    */
-  async voidLabel(shipmentId) {
+  async voidLabel(shipment) {
     throw new Error('voidLabel() not implemented');
   }
 }
@@ -0,0 +1,335 @@
+import CarrierShippingProvider from './carrierShippingProvider.js';
+import logger from '../../config/logger.js';
+
+/**
+ * Shippo tracking statuses as ShipmentStatus values
+ */
+const TRACKING_STATUSES = {
+  PRE_TRANSIT: 'LABEL_GENERATED',
+  TRANSIT: 'IN_TRANSIT',
+  DELIVERED: 'DELIVERED',
+  RETURNED: 'RETURNED',
+  FAILURE: 'FAILED_DELIVERY',
+};
+
+/**
+ * ShipmentStatus for a Shippo tracking status, using the out-for-delivery
+ * substatus
+ */
+function trackingStatus(status) {
+  if (!status) return null;
+  if (status.substatus?.code === 'out_for_delivery') {
+    return 'OUT_FOR_DELIVERY';
+  }
+  return TRACKING_STATUSES[status.status] || null;
+}
+
+/**
+ * Shippo carrier tokens for the tracking API
+ */
+const CARRIER_TOKENS = {
+  USPS: 'usps',
+  UPS: 'ups',
+  FEDEX: 'fedex',
+  DHL: 'dhl_express',
+};
+
+/**
+ * Shippo Shipping Provider
+ * Rates, labels (transactions), tracking and refunds through the Shippo API
+ * (https://docs.goshippo.com). Requests are synchronous (`async: false`).
+ */
+export default class ShippoShippingProvider extends CarrierShippingProvider {
+  /**
+   * @param {Object} options - { apiKey, baseURL, timeoutMs, labelFormat, customsSigner, adapter }
+   */
+  constructor(options = {}) {
+    if (!options.apiKey) {
+      throw new Error('SHIPPO_API_KEY is required for the Shippo provider');
+    }
+
+    super({
+      ...options,
+      name: 'shippo',
+      baseURL: options.baseURL || 'https://api.goshippo.com',
+      headers: { Authorization: `ShippoToken ${options.apiKey}` },
+    });
+    logger.info('ShippoShippingProvider initialized');
+  }
+
+  /**
+   * Create a Shippo shipment and return its rates
+   * Customs declarations are created first for international parcels.
+   */
+  async getRates(fromAddress, toAddress, packageDetails = {}) {
+    const body = {
+      address_from: this.toProviderAddress(fromAddress),
+      address_to: this.toProviderAddress(toAddress),
+      parcels: [
+        {
+          ...this.parcelDimensions(packageDetails.dimensions),
+          distance_unit: 'in',
+          weight: packageDetails.weight,
+          mass_unit: 'oz',
+        },
+      ],
+      extra: {
+        reference_1: packageDetails.reference || packageDetails.orderId,
+      },
+      async: false,
+    };
+
+    if (packageDetails.customsDeclaration) {
+      const declaration = await this.request(
+        'post',
+        '/customs/declarations/',
+        this._customsBody(packageDetails.customsDeclaration)
+      );
+      body.customs_declaration = declaration.object_id;
+    }
+
+    const shipment = await this.request('post', '/shipments/', body);
+
+    logger.info('ShippoShippingProvider.getRates', {
+      providerShipmentId: shipment.object_id,
+      rateCount: shipment.rates?.length || 0,
+    });
+
+    return (shipment.rates || [])
+      .map((rate) => ({
+        method: this.methodForService(rate.servicelevel?.token),
+        carrier: this.carrierCode(rate.provider),
+        service: rate.servicelevel?.token,
+        cost: parseFloat(rate.amount),
+        currency: rate.currency,
+        deliveryDays: rate.estimated_days ?? null,
+        rateId: rate.object_id,
+        providerShipmentId: shipment.object_id,
+      }))
+      .filter((rate) => rate.carrier);
+  }
+
+  /**
+   * Buy the shipment's quoted rate as a transaction (quoting first if it
+   * has none)
+   * @param {Object} shipment - Shipment record
+   * @returns {Promise<Object>} Label details with provider ids and metadata
+   */
+  async generateLabel(shipment) {
+    const { providerShipmentId, rateId, metadata } =
+      await this.quotedRate(shipment);
+
+    const transaction = await this._buy(rateId);
+
+    logger.info('ShippoShippingProvider.generateLabel', {
+      shipmentId: shipment.id,
+      providerShipmentId,
+      trackingNumber: transaction.tracking_number,
+    });
+
+    return {
+      trackingNumber: transaction.tracking_number,
+      trackingUrl: transaction.tracking_url_provider,
+      labelUrl: transaction.label_url,
+      labelFormat: this.labelFormat,
+      providerShipmentId,
+      rateId,
+      metadata: {
+        ...metadata,
+        provider: this.name,
+        transactionId: transaction.object_id,
+      },
+    };
+  }
+
+  /**
+   * Buy the cheapest standard label from the buyer back to the warehouse
+   */
+  async generateReturnLabel(returnData) {
+    const rates = await this.getRates(
+      returnData.fromAddress,
+      returnData.toAddress,
+      { weight: returnData.weightOz, reference: returnData.rmaNumber }
+    );
+    const rate = this.selectReturnRate(rates);
+    if (!rate) {
+      throw new Error(
+        `${this.name} has no rate for return ${returnData.rmaNumber}`
+      );
+    }
+
+    const transaction = await this._buy(rate.rateId);
+
+    logger.info('ShippoShippingProvider.generateReturnLabel', {
+      rmaNumber: returnData.rmaNumber,
+      trackingNumber: transaction.tracking_number,
+    });
+
+    return {
+      trackingNumber: transaction.tracking_number,
+      carrier: rate.carrier,
+      labelUrl: transaction.label_url,
+      labelFormat: this.labelFormat,
+    };
+  }
+
+  /**
+   * Tracking status and history; Shippo needs the carrier (USPS if unknown)
+   */
+  async getTracking(trackingNumber, carrier) {
+    const token = CARRIER_TOKENS[carrier] || CARRIER_TOKENS.USPS;
+    const track = await this.request(
+      'get',
+      `/tracks/${token}/${encodeURIComponent(trackingNumber)}`
+    );
+
+    const events = (track.tracking_history || []).map((entry) => ({
+      status: trackingStatus(entry),
+      statusDetail: entry.substatus?.text || entry.status,
+      timestamp: entry.status_date ? new Date(entry.status_date) : null,
+      location: this.formatLocation(entry.location),
+      message: entry.status_details,
+    }));
+
+    return {
+      trackingNumber: track.tracking_number,
+      status: trackingStatus(track.tracking_status),
+      statusDetail: track.tracking_status?.status_details,
+      events,
+      estimatedDelivery: track.eta ? new Date(track.eta) : null,
+    };
+  }
+
+  /**
+   * Request a refund of the label transaction
+   * @param {Object} shipment - Shipment record with providerMetadata.transactionId
+   * @returns {Promise<boolean>} True when the refund was accepted
+   */
+  async voidLabel(shipment) {
+    const transactionId = shipment?.providerMetadata?.transactionId;
+    if (!transactionId) {
+      throw new Error('Shipment has no Shippo transaction id');
+    }
+
+    const refund = await this.request('post', '/refunds/', {
+      transaction: transactionId,
+      async: false,
+    });
+
+    logger.info('ShippoShippingProvider.voidLabel', {
+      shipmentId: shipment.id,
+      refundStatus: refund.status,
+    });
+
+    return ['QUEUED', 'PENDING', 'SUCCESS'].includes(refund.status);
+  }
+
+  /**
+   * Verify the Shippo-Auth-Signature header ("t=<unix>,v1=<digest>"); the
+   * digest covers `${t}.${rawBody}` and stale timestamps are refused
+   * @param {Object} headers - Request headers (lower-case names)
+   * @param {string} rawBody - Raw request body
+   * @param {string} secret - Webhook secret
+   * @param {Object} [options] - { toleranceSeconds, now }
+   * @returns {boolean} True when the signature matches and is recent
+   */
+  static verifyWebhookSignature(headers, rawBody, secret, options = {}) {
+    const { toleranceSeconds = 300, now } = options;
+    const parts = Object.fromEntries(
+      String(headers['shippo-auth-signature'] || '')
+        .split(',')
+        .map((part) => part.trim().split('='))
+    );
+
+    if (!parts.t || !parts.v1) return false;
+    if (
+      !CarrierShippingProvider.timestampFresh(parts.t, toleranceSeconds, now)
+    ) {
+      return false;
+    }
+    return CarrierShippingProvider.signaturesMatch(
+      parts.v1,
+      CarrierShippingProvider.hmacHex(secret, `${parts.t}.${rawBody}`)
+    );
+  }
+
+  /**
+   * Tracking update from a Shippo track_updated webhook
+   * The tracking status object id is the carrier event id.
+   * @param {Object} body - Webhook body ({ event, data: Track })
+   * @returns {Object} { eventId, eventType, trackingNumber, status, statusDetail, location, message, eventTime }
+   */
+  static parseWebhookEvent(body) {
+    const track = body?.event === 'track_updated' ? body.data : null;
+    const status = track?.tracking_status;
+
+    return {
+      eventId: status?.object_id,
+      eventType: body?.event,
+      trackingNumber: track?.tracking_number,
+      status: trackingStatus(status),
+      statusDetail: status?.substatus?.text || status?.status,
+      location: CarrierShippingProvider.formatLocation(status?.location),
+      message: status?.status_details,
+      eventTime: status?.status_date ? new Date(status.status_date) : null,
+    };
+  }
+
+  /**
+   * Shippo error bodies: { detail } or { field: [messages] }
+   */
+  errorMessage(body) {
+    if (!body || typeof body !== 'object') return super.errorMessage(body);
+    if (body.detail) return body.detail;
+    return Object.entries(body)
+      .map(([field, messages]) => `${field}: ${[].concat(messages).join(', ')}`)
+      .join('; ');
+  }
+
+  /**
+   * Create a label transaction; failed purchases come back as 201 with
+   * status ERROR and messages
+   * @private
+   */
+  async _buy(rateId) {
+    const transaction = await this.request('post', '/transactions/', {
+      rate: rateId,
+      label_file_type: this.labelFormat === 'ZPL' ? 'ZPLII' : this.labelFormat,
+      async: false,
+    });
+
+    if (transaction.status !== 'SUCCESS') {
+      const messages = (transaction.messages || []).map((m) => m.text);
+      throw new Error(
+        `${this.name} label purchase failed: ${messages.join('; ') || transaction.status}`
+      );
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Customs declaration request body
+   * @private
+   */
+  _customsBody(customs) {
+    return {
+      contents_type: 'MERCHANDISE',
+      non_delivery_option: customs.nonDeliveryOption || 'RETURN',
+      certify: true,
+      certify_signer: this.customsSigner,
+      invoice: customs.invoiceNumber,
+      eel_pfc: customs.declaredValue < 2500 ? 'NOEEI_30_37_a' : undefined,
+      items: customs.items.map((item) => ({
+        description: item.description,
+        quantity: item.quantity,
+        net_weight: item.weightOz,
+        mass_unit: 'oz',
+        value_amount: item.value,
+        value_currency: 'USD',
+        origin_country: item.originCountry,
+        tariff_number: item.hsCode,
+      })),
+    };
+  }
+}
@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import NotificationChannelInterface from './notificationChannelInterface.js';
+import logger from '../../config/logger.js';
+
+/**
+ * Webhook Notification Channel
+ * POSTs notification events as JSON to external systems
+ * Requests are signed with HMAC-SHA256 when a secret is configured
+ */
+export default class WebhookNotificationChannel extends NotificationChannelInterface {
+  /**
+   * @param {Object} options - Webhook options
+   * @param {string} options.secret - Shared secret used to sign payloads
+   * @param {number} options.timeoutMs - Request timeout
+   */
+  constructor(options = {}) {
+    super();
+    this.secret = options.secret;
+    this.timeoutMs = options.timeoutMs || 5000;
+  }
+
+  /**
+   * Sign a raw JSON body
+   * @param {string} body - Raw request body
+   * @param {number} timestamp - Unix timestamp (seconds)
+   * @returns {string} Hex HMAC of `${timestamp}.${body}`
+   */
+  sign(body, timestamp) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+  }
+
+  /**
+   * POST notification to the recipient URL
+   * Non-2xx responses throw so the outbox retries
+   */
+  async send(notification) {
+    const body = JSON.stringify({
+      id: notification.id,
+      event: notification.eventType,
+      data: notification.payload,
+      createdAt: notification.createdAt,
+    });
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Notification-Id': notification.id,
+      'X-Notification-Event': notification.eventType,
+    };
+
+    if (this.secret) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      headers['X-Notification-Timestamp'] = String(timestamp);
+      headers['X-Notification-Signature'] = this.sign(body, timestamp);
+    }
+
+    const response = await axios.post(notification.recipient, body, {
+      headers,
+      timeout: this.timeoutMs,
+    });
+
+    logger.debug('Webhook notification delivered', {
+      notificationId: notification.id,
+      url: notification.recipient,
+      status: response.status,
+    });
+
+    return { status: response.status };
+  }
+}
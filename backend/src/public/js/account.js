@@ -1,8 +1,17 @@
 /**
  * Account Page Tab Management
  * Handles tab switching, panel display, and user interactions
+ * Returns tab requests returns (RMA) and lists their status via the API
  */
 
+const RETURN_STATUS_BADGES = {
+  REQUESTED: 'badge--warning',
+  APPROVED: 'badge--primary',
+  DENIED: 'badge--danger',
+  RECEIVED: 'badge--primary',
+  COMPLETED: 'badge--success',
+};
+
 const accountManager = {
   currentTab: 'orders',
 
@@ -55,6 +64,23 @@ const accountManager = {
       });
     }
 
+    // Handle return requests
+    const returnForm = document.getElementById('return-form');
+    if (returnForm) {
+      returnForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.submitReturn(returnForm);
+      });
+    }
+
+    document.querySelectorAll('[data-return-order]').forEach((button) => {
+      button.addEventListener('click', () => {
+        document.getElementById('return-order-number').value =
+          button.getAttribute('data-return-order');
+        this.showTab('returns');
+      });
+    });
+
     // Handle add payment
     const addPaymentBtn = document.getElementById('add-payment-btn');
     if (addPaymentBtn) {
@@ -87,12 +113,106 @@ const accountManager = {
 
     this.currentTab = tabName;
 
+    if (tabName === 'returns') {
+      this.loadReturns();
+    }
+
     // Scroll to top of content area
     document.querySelector('.account-content').scrollIntoView({
       behavior: 'smooth',
       block: 'start',
     });
   },
+
+  async loadReturns() {
+    const list = document.getElementById('returns-list');
+    if (!list) return;
+
+    try {
+      const returns = await api.request('/returns');
+      this.renderReturns(list, returns);
+    } catch (error) {
+      console.error('Failed to load returns:', error);
+      list.innerHTML = `<p class="panel-meta">Could not load returns: ${this.escapeHtml(error.message)}</p>`;
+    }
+  },
+
+  renderReturns(list, returns) {
+    if (!returns || returns.length === 0) {
+      list.innerHTML = '<p class="panel-meta">You have no returns yet.</p>';
+      return;
+    }
+
+    list.innerHTML = returns
+      .map((returnRequest) => {
+        const items = returnRequest.items
+          .map(
+            (item) => `
+              <div class="order-item">
+                <div class="item-details">
+                  <strong>${this.escapeHtml(item.orderItem.releaseTitle)}</strong>
+                  <div class="item-meta">${this.escapeHtml(item.orderItem.releaseArtist)}</div>
+                </div>
+                <div class="item-price">$${item.orderItem.priceAtPurchase.toFixed(2)}</div>
+              </div>`
+          )
+          .join('');
+        const label = returnRequest.labelUrl
+          ? `<a href="${this.escapeHtml(returnRequest.labelUrl)}" class="button button--secondary button--sm" target="_blank">Print Return Label</a>`
+          : '';
+
+        return `
+          <div class="order-card">
+            <div class="order-header">
+              <div class="order-info">
+                <div class="order-number">${this.escapeHtml(returnRequest.rmaNumber)}</div>
+                <div class="order-date">Order ${this.escapeHtml(returnRequest.order.orderNumber)} • ${new Date(returnRequest.createdAt).toLocaleDateString()}</div>
+              </div>
+              <div class="order-status">
+                <span class="badge ${RETURN_STATUS_BADGES[returnRequest.status] || ''}">${returnRequest.status}</span>
+              </div>
+            </div>
+            <div class="order-items">${items}</div>
+            <div class="order-footer">
+              <div class="item-meta">${this.escapeHtml(returnRequest.adminNotes || '')}</div>
+              ${label}
+            </div>
+          </div>`;
+      })
+      .join('');
+  },
+
+  async submitReturn(form) {
+    const message = document.getElementById('return-form-message');
+    const photoUrls = form.photoUrls.value
+      .split('\n')
+      .map((url) => url.trim())
+      .filter(Boolean);
+
+    try {
+      const returnRequest = await api.request('/returns', {
+        method: 'POST',
+        body: {
+          orderNumber: form.orderNumber.value.trim(),
+          reason: form.reason.value,
+          reasonDetails: form.reasonDetails.value.trim() || undefined,
+          photoUrls,
+        },
+      });
+
+      form.reset();
+      message.textContent = `Return ${returnRequest.rmaNumber} requested. We will email you once it has been reviewed.`;
+      this.loadReturns();
+    } catch (error) {
+      message.textContent = `Could not request return: ${error.message}`;
+    }
+  },
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  },
 };
 
 // Initialize when DOM is ready
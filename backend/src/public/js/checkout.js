@@ -158,6 +158,18 @@ class CheckoutManager {
       return false;
     }
 
+    // State and ZIP are required for US addresses only; other countries
+    // are checked against their own format at checkout
+    const country = form.elements.country.value.trim().toUpperCase();
+    const isDomestic = ['', 'US', 'USA', 'UNITED STATES'].includes(country);
+    if (
+      isDomestic &&
+      (!form.elements.state.value.trim() || !form.elements.zipcode.value.trim())
+    ) {
+      this.showError('State and ZIP code are required for US addresses');
+      return false;
+    }
+
     // Validate payment method
     const paymentMethod = document.querySelector(
       'input[name="paymentMethod"]:checked'
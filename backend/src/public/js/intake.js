@@ -0,0 +1,312 @@
+/**
+ * In-Store Intake
+ * Keyboard-wedge friendly scanning screen: a scanner types the barcode and
+ * presses Enter, the release is looked up (local catalog, then Discogs) and
+ * appended to the open in-store submission with its instant offer. When
+ * several pressings match, staff pick one with the number keys.
+ */
+class IntakePage {
+  constructor(apiClient) {
+    this.api = apiClient;
+    this.submissionId = null;
+    this.items = [];
+    this.candidates = [];
+    this.pendingScan = null;
+  }
+
+  init() {
+    this.cacheElements();
+    this.bindEvents();
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('submissionId')) {
+      this.openSubmission(params.get('submissionId'));
+    }
+  }
+
+  cacheElements() {
+    this.sellerForm = document.querySelector('[data-seller-form]');
+    this.submissionStatus = document.querySelector('[data-submission-status]');
+    this.scanSection = document.querySelector('[data-intake-scan]');
+    this.itemsSection = document.querySelector('[data-intake-items]');
+    this.scanForm = document.querySelector('[data-scan-form]');
+    this.scanMessage = document.querySelector('[data-scan-message]');
+    this.candidatesEl = document.querySelector('[data-candidates]');
+    this.itemsBody = document.querySelector('[data-items-body]');
+    this.itemsCount = document.querySelector('[data-items-count]');
+    this.itemsTotal = document.querySelector('[data-items-total]');
+    this.reviewLink = document.querySelector('[data-review-link]');
+    this.loadingEl = document.querySelector('[data-loading]');
+    this.fields = {
+      email: document.getElementById('sellerEmail'),
+      name: document.getElementById('sellerName'),
+      phone: document.getElementById('sellerPhone'),
+      barcode: document.getElementById('scanBarcode'),
+      catno: document.getElementById('scanCatno'),
+      label: document.getElementById('scanLabel'),
+      conditionMedia: document.getElementById('scanConditionMedia'),
+      conditionSleeve: document.getElementById('scanConditionSleeve'),
+      quantity: document.getElementById('scanQuantity'),
+    };
+  }
+
+  bindEvents() {
+    this.sellerForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.createSubmission();
+    });
+
+    // Scanners end with Enter, which submits the form
+    this.scanForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.lookup();
+    });
+
+    // Number keys pick a pressing while candidates are shown
+    document.addEventListener('keydown', (e) => {
+      if (this.candidates.length === 0) return;
+      if (e.key === 'Escape') {
+        this.clearCandidates();
+        this.focusScanner();
+        return;
+      }
+      const index = parseInt(e.key, 10) - 1;
+      if (index >= 0 && index < this.candidates.length) {
+        e.preventDefault();
+        this.addItem(this.candidates[index]);
+      }
+    });
+
+    this.candidatesEl.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-candidate-index]');
+      if (!button) return;
+      this.addItem(
+        this.candidates[parseInt(button.dataset.candidateIndex, 10)]
+      );
+    });
+  }
+
+  async createSubmission() {
+    try {
+      this.toggleLoading(true);
+      const submission = await this.api.post('/admin/submissions/in-store', {
+        email: this.fields.email.value.trim(),
+        name: this.fields.name.value.trim() || undefined,
+        phone: this.fields.phone.value.trim() || undefined,
+        notes: 'In-store intake',
+      });
+      this.toggleLoading(false);
+      this.openSubmission(submission.id);
+    } catch (error) {
+      this.toggleLoading(false);
+      this.submissionStatus.textContent = `Unable to open submission: ${error.message}`;
+    }
+  }
+
+  openSubmission(submissionId) {
+    this.submissionId = submissionId;
+    this.submissionStatus.textContent = `Submission ${submissionId} open`;
+    this.reviewLink.href = `submission.html?id=${submissionId}`;
+    this.scanSection.hidden = false;
+    this.itemsSection.hidden = false;
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('submissionId', submissionId);
+    window.history.replaceState(null, '', url);
+
+    this.focusScanner();
+  }
+
+  async lookup() {
+    const barcode = this.fields.barcode.value.trim();
+    const catno = this.fields.catno.value.trim();
+    const label = this.fields.label.value.trim();
+    if (!barcode && !catno) {
+      this.showMessage('Scan a barcode or enter a catalog number', 'warning');
+      return;
+    }
+
+    const params = {};
+    if (barcode) {
+      params.barcode = barcode;
+    } else {
+      params.catno = catno;
+      if (label) params.label = label;
+    }
+
+    this.pendingScan = {
+      conditionMedia: this.fields.conditionMedia.value,
+      conditionSleeve: this.fields.conditionSleeve.value,
+      quantity: parseInt(this.fields.quantity.value, 10) || 1,
+    };
+
+    try {
+      this.toggleLoading(true);
+      const result = await this.api.get('/catalog/lookup', params);
+      this.toggleLoading(false);
+      this.clearInputs();
+
+      if (result.match === 'NONE') {
+        this.showMessage(
+          `No release found for ${barcode || catno}. Try the catalog number.`,
+          'warning'
+        );
+        this.focusScanner();
+        return;
+      }
+
+      if (result.match === 'EXACT') {
+        await this.addItem(result.candidates[0]);
+        return;
+      }
+
+      this.showCandidates(result);
+    } catch (error) {
+      this.toggleLoading(false);
+      this.showMessage(`Lookup failed: ${error.message}`, 'danger');
+      this.focusScanner();
+    }
+  }
+
+  showCandidates(result) {
+    this.candidates = result.candidates.slice(0, 9);
+    const differences = result.differences.length
+      ? `Check the ${result.differences.join(', ')} on the sleeve.`
+      : '';
+    this.showMessage(
+      `${result.candidates.length} pressings match. ${differences} Press 1–${this.candidates.length} to choose, Esc to cancel.`,
+      'info'
+    );
+
+    this.candidatesEl.innerHTML = this.candidates
+      .map(
+        (candidate, index) => `
+          <button class="intake-candidate" type="button" data-candidate-index="${index}">
+            <span class="intake-candidate__key">${index + 1}</span>
+            <span>
+              <strong>${candidate.artist} – ${candidate.title}</strong><br />
+              <span class="text-muted">${this.describePressing(candidate, result.differences)}</span>
+            </span>
+          </button>
+        `
+      )
+      .join('');
+  }
+
+  describePressing(candidate, fields = []) {
+    const shown = fields.length
+      ? fields
+      : ['label', 'catalogNumber', 'year', 'country'];
+    return (
+      shown
+        .map((field) => candidate[field])
+        .filter(Boolean)
+        .join(' · ') || '—'
+    );
+  }
+
+  async addItem(candidate) {
+    if (!candidate || !this.pendingScan) return;
+    const scan = this.pendingScan;
+    this.clearCandidates();
+
+    const item = {
+      quantity: scan.quantity,
+      conditionMedia: scan.conditionMedia,
+      conditionSleeve: scan.conditionSleeve,
+    };
+    if (candidate.releaseId) {
+      item.releaseId = candidate.releaseId;
+    } else {
+      item.discogsId = candidate.discogsId;
+      item.discogsType = 'release';
+    }
+
+    try {
+      this.toggleLoading(true);
+      const result = await this.api.post(`/submissions/${this.submissionId}`, {
+        items: [item],
+      });
+      this.toggleLoading(false);
+
+      const created = result.items[0];
+      this.items.push({
+        ...created,
+        pressing: this.describePressing(candidate),
+      });
+      this.renderItems();
+      this.showMessage(
+        `Added ${candidate.artist} – ${candidate.title}: ${this.formatCurrency(created.autoOfferPrice)}`,
+        'success'
+      );
+    } catch (error) {
+      this.toggleLoading(false);
+      this.showMessage(`Unable to add item: ${error.message}`, 'danger');
+    }
+
+    this.pendingScan = null;
+    this.focusScanner();
+  }
+
+  renderItems() {
+    this.itemsBody.innerHTML = this.items
+      .slice()
+      .reverse()
+      .map(
+        (item) => `
+          <tr>
+            <td>
+              <strong>${item.release?.title || 'Untitled'}</strong><br />
+              <span class="text-muted">${item.release?.artist || ''}</span>
+            </td>
+            <td>${item.pressing}</td>
+            <td>${item.sellerConditionMedia} / ${item.sellerConditionSleeve}</td>
+            <td>${item.quantity}</td>
+            <td class="text-right">${this.formatCurrency(item.autoOfferPrice)}</td>
+          </tr>
+        `
+      )
+      .join('');
+
+    this.itemsCount.textContent = this.items.reduce(
+      (sum, item) => sum + item.quantity,
+      0
+    );
+    this.itemsTotal.textContent = this.formatCurrency(
+      this.items.reduce(
+        (sum, item) => sum + Number(item.autoOfferPrice || 0),
+        0
+      )
+    );
+  }
+
+  clearInputs() {
+    this.fields.barcode.value = '';
+    this.fields.catno.value = '';
+    this.fields.label.value = '';
+    this.fields.quantity.value = '1';
+  }
+
+  clearCandidates() {
+    this.candidates = [];
+    this.candidatesEl.innerHTML = '';
+  }
+
+  focusScanner() {
+    this.fields.barcode.focus();
+  }
+
+  showMessage(message, type = 'info') {
+    this.scanMessage.innerHTML = `<div class="alert alert--${type}">${message}</div>`;
+  }
+
+  toggleLoading(show) {
+    if (!this.loadingEl) return;
+    this.loadingEl.style.display = show ? 'flex' : 'none';
+  }
+
+  formatCurrency(value) {
+    const amount = Number(value || 0);
+    return `$${amount.toFixed(2)}`;
+  }
+}
@@ -16,6 +16,7 @@ class InventoryManager {
     };
     this.pagination = { page: 1, limit: 20, total: 0 };
     this.columnManager = columnManager;
+    this.marketTrends = new MarketTrends(apiClient);
     this.columnWidths = this.loadColumnWidths();
     this.columnResizeState = null;
     this.boundHandleColumnResize = this.handleColumnResize.bind(this);
@@ -286,6 +287,10 @@ class InventoryManager {
         this.deleteRow(event.target.dataset.inventoryId);
       }
 
+      if (event.target.matches('[data-inventory-market]')) {
+        this.toggleMarketHistory(event.target.closest('tr[data-row-id]'));
+      }
+
       if (event.target.matches('[data-inventory-view-submission]')) {
         const submissionId = event.target.dataset.submissionId;
         if (submissionId) {
@@ -494,11 +499,38 @@ class InventoryManager {
           <button class="button button--sm button--danger" data-inventory-delete data-inventory-id="${item.id}">
             Delete
           </button>
+          <button class="button button--sm button--ghost" data-inventory-market data-release-id="${item.releaseId || release.id || ''}">
+            Market
+          </button>
         </td>
       </tr>
     `;
   }
 
+  toggleMarketHistory(row) {
+    const button = row?.querySelector('[data-inventory-market]');
+    const releaseId = button?.dataset.releaseId;
+    if (!releaseId) return;
+
+    const existing = row.nextElementSibling;
+    if (existing?.matches('[data-market-row]')) {
+      existing.remove();
+      return;
+    }
+
+    const visibleCells = [...row.children].filter(
+      (cell) => !cell.classList.contains('table-column-hidden')
+    ).length;
+    row.insertAdjacentHTML(
+      'afterend',
+      `<tr data-market-row><td colspan="${visibleCells}" data-market-container></td></tr>`
+    );
+    this.marketTrends.render(
+      row.nextElementSibling.querySelector('[data-market-container]'),
+      releaseId
+    );
+  }
+
   async fetchDiscogsForAllVisible() {
     this.showLoading(true);
     const rows = this.tbody.querySelectorAll('tr[data-row-id]');
@@ -0,0 +1,122 @@
+/**
+ * Market Trends
+ * Renders a release's market price history (one chart per source) with
+ * 30/90-day change and volatility, so graders can see whether a record
+ * is heating up before making an offer.
+ */
+class MarketTrends {
+  constructor(apiClient) {
+    this.api = apiClient;
+    this.cache = new Map();
+  }
+
+  /**
+   * Load and render the price history for a release into a container
+   * @param {HTMLElement} container - Element to render into
+   * @param {string} releaseId - Release UUID
+   */
+  async render(container, releaseId) {
+    if (!container || !releaseId) return;
+    container.innerHTML = '<p class="text-muted">Loading market history…</p>';
+
+    try {
+      if (!this.cache.has(releaseId)) {
+        this.cache.set(
+          releaseId,
+          await this.api.get(`/admin/market/releases/${releaseId}/history`)
+        );
+      }
+      container.innerHTML = this.renderHistory(this.cache.get(releaseId));
+    } catch (error) {
+      console.error('Failed to load market history:', error);
+      container.innerHTML = `<div class="alert alert-danger">Unable to load market history: ${error.message}</div>`;
+    }
+  }
+
+  renderHistory(history) {
+    if (!history?.series || history.series.length === 0) {
+      return '<p class="text-muted">No market snapshots recorded for this release yet.</p>';
+    }
+
+    return `
+      <div class="market-trend">
+        ${history.series.map((series) => this.renderSeries(series)).join('')}
+      </div>
+    `;
+  }
+
+  renderSeries(series) {
+    const { trend } = series;
+    return `
+      <div class="market-trend__series">
+        <div class="market-trend__header">
+          <strong>${series.source}</strong>
+          <span>${this.formatCurrency(trend.price)}</span>
+        </div>
+        ${this.renderChart(series.points)}
+        <div class="market-trend__stats">
+          <span>30d ${this.formatChange(trend.change30d)}</span>
+          <span>90d ${this.formatChange(trend.change90d)}</span>
+          <span class="text-muted">Volatility ${trend.volatility === null ? '—' : `${trend.volatility}%`}</span>
+          <span class="text-muted">${series.points.length} snapshots</span>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Inline SVG: median (or low) line over a low-high band
+   * @param {Array<Object>} points - Points, oldest first
+   * @returns {string} SVG markup
+   */
+  renderChart(points) {
+    const priced = points.filter((p) => (p.median ?? p.low) !== null);
+    if (priced.length < 2) {
+      return '<p class="text-muted">Not enough history to chart.</p>';
+    }
+
+    const width = 300;
+    const height = 80;
+    const times = priced.map((p) => new Date(p.fetchedAt).getTime());
+    const values = priced.flatMap((p) =>
+      [p.low, p.median, p.high].filter((v) => v !== null)
+    );
+    const minTime = Math.min(...times);
+    const timeSpan = Math.max(...times) - minTime || 1;
+    const minValue = Math.min(...values);
+    const valueSpan = Math.max(...values) - minValue || 1;
+
+    const x = (time) => (((time - minTime) / timeSpan) * width).toFixed(1);
+    const y = (value) =>
+      (height - 4 - ((value - minValue) / valueSpan) * (height - 8)).toFixed(1);
+
+    const line = priced
+      .map((p, i) => `${x(times[i])},${y(p.median ?? p.low)}`)
+      .join(' ');
+    const upper = priced.map(
+      (p, i) => `${x(times[i])},${y(p.high ?? p.median ?? p.low)}`
+    );
+    const lower = priced.map(
+      (p, i) => `${x(times[i])},${y(p.low ?? p.median)}`
+    );
+
+    return `
+      <svg class="market-trend__chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Price history">
+        <polygon class="market-trend__band" points="${[...upper, ...lower.reverse()].join(' ')}"></polygon>
+        <polyline class="market-trend__line" points="${line}"></polyline>
+      </svg>
+    `;
+  }
+
+  formatChange(change) {
+    if (!change) return '<span class="text-muted">—</span>';
+    const direction = change.percent >= 0 ? 'up' : 'down';
+    const sign = change.percent > 0 ? '+' : '';
+    return `<span class="market-trend__change--${direction}">${sign}${change.percent}%</span>`;
+  }
+
+  formatCurrency(value) {
+    if (value === null || value === undefined) return '—';
+    return `$${Number(value).toFixed(2)}`;
+  }
+}
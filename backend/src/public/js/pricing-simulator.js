@@ -0,0 +1,232 @@
+/**
+ * Pricing Simulator
+ * Reads the draft policy from the pricing editor form and previews its
+ * impact before saving: list prices of LIVE lots (SELLER) or offers on
+ * pending submission items (BUYER), old vs new, with margin change and
+ * floor/ceiling/minimum-margin hits.
+ */
+class PricingSimulator {
+  constructor(apiClient) {
+    this.api = apiClient;
+    this.maxRows = 50;
+  }
+
+  /**
+   * Simulate the draft in the form and render the diff into a container
+   * @param {string} type - BUYER or SELLER
+   * @param {HTMLElement} container - Element to render into
+   */
+  async run(type, container) {
+    if (!container) return;
+    container.innerHTML = '<p class="text-muted">Simulating policy…</p>';
+
+    try {
+      const result = await this.api.post(
+        `/admin/pricing/${type}/simulate`,
+        this.collectDraft()
+      );
+      container.innerHTML = this.renderResult(result);
+    } catch (error) {
+      console.error('Failed to simulate pricing policy:', error);
+      container.innerHTML = `<div class="alert alert-danger">Unable to simulate policy: ${error.message}</div>`;
+    }
+  }
+
+  /**
+   * Build { buyFormula, sellFormula, conditionCurve } from the editor form
+   * @returns {Object} Draft policy
+   */
+  collectDraft() {
+    const grades = ['MINT', 'NM', 'VG_PLUS', 'VG', 'VG_MINUS', 'G'];
+    const [mediaTable, sleeveTable] =
+      document.querySelectorAll('.condition-table');
+    const conditionCurve = {};
+    mediaTable?.querySelectorAll('.input-percentage').forEach((input, idx) => {
+      conditionCurve[grades[idx]] = parseFloat(input.value || 100) / 100;
+    });
+    sleeveTable?.querySelectorAll('.input-percentage').forEach((input, idx) => {
+      conditionCurve[`SLEEVE_${grades[idx]}`] =
+        parseFloat(input.value || 100) / 100;
+    });
+
+    const conditionSection = this.findSection('Condition Grade Adjustments');
+    const buySection = this.findSection('Buy (Offer) Formula');
+    const sellSection = this.findSection('Sell (List Price) Formula');
+    const weights = {
+      mediaWeight: this.readNumber(conditionSection, 'Media Weight', 60) / 100,
+      sleeveWeight:
+        this.readNumber(conditionSection, 'Sleeve Weight', 40) / 100,
+    };
+
+    return {
+      buyFormula: {
+        ...weights,
+        buyPercentage: this.readNumber(buySection, 'Buy Percentage', 55) / 100,
+        priceStatistic: this.readStatistic(buySection),
+        roundIncrement: this.readIncrement(buySection),
+        buyFloor: this.readNumber(buySection, 'Minimum Offer', 5),
+        buyCeiling: this.readNumber(buySection, 'Maximum Offer', 500),
+      },
+      sellFormula: {
+        ...weights,
+        sellPercentage:
+          this.readNumber(sellSection, 'Sell Percentage', 125) / 100,
+        priceStatistic: this.readStatistic(sellSection),
+        roundIncrement: this.readIncrement(sellSection),
+        minProfitMargin:
+          this.readNumber(sellSection, 'Minimum Profit Margin', 30) / 100,
+        sellFloor: this.readNumber(sellSection, 'Minimum Price', 10),
+        sellCeiling: this.readNumber(sellSection, 'Maximum Price', 999.99),
+      },
+      conditionCurve,
+    };
+  }
+
+  findSection(title) {
+    return Array.from(document.querySelectorAll('.policy-section')).find(
+      (section) =>
+        section.querySelector('.section-title')?.textContent.includes(title)
+    );
+  }
+
+  findField(section, labelText) {
+    const label = Array.from(section?.querySelectorAll('label') || []).find(
+      (l) => l.textContent.includes(labelText)
+    );
+    return label?.closest('.form-group')?.querySelector('input, select');
+  }
+
+  readNumber(section, labelText, fallback) {
+    const value = parseFloat(this.findField(section, labelText)?.value);
+    return Number.isNaN(value) ? fallback : value;
+  }
+
+  readStatistic(section) {
+    const select = this.findField(section, 'Price Statistic');
+    return ['LOW', 'MEDIAN', 'HIGH'][select?.selectedIndex ?? 1] || 'MEDIAN';
+  }
+
+  readIncrement(section) {
+    const select = this.findField(section, 'Round to Nearest');
+    const value = parseFloat(select?.value?.replace('$', ''));
+    return Number.isNaN(value) ? 0.25 : value;
+  }
+
+  renderResult(result) {
+    const { summary } = result;
+    if (summary.evaluated === 0) {
+      const scope =
+        result.type === 'SELLER'
+          ? 'No LIVE inventory lots to reprice.'
+          : 'No pending submission items to re-quote.';
+      return `<p class="text-muted">${scope}</p>`;
+    }
+
+    return `
+      <div class="simulation-summary">
+        ${this.renderStat('Priced', `${summary.priced} / ${summary.evaluated}`, summary.unpriced > 0 ? `${summary.unpriced} without market data` : '')}
+        ${this.renderStat('Total', this.formatCurrency(summary.newTotal), `was ${this.formatCurrency(summary.oldTotal)} (${this.formatChange(summary.totalChange, true)})`)}
+        ${this.renderStat('Avg Margin', this.formatPercent(summary.avgMarginNew), `was ${this.formatPercent(summary.avgMarginOld)} (${this.formatChange(summary.marginChange)})`)}
+        ${this.renderStat('Up / Down', `${summary.increased} / ${summary.decreased}`, `${summary.unchanged} unchanged`)}
+        ${this.renderStat('Floor / Ceiling', `${summary.floorHits} / ${summary.ceilingHits}`, 'prices clamped')}
+        ${this.renderStat('Below Min Margin', summary.marginViolations, `minimum ${Math.round(summary.minProfitMargin * 100)}%`)}
+      </div>
+      ${summary.truncated ? `<p class="text-muted">Showing the first ${summary.evaluated} of ${summary.inScope}.</p>` : ''}
+      ${this.renderRows(result)}
+    `;
+  }
+
+  renderStat(label, value, detail) {
+    return `
+      <div class="simulation-summary__stat">
+        <span>${label}</span>
+        <strong>${value}</strong>
+        <small class="text-muted">${detail}</small>
+      </div>
+    `;
+  }
+
+  /**
+   * Biggest movers first, violations before anything else
+   * @param {Object} result - Simulation result
+   * @returns {string} Table markup
+   */
+  renderRows(result) {
+    const rows = result.items
+      .filter((item) => item.newPrice !== null)
+      .sort(
+        (a, b) =>
+          Number(b.marginViolation) - Number(a.marginViolation) ||
+          Math.abs(b.change) - Math.abs(a.change)
+      )
+      .slice(0, this.maxRows);
+
+    const priceLabel = result.type === 'SELLER' ? 'List Price' : 'Offer';
+    return `
+      <table class="table simulation-table">
+        <thead>
+          <tr>
+            <th>Record</th>
+            <th>Condition</th>
+            <th>Old ${priceLabel}</th>
+            <th>New ${priceLabel}</th>
+            <th>Change</th>
+            <th>Margin</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map((item) => this.renderRow(item)).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  renderRow(item) {
+    const flags = [
+      item.marginViolation
+        ? '<span class="badge badge--danger">Below margin</span>'
+        : '',
+      item.floorApplied
+        ? '<span class="badge badge--warning">Floor</span>'
+        : '',
+      item.ceilingApplied
+        ? '<span class="badge badge--warning">Ceiling</span>'
+        : '',
+    ].join(' ');
+
+    return `
+      <tr>
+        <td>
+          <strong>${item.title || 'Unknown Record'}</strong><br />
+          <span class="text-muted">${item.artist || item.sku || ''}</span>
+        </td>
+        <td>${item.conditionMedia}/${item.conditionSleeve}</td>
+        <td>${this.formatCurrency(item.oldPrice)}</td>
+        <td><strong>${this.formatCurrency(item.newPrice)}</strong></td>
+        <td>${this.formatChange(item.change, true)}</td>
+        <td>${this.formatPercent(item.oldMargin)} → ${this.formatPercent(item.newMargin)}</td>
+        <td>${flags}</td>
+      </tr>
+    `;
+  }
+
+  formatChange(value, currency = false) {
+    if (value === null || value === undefined) return '—';
+    const text = currency
+      ? this.formatCurrency(Math.abs(value))
+      : `${Math.abs(value)} pts`;
+    if (value === 0) return text;
+    const direction = value > 0 ? 'up' : 'down';
+    return `<span class="simulation-change--${direction}">${value > 0 ? '+' : '−'}${text}</span>`;
+  }
+
+  formatPercent(value) {
+    return value === null || value === undefined ? '—' : `${value}%`;
+  }
+
+  formatCurrency(value) {
+    const num = Number(value || 0);
+    return `$${num.toFixed(2)}`;
+  }
+}
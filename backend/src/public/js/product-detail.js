@@ -407,26 +407,22 @@ class ProductDetailManager {
 
   /**
    * Add product to wishlist
+   * Guests are identified by a session id kept in localStorage
    */
-  addToWishlist() {
+  async addToWishlist() {
     try {
-      const wishlist = JSON.parse(localStorage.getItem('wishlist') || '[]');
-
-      // Check if already in wishlist
-      if (wishlist.find((item) => item.id === this.product.id)) {
-        this.showError('Already in wishlist');
-        return;
+      let sessionId = localStorage.getItem('wishlist_session_id');
+      if (!sessionId) {
+        sessionId = crypto.randomUUID();
+        localStorage.setItem('wishlist_session_id', sessionId);
       }
 
-      wishlist.push({
-        id: this.product.id,
-        title: this.product.title,
-        artist: this.product.artist,
-        price: this.product.price,
-        addedAt: new Date().toISOString(),
+      await this.api.request('/buyer/wishlist', {
+        method: 'POST',
+        headers: { 'X-Session-ID': sessionId },
+        body: { inventoryLotId: this.product.id },
       });
 
-      localStorage.setItem('wishlist', JSON.stringify(wishlist));
       this.showSuccess(`Added "${this.product.title}" to wishlist`);
     } catch (error) {
       console.error('Failed to add to wishlist:', error);
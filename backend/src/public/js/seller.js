@@ -9,6 +9,7 @@ const sellerApp = {
   init() {
     this.cacheElements();
     this.bindEvents();
+    this.loadPayouts();
   },
 
   cacheElements() {
@@ -682,6 +683,7 @@ const sellerApp = {
           email,
           name: email.split('@')[0], // Use email prefix as name if not provided
           phone,
+          payoutMethod: payout,
         }),
       });
 
@@ -750,7 +752,7 @@ const sellerApp = {
       this.resetForm();
       document.getElementById('email').value = '';
       document.getElementById('phone').value = '';
-      document.getElementById('payout').value = 'ACH Bank Transfer';
+      document.getElementById('payout').value = 'BANK_TRANSFER';
       if (agreeCheckbox) agreeCheckbox.checked = false;
     } catch (error) {
       console.error('Submission error:', error);
@@ -758,6 +760,63 @@ const sellerApp = {
     }
   },
 
+  async loadPayouts() {
+    // Only signed-in sellers have a payout history
+    const token =
+      localStorage.getItem('auth_token') ||
+      sessionStorage.getItem('auth_token');
+    const section = document.getElementById('payoutsSection');
+    if (!token || !section) return;
+
+    try {
+      const response = await fetch('/api/v1/sellers/me/payouts', {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!response.ok) return;
+
+      const { data } = await response.json();
+      const money = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+      document.getElementById('payoutOwed').textContent = money(
+        data.balance.owed
+      );
+      document.getElementById('payoutInProgress').textContent = money(
+        data.balance.inPayout
+      );
+      document.getElementById('payoutPaid').textContent = money(
+        data.balance.paid
+      );
+
+      const table = document.getElementById('payoutsTable');
+      const empty = document.getElementById('payoutsEmpty');
+      if (data.payouts.length > 0) {
+        document.getElementById('payoutsBody').innerHTML = data.payouts
+          .map((payout) => {
+            const paidOn = payout.paidAt
+              ? new Date(payout.paidAt).toLocaleDateString()
+              : '—';
+            return `
+              <tr>
+                <td>${payout.batchNumber}</td>
+                <td>${payout.method}</td>
+                <td>${payout.status}</td>
+                <td>${payout.itemCount}</td>
+                <td class="text-right">${money(payout.amount)}</td>
+                <td>${paidOn}</td>
+              </tr>
+            `;
+          })
+          .join('');
+        table.style.display = '';
+        empty.style.display = 'none';
+      }
+
+      section.style.display = '';
+    } catch (error) {
+      console.error('Failed to load payouts:', error);
+    }
+  },
+
   mapConditionToCode(condition) {
     // Map display conditions to backend codes (e.g., "Near Mint" -> "NM")
     const conditionMap = {
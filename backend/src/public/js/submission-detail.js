@@ -3,6 +3,7 @@ class SubmissionDetailPage {
     this.api = apiClient;
     this.submissionId = null;
     this.submission = null;
+    this.marketTrends = new MarketTrends(apiClient);
   }
 
   init() {
@@ -61,6 +62,8 @@ class SubmissionDetailPage {
           this.rejectItem(target.dataset.itemId);
         } else if (target.matches('[data-item-quote]')) {
           this.promptCounterOffer(target.dataset.itemId);
+        } else if (target.matches('[data-item-market]')) {
+          this.toggleMarketHistory(target.dataset.itemId);
         }
       });
     }
@@ -156,12 +159,16 @@ class SubmissionDetailPage {
           <td>${this.getStatusBadge(item.status)}</td>
           <td>
             <div class="action-buttons">
+              <button class="button button--sm button--ghost" data-item-market data-item-id="${item.id}" ${item.release?.id ? '' : 'disabled'}>Market</button>
               <button class="button button--sm button--secondary" data-item-quote data-item-id="${item.id}">Quote</button>
               <button class="button button--sm button--success" data-item-accept data-item-id="${item.id}">Accept</button>
               <button class="button button--sm button--danger" data-item-reject data-item-id="${item.id}">Reject</button>
             </div>
           </td>
         </tr>
+        <tr data-market-row="${item.id}" hidden>
+          <td colspan="7" data-market-container></td>
+        </tr>
       `
       )
       .join('');
@@ -266,6 +273,22 @@ class SubmissionDetailPage {
     }
   }
 
+  toggleMarketHistory(itemId) {
+    const item = this.submission?.items?.find((it) => it.id === itemId);
+    const row = this.itemsContainer.querySelector(
+      `[data-market-row="${itemId}"]`
+    );
+    if (!item?.release?.id || !row) return;
+
+    row.hidden = !row.hidden;
+    if (!row.hidden) {
+      this.marketTrends.render(
+        row.querySelector('[data-market-container]'),
+        item.release.id
+      );
+    }
+  }
+
   promptCounterOffer(itemId) {
     const item = this.submission?.items?.find((it) => it.id === itemId);
     if (!item) return;
@@ -8,6 +8,7 @@ const submitForm = {
   totalSteps: 4,
   submission: {
     records: [],
+    collectionImport: null,
     shipping: {},
     payout: '',
   },
@@ -43,6 +44,12 @@ const submitForm = {
       reviewTotalAmount: document.getElementById('reviewTotalAmount'),
       searchResults: document.getElementById('searchResults'),
       searchButton: document.querySelector('.search-box__button'),
+      collectionFile: document.getElementById('collectionFile'),
+      collectionUsername: document.getElementById('collectionUsername'),
+      defaultConditionMedia: document.getElementById('defaultConditionMedia'),
+      defaultConditionSleeve: document.getElementById('defaultConditionSleeve'),
+      collectionImportStatus: document.getElementById('collectionImportStatus'),
+      collectionImportReport: document.getElementById('collectionImportReport'),
     };
   },
 
@@ -133,6 +140,22 @@ const submitForm = {
         }
       });
     }
+
+    // Collection import
+    if (this.elements.collectionFile) {
+      this.elements.collectionFile.addEventListener('change', () =>
+        this.loadCollectionFile()
+      );
+      this.elements.collectionUsername.addEventListener('input', () =>
+        this.updateCollectionImport()
+      );
+      this.elements.defaultConditionMedia.addEventListener('change', () =>
+        this.updateCollectionImport()
+      );
+      this.elements.defaultConditionSleeve.addEventListener('change', () =>
+        this.updateCollectionImport()
+      );
+    }
   },
 
   async performSearch() {
@@ -354,6 +377,124 @@ const submitForm = {
     alert('Added to your submission list!');
   },
 
+  async loadCollectionFile() {
+    const file = this.elements.collectionFile.files[0];
+    this.collectionCsv = file ? await file.text() : null;
+    this.collectionFileName = file ? file.name : null;
+
+    if (file) {
+      this.elements.collectionUsername.value = '';
+    }
+    this.updateCollectionImport();
+  },
+
+  updateCollectionImport() {
+    const username = this.elements.collectionUsername.value.trim();
+    if (username && this.collectionCsv) {
+      this.collectionCsv = null;
+      this.collectionFileName = null;
+      this.elements.collectionFile.value = '';
+    }
+
+    const defaults = {
+      defaultConditionMedia: this.elements.defaultConditionMedia.value,
+      defaultConditionSleeve: this.elements.defaultConditionSleeve.value,
+    };
+
+    if (this.collectionCsv) {
+      const rows = this.collectionCsv.trim().split(/\r?\n/).length - 1;
+      this.submission.collectionImport = {
+        csv: this.collectionCsv,
+        label: `${this.collectionFileName} (${rows} records)`,
+        defaults,
+      };
+    } else if (username) {
+      this.submission.collectionImport = {
+        discogsUsername: username,
+        label: `Discogs collection of ${username}`,
+        defaults,
+      };
+    } else {
+      this.submission.collectionImport = null;
+    }
+
+    this.elements.collectionImportStatus.textContent = '';
+    if (this.submission.collectionImport) {
+      this.elements.collectionImportStatus.textContent = `Will import: ${this.submission.collectionImport.label}`;
+    }
+    this.stepButtons.next1.disabled =
+      this.submission.records.length === 0 && !this.submission.collectionImport;
+  },
+
+  async importCollection(sellerId) {
+    const { csv, discogsUsername, defaults } = this.submission.collectionImport;
+    const url = `/api/v1/submissions/${sellerId}/import`;
+
+    // Imports need the seller to be logged in
+    const token =
+      localStorage.getItem('auth_token') ||
+      sessionStorage.getItem('auth_token');
+    if (!token) {
+      throw new Error('Please log in to import your collection');
+    }
+
+    let response;
+    if (csv) {
+      // Exports can be large; send them as text/csv rather than JSON
+      response = await fetch(`${url}?${new URLSearchParams(defaults)}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'text/csv',
+          Authorization: `Bearer ${token}`,
+        },
+        body: csv,
+      });
+    } else {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ discogsUsername, ...defaults }),
+      });
+    }
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(
+        `Collection import failed: ${data.error?.message || data.message || response.statusText}`
+      );
+    }
+
+    return data.data;
+  },
+
+  renderImportReport(result) {
+    const report = this.elements.collectionImportReport;
+    if (!report || !result) return;
+
+    const { summary, unmatched } = result;
+    const unmatchedList = unmatched
+      .map(
+        (row) =>
+          `<li>${row.artist || 'Unknown artist'} – ${row.title || 'Untitled'}: ${row.message}</li>`
+      )
+      .join('');
+
+    report.innerHTML = `
+      <h3>Collection Import</h3>
+      <p>
+        ${summary.matchedRows} of ${summary.rows} records matched our catalog
+        and were added as ${summary.items} line items.
+        ${summary.unpriced ? `${summary.unpriced} will be quoted once market data is available.` : ''}
+        ${summary.truncated ? 'Your collection was larger than a single import allows; contact us for the rest.' : ''}
+      </p>
+      ${summary.unmatchedRows ? `<p><strong>Not imported (${summary.unmatchedRows}):</strong></p><ul>${unmatchedList}</ul>` : ''}
+    `;
+    report.style.display = 'block';
+  },
+
   updateSubmissionList() {
     if (this.submission.records.length === 0) {
       this.elements.emptyState.style.display = 'block';
@@ -402,7 +543,10 @@ const submitForm = {
     this.submission.records.splice(index, 1);
     this.updateSubmissionList();
 
-    if (this.submission.records.length === 0) {
+    if (
+      this.submission.records.length === 0 &&
+      !this.submission.collectionImport
+    ) {
       this.stepButtons.next1.disabled = true;
     }
   },
@@ -480,6 +624,18 @@ const submitForm = {
       `;
     });
 
+    if (this.submission.collectionImport) {
+      reviewHTML += `
+        <div class="review-item">
+          <div class="review-item__title">Collection import</div>
+          <div class="review-item__details">
+            <div>${this.submission.collectionImport.label}</div>
+            <div>Quoted after matching to our catalog</div>
+          </div>
+        </div>
+      `;
+    }
+
     this.elements.reviewList.innerHTML = reviewHTML;
     this.elements.reviewTotalRecords.textContent = totalRecords;
     this.elements.reviewTotalAmount.textContent = `$${totalAmount.toFixed(2)}`;
@@ -499,8 +655,11 @@ const submitForm = {
       return;
     }
 
-    if (this.submission.records.length === 0) {
-      alert('Please add at least one record to your submission');
+    if (
+      this.submission.records.length === 0 &&
+      !this.submission.collectionImport
+    ) {
+      alert('Please add at least one record or import your collection');
       return;
     }
 
@@ -528,36 +687,50 @@ const submitForm = {
       const sellerId = sellerData.data.id;
 
       // Step 2: Submit the records
-      const items = this.submission.records.map((record) => ({
-        releaseId: record.id,
-        quantity: record.quantity,
-        conditionMedia: record.mediaCondition || 'NM',
-        conditionSleeve: record.sleeveCondition || 'NM',
-      }));
-
-      const submissionResponse = await fetch(
-        `/api/v1/submissions/${sellerId}`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ items }),
+      let submissionId = null;
+      let importResult = null;
+
+      if (this.submission.records.length > 0) {
+        const items = this.submission.records.map((record) => ({
+          releaseId: record.id,
+          quantity: record.quantity,
+          conditionMedia: record.mediaCondition || 'NM',
+          conditionSleeve: record.sleeveCondition || 'NM',
+        }));
+
+        const submissionResponse = await fetch(
+          `/api/v1/submissions/${sellerId}`,
+          {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ items }),
+          }
+        );
+
+        if (!submissionResponse.ok) {
+          throw new Error(
+            `Submission failed: ${submissionResponse.statusText}`
+          );
         }
-      );
 
-      if (!submissionResponse.ok) {
-        throw new Error(`Submission failed: ${submissionResponse.statusText}`);
+        const submissionData = await submissionResponse.json();
+        submissionId = submissionData.data.id;
       }
 
-      const submissionData = await submissionResponse.json();
+      // Step 3: Import the collection into the same submission
+      if (this.submission.collectionImport) {
+        importResult = await this.importCollection(sellerId);
+        submissionId = importResult.submission.id;
+      }
 
       // Store submission info for confirmation page
       localStorage.setItem(
         'pending_submission',
         JSON.stringify({
           sellerId,
-          submissionId: submissionData.data.id,
+          submissionId,
           email,
           name,
           totalAmount: this.submission.records.reduce(
@@ -568,6 +741,8 @@ const submitForm = {
         })
       );
 
+      this.renderImportReport(importResult);
+
       // Move to completion step
       this.currentStep = 4;
       this.showStep(this.currentStep);
@@ -10,6 +10,7 @@ import {
   updateItemCounterOffer,
   updateSubmissionNotes,
   getSubmissionAudit,
+  createInStoreSubmission,
 } from '../controllers/adminSubmissionController.js';
 import { clearCache } from '../utils/cache.js';
 import logger from '../../config/logger.js';
@@ -208,6 +209,51 @@ router.get('/:submissionId/audit', getSubmissionAudit);
  */
 router.put('/:submissionId/notes', updateSubmissionNotes);
 
+// ============================================================================
+// IN-STORE INTAKE
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/v1/admin/submissions/in-store:
+ *   post:
+ *     summary: Open an in-store submission
+ *     description: |
+ *       Registers a walk-in seller and opens a submission on the `in_store`
+ *       channel, so channel-scoped buy policies apply. Scanned records are
+ *       appended with POST /api/v1/submissions/{sellerId} using the releaseId
+ *       or discogsId returned by GET /api/v1/catalog/lookup; each item is
+ *       quoted as it is added.
+ *     tags:
+ *       - Admin - Submissions
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               payoutMethod:
+ *                 type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Submission opened
+ *       400:
+ *         description: Invalid seller details
+ */
+router.post('/in-store', createInStoreSubmission);
+
 // ============================================================================
 // BULK SUBMISSION ACTIONS
 // ============================================================================
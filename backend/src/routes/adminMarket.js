@@ -0,0 +1,92 @@
+import express from 'express';
+import {
+  getPriceHistory,
+  getTrendAlerts,
+} from '../controllers/marketController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/admin/market/alerts:
+ *   get:
+ *     summary: Market movers
+ *     description: Releases whose median price (low where a source has no median) moved by at least the threshold over the window, biggest move first. The baseline is the last snapshot at or before the window start, or the earliest one inside it.
+ *     tags:
+ *       - Admin - Market
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *       - in: query
+ *         name: threshold
+ *         schema:
+ *           type: number
+ *           default: 20
+ *         description: Minimum absolute change, in percent
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [DISCOGS, EBAY, HYBRID, MANUAL]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Alerts with release, source, from/to prices, percent change and direction (UP or DOWN)
+ *       400:
+ *         description: Invalid threshold or source
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/alerts', requireRole('ADMIN'), getTrendAlerts);
+
+/**
+ * @swagger
+ * /api/v1/admin/market/releases/{releaseId}/history:
+ *   get:
+ *     summary: Release price history
+ *     description: Market snapshot time series (low/median/high) per source, each with a trend summary - latest price, 30 and 90-day change, and volatility (coefficient of variation over 90 days, in percent).
+ *     tags:
+ *       - Admin - Market
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: releaseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 180
+ *         description: How far back to return points
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [DISCOGS, EBAY, HYBRID, MANUAL]
+ *     responses:
+ *       200:
+ *         description: Release and per-source series
+ *       404:
+ *         description: Release not found
+ */
+router.get(
+  '/releases/:releaseId/history',
+  requireRole('ADMIN'),
+  getPriceHistory
+);
+
+export default router;
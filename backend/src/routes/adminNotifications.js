@@ -0,0 +1,94 @@
+import express from 'express';
+import {
+  listOutbox,
+  retryNotification,
+  dispatchNotifications,
+} from '../controllers/notificationController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/admin/notifications:
+ *   get:
+ *     summary: List notification outbox
+ *     description: Queued, sent and failed notifications across email, webhook and in-app channels
+ *     tags:
+ *       - Admin - Notifications
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, SENT, FAILED]
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [EMAIL, WEBHOOK, IN_APP]
+ *       - in: query
+ *         name: eventType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Paginated outbox records with attempts and last error
+ */
+router.get('/', requireRole('ADMIN'), listOutbox);
+
+/**
+ * @swagger
+ * /api/v1/admin/notifications/dispatch:
+ *   post:
+ *     summary: Deliver due notifications now
+ *     tags:
+ *       - Admin - Notifications
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Counts of sent, retried and failed deliveries
+ */
+router.post('/dispatch', requireRole('ADMIN'), dispatchNotifications);
+
+/**
+ * @swagger
+ * /api/v1/admin/notifications/{notificationId}/retry:
+ *   post:
+ *     summary: Retry a failed notification
+ *     description: Resets attempts and queues the notification for immediate delivery
+ *     tags:
+ *       - Admin - Notifications
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Notification re-queued
+ *       400:
+ *         description: Notification has not failed
+ *       404:
+ *         description: Notification not found
+ */
+router.post('/:notificationId/retry', requireRole('ADMIN'), retryNotification);
+
+export default router;
@@ -0,0 +1,273 @@
+import express from 'express';
+import {
+  getBalances,
+  reopenPayables,
+  listBatches,
+  createBatch,
+  getBatch,
+  exportBatch,
+  approveBatch,
+  markBatchPaid,
+  markBatchFailed,
+  cancelBatch,
+} from '../controllers/payoutController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/admin/payouts/balances:
+ *   get:
+ *     summary: Seller payable balances
+ *     description: Per-seller totals of open (owed), batched (in a payout) and paid payables, largest open balance first. A payable is recorded for every accepted submission item.
+ *     tags:
+ *       - Admin - Payouts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: payoutMethod
+ *         schema:
+ *           type: string
+ *           enum: [PAYPAL, BANK_TRANSFER, CHECK, STORE_CREDIT]
+ *         description: Only sellers preferring this payout method
+ *       - in: query
+ *         name: owedOnly
+ *         schema:
+ *           type: boolean
+ *         description: Only sellers with an open balance
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Balances, grand totals and pagination
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/balances', requireRole('ADMIN'), getBalances);
+
+/**
+ * @swagger
+ * /api/v1/admin/payouts/payables/reopen:
+ *   post:
+ *     summary: Reopen historical payables
+ *     description: Items accepted before the payout ledger existed were backfilled as PAID because they were settled outside the system. Reopen the listed ones that are actually still owed so they can be batched. Payables paid through a batch are skipped.
+ *     tags:
+ *       - Admin - Payouts
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - submissionItemIds
+ *             properties:
+ *               submissionItemIds:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     responses:
+ *       200:
+ *         description: Count of reopened and skipped payables
+ *       400:
+ *         description: Missing or too many submissionItemIds
+ *       403:
+ *         description: Admin role required
+ */
+router.post('/payables/reopen', requireRole('ADMIN'), reopenPayables);
+
+/**
+ * @swagger
+ * /api/v1/admin/payouts/batches:
+ *   get:
+ *     summary: List payout batches
+ *     tags:
+ *       - Admin - Payouts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [DRAFT, APPROVED, PAID, FAILED, CANCELLED]
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated batches
+ *       403:
+ *         description: Admin role required
+ *   post:
+ *     summary: Create payout batch
+ *     description: Groups open payables into one payout per seller. Without sellerIds, every seller whose preferred payout method matches is included; with sellerIds, those sellers are paid by this method whatever their preference.
+ *     tags:
+ *       - Admin - Payouts
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - method
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [PAYPAL, BANK_TRANSFER, CHECK, STORE_CREDIT]
+ *               sellerIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               minAmount:
+ *                 type: number
+ *                 description: Skip sellers owed less than this
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Batch created in DRAFT status
+ *       400:
+ *         description: Invalid method, or no open payables to include
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/batches', requireRole('ADMIN'), listBatches);
+router.post('/batches', requireRole('ADMIN'), createBatch);
+
+/**
+ * @swagger
+ * /api/v1/admin/payouts/batches/{batchId}:
+ *   get:
+ *     summary: Get payout batch
+ *     description: Batch with one payout per seller and its status audit trail
+ *     tags:
+ *       - Admin - Payouts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Payout batch
+ *       404:
+ *         description: Batch not found
+ */
+router.get('/batches/:batchId', requireRole('ADMIN'), getBatch);
+
+/**
+ * @swagger
+ * /api/v1/admin/payouts/batches/{batchId}/export:
+ *   get:
+ *     summary: Export payout batch as CSV
+ *     description: One row per seller payout, for accounting
+ *     tags:
+ *       - Admin - Payouts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Batch not found
+ */
+router.get('/batches/:batchId/export', requireRole('ADMIN'), exportBatch);
+
+/**
+ * @swagger
+ * /api/v1/admin/payouts/batches/{batchId}/{action}:
+ *   post:
+ *     summary: Change payout batch status
+ *     description: |
+ *       approve (DRAFT or FAILED -> APPROVED), paid (APPROVED -> PAID, settles
+ *       the batch's payables), failed (APPROVED -> FAILED), cancel (DRAFT,
+ *       APPROVED or FAILED -> CANCELLED, releases payables back to open).
+ *     tags:
+ *       - Admin - Payouts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [approve, paid, failed, cancel]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               references:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 description: Payment references (check number, PayPal transaction ID) keyed by payout ID, recorded when marking paid
+ *     responses:
+ *       200:
+ *         description: Updated batch
+ *       404:
+ *         description: Batch not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ */
+router.post('/batches/:batchId/approve', requireRole('ADMIN'), approveBatch);
+router.post('/batches/:batchId/paid', requireRole('ADMIN'), markBatchPaid);
+router.post('/batches/:batchId/failed', requireRole('ADMIN'), markBatchFailed);
+router.post('/batches/:batchId/cancel', requireRole('ADMIN'), cancelBatch);
+
+export default router;
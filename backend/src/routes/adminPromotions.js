@@ -0,0 +1,196 @@
+import express from 'express';
+import {
+  listPromotions,
+  getRedemptionReport,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deactivatePromotion,
+} from '../controllers/promotionController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/admin/promotions:
+ *   get:
+ *     summary: List promotions
+ *     tags:
+ *       - Admin - Promotions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated promotions with redemptionCount
+ *       403:
+ *         description: Admin role required
+ *   post:
+ *     summary: Create promotion
+ *     description: Create a promo code. PERCENT_OFF value is a percentage (0-100], FIXED_OFF value is dollars off the qualifying items, FREE_SHIPPING ignores value. Empty genres/labels apply the code to every item.
+ *     tags:
+ *       - Admin - Promotions
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - type
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: RSD2026
+ *               description:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [PERCENT_OFF, FIXED_OFF, FREE_SHIPPING]
+ *               value:
+ *                 type: number
+ *               genres:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               labels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               minSubtotal:
+ *                 type: number
+ *                 description: Minimum subtotal of qualifying items
+ *               maxRedemptions:
+ *                 type: integer
+ *               maxRedemptionsPerBuyer:
+ *                 type: integer
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Promotion created
+ *       400:
+ *         description: Invalid promotion
+ *       409:
+ *         description: Code already exists
+ */
+router.get('/', requireRole('ADMIN'), listPromotions);
+router.post('/', requireRole('ADMIN'), createPromotion);
+
+/**
+ * @swagger
+ * /api/v1/admin/promotions/report:
+ *   get:
+ *     summary: Promotion redemption report
+ *     description: Redemptions on paid orders per promotion, with total discount, unique buyers and net sales. Defaults to the current month.
+ *     tags:
+ *       - Admin - Promotions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: promotionId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Redemption report
+ */
+router.get('/report', requireRole('ADMIN'), getRedemptionReport);
+
+/**
+ * @swagger
+ * /api/v1/admin/promotions/{promotionId}:
+ *   get:
+ *     summary: Get promotion
+ *     tags:
+ *       - Admin - Promotions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: promotionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Promotion
+ *       404:
+ *         description: Promotion not found
+ *   patch:
+ *     summary: Update promotion
+ *     description: Change any promotion field. Code and type are locked once the promotion has been redeemed. Carts holding the code pick up changes on their next recalculation.
+ *     tags:
+ *       - Admin - Promotions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: promotionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Updated promotion
+ *       409:
+ *         description: Code or type change on a redeemed promotion
+ *   delete:
+ *     summary: Deactivate promotion
+ *     description: Promotions are deactivated rather than deleted so redemption history is kept
+ *     tags:
+ *       - Admin - Promotions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: promotionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Deactivated promotion
+ */
+router.get('/:promotionId', requireRole('ADMIN'), getPromotion);
+router.patch('/:promotionId', requireRole('ADMIN'), updatePromotion);
+router.delete('/:promotionId', requireRole('ADMIN'), deactivatePromotion);
+
+export default router;
@@ -0,0 +1,52 @@
+import express from 'express';
+import { getVariantReport } from '../controllers/adminRecommendationController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/admin/recommendations/report:
+ *   get:
+ *     summary: Recommendation A/B variant report
+ *     description: CTR, conversion rate and significance versus the baseline variant. Repeat clicks on an item from the same impression count once. A click converts when the same buyer (order buyer ID, email or cart session) purchases the clicked lot within the attribution window; each purchase is attributed to that buyer's latest click on the lot. Anonymous clicks never convert.
+ *     tags:
+ *       - Admin - Recommendations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of range (default 30 days ago)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of range (default now)
+ *       - in: query
+ *         name: attributionDays
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *         description: Days after a click a purchase is attributed to it
+ *       - in: query
+ *         name: baseline
+ *         schema:
+ *           type: string
+ *           enum: [control, experimental]
+ *           default: control
+ *     responses:
+ *       200:
+ *         description: Per-variant impressions, clicks, CTR, conversions, conversion rate and z-test results
+ *       400:
+ *         description: Invalid date range or parameters
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/report', requireRole('ADMIN'), getVariantReport);
+
+export default router;
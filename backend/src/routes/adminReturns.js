@@ -0,0 +1,229 @@
+import express from 'express';
+import {
+  listReturns,
+  getReturn,
+  approveReturn,
+  denyReturn,
+  receiveReturn,
+  completeReturn,
+} from '../controllers/returnController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/admin/returns:
+ *   get:
+ *     summary: List return requests
+ *     tags:
+ *       - Admin - Returns
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [REQUESTED, APPROVED, DENIED, RECEIVED, COMPLETED]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated return requests
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/', requireRole('ADMIN'), listReturns);
+
+/**
+ * @swagger
+ * /api/v1/admin/returns/{returnId}:
+ *   get:
+ *     summary: Get return request
+ *     tags:
+ *       - Admin - Returns
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Return request with items
+ *       404:
+ *         description: Return not found
+ */
+router.get('/:returnId', requireRole('ADMIN'), getReturn);
+
+/**
+ * @swagger
+ * /api/v1/admin/returns/{returnId}/approve:
+ *   post:
+ *     summary: Approve return
+ *     description: Approve a REQUESTED return and generate a prepaid return label through the shipping provider
+ *     tags:
+ *       - Admin - Returns
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return approved with label URL and tracking number
+ *       409:
+ *         description: Return is not in REQUESTED status
+ *       502:
+ *         description: Shipping provider failed to generate the label
+ */
+router.post('/:returnId/approve', requireRole('ADMIN'), approveReturn);
+
+/**
+ * @swagger
+ * /api/v1/admin/returns/{returnId}/deny:
+ *   post:
+ *     summary: Deny return
+ *     tags:
+ *       - Admin - Returns
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notes
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 description: Explanation sent to the buyer
+ *     responses:
+ *       200:
+ *         description: Return denied
+ *       409:
+ *         description: Return is not in REQUESTED status
+ */
+router.post('/:returnId/deny', requireRole('ADMIN'), denyReturn);
+
+/**
+ * @swagger
+ * /api/v1/admin/returns/{returnId}/receive:
+ *   post:
+ *     summary: Receive return
+ *     description: Record receipt of an APPROVED return, re-grade each lot, and choose to relist or write it off. Hands off to payments for the refund; if the refund fails the return stays RECEIVED and the response includes refundError.
+ *     tags:
+ *       - Admin - Returns
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - returnItemId
+ *                     - conditionMedia
+ *                     - conditionSleeve
+ *                     - disposition
+ *                   properties:
+ *                     returnItemId:
+ *                       type: string
+ *                       format: uuid
+ *                     conditionMedia:
+ *                       type: string
+ *                       enum: [MINT, NM, VG_PLUS, VG, VG_MINUS, G, FAIR, POOR]
+ *                     conditionSleeve:
+ *                       type: string
+ *                       enum: [MINT, NM, VG_PLUS, VG, VG_MINUS, G, FAIR, POOR]
+ *                     disposition:
+ *                       type: string
+ *                       enum: [RELIST, WRITE_OFF]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return received (and completed if the refund succeeded)
+ *       400:
+ *         description: Missing or invalid grades
+ *       409:
+ *         description: Return is not in APPROVED status
+ */
+router.post('/:returnId/receive', requireRole('ADMIN'), receiveReturn);
+
+/**
+ * @swagger
+ * /api/v1/admin/returns/{returnId}/complete:
+ *   post:
+ *     summary: Complete return
+ *     description: Retry the refund hand-off for a RECEIVED return and apply each item's disposition
+ *     tags:
+ *       - Admin - Returns
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Return completed with refund
+ *       409:
+ *         description: Return is not in RECEIVED status
+ *       502:
+ *         description: Stripe refund failed
+ */
+router.post('/:returnId/complete', requireRole('ADMIN'), completeReturn);
+
+export default router;
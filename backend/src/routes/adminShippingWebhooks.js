@@ -0,0 +1,109 @@
+import express from 'express';
+import {
+  listCarrierWebhooks,
+  getCarrierWebhook,
+  replayCarrierWebhook,
+} from '../controllers/webhookController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/admin/shipping/webhooks:
+ *   get:
+ *     summary: List received carrier webhooks
+ *     description: Every webhook posted to the carrier-events endpoint, newest first, with how it was handled. Raw bodies are returned by the detail endpoint.
+ *     tags:
+ *       - Admin - Shipping Webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: [easypost, shippo, generic]
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [PROCESSED, OUT_OF_ORDER, DUPLICATE, IGNORED, REJECTED, FAILED]
+ *       - in: query
+ *         name: trackingNumber
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: eventId
+ *         schema:
+ *           type: string
+ *         description: Carrier event id
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Paginated webhooks and counts per outcome
+ */
+router.get('/', requireRole('ADMIN'), listCarrierWebhooks);
+
+/**
+ * @swagger
+ * /api/v1/admin/shipping/webhooks/{webhookId}:
+ *   get:
+ *     summary: Inspect a carrier webhook
+ *     description: Stored headers and raw body, the tracking update parsed from it and the tracking event it created
+ *     tags:
+ *       - Admin - Shipping Webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Webhook record
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:webhookId', requireRole('ADMIN'), getCarrierWebhook);
+
+/**
+ * @swagger
+ * /api/v1/admin/shipping/webhooks/{webhookId}/replay:
+ *   post:
+ *     summary: Replay a carrier webhook
+ *     description: Processes the stored body again, e.g. after a failure or once the shipment exists. Events already applied come back as DUPLICATE.
+ *     tags:
+ *       - Admin - Shipping Webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Webhook with its new outcome and replay count
+ *       400:
+ *         description: Webhook was rejected for its signature
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:webhookId/replay', requireRole('ADMIN'), replayCarrierWebhook);
+
+export default router;
@@ -0,0 +1,360 @@
+import express from 'express';
+import {
+  listJurisdictions,
+  upsertJurisdiction,
+  deleteJurisdiction,
+  listZipRates,
+  upsertZipRate,
+  deleteZipRate,
+  importTaxTable,
+  listExemptions,
+  upsertExemption,
+  deleteExemption,
+  getTaxReport,
+} from '../controllers/taxController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// ============================================================================
+// STATE JURISDICTIONS
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/v1/admin/tax/jurisdictions:
+ *   get:
+ *     summary: List state tax jurisdictions
+ *     description: State rates and shipping taxability. statesWithoutRate lists states in active shipping zones with no rate (tax is not collected there).
+ *     tags:
+ *       - Admin - Tax
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Jurisdictions and uncovered states
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/jurisdictions', requireRole('ADMIN'), listJurisdictions);
+
+/**
+ * @swagger
+ * /api/v1/admin/tax/jurisdictions/{state}:
+ *   put:
+ *     summary: Create or update a state tax rate
+ *     tags:
+ *       - Admin - Tax
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Two-letter state code (must be in a shipping zone)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stateRate
+ *             properties:
+ *               stateRate:
+ *                 type: number
+ *                 description: Decimal rate, e.g. 0.0725
+ *               shippingTaxable:
+ *                 type: boolean
+ *                 default: false
+ *               name:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Jurisdiction saved
+ *       400:
+ *         description: Invalid state or rate
+ *   delete:
+ *     summary: Delete a state tax rate
+ *     tags:
+ *       - Admin - Tax
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Jurisdiction deleted
+ *       404:
+ *         description: Jurisdiction not found
+ */
+router.put('/jurisdictions/:state', requireRole('ADMIN'), upsertJurisdiction);
+router.delete(
+  '/jurisdictions/:state',
+  requireRole('ADMIN'),
+  deleteJurisdiction
+);
+
+// ============================================================================
+// ZIP RATES
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/v1/admin/tax/zip-rates:
+ *   get:
+ *     summary: List ZIP-level local tax rates
+ *     tags:
+ *       - Admin - Tax
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Paginated ZIP rates
+ */
+router.get('/zip-rates', requireRole('ADMIN'), listZipRates);
+
+/**
+ * @swagger
+ * /api/v1/admin/tax/zip-rates/{zipCode}:
+ *   put:
+ *     summary: Create or update a ZIP-level local rate
+ *     description: Local (county, city, special district) rate added on top of the state rate
+ *     tags:
+ *       - Admin - Tax
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: zipCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - state
+ *               - localRate
+ *             properties:
+ *               state:
+ *                 type: string
+ *               localRate:
+ *                 type: number
+ *               regionName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: ZIP rate saved
+ *       400:
+ *         description: Invalid ZIP, state or rate
+ *   delete:
+ *     summary: Delete a ZIP-level local rate
+ *     tags:
+ *       - Admin - Tax
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: zipCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: ZIP rate deleted
+ *       404:
+ *         description: ZIP rate not found
+ */
+router.put('/zip-rates/:zipCode', requireRole('ADMIN'), upsertZipRate);
+router.delete('/zip-rates/:zipCode', requireRole('ADMIN'), deleteZipRate);
+
+/**
+ * @swagger
+ * /api/v1/admin/tax/import/{table}:
+ *   post:
+ *     summary: Import a tax table from CSV
+ *     description: |
+ *       Upserts rows by state (jurisdictions) or ZIP (zip-rates). Invalid rows are skipped and reported with their line number.
+ *       jurisdictions columns: state, state_rate, shipping_taxable, name, is_active.
+ *       zip-rates columns: state, zip_code, local_rate, region_name (the State,ZipCode,TaxRegionName,...,EstimatedCountyRate,EstimatedCityRate,EstimatedSpecialRate layout is also accepted).
+ *     tags:
+ *       - Admin - Tax
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: table
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [jurisdictions, zip-rates]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               csv:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Import counts and per-line errors
+ *       400:
+ *         description: Unknown table or empty CSV
+ */
+router.post(
+  '/import/:table',
+  requireRole('ADMIN'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  importTaxTable
+);
+
+// ============================================================================
+// EXEMPTIONS
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/v1/admin/tax/exemptions:
+ *   get:
+ *     summary: List buyer tax exemptions
+ *     tags:
+ *       - Admin - Tax
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Exemption certificates with expired flag
+ */
+router.get('/exemptions', requireRole('ADMIN'), listExemptions);
+
+/**
+ * @swagger
+ * /api/v1/admin/tax/exemptions/{buyerEmail}:
+ *   put:
+ *     summary: Record a buyer exemption certificate
+ *     description: Orders for this buyer email are not taxed in the exempt states (all states when exemptStates is empty) until the certificate expires
+ *     tags:
+ *       - Admin - Tax
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: buyerEmail
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - certificateNumber
+ *             properties:
+ *               certificateNumber:
+ *                 type: string
+ *               exemptStates:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Exemption saved
+ *       400:
+ *         description: Invalid email, certificate or states
+ *   delete:
+ *     summary: Remove a buyer exemption
+ *     tags:
+ *       - Admin - Tax
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: buyerEmail
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Exemption deleted
+ *       404:
+ *         description: Exemption not found
+ */
+router.put('/exemptions/:buyerEmail', requireRole('ADMIN'), upsertExemption);
+router.delete('/exemptions/:buyerEmail', requireRole('ADMIN'), deleteExemption);
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/v1/admin/tax/report:
+ *   get:
+ *     summary: Sales tax report
+ *     description: Tax collected per state (with local tax per region) from the breakdown stored on each paid order, for filing returns. Fully refunded orders are excluded.
+ *     tags:
+ *       - Admin - Tax
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of period (default first of current month)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of period (default now)
+ *     responses:
+ *       200:
+ *         description: Per-state totals
+ *       400:
+ *         description: Invalid date range
+ */
+router.get('/report', requireRole('ADMIN'), getTaxReport);
+
+export default router;
@@ -145,37 +145,46 @@ router.post('/refresh', refresh);
  * /api/v1/auth/discogs/initiate:
  *   get:
  *     summary: Initiate Discogs OAuth flow
- *     description: Start the 3-legged OAuth flow by requesting a request token and returning the authorization URL
+ *     description: |
+ *       Start the 3-legged OAuth flow by requesting a request token and returning the authorization URL.
+ *       When called with a bearer token the connected Discogs account belongs to that user, and only they can import its private collection.
  *     tags:
  *       - Discogs OAuth
  *     responses:
  *       200:
  *         description: OAuth flow initiated successfully
  */
-router.get('/discogs/initiate', async (req, res, next) => {
-  try {
-    logger.info('Initiating Discogs OAuth flow');
+router.get(
+  '/discogs/initiate',
+  // Logged-in users own the token they connect; the store account connects
+  // without one
+  (req, res, next) =>
+    req.headers.authorization ? authenticate(req, res, next) : next(),
+  async (req, res, next) => {
+    try {
+      logger.info('Initiating Discogs OAuth flow');
 
-    const result = await discogsOAuthService.getRequestToken();
+      const result = await discogsOAuthService.getRequestToken(req.user?.id);
 
-    logger.info('OAuth request token generated', {
-      token: result.requestToken.substring(0, 5) + '...',
-    });
+      logger.info('OAuth request token generated', {
+        token: result.requestToken.substring(0, 5) + '...',
+      });
 
-    res.json({
-      success: true,
-      data: {
-        authorizationUrl: result.authorizationUrl,
-        requestToken: result.requestToken,
-      },
-    });
-  } catch (error) {
-    logger.error('Failed to initiate Discogs OAuth flow', {
-      error: error.message,
-    });
-    next(new ApiError('Failed to initiate OAuth flow', 500));
+      res.json({
+        success: true,
+        data: {
+          authorizationUrl: result.authorizationUrl,
+          requestToken: result.requestToken,
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to initiate Discogs OAuth flow', {
+        error: error.message,
+      });
+      next(new ApiError('Failed to initiate OAuth flow', 500));
+    }
   }
-});
+);
 
 /**
  * @swagger
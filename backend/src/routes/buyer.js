@@ -4,12 +4,14 @@ import {
   getProductDetail,
   getRecommendations,
   searchProducts,
+  getWishlist,
   addToWishlist,
   removeFromWishlist,
   getSimilarItems,
   getNewArrivals,
   getPersonalizedRecommendations,
   getRecommendationVariants,
+  recordRecommendationImpression,
   recordRecommendationClick,
 } from '../controllers/buyerController.js';
 
@@ -176,12 +178,34 @@ router.get('/products/:inventoryLotId/recommendations', getRecommendations);
 // WISHLIST MANAGEMENT
 // ============================================================================
 
+/**
+ * @swagger
+ * /api/v1/buyer/wishlist:
+ *   get:
+ *     summary: Get wishlist
+ *     description: List the buyer's wishlist with current price and availability. Guests identify their wishlist with the X-Session-ID header.
+ *     tags:
+ *       - Buyer Wishlist
+ *     parameters:
+ *       - in: header
+ *         name: X-Session-ID
+ *         schema:
+ *           type: string
+ *         description: Guest session ID (ignored for authenticated buyers)
+ *     responses:
+ *       200:
+ *         description: Wishlist items with price changes and summary
+ *       400:
+ *         description: No buyer or session could be identified
+ */
+router.get('/wishlist', getWishlist);
+
 /**
  * @swagger
  * /api/v1/buyer/wishlist:
  *   post:
  *     summary: Add product to wishlist
- *     description: Add a product to the buyer's wishlist
+ *     description: Add a product to the buyer's wishlist and subscribe to price-drop and back-in-stock alerts
  *     tags:
  *       - Buyer Wishlist
  *     requestBody:
@@ -196,6 +220,16 @@ router.get('/products/:inventoryLotId/recommendations', getRecommendations);
  *               inventoryLotId:
  *                 type: string
  *                 format: uuid
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Alert address for guest wishlists
+ *               priceDropAlerts:
+ *                 type: boolean
+ *                 default: true
+ *               backInStockAlerts:
+ *                 type: boolean
+ *                 default: true
  *     responses:
  *       200:
  *         description: Item added to wishlist
@@ -370,12 +404,51 @@ router.post('/recommendations/personalized', getPersonalizedRecommendations);
  */
 router.get('/recommendations/variants/:releaseId', getRecommendationVariants);
 
+/**
+ * @swagger
+ * /api/v1/buyer/recommendations/impression:
+ *   post:
+ *     summary: Record recommendation impression
+ *     description: Track which recommendation variant was shown to the buyer, used as the CTR denominator
+ *     tags:
+ *       - Recommendations
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - recommendationTrackingId
+ *               - variantName
+ *             properties:
+ *               recommendationTrackingId:
+ *                 type: string
+ *               variantName:
+ *                 type: string
+ *                 enum: [control, experimental]
+ *               itemIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               releaseId:
+ *                 type: string
+ *                 format: uuid
+ *               algorithm:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Impression recorded successfully
+ */
+router.post('/recommendations/impression', recordRecommendationImpression);
+
 /**
  * @swagger
  * /api/v1/buyer/recommendations/click:
  *   post:
  *     summary: Record recommendation click
- *     description: Track when a recommendation is clicked for conversion analysis
+ *     description: Track when a recommendation is clicked for conversion analysis. Clicks are recorded for the signed-in account, so a later purchase under the account's email can be attributed to the click.
  *     tags:
  *       - Recommendations
  *     requestBody:
@@ -11,6 +11,7 @@ import {
   searchByAlbumArtistLabel,
   facetedSearch,
   getDiscogsQuote,
+  lookupRelease,
 } from '../controllers/releaseController.js';
 
 const router = express.Router();
@@ -167,6 +168,74 @@ router.get('/search/fulltext', fullTextSearch);
  */
 router.get('/autocomplete', autocomplete);
 
+/**
+ * @swagger
+ * /api/v1/catalog/lookup:
+ *   get:
+ *     summary: Look up a release by barcode or catalog number
+ *     description: |
+ *       Resolves a scanned barcode, or a catalog number optionally narrowed by
+ *       label, against the local catalog first and then a Discogs pressing
+ *       search. Barcodes are compared as digits only, with UPC-A and EAN-13
+ *       forms treated as equal; catalog numbers ignore case, spaces and
+ *       punctuation. When several pressings match, `differences` lists the
+ *       fields (year, country, format, label, catalogNumber) that tell them
+ *       apart.
+ *     tags:
+ *       - Catalog
+ *     parameters:
+ *       - in: query
+ *         name: barcode
+ *         schema:
+ *           type: string
+ *         description: UPC/EAN barcode (8-14 digits)
+ *       - in: query
+ *         name: catno
+ *         schema:
+ *           type: string
+ *         description: Catalog number (used when no barcode is given)
+ *       - in: query
+ *         name: label
+ *         schema:
+ *           type: string
+ *         description: Label name to narrow a catalog number
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [AUTO, LOCAL, DISCOGS]
+ *           default: AUTO
+ *         description: AUTO searches Discogs only when nothing matches locally
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lookup result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 source:
+ *                   type: string
+ *                   enum: [LOCAL, DISCOGS, NONE]
+ *                 match:
+ *                   type: string
+ *                   enum: [EXACT, AMBIGUOUS, NONE]
+ *                 candidates:
+ *                   type: array
+ *                   description: Releases with releaseId (local) and/or discogsId
+ *                 differences:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Missing or malformed barcode/catno
+ *       502:
+ *         description: Discogs search failed
+ */
+router.get('/lookup', lookupRelease);
+
 /**
  * @swagger
  * /api/v1/catalog/{id}:
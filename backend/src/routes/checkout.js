@@ -5,6 +5,8 @@ import {
   removeFromCart,
   getCartSummary,
   recalculateCart,
+  applyPromoCode,
+  removePromoCode,
   validateCart,
   initiateCheckout,
   completeCheckout,
@@ -13,8 +15,11 @@ import {
   getOrder,
   getOrders,
   getOrderHistory,
+  createRefund,
+  getRefunds,
   getPaymentIntent,
 } from '../controllers/checkoutController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -84,7 +89,7 @@ router.get('/cart/summary', getCartSummary);
  * /api/v1/checkout/cart/items:
  *   post:
  *     summary: Add item to cart
- *     description: Add a product (inventory lot) to the shopping cart
+ *     description: Add a product (inventory lot) to the shopping cart. Lots can carry several units (e.g. sealed reissues); the cart line holds the requested quantity until checkout.
  *     tags:
  *       - Checkout
  *     requestBody:
@@ -103,13 +108,17 @@ router.get('/cart/summary', getCartSummary);
  *               inventoryLotId:
  *                 type: string
  *                 format: uuid
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
  *     responses:
  *       200:
  *         description: Updated cart
  *       400:
- *         description: Invalid parameters or item already in cart
+ *         description: Invalid parameters
  *       409:
- *         description: Item not available
+ *         description: Item already in cart, not available, or fewer units available than requested
  */
 router.post('/cart/items', addToCart);
 
@@ -153,7 +162,7 @@ router.delete('/cart/items/:inventoryLotId', removeFromCart);
  * /api/v1/checkout/cart/recalculate:
  *   post:
  *     summary: Recalculate cart totals
- *     description: Recalculate subtotal, tax, shipping, and total for cart
+ *     description: Recalculate subtotal, discount, tax, shipping, and total for cart. Any promo code on the cart is re-evaluated. Tax is calculated from the shipping address (state rate, ZIP local rate, shipping taxability, buyer exemptions); without an address on the cart tax is zero.
  *     tags:
  *       - Checkout
  *     requestBody:
@@ -172,12 +181,88 @@ router.delete('/cart/items/:inventoryLotId', removeFromCart);
  *                 type: string
  *                 enum: [STANDARD, EXPRESS, OVERNIGHT]
  *                 default: STANDARD
+ *               shippingAddress:
+ *                 type: object
+ *                 description: Saved on the cart and used for tax and shipping. US addresses need a state; international addresses need a country and, where the country uses one, a postal code in its local format. International carts are charged from the destination's shipping zone rates and carry no sales tax.
+ *                 properties:
+ *                   country:
+ *                     type: string
+ *                     description: ISO 3166-1 alpha-2 code or country name (default US)
+ *                   state:
+ *                     type: string
+ *                     description: State, province or region
+ *                   zip:
+ *                     type: string
+ *                   postalCode:
+ *                     type: string
  *     responses:
  *       200:
- *         description: Updated cart with recalculated totals
+ *         description: Updated cart with recalculated totals, discountBreakdown and taxBreakdown
  */
 router.post('/cart/recalculate', recalculateCart);
 
+/**
+ * @swagger
+ * /api/v1/checkout/cart/promo:
+ *   post:
+ *     summary: Apply promo code
+ *     description: Attach a promo code to the cart and recalculate totals. Replaces any code already applied. Percent and fixed discounts apply to items in the promotion's genre/label scope; free shipping waives the shipping charge.
+ *     tags:
+ *       - Checkout
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - code
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *                 format: uuid
+ *               code:
+ *                 type: string
+ *               shippingMethod:
+ *                 type: string
+ *                 enum: [STANDARD, EXPRESS, OVERNIGHT]
+ *                 default: STANDARD
+ *     responses:
+ *       200:
+ *         description: Updated cart with discount and discountBreakdown
+ *       400:
+ *         description: Code expired, used up, or cart does not qualify
+ *       404:
+ *         description: Promo code or order not found
+ *   delete:
+ *     summary: Remove promo code
+ *     description: Detach the promo code from the cart and recalculate totals
+ *     tags:
+ *       - Checkout
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *                 format: uuid
+ *               shippingMethod:
+ *                 type: string
+ *                 enum: [STANDARD, EXPRESS, OVERNIGHT]
+ *                 default: STANDARD
+ *     responses:
+ *       200:
+ *         description: Updated cart without discount
+ */
+router.post('/cart/promo', applyPromoCode);
+router.delete('/cart/promo', removePromoCode);
+
 /**
  * @swagger
  * /api/v1/checkout/cart/validate:
@@ -236,8 +321,12 @@ router.post('/cart/validate', validateCart);
  *     responses:
  *       200:
  *         description: Checkout initiated with payment intent
+ *       400:
+ *         description: Empty cart or missing/invalid shipping address
+ *       403:
+ *         description: Tax-exempt cart checked out from another account
  *       409:
- *         description: Unable to reserve items
+ *         description: Unable to reserve items, or tax was calculated for another address
  */
 router.post('/initiate', initiateCheckout);
 
@@ -412,6 +501,81 @@ router.get('/orders', getOrders);
  */
 router.get('/orders/:orderId/history', getOrderHistory);
 
+// ============================================================================
+// REFUNDS
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/v1/checkout/orders/{orderId}/refunds:
+ *   post:
+ *     summary: Refund an order
+ *     description: |
+ *       Issue a Stripe refund for the whole order or for specific order items.
+ *       Partial refunds cover item price plus its share of tax; refunding the last
+ *       remaining items refunds the balance (including shipping) and moves the order
+ *       to REFUNDED. Refunded lots return to LIVE, or RETURNED if the order has shipped.
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               orderItemIds:
+ *                 type: array
+ *                 description: Order items to refund (omit for a full refund)
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Refund issued
+ *       400:
+ *         description: Order not refundable or nothing left to refund
+ *       404:
+ *         description: Order or order item not found
+ *       409:
+ *         description: Order item already refunded
+ *       502:
+ *         description: Stripe rejected the refund
+ */
+router.post('/orders/:orderId/refunds', requireRole('ADMIN'), createRefund);
+
+/**
+ * @swagger
+ * /api/v1/checkout/orders/{orderId}/refunds:
+ *   get:
+ *     summary: List order refunds
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Refunds with total refunded amount
+ */
+router.get('/orders/:orderId/refunds', requireRole('ADMIN'), getRefunds);
+
 // ============================================================================
 // PAYMENT INTENT
 // ============================================================================
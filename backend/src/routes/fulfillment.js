@@ -1,6 +1,7 @@
 import express from 'express';
 import {
   getOrdersReadyToShip,
+  getPackingPlan,
   prepareOrderForShipment,
   generateLabelsForOrders,
   approveShipment,
@@ -58,10 +59,38 @@ const router = express.Router();
  *           default: desc
  *     responses:
  *       200:
- *         description: Orders ready to ship with pagination
+ *         description: Orders ready to ship with pagination, each with its packing plan
  */
 router.get('/orders/ready-to-ship', requireRole('ADMIN'), getOrdersReadyToShip);
 
+/**
+ * @swagger
+ * /api/v1/fulfillment/orders/{orderId}/packing-plan:
+ *   get:
+ *     summary: Get packing plan for an order (admin)
+ *     description: |
+ *       The mailer boxes the order packs into, with the records, actual weight, dimensional weight and billable weight of each package. Shipments created for the order use the same plan, one label and tracking number per package.
+ *     tags:
+ *       - Admin - Fulfillment
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Packing plan with packages and totals
+ *       404:
+ *         description: Order not found
+ */
+router.get(
+  '/orders/:orderId/packing-plan',
+  requireRole('ADMIN'),
+  getPackingPlan
+);
+
 /**
  * @swagger
  * /api/v1/fulfillment/orders/{orderId}/prepare:
@@ -1,6 +1,7 @@
 import express from 'express';
 import config from '../../config/config.js';
 import prisma from '../utils/db.js';
+import refreshMarketSnapshotsJob from '../jobs/refreshMarketSnapshots.js';
 
 const router = express.Router();
 
@@ -41,6 +42,25 @@ const router = express.Router();
  *                     version:
  *                       type: string
  *                       example: 0.1.0
+ *                     jobs:
+ *                       type: object
+ *                       description: Background job status
+ *                       properties:
+ *                         marketSnapshotRefresh:
+ *                           type: object
+ *                           properties:
+ *                             isActive:
+ *                               type: boolean
+ *                             isRunning:
+ *                               type: boolean
+ *                             lastRunAt:
+ *                               type: string
+ *                               format: date-time
+ *                               nullable: true
+ *                             lastResult:
+ *                               type: object
+ *                               nullable: true
+ *                               description: Counts from the last run (candidates, selected, snapshotsCreated, noData, failed, skippedSources)
  *                     requestId:
  *                       type: string
  *                       format: uuid
@@ -54,6 +74,9 @@ router.get('/', (req, res) => {
       uptime: process.uptime(),
       environment: config.app.env,
       version: '0.1.0',
+      jobs: {
+        marketSnapshotRefresh: refreshMarketSnapshotsJob.getStatus(),
+      },
       requestId: req.id,
     },
   });
@@ -5,12 +5,16 @@ import {
   updateInventory,
   deleteInventory,
   applyPricingPolicy,
+  applyScheduledMarkdowns,
   getPricingHistory,
   getInventoryAnalytics,
   getLowStockAlerts,
   calculateSalesVelocity,
   bulkUpdatePrices,
+  exportInventory,
+  importInventory,
 } from '../controllers/inventoryController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -100,6 +104,119 @@ const router = express.Router();
  */
 router.get('/', listInventory);
 
+/**
+ * @swagger
+ * /api/v1/inventory/export:
+ *   get:
+ *     summary: Export inventory as CSV or JSON
+ *     description: |
+ *       Exports every lot matching the listInventory filters (up to 20000 rows) for editing in a spreadsheet.
+ *       The id, sku, release_id, quantity and reserved_quantity columns are always included; the rest follow the admin's saved inventory table columns unless `columns` is given.
+ *     tags:
+ *       - Inventory Management
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *         description: Comma-separated inventory table column ids (e.g. title,artist,condition,listPrice), or "all"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [DRAFT, LIVE, RESERVED, SOLD, REMOVED, RETURNED]
+ *       - in: query
+ *         name: conditions
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [MINT, NM, VG_PLUS, VG, VG_MINUS, G, FAIR, POOR]
+ *         style: form
+ *         explode: true
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: CSV attachment, or JSON { columns, rows }
+ *       400:
+ *         description: Unknown format or column
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/export', requireRole('ADMIN'), exportInventory);
+
+/**
+ * @swagger
+ * /api/v1/inventory/import:
+ *   post:
+ *     summary: Import an inventory sheet
+ *     description: |
+ *       Upserts lots from a CSV sheet, typically an edited export. Rows match a lot by id, else by sku; an unknown sku creates a lot (release_id, condition_media, condition_sleeve, cost_basis and list_price required).
+ *       Importable columns: sku, quantity, status, condition_media, condition_sleeve, cost_basis, list_price, sale_price, markdown_opt_out, channel, format, country, release_status, styles, internal_notes, public_description. Blank cells leave a field unchanged and other columns are ignored.
+ *       Status changes follow DRAFT/LIVE/REMOVED/RETURNED transitions; RESERVED and SOLD lots change through orders only. A quantity of 0 marks a listed lot SOLD; new lots need at least 1.
+ *       Each row is written on its own and updates are re-checked against the locked lot, so a row overtaken by a checkout or another edit since the sheet was read is reported as an error while the other rows still apply. Invalid rows are skipped and reported with their line number; with dryRun nothing is written.
+ *     tags:
+ *       - Inventory Management
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               csv:
+ *                 type: string
+ *               dryRun:
+ *                 type: boolean
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Summary counts and per-row action, changes and errors
+ *       400:
+ *         description: Empty or oversized CSV
+ *       403:
+ *         description: Admin role required
+ */
+router.post(
+  '/import',
+  requireRole('ADMIN'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  importInventory
+);
+
 /**
  * @swagger
  * /api/v1/inventory/{inventoryLotId}:
@@ -171,6 +288,13 @@ router.get('/:inventoryLotId', getInventoryDetail);
  *               sku:
  *                 type: string
  *                 description: Stock keeping unit (must be unique)
+ *               markdownOptOut:
+ *                 type: boolean
+ *                 description: Exclude this lot from scheduled markdowns
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Units on hand (stock count); cannot go below units reserved for checkout
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -274,7 +398,7 @@ router.post('/bulk/prices', bulkUpdatePrices);
  * /api/v1/inventory/pricing/apply:
  *   post:
  *     summary: Apply pricing policy to inventory items
- *     description: Apply a pricing policy to inventory items with optional dry-run preview
+ *     description: Apply a pricing policy to inventory items with optional dry-run preview. Without a policyId each lot is repriced by the SELLER policy that resolves for it (release > label > genre > channel > global); every update reports the policy applied.
  *     tags:
  *       - Inventory Pricing
  *     requestBody:
@@ -283,13 +407,11 @@ router.post('/bulk/prices', bulkUpdatePrices);
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - policyId
  *             properties:
  *               policyId:
  *                 type: string
  *                 format: uuid
- *                 description: Pricing policy ID to apply
+ *                 description: Pricing policy ID to apply (optional; resolved per lot when omitted)
  *               inventoryLotIds:
  *                 type: array
  *                 items:
@@ -320,6 +442,38 @@ router.post('/bulk/prices', bulkUpdatePrices);
  */
 router.post('/pricing/apply', applyPricingPolicy);
 
+/**
+ * @swagger
+ * /api/v1/inventory/pricing/markdowns:
+ *   post:
+ *     summary: Run scheduled markdowns
+ *     description: Apply the active SELLER policy's markdown schedule to aged LIVE lots now (the same run the nightly job performs), or preview it with dryRun. Tiers are percentages of the pre-markdown price; a lot moves down at most once per tier, never below cost basis plus the policy's minimum margin. Lots with markdownOptOut are skipped.
+ *     tags:
+ *       - Inventory Pricing
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Preview changes without applying if true
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Per-lot markdown changes and summary
+ *       403:
+ *         description: Admin role required
+ */
+router.post(
+  '/pricing/markdowns',
+  requireRole('ADMIN'),
+  applyScheduledMarkdowns
+);
+
 /**
  * @swagger
  * /api/v1/inventory/{inventoryLotId}/pricing-history:
@@ -370,7 +524,7 @@ router.get('/analytics/overview', getInventoryAnalytics);
  * /api/v1/inventory/analytics/low-stock:
  *   get:
  *     summary: Get low-stock alerts
- *     description: Retrieve inventory items with stock levels below threshold
+ *     description: Retrieve releases whose available units (on hand, not reserved for checkout) across LIVE lots fall below the threshold
  *     tags:
  *       - Inventory Analytics
  *     parameters:
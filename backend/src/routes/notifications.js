@@ -0,0 +1,60 @@
+import express from 'express';
+import {
+  getInbox,
+  markInboxRead,
+} from '../controllers/notificationController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/notifications/inbox:
+ *   get:
+ *     summary: Get in-app notifications
+ *     description: In-app notifications addressed to the authenticated user's email, newest first
+ *     tags:
+ *       - Notifications
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unreadOnly
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Notifications and unread count
+ */
+router.get('/inbox', getInbox);
+
+/**
+ * @swagger
+ * /api/v1/notifications/inbox/{notificationId}/read:
+ *   post:
+ *     summary: Mark in-app notification as read
+ *     tags:
+ *       - Notifications
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       404:
+ *         description: Notification not found in the user's inbox
+ */
+router.post('/inbox/:notificationId/read', markInboxRead);
+
+export default router;
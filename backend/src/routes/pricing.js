@@ -4,12 +4,271 @@ import {
   savePricingPolicy,
   getPricingPolicyHistory,
   rollbackPricingPolicy,
+  simulatePricingPolicy,
+  getPricingPolicySchedules,
+  cancelScheduledPricingPolicy,
+  applyPricingPolicySchedules,
+  listScopedPricingPolicies,
+  getScopedPricingPolicy,
+  createScopedPricingPolicy,
+  updateScopedPricingPolicy,
+  deactivateScopedPricingPolicy,
+  resolvePricingPolicy,
 } from '../controllers/pricingPolicyController.js';
 import { authenticate, requireRole } from '../middleware/authMiddleware.js';
 import pricingService from '../services/pricingService.js';
 
 const router = express.Router();
 
+/**
+ * @swagger
+ * /api/v1/admin/pricing/scoped:
+ *   get:
+ *     summary: List scoped pricing policies
+ *     description: |
+ *       BUYER/SELLER policies narrowed to releases, labels, genres or
+ *       channels. At pricing time the most specific active policy wins:
+ *       release > label > genre > channel > global.
+ *     tags:
+ *       - Admin - Pricing Policies
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [BUYER, SELLER]
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [RELEASE, LABEL, GENRE, CHANNEL]
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scoped policies
+ *   post:
+ *     summary: Create a scoped pricing policy
+ *     tags:
+ *       - Admin - Pricing Policies
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - scope
+ *               - name
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [BUYER, SELLER]
+ *               scope:
+ *                 type: string
+ *                 enum: [RELEASE, LABEL, GENRE, CHANNEL]
+ *               name:
+ *                 type: string
+ *               scopeValue:
+ *                 type: string
+ *                 description: Label, genre or channel matched (case-insensitive); not used for RELEASE
+ *               releaseIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *                 description: Releases linked to a RELEASE policy
+ *               priority:
+ *                 type: integer
+ *                 description: Release link priority (lower wins)
+ *               buyFormula:
+ *                 type: object
+ *                 description: Required for BUYER policies
+ *               sellFormula:
+ *                 type: object
+ *                 description: Required for SELLER policies
+ *               conditionCurve:
+ *                 type: object
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Policy created
+ *       400:
+ *         description: Invalid type, scope, scope value or formula
+ *       404:
+ *         description: Linked release not found
+ *       409:
+ *         description: An active policy already exists for this scope value
+ */
+router.get(
+  '/scoped',
+  authenticate,
+  requireRole('ADMIN'),
+  listScopedPricingPolicies
+);
+router.post(
+  '/scoped',
+  authenticate,
+  requireRole('ADMIN'),
+  createScopedPricingPolicy
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/pricing/scoped/{id}:
+ *   get:
+ *     summary: Get a scoped pricing policy
+ *     tags:
+ *       - Admin - Pricing Policies
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Policy with linked releases
+ *       404:
+ *         description: Policy not found
+ *   put:
+ *     summary: Update a scoped pricing policy
+ *     description: Updates in place and bumps the version. Type and scope cannot change.
+ *     tags:
+ *       - Admin - Pricing Policies
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       409:
+ *         description: Another active policy uses the new scope value
+ *   delete:
+ *     summary: Deactivate a scoped pricing policy
+ *     description: Matching records fall back to the next scope in precedence
+ *     tags:
+ *       - Admin - Pricing Policies
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Policy deactivated
+ */
+router.get(
+  '/scoped/:id',
+  authenticate,
+  requireRole('ADMIN'),
+  getScopedPricingPolicy
+);
+router.put(
+  '/scoped/:id',
+  authenticate,
+  requireRole('ADMIN'),
+  updateScopedPricingPolicy
+);
+router.delete(
+  '/scoped/:id',
+  authenticate,
+  requireRole('ADMIN'),
+  deactivateScopedPricingPolicy
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/pricing/resolve:
+ *   get:
+ *     summary: Explain which pricing policy applies
+ *     description: |
+ *       Resolves the policy that would price a record with the given context.
+ *       Genre and label are read from the release when releaseId is given and
+ *       they are omitted.
+ *     tags:
+ *       - Admin - Pricing Policies
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [BUYER, SELLER]
+ *       - in: query
+ *         name: releaseId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: label
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Resolution with policyId, name, version, matchedBy and matchedValue
+ */
+router.get(
+  '/resolve',
+  authenticate,
+  requireRole('ADMIN'),
+  resolvePricingPolicy
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/pricing/schedules/apply:
+ *   post:
+ *     summary: Apply due pricing policy schedules now
+ *     description: |
+ *       Expires active versions past effectiveUntil (restoring the versions
+ *       they replaced) and activates scheduled versions past effectiveFrom,
+ *       as the schedule job does. Each change is recorded in the policy audit
+ *       log as SCHEDULED_ACTIVATION or SCHEDULED_EXPIRY.
+ *     tags:
+ *       - Admin - Pricing Policies
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Policy ids activated, expired and reverted, plus errors
+ */
+router.post(
+  '/schedules/apply',
+  authenticate,
+  requireRole('ADMIN'),
+  applyPricingPolicySchedules
+);
+
 /**
  * @swagger
  * /api/v1/admin/pricing/{type}:
@@ -41,7 +300,12 @@ router.get('/:type', authenticate, getPricingPolicy);
  * /api/v1/admin/pricing/{type}:
  *   post:
  *     summary: Save or update pricing policy
- *     description: Create a new version of the pricing policy (previous version is deactivated)
+ *     description: |
+ *       Create a new version of the pricing policy (previous version is
+ *       deactivated). With a future effectiveFrom the version is scheduled
+ *       instead: it stays inactive until the schedule job activates it. With
+ *       effectiveUntil the version is deactivated at that time and the version
+ *       it replaced becomes active again.
  *     tags:
  *       - Admin - Pricing Policies
  *     parameters:
@@ -80,6 +344,34 @@ router.get('/:type', authenticate, getPricingPolicy);
  *                   priceStatistic:
  *                     type: string
  *                     enum: [LOW, MEDIAN, HIGH]
+ *                   marketBlend:
+ *                     type: object
+ *                     description: HYBRID market source blending. Omitted settings use the defaults shown.
+ *                     properties:
+ *                       weights:
+ *                         type: object
+ *                         description: Relative weight per source; 0 leaves a source out
+ *                         example: { DISCOGS: 0.5, EBAY: 0.5 }
+ *                       confidenceSampleSize:
+ *                         type: number
+ *                         description: Sample size at which a source gets half confidence (n / (n + k))
+ *                         example: 10
+ *                       defaultConfidence:
+ *                         type: number
+ *                         description: Confidence for snapshots without a sample size
+ *                         example: 0.5
+ *                       halfLifeDays:
+ *                         type: number
+ *                         description: Age at which a snapshot counts half
+ *                         example: 30
+ *                       maxAgeDays:
+ *                         type: number
+ *                         description: Older snapshots are only used when a source has nothing newer
+ *                         example: 180
+ *                       outlierTolerance:
+ *                         type: number
+ *                         description: Max relative distance from the median before a value is trimmed
+ *                         example: 0.5
  *               sellFormula:
  *                 type: object
  *                 description: Sell formula configuration
@@ -92,6 +384,9 @@ router.get('/:type', authenticate, getPricingPolicy);
  *                     type: number
  *                   priceStatistic:
  *                     type: string
+ *                   marketBlend:
+ *                     type: object
+ *                     description: HYBRID market source blending, as for buyFormula
  *               conditionCurve:
  *                 type: object
  *                 description: Condition grade multipliers
@@ -108,11 +403,19 @@ router.get('/:type', authenticate, getPricingPolicy);
  *                 type: number
  *               offerExpiryDays:
  *                 type: integer
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Activation time; omitted or past activates immediately
+ *               effectiveUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Expiry time, after which the replaced version is restored
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       201:
- *         description: Pricing policy saved
+ *         description: Pricing policy saved or scheduled
  *       400:
  *         description: Invalid input
  */
@@ -142,6 +445,71 @@ router.post('/:type', authenticate, requireRole('ADMIN'), savePricingPolicy);
  */
 router.get('/:type/history', authenticate, getPricingPolicyHistory);
 
+/**
+ * @swagger
+ * /api/v1/admin/pricing/{type}/scheduled:
+ *   get:
+ *     summary: List pricing policy schedules
+ *     description: Upcoming scheduled versions and active versions with an effectiveUntil, for global and scoped policies of the type
+ *     tags:
+ *       - Admin - Pricing Policies
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [BUYER, SELLER]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ upcoming, ending }"
+ */
+router.get(
+  '/:type/scheduled',
+  authenticate,
+  requireRole('ADMIN'),
+  getPricingPolicySchedules
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/pricing/{type}/scheduled/{id}:
+ *   delete:
+ *     summary: Cancel a scheduled pricing policy version
+ *     tags:
+ *       - Admin - Pricing Policies
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [BUYER, SELLER]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Schedule cancelled
+ *       400:
+ *         description: Version is not scheduled
+ *       404:
+ *         description: Policy not found
+ */
+router.delete(
+  '/:type/scheduled/:id',
+  authenticate,
+  requireRole('ADMIN'),
+  cancelScheduledPricingPolicy
+);
+
 /**
  * @swagger
  * /api/v1/admin/pricing/{type}/rollback:
@@ -183,6 +551,67 @@ router.post(
   rollbackPricingPolicy
 );
 
+/**
+ * @swagger
+ * /api/v1/admin/pricing/{type}/simulate:
+ *   post:
+ *     summary: Simulate a draft pricing policy
+ *     description: |
+ *       Price current inventory with a draft policy without saving it. SELLER
+ *       drafts reprice LIVE inventory lots against their list price; BUYER
+ *       drafts re-quote pending items in open submissions against their auto
+ *       offer, with margins measured against the active SELLER policy. Only
+ *       stored market snapshots are used. Returns old vs new prices per lot or
+ *       item plus a summary (total change, average margin change, floor and
+ *       ceiling hits, minimum margin violations). The draft stands in for the
+ *       global policy: rows priced by a release, label, genre or channel
+ *       policy are returned with `unaffected: true` and the policy that keeps
+ *       them (`pricedBy`), and are left out of the totals.
+ *     tags:
+ *       - Admin - Pricing Policies
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [BUYER, SELLER]
+ *         description: Policy type
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               buyFormula:
+ *                 type: object
+ *                 description: Draft buy formula (required for BUYER)
+ *               sellFormula:
+ *                 type: object
+ *                 description: Draft sell formula (required for SELLER)
+ *               conditionCurve:
+ *                 type: object
+ *               limit:
+ *                 type: integer
+ *                 default: 500
+ *                 maximum: 2000
+ *                 description: Max lots or items to price
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Simulation result
+ *       400:
+ *         description: Invalid policy type or draft formula
+ */
+router.post(
+  '/:type/simulate',
+  authenticate,
+  requireRole('ADMIN'),
+  simulatePricingPolicy
+);
+
 /**
  * @swagger
  * /api/v1/admin/pricing/cache/clear:
@@ -0,0 +1,76 @@
+import express from 'express';
+import {
+  requestReturn,
+  getMyReturns,
+} from '../controllers/returnController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/returns:
+ *   post:
+ *     summary: Request a return (RMA)
+ *     description: Open a return for items on a shipped or delivered order placed with the authenticated user's email. Must be within the return window (RETURN_WINDOW_DAYS, default 30) of delivery.
+ *     tags:
+ *       - Returns
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderNumber
+ *               - reason
+ *             properties:
+ *               orderNumber:
+ *                 type: string
+ *               orderItemIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *                 description: Items to return (omit for all eligible items)
+ *               reason:
+ *                 type: string
+ *                 enum: [NOT_AS_DESCRIBED, DAMAGED_IN_TRANSIT, WRONG_ITEM, DEFECTIVE, OTHER]
+ *               reasonDetails:
+ *                 type: string
+ *               photoUrls:
+ *                 type: array
+ *                 maxItems: 6
+ *                 items:
+ *                   type: string
+ *                   format: uri
+ *     responses:
+ *       201:
+ *         description: Return requested with RMA number
+ *       400:
+ *         description: Invalid request, order not returnable, or window closed
+ *       404:
+ *         description: Order or item not found
+ *       409:
+ *         description: Item already refunded or in an open return
+ */
+router.post('/', requestReturn);
+
+/**
+ * @swagger
+ * /api/v1/returns:
+ *   get:
+ *     summary: Get my returns
+ *     description: Return requests for the authenticated user's email, newest first
+ *     tags:
+ *       - Returns
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Return requests with items and status
+ */
+router.get('/', getMyReturns);
+
+export default router;
@@ -1,8 +1,13 @@
 import express from 'express';
+import { requireRole } from '../middleware/authMiddleware.js';
 import {
   registerSeller,
+  getMySeller,
+  getMyPayouts,
+  getSellerPayouts,
   getSellerById,
   updateSeller,
+  linkSellerAccount,
   listSellers,
   getSellerQuote,
 } from '../controllers/sellerController.js';
@@ -18,7 +23,13 @@ const router = express.Router();
  * /api/v1/sellers/register:
  *   post:
  *     summary: Register a new seller
- *     description: Create a seller submission to sell vinyl records
+ *     description: |
+ *       Open a new submission for a seller. Sellers are keyed by email, so a
+ *       returning seller reuses their existing record unchanged; name, phone
+ *       and payout method only seed a new record and are not echoed back for
+ *       returning sellers. The response `id` is the new submission's ID
+ *       (items are posted to /api/v1/submissions/{id}); `sellerId` is the
+ *       seller record.
  *     tags:
  *       - Sellers
  *     requestBody:
@@ -39,6 +50,11 @@ const router = express.Router();
  *                 type: string
  *               notes:
  *                 type: string
+ *                 description: Notes for this submission
+ *               payoutMethod:
+ *                 type: string
+ *                 enum: [PAYPAL, BANK_TRANSFER, CHECK, STORE_CREDIT]
+ *                 description: Preferred payout method
  *     responses:
  *       201:
  *         description: Seller registered successfully
@@ -52,16 +68,21 @@ router.post('/register', registerSeller);
  * /api/v1/sellers:
  *   get:
  *     summary: List all sellers (admin only)
- *     description: Get paginated list of all sellers and their submissions
+ *     description: Get paginated list of sellers with lifetime stats
  *     tags:
  *       - Sellers
  *     parameters:
  *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Match email, name or phone
+ *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [PENDING_REVIEW, COUNTER_OFFERED, ACCEPTED, REJECTED, EXPIRED, COMPLETED]
- *         description: Filter by submission status
+ *           enum: [PENDING_REVIEW, COUNTER_OFFERED, ACCEPTED, PARTIALLY_ACCEPTED, REJECTED, EXPIRED, COMPLETED]
+ *         description: Only sellers with a submission in this status
  *       - in: query
  *         name: limit
  *         schema:
@@ -77,15 +98,61 @@ router.post('/register', registerSeller);
  *     responses:
  *       200:
  *         description: List of sellers
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/', requireRole('ADMIN'), listSellers);
+
+/**
+ * @swagger
+ * /api/v1/sellers/me:
+ *   get:
+ *     summary: Get my seller record
+ *     description: |
+ *       Seller record, submissions and lifetime stats for the logged-in
+ *       SELLER account. An admin links the seller record to the account
+ *       first (PUT /api/v1/sellers/{id}/account).
+ *     tags:
+ *       - Sellers
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Seller information retrieved
+ *       404:
+ *         description: No seller record for this account
+ */
+router.get('/me', requireRole('SELLER'), getMySeller);
+
+/**
+ * @swagger
+ * /api/v1/sellers/me/payouts:
+ *   get:
+ *     summary: Get my payouts
+ *     description: |
+ *       Balance owed, amount in payout batches, total paid and payout history
+ *       for the logged-in SELLER account.
+ *     tags:
+ *       - Sellers
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Balance and payouts
+ *       404:
+ *         description: No seller record for this account
  */
-router.get('/', listSellers);
+router.get('/me/payouts', requireRole('SELLER'), getMyPayouts);
 
 /**
  * @swagger
  * /api/v1/sellers/{id}:
  *   get:
  *     summary: Get seller information
- *     description: Retrieve seller details and submission items
+ *     description: |
+ *       Retrieve seller contact and payout details, their submissions and
+ *       lifetime stats (submissions, items sold to us, total paid). Sellers
+ *       can only read their own record.
  *     tags:
  *       - Sellers
  *     parameters:
@@ -98,11 +165,13 @@ router.get('/', listSellers);
  *     responses:
  *       200:
  *         description: Seller information retrieved
+ *       403:
+ *         description: Not your seller record
  *       404:
  *         description: Seller not found
  *   put:
  *     summary: Update seller information
- *     description: Update seller name or notes
+ *     description: Update seller contact and payout details
  *     tags:
  *       - Sellers
  *     parameters:
@@ -120,23 +189,37 @@ router.get('/', listSellers);
  *             properties:
  *               name:
  *                 type: string
+ *               phone:
+ *                 type: string
  *               notes:
  *                 type: string
+ *               payoutMethod:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [PAYPAL, BANK_TRANSFER, CHECK, STORE_CREDIT]
+ *               payoutDetails:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Method-specific details (e.g. PayPal email)
  *     responses:
  *       200:
  *         description: Seller updated successfully
+ *       400:
+ *         description: Invalid payout details
+ *       403:
+ *         description: Not your seller record
  *       404:
  *         description: Seller not found
  */
-router.get('/:id', getSellerById);
-router.put('/:id', updateSeller);
+router.get('/:id', requireRole('SELLER'), getSellerById);
+router.put('/:id', requireRole('SELLER'), updateSeller);
 
 /**
  * @swagger
  * /api/v1/sellers/{id}/quote:
  *   get:
  *     summary: Get seller quote summary
- *     description: Retrieve automatic quotes for all submitted items
+ *     description: Retrieve quotes for items in the seller's open submissions
  *     tags:
  *       - Sellers
  *     parameters:
@@ -152,6 +235,75 @@ router.put('/:id', updateSeller);
  *       404:
  *         description: Seller not found
  */
-router.get('/:id/quote', getSellerQuote);
+router.get('/:id/quote', requireRole('SELLER'), getSellerQuote);
+
+/**
+ * @swagger
+ * /api/v1/sellers/{id}/payouts:
+ *   get:
+ *     summary: Get seller payouts
+ *     description: Balance and payout history for a seller. Sellers can only read their own.
+ *     tags:
+ *       - Sellers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Balance and payouts
+ *       403:
+ *         description: Not your seller record
+ *       404:
+ *         description: Seller not found
+ */
+router.get('/:id/payouts', requireRole('SELLER'), getSellerPayouts);
+
+/**
+ * @swagger
+ * /api/v1/sellers/{id}/account:
+ *   put:
+ *     summary: Link a seller to a login account (admin only)
+ *     description: |
+ *       Link the seller record to a SELLER login account so that account can
+ *       read and update it (GET /api/v1/sellers/me). Sellers are never linked
+ *       by email because account emails are not verified. Send a null userId
+ *       to unlink.
+ *     tags:
+ *       - Sellers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Seller linked
+ *       400:
+ *         description: userId is not an active SELLER account
+ *       404:
+ *         description: Seller not found
+ *       409:
+ *         description: Account already linked to another seller
+ */
+router.put('/:id/account', requireRole('ADMIN'), linkSellerAccount);
 
 export default router;
@@ -2,6 +2,7 @@ import express from 'express';
 import {
   calculateShippingRates,
   getZoneForAddress,
+  getZoneCoverage,
   listShippingZones,
   getShippingZone,
   createShippingZone,
@@ -12,6 +13,10 @@ import {
   createShippingRate,
   updateShippingRate,
   deleteShippingRate,
+  listShippingBoxes,
+  createShippingBox,
+  updateShippingBox,
+  deleteShippingBox,
 } from '../controllers/shippingController.js';
 import { requireRole } from '../middleware/authMiddleware.js';
 
@@ -43,9 +48,12 @@ const router = express.Router();
  *                 description: Warehouse/origin address (optional)
  *               destinationAddress:
  *                 type: object
- *                 required:
- *                   - state
+ *                 description: state is required for US addresses; international addresses need a country and usually a postal code
  *                 properties:
+ *                   country:
+ *                     type: string
+ *                     description: ISO 3166-1 alpha-2 code (default US)
+ *                     example: GB
  *                   state:
  *                     type: string
  *                     example: CA
@@ -53,6 +61,8 @@ const router = express.Router();
  *                     type: string
  *                   zipCode:
  *                     type: string
+ *                   postalCode:
+ *                     type: string
  *               items:
  *                 type: array
  *                 items:
@@ -99,21 +109,30 @@ router.post('/calculate-rates', calculateShippingRates);
  * /api/v1/shipping/zones/lookup:
  *   get:
  *     summary: Look up shipping zone for destination
- *     description: Get shipping zone information for a destination state
+ *     description: Get the shipping zone covering a destination state, or a country and postal code
  *     tags:
  *       - Shipping
  *     parameters:
  *       - in: query
  *         name: state
- *         required: true
  *         schema:
  *           type: string
  *           example: CA
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *           example: DE
+ *         description: ISO 3166-1 alpha-2 code (default US)
+ *       - in: query
+ *         name: postalCode
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Shipping zone details
  *       400:
- *         description: State parameter required
+ *         description: State or country parameter required
  *       404:
  *         description: No shipping zone found for state
  */
@@ -158,7 +177,10 @@ router.get('/zones', requireRole('ADMIN'), listShippingZones);
  * /api/v1/shipping/zones:
  *   post:
  *     summary: Create shipping zone (admin)
- *     description: Create a new shipping zone with states and priority
+ *     description: |
+ *       Create a shipping zone. Domestic zones list US states; international zones list countries ('*' covers every international destination without a more specific zone) and may be narrowed by states/provinces or postal code patterns.
+ *       US zones may instead (or also) list ZIP ranges; a ZIP range match beats a state match, and ranges may not overlap another zone's.
+ *       A zone without countries is a US zone. The lowest priority value wins when several zones match.
  *     tags:
  *       - Admin - Shipping
  *     requestBody:
@@ -169,7 +191,6 @@ router.get('/zones', requireRole('ADMIN'), listShippingZones);
  *             type: object
  *             required:
  *               - name
- *               - statesIncluded
  *             properties:
  *               name:
  *                 type: string
@@ -179,6 +200,30 @@ router.get('/zones', requireRole('ADMIN'), listShippingZones);
  *                 items:
  *                   type: string
  *                 example: [CA, OR, WA]
+ *               countriesIncluded:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [GB, IE]
+ *               postalCodePatterns:
+ *                 type: array
+ *                 description: Regular expressions matched case-insensitively against the postal code
+ *                 items:
+ *                   type: string
+ *                 example: ['^BT']
+ *               zipRanges:
+ *                 type: array
+ *                 description: US ZIP ranges as { from, to }, "from-to" or a single value; both ends 5-digit ZIPs or both 3-digit ZIP3 prefixes
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *                       properties:
+ *                         from:
+ *                           type: string
+ *                         to:
+ *                           type: string
+ *                 example: ['900-935', { from: '94016', to: '94188' }]
  *               priority:
  *                 type: integer
  *                 default: 0
@@ -190,9 +235,28 @@ router.get('/zones', requireRole('ADMIN'), listShippingZones);
  *     responses:
  *       200:
  *         description: Zone created
+ *       400:
+ *         description: Missing coverage or invalid ZIP range
+ *       409:
+ *         description: ZIP ranges overlap another zone
  */
 router.post('/zones', requireRole('ADMIN'), createShippingZone);
 
+/**
+ * @swagger
+ * /api/v1/shipping/zones/coverage:
+ *   get:
+ *     summary: Shipping zone coverage report (admin)
+ *     description: |
+ *       Lists US states and ZIP3 prefixes that no active zone covers, ZIP3s only partly covered by ZIP ranges, and states or ZIP3s claimed by more than one zone.
+ *     tags:
+ *       - Admin - Shipping
+ *     responses:
+ *       200:
+ *         description: Coverage summary with uncovered, partially covered and overlapping states and ZIP3s
+ */
+router.get('/zones/coverage', requireRole('ADMIN'), getZoneCoverage);
+
 /**
  * @swagger
  * /api/v1/shipping/zones/{zoneId}:
@@ -221,7 +285,7 @@ router.get('/zones/:zoneId', requireRole('ADMIN'), getShippingZone);
  * /api/v1/shipping/zones/{zoneId}:
  *   put:
  *     summary: Update shipping zone (admin)
- *     description: Update zone information and states
+ *     description: Update zone information and coverage
  *     tags:
  *       - Admin - Shipping
  *     parameters:
@@ -244,6 +308,19 @@ router.get('/zones/:zoneId', requireRole('ADMIN'), getShippingZone);
  *                 type: array
  *                 items:
  *                   type: string
+ *               countriesIncluded:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               postalCodePatterns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               zipRanges:
+ *                 type: array
+ *                 description: Replaces the zone's ZIP ranges (null or [] clears them)
+ *                 items:
+ *                   type: string
  *               priority:
  *                 type: integer
  *               description:
@@ -255,6 +332,8 @@ router.get('/zones/:zoneId', requireRole('ADMIN'), getShippingZone);
  *         description: Zone updated
  *       404:
  *         description: Zone not found
+ *       409:
+ *         description: ZIP ranges overlap another zone
  */
 router.put('/zones/:zoneId', requireRole('ADMIN'), updateShippingZone);
 
@@ -487,4 +566,153 @@ router.put('/rates/:rateId', requireRole('ADMIN'), updateShippingRate);
  */
 router.delete('/rates/:rateId', requireRole('ADMIN'), deleteShippingRate);
 
+// ============================================================================
+// ADMIN ENDPOINTS - BOXES
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/v1/shipping/boxes:
+ *   get:
+ *     summary: List mailer boxes (admin)
+ *     description: The box catalogue the packing engine chooses from, smallest first
+ *     tags:
+ *       - Admin - Shipping
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of boxes
+ */
+router.get('/boxes', requireRole('ADMIN'), listShippingBoxes);
+
+/**
+ * @swagger
+ * /api/v1/shipping/boxes:
+ *   post:
+ *     summary: Create mailer box (admin)
+ *     description: |
+ *       Add a box to the packing catalogue. Orders use as many of the largest active box as needed, then the smallest active box that holds the remaining records.
+ *     tags:
+ *       - Admin - Shipping
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, capacity, lengthIn, widthIn, heightIn, emptyWeightOz]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: 5 LP Box
+ *               capacity:
+ *                 type: integer
+ *                 description: Records the box holds
+ *                 example: 5
+ *               lengthIn:
+ *                 type: number
+ *                 example: 13
+ *               widthIn:
+ *                 type: number
+ *                 example: 13
+ *               heightIn:
+ *                 type: number
+ *                 example: 3
+ *               emptyWeightOz:
+ *                 type: integer
+ *                 description: Weight of the empty box and padding
+ *                 example: 14
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Box created
+ *       400:
+ *         description: Invalid box fields
+ *       409:
+ *         description: A box with this name already exists
+ */
+router.post('/boxes', requireRole('ADMIN'), createShippingBox);
+
+/**
+ * @swagger
+ * /api/v1/shipping/boxes/{boxId}:
+ *   put:
+ *     summary: Update mailer box (admin)
+ *     description: Update a box; packages already planned keep their box name and size
+ *     tags:
+ *       - Admin - Shipping
+ *     parameters:
+ *       - in: path
+ *         name: boxId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: 5 LP Box
+ *               capacity:
+ *                 type: integer
+ *                 description: Records the box holds
+ *                 example: 5
+ *               lengthIn:
+ *                 type: number
+ *                 example: 13
+ *               widthIn:
+ *                 type: number
+ *                 example: 13
+ *               heightIn:
+ *                 type: number
+ *                 example: 3
+ *               emptyWeightOz:
+ *                 type: integer
+ *                 description: Weight of the empty box and padding
+ *                 example: 14
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Box updated
+ *       404:
+ *         description: Box not found
+ *       409:
+ *         description: A box with this name already exists
+ */
+router.put('/boxes/:boxId', requireRole('ADMIN'), updateShippingBox);
+
+/**
+ * @swagger
+ * /api/v1/shipping/boxes/{boxId}:
+ *   delete:
+ *     summary: Delete mailer box (admin)
+ *     description: Remove a box from the catalogue (deactivate it to keep it for later)
+ *     tags:
+ *       - Admin - Shipping
+ *     parameters:
+ *       - in: path
+ *         name: boxId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Box deleted
+ *       404:
+ *         description: Box not found
+ */
+router.delete('/boxes/:boxId', requireRole('ADMIN'), deleteShippingBox);
+
 export default router;
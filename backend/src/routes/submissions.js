@@ -5,7 +5,9 @@ import {
   updateItemQuote,
   reviewSubmissionItem,
   getSubmissionHistory,
+  importCollection,
 } from '../controllers/submissionController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -193,4 +195,98 @@ router.post('/:sellerId/items/:itemId/review', reviewSubmissionItem);
  */
 router.get('/:sellerId/history', getSubmissionHistory);
 
+/**
+ * @swagger
+ * /api/v1/submissions/{sellerId}/import:
+ *   post:
+ *     summary: Import a Discogs collection into a submission
+ *     description: |
+ *       Bulk intake for large collections. Accepts a Discogs collection export
+ *       CSV (text/csv body, options in the query string) or a JSON body with
+ *       `csv` or `discogsUsername`. Requires the seller who owns the
+ *       submission (or an admin). A username is read through a Discogs OAuth
+ *       token the requester or the seller connected for that account, so
+ *       their own private collection works; any other collection is read
+ *       unsigned and must be public.
+ *       Rows are matched to catalog releases by release_id (discogs_id).
+ *       Collection media/sleeve grades are used when present, the defaults
+ *       otherwise. Repeated rows become one item with a quantity. Auto-offers
+ *       are computed per item from stored market data. Unmatched rows are
+ *       reported with their line and reason (MISSING_RELEASE_ID,
+ *       NOT_IN_CATALOG, MISSING_CONDITION, INVALID_CONDITION). Up to 2000
+ *       records per import.
+ *     tags:
+ *       - Submissions
+ *     parameters:
+ *       - in: path
+ *         name: sellerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: defaultConditionMedia
+ *         schema:
+ *           type: string
+ *           enum: [MINT, NM, VG_PLUS, VG, VG_MINUS, G, FAIR, POOR]
+ *       - in: query
+ *         name: defaultConditionSleeve
+ *         schema:
+ *           type: string
+ *           enum: [MINT, NM, VG_PLUS, VG, VG_MINUS, G, FAIR, POOR]
+ *       - in: query
+ *         name: useCollectionConditions
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: false applies the defaults to every row
+ *       - in: query
+ *         name: preview
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Match and report without adding items
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               csv:
+ *                 type: string
+ *               discogsUsername:
+ *                 type: string
+ *               defaultConditionMedia:
+ *                 type: string
+ *               defaultConditionSleeve:
+ *                 type: string
+ *               useCollectionConditions:
+ *                 type: boolean
+ *               preview:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Preview of matched items and unmatched rows
+ *       201:
+ *         description: Items added with auto-offers; unmatched rows reported
+ *       400:
+ *         description: No source, empty collection, invalid default condition or nothing matched
+ *       401:
+ *         description: Not logged in
+ *       403:
+ *         description: Not the submission's seller, or the Discogs collection is private
+ *       404:
+ *         description: Seller or Discogs user not found
+ */
+router.post(
+  '/:sellerId/import',
+  requireRole('SELLER'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  importCollection
+);
+
 export default router;
@@ -1,4 +1,5 @@
 import express from 'express';
+import rateLimit from 'express-rate-limit';
 import {
   getTrackingByNumber,
   getShipmentTrackingEvents,
@@ -12,6 +13,16 @@ import {
 
 const router = express.Router();
 
+// Carrier webhooks are public; carriers retry on 429, so this only caps
+// floods of (usually unsigned) requests
+const carrierWebhookLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 300, // 300 requests per minute per IP
+  message: 'Too many webhook requests, please try again later',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // ============================================================================
 // PUBLIC TRACKING ENDPOINTS
 // ============================================================================
@@ -148,31 +159,63 @@ router.get('/webhooks/shipping/health', webhookHealth);
  * /api/v1/webhooks/shipping/carrier-events:
  *   post:
  *     summary: Receive carrier webhook events
- *     description: Receive shipping updates from carrier providers (Shippo, EasyPost, etc.)
+ *     description: |
+ *       Tracking updates from EasyPost (tracker.* events), Shippo (track_updated) or the generic format below.
+ *       Signatures are checked against the provider's webhook secret:
+ *       EasyPost `X-Hmac-Signature: hmac-sha256-hex=<hmac of body>`,
+ *       Shippo `Shippo-Auth-Signature: t=<unix>,v1=<hmac of t.body>`,
+ *       generic `X-Carrier-Signature` (hmac of `<X-Carrier-Timestamp>.<body>`).
+ *       Every webhook is recorded for the admin view. Retries of an event already recorded are acknowledged
+ *       without a second tracking entry, and events older than the shipment's latest carrier event are kept
+ *       in history without changing its status.
  *     tags:
  *       - Webhooks
  *     parameters:
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: [easypost, shippo, generic]
+ *         description: Webhook format; detected from the signature header or body when omitted
+ *       - in: header
+ *         name: x-hmac-signature
+ *         schema:
+ *           type: string
+ *         description: EasyPost signature
+ *       - in: header
+ *         name: shippo-auth-signature
+ *         schema:
+ *           type: string
+ *         description: Shippo signature
  *       - in: header
  *         name: x-carrier-signature
  *         schema:
  *           type: string
- *         description: Optional carrier webhook signature for validation
+ *         description: Generic signature (with x-carrier-timestamp)
+ *       - in: header
+ *         name: x-carrier-timestamp
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             description: Generic format (EasyPost and Shippo post their own event bodies)
  *             properties:
  *               type:
  *                 type: string
  *                 example: tracking_update
+ *               event_id:
+ *                 type: string
+ *                 description: Carrier event id used to drop retries
  *               tracking_number:
  *                 type: string
  *                 example: MOCK123456789012
  *               status:
  *                 type: string
- *                 enum: [LABEL_GENERATED, IN_TRANSIT, OUT_FOR_DELIVERY, DELIVERED, LOST, RETURNED]
+ *                 enum: [LABEL_GENERATED, IN_TRANSIT, OUT_FOR_DELIVERY, DELIVERED, FAILED_DELIVERY, RETURNED, EXCEPTION]
  *               status_detail:
  *                 type: string
  *               location:
@@ -184,9 +227,19 @@ router.get('/webhooks/shipping/health', webhookHealth);
  *                 format: date-time
  *     responses:
  *       200:
- *         description: Webhook acknowledged
+ *         description: Webhook recorded; data.outcome is PROCESSED, OUT_OF_ORDER, DUPLICATE, IGNORED or FAILED
+ *       400:
+ *         description: Unsupported provider
+ *       401:
+ *         description: Missing or invalid signature, or no secret configured (unless CARRIER_WEBHOOK_ALLOW_UNSIGNED is set outside production)
+ *       429:
+ *         description: More than 300 webhooks a minute from one address
  */
-router.post('/webhooks/shipping/carrier-events', receiveCarrierWebhook);
+router.post(
+  '/webhooks/shipping/carrier-events',
+  carrierWebhookLimiter,
+  receiveCarrierWebhook
+);
 
 /**
  * @swagger
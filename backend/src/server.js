@@ -2,6 +2,10 @@ import app from './index.js';
 import config from '../config/config.js';
 import logger from '../config/logger.js';
 import cleanupExpiredReservationsJob from './jobs/cleanupExpiredReservations.js';
+import dispatchNotificationsJob from './jobs/dispatchNotifications.js';
+import applyScheduledMarkdownsJob from './jobs/applyScheduledMarkdowns.js';
+import refreshMarketSnapshotsJob from './jobs/refreshMarketSnapshots.js';
+import applyPricingPolicySchedulesJob from './jobs/applyPricingPolicySchedules.js';
 import initializeDatabase from './scripts/initDb.js';
 
 const PORT = config.app.port;
@@ -26,6 +30,16 @@ async function startServer() {
 
       // Start background jobs
       cleanupExpiredReservationsJob.start();
+      dispatchNotificationsJob.start();
+      if (config.markdowns.enabled) {
+        applyScheduledMarkdownsJob.start(config.markdowns.schedule);
+      }
+      if (config.marketRefresh.enabled) {
+        refreshMarketSnapshotsJob.start(config.marketRefresh.schedule);
+      }
+      if (config.policySchedules.enabled) {
+        applyPricingPolicySchedulesJob.start(config.policySchedules.schedule);
+      }
     });
   } catch (error) {
     logger.error('Failed to start server', { error: error.message });
@@ -40,6 +54,10 @@ startServer();
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
   cleanupExpiredReservationsJob.stop();
+  dispatchNotificationsJob.stop();
+  applyScheduledMarkdownsJob.stop();
+  refreshMarketSnapshotsJob.stop();
+  applyPricingPolicySchedulesJob.stop();
   if (server) {
     server.close(() => {
       logger.info('Server closed');
@@ -53,6 +71,10 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
   cleanupExpiredReservationsJob.stop();
+  dispatchNotificationsJob.stop();
+  applyScheduledMarkdownsJob.stop();
+  refreshMarketSnapshotsJob.stop();
+  applyPricingPolicySchedulesJob.stop();
   if (server) {
     server.close(() => {
       logger.info('Server closed');
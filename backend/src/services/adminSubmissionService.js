@@ -3,6 +3,7 @@ import { ApiError } from '../middleware/errorHandler.js';
 import logger from '../../config/logger.js';
 import submissionService from './submissionService.js';
 import inventoryService from './inventoryService.js';
+import notificationService from './notificationService.js';
 
 class AdminSubmissionService {
   /**
@@ -197,6 +198,15 @@ class AdminSubmissionService {
             orderBy: { changedAt: 'desc' },
             take: 10,
           },
+          seller: {
+            select: {
+              id: true,
+              email: true,
+              name: true,
+              phone: true,
+              payoutMethod: true,
+            },
+          },
         },
       });
 
@@ -587,6 +597,22 @@ class AdminSubmissionService {
         itemId,
         counterOfferPrice,
       });
+
+      const item = await prisma.submissionItem.findUnique({
+        where: { id: itemId },
+        include: { release: true, submission: true },
+      });
+
+      await notificationService.notifyCounterOffer({
+        itemId,
+        counterOfferPrice,
+        itemTitle: item?.release
+          ? `${item.release.artist} - ${item.release.title}`
+          : undefined,
+        submissionId,
+        sellerEmail: item?.submission?.sellerContact,
+      });
+
       return await this.getSubmissionDetail(submissionId);
     } catch (error) {
       if (error instanceof ApiError) throw error;
@@ -1,6 +1,7 @@
 import prisma from '../utils/db.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import logger from '../../config/logger.js';
+import notificationService from './notificationService.js';
 
 /**
  * Buyer Service
@@ -185,45 +186,86 @@ class BuyerService {
 
   /**
    * Add product to wishlist
-   * @param {string} buyerId - Buyer ID/session ID
+   * Wishlists belong to a registered buyer (admin_users) or, for guests,
+   * to a browser session id
+   * @param {Object} owner - Wishlist owner
+   * @param {string} owner.userId - Authenticated buyer ID (optional)
+   * @param {string} owner.sessionId - Guest session ID (optional)
    * @param {string} inventoryLotId - Inventory lot ID
+   * @param {Object} options - Alert options
+   * @param {string} options.email - Email for alerts (guests only)
+   * @param {boolean} options.priceDropAlerts - Alert when the price drops
+   * @param {boolean} options.backInStockAlerts - Alert when a new copy is listed
    * @returns {Promise<Object>} Wishlist item
    */
-  async addToWishlist(buyerId, inventoryLotId) {
+  async addToWishlist(owner, inventoryLotId, options = {}) {
     try {
-      if (!buyerId || !inventoryLotId) {
-        throw new ApiError('Buyer ID and inventory lot ID are required', 400);
+      const ownerWhere = this._getWishlistOwnerWhere(owner);
+
+      if (!inventoryLotId) {
+        throw new ApiError('Inventory lot ID is required', 400);
       }
 
+      const {
+        email = null,
+        priceDropAlerts = true,
+        backInStockAlerts = true,
+      } = options;
+
       // Verify product exists and is available
       const product = await prisma.inventoryLot.findUnique({
         where: { id: inventoryLotId },
+        include: { release: true },
       });
 
       if (!product || product.status !== 'LIVE') {
         throw new ApiError('Product not found or not available', 404);
       }
 
-      // For now, store wishlist in memory/session
-      // In production, would use a Wishlist model
-      const wishlistKey = `wishlist:${buyerId}`;
+      const existing = await prisma.wishlistItem.findFirst({
+        where: { ...ownerWhere, inventoryLotId },
+      });
+
+      const data = {
+        notifyEmail: email,
+        priceDropAlerts: priceDropAlerts !== false,
+        backInStockAlerts: backInStockAlerts !== false,
+      };
+
+      let item;
+      if (existing) {
+        item = await prisma.wishlistItem.update({
+          where: { id: existing.id },
+          data,
+          include: { inventoryLot: true, release: true },
+        });
+      } else {
+        item = await prisma.wishlistItem.create({
+          data: {
+            ...ownerWhere,
+            ...data,
+            inventoryLotId,
+            releaseId: product.releaseId,
+            priceAtAdd: product.listPrice,
+          },
+          include: { inventoryLot: true, release: true },
+        });
+      }
 
       logger.info('Item added to wishlist', {
-        buyerId,
+        userId: owner.userId || null,
+        sessionId: owner.sessionId || null,
         inventoryLotId,
         productSku: product.sku,
+        alreadyListed: !!existing,
       });
 
-      return {
-        inventoryLotId,
-        sku: product.sku,
-        price: parseFloat(product.listPrice),
-        addedAt: new Date().toISOString(),
-      };
+      return this._formatWishlistItem(item);
     } catch (error) {
       if (error instanceof ApiError) throw error;
       logger.error('Error adding to wishlist', {
-        buyerId,
+        userId: owner?.userId,
+        sessionId: owner?.sessionId,
         error: error.message,
       });
       throw new ApiError('Failed to add to wishlist', 500);
@@ -232,18 +274,29 @@ class BuyerService {
 
   /**
    * Remove product from wishlist
-   * @param {string} buyerId - Buyer ID/session ID
+   * @param {Object} owner - Wishlist owner ({ userId } or { sessionId })
    * @param {string} inventoryLotId - Inventory lot ID
    * @returns {Promise<Object>} Success message
    */
-  async removeFromWishlist(buyerId, inventoryLotId) {
+  async removeFromWishlist(owner, inventoryLotId) {
     try {
-      if (!buyerId || !inventoryLotId) {
-        throw new ApiError('Buyer ID and inventory lot ID are required', 400);
+      const ownerWhere = this._getWishlistOwnerWhere(owner);
+
+      if (!inventoryLotId) {
+        throw new ApiError('Inventory lot ID is required', 400);
+      }
+
+      const result = await prisma.wishlistItem.deleteMany({
+        where: { ...ownerWhere, inventoryLotId },
+      });
+
+      if (result.count === 0) {
+        throw new ApiError('Item not found in wishlist', 404);
       }
 
       logger.info('Item removed from wishlist', {
-        buyerId,
+        userId: owner.userId || null,
+        sessionId: owner.sessionId || null,
         inventoryLotId,
       });
 
@@ -254,13 +307,189 @@ class BuyerService {
     } catch (error) {
       if (error instanceof ApiError) throw error;
       logger.error('Error removing from wishlist', {
-        buyerId,
+        userId: owner?.userId,
+        sessionId: owner?.sessionId,
         error: error.message,
       });
       throw new ApiError('Failed to remove from wishlist', 500);
     }
   }
 
+  /**
+   * Get a buyer's wishlist with current availability and price changes
+   * @param {Object} owner - Wishlist owner ({ userId } or { sessionId })
+   * @returns {Promise<Object>} Wishlist items and summary
+   */
+  async getWishlist(owner) {
+    try {
+      const ownerWhere = this._getWishlistOwnerWhere(owner);
+
+      const items = await prisma.wishlistItem.findMany({
+        where: ownerWhere,
+        include: { inventoryLot: true, release: true },
+        orderBy: { createdAt: 'desc' },
+      });
+
+      const formatted = items.map((item) => this._formatWishlistItem(item));
+
+      return {
+        items: formatted,
+        summary: {
+          total: formatted.length,
+          available: formatted.filter((item) => item.inStock).length,
+          priceDrops: formatted.filter((item) => item.priceChange < 0).length,
+          totalValue: parseFloat(
+            formatted
+              .filter((item) => item.inStock)
+              .reduce((sum, item) => sum + item.currentPrice, 0)
+              .toFixed(2)
+          ),
+        },
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error getting wishlist', {
+        userId: owner?.userId,
+        sessionId: owner?.sessionId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to get wishlist', 500);
+    }
+  }
+
+  /**
+   * Send price drop alerts for a lot whose list price was lowered
+   * Called by inventory updates; never throws so pricing is not blocked
+   * @param {string} inventoryLotId - Inventory lot ID
+   * @param {number} previousPrice - List price before the change
+   * @param {number} newPrice - List price after the change
+   * @returns {Promise<number>} Number of buyers alerted
+   */
+  async handleWishlistPriceChange(inventoryLotId, previousPrice, newPrice) {
+    try {
+      if (Number(newPrice) >= Number(previousPrice)) {
+        return 0;
+      }
+
+      const items = await prisma.wishlistItem.findMany({
+        where: { inventoryLotId, priceDropAlerts: true },
+        include: { user: true, release: true, inventoryLot: true },
+      });
+
+      let alerted = 0;
+      for (const item of items) {
+        if (item.inventoryLot.status !== 'LIVE') continue;
+
+        // Only alert when the price goes below what the buyer last saw
+        const lastSeenPrice = Number(item.lastNotifiedPrice ?? item.priceAtAdd);
+        if (Number(newPrice) >= lastSeenPrice) continue;
+
+        const recipientEmail = item.user?.email || item.notifyEmail;
+        if (recipientEmail) {
+          await notificationService.notifyWishlistPriceDrop({
+            recipientEmail,
+            inventoryLotId,
+            releaseTitle: item.release.title,
+            releaseArtist: item.release.artist,
+            previousPrice: lastSeenPrice,
+            newPrice: Number(newPrice),
+          });
+          alerted += 1;
+        }
+
+        await prisma.wishlistItem.update({
+          where: { id: item.id },
+          data: { lastNotifiedPrice: newPrice, lastAlertedAt: new Date() },
+        });
+      }
+
+      if (alerted > 0) {
+        logger.info('Wishlist price drop alerts sent', {
+          inventoryLotId,
+          previousPrice: Number(previousPrice),
+          newPrice: Number(newPrice),
+          alerted,
+        });
+      }
+
+      return alerted;
+    } catch (error) {
+      logger.error('Error processing wishlist price drop', {
+        inventoryLotId,
+        error: error.message,
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Send back-in-stock alerts when a copy of a wishlisted release goes LIVE:
+   * listed, relisted after a refund or return, or freed from checkout
+   * Each buyer is alerted once per listing, even with several wishlisted copies
+   * @param {string} inventoryLotId - Newly listed inventory lot ID
+   * @returns {Promise<number>} Number of buyers alerted
+   */
+  async handleWishlistNewListing(inventoryLotId) {
+    try {
+      const lot = await prisma.inventoryLot.findUnique({
+        where: { id: inventoryLotId },
+        include: { release: true },
+      });
+
+      if (!lot || lot.status !== 'LIVE') {
+        return 0;
+      }
+
+      const items = await prisma.wishlistItem.findMany({
+        where: {
+          releaseId: lot.releaseId,
+          inventoryLotId: { not: lot.id },
+          backInStockAlerts: true,
+        },
+        include: { user: true },
+      });
+
+      const notified = new Set();
+      for (const item of items) {
+        const recipientEmail = item.user?.email || item.notifyEmail;
+        if (!recipientEmail || notified.has(recipientEmail)) continue;
+
+        await notificationService.notifyWishlistBackInStock({
+          recipientEmail,
+          inventoryLotId: lot.id,
+          releaseTitle: lot.release.title,
+          releaseArtist: lot.release.artist,
+          condition: `${lot.conditionMedia}/${lot.conditionSleeve}`,
+          price: parseFloat(lot.listPrice),
+        });
+        notified.add(recipientEmail);
+      }
+
+      if (items.length > 0) {
+        await prisma.wishlistItem.updateMany({
+          where: { id: { in: items.map((item) => item.id) } },
+          data: { lastAlertedAt: new Date() },
+        });
+      }
+
+      if (notified.size > 0) {
+        logger.info('Wishlist back-in-stock alerts sent', {
+          inventoryLotId,
+          releaseId: lot.releaseId,
+          alerted: notified.size,
+        });
+      }
+
+      return notified.size;
+    } catch (error) {
+      logger.error('Error processing wishlist new listing', {
+        inventoryLotId,
+        error: error.message,
+      });
+      return 0;
+    }
+  }
+
   /**
    * Get product recommendations
    * @param {string} inventoryLotId - Current product ID
@@ -437,6 +666,51 @@ class BuyerService {
       inStock: lot.status === 'LIVE',
     };
   }
+
+  /**
+   * Build the Prisma where clause identifying a wishlist owner (private helper)
+   * Registered buyers take precedence over the guest session id
+   * @private
+   */
+  _getWishlistOwnerWhere(owner = {}) {
+    if (owner.userId) {
+      return { userId: owner.userId };
+    }
+    if (owner.sessionId) {
+      return { sessionId: owner.sessionId };
+    }
+    throw new ApiError('Buyer ID or session ID is required', 400);
+  }
+
+  /**
+   * Format wishlist item for buyer view (private helper)
+   * @private
+   */
+  _formatWishlistItem(item) {
+    const priceAtAdd = parseFloat(item.priceAtAdd);
+    const currentPrice = parseFloat(item.inventoryLot.listPrice);
+
+    return {
+      id: item.id,
+      inventoryLotId: item.inventoryLotId,
+      releaseId: item.releaseId,
+      sku: item.inventoryLot.sku,
+      releaseTitle: item.release.title,
+      releaseArtist: item.release.artist,
+      coverArtUrl: item.release.coverArtUrl,
+      condition: `${item.inventoryLot.conditionMedia}/${item.inventoryLot.conditionSleeve}`,
+      priceAtAdd,
+      currentPrice,
+      priceChange: parseFloat((currentPrice - priceAtAdd).toFixed(2)),
+      inStock: item.inventoryLot.status === 'LIVE',
+      alerts: {
+        priceDrop: item.priceDropAlerts,
+        backInStock: item.backInStockAlerts,
+        email: item.notifyEmail,
+      },
+      addedAt: item.createdAt,
+    };
+  }
 }
 
 export default new BuyerService();
@@ -0,0 +1,469 @@
+import prisma from '../utils/db.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import logger from '../../config/logger.js';
+import config from '../../config/config.js';
+import shippingService from './shippingService.js';
+import CarrierShippingProvider from '../providers/carrierShippingProvider.js';
+import EasyPostShippingProvider from '../providers/easyPostShippingProvider.js';
+import ShippoShippingProvider from '../providers/shippoShippingProvider.js';
+
+/**
+ * Webhook sources: the two aggregators, plus the generic format used by the
+ * simulator and carriers posting to us directly
+ */
+const WEBHOOK_PROVIDERS = ['easypost', 'shippo', 'generic'];
+
+/**
+ * Headers never stored with received webhooks
+ */
+const REDACTED_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+
+/**
+ * Headers kept for rejected webhooks, which anyone can send
+ */
+const REJECTED_HEADERS = [
+  'content-type',
+  'user-agent',
+  'x-hmac-signature',
+  'shippo-auth-signature',
+  'x-carrier-signature',
+  'x-carrier-timestamp',
+];
+
+/**
+ * Characters of body (and of each header) kept for rejected webhooks;
+ * they are never replayed, so this only needs to show what was sent
+ */
+const REJECTED_CONTENT_LIMIT = 1024;
+
+/**
+ * Carrier Webhook Service
+ * Verifies carrier webhook signatures, normalizes EasyPost, Shippo and generic
+ * payloads into tracking updates for shippingService, and keeps every
+ * received webhook (raw body included) for inspection and replay. Rejected
+ * webhooks keep only a truncated body and a few headers.
+ */
+class CarrierWebhookService {
+  /**
+   * Receive a carrier webhook: verify, apply and record it
+   * @param {Object} request - Incoming webhook
+   * @param {string} [request.provider] - easypost, shippo or generic (?provider=); detected when omitted
+   * @param {Object} request.headers - Request headers
+   * @param {string} request.rawBody - Raw request body (as signed)
+   * @param {Object} request.body - Parsed JSON body
+   * @returns {Promise<Object>} Recorded webhook with outcome
+   */
+  async receive({ provider, headers = {}, rawBody, body }) {
+    try {
+      const source = this.detectProvider(headers, body, provider);
+      const payload = rawBody ?? JSON.stringify(body ?? {});
+      const verification = this.verifySignature(source, headers, payload);
+      const event = this.parseEvent(source, body);
+
+      let result;
+      if (!verification.accepted) {
+        logger.warn('Carrier webhook rejected', {
+          provider: source,
+          reason: verification.reason,
+        });
+        result = { outcome: 'REJECTED', reason: verification.reason };
+      } else {
+        result = await this._apply(event);
+      }
+
+      const record = await prisma.carrierWebhookEvent.create({
+        data: {
+          provider: source,
+          eventId: this._truncate(event.eventId, 100),
+          eventType: this._truncate(event.eventType, 100),
+          trackingNumber: this._truncate(event.trackingNumber, 100),
+          status: event.status,
+          signatureValid: verification.verified,
+          outcome: result.outcome,
+          ...this._contentForLog(headers, payload, verification.accepted),
+          shipmentId: result.shipmentId,
+          trackingEventId: result.trackingEventId,
+          error: result.reason,
+          processedAt: verification.accepted ? new Date() : null,
+        },
+      });
+
+      logger.info('Carrier webhook recorded', {
+        webhookId: record.id,
+        provider: source,
+        eventId: event.eventId,
+        outcome: result.outcome,
+      });
+
+      return record;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error receiving carrier webhook', {
+        provider,
+        error: error.message,
+      });
+      throw new ApiError('Failed to record carrier webhook', 500);
+    }
+  }
+
+  /**
+   * Webhook source from ?provider=, the signature header or the body shape
+   * @param {Object} headers - Request headers (lower-case names)
+   * @param {Object} body - Parsed body
+   * @param {string} [requested] - Explicit provider
+   * @returns {string} easypost, shippo or generic
+   */
+  detectProvider(headers, body, requested) {
+    if (requested) {
+      const provider = String(requested).toLowerCase();
+      if (!WEBHOOK_PROVIDERS.includes(provider)) {
+        throw new ApiError(`Unsupported webhook provider: ${requested}`, 400);
+      }
+      return provider;
+    }
+
+    if (headers['x-hmac-signature'] || body?.object === 'Event') {
+      return 'easypost';
+    }
+    if (headers['shippo-auth-signature'] || body?.event === 'track_updated') {
+      return 'shippo';
+    }
+    return 'generic';
+  }
+
+  /**
+   * Check a webhook signature against the provider's secret
+   * Without a configured secret, webhooks are refused unless unsigned ones
+   * are explicitly allowed (allowUnsignedWebhooks) outside production, for
+   * local carriers and the simulator.
+   * @param {string} provider - easypost, shippo or generic
+   * @param {Object} headers - Request headers (lower-case names)
+   * @param {string} rawBody - Raw request body
+   * @param {Object} [settings] - config.shipping (overridable in tests)
+   * @returns {Object} { verified, accepted, reason? }
+   */
+  verifySignature(provider, headers, rawBody, settings = config.shipping) {
+    const secret = this._secretFor(provider, settings);
+
+    if (!secret) {
+      if (!settings.allowUnsignedWebhooks || config.app.env === 'production') {
+        return {
+          verified: false,
+          accepted: false,
+          reason: `No webhook secret configured for ${provider}`,
+        };
+      }
+      logger.warn('Carrier webhook accepted without signature verification', {
+        provider,
+      });
+      return { verified: false, accepted: true };
+    }
+
+    const options = { toleranceSeconds: settings.webhookToleranceSeconds };
+    let valid;
+    if (provider === 'easypost') {
+      valid = EasyPostShippingProvider.verifyWebhookSignature(
+        headers,
+        rawBody,
+        secret
+      );
+    } else if (provider === 'shippo') {
+      valid = ShippoShippingProvider.verifyWebhookSignature(
+        headers,
+        rawBody,
+        secret,
+        options
+      );
+    } else {
+      valid = this._verifyGenericSignature(headers, rawBody, secret, options);
+    }
+
+    return valid
+      ? { verified: true, accepted: true }
+      : { verified: false, accepted: false, reason: 'Invalid signature' };
+  }
+
+  /**
+   * Normalize a webhook body into a tracking update
+   * @param {string} provider - easypost, shippo or generic
+   * @param {Object} body - Parsed body
+   * @returns {Object} { eventId, eventType, trackingNumber, status, statusDetail, location, message, eventTime }
+   */
+  parseEvent(provider, body) {
+    if (provider === 'easypost') {
+      return EasyPostShippingProvider.parseWebhookEvent(body);
+    }
+    if (provider === 'shippo') {
+      return ShippoShippingProvider.parseWebhookEvent(body);
+    }
+
+    // Generic: { type, event_id, tracking_number, status, status_detail, location, message, timestamp }
+    const status = String(body?.status || '').toUpperCase();
+    return {
+      eventId: body?.event_id,
+      eventType: body?.type,
+      trackingNumber: body?.tracking_number,
+      status: shippingService.isShipmentStatus(status) ? status : null,
+      statusDetail: body?.status_detail,
+      location: body?.location,
+      message: body?.message,
+      eventTime: body?.timestamp ? new Date(body.timestamp) : null,
+    };
+  }
+
+  /**
+   * List received webhooks, newest first (raw bodies omitted)
+   * @param {Object} filters - { provider, outcome, trackingNumber, eventId, limit, page }
+   * @returns {Promise<Object>} { webhooks, outcomes, pagination }
+   */
+  async listEvents(filters = {}) {
+    try {
+      const {
+        provider,
+        outcome,
+        trackingNumber,
+        eventId,
+        limit = 50,
+        page = 1,
+      } = filters;
+
+      const where = {};
+      if (provider) where.provider = provider.toLowerCase();
+      if (outcome) where.outcome = outcome.toUpperCase();
+      if (trackingNumber) where.trackingNumber = trackingNumber;
+      if (eventId) where.eventId = eventId;
+
+      const [webhooks, total, outcomes] = await Promise.all([
+        prisma.carrierWebhookEvent.findMany({
+          where,
+          omit: { rawBody: true, headers: true },
+          orderBy: { receivedAt: 'desc' },
+          take: limit,
+          skip: (page - 1) * limit,
+        }),
+        prisma.carrierWebhookEvent.count({ where }),
+        prisma.carrierWebhookEvent.groupBy({
+          by: ['outcome'],
+          where,
+          _count: { _all: true },
+        }),
+      ]);
+
+      return {
+        webhooks,
+        outcomes: Object.fromEntries(
+          outcomes.map((row) => [row.outcome, row._count._all])
+        ),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error('Error listing carrier webhooks', { error: error.message });
+      throw new ApiError('Failed to list carrier webhooks', 500);
+    }
+  }
+
+  /**
+   * A received webhook with headers, raw body, parsed event and the
+   * tracking event it produced
+   * @param {string} webhookId - Webhook record ID
+   * @returns {Promise<Object>} Webhook record
+   */
+  async getEvent(webhookId) {
+    try {
+      const webhook = await prisma.carrierWebhookEvent.findUnique({
+        where: { id: webhookId },
+      });
+
+      if (!webhook) {
+        throw new ApiError('Carrier webhook not found', 404);
+      }
+
+      let trackingEvent = null;
+      if (webhook.trackingEventId) {
+        trackingEvent = await prisma.shipmentTracking.findUnique({
+          where: { id: webhook.trackingEventId },
+        });
+      }
+
+      return {
+        ...webhook,
+        parsedEvent: this.parseEvent(
+          webhook.provider,
+          this._parseBody(webhook.rawBody)
+        ),
+        trackingEvent,
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error getting carrier webhook', {
+        webhookId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to retrieve carrier webhook', 500);
+    }
+  }
+
+  /**
+   * Process a recorded webhook again (e.g. after a failure or once its
+   * shipment exists). Already-applied events come back as DUPLICATE;
+   * webhooks rejected for their signature cannot be replayed.
+   * @param {string} webhookId - Webhook record ID
+   * @returns {Promise<Object>} Updated webhook record
+   */
+  async replayEvent(webhookId) {
+    try {
+      const webhook = await prisma.carrierWebhookEvent.findUnique({
+        where: { id: webhookId },
+      });
+
+      if (!webhook) {
+        throw new ApiError('Carrier webhook not found', 404);
+      }
+      if (webhook.outcome === 'REJECTED') {
+        throw new ApiError('Rejected webhooks cannot be replayed', 400);
+      }
+
+      const event = this.parseEvent(
+        webhook.provider,
+        this._parseBody(webhook.rawBody)
+      );
+      const result = await this._apply(event);
+
+      const updated = await prisma.carrierWebhookEvent.update({
+        where: { id: webhookId },
+        data: {
+          outcome: result.outcome,
+          shipmentId: result.shipmentId ?? webhook.shipmentId,
+          trackingEventId: result.trackingEventId ?? webhook.trackingEventId,
+          error: result.reason ?? null,
+          replayCount: { increment: 1 },
+          processedAt: new Date(),
+        },
+      });
+
+      logger.info('Carrier webhook replayed', {
+        webhookId,
+        outcome: result.outcome,
+      });
+
+      return updated;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error replaying carrier webhook', {
+        webhookId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to replay carrier webhook', 500);
+    }
+  }
+
+  /**
+   * Apply a parsed event; failures become a FAILED outcome so the webhook
+   * is still recorded and can be replayed
+   * @private
+   */
+  async _apply(event) {
+    try {
+      return await shippingService.processCarrierWebhook(event);
+    } catch (error) {
+      return { outcome: 'FAILED', reason: error.message };
+    }
+  }
+
+  /**
+   * Generic signature: X-Carrier-Signature is the hex HMAC of
+   * `${X-Carrier-Timestamp}.${rawBody}` (the scheme our own outgoing
+   * notification webhooks use)
+   * @private
+   */
+  _verifyGenericSignature(headers, rawBody, secret, options) {
+    const timestamp = headers['x-carrier-timestamp'];
+    if (
+      !timestamp ||
+      !CarrierShippingProvider.timestampFresh(
+        timestamp,
+        options.toleranceSeconds,
+        options.now
+      )
+    ) {
+      return false;
+    }
+    return CarrierShippingProvider.signaturesMatch(
+      headers['x-carrier-signature'],
+      CarrierShippingProvider.hmacHex(secret, `${timestamp}.${rawBody}`)
+    );
+  }
+
+  /**
+   * Signing secret for a webhook source
+   * @private
+   */
+  _secretFor(provider, settings) {
+    if (provider === 'easypost') return settings.easypost?.webhookSecret;
+    if (provider === 'shippo') return settings.shippo?.webhookSecret;
+    return settings.webhookSecret;
+  }
+
+  /**
+   * Request headers worth keeping, without credentials
+   * @private
+   */
+  _headersForLog(headers) {
+    return Object.fromEntries(
+      Object.entries(headers).filter(
+        ([name]) => !REDACTED_HEADERS.includes(name.toLowerCase())
+      )
+    );
+  }
+
+  /**
+   * Headers and body to store; rejected webhooks are unauthenticated, so
+   * only a bounded excerpt of them is kept
+   * @private
+   * @returns {Object} {headers, rawBody}
+   */
+  _contentForLog(headers, rawBody, accepted) {
+    if (accepted) {
+      return { headers: this._headersForLog(headers), rawBody };
+    }
+
+    return {
+      headers: Object.fromEntries(
+        Object.entries(headers)
+          .filter(([name]) => REJECTED_HEADERS.includes(name.toLowerCase()))
+          .map(([name, value]) => [
+            name,
+            this._truncate(value, REJECTED_CONTENT_LIMIT),
+          ])
+      ),
+      rawBody: this._truncate(rawBody, REJECTED_CONTENT_LIMIT),
+    };
+  }
+
+  /**
+   * JSON body of a stored webhook (null when it was not JSON)
+   * @private
+   */
+  _parseBody(rawBody) {
+    try {
+      return JSON.parse(rawBody);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Fit carrier-supplied identifiers into their columns
+   * @private
+   */
+  _truncate(value, length) {
+    return value == null ? value : String(value).slice(0, length);
+  }
+}
+
+export default new CarrierWebhookService();
@@ -0,0 +1,299 @@
+import prisma from '../utils/db.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import logger from '../../config/logger.js';
+import discogsService from './discogsService.js';
+
+const LOOKUP_SOURCES = ['AUTO', 'LOCAL', 'DISCOGS'];
+
+/**
+ * Candidate fields compared to tell pressings apart
+ */
+const PRESSING_FIELDS = ['year', 'country', 'format', 'label', 'catalogNumber'];
+
+/**
+ * Catalog Lookup Service
+ * Resolves a scanned barcode or a catalog number (optionally with its label)
+ * to releases for in-store intake: the local catalog first, then a Discogs
+ * pressing search. When several pressings share an identifier the response
+ * lists the fields that differ so staff know what to check on the sleeve.
+ */
+class CatalogLookupService {
+  /**
+   * Look up releases by barcode or catalog number
+   * @param {Object} params - Lookup parameters
+   * @param {string} params.barcode - UPC/EAN as scanned (optional)
+   * @param {string} params.catno - Catalog number (optional)
+   * @param {string} params.label - Label name to narrow a catalog number (optional)
+   * @param {string} params.source - AUTO (default), LOCAL or DISCOGS
+   * @returns {Promise<Object>} { query, source, match, candidates, differences }
+   */
+  async lookup(params = {}) {
+    const source = (params.source || 'AUTO').toUpperCase();
+    const query = this._normalizeQuery(params);
+
+    try {
+      if (!LOOKUP_SOURCES.includes(source)) {
+        throw new ApiError(
+          `source must be one of: ${LOOKUP_SOURCES.join(', ')}`,
+          400
+        );
+      }
+
+      let candidates = [];
+      let resolvedFrom = 'NONE';
+
+      if (source !== 'DISCOGS') {
+        candidates = await this._lookupLocal(query);
+        if (candidates.length > 0) resolvedFrom = 'LOCAL';
+      }
+
+      if (candidates.length === 0 && source !== 'LOCAL') {
+        candidates = await this._lookupDiscogs(query);
+        if (candidates.length > 0) resolvedFrom = 'DISCOGS';
+      }
+
+      const result = {
+        query: {
+          barcode: query.barcode,
+          catno: query.catno,
+          label: query.label,
+        },
+        source: resolvedFrom,
+        match: this._matchType(candidates),
+        candidates,
+        differences: this._differences(candidates),
+      };
+
+      logger.info('Catalog lookup', {
+        ...result.query,
+        source: resolvedFrom,
+        match: result.match,
+        candidates: candidates.length,
+      });
+
+      return result;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error looking up release', {
+        barcode: query.barcode,
+        catno: query.catno,
+        error: error.message,
+      });
+      throw new ApiError('Failed to look up release', 500);
+    }
+  }
+
+  /**
+   * Barcode variants to compare: digits only, with UPC-A and EAN-13 forms
+   * of the same code treated as equal
+   * @param {string} barcode - Barcode as scanned
+   * @returns {Array<string>} Digit-only variants
+   */
+  barcodeVariants(barcode) {
+    const digits = String(barcode).replace(/\D/g, '');
+    const variants = [digits];
+    if (digits.length === 12) {
+      variants.push(`0${digits}`);
+    }
+    if (digits.length === 13 && digits.startsWith('0')) {
+      variants.push(digits.slice(1));
+    }
+    return variants;
+  }
+
+  /**
+   * Catalog number reduced to lowercase letters and digits, so "BST-84003",
+   * "BST 84003" and "bst84003" compare equal
+   * @param {string} value - Catalog number
+   * @returns {string} Normalized catalog number
+   */
+  normalizeCatalogNumber(value) {
+    return String(value || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * @private
+   */
+  _normalizeQuery({ barcode, catno, label }) {
+    const query = {
+      barcode: barcode?.trim() || null,
+      catno: catno?.trim() || null,
+      label: label?.trim() || null,
+    };
+
+    if (!query.barcode && !query.catno) {
+      throw new ApiError('Either barcode or catno is required', 400);
+    }
+
+    if (query.barcode) {
+      const digits = query.barcode.replace(/\D/g, '');
+      if (digits.length < 8 || digits.length > 14) {
+        throw new ApiError('barcode must contain 8 to 14 digits', 400);
+      }
+      query.barcode = digits;
+    }
+
+    if (query.catno && !this.normalizeCatalogNumber(query.catno)) {
+      throw new ApiError('catno must contain letters or digits', 400);
+    }
+
+    return query;
+  }
+
+  /**
+   * Local releases by normalized barcode, else by catalog number
+   * @private
+   */
+  async _lookupLocal(query) {
+    let rows = [];
+
+    if (query.barcode) {
+      rows = await prisma.$queryRaw`
+        SELECT id FROM releases
+        WHERE regexp_replace(COALESCE(barcode, ''), '[^0-9]', '', 'g')
+          = ANY(${this.barcodeVariants(query.barcode)})
+        LIMIT 50
+      `;
+    }
+
+    if (rows.length === 0 && query.catno) {
+      rows = await prisma.$queryRaw`
+        SELECT id FROM releases
+        WHERE regexp_replace(lower(COALESCE(catalog_number, '')), '[^a-z0-9]', '', 'g')
+          = ${this.normalizeCatalogNumber(query.catno)}
+        LIMIT 50
+      `;
+    }
+
+    if (rows.length === 0) return [];
+
+    const releases = await prisma.release.findMany({
+      where: { id: { in: rows.map((row) => row.id) } },
+      orderBy: [{ releaseYear: 'asc' }, { title: 'asc' }],
+    });
+
+    return this._filterByLabel(
+      releases.map((release) => this._localCandidate(release)),
+      query.label
+    );
+  }
+
+  /**
+   * Discogs pressings, linked to local releases that share their Discogs ID
+   * @private
+   */
+  async _lookupDiscogs(query) {
+    const results = await discogsService.searchReleases({
+      barcode: query.barcode,
+      catno: query.barcode ? null : query.catno,
+      label: query.barcode ? null : query.label,
+    });
+    if (results.length === 0) return [];
+
+    const linked = await prisma.release.findMany({
+      where: { discogsId: { in: results.map((result) => result.id) } },
+      select: { id: true, discogsId: true },
+    });
+    const localIds = new Map(
+      linked.map((release) => [release.discogsId, release.id])
+    );
+
+    return this._filterByLabel(
+      results.map((result) =>
+        this._discogsCandidate(result, localIds.get(result.id))
+      ),
+      query.label
+    );
+  }
+
+  /**
+   * Keep candidates on the requested label when any are; otherwise keep all
+   * @private
+   */
+  _filterByLabel(candidates, label) {
+    if (!label) return candidates;
+
+    const wanted = label.toLowerCase();
+    const onLabel = candidates.filter((candidate) =>
+      candidate.label?.toLowerCase().includes(wanted)
+    );
+    return onLabel.length > 0 ? onLabel : candidates;
+  }
+
+  /**
+   * @private
+   */
+  _localCandidate(release) {
+    return {
+      source: 'LOCAL',
+      releaseId: release.id,
+      discogsId: release.discogsId || null,
+      masterId: null,
+      title: release.title,
+      artist: release.artist,
+      label: release.label || null,
+      catalogNumber: release.catalogNumber || null,
+      barcode: release.barcode || null,
+      year: release.releaseYear || null,
+      country: null,
+      format: null,
+      genre: release.genre || null,
+      coverArtUrl: release.coverArtUrl || null,
+    };
+  }
+
+  /**
+   * Discogs titles come as "Artist - Title"
+   * @private
+   */
+  _discogsCandidate(result, releaseId) {
+    const separator = result.title.indexOf(' - ');
+    const artist =
+      separator > 0 ? result.title.slice(0, separator) : 'Unknown Artist';
+    const title =
+      separator > 0 ? result.title.slice(separator + 3) : result.title;
+
+    return {
+      source: 'DISCOGS',
+      releaseId: releaseId || null,
+      discogsId: result.id,
+      masterId: result.masterId,
+      title,
+      artist,
+      label: result.labels[0] || null,
+      catalogNumber: result.catno,
+      barcode: result.barcodes[0] || null,
+      year: result.year,
+      country: result.country,
+      format: result.formats.join(', ') || null,
+      genre: result.genres[0] || null,
+      coverArtUrl: result.coverImage,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _matchType(candidates) {
+    if (candidates.length === 0) return 'NONE';
+    return candidates.length === 1 ? 'EXACT' : 'AMBIGUOUS';
+  }
+
+  /**
+   * Pressing fields whose values differ between candidates
+   * @private
+   */
+  _differences(candidates) {
+    if (candidates.length < 2) return [];
+
+    return PRESSING_FIELDS.filter(
+      (field) =>
+        new Set(candidates.map((candidate) => candidate[field] ?? null)).size >
+        1
+    );
+  }
+}
+
+export default new CatalogLookupService();
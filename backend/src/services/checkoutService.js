@@ -1,10 +1,19 @@
 import prisma from '../utils/db.js';
+import { Prisma } from '../generated/prisma/index.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import logger from '../../config/logger.js';
 import orderService from './orderService.js';
 import paymentService from './paymentService.js';
+import taxService from './taxService.js';
+import promotionService from './promotionService.js';
 import inventoryService from './inventoryService.js';
+import shippingService from './shippingService.js';
+import packingService from './packingService.js';
 import * as inventoryReservationService from './inventoryReservationService.js';
+import {
+  isDomesticAddress,
+  validateShippingAddress,
+} from '../utils/address.js';
 
 /**
  * Checkout Service
@@ -18,9 +27,6 @@ class CheckoutService {
     OVERNIGHT: 29.99,
   };
 
-  // Tax rate (simplified - in production use address-based calculation)
-  DEFAULT_TAX_RATE = 0.08;
-
   /**
    * Get or create a cart order for guest/buyer
    * @param {string} buyerEmail - Buyer email
@@ -105,16 +111,22 @@ class CheckoutService {
 
   /**
    * Add item to cart
+   * The line holds its quantity of the lot's units until checkout
    * @param {string} orderId - Order ID
    * @param {string} inventoryLotId - Inventory lot ID to add
+   * @param {number} quantity - Units of the lot to add (default 1)
    * @returns {Promise<Object>} Updated cart with new item
    */
-  async addToCart(orderId, inventoryLotId) {
+  async addToCart(orderId, inventoryLotId, quantity = 1) {
     try {
       if (!orderId || !inventoryLotId) {
         throw new ApiError('orderId and inventoryLotId are required', 400);
       }
 
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new ApiError('quantity must be a positive integer', 400);
+      }
+
       // Get order
       const order = await prisma.order.findUnique({
         where: { id: orderId },
@@ -153,7 +165,10 @@ class CheckoutService {
       });
 
       if (existingItem) {
-        throw new ApiError('Item already in cart', 409);
+        throw new ApiError(
+          'Item already in cart; remove it to change the quantity',
+          409
+        );
       }
 
       // Add item to cart
@@ -162,6 +177,7 @@ class CheckoutService {
           orderId,
           inventoryLotId,
           priceAtPurchase: inventoryLot.listPrice,
+          quantity,
           releaseTitle: inventoryLot.release?.title || '',
           releaseArtist: inventoryLot.release?.artist || '',
           conditionMedia: inventoryLot.conditionMedia,
@@ -173,7 +189,7 @@ class CheckoutService {
       try {
         await inventoryReservationService.createHold(inventoryLotId, {
           orderId,
-          quantity: 1,
+          quantity,
           durationMinutes: 30, // 30-minute hold for cart items
         });
       } catch (error) {
@@ -198,6 +214,7 @@ class CheckoutService {
       logger.info('Item added to cart with hold', {
         orderId,
         inventoryLotId,
+        quantity,
         price: inventoryLot.listPrice,
       });
 
@@ -334,10 +351,13 @@ class CheckoutService {
         buyerEmail: cart.buyerEmail,
         items: cart.items,
         subtotal: parseFloat(cart.subtotal),
+        discount: parseFloat(cart.discount),
+        discountBreakdown: cart.discountBreakdown,
         tax: parseFloat(cart.tax),
+        taxBreakdown: cart.taxBreakdown,
         shipping: parseFloat(cart.shipping),
         total: parseFloat(cart.total),
-        itemCount: cart.items.length,
+        itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0),
       };
     } catch (error) {
       if (error instanceof ApiError) throw error;
@@ -350,11 +370,23 @@ class CheckoutService {
   }
 
   /**
-   * Recalculate cart totals (subtotal, tax, shipping, total)
+   * Recalculate cart totals (subtotal, discount, tax, shipping, total)
+   * Any promo code on the cart is re-evaluated; if the cart no longer
+   * qualifies the code stays attached with a zero discount and a reason.
+   * Tax is calculated on the discounted amounts from the shipping address;
+   * until one is set on the cart, tax is zero and taxBreakdown is null.
+   * International addresses are charged from their shipping zone's rates
+   * and carry no US sales tax.
    * @param {string} orderId - Order ID
+   * @param {string} shippingMethod - Shipping method
+   * @param {Object} shippingAddress - Shipping address to save on the cart (optional)
    * @returns {Promise<Object>} Updated order with recalculated totals
    */
-  async recalculateCartTotals(orderId, shippingMethod = 'STANDARD') {
+  async recalculateCartTotals(
+    orderId,
+    shippingMethod = 'STANDARD',
+    shippingAddress = null
+  ) {
     try {
       if (!orderId) {
         throw new ApiError('orderId is required', 400);
@@ -362,57 +394,111 @@ class CheckoutService {
 
       const order = await prisma.order.findUnique({
         where: { id: orderId },
-        include: { items: true },
+        include: {
+          items: {
+            include: {
+              inventoryLot: {
+                include: {
+                  release: true,
+                },
+              },
+            },
+          },
+          promotion: true,
+        },
       });
 
       if (!order) {
         throw new ApiError('Order not found', 404);
       }
 
-      // Calculate subtotal
+      // Calculate subtotal (priceAtPurchase is per unit)
       let subtotal = 0;
       if (order.items && order.items.length > 0) {
         subtotal = order.items.reduce((sum, item) => {
-          return sum + parseFloat(item.priceAtPurchase);
+          return sum + parseFloat(item.priceAtPurchase) * item.quantity;
         }, 0);
       }
 
+      if (shippingAddress) {
+        const addressErrors = validateShippingAddress(shippingAddress);
+        if (addressErrors.length > 0) {
+          throw new ApiError(addressErrors.join('; '), 400);
+        }
+      }
+
       // Get shipping rate
-      const shipping =
-        this.SHIPPING_RATES[shippingMethod] || this.SHIPPING_RATES.STANDARD;
+      const shipping = await this._shippingCharge(
+        order.items,
+        shippingMethod,
+        shippingAddress || order.shippingAddress
+      );
 
-      // Calculate tax on subtotal + shipping
-      const taxBase = subtotal + shipping;
-      const tax = parseFloat((taxBase * this.DEFAULT_TAX_RATE).toFixed(2));
+      // Apply promo code, if any
+      const discountBreakdown = await this._evaluatePromotion(order, shipping);
+      const itemDiscount = discountBreakdown?.itemDiscount || 0;
+      const shippingDiscount = discountBreakdown?.shippingDiscount || 0;
+      const discount = discountBreakdown?.totalDiscount || 0;
+
+      // Calculate tax for the destination (shipping taxability varies by state)
+      const { tax, breakdown } = await taxService.calculateTax({
+        subtotal: subtotal - itemDiscount,
+        shipping: shipping - shippingDiscount,
+        shippingAddress: shippingAddress || order.shippingAddress,
+        buyerEmail: order.buyerEmail,
+      });
 
       // Calculate total
-      const total = subtotal + tax + shipping;
+      const total = subtotal - discount + tax + shipping;
+
+      // Per-item discounts are kept on the items so partial refunds use
+      // the price actually paid
+      const itemDiscounts = new Map(
+        (discountBreakdown?.lines || []).map((line) => [
+          line.orderItemId,
+          line.amount,
+        ])
+      );
 
       // Update order with new totals
-      const updatedOrder = await prisma.order.update({
-        where: { id: orderId },
-        data: {
-          subtotal: parseFloat(subtotal.toFixed(2)),
-          tax,
-          shipping,
-          total: parseFloat(total.toFixed(2)),
-        },
-        include: {
-          items: {
-            include: {
-              inventoryLot: {
-                include: {
-                  release: true,
+      const [updatedOrder] = await prisma.$transaction([
+        prisma.order.update({
+          where: { id: orderId },
+          data: {
+            subtotal: parseFloat(subtotal.toFixed(2)),
+            discount,
+            // Json columns are cleared with DbNull rather than null
+            discountBreakdown: discountBreakdown ?? Prisma.DbNull,
+            tax,
+            taxBreakdown: breakdown ?? Prisma.DbNull,
+            shipping,
+            total: parseFloat(total.toFixed(2)),
+            ...(shippingAddress && { shippingAddress }),
+          },
+          include: {
+            items: {
+              include: {
+                inventoryLot: {
+                  include: {
+                    release: true,
+                  },
                 },
               },
             },
           },
-        },
-      });
+        }),
+        ...order.items.map((item) =>
+          prisma.orderItem.update({
+            where: { id: item.id },
+            data: { discountAmount: itemDiscounts.get(item.id) || 0 },
+          })
+        ),
+      ]);
 
       logger.debug('Cart totals recalculated', {
         orderId,
         subtotal,
+        discount,
         tax,
         shipping,
         total,
@@ -422,12 +508,14 @@ class CheckoutService {
       return {
         ...updatedOrder,
         subtotal: parseFloat(updatedOrder.subtotal),
+        discount: parseFloat(updatedOrder.discount),
         tax: parseFloat(updatedOrder.tax),
         shipping: parseFloat(updatedOrder.shipping),
         total: parseFloat(updatedOrder.total),
         items: updatedOrder.items.map((item) => ({
           ...item,
           priceAtPurchase: parseFloat(item.priceAtPurchase),
+          discountAmount: itemDiscounts.get(item.id) || 0,
         })),
       };
     } catch (error) {
@@ -440,6 +528,211 @@ class CheckoutService {
     }
   }
 
+  /**
+   * Apply a promo code to a cart
+   * Replaces any code already on the cart
+   * @param {string} orderId - Order ID
+   * @param {string} code - Promo code
+   * @param {string} shippingMethod - Shipping method for the recalculation
+   * @returns {Promise<Object>} Updated cart with the discount applied
+   */
+  async applyPromoCode(orderId, code, shippingMethod = 'STANDARD') {
+    try {
+      if (!orderId || !code) {
+        throw new ApiError('orderId and code are required', 400);
+      }
+
+      const order = await prisma.order.findUnique({
+        where: { id: orderId },
+        include: {
+          items: {
+            include: {
+              inventoryLot: {
+                include: {
+                  release: true,
+                },
+              },
+            },
+          },
+        },
+      });
+
+      if (!order) {
+        throw new ApiError('Order not found', 404);
+      }
+
+      if (order.status !== 'CART') {
+        throw new ApiError('Order is not in CART status', 400);
+      }
+
+      const promotion = await promotionService.findByCode(code);
+      if (!promotion) {
+        throw new ApiError('Promo code not found', 404);
+      }
+
+      const unavailableReason = await promotionService.getUnavailableReason(
+        promotion,
+        order.buyerEmail,
+        orderId
+      );
+      if (unavailableReason) {
+        throw new ApiError(unavailableReason, 400);
+      }
+
+      const shipping = await this._shippingCharge(
+        order.items,
+        shippingMethod,
+        order.shippingAddress
+      );
+      const discount = promotionService.calculateDiscount(promotion, {
+        items: order.items,
+        shipping,
+      });
+      if (!discount.applied) {
+        throw new ApiError(discount.reason, 400);
+      }
+
+      await prisma.order.update({
+        where: { id: orderId },
+        data: { promotionId: promotion.id },
+      });
+
+      logger.info('Promo code applied to cart', {
+        orderId,
+        code: promotion.code,
+        discount: discount.totalDiscount,
+      });
+
+      return await this.recalculateCartTotals(orderId, shippingMethod);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error applying promo code', {
+        orderId,
+        code,
+        error: error.message,
+      });
+      throw new ApiError('Failed to apply promo code', 500);
+    }
+  }
+
+  /**
+   * Remove the promo code from a cart
+   * @param {string} orderId - Order ID
+   * @param {string} shippingMethod - Shipping method for the recalculation
+   * @returns {Promise<Object>} Updated cart
+   */
+  async removePromoCode(orderId, shippingMethod = 'STANDARD') {
+    try {
+      if (!orderId) {
+        throw new ApiError('orderId is required', 400);
+      }
+
+      const order = await prisma.order.findUnique({
+        where: { id: orderId },
+      });
+
+      if (!order) {
+        throw new ApiError('Order not found', 404);
+      }
+
+      if (order.status !== 'CART') {
+        throw new ApiError('Order is not in CART status', 400);
+      }
+
+      await prisma.order.update({
+        where: { id: orderId },
+        data: { promotionId: null },
+      });
+
+      logger.info('Promo code removed from cart', { orderId });
+
+      return await this.recalculateCartTotals(orderId, shippingMethod);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error removing promo code', {
+        orderId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to remove promo code', 500);
+    }
+  }
+
+  /**
+   * Evaluate the cart's promo code against its current contents
+   * @private
+   * @returns {Promise<Object|null>} Discount breakdown, or null without a code
+   */
+  async _evaluatePromotion(order, shipping) {
+    if (!order.promotion) {
+      return null;
+    }
+
+    const unavailableReason = await promotionService.getUnavailableReason(
+      order.promotion,
+      order.buyerEmail,
+      order.id
+    );
+
+    const discount = promotionService.calculateDiscount(order.promotion, {
+      items: order.items,
+      shipping,
+    });
+
+    if (unavailableReason) {
+      return {
+        ...discount,
+        applied: false,
+        reason: unavailableReason,
+        itemDiscount: 0,
+        shippingDiscount: 0,
+        totalDiscount: 0,
+        lines: [],
+      };
+    }
+
+    return discount;
+  }
+
+  /**
+   * Shipping charge for the cart: flat domestic rates, or the destination
+   * zone's rate for the method when shipping abroad, summed over the mailer
+   * boxes the records pack into. An empty cart ships nothing.
+   * @private
+   * @returns {Promise<number>} Shipping charge
+   */
+  async _shippingCharge(items, shippingMethod, shippingAddress) {
+    if (!items || items.length === 0) {
+      return 0;
+    }
+
+    if (!shippingAddress || isDomesticAddress(shippingAddress)) {
+      return (
+        this.SHIPPING_RATES[shippingMethod] || this.SHIPPING_RATES.STANDARD
+      );
+    }
+
+    const plan = packingService.planPackages(
+      items,
+      await packingService.getActiveBoxes()
+    );
+    const rates = await shippingService.calculatePackageRates(
+      null,
+      shippingAddress,
+      plan.packages
+    );
+
+    const rate = rates.find((r) => r.method === shippingMethod);
+    if (!rate) {
+      const available = rates.map((r) => r.method).join(', ') || 'none';
+      throw new ApiError(
+        `${shippingMethod} shipping is not available to this address (available: ${available})`,
+        400
+      );
+    }
+
+    return rate.cost;
+  }
+
   /**
    * Validate cart before checkout
    * Ensures all items are still available
@@ -498,6 +791,13 @@ class CheckoutService {
             inventoryLotId: item.inventoryLotId,
             reason: `Item status changed to ${currentLot.status}`,
           });
+        } else if (
+          inventoryService.availableQuantity(currentLot) < item.quantity
+        ) {
+          unavailableItems.push({
+            inventoryLotId: item.inventoryLotId,
+            reason: `Only ${inventoryService.availableQuantity(currentLot)} available`,
+          });
         } else if (
           parseFloat(currentLot.price) !== parseFloat(item.priceAtPurchase)
         ) {
@@ -511,7 +811,7 @@ class CheckoutService {
 
       return {
         isValid: unavailableItems.length === 0,
-        itemCount: order.items.length,
+        itemCount: order.items.reduce((sum, item) => sum + item.quantity, 0),
         unavailableItems,
         priceChanges,
         currentTotal: parseFloat(order.total),
@@ -526,13 +826,62 @@ class CheckoutService {
     }
   }
 
+  /**
+   * Check the cart has a valid shipping address and that its tax was
+   * calculated for that address (domestic carts carry a breakdown for the
+   * destination state; international carts have no US sales tax)
+   * @param {Object} order - Cart with shippingAddress and taxBreakdown
+   * @throws {ApiError} 400 without a valid address, 409 when the totals
+   *   were calculated for another destination
+   * @private
+   */
+  _assertTaxedDestination(order) {
+    const addressErrors = validateShippingAddress(order.shippingAddress);
+    if (addressErrors.length > 0) {
+      throw new ApiError(
+        `A valid shipping address is required: ${addressErrors.join('; ')}`,
+        400
+      );
+    }
+
+    const destination = taxService.normalizeAddress(order.shippingAddress);
+    if (destination && order.taxBreakdown?.state !== destination.state) {
+      throw new ApiError(
+        'Tax has not been calculated for this shipping address. Please refresh cart and try again.',
+        409
+      );
+    }
+  }
+
+  /**
+   * Exemptions are looked up by the cart's buyer email, which the client
+   * supplies; an exempt cart is only charged for the account that owns
+   * that email
+   * @param {Object} order - Cart being checked out
+   * @param {Object} user - Authenticated user
+   * @private
+   */
+  _assertExemptionOwner(order, user) {
+    if (!order.taxBreakdown?.exempt) return;
+
+    if (user?.email?.toLowerCase() !== order.buyerEmail.toLowerCase()) {
+      throw new ApiError(
+        'Tax exemption applies only when signed in as the exempt buyer',
+        403
+      );
+    }
+  }
+
   /**
    * Initiate checkout - reserve inventory and create payment intent
    * @param {string} orderId - Order ID
    * @param {number} total - Expected total for verification
+   * @param {Object} user - Authenticated user (checked against exemptions)
    * @returns {Promise<Object>} Payment intent and order details
    */
-  async initiateCheckout(orderId, total) {
+  async initiateCheckout(orderId, total, user = null) {
+    let promotionClaimed = false;
+
     try {
       if (!orderId) {
         throw new ApiError('orderId is required', 400);
@@ -540,7 +889,7 @@ class CheckoutService {
 
       const order = await prisma.order.findUnique({
         where: { id: orderId },
-        include: { items: true },
+        include: { items: true, promotion: true },
       });
 
       if (!order) {
@@ -555,6 +904,23 @@ class CheckoutService {
         throw new ApiError('Cart is empty', 400);
       }
 
+      // Tax depends on the destination, so never charge without one
+      this._assertTaxedDestination(order);
+      this._assertExemptionOwner(order, user);
+
+      // A promo code can expire or hit its usage limit while in the cart;
+      // claiming the use is atomic so the last one can't be taken twice
+      if (order.promotion && order.discountBreakdown?.applied) {
+        const unavailableReason = await promotionService.claimRedemption(order);
+        if (unavailableReason) {
+          throw new ApiError(
+            `${unavailableReason}. Please refresh cart and try again.`,
+            409
+          );
+        }
+        promotionClaimed = true;
+      }
+
       // Verify total
       if (total && Math.abs(parseFloat(order.total) - total) > 0.01) {
         throw new ApiError(
@@ -569,8 +935,12 @@ class CheckoutService {
 
       for (const item of order.items) {
         try {
-          await inventoryService.reserveInventory(item.inventoryLotId, orderId);
-          reservedItems.push(item.inventoryLotId);
+          await inventoryService.reserveInventory(
+            item.inventoryLotId,
+            orderId,
+            item.quantity
+          );
+          reservedItems.push(item);
         } catch (error) {
           failedReservations.push({
             inventoryLotId: item.inventoryLotId,
@@ -588,15 +958,16 @@ class CheckoutService {
         });
 
         // Release successfully reserved items
-        for (const inventoryLotId of reservedItems) {
+        for (const item of reservedItems) {
           try {
             await inventoryService.releaseReservation(
-              inventoryLotId,
-              'Checkout reservation failed due to other items unavailable'
+              item.inventoryLotId,
+              'Checkout reservation failed due to other items unavailable',
+              item.quantity
             );
           } catch (releaseError) {
             logger.error('Error releasing reservation during rollback', {
-              inventoryLotId,
+              inventoryLotId: item.inventoryLotId,
               error: releaseError.message,
             });
           }
@@ -640,6 +1011,9 @@ class CheckoutService {
         reservedItems: reservedItems.length,
       };
     } catch (error) {
+      if (promotionClaimed) {
+        await promotionService.releaseRedemption(orderId);
+      }
       if (error instanceof ApiError) throw error;
       logger.error('Error initiating checkout', {
         orderId,
@@ -682,8 +1056,15 @@ class CheckoutService {
       const failedSales = [];
 
       for (const item of order.items) {
+        // Refunded items gave their units back; sold ones are already done
+        if (item.refundedAt || item.soldAt) continue;
+
         try {
-          await inventoryService.markAsSold(item.inventoryLotId, orderId);
+          await inventoryService.markAsSold(
+            item.inventoryLotId,
+            orderId,
+            item.quantity
+          );
           soldItems.push(item.inventoryLotId);
 
           // Convert hold to sale
@@ -723,6 +1104,20 @@ class CheckoutService {
         throw new ApiError('Failed to complete purchase for some items', 500);
       }
 
+      if (order.promotionId) {
+        try {
+          await promotionService.recordRedemption(order);
+        } catch (error) {
+          logger.error('Failed to record promo code redemption', {
+            orderId,
+            promotionId: order.promotionId,
+            error: error.message,
+          });
+          // Payment is captured and the use was claimed at checkout; this
+          // only fills in a redemption that is missing
+        }
+      }
+
       logger.info('Checkout completed with holds converted to sales', {
         orderId,
         soldItemCount: soldItems.length,
@@ -784,7 +1179,8 @@ class CheckoutService {
         try {
           await inventoryService.releaseReservation(
             item.inventoryLotId,
-            reason
+            reason,
+            item.quantity
           );
         } catch (error) {
           logger.warn(
@@ -0,0 +1,424 @@
+import prisma from '../utils/db.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import logger from '../../config/logger.js';
+import { parseCsv } from '../utils/csv.js';
+import discogsService from './discogsService.js';
+import submissionService from './submissionService.js';
+import sellerService from './sellerService.js';
+
+const CONDITIONS = [
+  'MINT',
+  'NM',
+  'VG_PLUS',
+  'VG',
+  'VG_MINUS',
+  'G',
+  'FAIR',
+  'POOR',
+];
+
+/**
+ * Discogs grading (collection fields and export columns) mapped to ours.
+ * Discogs has no VG-; G+ maps down to G so imported offers stay
+ * conservative until the item is graded in person. Generic and unmarked
+ * sleeves fall back to the seller's default condition.
+ */
+const DISCOGS_CONDITIONS = {
+  'mint (m)': 'MINT',
+  m: 'MINT',
+  'near mint (nm or m-)': 'NM',
+  nm: 'NM',
+  'm-': 'NM',
+  'very good plus (vg+)': 'VG_PLUS',
+  'vg+': 'VG_PLUS',
+  'very good (vg)': 'VG',
+  vg: 'VG',
+  'good plus (g+)': 'G',
+  'g+': 'G',
+  'good (g)': 'G',
+  g: 'G',
+  'fair (f)': 'FAIR',
+  f: 'FAIR',
+  'poor (p)': 'POOR',
+  p: 'POOR',
+  'no cover': 'POOR',
+  generic: null,
+  'not graded': null,
+};
+
+/**
+ * Default Discogs collection field ids for media and sleeve condition
+ */
+const MEDIA_CONDITION_FIELD = 1;
+const SLEEVE_CONDITION_FIELD = 2;
+
+/**
+ * Largest collection accepted in one import
+ */
+const MAX_IMPORT_ROWS = 2000;
+
+/**
+ * Collection Import Service
+ * Bulk intake for sellers with large collections: reads a Discogs collection
+ * export CSV or a Discogs username, matches rows to catalog releases by
+ * discogs_id, applies the seller's default conditions and adds the matched
+ * records to their submission with per-item auto-offers.
+ */
+class CollectionImportService {
+  /**
+   * Import a collection into a pending submission
+   * @param {string} submissionId - Seller submission ID
+   * @param {Object} source - { csv } or { discogsUsername }
+   * @param {Object} options - { defaultConditionMedia, defaultConditionSleeve,
+   *   useCollectionConditions (default true), preview (default false) }
+   * @param {Object} requester - Authenticated user ({id, role}); must be an
+   *   admin or the seller who owns the submission
+   * @returns {Promise<Object>} Matched items, unmatched rows and the submission
+   */
+  async importCollection(submissionId, source = {}, options = {}, requester) {
+    try {
+      const {
+        defaultConditionMedia,
+        defaultConditionSleeve,
+        useCollectionConditions = true,
+        preview = false,
+      } = options;
+
+      const defaults = {
+        media: this._validateDefault(
+          defaultConditionMedia,
+          'defaultConditionMedia'
+        ),
+        sleeve: this._validateDefault(
+          defaultConditionSleeve,
+          'defaultConditionSleeve'
+        ),
+      };
+
+      const submission = await prisma.sellerSubmission.findUnique({
+        where: { id: submissionId },
+        include: { seller: { select: { id: true, userId: true } } },
+      });
+      if (!submission) {
+        throw new ApiError('Submission not found', 404);
+      }
+      this._assertImportAccess(submission, requester);
+      if (submission.status !== 'PENDING_REVIEW') {
+        throw new ApiError(
+          `Cannot add items to submission with status: ${submission.status}`,
+          400
+        );
+      }
+
+      // Private collections are only read with a Discogs account the
+      // requester or the seller connected themselves
+      const ownerIds = [requester.id, submission.seller?.userId].filter(
+        Boolean
+      );
+      const { rows, sourceType, truncated } = await this._loadRows(
+        source,
+        ownerIds
+      );
+      if (rows.length === 0) {
+        throw new ApiError('The collection contains no records', 400);
+      }
+
+      const { items, unmatched, matchedRows } = await this._matchRows(rows, {
+        defaults,
+        useCollectionConditions,
+      });
+
+      const summary = {
+        source: sourceType,
+        rows: rows.length,
+        truncated,
+        matchedRows,
+        items: items.length,
+        unmatchedRows: unmatched.length,
+      };
+
+      if (preview) {
+        return { preview: true, summary, items, unmatched };
+      }
+
+      if (items.length === 0) {
+        throw new ApiError(
+          `None of the ${rows.length} records matched a release in the catalog`,
+          400
+        );
+      }
+
+      // Bulk imports quote from stored market snapshots only; releases in
+      // open submissions are picked up by the market refresh job
+      const created = await submissionService.createSubmission(
+        submissionId,
+        items.map(
+          ({ releaseId, quantity, conditionMedia, conditionSleeve }) => ({
+            releaseId,
+            quantity,
+            conditionMedia,
+            conditionSleeve,
+          })
+        ),
+        { liveMarketData: false }
+      );
+
+      summary.unpriced = created.items.filter(
+        (item) => Number(item.autoOfferPrice) === 0
+      ).length;
+
+      logger.info('Collection imported into submission', {
+        submissionId,
+        ...summary,
+      });
+
+      return { preview: false, summary, submission: created, unmatched };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error importing collection', {
+        submissionId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to import collection', 500);
+    }
+  }
+
+  /**
+   * Parse a Discogs collection export
+   * Columns: Catalog#, Artist, Title, Label, Format, Rating, Released,
+   * release_id, CollectionFolder, Date Added, Collection Media Condition,
+   * Collection Sleeve Condition, Collection Notes
+   * @param {string} csvText - Export CSV
+   * @returns {Array<Object>} Rows { line, discogsId, artist, title,
+   *   catalogNumber, mediaCondition, sleeveCondition }
+   */
+  parseCollectionCsv(csvText) {
+    return parseCsv(csvText).map((record) => ({
+      line: record._line,
+      discogsId: this._parseDiscogsId(record.release_id),
+      artist: record.artist || null,
+      title: record.title || null,
+      catalogNumber: record['catalog#'] || null,
+      mediaCondition: record.collection_media_condition || null,
+      sleeveCondition: record.collection_sleeve_condition || null,
+    }));
+  }
+
+  /**
+   * Map a Discogs or internal grade to a condition
+   * @param {string} value - e.g. "Very Good Plus (VG+)", "VG+", "VG_PLUS"
+   * @returns {string|null|undefined} Condition, null for "use the default",
+   *   undefined when unrecognized
+   */
+  mapCondition(value) {
+    if (value === undefined || value === null || value.trim() === '') {
+      return null;
+    }
+
+    const normalized = value.trim().toLowerCase();
+    if (Object.hasOwn(DISCOGS_CONDITIONS, normalized)) {
+      return DISCOGS_CONDITIONS[normalized];
+    }
+
+    const internal = value.trim().toUpperCase();
+    return CONDITIONS.includes(internal) ? internal : undefined;
+  }
+
+  /**
+   * Only admins and the seller linked to the submission may import into it
+   * @param {Object} submission - Submission with seller { userId }
+   * @param {Object} requester - Authenticated user ({id, role})
+   * @private
+   */
+  _assertImportAccess(submission, requester) {
+    if (!requester) {
+      throw new ApiError('Authentication required', 401);
+    }
+    if (!submission.seller) {
+      if (['ADMIN', 'SUPER_ADMIN'].includes(requester.role)) return;
+      throw new ApiError('You do not have access to this seller', 403);
+    }
+    sellerService.assertAccess(submission.seller, requester);
+  }
+
+  /**
+   * @private
+   */
+  async _loadRows(source, ownerIds = []) {
+    if (source.csv) {
+      const rows = this.parseCollectionCsv(source.csv);
+      return {
+        sourceType: 'CSV',
+        rows: rows.slice(0, MAX_IMPORT_ROWS),
+        truncated: rows.length > MAX_IMPORT_ROWS,
+      };
+    }
+
+    if (source.discogsUsername) {
+      const collection = await discogsService.getUserCollection(
+        source.discogsUsername.trim(),
+        { maxItems: MAX_IMPORT_ROWS, ownerIds }
+      );
+      return {
+        sourceType: 'DISCOGS_USERNAME',
+        rows: collection.releases.map((release, index) =>
+          this._collectionRow(release, index + 1)
+        ),
+        truncated: collection.truncated,
+      };
+    }
+
+    throw new ApiError(
+      'Provide a Discogs collection export (csv) or a discogsUsername',
+      400
+    );
+  }
+
+  /**
+   * Row from a Discogs collection API release
+   * @private
+   */
+  _collectionRow(release, position) {
+    const info = release.basic_information || {};
+    const note = (fieldId) =>
+      release.notes?.find((n) => n.field_id === fieldId)?.value || null;
+
+    return {
+      line: position,
+      discogsId: this._parseDiscogsId(info.id ?? release.id),
+      artist: info.artists?.map((artist) => artist.name).join(', ') || null,
+      title: info.title || null,
+      catalogNumber: info.labels?.[0]?.catno || null,
+      mediaCondition: note(MEDIA_CONDITION_FIELD),
+      sleeveCondition: note(SLEEVE_CONDITION_FIELD),
+    };
+  }
+
+  /**
+   * Match rows to releases and group them into submission items
+   * Rows for the same release and grades become one item with a quantity.
+   * @private
+   */
+  async _matchRows(rows, { defaults, useCollectionConditions }) {
+    const discogsIds = [
+      ...new Set(rows.map((row) => row.discogsId).filter(Boolean)),
+    ];
+    const releases = await prisma.release.findMany({
+      where: { discogsId: { in: discogsIds } },
+      select: { id: true, discogsId: true, title: true, artist: true },
+    });
+    const releasesByDiscogsId = new Map(
+      releases.map((release) => [release.discogsId, release])
+    );
+
+    const grouped = new Map();
+    const unmatched = [];
+    let matchedRows = 0;
+
+    for (const row of rows) {
+      const reject = (reason, message) =>
+        unmatched.push({
+          line: row.line,
+          discogsId: row.discogsId,
+          artist: row.artist,
+          title: row.title,
+          catalogNumber: row.catalogNumber,
+          reason,
+          message,
+        });
+
+      if (!row.discogsId) {
+        reject('MISSING_RELEASE_ID', 'Row has no Discogs release_id');
+        continue;
+      }
+
+      const release = releasesByDiscogsId.get(row.discogsId);
+      if (!release) {
+        reject(
+          'NOT_IN_CATALOG',
+          `Discogs release ${row.discogsId} is not in the catalog`
+        );
+        continue;
+      }
+
+      const conditionMedia = this._resolveCondition(
+        useCollectionConditions ? row.mediaCondition : null,
+        defaults.media
+      );
+      const conditionSleeve = this._resolveCondition(
+        useCollectionConditions ? row.sleeveCondition : null,
+        defaults.sleeve
+      );
+      if (conditionMedia === undefined || conditionSleeve === undefined) {
+        reject(
+          'INVALID_CONDITION',
+          `Unrecognized condition "${conditionMedia === undefined ? row.mediaCondition : row.sleeveCondition}"`
+        );
+        continue;
+      }
+      if (!conditionMedia || !conditionSleeve) {
+        reject(
+          'MISSING_CONDITION',
+          'No condition in the collection and no default condition set'
+        );
+        continue;
+      }
+
+      matchedRows++;
+      const key = `${release.id}:${conditionMedia}:${conditionSleeve}`;
+      const item = grouped.get(key);
+      if (item) {
+        item.quantity++;
+        item.lines.push(row.line);
+      } else {
+        grouped.set(key, {
+          releaseId: release.id,
+          discogsId: release.discogsId,
+          title: release.title,
+          artist: release.artist,
+          quantity: 1,
+          conditionMedia,
+          conditionSleeve,
+          lines: [row.line],
+        });
+      }
+    }
+
+    return { items: [...grouped.values()], unmatched, matchedRows };
+  }
+
+  /**
+   * Collection grade first, then the default; undefined when unrecognized
+   * @private
+   */
+  _resolveCondition(value, fallback) {
+    const mapped = this.mapCondition(value);
+    if (mapped === undefined) return undefined;
+    return mapped || fallback;
+  }
+
+  /**
+   * @private
+   */
+  _validateDefault(value, field) {
+    if (value === undefined || value === null || value === '') return null;
+    const mapped = this.mapCondition(value);
+    if (!mapped) {
+      throw new ApiError(
+        `${field} must be one of: ${CONDITIONS.join(', ')}`,
+        400
+      );
+    }
+    return mapped;
+  }
+
+  /**
+   * @private
+   */
+  _parseDiscogsId(value) {
+    const id = parseInt(value, 10);
+    return Number.isInteger(id) && id > 0 ? id : null;
+  }
+}
+
+export default new CollectionImportService();
@@ -25,8 +25,9 @@ class DiscogsOAuthService {
   /**
    * Step 1: Get Request Token
    * User starts OAuth flow here
+   * @param {string} [userId] - Logged-in user who will own the access token
    */
-  async getRequestToken() {
+  async getRequestToken(userId = null) {
     try {
       if (!this.consumerKey || !this.consumerSecret) {
         throw new Error('Discogs OAuth credentials not configured');
@@ -60,6 +61,7 @@ class DiscogsOAuthService {
       // Store request token temporarily (expires in 10 minutes)
       tempRequestTokens.set(tokens.oauth_token, {
         ...tokens,
+        userId,
         createdAt: Date.now(),
         expiresAt: Date.now() + 10 * 60 * 1000, // 10 minute expiry
       });
@@ -139,6 +141,7 @@ class DiscogsOAuthService {
             ? parseInt(accessTokens.oauth_user_id)
             : null,
           isActive: true,
+          userId: storedToken.userId || null,
         },
       });
 
@@ -191,6 +194,46 @@ class DiscogsOAuthService {
     }
   }
 
+  /**
+   * Get the active OAuth token connected for a Discogs username by one of
+   * the given users. Tokens connected by anyone else are never used, so a
+   * private collection is only readable by its owner.
+   * @param {string} username - Discogs username
+   * @param {Array<string>} ownerIds - User IDs whose tokens may be used
+   * @returns {Promise<Object|null>} Token, or null when none is connected
+   */
+  async getAccessTokenForUsername(username, ownerIds = []) {
+    try {
+      if (ownerIds.length === 0) {
+        return null;
+      }
+
+      const token = await prisma.discogsOAuthToken.findFirst({
+        where: {
+          isActive: true,
+          userId: { in: ownerIds },
+          discogsUsername: { equals: username, mode: 'insensitive' },
+        },
+        orderBy: { obtainedAt: 'desc' },
+      });
+
+      if (!token) {
+        return null;
+      }
+
+      return {
+        accessToken: token.accessToken,
+        accessTokenSecret: token.accessTokenSecret,
+      };
+    } catch (error) {
+      logger.error('Failed to retrieve access token for username', {
+        username,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
   /**
    * Invalidate an OAuth token
    */
@@ -1397,6 +1397,168 @@ class DiscogsService {
       throw new ApiError('Failed to perform enriched search', 500);
     }
   }
+
+  /**
+   * Search vinyl pressings (release type only) by barcode or catalog number
+   * Unlike search(), masters are skipped: an identifier scanned off a sleeve
+   * belongs to a specific pressing.
+   * @param {Object} params - Search parameters
+   * @param {string} params.barcode - UPC/EAN barcode (optional)
+   * @param {string} params.catno - Catalog number (optional)
+   * @param {string} params.label - Label name to narrow a catalog number (optional)
+   * @param {number} params.perPage - Results to return (default 25)
+   * @returns {Promise<Array>} - Pressings { id, masterId, title, year, country,
+   *   formats, labels, catno, barcodes, coverImage, uri }
+   */
+  async searchReleases(params) {
+    try {
+      const { barcode, catno, label, perPage = 25 } = params;
+
+      if (!barcode && !catno) {
+        throw new ApiError('Either barcode or catno is required', 400);
+      }
+
+      const searchParams = {
+        type: 'release',
+        format: 'Vinyl',
+        per_page: perPage,
+      };
+      if (barcode) {
+        searchParams.barcode = barcode;
+      }
+      if (catno) {
+        searchParams.catno = catno;
+      }
+      if (label) {
+        searchParams.label = label;
+      }
+
+      const cacheKey = generateCacheKey('discogs', 'searchReleases', searchParams);
+
+      return await getOrSet(
+        cacheKey,
+        async () => {
+          await this.throttler.wait();
+          const response = await this.retryWithBackoff(
+            () => this.client.get('/database/search', { params: searchParams }),
+            3,
+            1500
+          );
+
+          return (response.data.results || []).map((result) => ({
+            id: result.id,
+            masterId: result.master_id || null,
+            title: result.title,
+            year: result.year ? parseInt(result.year, 10) : null,
+            country: result.country || null,
+            formats: result.format || [],
+            labels: result.label || [],
+            catno: result.catno || null,
+            barcodes: result.barcode || [],
+            genres: result.genre || [],
+            coverImage: result.cover_image || result.thumb || null,
+            uri: result.uri,
+          }));
+        },
+        3600 // Cache for 1 hour
+      );
+    } catch (error) {
+      if (error.isApiError) throw error;
+      logger.error('Discogs release search failed', {
+        error: error.message,
+        errorStatus: error.response?.status,
+      });
+      throw new ApiError('Failed to search Discogs releases', 502);
+    }
+  }
+
+  /**
+   * Fetch a user's collection (all folders), page by page
+   * Uses the OAuth token that one of the owners connected for that username,
+   * so they can read their own private collection. Anyone else's request is
+   * unsigned and only sees public collections; the store's tokens are never
+   * used here.
+   * @param {string} username - Discogs username
+   * @param {Object} options - { maxItems (default 2000), ownerIds: user IDs
+   *   whose connected tokens may be used }
+   * @returns {Promise<Object>} { username, total, truncated, releases }
+   */
+  async getUserCollection(username, options = {}) {
+    const { maxItems = 2000, ownerIds = [] } = options;
+
+    try {
+      if (!username || typeof username !== 'string') {
+        throw new ApiError('Discogs username is required', 400);
+      }
+
+      const oauthToken =
+        await discogsOAuthService.getAccessTokenForUsername(username, ownerIds);
+      const releases = [];
+      let page = 1;
+      let pages = 1;
+      let total = 0;
+
+      do {
+        const url = `${DISCOGS_API_BASE}/users/${encodeURIComponent(username)}/collection/folders/0/releases?page=${page}&per_page=100`;
+        const headers = { 'User-Agent': 'VinylCatalogAPI/1.0' };
+        if (oauthToken?.accessToken) {
+          headers['Authorization'] = this._buildOAuthHeader(
+            'GET',
+            url,
+            oauthToken.accessToken,
+            oauthToken.accessTokenSecret,
+            process.env.DISCOGS_CONSUMER_SECRET
+          );
+        }
+
+        await this.throttler.wait();
+        const response = await this.retryWithBackoff(
+          () => axios.get(url, { headers, timeout: 30000 }),
+          3,
+          1500
+        );
+
+        pages = response.data.pagination?.pages || 1;
+        total = response.data.pagination?.items || 0;
+        releases.push(...(response.data.releases || []));
+        page++;
+      } while (page <= pages && releases.length < maxItems);
+
+      logger.info('Fetched Discogs collection', {
+        username,
+        total,
+        fetched: releases.length,
+      });
+
+      return {
+        username,
+        total,
+        truncated: total > maxItems,
+        releases: releases.slice(0, maxItems),
+      };
+    } catch (error) {
+      if (error.isApiError) throw error;
+
+      const status = error.response?.status;
+      logger.error('Failed to fetch Discogs collection', {
+        username,
+        errorStatus: status,
+        errorMessage: error.message,
+      });
+
+      if (status === 404) {
+        throw new ApiError(`Discogs user ${username} not found`, 404);
+      }
+      if (status === 401 || status === 403) {
+        throw new ApiError(
+          `Discogs collection for ${username} is private; connect the account via Discogs OAuth or upload a collection export CSV`,
+          403
+        );
+      }
+      throw new ApiError('Failed to fetch Discogs collection', 502);
+    }
+  }
 }
 
+export { RequestThrottler };
 export default new DiscogsService();
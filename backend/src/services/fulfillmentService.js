@@ -2,6 +2,7 @@ import prisma from '../utils/db.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import logger from '../../config/logger.js';
 import shippingService from './shippingService.js';
+import packingService from './packingService.js';
 import orderService from './orderService.js';
 import notificationService from './notificationService.js';
 
@@ -22,7 +23,7 @@ class FulfillmentService {
   /**
    * Get orders ready for shipment (PAYMENT_CONFIRMED status)
    * @param {Object} filters - Query filters {limit, page, sortBy}
-   * @returns {Promise<Object>} Paginated orders with items
+   * @returns {Promise<Object>} Paginated orders with items and packing plan
    */
   async getOrdersReadyToShip(filters = {}) {
     try {
@@ -31,7 +32,7 @@ class FulfillmentService {
       const skip = (page - 1) * limit;
 
       // Get orders with PAYMENT_CONFIRMED status
-      const [orders, total] = await Promise.all([
+      const [orders, total, boxes] = await Promise.all([
         prisma.order.findMany({
           where: {
             status: 'PAYMENT_CONFIRMED',
@@ -58,6 +59,7 @@ class FulfillmentService {
             status: 'PAYMENT_CONFIRMED',
           },
         }),
+        packingService.getActiveBoxes(),
       ]);
 
       logger.info('Orders ready to ship retrieved', {
@@ -67,7 +69,10 @@ class FulfillmentService {
       });
 
       return {
-        orders,
+        orders: orders.map((order) => ({
+          ...order,
+          packingPlan: packingService.planPackages(order.items, boxes),
+        })),
         pagination: {
           total,
           page,
@@ -83,6 +88,19 @@ class FulfillmentService {
     }
   }
 
+  /**
+   * Packing plan for an order: the mailer boxes it needs and the records,
+   * weight and billable weight of each package
+   * @param {string} orderId - Order UUID
+   * @returns {Promise<Object>} Plan with packages and totals
+   */
+  async getPackingPlan(orderId) {
+    if (!orderId) {
+      throw new ApiError('orderId is required', 400);
+    }
+    return packingService.getPackingPlan(orderId);
+  }
+
   /**
    * Prepare order for shipment by creating Shipment record
    * @param {string} orderId - Order UUID
@@ -266,6 +284,10 @@ class FulfillmentService {
           approvedAt: new Date(),
         },
       });
+      await prisma.shipmentPackage.updateMany({
+        where: { shipmentId },
+        data: { status: 'READY_TO_SHIP' },
+      });
 
       logger.info('Shipment approved', {
         shipmentId,
@@ -314,6 +336,10 @@ class FulfillmentService {
           approvedAt: null,
         },
       });
+      await prisma.shipmentPackage.updateMany({
+        where: { shipmentId },
+        data: { status: 'PENDING_LABEL' },
+      });
 
       // Create tracking event for rejection
       await shippingService.createTrackingEvent(shipmentId, 'PENDING_LABEL', {
@@ -537,7 +563,7 @@ class FulfillmentService {
 
       const shipment = await prisma.shipment.findUnique({
         where: { id: shipmentId },
-        include: { order: true },
+        include: { order: true, packages: true },
       });
 
       if (!shipment) {
@@ -548,6 +574,14 @@ class FulfillmentService {
         throw new ApiError('Shipment order not found', 404);
       }
 
+      // Every package leaves with the shipment
+      let trackingNumbers = shipment.packages
+        .map((pkg) => pkg.trackingNumber)
+        .filter(Boolean);
+      if (trackingNumbers.length === 0) {
+        trackingNumbers = [shipment.trackingNumber];
+      }
+
       // Update shipment to IN_TRANSIT
       const updatedShipment = await prisma.$transaction(async (tx) => {
         // Update shipment status
@@ -558,6 +592,10 @@ class FulfillmentService {
             shippedAt: new Date(),
           },
         });
+        await tx.shipmentPackage.updateMany({
+          where: { shipmentId },
+          data: { status: 'IN_TRANSIT' },
+        });
 
         // Create tracking event
         await tx.shipmentTracking.create({
@@ -585,7 +623,7 @@ class FulfillmentService {
             orderId: shipment.orderId,
             fromStatus: 'PROCESSING',
             toStatus: 'SHIPPED',
-            changeReason: `Shipped with tracking ${updated.trackingNumber}`,
+            changeReason: `Shipped with tracking ${trackingNumbers.join(', ')}`,
             changedBy: adminId,
           },
         });
@@ -596,19 +634,20 @@ class FulfillmentService {
       logger.info('Shipment marked as shipped', {
         shipmentId,
         orderId: shipment.orderId,
-        trackingNumber: shipment.trackingNumber,
+        trackingNumbers,
         shippedBy: adminId,
       });
 
       // Send notification to buyer
       try {
-        await notificationService.notifyShipmentShipped({
-          orderId: shipment.orderId,
-          trackingNumber: shipment.trackingNumber,
-          trackingUrl: shipment.trackingUrl,
-          estimatedDelivery: shipment.estimatedDeliveryDate,
+        await notificationService.notifyOrderShipped({
           buyerEmail: shipment.order.buyerEmail,
-          buyerName: shipment.order.buyerName,
+          orderNumber: shipment.order.orderNumber,
+          trackingNumber: updatedShipment.trackingNumber,
+          trackingUrl: updatedShipment.trackingUrl,
+          carrier: updatedShipment.carrier,
+          shippingMethod: updatedShipment.shippingMethod,
+          estimatedDelivery: updatedShipment.estimatedDeliveryDate,
         });
       } catch (error) {
         logger.warn('Failed to send shipment notification', {
@@ -764,6 +803,7 @@ class FulfillmentService {
               },
             },
           },
+          packages: { orderBy: { packageNumber: 'asc' } },
           trackingEvents: {
             orderBy: { eventTime: 'desc' },
           },
@@ -0,0 +1,728 @@
+import prisma from '../utils/db.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import logger from '../../config/logger.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import inventoryService from './inventoryService.js';
+import adminPreferencesService from './adminPreferencesService.js';
+import buyerService from './buyerService.js';
+
+const CONDITIONS = [
+  'MINT',
+  'NM',
+  'VG_PLUS',
+  'VG',
+  'VG_MINUS',
+  'G',
+  'FAIR',
+  'POOR',
+];
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Columns every export carries so an edited sheet can be imported back
+ */
+const KEY_COLUMNS = [
+  'id',
+  'sku',
+  'release_id',
+  'quantity',
+  'reserved_quantity',
+];
+
+/**
+ * Export columns for each admin inventory table column (the column ids
+ * saved in admin table preferences). Table columns hidden by default are
+ * only exported when the admin has turned them on.
+ */
+const TABLE_COLUMNS = [
+  { id: 'title', columns: ['title'] },
+  { id: 'artist', columns: ['artist'] },
+  { id: 'label', columns: ['label'] },
+  { id: 'catalogNumber', columns: ['catalog_number'] },
+  { id: 'format', columns: ['format'], defaultVisible: false },
+  { id: 'country', columns: ['country'], defaultVisible: false },
+  { id: 'releaseStatus', columns: ['release_status'], defaultVisible: false },
+  { id: 'styles', columns: ['styles'], defaultVisible: false },
+  { id: 'year', columns: ['year'] },
+  { id: 'genre', columns: ['genre'] },
+  { id: 'variant', columns: ['variant'] },
+  { id: 'channel', columns: ['channel'], defaultVisible: false },
+  { id: 'condition', columns: ['condition_media', 'condition_sleeve'] },
+  { id: 'status', columns: ['status'] },
+  { id: 'cost', columns: ['cost_basis'] },
+  { id: 'listPrice', columns: ['list_price'] },
+  { id: 'salePrice', columns: ['sale_price'] },
+  { id: 'discogs', columns: ['discogs_id'], defaultVisible: false },
+  { id: 'submission', columns: ['submission_id', 'seller_name'] },
+];
+
+/**
+ * Status changes an import may make. Lots in checkout or sold go through
+ * the order flow instead.
+ */
+const IMPORT_STATUS_TRANSITIONS = {
+  DRAFT: ['LIVE', 'REMOVED'],
+  LIVE: ['DRAFT', 'REMOVED'],
+  RESERVED: [],
+  SOLD: [],
+  REMOVED: ['DRAFT', 'LIVE'],
+  RETURNED: ['LIVE', 'REMOVED'],
+};
+
+const NEW_LOT_STATUSES = ['DRAFT', 'LIVE'];
+
+/**
+ * Importable columns (CSV header -> lot field); other columns, such as the
+ * release details in an export, are ignored on import
+ */
+const TEXT_FIELDS = {
+  channel: { field: 'channel', maxLength: 50 },
+  format: { field: 'format', maxLength: 100 },
+  country: { field: 'country', maxLength: 100 },
+  release_status: { field: 'releaseStatus', maxLength: 50 },
+  styles: { field: 'styles', maxLength: 255 },
+  internal_notes: { field: 'internalNotes' },
+  public_description: { field: 'publicDescription' },
+};
+
+const CONDITION_FIELDS = {
+  condition_media: 'conditionMedia',
+  condition_sleeve: 'conditionSleeve',
+};
+
+const PRICE_FIELDS = {
+  cost_basis: 'costBasis',
+  list_price: 'listPrice',
+  sale_price: 'salePrice',
+};
+
+const EXPORT_PAGE_SIZE = 500;
+const MAX_EXPORT_ROWS = 20000;
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Inventory CSV Service
+ * Spreadsheet round trips for stocktakes: export lots with the listInventory
+ * filters and the admin's visible table columns, edit the sheet, and import
+ * it back. Imports upsert by SKU (or lot id), validate every cell, and
+ * report each row's changes or errors; a dry run only reports.
+ */
+class InventoryCsvService {
+  /**
+   * Export inventory lots
+   * @param {Object} filters - listInventory filters (status, conditions, genre, ...)
+   * @param {Object} options - Export options
+   * @param {string} options.format - csv (default) or json
+   * @param {Array<string>|string} options.columns - Table column ids, or 'all'
+   *   (default: the user's saved inventory table columns)
+   * @param {string} options.userId - Admin whose column preferences apply
+   * @returns {Promise<Object>} { format, filename, columns, rows, csv }
+   */
+  async exportInventory(filters = {}, options = {}) {
+    const { format = 'csv', columns = null, userId = null } = options;
+
+    try {
+      if (!EXPORT_FORMATS.includes(format)) {
+        throw new ApiError(
+          `format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+          400
+        );
+      }
+
+      const tableColumns = await this._resolveTableColumns(columns, userId);
+      const header = [
+        ...KEY_COLUMNS,
+        ...tableColumns.flatMap((column) => column.columns),
+      ];
+
+      const lots = [];
+      let page = 1;
+      let totalPages = 1;
+      do {
+        const result = await inventoryService.listInventory({
+          ...filters,
+          limit: EXPORT_PAGE_SIZE,
+          page,
+        });
+        lots.push(...result.inventory);
+        totalPages = result.pagination.totalPages;
+        page += 1;
+      } while (page <= totalPages && lots.length < MAX_EXPORT_ROWS);
+
+      const rows = lots.slice(0, MAX_EXPORT_ROWS).map((lot) => {
+        const values = this._exportValues(lot);
+        return Object.fromEntries(header.map((key) => [key, values[key]]));
+      });
+
+      logger.info('Inventory exported', {
+        format,
+        rows: rows.length,
+        columns: header.length,
+        userId,
+      });
+
+      const filename = `inventory-${new Date().toISOString().slice(0, 10)}.${format}`;
+      if (format === 'json') {
+        return { format, filename, columns: header, rows };
+      }
+      return { format, filename, columns: header, csv: toCsv(rows, header) };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error exporting inventory', { error: error.message });
+      throw new ApiError('Failed to export inventory', 500);
+    }
+  }
+
+  /**
+   * Import an inventory sheet
+   * Rows match an existing lot by `id`, else by `sku`; a row with an unknown
+   * SKU creates a lot and needs release_id, conditions, cost_basis and
+   * list_price. Blank cells leave a field unchanged. Valid rows are applied
+   * and invalid rows are reported and skipped. Each update is checked again
+   * against the locked lot when it is written, so a row that a checkout or
+   * another edit has overtaken since the sheet was read is reported as an
+   * error while the other rows still apply.
+   * @param {string} csvText - CSV with header row
+   * @param {Object} options - { dryRun (default false) }
+   * @returns {Promise<Object>} { dryRun, summary, rows }
+   */
+  async importInventory(csvText, options = {}) {
+    const { dryRun = false } = options;
+
+    try {
+      const records = parseCsv(csvText);
+      if (records.length === 0) {
+        throw new ApiError('CSV contains no data rows', 400);
+      }
+      if (records.length > MAX_IMPORT_ROWS) {
+        throw new ApiError(
+          `Import is limited to ${MAX_IMPORT_ROWS} rows per file`,
+          400
+        );
+      }
+
+      const { byId, bySku, releaseIds } = await this._loadTargets(records);
+      const seenLots = new Map();
+      const seenSkus = new Map();
+
+      const rows = records.map((record) => {
+        const row = this.planRow(
+          record,
+          record.id ? byId.get(record.id) : bySku.get(record.sku),
+          releaseIds
+        );
+        row.record = record;
+
+        // A lot or SKU may only appear once per file
+        const lotKey = row.inventoryLotId || `new:${row.sku}`;
+        if (seenLots.has(lotKey)) {
+          row.errors.push(
+            `Lot already changed on line ${seenLots.get(lotKey)}`
+          );
+        } else {
+          seenLots.set(lotKey, row.line);
+        }
+        const targetSku = row.data?.sku ?? row.sku;
+        if (targetSku) {
+          if (seenSkus.has(targetSku)) {
+            row.errors.push(
+              `SKU ${targetSku} already used on line ${seenSkus.get(targetSku)}`
+            );
+          } else {
+            seenSkus.set(targetSku, row.line);
+          }
+        }
+
+        if (row.errors.length > 0) row.action = 'ERROR';
+        return row;
+      });
+
+      await this._checkSkuConflicts(rows);
+
+      if (!dryRun) {
+        await this._applyRows(rows);
+      }
+
+      const summary = { rows: rows.length };
+      for (const action of ['CREATE', 'UPDATE', 'UNCHANGED', 'ERROR']) {
+        summary[action.toLowerCase()] = rows.filter(
+          (row) => row.action === action
+        ).length;
+      }
+
+      logger.info('Inventory sheet imported', { dryRun, ...summary });
+
+      return {
+        dryRun,
+        summary,
+        rows: rows.map((row) => ({
+          line: row.line,
+          sku: row.sku,
+          inventoryLotId: row.inventoryLotId,
+          action: row.action,
+          changes: row.changes,
+          errors: row.errors,
+        })),
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error importing inventory', { error: error.message });
+      throw new ApiError('Failed to import inventory', 500);
+    }
+  }
+
+  /**
+   * Validate one sheet row against the lot it targets and work out the
+   * changes to make
+   * @param {Object} record - Parsed CSV record
+   * @param {Object|null} lot - Existing lot matched by id or SKU
+   * @param {Set<string>} releaseIds - Known release ids (for new lots)
+   * @returns {Object} { line, sku, inventoryLotId, action, changes, errors, data }
+   */
+  planRow(record, lot, releaseIds = new Set()) {
+    const row = {
+      line: record._line,
+      sku: record.sku || lot?.sku || null,
+      inventoryLotId: lot?.id || null,
+      action: lot ? 'UPDATE' : 'CREATE',
+      changes: {},
+      errors: [],
+    };
+
+    if (record.id && !lot) {
+      row.errors.push(`No lot with id ${record.id}`);
+      return row;
+    }
+    if (!lot && !record.sku) {
+      row.errors.push('sku or id is required');
+      return row;
+    }
+
+    const values = this._parseValues(record, row.errors);
+
+    if (lot) {
+      this._planUpdate(lot, values, row);
+    } else {
+      this._planCreate(values, releaseIds, row);
+    }
+
+    return row;
+  }
+
+  /**
+   * Which table columns to export: explicit ids, 'all', or the admin's
+   * saved column visibility
+   * @private
+   */
+  async _resolveTableColumns(columns, userId) {
+    if (columns === 'all') return TABLE_COLUMNS;
+
+    if (columns) {
+      const ids = Array.isArray(columns) ? columns : String(columns).split(',');
+      const wanted = ids.map((id) => id.trim()).filter(Boolean);
+      const unknown = wanted.filter(
+        (id) => id !== 'sku' && !TABLE_COLUMNS.some((c) => c.id === id)
+      );
+      if (unknown.length > 0) {
+        throw new ApiError(`Unknown columns: ${unknown.join(', ')}`, 400);
+      }
+      return TABLE_COLUMNS.filter((column) => wanted.includes(column.id));
+    }
+
+    let visibleColumns = null;
+    if (userId) {
+      const preferences = await adminPreferencesService.getTablePreferences(
+        userId,
+        'inventory'
+      );
+      visibleColumns = preferences.visibleColumns;
+    }
+
+    return TABLE_COLUMNS.filter(
+      (column) => visibleColumns?.[column.id] ?? column.defaultVisible !== false
+    );
+  }
+
+  /**
+   * @private
+   */
+  _exportValues(lot) {
+    const release = lot.release || {};
+    return {
+      id: lot.id,
+      sku: lot.sku,
+      release_id: release.id,
+      quantity: lot.quantity,
+      reserved_quantity: lot.reservedQuantity,
+      title: release.title,
+      artist: release.artist,
+      label: release.label,
+      catalog_number: release.catalogNumber,
+      format: lot.format,
+      country: lot.country,
+      release_status: lot.releaseStatus,
+      styles: lot.styles,
+      year: release.releaseYear,
+      genre: release.genre,
+      variant: release.description,
+      channel: lot.channel,
+      condition_media: lot.conditionMedia,
+      condition_sleeve: lot.conditionSleeve,
+      status: lot.status,
+      cost_basis: lot.costBasis,
+      list_price: lot.listPrice,
+      sale_price: lot.salePrice,
+      discogs_id: release.discogsId,
+      submission_id: lot.submission?.submissionId,
+      seller_name: lot.submission?.sellerName,
+    };
+  }
+
+  /**
+   * Lots the sheet refers to, by id and SKU, and the releases new lots use
+   * @private
+   */
+  async _loadTargets(records) {
+    const ids = [...new Set(records.map((r) => r.id).filter(Boolean))];
+    const skus = [
+      ...new Set(records.filter((r) => !r.id && r.sku).map((r) => r.sku)),
+    ];
+    const newReleaseIds = [
+      ...new Set(records.map((r) => r.release_id).filter(Boolean)),
+    ];
+    const uuid = /^[0-9a-f-]{36}$/i;
+
+    const [lotsById, lotsBySku, releases] = await Promise.all([
+      prisma.inventoryLot.findMany({
+        where: { id: { in: ids.filter((id) => uuid.test(id)) } },
+      }),
+      prisma.inventoryLot.findMany({ where: { sku: { in: skus } } }),
+      prisma.release.findMany({
+        where: { id: { in: newReleaseIds.filter((id) => uuid.test(id)) } },
+        select: { id: true },
+      }),
+    ]);
+
+    return {
+      byId: new Map(lotsById.map((lot) => [lot.id, lot])),
+      bySku: new Map(lotsBySku.map((lot) => [lot.sku, lot])),
+      releaseIds: new Set(releases.map((release) => release.id)),
+    };
+  }
+
+  /**
+   * Parse and validate the importable cells of a row; blank cells are left
+   * out so they don't change anything
+   * @private
+   */
+  _parseValues(record, errors) {
+    const values = {};
+    const present = (key) =>
+      record[key] !== undefined && String(record[key]).trim() !== '';
+
+    if (present('sku')) values.sku = record.sku;
+
+    // Grades as written on sleeves are accepted too: VG+, VG-, nm
+    for (const [key, field] of Object.entries(CONDITION_FIELDS)) {
+      if (!present(key)) continue;
+      const condition = record[key]
+        .toUpperCase()
+        .replace(/\s+/g, '')
+        .replace(/\+$/, '_PLUS')
+        .replace(/-$/, '_MINUS');
+      if (CONDITIONS.includes(condition)) {
+        values[field] = condition;
+      } else {
+        errors.push(`${key} must be one of: ${CONDITIONS.join(', ')}`);
+      }
+    }
+
+    for (const [key, field] of Object.entries(PRICE_FIELDS)) {
+      if (!present(key)) continue;
+      const amount = Number(String(record[key]).replace(/[$,]/g, ''));
+      if (!Number.isFinite(amount) || amount < 0) {
+        errors.push(`${key} must be a non-negative number`);
+      } else {
+        values[field] = parseFloat(amount.toFixed(2));
+      }
+    }
+
+    if (present('quantity')) {
+      const quantity = Number(record.quantity);
+      // 0 is a stocktake finding the lot gone
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        errors.push('quantity must be a whole number of at least 0');
+      } else {
+        values.quantity = quantity;
+      }
+    }
+
+    if (present('status')) {
+      const status = record.status.toUpperCase();
+      if (!Object.keys(IMPORT_STATUS_TRANSITIONS).includes(status)) {
+        errors.push(`Invalid status: ${record.status}`);
+      } else {
+        values.status = status;
+      }
+    }
+
+    if (present('markdown_opt_out')) {
+      const flag = record.markdown_opt_out.toLowerCase();
+      if (['true', 'yes', '1'].includes(flag)) {
+        values.markdownOptOut = true;
+      } else if (['false', 'no', '0'].includes(flag)) {
+        values.markdownOptOut = false;
+      } else {
+        errors.push('markdown_opt_out must be true or false');
+      }
+    }
+
+    for (const [key, { field, maxLength }] of Object.entries(TEXT_FIELDS)) {
+      if (!present(key)) continue;
+      if (maxLength && record[key].length > maxLength) {
+        errors.push(`${key} must be at most ${maxLength} characters`);
+      } else {
+        values[field] = record[key];
+      }
+    }
+
+    if (present('release_id')) values.releaseId = record.release_id;
+
+    return values;
+  }
+
+  /**
+   * @private
+   */
+  _planUpdate(lot, values, row) {
+    const data = {};
+    const change = (field, to) => {
+      let from = lot[field] ?? null;
+      if (from !== null && Object.values(PRICE_FIELDS).includes(field)) {
+        from = Number(from);
+      }
+      if (from !== to) {
+        data[field] = to;
+        row.changes[field] = { from, to };
+      }
+    };
+
+    if (values.releaseId && values.releaseId !== lot.releaseId) {
+      row.errors.push('release_id of an existing lot cannot change');
+    }
+
+    if (values.status && values.status !== lot.status) {
+      if (!IMPORT_STATUS_TRANSITIONS[lot.status].includes(values.status)) {
+        row.errors.push(
+          `Cannot change status from ${lot.status} to ${values.status}`
+        );
+      } else if (lot.reservedQuantity > 0) {
+        row.errors.push('Units of this lot are reserved for checkout');
+      }
+    }
+
+    if (values.quantity !== undefined && values.quantity !== lot.quantity) {
+      if (lot.status === 'SOLD') {
+        row.errors.push('Cannot change the quantity of a SOLD lot');
+      } else if (values.quantity < lot.reservedQuantity) {
+        row.errors.push(
+          `quantity cannot be below the ${lot.reservedQuantity} units reserved for checkout`
+        );
+      }
+    }
+
+    if (row.errors.length > 0) return;
+
+    const fields = { ...values };
+    delete fields.releaseId;
+    delete fields.status;
+    for (const [field, value] of Object.entries(fields)) {
+      change(field, value);
+    }
+
+    // An explicit status wins; otherwise a lot on sale follows its stock count
+    let status = values.status;
+    if (
+      !status &&
+      data.quantity !== undefined &&
+      ['LIVE', 'RESERVED'].includes(lot.status)
+    ) {
+      status = inventoryService.statusForQuantity(
+        data.quantity,
+        lot.reservedQuantity
+      );
+    }
+    if (status) change('status', status);
+
+    if (data.status === 'LIVE') {
+      data.listedAt = new Date();
+    }
+
+    row.data = inventoryService.withMarkdownReset(data, lot);
+    row.wishlist = {
+      newListing: data.status === 'LIVE',
+      previousPrice:
+        data.listPrice !== undefined ? Number(lot.listPrice) : null,
+    };
+    if (Object.keys(row.changes).length === 0) row.action = 'UNCHANGED';
+  }
+
+  /**
+   * @private
+   */
+  _planCreate(values, releaseIds, row) {
+    const required = {
+      releaseId: 'release_id',
+      conditionMedia: 'condition_media',
+      conditionSleeve: 'condition_sleeve',
+      costBasis: 'cost_basis',
+      listPrice: 'list_price',
+    };
+    for (const [field, column] of Object.entries(required)) {
+      // Cells that failed to parse are already reported
+      const reported = row.errors.some((error) => error.startsWith(column));
+      if (values[field] === undefined && !reported) {
+        row.errors.push(`${column} is required for a new lot`);
+      }
+    }
+
+    if (values.releaseId && !releaseIds.has(values.releaseId)) {
+      row.errors.push(`No release with id ${values.releaseId}`);
+    }
+
+    if (values.quantity === 0) {
+      row.errors.push('quantity of a new lot must be at least 1');
+    }
+
+    const status = values.status || 'DRAFT';
+    if (!NEW_LOT_STATUSES.includes(status)) {
+      row.errors.push(
+        `New lots must be ${NEW_LOT_STATUSES.join(' or ')}, not ${status}`
+      );
+    }
+
+    if (row.errors.length > 0) return;
+
+    const data = { ...values, status, quantity: values.quantity ?? 1 };
+    if (status === 'LIVE') data.listedAt = new Date();
+
+    row.data = data;
+    row.wishlist = { newListing: status === 'LIVE', previousPrice: null };
+    row.changes = Object.fromEntries(
+      Object.entries(data)
+        .filter(([field]) => field !== 'listedAt')
+        .map(([field, to]) => [field, { from: null, to }])
+    );
+  }
+
+  /**
+   * Reject SKUs the sheet assigns that belong to lots it doesn't target
+   * @private
+   */
+  async _checkSkuConflicts(rows) {
+    const assigned = rows.filter(
+      (row) => row.action !== 'ERROR' && row.data?.sku
+    );
+    if (assigned.length === 0) return;
+
+    const owners = await prisma.inventoryLot.findMany({
+      where: { sku: { in: assigned.map((row) => row.data.sku) } },
+      select: { id: true, sku: true },
+    });
+    const ownerBySku = new Map(owners.map((lot) => [lot.sku, lot.id]));
+
+    for (const row of assigned) {
+      const owner = ownerBySku.get(row.data.sku);
+      if (owner && owner !== row.inventoryLotId) {
+        row.errors.push(`SKU ${row.data.sku} belongs to another lot`);
+        row.action = 'ERROR';
+      }
+    }
+  }
+
+  /**
+   * Write valid rows one at a time, then send wishlist alerts for the rows
+   * that went in. A row that fails is reported on its own line.
+   * @private
+   */
+  async _applyRows(rows) {
+    const writes = rows.filter((row) =>
+      ['CREATE', 'UPDATE'].includes(row.action)
+    );
+
+    for (const row of writes) {
+      try {
+        if (row.action === 'CREATE') {
+          const lot = await prisma.inventoryLot.create({ data: row.data });
+          row.inventoryLotId = lot.id;
+        } else {
+          await this._applyUpdate(row);
+        }
+      } catch (error) {
+        row.action = 'ERROR';
+        if (error.code === 'P2002') {
+          row.errors.push(`SKU ${row.data.sku} belongs to another lot`);
+        } else {
+          logger.error('Error applying inventory import row', {
+            line: row.line,
+            inventoryLotId: row.inventoryLotId,
+            error: error.message,
+          });
+          row.errors.push('Failed to save this row');
+        }
+      }
+    }
+
+    // Wishlist alerts never block the import
+    for (const row of writes) {
+      if (!['CREATE', 'UPDATE'].includes(row.action)) continue;
+      if (row.wishlist.previousPrice !== null) {
+        await buyerService.handleWishlistPriceChange(
+          row.inventoryLotId,
+          row.wishlist.previousPrice,
+          row.data.listPrice
+        );
+      }
+      if (row.wishlist.newListing) {
+        await buyerService.handleWishlistNewListing(row.inventoryLotId);
+      }
+    }
+  }
+
+  /**
+   * Update one lot under a row lock, planning the row again against the
+   * locked lot so status and reserved units are those at write time
+   * @private
+   */
+  async _applyUpdate(row) {
+    await prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`
+        SELECT id FROM inventory_lots WHERE id = ${row.inventoryLotId}::uuid FOR UPDATE
+      `;
+      const lot = await tx.inventoryLot.findUnique({
+        where: { id: row.inventoryLotId },
+      });
+
+      if (!lot) {
+        row.action = 'ERROR';
+        row.errors.push('Lot was deleted during the import');
+        return;
+      }
+
+      const planned = this.planRow(row.record, lot);
+      Object.assign(row, {
+        action: planned.errors.length > 0 ? 'ERROR' : planned.action,
+        changes: planned.changes,
+        errors: planned.errors,
+        data: planned.data,
+        wishlist: planned.wishlist,
+      });
+      if (row.action !== 'UPDATE') return;
+
+      await tx.inventoryLot.update({ where: { id: lot.id }, data: row.data });
+    });
+  }
+}
+
+export default new InventoryCsvService();
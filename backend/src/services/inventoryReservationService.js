@@ -26,61 +26,68 @@ export async function createHold(inventoryLotId, options = {}) {
   // Must have either orderId or sessionId (for guest carts)
   if (!orderId && !sessionId) {
     throw new ApiError(
-      400,
-      'Either orderId or sessionId is required for hold creation'
+      'Either orderId or sessionId is required for hold creation',
+      400
     );
   }
 
-  try {
-    // Check if inventory lot exists and is available
-    const inventoryLot = await prisma.inventoryLot.findUnique({
-      where: { id: inventoryLotId },
-    });
-
-    if (!inventoryLot) {
-      throw new ApiError(404, `Inventory lot ${inventoryLotId} not found`);
-    }
-
-    if (inventoryLot.status !== 'LIVE') {
-      throw new ApiError(
-        409,
-        `Inventory lot is not available (status: ${inventoryLot.status})`
-      );
-    }
-
-    // Check for existing active holds on this inventory
-    const existingHold = await prisma.inventoryHold.findFirst({
-      where: {
-        inventoryLotId,
-        holdStatus: 'ACTIVE',
-      },
-    });
-
-    if (existingHold) {
-      throw new ApiError(409, 'This item is already reserved by another buyer');
-    }
-
-    // Calculate expiration time
-    const expiresAt = new Date(Date.now() + durationMinutes * 60 * 1000);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new ApiError('quantity must be a positive integer', 400);
+  }
 
-    // Create the hold
-    const hold = await prisma.inventoryHold.create({
-      data: {
-        inventoryLotId,
-        orderId: orderId || null,
-        sessionId: sessionId || null,
-        quantity,
-        holdStatus: 'ACTIVE',
-        expiresAt,
-        createdBy,
-      },
-      include: {
-        inventoryLot: {
-          include: {
-            release: true,
+  try {
+    const hold = await prisma.$transaction(async (tx) => {
+      // Lock the lot so concurrent holds can't claim the same units
+      await tx.$queryRaw`
+        SELECT id FROM inventory_lots WHERE id = ${inventoryLotId}::uuid FOR UPDATE
+      `;
+      const inventoryLot = await tx.inventoryLot.findUnique({
+        where: { id: inventoryLotId },
+      });
+
+      if (!inventoryLot) {
+        throw new ApiError(`Inventory lot ${inventoryLotId} not found`, 404);
+      }
+
+      if (inventoryLot.status !== 'LIVE') {
+        throw new ApiError(
+          `Inventory lot is not available (status: ${inventoryLot.status})`,
+          409
+        );
+      }
+
+      const available = await getAvailableQuantity(inventoryLot, tx);
+      if (available < quantity) {
+        throw new ApiError(
+          available === 0
+            ? 'This item is already reserved by another buyer'
+            : `Only ${available} available`,
+          409
+        );
+      }
+
+      // Calculate expiration time
+      const expiresAt = new Date(Date.now() + durationMinutes * 60 * 1000);
+
+      // Create the hold
+      return tx.inventoryHold.create({
+        data: {
+          inventoryLotId,
+          orderId: orderId || null,
+          sessionId: sessionId || null,
+          quantity,
+          holdStatus: 'ACTIVE',
+          expiresAt,
+          createdBy,
+        },
+        include: {
+          inventoryLot: {
+            include: {
+              release: true,
+            },
           },
         },
-      },
+      });
     });
 
     logger.info('Inventory hold created', {
@@ -88,14 +95,15 @@ export async function createHold(inventoryLotId, options = {}) {
       inventoryLotId,
       orderId,
       sessionId,
-      expiresAt: expiresAt.toISOString(),
+      quantity,
+      expiresAt: hold.expiresAt.toISOString(),
     });
 
     return hold;
   } catch (error) {
     if (error instanceof ApiError) throw error;
     logger.error('Error creating inventory hold:', error);
-    throw new ApiError(500, 'Failed to create inventory hold');
+    throw new ApiError('Failed to create inventory hold', 500);
   }
 }
 
@@ -334,6 +342,30 @@ export async function getHoldsForSession(sessionId) {
   }
 }
 
+/**
+ * Units of a lot still free to hold: units on hand, less units reserved for
+ * checkout and units held by carts that have not reached checkout yet.
+ * A cart's hold stays active through checkout, when its units are already
+ * counted as reserved on the lot.
+ */
+export async function getAvailableQuantity(inventoryLot, client = prisma) {
+  const held = await client.inventoryHold.aggregate({
+    where: {
+      inventoryLotId: inventoryLot.id,
+      holdStatus: 'ACTIVE',
+      OR: [{ orderId: null }, { order: { status: 'CART' } }],
+    },
+    _sum: { quantity: true },
+  });
+
+  return Math.max(
+    inventoryLot.quantity -
+      inventoryLot.reservedQuantity -
+      (held._sum.quantity || 0),
+    0
+  );
+}
+
 /**
  * Check if an inventory lot has an active hold
  */
@@ -468,6 +500,7 @@ export default {
   getHoldsForOrder,
   getHoldsForSession,
   hasActiveHold,
+  getAvailableQuantity,
   getHoldAuditHistory,
   getHoldStatistics,
   releaseAllHoldsForOrder,
@@ -3,6 +3,7 @@ import { ApiError } from '../middleware/errorHandler.js';
 import logger from '../../config/logger.js';
 import pricingService from './pricingService.js';
 import notificationService from './notificationService.js';
+import buyerService from './buyerService.js';
 
 /**
  * Inventory Service
@@ -41,16 +42,19 @@ class InventoryService {
       const highestPrice = Math.max(...prices);
       const averagePrice = prices.reduce((a, b) => a + b, 0) / prices.length;
 
-      // Build condition breakdown
+      // Build condition breakdown, in available units
       const conditionBreakdown = {};
+      let availableCount = 0;
       inventoryLots.forEach((lot) => {
         const condition = lot.conditionMedia;
+        const units = this.availableQuantity(lot);
         conditionBreakdown[condition] =
-          (conditionBreakdown[condition] || 0) + 1;
+          (conditionBreakdown[condition] || 0) + units;
+        availableCount += units;
       });
 
       return {
-        availableCount: inventoryLots.length,
+        availableCount,
         lowestPrice: parseFloat(lowestPrice.toFixed(2)),
         highestPrice: parseFloat(highestPrice.toFixed(2)),
         averagePrice: parseFloat(averagePrice.toFixed(2)),
@@ -88,6 +92,8 @@ class InventoryService {
           releaseId: true,
           listPrice: true,
           conditionMedia: true,
+          quantity: true,
+          reservedQuantity: true,
         },
       });
 
@@ -123,14 +129,17 @@ class InventoryService {
         const averagePrice = prices.reduce((a, b) => a + b, 0) / prices.length;
 
         const conditionBreakdown = {};
+        let availableCount = 0;
         lots.forEach((lot) => {
           const condition = lot.conditionMedia;
+          const units = this.availableQuantity(lot);
           conditionBreakdown[condition] =
-            (conditionBreakdown[condition] || 0) + 1;
+            (conditionBreakdown[condition] || 0) + units;
+          availableCount += units;
         });
 
         statsMap.set(releaseId, {
-          availableCount: lots.length,
+          availableCount,
           lowestPrice: parseFloat(lowestPrice.toFixed(2)),
           highestPrice: parseFloat(highestPrice.toFixed(2)),
           averagePrice: parseFloat(averagePrice.toFixed(2)),
@@ -357,12 +366,18 @@ class InventoryService {
         return await this.getInventoryDetail(existingInventory.id);
       }
 
-      // Use final offer price as cost basis (what we paid per buyer policy)
-      const costBasis = Number(
-        item.finalOfferPrice ||
-          item.counterOfferPrice ||
-          item.autoOfferPrice ||
-          0
+      // Use final offer price as cost basis (what we paid per buyer policy).
+      // Offers cover every unit of the item; lots carry a per-unit cost.
+      const quantity = item.quantity || 1;
+      const costBasis = parseFloat(
+        (
+          Number(
+            item.finalOfferPrice ||
+              item.counterOfferPrice ||
+              item.autoOfferPrice ||
+              0
+          ) / quantity
+        ).toFixed(2)
       );
 
       const sellPriceResult = await this.calculateSellPrice({
@@ -370,6 +385,7 @@ class InventoryService {
         conditionMedia: item.sellerConditionMedia,
         conditionSleeve: item.sellerConditionSleeve,
         costBasis,
+        channel,
       });
 
       // Create inventory lot
@@ -382,6 +398,7 @@ class InventoryService {
           costBasis,
           listPrice: sellPriceResult.price,
           channel,
+          quantity,
           status: 'DRAFT',
           internalNotes: `Auto-created from submission by seller: ${item.submission.sellerContact}`,
         },
@@ -402,10 +419,16 @@ class InventoryService {
         inventoryLotId: inventoryLot.id,
         submissionItemId,
         releaseId: item.releaseId,
+        quantity: inventoryLot.quantity,
         costBasis: Number(costBasis),
         listPrice: Number(sellPriceResult.price),
       });
 
+      // Wishlist alerts when a lot is listed straight away (never block)
+      if (inventoryLot.status === 'LIVE') {
+        await buyerService.handleWishlistNewListing(inventoryLot.id);
+      }
+
       return inventoryLot;
     } catch (error) {
       if (error instanceof ApiError) throw error;
@@ -499,13 +522,15 @@ class InventoryService {
    * @param {Object} release - Release object with pricing info
    * @param {string} conditionMedia - Media condition
    * @param {string} conditionSleeve - Sleeve condition
-   * @returns {Promise<number>} Calculated sell price
+   * @param {string} channel - Sales channel, for channel-scoped policies
+   * @returns {Promise<Object>} { price, marginPercent, policyId, policyApplied }
    */
   async calculateSellPrice({
     releaseId,
     conditionMedia,
     conditionSleeve,
     costBasis,
+    channel,
   }) {
     try {
       if (!releaseId) {
@@ -521,26 +546,12 @@ class InventoryService {
         );
       }
 
-      // Get active release-specific policy if available
-      const policyLink = await prisma.releasePricingPolicy.findFirst({
-        where: {
-          releaseId,
-          isActive: true,
-        },
-        include: { policy: true },
-        orderBy: { priority: 'asc' },
+      // Release, label, genre or channel policy if one applies, else global
+      const formula = await pricingService.getSellerFormula({
+        releaseId,
+        channel,
       });
 
-      let formula = policyLink?.policy?.sellFormula || null;
-
-      if (!formula) {
-        const sellerFormula = await pricingService.getSellerFormula();
-        if (!sellerFormula) {
-          throw new ApiError('No active seller pricing policy configured', 400);
-        }
-        formula = sellerFormula;
-      }
-
       const sellPrice = await pricingService.calculateSellPrice({
         releaseId,
         mediaCondition: conditionMedia,
@@ -552,7 +563,8 @@ class InventoryService {
       return {
         price: sellPrice.price,
         marginPercent: sellPrice.marginPercent,
-        policyId: policyLink?.policyId || formula.policyId || null,
+        policyId: formula.policyId || null,
+        policyApplied: sellPrice.policyApplied,
       };
     } catch (error) {
       if (error instanceof ApiError) throw error;
@@ -702,6 +714,9 @@ class InventoryService {
           costBasis: lot.costBasis ? parseFloat(lot.costBasis) : null,
           listPrice: lot.listPrice ? parseFloat(lot.listPrice) : null,
           salePrice: lot.salePrice ? parseFloat(lot.salePrice) : null,
+          quantity: lot.quantity,
+          reservedQuantity: lot.reservedQuantity,
+          markdownOptOut: lot.markdownOptOut,
           format: lot.format,
           country: lot.country,
           releaseStatus: lot.releaseStatus,
@@ -771,6 +786,9 @@ class InventoryService {
           costBasis: parseFloat(lot.costBasis),
           listPrice: parseFloat(lot.listPrice),
           salePrice: lot.salePrice ? parseFloat(lot.salePrice) : null,
+          markdownOptOut: lot.markdownOptOut,
+          markdownPercent: parseFloat(lot.markdownPercent) * 100,
+          markedDownAt: lot.markedDownAt,
         },
         status: lot.status,
         channel: lot.channel,
@@ -824,6 +842,8 @@ class InventoryService {
         internalNotes,
         publicDescription,
         sku,
+        markdownOptOut,
+        quantity,
         release: releaseUpdates,
       } = updates;
 
@@ -847,6 +867,16 @@ class InventoryService {
       if (salePrice !== undefined && salePrice < 0) {
         throw new ApiError('Sale price cannot be negative', 400);
       }
+      const minQuantity = Math.max(lot.reservedQuantity, 1);
+      if (
+        quantity !== undefined &&
+        (!Number.isInteger(quantity) || quantity < minQuantity)
+      ) {
+        throw new ApiError(
+          `quantity must be a whole number of at least ${minQuantity}`,
+          400
+        );
+      }
 
       // Build update data
       const updateData = {};
@@ -856,6 +886,18 @@ class InventoryService {
       if (internalNotes !== undefined) updateData.internalNotes = internalNotes;
       if (publicDescription !== undefined)
         updateData.publicDescription = publicDescription;
+      if (markdownOptOut !== undefined)
+        updateData.markdownOptOut = Boolean(markdownOptOut);
+      if (quantity !== undefined) {
+        updateData.quantity = quantity;
+        // Stock counts on a lot that is on sale decide its status
+        if (status === undefined && ['LIVE', 'RESERVED'].includes(lot.status)) {
+          updateData.status = this.statusForQuantity(
+            quantity,
+            lot.reservedQuantity
+          );
+        }
+      }
       if (sku !== undefined && sku !== null && sku !== '') {
         // Check SKU uniqueness if provided (not empty)
         const existingSku = await prisma.inventoryLot.findUnique({
@@ -944,7 +986,7 @@ class InventoryService {
 
       await prisma.inventoryLot.update({
         where: { id: inventoryLotId },
-        data: updateData,
+        data: this.withMarkdownReset(updateData, lot),
       });
 
       logger.info('Inventory updated', {
@@ -953,6 +995,18 @@ class InventoryService {
         releaseUpdated: !!releaseUpdates,
       });
 
+      // Wishlist alerts (never block the update)
+      if (listPrice !== undefined && listPrice < Number(lot.listPrice)) {
+        await buyerService.handleWishlistPriceChange(
+          inventoryLotId,
+          Number(lot.listPrice),
+          listPrice
+        );
+      }
+      if (updateData.status === 'LIVE' && lot.status !== 'LIVE') {
+        await buyerService.handleWishlistNewListing(inventoryLotId);
+      }
+
       return this.getInventoryDetail(inventoryLotId);
     } catch (error) {
       if (error instanceof ApiError) throw error;
@@ -1120,6 +1174,8 @@ class InventoryService {
 
   /**
    * Get low-stock alerts for inventory items
+   * Stock is counted in available units (on hand, not reserved for checkout)
+   * across a release's LIVE lots, so one lot of ten sealed copies is not low
    * @param {number} threshold - Stock threshold for alerts (default 3)
    * @returns {Promise<Array>} Low-stock alert items
    */
@@ -1128,12 +1184,18 @@ class InventoryService {
       const releaseInventory = await prisma.inventoryLot.groupBy({
         by: ['releaseId'],
         where: { status: 'LIVE' },
-        _count: { id: true },
+        _sum: { quantity: true, reservedQuantity: true },
       });
 
-      const lowStockReleases = releaseInventory
-        .filter((group) => group._count.id < threshold)
-        .map((group) => group.releaseId);
+      const stockByRelease = new Map(
+        releaseInventory.map((group) => [
+          group.releaseId,
+          (group._sum.quantity || 0) - (group._sum.reservedQuantity || 0),
+        ])
+      );
+      const lowStockReleases = [...stockByRelease.keys()].filter(
+        (releaseId) => stockByRelease.get(releaseId) < threshold
+      );
 
       const alerts = await prisma.inventoryLot.findMany({
         where: {
@@ -1159,12 +1221,14 @@ class InventoryService {
           sku: lot.sku,
           condition: `${lot.conditionMedia}/${lot.conditionSleeve}`,
           price: parseFloat(lot.listPrice),
+          quantity: lot.quantity,
+          availableQuantity: this.availableQuantity(lot),
         });
       });
 
       return Object.values(grouped).map((group) => ({
         ...group,
-        stockCount: group.items.length,
+        stockCount: stockByRelease.get(group.releaseId),
         threshold,
       }));
     } catch (error) {
@@ -1245,8 +1309,10 @@ class InventoryService {
 
   /**
    * Apply pricing policy to inventory items
+   * Without a policyId each lot is repriced by the policy that resolves for
+   * it (release > label > genre > channel > global).
    * @param {Object} options - Application options
-   * @param {string} options.policyId - Pricing policy ID to apply
+   * @param {string} options.policyId - Pricing policy ID to apply (optional)
    * @param {Array} options.inventoryLotIds - Specific lot IDs to apply to (or use filters)
    * @param {Object} options.filters - Filter options (status, condition, etc.) for partial application
    * @param {boolean} options.dryRun - Preview changes without applying
@@ -1261,22 +1327,25 @@ class InventoryService {
         dryRun = false,
       } = options;
 
-      if (!policyId) {
-        throw new ApiError('Policy ID is required', 400);
-      }
+      // Fetch the pricing policy, if one was chosen
+      let policy = null;
+      let policyFormula = null;
+      if (policyId) {
+        policy = await prisma.pricingPolicy.findUnique({
+          where: { id: policyId },
+        });
 
-      // Fetch the pricing policy
-      const policy = await prisma.pricingPolicy.findUnique({
-        where: { id: policyId },
-      });
+        if (!policy) {
+          throw new ApiError('Pricing policy not found', 404);
+        }
 
-      if (!policy) {
-        throw new ApiError('Pricing policy not found', 404);
-      }
+        if (!policy.isActive) {
+          throw new ApiError('Pricing policy is not active', 400);
+        }
 
-      if (!policy.isActive) {
-        throw new ApiError('Pricing policy is not active', 400);
+        policyFormula = pricingService.buildSellerFormula(policy);
       }
+      const policyName = policy?.name || 'resolved per lot';
 
       // Build WHERE clause for inventory selection
       const where = {};
@@ -1318,13 +1387,21 @@ class InventoryService {
 
       for (const lot of inventoryLots) {
         try {
-          // Calculate new sell price using the policy
+          // Calculate new sell price using the chosen or resolved policy
+          const formula =
+            policyFormula ||
+            (await pricingService.getSellerFormula({
+              releaseId: lot.releaseId,
+              genre: lot.release?.genre,
+              label: lot.release?.label,
+              channel: lot.channel,
+            }));
           const pricingResult = await pricingService.calculateSellPrice({
             releaseId: lot.releaseId,
             mediaCondition: lot.conditionMedia,
             sleeveCondition: lot.conditionSleeve,
             costBasis: Number(lot.costBasis),
-            formula: policy,
+            formula,
           });
           const newListPrice = pricingResult.price;
 
@@ -1332,6 +1409,7 @@ class InventoryService {
             inventoryLotId: lot.id,
             releaseId: lot.releaseId,
             sku: lot.sku,
+            policyApplied: pricingResult.policyApplied,
             oldPrice: parseFloat(lot.listPrice),
             newPrice: parseFloat(newListPrice),
             priceDifference:
@@ -1363,7 +1441,7 @@ class InventoryService {
           applied: false,
           dryRun: true,
           policyId,
-          policyName: policy.name,
+          policyName,
           affectedCount: successfulUpdates.length,
           updates: successfulUpdates,
           errors: failedUpdates,
@@ -1398,13 +1476,22 @@ class InventoryService {
           const lot = inventoryLots.find((l) => l.id === update.inventoryLotId);
           await prisma.inventoryLot.update({
             where: { id: update.inventoryLotId },
-            data: {
-              listPrice: update.newPrice,
-              internalNotes: `${lot.internalNotes || ''}\n[PRICE UPDATED by policy ${policy.name}] Old: $${update.oldPrice}, New: $${update.newPrice} - ${new Date().toISOString()}`,
-            },
+            data: this.withMarkdownReset(
+              {
+                listPrice: update.newPrice,
+                internalNotes: `${lot.internalNotes || ''}\n[PRICE UPDATED by policy ${update.policyApplied.name || policyName}] Old: $${update.oldPrice}, New: $${update.newPrice} - ${new Date().toISOString()}`,
+              },
+              lot
+            ),
           });
 
           appliedUpdates.push(update);
+
+          await buyerService.handleWishlistPriceChange(
+            update.inventoryLotId,
+            update.oldPrice,
+            update.newPrice
+          );
         } catch (error) {
           failedUpdates.push({
             ...update,
@@ -1415,7 +1502,7 @@ class InventoryService {
 
       logger.info('Pricing policy applied to inventory', {
         policyId,
-        policyName: policy.name,
+        policyName,
         appliedCount: appliedUpdates.length,
         failedCount: failedUpdates.length,
         totalCount: updates.length,
@@ -1425,7 +1512,7 @@ class InventoryService {
         applied: true,
         dryRun: false,
         policyId,
-        policyName: policy.name,
+        policyName,
         affectedCount: appliedUpdates.length,
         updates: appliedUpdates,
         errors: failedUpdates,
@@ -1487,6 +1574,22 @@ class InventoryService {
             });
           }
         }
+        if (line.includes('[MARKDOWN')) {
+          const match = line.match(
+            /\[MARKDOWN by policy (.+?)\] ([0-9.]+)% at (\d+) days\. Old: \$([0-9.]+), New: \$([0-9.]+) - (.+)/
+          );
+          if (match) {
+            history.push({
+              type: 'MARKDOWN',
+              policy: match[1],
+              discountPercent: parseFloat(match[2]),
+              daysListed: parseInt(match[3], 10),
+              oldPrice: parseFloat(match[4]),
+              newPrice: parseFloat(match[5]),
+              timestamp: match[6],
+            });
+          }
+        }
       }
 
       return history;
@@ -1500,6 +1603,185 @@ class InventoryService {
     }
   }
 
+  /**
+   * Apply the active SELLER policy's markdown schedule to aged LIVE lots
+   * Each lot moves down at most once per tier (markdownPercent records the
+   * tier already applied; any other price change resets it), never below
+   * cost basis plus the policy's minimum margin. Lots with markdownOptOut
+   * are skipped. Changes are written to the
+   * lot's pricing history and trigger wishlist price-drop alerts.
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Preview changes without applying
+   * @param {Date} options.now - Evaluation time (default: now)
+   * @returns {Promise<Object>} Markdown results with per-lot changes
+   */
+  async applyScheduledMarkdowns(options = {}) {
+    try {
+      const { dryRun = false, now = new Date() } = options;
+
+      const policy = await pricingService.getActivePricingPolicy('SELLER');
+      if (!policy) {
+        return {
+          applied: false,
+          dryRun,
+          message: 'No active SELLER pricing policy',
+          changes: [],
+        };
+      }
+
+      const formula = await pricingService.getSellerFormula();
+      const schedule = formula.markdownSchedule || {};
+      const tierDays = Object.keys(schedule).map((days) => parseInt(days, 10));
+
+      if (tierDays.length === 0) {
+        return {
+          applied: false,
+          dryRun,
+          policyId: policy.id,
+          policyName: policy.name,
+          message: 'Policy has no markdown schedule',
+          changes: [],
+        };
+      }
+
+      // Only lots old enough for the first tier can be marked down
+      const firstTierCutoff = new Date(
+        now.getTime() - Math.min(...tierDays) * 24 * 60 * 60 * 1000
+      );
+
+      const lots = await prisma.inventoryLot.findMany({
+        where: {
+          status: 'LIVE',
+          markdownOptOut: false,
+          listedAt: { lte: firstTierCutoff },
+        },
+        include: { release: { select: { title: true, artist: true } } },
+        orderBy: { listedAt: 'asc' },
+      });
+
+      const changes = [];
+      const lotsById = new Map(lots.map((lot) => [lot.id, lot]));
+      const skipped = { alreadyMarkedDown: 0, atFloor: 0 };
+
+      for (const lot of lots) {
+        const appliedDiscount = Number(lot.markdownPercent || 0);
+        const markdown = pricingService.calculateMarkdown({
+          currentPrice: Number(lot.listPrice),
+          listedAt: lot.listedAt,
+          costBasis: Number(lot.costBasis),
+          markdownSchedule: schedule,
+          minProfitMargin: formula.minProfitMargin,
+          appliedDiscount,
+          now,
+        });
+
+        const tier = markdown.discountPercent / 100;
+        if (tier <= appliedDiscount) {
+          skipped.alreadyMarkedDown++;
+          continue;
+        }
+        if (markdown.newPrice >= Number(lot.listPrice)) {
+          skipped.atFloor++;
+          continue;
+        }
+
+        changes.push({
+          inventoryLotId: lot.id,
+          sku: lot.sku,
+          title: lot.release?.title,
+          artist: lot.release?.artist,
+          daysListed: markdown.daysListed,
+          discountPercent: markdown.discountPercent,
+          oldPrice: Number(lot.listPrice),
+          newPrice: markdown.newPrice,
+          floorPrice: markdown.floorPrice,
+          floorApplied: markdown.floorApplied,
+        });
+      }
+
+      const summary = {
+        evaluated: lots.length,
+        markedDown: changes.length,
+        skipped,
+        totalReduction: parseFloat(
+          changes
+            .reduce((sum, change) => sum + change.oldPrice - change.newPrice, 0)
+            .toFixed(2)
+        ),
+      };
+
+      if (dryRun) {
+        return {
+          applied: false,
+          dryRun: true,
+          policyId: policy.id,
+          policyName: policy.name,
+          schedule,
+          changes,
+          errors: [],
+          summary,
+        };
+      }
+
+      const appliedChanges = [];
+      const errors = [];
+
+      for (const change of changes) {
+        const lot = lotsById.get(change.inventoryLotId);
+
+        try {
+          await prisma.inventoryLot.update({
+            where: { id: change.inventoryLotId },
+            data: {
+              listPrice: change.newPrice,
+              markdownPercent: change.discountPercent / 100,
+              markedDownAt: now,
+              internalNotes: `${lot.internalNotes || ''}\n[MARKDOWN by policy ${policy.name}] ${change.discountPercent}% at ${change.daysListed} days. Old: $${change.oldPrice}, New: $${change.newPrice} - ${now.toISOString()}`,
+            },
+          });
+
+          appliedChanges.push(change);
+
+          await buyerService.handleWishlistPriceChange(
+            change.inventoryLotId,
+            change.oldPrice,
+            change.newPrice
+          );
+        } catch (error) {
+          errors.push({
+            ...change,
+            error: `Failed to apply markdown: ${error.message}`,
+          });
+        }
+      }
+
+      logger.info('Scheduled markdowns applied', {
+        policyId: policy.id,
+        policyName: policy.name,
+        evaluated: lots.length,
+        markedDown: appliedChanges.length,
+        failed: errors.length,
+      });
+
+      return {
+        applied: true,
+        dryRun: false,
+        policyId: policy.id,
+        policyName: policy.name,
+        schedule,
+        changes: appliedChanges,
+        errors,
+        summary: { ...summary, markedDown: appliedChanges.length },
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error applying scheduled markdowns', {
+        error: error.message,
+      });
+      throw new ApiError('Failed to apply scheduled markdowns', 500);
+    }
+  }
+
   /**
    * Bulk update inventory prices
    * @param {Array} updates - Array of {inventoryLotId, listPrice, salePrice}
@@ -1540,12 +1822,20 @@ class InventoryService {
             continue;
           }
 
+          const previous = await prisma.inventoryLot.findUnique({
+            where: { id: inventoryLotId },
+            select: { listPrice: true },
+          });
+
           const lot = await prisma.inventoryLot.update({
             where: { id: inventoryLotId },
-            data: {
-              ...(listPrice !== undefined && { listPrice }),
-              ...(salePrice !== undefined && { salePrice }),
-            },
+            data: this.withMarkdownReset(
+              {
+                ...(listPrice !== undefined && { listPrice }),
+                ...(salePrice !== undefined && { salePrice }),
+              },
+              previous || {}
+            ),
           });
 
           results.successful.push({
@@ -1553,6 +1843,14 @@ class InventoryService {
             listPrice: lot.listPrice,
             salePrice: lot.salePrice,
           });
+
+          if (listPrice !== undefined && previous) {
+            await buyerService.handleWishlistPriceChange(
+              inventoryLotId,
+              Number(previous.listPrice),
+              listPrice
+            );
+          }
         } catch (error) {
           results.failed.push({
             inventoryLotId: update.inventoryLotId,
@@ -1575,55 +1873,102 @@ class InventoryService {
     }
   }
 
+  /**
+   * Clear a lot's markdown state when a write changes its list price
+   * Scheduled markdowns rebuild the pre-markdown price from listPrice and
+   * markdownPercent, so any other price write makes the new price the
+   * undiscounted one. Writes that leave the price as it is keep the state.
+   * @param {Object} data - inventory_lots update data
+   * @param {Object} lot - Lot before the write ({ listPrice })
+   * @returns {Object} Update data, with markdownPercent and markedDownAt
+   *   reset when the price changes
+   */
+  withMarkdownReset(data, lot) {
+    if (
+      data.listPrice === undefined ||
+      Number(data.listPrice) === Number(lot.listPrice)
+    ) {
+      return data;
+    }
+    return { ...data, markdownPercent: 0, markedDownAt: null };
+  }
+
+  /**
+   * Units of a lot not yet reserved for checkout
+   * Cart holds are counted separately by the reservation service
+   * @param {Object} lot - Inventory lot
+   * @returns {number} Units that can still be reserved
+   */
+  availableQuantity(lot) {
+    return Math.max(
+      Number(lot.quantity ?? 1) - Number(lot.reservedQuantity ?? 0),
+      0
+    );
+  }
+
+  /**
+   * Status a lot on sale should carry for its unit counts: SOLD once no
+   * units are left, RESERVED while every unit left is in checkout, else LIVE
+   * @param {number} quantity - Units on hand
+   * @param {number} reservedQuantity - Units reserved for checkout
+   * @returns {string} Lot status
+   */
+  statusForQuantity(quantity, reservedQuantity = 0) {
+    if (quantity <= 0) return 'SOLD';
+    return reservedQuantity >= quantity ? 'RESERVED' : 'LIVE';
+  }
+
   /**
    * Reserve inventory for checkout
-   * Transitions item from LIVE to RESERVED status
-   * Uses optimistic locking to prevent race conditions
+   * Moves units from available to reserved; the lot turns RESERVED once
+   * every unit it holds is reserved. The lot row is locked for the update so
+   * concurrent checkouts cannot reserve the same units.
    * @param {string} inventoryLotId - Inventory lot ID
    * @param {string} orderId - Order ID to link reservation to
+   * @param {number} quantity - Units to reserve (default 1)
    * @returns {Promise<Object>} Reserved inventory lot
    */
-  async reserveInventory(inventoryLotId, orderId) {
+  async reserveInventory(inventoryLotId, orderId, quantity = 1) {
     try {
       if (!inventoryLotId || !orderId) {
         throw new ApiError('inventoryLotId and orderId are required', 400);
       }
 
-      // Use updateMany with optimistic locking - only update if status is LIVE
-      const result = await prisma.inventoryLot.updateMany({
-        where: {
-          id: inventoryLotId,
-          status: 'LIVE', // CRITICAL: Only update if still LIVE
-        },
-        data: {
-          status: 'RESERVED',
-          reservedAt: new Date(),
-          orderId: orderId,
-        },
-      });
-
-      if (result.count === 0) {
-        throw new ApiError('Item no longer available', 409);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new ApiError('quantity must be a positive integer', 400);
       }
 
-      // Fetch and return the updated lot
-      const updatedLot = await prisma.inventoryLot.findUnique({
-        where: { id: inventoryLotId },
-      });
+      const updatedLot = await prisma.$transaction(async (tx) => {
+        const lot = await this._lockLot(tx, inventoryLotId);
 
-      // Log to internal notes
-      const timestamp = new Date().toISOString();
-      await prisma.inventoryLot.update({
-        where: { id: inventoryLotId },
-        data: {
-          internalNotes: `${updatedLot?.internalNotes || ''}\n[RESERVED for order ${orderId}] - ${timestamp}`,
-        },
+        if (!lot || lot.status !== 'LIVE') {
+          throw new ApiError('Item no longer available', 409);
+        }
+
+        const available = this.availableQuantity(lot);
+        if (available < quantity) {
+          throw new ApiError(`Only ${available} available`, 409);
+        }
+
+        const reservedQuantity = lot.reservedQuantity + quantity;
+        const timestamp = new Date().toISOString();
+        return tx.inventoryLot.update({
+          where: { id: inventoryLotId },
+          data: {
+            status: this.statusForQuantity(lot.quantity, reservedQuantity),
+            reservedQuantity,
+            reservedAt: new Date(),
+            orderId: orderId,
+            internalNotes: `${lot.internalNotes || ''}\n[RESERVED ${quantity} for order ${orderId}] - ${timestamp}`,
+          },
+        });
       });
 
       logger.info('Inventory reserved', {
         inventoryLotId,
         orderId,
-        sku: updatedLot?.sku,
+        quantity,
+        sku: updatedLot.sku,
       });
 
       return updatedLot;
@@ -1640,49 +1985,72 @@ class InventoryService {
 
   /**
    * Release reservation on inventory
-   * Transitions item from RESERVED back to LIVE status
+   * Returns reserved units to available stock; the lot goes back to LIVE
+   * and is unlinked from its order once no units remain reserved
    * @param {string} inventoryLotId - Inventory lot ID
    * @param {string} reason - Reason for release (payment failure, timeout, etc)
+   * @param {number} quantity - Units to release (default: all reserved units)
    * @returns {Promise<Object>} Released inventory lot
    */
-  async releaseReservation(inventoryLotId, reason = 'Manual release') {
+  async releaseReservation(
+    inventoryLotId,
+    reason = 'Manual release',
+    quantity = null
+  ) {
     try {
       if (!inventoryLotId) {
         throw new ApiError('inventoryLotId is required', 400);
       }
 
-      const lot = await prisma.inventoryLot.findUnique({
-        where: { id: inventoryLotId },
-      });
+      let previousStatus;
+      const updatedLot = await prisma.$transaction(async (tx) => {
+        const lot = await this._lockLot(tx, inventoryLotId);
 
-      if (!lot) {
-        throw new ApiError('Inventory lot not found', 404);
-      }
+        if (!lot) {
+          throw new ApiError('Inventory lot not found', 404);
+        }
+        previousStatus = lot.status;
 
-      if (lot.status !== 'RESERVED') {
-        throw new ApiError(
-          `Cannot release inventory with status: ${lot.status}`,
-          400
+        if (lot.reservedQuantity < 1) {
+          throw new ApiError(
+            `Cannot release inventory with status: ${lot.status}`,
+            400
+          );
+        }
+
+        const released = Math.min(
+          quantity ?? lot.reservedQuantity,
+          lot.reservedQuantity
         );
-      }
+        const reservedQuantity = lot.reservedQuantity - released;
+        const data = {
+          status: this.statusForQuantity(lot.quantity, reservedQuantity),
+          reservedQuantity,
+          internalNotes: `${lot.internalNotes || ''}\n[RELEASED ${released}] Reason: ${reason} - ${new Date().toISOString()}`,
+        };
+        if (reservedQuantity === 0) {
+          data.reservedAt = null;
+          data.orderId = null;
+        }
 
-      const timestamp = new Date().toISOString();
-      const updatedLot = await prisma.inventoryLot.update({
-        where: { id: inventoryLotId },
-        data: {
-          status: 'LIVE',
-          reservedAt: null,
-          orderId: null,
-          internalNotes: `${lot.internalNotes || ''}\n[RELEASED] Reason: ${reason} - ${timestamp}`,
-        },
+        return tx.inventoryLot.update({
+          where: { id: inventoryLotId },
+          data,
+        });
       });
 
       logger.info('Reservation released', {
         inventoryLotId,
         reason,
-        sku: lot.sku,
+        reservedQuantity: updatedLot.reservedQuantity,
+        sku: updatedLot.sku,
       });
 
+      // A fully reserved lot back on sale (never block the release)
+      if (updatedLot.status === 'LIVE' && previousStatus !== 'LIVE') {
+        await buyerService.handleWishlistNewListing(inventoryLotId);
+      }
+
       return updatedLot;
     } catch (error) {
       if (error instanceof ApiError) throw error;
@@ -1696,47 +2064,72 @@ class InventoryService {
 
   /**
    * Mark inventory as sold
-   * Transitions item from RESERVED to SOLD status
+   * Takes reserved units off the lot; the lot becomes SOLD when none are left.
+   * The order's item for the lot records when, so a refund knows the units
+   * are no longer reserved.
    * @param {string} inventoryLotId - Inventory lot ID
    * @param {string} orderId - Order ID
+   * @param {number} quantity - Units sold (default 1)
    * @returns {Promise<Object>} Sold inventory lot
    */
-  async markAsSold(inventoryLotId, orderId) {
+  async markAsSold(inventoryLotId, orderId, quantity = 1) {
     try {
       if (!inventoryLotId || !orderId) {
         throw new ApiError('inventoryLotId and orderId are required', 400);
       }
 
-      const lot = await prisma.inventoryLot.findUnique({
-        where: { id: inventoryLotId },
-      });
+      const updatedLot = await prisma.$transaction(async (tx) => {
+        const lot = await this._lockLot(tx, inventoryLotId);
 
-      if (!lot) {
-        throw new ApiError('Inventory lot not found', 404);
-      }
+        if (!lot) {
+          throw new ApiError('Inventory lot not found', 404);
+        }
 
-      if (lot.status !== 'RESERVED') {
-        throw new ApiError(
-          `Cannot mark as sold with status: ${lot.status}`,
-          400
-        );
-      }
+        if (lot.reservedQuantity < quantity) {
+          throw new ApiError(
+            `Cannot mark as sold with status: ${lot.status}`,
+            400
+          );
+        }
 
-      const timestamp = new Date().toISOString();
-      const updatedLot = await prisma.inventoryLot.update({
-        where: { id: inventoryLotId },
-        data: {
-          status: 'SOLD',
-          soldAt: new Date(),
-          orderId: orderId,
-          internalNotes: `${lot.internalNotes || ''}\n[SOLD in order ${orderId}] - ${timestamp}`,
-        },
+        // A refund gives the order's reserved units back to the lot
+        const refunded = await tx.orderItem.count({
+          where: { orderId, inventoryLotId, refundedAt: { not: null } },
+        });
+        if (refunded > 0) {
+          throw new ApiError('Order item has been refunded', 409);
+        }
+
+        const remaining = lot.quantity - quantity;
+        const reservedQuantity = lot.reservedQuantity - quantity;
+        const status = this.statusForQuantity(remaining, reservedQuantity);
+        const timestamp = new Date().toISOString();
+
+        await tx.orderItem.updateMany({
+          where: { orderId, inventoryLotId },
+          data: { soldAt: new Date() },
+        });
+
+        return tx.inventoryLot.update({
+          where: { id: inventoryLotId },
+          data: {
+            status,
+            quantity: remaining,
+            reservedQuantity,
+            soldAt: new Date(),
+            orderId: orderId,
+            reservedAt: reservedQuantity === 0 ? null : lot.reservedAt,
+            internalNotes: `${lot.internalNotes || ''}\n[SOLD ${quantity} in order ${orderId}] - ${timestamp}`,
+          },
+        });
       });
 
       logger.info('Inventory marked as sold', {
         inventoryLotId,
         orderId,
-        sku: lot.sku,
+        quantity,
+        remaining: updatedLot.quantity,
+        sku: updatedLot.sku,
       });
 
       return updatedLot;
@@ -1753,7 +2146,7 @@ class InventoryService {
 
   /**
    * Clean up expired reservations
-   * Finds and releases all RESERVED items older than 15 minutes
+   * Finds and releases reserved units on lots reserved more than 15 minutes ago
    * Called by background job every 5 minutes
    * @returns {Promise<Object>} Cleanup results
    */
@@ -1763,7 +2156,7 @@ class InventoryService {
 
       const expiredLots = await prisma.inventoryLot.findMany({
         where: {
-          status: 'RESERVED',
+          reservedQuantity: { gt: 0 },
           reservedAt: {
             lt: cutoff,
           },
@@ -1809,6 +2202,17 @@ class InventoryService {
       return { releasedCount: 0, errors: [{ error: error.message }] };
     }
   }
+
+  /**
+   * Lock a lot row for the rest of the transaction and read it
+   * @private
+   */
+  async _lockLot(tx, inventoryLotId) {
+    await tx.$queryRaw`
+      SELECT id FROM inventory_lots WHERE id = ${inventoryLotId}::uuid FOR UPDATE
+    `;
+    return tx.inventoryLot.findUnique({ where: { id: inventoryLotId } });
+  }
 }
 
 export default new InventoryService();
@@ -0,0 +1,705 @@
+import prisma from '../utils/db.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import logger from '../../config/logger.js';
+import config from '../../config/config.js';
+import discogsService, { RequestThrottler } from './discogsService.js';
+import ebayService from './ebayService.js';
+
+/**
+ * Sources the refresher knows how to fetch
+ */
+const REFRESHABLE_SOURCES = ['DISCOGS', 'EBAY'];
+
+/**
+ * Submission statuses whose items still need a current market price
+ */
+const OPEN_SUBMISSION_STATUSES = ['PENDING_REVIEW', 'COUNTER_OFFERED'];
+
+/**
+ * Consecutive failures after which a source is skipped for the rest of a run
+ * (unconfigured credentials, rate limiting or an outage)
+ */
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+/**
+ * Cap on the retry back-off for a source that keeps finding no prices or
+ * failing, as a multiple of the staleness window (30 days at 24h)
+ */
+const MAX_BACKOFF_MULTIPLIER = 30;
+
+/**
+ * Every MarketSource, for validating history/alert filters
+ */
+const MARKET_SOURCES = ['DISCOGS', 'EBAY', 'HYBRID', 'MANUAL'];
+
+/**
+ * Windows (days) the trend summary reports price change over
+ */
+const TREND_WINDOWS = [30, 90];
+
+/**
+ * Default alert threshold: absolute % change in median over the window
+ */
+const DEFAULT_ALERT_THRESHOLD_PERCENT = 20;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toNumber = (value) =>
+  value === null || value === undefined ? null : parseFloat(value);
+
+/**
+ * Market Snapshot Service
+ * Keeps market_snapshots current for releases we are actively pricing:
+ * those with LIVE inventory or items in open seller submissions. Each run
+ * picks the most stale, most valuable releases and stores a new snapshot
+ * per source, so pricing reads (latest snapshot wins) stop using numbers
+ * captured once at submission time.
+ *
+ * Because snapshots accumulate, it also serves each release's price history
+ * per source with a trend summary, and a feed of releases whose median
+ * moved sharply.
+ */
+class MarketSnapshotService {
+  constructor() {
+    // Discogs calls share discogsService's throttler; eBay gets its own
+    this.ebayThrottler = new RequestThrottler(1000);
+  }
+
+  // ============================================================================
+  // SNAPSHOT REFRESH
+  // ============================================================================
+
+  /**
+   * Refresh market snapshots for the highest-priority stale releases
+   * @param {Object} options - Refresh options
+   * @param {number} options.limit - Max releases to refresh this run
+   * @param {number} options.staleAfterHours - Snapshot age that counts as stale
+   * @param {Array<string>} options.sources - Sources to refresh (DISCOGS, EBAY)
+   * @param {Date} options.now - Reference time (for testing)
+   * @returns {Promise<Object>} Run summary
+   */
+  async refreshSnapshots(options = {}) {
+    try {
+      const {
+        limit = config.marketRefresh.batchSize,
+        staleAfterHours = config.marketRefresh.staleAfterHours,
+        now = new Date(),
+      } = options;
+      const sources = (options.sources || config.marketRefresh.sources).filter(
+        (source) => REFRESHABLE_SOURCES.includes(source)
+      );
+
+      if (sources.length === 0) {
+        throw new ApiError(
+          `sources must include one of: ${REFRESHABLE_SOURCES.join(', ')}`,
+          400
+        );
+      }
+
+      const candidates = await this._loadCandidates(sources);
+      const ranked = this.rankCandidates(candidates, {
+        sources,
+        staleAfterHours,
+        now,
+      });
+      const selected = ranked.slice(0, limit);
+
+      const summary = {
+        candidates: candidates.length,
+        stale: ranked.length,
+        selected: selected.length,
+        snapshotsCreated: 0,
+        noData: 0,
+        failed: 0,
+        skippedSources: [],
+      };
+      const errors = [];
+      const failures = Object.fromEntries(sources.map((s) => [s, 0]));
+
+      for (const candidate of selected) {
+        for (const source of candidate.staleSources) {
+          if (summary.skippedSources.includes(source)) continue;
+
+          try {
+            const stats = await this._fetchStats(source, candidate.release);
+            failures[source] = 0;
+
+            if (!stats) {
+              summary.noData++;
+              await this._recordAttempt(candidate.releaseId, source, 'NO_DATA');
+              continue;
+            }
+
+            await prisma.marketSnapshot.create({
+              data: {
+                releaseId: candidate.releaseId,
+                source,
+                statLow: stats.low,
+                statMedian: stats.median,
+                statHigh: stats.high,
+                sampleSize: stats.sampleSize,
+                fetchedAt: new Date(),
+              },
+            });
+            await this._recordAttempt(candidate.releaseId, source, 'SNAPSHOT');
+            summary.snapshotsCreated++;
+          } catch (error) {
+            summary.failed++;
+            errors.push({
+              releaseId: candidate.releaseId,
+              source,
+              error: error.message,
+            });
+            await this._recordAttempt(candidate.releaseId, source, 'FAILED');
+
+            failures[source]++;
+            if (failures[source] >= MAX_CONSECUTIVE_FAILURES) {
+              summary.skippedSources.push(source);
+              logger.warn('Market refresh: skipping source for this run', {
+                source,
+                consecutiveFailures: failures[source],
+              });
+            }
+          }
+        }
+
+        if (summary.skippedSources.length === sources.length) break;
+      }
+
+      logger.info('Market snapshot refresh completed', summary);
+
+      return { ...summary, errors };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error refreshing market snapshots', {
+        error: error.message,
+      });
+      throw new ApiError('Failed to refresh market snapshots', 500);
+    }
+  }
+
+  /**
+   * Order refresh candidates by priority, dropping those still fresh
+   * A source was last checked at its latest snapshot or refresh attempt,
+   * whichever is later. Releases never checked for some source come first
+   * (by value); the rest are scored by how many retry windows overdue their
+   * most overdue source is, weighted by the log of the value at stake. The
+   * retry window is the staleness window, doubled for each attempt in a row
+   * that found no prices or failed.
+   * @param {Array<Object>} candidates - From _loadCandidates
+   * @param {Object} options - Ranking options
+   * @param {Array<string>} options.sources - Sources being refreshed
+   * @param {number} options.staleAfterHours - Snapshot age that counts as stale
+   * @param {Date} options.now - Reference time
+   * @returns {Array<Object>} Candidates with staleSources and score, best first
+   */
+  rankCandidates(candidates, { sources, staleAfterHours, now }) {
+    return candidates
+      .map((candidate) => {
+        const checks = sources.map((source) => ({
+          source,
+          ...this._sourceCheck(candidate, source, staleAfterHours, now),
+        }));
+        const staleSources = checks
+          .filter((check) => check.overdue >= 1)
+          .map((check) => check.source);
+
+        const neverChecked = checks.some((check) => check.checkedAt === null);
+        const ageHours = Math.max(...checks.map((check) => check.ageHours));
+        const overdue = Math.max(...checks.map((check) => check.overdue));
+
+        const weight = 1 + Math.log10(1 + candidate.value);
+        const score = neverChecked
+          ? Number.MAX_SAFE_INTEGER / 2 + candidate.value
+          : overdue * weight;
+
+        return { ...candidate, staleSources, ageHours, score };
+      })
+      .filter((candidate) => candidate.staleSources.length > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Hours to wait before retrying a source after consecutive misses
+   * @param {number} misses - Attempts in a row with no prices or an error
+   * @param {number} staleAfterHours - Snapshot age that counts as stale
+   * @returns {number} Retry window (hours)
+   */
+  retryWindowHours(misses, staleAfterHours) {
+    return (
+      staleAfterHours *
+      Math.min(2 ** Math.max(misses, 0), MAX_BACKOFF_MULTIPLIER)
+    );
+  }
+
+  // ============================================================================
+  // PRICE HISTORY & TRENDS
+  // ============================================================================
+
+  /**
+   * Price history for a release, one series per source
+   * @param {string} releaseId - Release UUID
+   * @param {Object} options - History options
+   * @param {number} options.days - How far back to return points (default 180)
+   * @param {string} options.source - Only this MarketSource
+   * @param {Date} options.now - Reference time (for testing)
+   * @returns {Promise<Object>} Release, and per-source points with trend
+   */
+  async getPriceHistory(releaseId, options = {}) {
+    try {
+      const { source, now = new Date() } = options;
+      const days = Math.min(Math.max(Number(options.days) || 180, 1), 730);
+
+      if (source && !MARKET_SOURCES.includes(source)) {
+        throw new ApiError(
+          `source must be one of: ${MARKET_SOURCES.join(', ')}`,
+          400
+        );
+      }
+
+      const release = await prisma.release.findUnique({
+        where: { id: releaseId },
+        select: { id: true, title: true, artist: true, discogsId: true },
+      });
+
+      if (!release) {
+        throw new ApiError('Release not found', 404);
+      }
+
+      // Look back far enough to have a baseline for the longest trend window
+      const lookbackDays = Math.max(days, 2 * Math.max(...TREND_WINDOWS));
+      const snapshots = await prisma.marketSnapshot.findMany({
+        where: {
+          releaseId,
+          ...(source && { source }),
+          fetchedAt: { gte: new Date(now.getTime() - lookbackDays * DAY_MS) },
+        },
+        orderBy: { fetchedAt: 'asc' },
+      });
+
+      const since = now.getTime() - days * DAY_MS;
+      const series = Object.entries(this._groupBySource(snapshots)).map(
+        ([seriesSource, points]) => ({
+          source: seriesSource,
+          points: points.filter((p) => p.fetchedAt.getTime() >= since),
+          latest: points[points.length - 1],
+          trend: this.computeTrend(points, now),
+        })
+      );
+
+      return { release, days, series };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error getting market price history', {
+        releaseId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to get market price history', 500);
+    }
+  }
+
+  /**
+   * Releases whose median moved more than a threshold over a window
+   * @param {Object} options - Alert options
+   * @param {number} options.days - Window to measure change over (default 30)
+   * @param {number} options.threshold - Minimum absolute % change (default 20)
+   * @param {string} options.source - Only this MarketSource
+   * @param {number} options.limit - Max alerts (default 50)
+   * @param {Date} options.now - Reference time (for testing)
+   * @returns {Promise<Object>} Alerts, biggest move first
+   */
+  async getTrendAlerts(options = {}) {
+    try {
+      const { source, now = new Date() } = options;
+      const days = Math.min(Math.max(Number(options.days) || 30, 1), 365);
+      const threshold =
+        options.threshold === undefined
+          ? DEFAULT_ALERT_THRESHOLD_PERCENT
+          : Number(options.threshold);
+      const limit = Math.min(Math.max(Number(options.limit) || 50, 1), 100);
+
+      if (!Number.isFinite(threshold) || threshold < 0) {
+        throw new ApiError('threshold must be a non-negative number', 400);
+      }
+      if (source && !MARKET_SOURCES.includes(source)) {
+        throw new ApiError(
+          `source must be one of: ${MARKET_SOURCES.join(', ')}`,
+          400
+        );
+      }
+
+      const snapshots = await prisma.marketSnapshot.findMany({
+        where: {
+          ...(source && { source }),
+          fetchedAt: { gte: new Date(now.getTime() - 2 * days * DAY_MS) },
+        },
+        select: {
+          releaseId: true,
+          source: true,
+          statLow: true,
+          statMedian: true,
+          statHigh: true,
+          sampleSize: true,
+          fetchedAt: true,
+        },
+        orderBy: { fetchedAt: 'asc' },
+      });
+
+      const byRelease = new Map();
+      for (const snapshot of snapshots) {
+        const list = byRelease.get(snapshot.releaseId) || [];
+        list.push(snapshot);
+        byRelease.set(snapshot.releaseId, list);
+      }
+
+      const moves = [];
+      for (const [releaseId, releaseSnapshots] of byRelease) {
+        const bySource = this._groupBySource(releaseSnapshots);
+        for (const [seriesSource, points] of Object.entries(bySource)) {
+          const change = this._percentChange(points, days, now);
+          if (change && Math.abs(change.percent) >= threshold) {
+            moves.push({ releaseId, source: seriesSource, ...change });
+          }
+        }
+      }
+
+      moves.sort((a, b) => Math.abs(b.percent) - Math.abs(a.percent));
+      const selected = moves.slice(0, limit);
+
+      const releases = await prisma.release.findMany({
+        where: { id: { in: [...new Set(selected.map((m) => m.releaseId))] } },
+        select: { id: true, title: true, artist: true },
+      });
+      const releaseById = new Map(releases.map((r) => [r.id, r]));
+
+      return {
+        days,
+        threshold,
+        total: moves.length,
+        alerts: selected.map((move) => ({
+          ...move,
+          title: releaseById.get(move.releaseId)?.title || null,
+          artist: releaseById.get(move.releaseId)?.artist || null,
+          direction: move.percent > 0 ? 'UP' : 'DOWN',
+        })),
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error getting market trend alerts', {
+        error: error.message,
+      });
+      throw new ApiError('Failed to get market trend alerts', 500);
+    }
+  }
+
+  /**
+   * Trend summary for one source's price series
+   * Uses the median, falling back to the low where a source only reports
+   * lowest prices (Discogs marketplace stats).
+   * @param {Array<Object>} points - Points ({fetchedAt, median, low}), oldest first
+   * @param {Date} now - Reference time
+   * @returns {Object} {price, change30d, change90d, volatility}
+   */
+  computeTrend(points, now = new Date()) {
+    const latest = points[points.length - 1];
+    const trend = { price: latest ? this._referencePrice(latest) : null };
+
+    for (const windowDays of TREND_WINDOWS) {
+      trend[`change${windowDays}d`] = this._percentChange(
+        points,
+        windowDays,
+        now
+      );
+    }
+
+    // Coefficient of variation over the longest window, as a percentage
+    const since = now.getTime() - Math.max(...TREND_WINDOWS) * DAY_MS;
+    const prices = points
+      .filter((p) => p.fetchedAt.getTime() >= since)
+      .map((p) => this._referencePrice(p))
+      .filter((price) => price !== null);
+
+    trend.volatility = null;
+    if (prices.length >= 3) {
+      const mean = prices.reduce((sum, p) => sum + p, 0) / prices.length;
+      const variance =
+        prices.reduce((sum, p) => sum + (p - mean) ** 2, 0) / prices.length;
+      if (mean > 0) {
+        trend.volatility = round2((Math.sqrt(variance) / mean) * 100);
+      }
+    }
+
+    return trend;
+  }
+
+  /**
+   * Change from the price at the start of a window to the latest price
+   * The baseline is the last point at or before the window start; with no
+   * history that old, the earliest point inside the window is used.
+   * @param {Array<Object>} points - Points, oldest first
+   * @param {number} windowDays - Window length
+   * @param {Date} now - Reference time
+   * @returns {Object|null} {from, to, fromPrice, toPrice, percent}, or null
+   *   with fewer than two priced points
+   * @private
+   */
+  _percentChange(points, windowDays, now) {
+    const priced = points.filter((p) => this._referencePrice(p) !== null);
+    if (priced.length < 2) return null;
+
+    const cutoff = now.getTime() - windowDays * DAY_MS;
+    const latest = priced[priced.length - 1];
+    const before = priced.filter((p) => p.fetchedAt.getTime() <= cutoff);
+    const baseline = before.length > 0 ? before[before.length - 1] : priced[0];
+
+    const fromPrice = this._referencePrice(baseline);
+    const toPrice = this._referencePrice(latest);
+    if (baseline === latest || !fromPrice) return null;
+
+    return {
+      from: baseline.fetchedAt,
+      to: latest.fetchedAt,
+      fromPrice,
+      toPrice,
+      percent: round2(((toPrice - fromPrice) / fromPrice) * 100),
+    };
+  }
+
+  /**
+   * Price a trend is measured on: median, else low
+   * @param {Object} point - Snapshot or formatted point
+   * @returns {number|null} Price
+   * @private
+   */
+  _referencePrice(point) {
+    return point.median ?? point.low ?? null;
+  }
+
+  /**
+   * Group snapshots (oldest first) into formatted points per source
+   * @param {Array<Object>} snapshots - market_snapshots rows
+   * @returns {Object} Points keyed by source
+   * @private
+   */
+  _groupBySource(snapshots) {
+    const bySource = {};
+    for (const snapshot of snapshots) {
+      (bySource[snapshot.source] ||= []).push({
+        fetchedAt: snapshot.fetchedAt,
+        low: toNumber(snapshot.statLow),
+        median: toNumber(snapshot.statMedian),
+        high: toNumber(snapshot.statHigh),
+        sampleSize: snapshot.sampleSize,
+      });
+    }
+    return bySource;
+  }
+
+  // ============================================================================
+  // REFRESH HELPERS
+  // ============================================================================
+
+  /**
+   * When a release's source was last checked and how overdue it is
+   * @param {Object} candidate - { lastFetched, lastAttempt }
+   * @param {string} source - Source being refreshed
+   * @param {number} staleAfterHours - Snapshot age that counts as stale
+   * @param {Date} now - Reference time
+   * @returns {Object} { checkedAt, ageHours, overdue } (overdue >= 1 is stale)
+   * @private
+   */
+  _sourceCheck(candidate, source, staleAfterHours, now) {
+    const attempt = candidate.lastAttempt?.[source];
+    const times = [candidate.lastFetched[source], attempt?.attemptedAt]
+      .filter(Boolean)
+      .map((date) => date.getTime());
+
+    if (times.length === 0) {
+      return { checkedAt: null, ageHours: Infinity, overdue: Infinity };
+    }
+
+    const ageHours = (now.getTime() - Math.max(...times)) / HOUR_MS;
+    const windowHours = this.retryWindowHours(
+      attempt?.misses || 0,
+      staleAfterHours
+    );
+
+    return {
+      checkedAt: new Date(Math.max(...times)),
+      ageHours,
+      overdue: ageHours / windowHours,
+    };
+  }
+
+  /**
+   * Record a refresh attempt for a release and source
+   * A snapshot resets the miss count; no data or an error adds one.
+   * @param {string} releaseId - Release UUID
+   * @param {string} source - DISCOGS or EBAY
+   * @param {string} outcome - SNAPSHOT, NO_DATA or FAILED
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recordAttempt(releaseId, source, outcome) {
+    const lastAttemptAt = new Date();
+    const missed = outcome !== 'SNAPSHOT';
+
+    try {
+      await prisma.marketRefreshAttempt.upsert({
+        where: { releaseId_source: { releaseId, source } },
+        create: {
+          releaseId,
+          source,
+          lastAttemptAt,
+          lastOutcome: outcome,
+          consecutiveMisses: missed ? 1 : 0,
+        },
+        update: {
+          lastAttemptAt,
+          lastOutcome: outcome,
+          consecutiveMisses: missed ? { increment: 1 } : 0,
+        },
+      });
+    } catch (error) {
+      // Losing an attempt only costs an early retry; keep the run going
+      logger.warn('Market refresh: failed to record attempt', {
+        releaseId,
+        source,
+        outcome,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Releases with LIVE inventory or open submission items, with the value
+   * at stake, the latest snapshot time and the last refresh attempt per
+   * source
+   * @param {Array<string>} sources - Sources being refreshed
+   * @returns {Promise<Array<Object>>} Candidates
+   * @private
+   */
+  async _loadCandidates(sources) {
+    const [lots, items] = await Promise.all([
+      prisma.inventoryLot.groupBy({
+        by: ['releaseId'],
+        where: { status: 'LIVE' },
+        _sum: { listPrice: true },
+      }),
+      prisma.submissionItem.groupBy({
+        by: ['releaseId'],
+        where: {
+          status: { not: 'REJECTED' },
+          submission: { status: { in: OPEN_SUBMISSION_STATUSES } },
+        },
+        _sum: { autoOfferPrice: true },
+      }),
+    ]);
+
+    const values = new Map();
+    for (const lot of lots) {
+      values.set(lot.releaseId, Number(lot._sum.listPrice || 0));
+    }
+    for (const item of items) {
+      values.set(
+        item.releaseId,
+        (values.get(item.releaseId) || 0) +
+          Number(item._sum.autoOfferPrice || 0)
+      );
+    }
+
+    const releaseIds = [...values.keys()];
+    if (releaseIds.length === 0) {
+      return [];
+    }
+
+    const [releases, latest, attempts] = await Promise.all([
+      prisma.release.findMany({
+        where: { id: { in: releaseIds } },
+        select: { id: true, discogsId: true, artist: true, title: true },
+      }),
+      prisma.marketSnapshot.groupBy({
+        by: ['releaseId', 'source'],
+        where: { releaseId: { in: releaseIds }, source: { in: sources } },
+        _max: { fetchedAt: true },
+      }),
+      prisma.marketRefreshAttempt.findMany({
+        where: { releaseId: { in: releaseIds }, source: { in: sources } },
+        select: {
+          releaseId: true,
+          source: true,
+          lastAttemptAt: true,
+          consecutiveMisses: true,
+        },
+      }),
+    ]);
+
+    const lastFetched = new Map();
+    for (const row of latest) {
+      const bySource = lastFetched.get(row.releaseId) || {};
+      bySource[row.source] = row._max.fetchedAt;
+      lastFetched.set(row.releaseId, bySource);
+    }
+
+    const lastAttempt = new Map();
+    for (const row of attempts) {
+      const bySource = lastAttempt.get(row.releaseId) || {};
+      bySource[row.source] = {
+        attemptedAt: row.lastAttemptAt,
+        misses: row.consecutiveMisses,
+      };
+      lastAttempt.set(row.releaseId, bySource);
+    }
+
+    return releases.map((release) => ({
+      releaseId: release.id,
+      release,
+      value: Math.round(values.get(release.id) * 100) / 100,
+      lastFetched: lastFetched.get(release.id) || {},
+      lastAttempt: lastAttempt.get(release.id) || {},
+    }));
+  }
+
+  /**
+   * Fetch price statistics for one release from one source
+   * @param {string} source - DISCOGS or EBAY
+   * @param {Object} release - Release ({discogsId, artist, title})
+   * @returns {Promise<Object|null>} {low, median, high, sampleSize}, or null
+   *   when the source has no usable prices for the release
+   * @private
+   */
+  async _fetchStats(source, release) {
+    let data;
+
+    if (source === 'DISCOGS') {
+      if (!release.discogsId) return null;
+      await discogsService.throttler.wait();
+      data = await discogsService.getPriceStatistics(release.discogsId);
+    } else {
+      await this.ebayThrottler.wait();
+      data = await ebayService.getPriceStatistics({
+        query: `${release.artist} ${release.title}`,
+      });
+    }
+
+    const low = data?.lowest ?? null;
+    const median = data?.median ?? null;
+    const high = data?.highest ?? null;
+
+    if (low === null && median === null && high === null) {
+      return null;
+    }
+
+    return {
+      low,
+      median,
+      high,
+      sampleSize: data.sampleSize ?? null,
+    };
+  }
+}
+
+export default new MarketSnapshotService();
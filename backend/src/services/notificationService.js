@@ -1,11 +1,367 @@
+import prisma from '../utils/db.js';
+import config from '../../config/config.js';
 import logger from '../../config/logger.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import EmailNotificationChannel from '../providers/emailNotificationChannel.js';
+import WebhookNotificationChannel from '../providers/webhookNotificationChannel.js';
+import InAppNotificationChannel from '../providers/inAppNotificationChannel.js';
+import {
+  NOTIFICATION_EVENTS,
+  renderNotification,
+} from '../templates/notificationTemplates.js';
+
+/**
+ * Longest wait between delivery retries
+ */
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
 
 /**
  * Notification Service
  * Handles sending notifications for submission state changes
- * Can be extended to support email, webhooks, SMS, etc.
+ *
+ * Notifications are written to a persisted outbox (one row per channel and
+ * recipient) and delivered by the dispatch job, which retries failures with
+ * exponential backoff. Channels: EMAIL, WEBHOOK, IN_APP (inbox).
  */
 class NotificationService {
+  constructor() {
+    this.settings = config.notifications;
+    this.channels = {};
+  }
+
+  // ============================================================================
+  // OUTBOX & DELIVERY
+  // ============================================================================
+
+  /**
+   * Queue a notification on every enabled channel
+   * In-app notifications are delivered immediately; email and webhooks are
+   * sent by the dispatch job
+   * @param {string} eventType - One of NOTIFICATION_EVENTS
+   * @param {Object} data - Template variables, stored as the payload
+   * @param {Array<string>} recipients - Email addresses / inbox owners
+   * @returns {Promise<Array>} Created outbox records
+   */
+  async enqueue(eventType, data, recipients = []) {
+    if (!this.settings.enabled) {
+      return [];
+    }
+
+    const { subject, text } = renderNotification(eventType, data);
+    const payload = JSON.parse(JSON.stringify(data));
+    const uniqueRecipients = [...new Set(recipients.filter(Boolean))];
+    const enabled = this.settings.channels;
+
+    const deliveries = [];
+    if (enabled.includes('EMAIL')) {
+      uniqueRecipients.forEach((recipient) =>
+        deliveries.push({ channel: 'EMAIL', recipient })
+      );
+    }
+    if (enabled.includes('IN_APP')) {
+      uniqueRecipients.forEach((recipient) =>
+        deliveries.push({ channel: 'IN_APP', recipient })
+      );
+    }
+    if (enabled.includes('WEBHOOK')) {
+      this.settings.webhook.urls.forEach((recipient) =>
+        deliveries.push({ channel: 'WEBHOOK', recipient })
+      );
+    }
+
+    const records = [];
+    for (const delivery of deliveries) {
+      const isInApp = delivery.channel === 'IN_APP';
+      const record = await prisma.notificationOutbox.create({
+        data: {
+          channel: delivery.channel,
+          eventType,
+          recipient: delivery.recipient,
+          subject,
+          body: text,
+          payload,
+          maxAttempts: this.settings.maxAttempts,
+          status: isInApp ? 'SENT' : 'PENDING',
+          sentAt: isInApp ? new Date() : null,
+        },
+      });
+      records.push(record);
+    }
+
+    logger.debug('Notification queued', {
+      eventType,
+      deliveries: records.length,
+    });
+
+    return records;
+  }
+
+  /**
+   * Deliver due notifications from the outbox
+   * @param {Object} options - Dispatch options
+   * @param {number} options.limit - Max notifications to process
+   * @returns {Promise<Object>} Counts of sent, retried and failed deliveries
+   */
+  async dispatchPending(options = {}) {
+    try {
+      const { limit = this.settings.batchSize } = options;
+
+      const due = await prisma.notificationOutbox.findMany({
+        where: {
+          status: 'PENDING',
+          channel: { not: 'IN_APP' },
+          nextAttemptAt: { lte: new Date() },
+        },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: limit,
+      });
+
+      const result = { processed: 0, sent: 0, retried: 0, failed: 0 };
+
+      for (const notification of due) {
+        const outcome = await this.deliver(notification);
+        if (!outcome) continue;
+
+        result.processed++;
+        result[outcome]++;
+      }
+
+      if (result.processed > 0) {
+        logger.info('Notification dispatch completed', result);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Error dispatching notifications', {
+        error: error.message,
+      });
+      throw new ApiError('Failed to dispatch notifications', 500);
+    }
+  }
+
+  /**
+   * Attempt delivery of one outbox record
+   * The attempt counter doubles as an optimistic lock so overlapping
+   * dispatchers never send the same notification twice
+   * @param {Object} notification - Outbox record
+   * @returns {Promise<string|null>} 'sent', 'retried', 'failed', or null if claimed elsewhere
+   */
+  async deliver(notification) {
+    const claimed = await prisma.notificationOutbox.updateMany({
+      where: {
+        id: notification.id,
+        status: 'PENDING',
+        attempts: notification.attempts,
+      },
+      data: { attempts: { increment: 1 } },
+    });
+
+    if (claimed.count === 0) {
+      return null;
+    }
+
+    const attempts = notification.attempts + 1;
+
+    try {
+      await this._getChannel(notification.channel).send(notification);
+
+      await prisma.notificationOutbox.update({
+        where: { id: notification.id },
+        data: { status: 'SENT', sentAt: new Date(), lastError: null },
+      });
+
+      return 'sent';
+    } catch (error) {
+      const exhausted = attempts >= notification.maxAttempts;
+
+      await prisma.notificationOutbox.update({
+        where: { id: notification.id },
+        data: {
+          status: exhausted ? 'FAILED' : 'PENDING',
+          lastError: error.message.slice(0, 1000),
+          nextAttemptAt: new Date(Date.now() + this._getRetryDelayMs(attempts)),
+        },
+      });
+
+      logger.warn('Notification delivery failed', {
+        notificationId: notification.id,
+        channel: notification.channel,
+        attempts,
+        exhausted,
+        error: error.message,
+      });
+
+      return exhausted ? 'failed' : 'retried';
+    }
+  }
+
+  /**
+   * List outbox records for admin review
+   * @param {Object} filters - Filter options
+   * @param {string} filters.status - PENDING, SENT or FAILED
+   * @param {string} filters.channel - EMAIL, WEBHOOK or IN_APP
+   * @param {string} filters.eventType - Notification event type
+   * @param {number} filters.limit - Results per page
+   * @param {number} filters.page - Page number
+   * @returns {Promise<Object>} Paginated outbox records
+   */
+  async listOutbox(filters = {}) {
+    try {
+      const { status, channel, eventType, limit = 50, page = 1 } = filters;
+
+      const where = {};
+      if (status) where.status = status;
+      if (channel) where.channel = channel;
+      if (eventType) where.eventType = eventType;
+
+      const [notifications, total] = await Promise.all([
+        prisma.notificationOutbox.findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          take: limit,
+          skip: (page - 1) * limit,
+        }),
+        prisma.notificationOutbox.count({ where }),
+      ]);
+
+      return {
+        notifications,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error('Error listing notification outbox', {
+        error: error.message,
+      });
+      throw new ApiError('Failed to list notifications', 500);
+    }
+  }
+
+  /**
+   * Re-queue a failed notification for immediate delivery
+   * @param {string} notificationId - Outbox ID
+   * @returns {Promise<Object>} Updated outbox record
+   */
+  async retryNotification(notificationId) {
+    try {
+      const notification = await prisma.notificationOutbox.findUnique({
+        where: { id: notificationId },
+      });
+
+      if (!notification) {
+        throw new ApiError('Notification not found', 404);
+      }
+
+      if (notification.status !== 'FAILED') {
+        throw new ApiError('Only failed notifications can be retried', 400);
+      }
+
+      return await prisma.notificationOutbox.update({
+        where: { id: notificationId },
+        data: {
+          status: 'PENDING',
+          attempts: 0,
+          nextAttemptAt: new Date(),
+        },
+      });
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error retrying notification', {
+        notificationId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to retry notification', 500);
+    }
+  }
+
+  // ============================================================================
+  // IN-APP INBOX
+  // ============================================================================
+
+  /**
+   * Get in-app notifications for a recipient
+   * @param {string} recipient - Inbox owner (email address)
+   * @param {Object} options - Query options
+   * @param {boolean} options.unreadOnly - Only unread notifications
+   * @param {number} options.limit - Max notifications to return
+   * @returns {Promise<Object>} Notifications and unread count
+   */
+  async getInbox(recipient, options = {}) {
+    try {
+      const { unreadOnly = false, limit = 50 } = options;
+
+      if (!recipient) {
+        throw new ApiError('Inbox recipient is required', 400);
+      }
+
+      const where = { channel: 'IN_APP', recipient };
+
+      const [notifications, unread] = await Promise.all([
+        prisma.notificationOutbox.findMany({
+          where: unreadOnly ? { ...where, readAt: null } : where,
+          orderBy: { createdAt: 'desc' },
+          take: limit,
+          select: {
+            id: true,
+            eventType: true,
+            subject: true,
+            body: true,
+            payload: true,
+            readAt: true,
+            createdAt: true,
+          },
+        }),
+        prisma.notificationOutbox.count({ where: { ...where, readAt: null } }),
+      ]);
+
+      return { notifications, unread };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error fetching notification inbox', {
+        recipient,
+        error: error.message,
+      });
+      throw new ApiError('Failed to fetch inbox', 500);
+    }
+  }
+
+  /**
+   * Mark an in-app notification as read
+   * @param {string} recipient - Inbox owner (email address)
+   * @param {string} notificationId - Outbox ID
+   * @returns {Promise<Object>} Read timestamp
+   */
+  async markInboxRead(recipient, notificationId) {
+    try {
+      const readAt = new Date();
+      const result = await prisma.notificationOutbox.updateMany({
+        where: { id: notificationId, channel: 'IN_APP', recipient },
+        data: { readAt },
+      });
+
+      if (result.count === 0) {
+        throw new ApiError('Notification not found', 404);
+      }
+
+      return { id: notificationId, readAt };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error marking notification read', {
+        notificationId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to mark notification read', 500);
+    }
+  }
+
+  // ============================================================================
+  // SUBMISSION NOTIFICATIONS
+  // ============================================================================
+
   /**
    * Notify seller of submission state change
    * @param {Object} data - Notification data
@@ -13,10 +369,19 @@ class NotificationService {
    * @param {string} data.fromStatus - Previous status
    * @param {string} data.toStatus - New status
    * @param {string} data.changeReason - Reason for change
+   * @param {string} data.sellerEmail - Seller contact email
+   * @param {string} data.sellerName - Seller name
    */
   async notifySubmissionStateChange(data) {
     try {
-      const { submissionId, fromStatus, toStatus, changeReason } = data;
+      const {
+        submissionId,
+        fromStatus,
+        toStatus,
+        changeReason,
+        sellerEmail,
+        sellerName,
+      } = data;
 
       // Log notification event
       logger.info('Submission state change notification', {
@@ -33,14 +398,13 @@ class NotificationService {
         changeReason
       );
 
-      // TODO: Implement actual notification channels:
-      // - Email notification to seller
-      // - Webhook notification to external systems
-      // - In-app notification
-      // - SMS notification (optional)
+      await this.enqueue(
+        NOTIFICATION_EVENTS.SUBMISSION_STATUS_CHANGED,
+        { submissionId, fromStatus, toStatus, sellerName, message },
+        [sellerEmail]
+      );
 
-      // For now, just log the notification
-      logger.info('Notification sent', {
+      logger.info('Notification queued', {
         submissionId,
         toStatus,
         message,
@@ -84,10 +448,18 @@ class NotificationService {
    * @param {string} data.itemId - Submission item ID
    * @param {number} data.counterOfferPrice - Counter-offer price
    * @param {string} data.itemTitle - Item title for notification
+   * @param {string} data.submissionId - Submission ID
+   * @param {string} data.sellerEmail - Seller contact email
    */
   async notifyCounterOffer(data) {
     try {
-      const { itemId, counterOfferPrice, itemTitle } = data;
+      const {
+        itemId,
+        counterOfferPrice,
+        itemTitle,
+        submissionId,
+        sellerEmail,
+      } = data;
 
       logger.info('Counter-offer notification', {
         itemId,
@@ -95,7 +467,11 @@ class NotificationService {
         itemTitle,
       });
 
-      // TODO: Send email/notification to seller with counter-offer details
+      await this.enqueue(
+        NOTIFICATION_EVENTS.COUNTER_OFFER,
+        { itemId, counterOfferPrice, itemTitle, submissionId },
+        [sellerEmail]
+      );
     } catch (error) {
       logger.error('Error sending counter-offer notification', {
         itemId: data.itemId,
@@ -121,7 +497,11 @@ class NotificationService {
         expiresAt,
       });
 
-      // TODO: Send reminder email to seller about upcoming expiration
+      await this.enqueue(
+        NOTIFICATION_EVENTS.QUOTE_EXPIRING,
+        { submissionId, expiresAt },
+        [sellerEmail]
+      );
     } catch (error) {
       logger.error('Error sending expiration notification', {
         submissionId: data.submissionId,
@@ -150,11 +530,11 @@ class NotificationService {
         totalInventoryValue,
       });
 
-      // TODO: Send email to seller confirming inventory creation
-      // Message could include:
-      // - Number of items accepted and added to inventory
-      // - Total value of the accepted items
-      // - Next steps for tracking/selling
+      await this.enqueue(
+        NOTIFICATION_EVENTS.INVENTORY_CREATED,
+        { submissionId, itemCount, totalInventoryValue },
+        [sellerEmail]
+      );
     } catch (error) {
       logger.error('Error sending inventory notification', {
         submissionId: data.submissionId,
@@ -182,7 +562,11 @@ class NotificationService {
         totalOffered,
       });
 
-      // TODO: Send email/notification to admins about new submission
+      await this.enqueue(
+        NOTIFICATION_EVENTS.ADMIN_NEW_SUBMISSION,
+        { submissionId, sellerName, itemCount, totalOffered },
+        this.settings.adminEmails
+      );
     } catch (error) {
       logger.error('Error sending admin notification', {
         submissionId: data.submissionId,
@@ -191,6 +575,102 @@ class NotificationService {
     }
   }
 
+  // ============================================================================
+  // WISHLIST NOTIFICATIONS
+  // ============================================================================
+
+  /**
+   * Notify buyer that a wishlisted item dropped in price
+   * @param {Object} data - Price drop data
+   * @param {string} data.recipientEmail - Buyer email address
+   * @param {string} data.inventoryLotId - Wishlisted inventory lot ID
+   * @param {string} data.releaseTitle - Release title
+   * @param {string} data.releaseArtist - Release artist
+   * @param {number} data.previousPrice - Price the buyer last saw
+   * @param {number} data.newPrice - New list price
+   */
+  async notifyWishlistPriceDrop(data) {
+    try {
+      const {
+        recipientEmail,
+        inventoryLotId,
+        releaseTitle,
+        releaseArtist,
+        previousPrice,
+        newPrice,
+      } = data;
+
+      logger.info('Wishlist price drop notification', {
+        recipientEmail,
+        inventoryLotId,
+        releaseTitle,
+        releaseArtist,
+        previousPrice,
+        newPrice,
+      });
+
+      await this.enqueue(
+        NOTIFICATION_EVENTS.WISHLIST_PRICE_DROP,
+        {
+          inventoryLotId,
+          releaseTitle,
+          releaseArtist,
+          previousPrice,
+          newPrice,
+        },
+        [recipientEmail]
+      );
+    } catch (error) {
+      logger.error('Error sending wishlist price drop notification', {
+        inventoryLotId: data.inventoryLotId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Notify buyer that a new copy of a wishlisted release is available
+   * @param {Object} data - Listing data
+   * @param {string} data.recipientEmail - Buyer email address
+   * @param {string} data.inventoryLotId - Newly listed inventory lot ID
+   * @param {string} data.releaseTitle - Release title
+   * @param {string} data.releaseArtist - Release artist
+   * @param {string} data.condition - Media/sleeve condition of the new copy
+   * @param {number} data.price - List price of the new copy
+   */
+  async notifyWishlistBackInStock(data) {
+    try {
+      const {
+        recipientEmail,
+        inventoryLotId,
+        releaseTitle,
+        releaseArtist,
+        condition,
+        price,
+      } = data;
+
+      logger.info('Wishlist back-in-stock notification', {
+        recipientEmail,
+        inventoryLotId,
+        releaseTitle,
+        releaseArtist,
+        condition,
+        price,
+      });
+
+      await this.enqueue(
+        NOTIFICATION_EVENTS.WISHLIST_BACK_IN_STOCK,
+        { inventoryLotId, releaseTitle, releaseArtist, condition, price },
+        [recipientEmail]
+      );
+    } catch (error) {
+      logger.error('Error sending wishlist back-in-stock notification', {
+        inventoryLotId: data.inventoryLotId,
+        error: error.message,
+      });
+    }
+  }
+
   // ============================================================================
   // SHIPPING NOTIFICATIONS
   // ============================================================================
@@ -203,6 +683,7 @@ class NotificationService {
    * @param {string} data.trackingNumber - Tracking number
    * @param {string} data.carrier - Carrier name (MOCK, USPS, UPS, etc.)
    * @param {string} data.shippingMethod - Shipping method (STANDARD, EXPRESS, OVERNIGHT)
+   * @param {string} data.trackingUrl - Carrier tracking URL
    * @param {string} data.estimatedDelivery - Estimated delivery date
    */
   async notifyOrderShipped(data) {
@@ -211,6 +692,7 @@ class NotificationService {
         buyerEmail,
         orderNumber,
         trackingNumber,
+        trackingUrl,
         carrier,
         shippingMethod,
         estimatedDelivery,
@@ -225,13 +707,18 @@ class NotificationService {
         estimatedDelivery,
       });
 
-      // TODO: Send shipping confirmation email to buyer
-      // Template variables:
-      // - Order number and link
-      // - Tracking number with link to carrier
-      // - Carrier name
-      // - Estimated delivery date
-      // - CTA to track package
+      await this.enqueue(
+        NOTIFICATION_EVENTS.ORDER_SHIPPED,
+        {
+          orderNumber,
+          trackingNumber,
+          trackingUrl,
+          carrier,
+          shippingMethod,
+          estimatedDelivery,
+        },
+        [buyerEmail]
+      );
     } catch (error) {
       logger.error('Error sending order shipped notification', {
         buyerEmail: data.buyerEmail,
@@ -259,8 +746,11 @@ class NotificationService {
         deliveryWindow,
       });
 
-      // TODO: Send out-for-delivery notification to buyer
-      // Urgent notification: package arriving today/soon
+      await this.enqueue(
+        NOTIFICATION_EVENTS.OUT_FOR_DELIVERY,
+        { orderNumber, trackingNumber, deliveryWindow },
+        [buyerEmail]
+      );
     } catch (error) {
       logger.error('Error sending out-for-delivery notification', {
         buyerEmail: data.buyerEmail,
@@ -296,11 +786,11 @@ class NotificationService {
         deliveryLocation,
       });
 
-      // TODO: Send delivery confirmation email
-      // Include:
-      // - Delivery confirmation
-      // - Link to order
-      // - Instructions for returns (if applicable)
+      await this.enqueue(
+        NOTIFICATION_EVENTS.DELIVERED,
+        { orderNumber, trackingNumber, deliveryTime, deliveryLocation },
+        [buyerEmail]
+      );
     } catch (error) {
       logger.error('Error sending delivered notification', {
         buyerEmail: data.buyerEmail,
@@ -338,8 +828,11 @@ class NotificationService {
         location,
       });
 
-      // TODO: Send tracking update notification
-      // Could be email or SMS depending on preference
+      await this.enqueue(
+        NOTIFICATION_EVENTS.TRACKING_UPDATE,
+        { orderNumber, trackingNumber, status, location, message },
+        [buyerEmail]
+      );
     } catch (error) {
       logger.error('Error sending tracking update notification', {
         buyerEmail: data.buyerEmail,
@@ -376,8 +869,17 @@ class NotificationService {
         exceptionType,
       });
 
-      // TODO: Send alert email about delivery issue
-      // Include support contact information
+      await this.enqueue(
+        NOTIFICATION_EVENTS.DELIVERY_EXCEPTION,
+        {
+          orderNumber,
+          trackingNumber,
+          exceptionType,
+          details,
+          contactInfo,
+        },
+        [buyerEmail]
+      );
     } catch (error) {
       logger.error('Error sending delivery exception notification', {
         buyerEmail: data.buyerEmail,
@@ -406,8 +908,11 @@ class NotificationService {
         itemCount,
       });
 
-      // TODO: Send notification to fulfillment team
-      // Different templates based on actionType
+      await this.enqueue(
+        NOTIFICATION_EVENTS.ADMIN_FULFILLMENT_ACTION,
+        { actionType, orderId, orderNumber, itemCount, details },
+        this.settings.adminEmails
+      );
     } catch (error) {
       logger.error('Error sending admin fulfillment notification', {
         orderId: data.orderId,
@@ -415,6 +920,134 @@ class NotificationService {
       });
     }
   }
+
+  // ============================================================================
+  // RETURN NOTIFICATIONS
+  // ============================================================================
+
+  /**
+   * Notify admins that a buyer requested a return
+   * @param {Object} data - Return request data
+   * @param {string} data.returnId - Return request ID
+   * @param {string} data.rmaNumber - RMA number
+   * @param {string} data.orderNumber - Order number
+   * @param {string} data.reason - Return reason code
+   * @param {number} data.itemCount - Number of items being returned
+   */
+  async notifyAdminReturnRequested(data) {
+    try {
+      const { returnId, rmaNumber, orderNumber, reason, itemCount } = data;
+
+      logger.info('Return requested admin notification', {
+        returnId,
+        rmaNumber,
+        orderNumber,
+        reason,
+        itemCount,
+      });
+
+      await this.enqueue(
+        NOTIFICATION_EVENTS.ADMIN_RETURN_REQUESTED,
+        { returnId, rmaNumber, orderNumber, reason, itemCount },
+        this.settings.adminEmails
+      );
+    } catch (error) {
+      logger.error('Error sending return requested notification', {
+        returnId: data.returnId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Notify buyer that their return moved to a new status
+   * @param {Object} data - Return status data
+   * @param {string} data.buyerEmail - Buyer email address
+   * @param {string} data.rmaNumber - RMA number
+   * @param {string} data.orderNumber - Order number
+   * @param {string} data.status - New return status
+   * @param {string} [data.notes] - Admin notes shown to the buyer
+   * @param {string} [data.labelUrl] - Return label URL (on approval)
+   * @param {string} [data.trackingNumber] - Return tracking number
+   * @param {number} [data.refundAmount] - Refunded amount (on completion)
+   */
+  async notifyReturnStatusChanged(data) {
+    try {
+      const {
+        buyerEmail,
+        rmaNumber,
+        orderNumber,
+        status,
+        notes,
+        labelUrl,
+        trackingNumber,
+        refundAmount,
+      } = data;
+
+      logger.info('Return status notification', {
+        buyerEmail,
+        rmaNumber,
+        status,
+      });
+
+      await this.enqueue(
+        NOTIFICATION_EVENTS.RETURN_STATUS_CHANGED,
+        {
+          rmaNumber,
+          orderNumber,
+          status,
+          notes,
+          labelUrl,
+          trackingNumber,
+          refundAmount,
+        },
+        [buyerEmail]
+      );
+    } catch (error) {
+      logger.error('Error sending return status notification', {
+        rmaNumber: data.rmaNumber,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get (and lazily create) the delivery channel for a channel type
+   * @private
+   */
+  _getChannel(channel) {
+    if (!this.channels[channel]) {
+      if (channel === 'EMAIL') {
+        this.channels[channel] = new EmailNotificationChannel(
+          this.settings.email
+        );
+      } else if (channel === 'WEBHOOK') {
+        this.channels[channel] = new WebhookNotificationChannel(
+          this.settings.webhook
+        );
+      } else if (channel === 'IN_APP') {
+        this.channels[channel] = new InAppNotificationChannel();
+      } else {
+        throw new Error(`Unknown notification channel: ${channel}`);
+      }
+    }
+
+    return this.channels[channel];
+  }
+
+  /**
+   * Exponential backoff delay before the next delivery attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   * @private
+   */
+  _getRetryDelayMs(attempts) {
+    const baseMs = this.settings.retryBaseDelaySeconds * 1000;
+    return Math.min(
+      baseMs * Math.pow(2, Math.max(attempts - 1, 0)),
+      MAX_RETRY_DELAY_MS
+    );
+  }
 }
 
 export default new NotificationService();
@@ -12,10 +12,10 @@ class OrderService {
     CART: ['PAYMENT_PENDING', 'CANCELLED'],
     PAYMENT_PENDING: ['PAYMENT_CONFIRMED', 'PAYMENT_FAILED', 'CANCELLED'],
     PAYMENT_CONFIRMED: ['PROCESSING', 'REFUNDED'],
-    PROCESSING: ['SHIPPED', 'CANCELLED'],
-    SHIPPED: ['DELIVERED'],
+    PROCESSING: ['SHIPPED', 'CANCELLED', 'REFUNDED'],
+    SHIPPED: ['DELIVERED', 'REFUNDED'],
     PAYMENT_FAILED: ['CART', 'CANCELLED'],
-    DELIVERED: [],
+    DELIVERED: ['REFUNDED'],
     CANCELLED: [],
     REFUNDED: [],
   };
@@ -536,6 +536,17 @@ class OrderService {
    */
   async transitionToRefunded(orderId, reason = 'Refund processed', adminId) {
     try {
+      const current = await prisma.order.findUnique({
+        where: { id: orderId },
+        select: { status: true },
+      });
+
+      if (!current) {
+        throw new ApiError('Order not found', 404);
+      }
+
+      this.validateStatusTransition(current.status, 'REFUNDED');
+
       const order = await prisma.order.update({
         where: { id: orderId },
         data: { status: 'REFUNDED' },
@@ -545,7 +556,7 @@ class OrderService {
       await prisma.orderAudit.create({
         data: {
           orderId,
-          fromStatus: 'PAYMENT_CONFIRMED',
+          fromStatus: current.status,
           toStatus: 'REFUNDED',
           changeReason: reason,
           changedBy: adminId,
@@ -554,6 +565,7 @@ class OrderService {
 
       return order;
     } catch (error) {
+      if (error instanceof ApiError) throw error;
       logger.error('Error transitioning to REFUNDED', {
         orderId,
         error: error.message,
@@ -0,0 +1,400 @@
+import prisma from '../utils/db.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import logger from '../../config/logger.js';
+import config from '../../config/config.js';
+
+/**
+ * Shipping weight of one record in its sleeve (ounces); the same figure
+ * calculatePackageWeight uses
+ */
+const RECORD_WEIGHT_OZ = 8;
+
+/**
+ * Packaging weight when no box catalogue is configured (ounces)
+ */
+const DEFAULT_PACKAGING_OZ = 4;
+
+/**
+ * Packing Service
+ * Mailer box catalogue and the packing engine that splits an order's records
+ * into boxes, with actual, dimensional and billable weight per package
+ */
+class PackingService {
+  // ============================================================================
+  // PACKING ENGINE
+  // ============================================================================
+
+  /**
+   * Plan the packages for a list of order items
+   * Uses as many of the largest box as needed, then the smallest box that
+   * holds the remainder, so 20 LPs ship as two 10 LP boxes and 12 as a
+   * 10 LP box plus a 1-3 LP mailer. Without a catalogue everything goes in
+   * one package with the legacy weight estimate.
+   * @param {Array<Object>} items - Order/cart items { id, quantity?, releaseTitle? }
+   * @param {Array<Object>} boxes - Active boxes from the catalogue
+   * @param {Object} [settings] - { dimDivisor, dimMinCubicInches } (config.shipping)
+   * @returns {Object} { packages, totals }
+   */
+  planPackages(items = [], boxes = [], settings = config.shipping) {
+    const units = this._expandUnits(items);
+    if (units.length === 0) {
+      throw new ApiError('Nothing to pack: the order has no items', 400);
+    }
+
+    const chosen = this.chooseBoxes(units.length, boxes);
+    let offset = 0;
+    const packages = chosen.map((box, index) => {
+      const count = box
+        ? Math.min(box.capacity, units.length - offset)
+        : units.length;
+      const packed = units.slice(offset, offset + count);
+      offset += count;
+      return this._buildPackage(index + 1, box, packed, settings);
+    });
+
+    return {
+      packages,
+      totals: {
+        packages: packages.length,
+        units: units.length,
+        weightOz: packages.reduce((sum, pkg) => sum + pkg.weightOz, 0),
+        billableWeightOz: packages.reduce(
+          (sum, pkg) => sum + pkg.billableWeightOz,
+          0
+        ),
+      },
+    };
+  }
+
+  /**
+   * Plan one package the packer has already weighed and measured
+   * @param {Array<Object>} items - Order items
+   * @param {Object} packageDetails - { weightOz, dimensions? }
+   * @param {Object} [settings] - { dimDivisor, dimMinCubicInches }
+   * @returns {Object} { packages, totals }
+   */
+  planSinglePackage(items, packageDetails, settings = config.shipping) {
+    const units = this._expandUnits(items);
+    const pkg = {
+      ...this._buildPackage(1, null, units, settings),
+      dimensions: packageDetails.dimensions || null,
+      weightOz: packageDetails.weightOz,
+      dimensionalWeightOz: this.dimensionalWeightOz(
+        packageDetails.dimensions,
+        settings
+      ),
+    };
+    pkg.billableWeightOz = Math.max(pkg.weightOz, pkg.dimensionalWeightOz);
+
+    return {
+      packages: [pkg],
+      totals: {
+        packages: 1,
+        units: units.length,
+        weightOz: pkg.weightOz,
+        billableWeightOz: pkg.billableWeightOz,
+      },
+    };
+  }
+
+  /**
+   * Boxes for a number of records (a single null entry when there is no
+   * catalogue)
+   * @param {number} unitCount - Records to pack
+   * @param {Array<Object>} boxes - Active boxes with capacity
+   * @returns {Array<Object|null>} One box per package
+   */
+  chooseBoxes(unitCount, boxes = []) {
+    const bySize = [...boxes]
+      .filter((box) => box.capacity > 0)
+      .sort(
+        (a, b) => a.capacity - b.capacity || this._volume(a) - this._volume(b)
+      );
+    if (bySize.length === 0) return [null];
+
+    const largest = bySize[bySize.length - 1];
+    const chosen = [];
+    let remaining = unitCount;
+    while (remaining > largest.capacity) {
+      chosen.push(largest);
+      remaining -= largest.capacity;
+    }
+    chosen.push(bySize.find((box) => box.capacity >= remaining));
+    return chosen;
+  }
+
+  /**
+   * Dimensional weight in ounces: ceil(L x W x H / divisor) pounds, or 0
+   * when the parcel is at or below the carrier's minimum volume
+   * @param {Object} dimensions - { length, width, height } in inches
+   * @param {Object} [settings] - { dimDivisor, dimMinCubicInches }
+   * @returns {number} Dimensional weight (ounces)
+   */
+  dimensionalWeightOz(dimensions, settings = config.shipping) {
+    if (!dimensions) return 0;
+    const cubicInches =
+      Math.ceil(dimensions.length) *
+      Math.ceil(dimensions.width) *
+      Math.ceil(dimensions.height);
+    if (cubicInches <= (settings.dimMinCubicInches || 0)) return 0;
+    return Math.ceil(cubicInches / settings.dimDivisor) * 16;
+  }
+
+  /**
+   * Packing plan for an order using the active box catalogue
+   * @param {string} orderId - Order UUID
+   * @returns {Promise<Object>} Plan with packages and totals
+   */
+  async getPackingPlan(orderId) {
+    try {
+      const order = await prisma.order.findUnique({
+        where: { id: orderId },
+        include: { items: true },
+      });
+
+      if (!order) {
+        throw new ApiError('Order not found', 404);
+      }
+
+      const boxes = await this.getActiveBoxes();
+      return {
+        orderId,
+        orderNumber: order.orderNumber,
+        ...this.planPackages(order.items, boxes),
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error planning packages', {
+        orderId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to plan packages', 500);
+    }
+  }
+
+  // ============================================================================
+  // BOX CATALOGUE
+  // ============================================================================
+
+  /**
+   * Active boxes, smallest first
+   * @returns {Promise<Array<Object>>} Boxes
+   */
+  async getActiveBoxes() {
+    return prisma.shippingBox.findMany({
+      where: { isActive: true },
+      orderBy: { capacity: 'asc' },
+    });
+  }
+
+  /**
+   * List boxes in the catalogue, smallest first
+   * @param {Object} filters - { isActive }
+   * @returns {Promise<Array<Object>>} Boxes
+   */
+  async listBoxes(filters = {}) {
+    try {
+      const where = {};
+      if (filters.isActive !== undefined) where.isActive = filters.isActive;
+
+      return await prisma.shippingBox.findMany({
+        where,
+        orderBy: [{ capacity: 'asc' }, { name: 'asc' }],
+      });
+    } catch (error) {
+      logger.error('Error listing shipping boxes', { error: error.message });
+      throw new ApiError('Failed to list shipping boxes', 500);
+    }
+  }
+
+  /**
+   * Add a box to the catalogue
+   * @param {Object} data - { name, capacity, lengthIn, widthIn, heightIn, emptyWeightOz, isActive? }
+   * @returns {Promise<Object>} Created box
+   */
+  async createBox(data) {
+    try {
+      const box = await prisma.shippingBox.create({
+        data: this._normalizeBox(data),
+      });
+
+      logger.info('Shipping box created', {
+        boxId: box.id,
+        name: box.name,
+        capacity: box.capacity,
+      });
+      return box;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      if (error.code === 'P2002') {
+        throw new ApiError(`A box named "${data.name}" already exists`, 409);
+      }
+      logger.error('Error creating shipping box', { error: error.message });
+      throw new ApiError('Failed to create shipping box', 500);
+    }
+  }
+
+  /**
+   * Update a box; packages already planned keep their box name and size
+   * @param {string} boxId - Box UUID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} Updated box
+   */
+  async updateBox(boxId, updates) {
+    try {
+      const box = await prisma.shippingBox.update({
+        where: { id: boxId },
+        data: this._normalizeBox(updates, { partial: true }),
+      });
+
+      logger.info('Shipping box updated', { boxId });
+      return box;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      if (error.code === 'P2025') {
+        throw new ApiError('Shipping box not found', 404);
+      }
+      if (error.code === 'P2002') {
+        throw new ApiError(`A box named "${updates.name}" already exists`, 409);
+      }
+      logger.error('Error updating shipping box', {
+        boxId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to update shipping box', 500);
+    }
+  }
+
+  /**
+   * Remove a box from the catalogue (packages keep its name and size)
+   * @param {string} boxId - Box UUID
+   * @returns {Promise<Object>} Deleted box
+   */
+  async deleteBox(boxId) {
+    try {
+      const box = await prisma.shippingBox.delete({ where: { id: boxId } });
+
+      logger.info('Shipping box deleted', { boxId });
+      return box;
+    } catch (error) {
+      if (error.code === 'P2025') {
+        throw new ApiError('Shipping box not found', 404);
+      }
+      logger.error('Error deleting shipping box', {
+        boxId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to delete shipping box', 500);
+    }
+  }
+
+  /**
+   * One entry per record, remembering the order item it belongs to
+   * @private
+   */
+  _expandUnits(items) {
+    return (items || []).flatMap((item) =>
+      new Array(item.quantity || 1).fill(item)
+    );
+  }
+
+  /**
+   * Package plan for the records in one box
+   * @private
+   */
+  _buildPackage(packageNumber, box, units, settings) {
+    const lines = new Map();
+    for (const item of units) {
+      const line = lines.get(item.id) || {
+        orderItemId: item.id,
+        title: item.releaseTitle,
+        quantity: 0,
+      };
+      line.quantity += 1;
+      lines.set(item.id, line);
+    }
+
+    let dimensions = null;
+    let packagingOz = DEFAULT_PACKAGING_OZ;
+    if (box) {
+      dimensions = {
+        length: parseFloat(box.lengthIn),
+        width: parseFloat(box.widthIn),
+        height: parseFloat(box.heightIn),
+      };
+      packagingOz = box.emptyWeightOz;
+    }
+    const weightOz = units.length * RECORD_WEIGHT_OZ + packagingOz;
+    const dimensionalWeightOz = this.dimensionalWeightOz(dimensions, settings);
+
+    return {
+      packageNumber,
+      boxId: box?.id || null,
+      boxName: box?.name || null,
+      units: units.length,
+      items: [...lines.values()],
+      dimensions,
+      weightOz,
+      dimensionalWeightOz,
+      billableWeightOz: Math.max(weightOz, dimensionalWeightOz),
+    };
+  }
+
+  /**
+   * Validate box fields
+   * @private
+   */
+  _normalizeBox(data, { partial = false } = {}) {
+    const box = {};
+
+    if (data.name !== undefined || !partial) {
+      if (!data.name || typeof data.name !== 'string') {
+        throw new ApiError('name is required', 400);
+      }
+      box.name = data.name.trim();
+    }
+
+    if (data.capacity !== undefined || !partial) {
+      const capacity = Number(data.capacity);
+      if (!Number.isInteger(capacity) || capacity < 1) {
+        throw new ApiError('capacity must be a whole number of records', 400);
+      }
+      box.capacity = capacity;
+    }
+
+    for (const field of ['lengthIn', 'widthIn', 'heightIn']) {
+      if (data[field] === undefined && partial) continue;
+      const value = Number(data[field]);
+      if (!(value > 0)) {
+        throw new ApiError(`${field} must be a positive number`, 400);
+      }
+      box[field] = value.toString();
+    }
+
+    if (data.emptyWeightOz !== undefined || !partial) {
+      const weight = Number(data.emptyWeightOz);
+      if (!Number.isInteger(weight) || weight < 0) {
+        throw new ApiError('emptyWeightOz must be a whole number', 400);
+      }
+      box.emptyWeightOz = weight;
+    }
+
+    if (data.isActive !== undefined) box.isActive = data.isActive !== false;
+
+    return box;
+  }
+
+  /**
+   * Box volume in cubic inches
+   * @private
+   */
+  _volume(box) {
+    return (
+      parseFloat(box.lengthIn) *
+      parseFloat(box.widthIn) *
+      parseFloat(box.heightIn)
+    );
+  }
+}
+
+export default new PackingService();
@@ -2,6 +2,24 @@ import Stripe from 'stripe';
 import prisma from '../utils/db.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import logger from '../../config/logger.js';
+import buyerService from './buyerService.js';
+import inventoryService from './inventoryService.js';
+
+/**
+ * Order statuses that can be refunded (payment has been captured)
+ */
+const REFUNDABLE_STATUSES = [
+  'PAYMENT_CONFIRMED',
+  'PROCESSING',
+  'SHIPPED',
+  'DELIVERED',
+];
+
+/**
+ * Order statuses where records have left the building; refunded lots are
+ * marked RETURNED instead of going straight back on sale
+ */
+const SHIPPED_STATUSES = ['SHIPPED', 'DELIVERED'];
 
 /**
  * Payment Service
@@ -45,6 +63,17 @@ class PaymentService {
           status: 'succeeded',
         }),
       },
+      refunds: {
+        create: async (params) => ({
+          id: `re_test_${Math.random().toString(36).substr(2, 24)}`,
+          amount: params.amount,
+          currency: 'usd',
+          payment_intent: params.payment_intent,
+          reason: params.reason,
+          status: 'succeeded',
+          metadata: params.metadata || {},
+        }),
+      },
     };
   }
 
@@ -317,6 +346,7 @@ class PaymentService {
         paymentIntent.last_payment_error?.message || 'Payment declined';
 
       // Update order to PAYMENT_FAILED and release inventory reservations
+      let relistedLotIds = [];
       const updatedOrder = await prisma.$transaction(async (tx) => {
         const updated = await tx.order.update({
           where: { id: orderId },
@@ -339,17 +369,10 @@ class PaymentService {
 
         // Release all inventory reservations for this order
         if (updated.items && updated.items.length > 0) {
-          await tx.inventoryLot.updateMany({
-            where: {
-              orderId,
-              status: 'RESERVED',
-            },
-            data: {
-              status: 'LIVE',
-              orderId: null,
-              reservedAt: null,
-            },
-          });
+          relistedLotIds = await this._releaseOrderReservations(
+            tx,
+            updated.items
+          );
         }
 
         return updated;
@@ -361,6 +384,8 @@ class PaymentService {
         failureReason,
       });
 
+      await this._alertRelistedLots(relistedLotIds);
+
       return updatedOrder;
     } catch (error) {
       if (error instanceof ApiError) throw error;
@@ -420,6 +445,10 @@ class PaymentService {
           result = await this.handlePaymentFailed(event.data.object);
           break;
 
+        case 'charge.refunded':
+          result = await this.handleChargeRefunded(event.data.object);
+          break;
+
         default:
           logger.debug('Unhandled webhook event type', {
             eventType: event.type,
@@ -514,6 +543,545 @@ class PaymentService {
       throw new ApiError('Failed to cancel payment intent', 500);
     }
   }
+
+  // ============================================================================
+  // REFUNDS
+  // ============================================================================
+
+  /**
+   * Issue a full or per-item partial refund through Stripe
+   * Refunded items are linked to the refund record and their lots return to
+   * LIVE (not yet shipped) or RETURNED (shipped/delivered). The order moves to
+   * REFUNDED once nothing is left to refund.
+   * @param {string} orderId - Order ID
+   * @param {Object} options - Refund options
+   * @param {Array<string>} options.orderItemIds - Order items to refund (omit for full refund)
+   * @param {string} options.reason - Reason recorded on the refund and audit trail
+   * @param {string} adminId - Admin user ID issuing the refund
+   * @returns {Promise<Object>} Refund record with updated order status
+   */
+  async createRefund(orderId, options = {}, adminId = null) {
+    try {
+      const { orderItemIds, reason = 'Refund requested' } = options;
+
+      if (orderItemIds !== undefined && !Array.isArray(orderItemIds)) {
+        throw new ApiError('orderItemIds must be an array', 400);
+      }
+
+      const order = await prisma.order.findUnique({
+        where: { id: orderId },
+        include: { items: true, refunds: true },
+      });
+
+      if (!order) {
+        throw new ApiError('Order not found', 404);
+      }
+
+      if (!REFUNDABLE_STATUSES.includes(order.status)) {
+        throw new ApiError(
+          `Cannot refund order in ${order.status} status`,
+          400
+        );
+      }
+
+      if (!order.stripePaymentIntentId) {
+        throw new ApiError('Order has no captured payment to refund', 400);
+      }
+
+      const unrefundedItems = order.items.filter((item) => !item.refundedAt);
+      let itemsToRefund = unrefundedItems;
+
+      if (orderItemIds && orderItemIds.length > 0) {
+        const itemsById = new Map(order.items.map((item) => [item.id, item]));
+        itemsToRefund = [];
+
+        for (const itemId of new Set(orderItemIds)) {
+          const item = itemsById.get(itemId);
+          if (!item) {
+            throw new ApiError(`Order item ${itemId} not found in order`, 404);
+          }
+          if (item.refundedAt) {
+            throw new ApiError(`Order item ${itemId} is already refunded`, 409);
+          }
+          itemsToRefund.push(item);
+        }
+      }
+
+      const alreadyRefunded = this._sumRefunds(order.refunds);
+      const { amount, isFullRefund } = this.calculateRefundAmount(
+        order,
+        itemsToRefund,
+        unrefundedItems.length,
+        alreadyRefunded
+      );
+
+      if (amount <= 0) {
+        throw new ApiError('Nothing left to refund on this order', 400);
+      }
+
+      const itemIds = itemsToRefund.map((item) => item.id).sort();
+      let stripeRefund;
+      try {
+        stripeRefund = await this.stripe.refunds.create(
+          {
+            payment_intent: order.stripePaymentIntentId,
+            amount: Math.round(amount * 100),
+            reason: 'requested_by_customer',
+            metadata: {
+              orderId,
+              orderItemIds: itemIds.join(','),
+            },
+          },
+          {
+            // Same request retried (double click, network retry) -> same refund
+            idempotencyKey: `refund-${orderId}-${Math.round(alreadyRefunded * 100)}-${itemIds.join(',')}`,
+          }
+        );
+      } catch (error) {
+        logger.error('Stripe refund failed', {
+          orderId,
+          amount,
+          error: error.message,
+        });
+        throw new ApiError(`Stripe refund failed: ${error.message}`, 502);
+      }
+
+      let relistedLotIds = [];
+      const refund = await prisma.$transaction(async (tx) => {
+        // Upsert: the charge.refunded webhook may have recorded it already
+        const created = await tx.orderRefund.upsert({
+          where: { stripeRefundId: stripeRefund.id },
+          create: {
+            orderId,
+            stripeRefundId: stripeRefund.id,
+            amount,
+            status: stripeRefund.status,
+            reason,
+            isFullRefund,
+            createdBy: adminId,
+          },
+          update: { reason, isFullRefund, createdBy: adminId },
+        });
+
+        relistedLotIds = await this._refundOrderItems(
+          tx,
+          order,
+          itemsToRefund,
+          created.id
+        );
+
+        await this._recordRefundAudit(tx, order, {
+          amount,
+          isFullRefund,
+          reason,
+          stripeRefundId: stripeRefund.id,
+          changedBy: adminId,
+        });
+
+        return created;
+      });
+
+      logger.info('Order refund issued', {
+        orderId,
+        refundId: refund.id,
+        stripeRefundId: stripeRefund.id,
+        amount,
+        itemCount: itemsToRefund.length,
+        isFullRefund,
+      });
+
+      await this._alertRelistedLots(relistedLotIds);
+
+      return {
+        ...refund,
+        amount: Number(refund.amount),
+        orderItemIds: itemIds,
+        orderStatus: isFullRefund ? 'REFUNDED' : order.status,
+        totalRefunded: parseFloat((alreadyRefunded + amount).toFixed(2)),
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error creating refund', {
+        orderId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to create refund', 500);
+    }
+  }
+
+  /**
+   * List refunds for an order
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Refunds and total refunded amount
+   */
+  async getRefunds(orderId) {
+    try {
+      const order = await prisma.order.findUnique({
+        where: { id: orderId },
+        select: { id: true, total: true },
+      });
+
+      if (!order) {
+        throw new ApiError('Order not found', 404);
+      }
+
+      const refunds = await prisma.orderRefund.findMany({
+        where: { orderId },
+        include: { items: { select: { id: true, inventoryLotId: true } } },
+        orderBy: { createdAt: 'desc' },
+      });
+
+      return {
+        orderId,
+        orderTotal: Number(order.total),
+        totalRefunded: this._sumRefunds(refunds),
+        refunds: refunds.map((refund) => ({
+          ...refund,
+          amount: Number(refund.amount),
+        })),
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error getting refunds', {
+        orderId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to get refunds', 500);
+    }
+  }
+
+  /**
+   * Handle charge.refunded webhook event
+   * Records refunds issued outside this API (e.g. Stripe dashboard) and
+   * settles the order once Stripe reports the charge as fully refunded.
+   * Refunds created through createRefund are already recorded and skipped.
+   * @param {Object} charge - Stripe charge object
+   * @returns {Promise<Object>} Order refund state
+   */
+  async handleChargeRefunded(charge) {
+    try {
+      if (!charge || !charge.payment_intent) {
+        throw new ApiError('Invalid charge object', 400);
+      }
+
+      const paymentIntentId =
+        typeof charge.payment_intent === 'string'
+          ? charge.payment_intent
+          : charge.payment_intent.id;
+
+      const order = await prisma.order.findFirst({
+        where: { stripePaymentIntentId: paymentIntentId },
+        include: { items: true, refunds: true },
+      });
+
+      if (!order) {
+        logger.warn('Order not found for charge.refunded webhook', {
+          chargeId: charge.id,
+          paymentIntentId,
+        });
+        throw new ApiError('Order not found', 404);
+      }
+
+      const knownRefundIds = new Set(
+        order.refunds.map((refund) => refund.stripeRefundId)
+      );
+      const newRefunds = (charge.refunds?.data || []).filter(
+        (refund) => !knownRefundIds.has(refund.id)
+      );
+      const settleOrder =
+        charge.refunded === true && order.status !== 'REFUNDED';
+
+      if (newRefunds.length === 0 && !settleOrder) {
+        logger.info('charge.refunded already processed', {
+          orderId: order.id,
+          chargeId: charge.id,
+        });
+        return { orderId: order.id, status: order.status, recorded: 0 };
+      }
+
+      let relistedLotIds = [];
+      await prisma.$transaction(async (tx) => {
+        let lastRefundId = null;
+
+        for (const stripeRefund of newRefunds) {
+          const amount = stripeRefund.amount / 100;
+          const created = await tx.orderRefund.create({
+            data: {
+              orderId: order.id,
+              stripeRefundId: stripeRefund.id,
+              amount,
+              status: stripeRefund.status,
+              reason: stripeRefund.reason || 'Refunded in Stripe',
+              isFullRefund: false,
+            },
+          });
+          lastRefundId = created.id;
+
+          if (!settleOrder) {
+            await this._recordRefundAudit(tx, order, {
+              amount,
+              isFullRefund: false,
+              reason: 'Refunded in Stripe',
+              stripeRefundId: stripeRefund.id,
+            });
+          }
+        }
+
+        if (settleOrder) {
+          const unrefundedItems = order.items.filter(
+            (item) => !item.refundedAt
+          );
+          if (lastRefundId) {
+            await tx.orderRefund.update({
+              where: { id: lastRefundId },
+              data: { isFullRefund: true },
+            });
+          }
+          relistedLotIds = await this._refundOrderItems(
+            tx,
+            order,
+            unrefundedItems,
+            lastRefundId
+          );
+          await this._recordRefundAudit(tx, order, {
+            amount: charge.amount_refunded / 100,
+            isFullRefund: true,
+            reason: 'Charge fully refunded in Stripe',
+            stripeRefundId: charge.id,
+          });
+        }
+      });
+
+      logger.info('charge.refunded processed', {
+        orderId: order.id,
+        chargeId: charge.id,
+        recorded: newRefunds.length,
+        fullyRefunded: settleOrder,
+      });
+
+      await this._alertRelistedLots(relistedLotIds);
+
+      return {
+        orderId: order.id,
+        status: settleOrder ? 'REFUNDED' : order.status,
+        recorded: newRefunds.length,
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error handling charge refunded webhook', {
+        chargeId: charge?.id,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate the amount to refund for a set of order items
+   * Items are refunded at purchase price, less any promo discount, plus
+   * their share of tax. When the refund covers every remaining item, the
+   * remaining balance (including shipping) is refunded and the refund
+   * counts as full.
+   * @param {Object} order - Order with subtotal, tax and total
+   * @param {Array} items - Order items being refunded
+   * @param {number} unrefundedCount - Items on the order not yet refunded
+   * @param {number} alreadyRefunded - Amount already refunded on the order
+   * @returns {Object} {amount, isFullRefund}
+   */
+  calculateRefundAmount(order, items, unrefundedCount, alreadyRefunded = 0) {
+    const remaining = Math.max(Number(order.total) - alreadyRefunded, 0);
+
+    if (items.length === 0 || items.length >= unrefundedCount) {
+      return {
+        amount: parseFloat(remaining.toFixed(2)),
+        isFullRefund: true,
+      };
+    }
+
+    // Promo discounts were taken off the items, so refund what was paid
+    const subtotal =
+      Number(order.subtotal) - (order.discountBreakdown?.itemDiscount || 0);
+    const itemsSubtotal = items.reduce(
+      (sum, item) =>
+        sum +
+        Number(item.priceAtPurchase) * (item.quantity || 1) -
+        Number(item.discountAmount || 0),
+      0
+    );
+    const taxShare =
+      subtotal > 0 ? (Number(order.tax) * itemsSubtotal) / subtotal : 0;
+
+    return {
+      amount: parseFloat(
+        Math.min(itemsSubtotal + taxShare, remaining).toFixed(2)
+      ),
+      isFullRefund: false,
+    };
+  }
+
+  /**
+   * Mark order items refunded and return their lots to stock
+   * Only items still unrefunded are claimed, so an admin refund and the
+   * charge.refunded webhook for it can't both restock the same units.
+   * Unshipped units go back on their lot (or out of its reserved units when
+   * checkout never completed); once shipped, a lot with no units left waits
+   * as RETURNED for the records to come back.
+   * @returns {Promise<string[]>} Lots put back on sale
+   * @private
+   */
+  async _refundOrderItems(tx, order, items, refundId) {
+    if (items.length === 0) return [];
+
+    const now = new Date();
+    const itemIds = items.map((item) => item.id);
+
+    await tx.orderItem.updateMany({
+      where: { id: { in: itemIds }, refundedAt: null },
+      data: { refundId, refundedAt: now },
+    });
+    const claimed = await tx.orderItem.findMany({
+      where: { id: { in: itemIds }, refundId, refundedAt: now },
+    });
+    if (claimed.length === 0) return [];
+
+    if (SHIPPED_STATUSES.includes(order.status)) {
+      await tx.inventoryLot.updateMany({
+        where: {
+          id: { in: claimed.map((item) => item.inventoryLotId) },
+          quantity: 0,
+        },
+        data: { status: 'RETURNED' },
+      });
+      return [];
+    }
+
+    const relisted = [];
+    for (const item of claimed) {
+      await tx.$queryRaw`
+        SELECT id FROM inventory_lots WHERE id = ${item.inventoryLotId}::uuid FOR UPDATE
+      `;
+      const lot = await tx.inventoryLot.findUnique({
+        where: { id: item.inventoryLotId },
+      });
+
+      const data = {};
+      let { quantity, reservedQuantity } = lot;
+      if (item.soldAt) {
+        quantity += item.quantity;
+        data.quantity = quantity;
+        data.soldAt = null;
+      } else {
+        // Checkout never sold these units; they are still reserved for it
+        reservedQuantity = Math.max(reservedQuantity - item.quantity, 0);
+        data.reservedQuantity = reservedQuantity;
+      }
+      if (['LIVE', 'RESERVED', 'SOLD'].includes(lot.status)) {
+        data.status = inventoryService.statusForQuantity(
+          quantity,
+          reservedQuantity
+        );
+      }
+      if (reservedQuantity === 0) {
+        data.orderId = null;
+        data.reservedAt = null;
+      }
+
+      await tx.inventoryLot.update({ where: { id: lot.id }, data });
+      if (data.status === 'LIVE' && lot.status !== 'LIVE') {
+        relisted.push(lot.id);
+      }
+    }
+    return relisted;
+  }
+
+  /**
+   * Return the units an order reserved at checkout to their lots
+   * @returns {Promise<string[]>} Lots put back on sale
+   * @private
+   */
+  async _releaseOrderReservations(tx, items) {
+    const relisted = [];
+    for (const item of items) {
+      const previous = await tx.inventoryLot.findUnique({
+        where: { id: item.inventoryLotId },
+        select: { status: true },
+      });
+      const released = await tx.inventoryLot.updateMany({
+        where: {
+          id: item.inventoryLotId,
+          reservedQuantity: { gte: item.quantity },
+        },
+        data: {
+          status: 'LIVE',
+          reservedQuantity: { decrement: item.quantity },
+        },
+      });
+
+      if (released.count > 0) {
+        if (previous?.status !== 'LIVE') relisted.push(item.inventoryLotId);
+        await tx.inventoryLot.updateMany({
+          where: { id: item.inventoryLotId, reservedQuantity: 0 },
+          data: { orderId: null, reservedAt: null },
+        });
+      }
+    }
+    return relisted;
+  }
+
+  /**
+   * Send wishlist back-in-stock alerts for lots put back on sale, once the
+   * transaction that relisted them has committed (alerts never fail it)
+   * @private
+   */
+  async _alertRelistedLots(lotIds) {
+    for (const lotId of new Set(lotIds)) {
+      await buyerService.handleWishlistNewListing(lotId);
+    }
+  }
+
+  /**
+   * Write the order audit entry for a refund, moving the order to REFUNDED
+   * when the refund is full
+   * @private
+   */
+  async _recordRefundAudit(tx, order, refund) {
+    const { amount, isFullRefund, reason, stripeRefundId, changedBy } = refund;
+    const label = isFullRefund ? 'Full refund' : 'Partial refund';
+    const toStatus = isFullRefund ? 'REFUNDED' : order.status;
+
+    if (isFullRefund) {
+      await tx.order.update({
+        where: { id: order.id },
+        data: { status: 'REFUNDED', stripePaymentStatus: 'refunded' },
+      });
+    }
+
+    await tx.orderAudit.create({
+      data: {
+        orderId: order.id,
+        fromStatus: order.status,
+        toStatus,
+        changeReason:
+          `${label} $${Number(amount).toFixed(2)} (${stripeRefundId}): ${reason}`.slice(
+            0,
+            255
+          ),
+        changedBy: changedBy || null,
+      },
+    });
+  }
+
+  /**
+   * Sum refund amounts, ignoring failed or cancelled refunds
+   * @private
+   */
+  _sumRefunds(refunds = []) {
+    const total = refunds
+      .filter((refund) => !['failed', 'canceled'].includes(refund.status))
+      .reduce((sum, refund) => sum + Number(refund.amount), 0);
+
+    return parseFloat(total.toFixed(2));
+  }
 }
 
 export default new PaymentService();
@@ -0,0 +1,814 @@
+import prisma from '../utils/db.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import logger from '../../config/logger.js';
+import { toCsv } from '../utils/csv.js';
+import sellerService, { PAYOUT_METHODS } from './sellerService.js';
+
+/**
+ * Columns in the accounting CSV export, one row per seller payout
+ */
+const EXPORT_COLUMNS = [
+  'batch_number',
+  'batch_status',
+  'method',
+  'seller_id',
+  'seller_email',
+  'seller_name',
+  'amount',
+  'item_count',
+  'payout_details',
+  'reference',
+  'approved_at',
+  'paid_at',
+];
+
+const UUID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Payout Service
+ * Ledger of what we owe sellers. Every accepted submission item becomes a
+ * payable (OPEN); admins group open payables into a payout batch for one
+ * payout method, approve it, then mark it paid (payables become PAID) or
+ * cancel it (payables go back to OPEN). Batch status changes are audited.
+ */
+class PayoutService {
+  // Valid state transitions for payout batches
+  VALID_TRANSITIONS = {
+    DRAFT: ['APPROVED', 'CANCELLED'],
+    APPROVED: ['PAID', 'FAILED', 'CANCELLED'],
+    FAILED: ['APPROVED', 'CANCELLED'],
+    PAID: [],
+    CANCELLED: [],
+  };
+
+  // ============================================================================
+  // PAYABLES
+  // ============================================================================
+
+  /**
+   * Record (or refresh) the payable for an accepted submission item
+   * Submissions that predate seller records are linked to a seller first.
+   * Payables already batched or paid are left untouched.
+   * @param {string} submissionItemId - Submission item ID
+   * @returns {Promise<Object|null>} Payable, or null if the item is not accepted
+   */
+  async recordPayable(submissionItemId) {
+    try {
+      const item = await prisma.submissionItem.findUnique({
+        where: { id: submissionItemId },
+        include: { submission: true, payable: true },
+      });
+
+      if (!item) {
+        throw new ApiError('Submission item not found', 404);
+      }
+
+      if (!['ACCEPTED', 'CONVERTED_TO_INVENTORY'].includes(item.status)) {
+        return null;
+      }
+
+      const amount = Number(item.finalOfferPrice ?? item.autoOfferPrice);
+
+      if (item.payable) {
+        if (['BATCHED', 'PAID'].includes(item.payable.status)) {
+          logger.warn('Payable already in a payout, not updated', {
+            submissionItemId,
+            payableId: item.payable.id,
+            status: item.payable.status,
+          });
+          return item.payable;
+        }
+
+        return await prisma.sellerPayable.update({
+          where: { id: item.payable.id },
+          data: { amount, status: 'OPEN' },
+        });
+      }
+
+      const sellerId = await this._resolveSellerId(item.submission);
+
+      const payable = await prisma.sellerPayable.create({
+        data: {
+          sellerId,
+          submissionId: item.submissionId,
+          submissionItemId,
+          amount,
+        },
+      });
+
+      logger.info('Seller payable recorded', {
+        payableId: payable.id,
+        sellerId,
+        submissionItemId,
+        amount,
+      });
+
+      return payable;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error recording seller payable', {
+        submissionItemId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to record seller payable', 500);
+    }
+  }
+
+  /**
+   * Void the open payable for a submission item that is no longer accepted
+   * @param {string} submissionItemId - Submission item ID
+   * @returns {Promise<Object|null>} Voided payable, or null if none was open
+   */
+  async voidPayable(submissionItemId) {
+    try {
+      const payable = await prisma.sellerPayable.findUnique({
+        where: { submissionItemId },
+      });
+
+      if (!payable || payable.status === 'VOID') {
+        return null;
+      }
+
+      if (payable.status !== 'OPEN') {
+        logger.warn('Cannot void payable already in a payout', {
+          submissionItemId,
+          payableId: payable.id,
+          status: payable.status,
+        });
+        return null;
+      }
+
+      return await prisma.sellerPayable.update({
+        where: { id: payable.id },
+        data: { status: 'VOID' },
+      });
+    } catch (error) {
+      logger.error('Error voiding seller payable', {
+        submissionItemId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to void seller payable', 500);
+    }
+  }
+
+  /**
+   * Reopen historical payables that are still owed
+   * Items accepted before the payout ledger existed were backfilled as PAID
+   * with no payout; this moves the listed ones back to OPEN so they can be
+   * batched. Payables paid through a batch are never reopened.
+   * @param {Array<string>} submissionItemIds - Submission item IDs
+   * @param {string} adminId - Admin reopening them
+   * @returns {Promise<Object>} { reopened, skipped }
+   */
+  async reopenHistoricalPayables(submissionItemIds, adminId) {
+    try {
+      if (!Array.isArray(submissionItemIds) || submissionItemIds.length === 0) {
+        throw new ApiError('submissionItemIds must be a non-empty array', 400);
+      }
+
+      if (submissionItemIds.length > 500) {
+        throw new ApiError('Cannot reopen more than 500 payables at once', 400);
+      }
+
+      const { count } = await prisma.sellerPayable.updateMany({
+        where: {
+          submissionItemId: {
+            in: submissionItemIds.filter((id) => UUID_PATTERN.test(id)),
+          },
+          status: 'PAID',
+          payoutId: null,
+        },
+        data: { status: 'OPEN' },
+      });
+
+      logger.info('Historical payables reopened', {
+        requested: submissionItemIds.length,
+        reopened: count,
+        adminId,
+      });
+
+      return {
+        reopened: count,
+        skipped: submissionItemIds.length - count,
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error reopening historical payables', {
+        error: error.message,
+      });
+      throw new ApiError('Failed to reopen payables', 500);
+    }
+  }
+
+  /**
+   * Payable balances per seller
+   * @param {Object} filters - Filter options
+   * @param {string} filters.payoutMethod - Only sellers preferring this method
+   * @param {boolean} filters.owedOnly - Only sellers with an open balance
+   * @param {number} filters.page - Page number
+   * @param {number} filters.limit - Results per page
+   * @returns {Promise<Object>} Balances (largest open balance first) and totals
+   */
+  async getBalances(filters = {}) {
+    try {
+      const { payoutMethod, owedOnly = false } = filters;
+      const page = Math.max(1, Number(filters.page) || 1);
+      const limit = Math.min(100, Math.max(1, Number(filters.limit) || 50));
+
+      const groups = await prisma.sellerPayable.groupBy({
+        by: ['sellerId', 'status'],
+        where: { status: { not: 'VOID' } },
+        _sum: { amount: true },
+        _count: { _all: true },
+      });
+
+      const bySeller = new Map();
+      for (const group of groups) {
+        const balance = bySeller.get(group.sellerId) || {
+          sellerId: group.sellerId,
+          openAmount: 0,
+          openItems: 0,
+          batchedAmount: 0,
+          paidAmount: 0,
+        };
+        const amount = Number(group._sum.amount || 0);
+        if (group.status === 'OPEN') {
+          balance.openAmount = round2(balance.openAmount + amount);
+          balance.openItems += group._count._all;
+        } else if (group.status === 'BATCHED') {
+          balance.batchedAmount = round2(balance.batchedAmount + amount);
+        } else {
+          balance.paidAmount = round2(balance.paidAmount + amount);
+        }
+        bySeller.set(group.sellerId, balance);
+      }
+
+      const sellers = await prisma.seller.findMany({
+        where: {
+          id: { in: [...bySeller.keys()] },
+          ...(payoutMethod && { payoutMethod }),
+        },
+        select: { id: true, email: true, name: true, payoutMethod: true },
+      });
+
+      const balances = sellers
+        .map((seller) => ({
+          ...bySeller.get(seller.id),
+          email: seller.email,
+          name: seller.name,
+          payoutMethod: seller.payoutMethod,
+        }))
+        .filter((balance) => !owedOnly || balance.openAmount > 0)
+        .sort((a, b) => b.openAmount - a.openAmount);
+
+      const total = balances.length;
+
+      return {
+        balances: balances.slice((page - 1) * limit, page * limit),
+        totals: {
+          openAmount: round2(balances.reduce((s, b) => s + b.openAmount, 0)),
+          batchedAmount: round2(
+            balances.reduce((s, b) => s + b.batchedAmount, 0)
+          ),
+          paidAmount: round2(balances.reduce((s, b) => s + b.paidAmount, 0)),
+        },
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error getting payable balances', { error: error.message });
+      throw new ApiError('Failed to get payable balances', 500);
+    }
+  }
+
+  /**
+   * Balance and payout history for one seller (seller portal)
+   * @param {string} sellerId - Seller ID
+   * @returns {Promise<Object>} Balance summary and payouts, newest first
+   */
+  async getSellerPayoutSummary(sellerId) {
+    try {
+      const [groups, payouts] = await Promise.all([
+        prisma.sellerPayable.groupBy({
+          by: ['status'],
+          where: { sellerId },
+          _sum: { amount: true },
+          _count: { _all: true },
+        }),
+        prisma.sellerPayout.findMany({
+          where: { sellerId },
+          orderBy: { createdAt: 'desc' },
+          include: {
+            batch: true,
+            _count: { select: { payables: true } },
+          },
+        }),
+      ]);
+
+      const sumFor = (status) =>
+        Number(groups.find((g) => g.status === status)?._sum.amount || 0);
+
+      return {
+        sellerId,
+        balance: {
+          owed: round2(sumFor('OPEN')),
+          inPayout: round2(sumFor('BATCHED')),
+          paid: round2(sumFor('PAID')),
+          openItems: groups.find((g) => g.status === 'OPEN')?._count._all || 0,
+        },
+        payouts: payouts
+          .filter((payout) => payout.batch.status !== 'CANCELLED')
+          .map((payout) => ({
+            id: payout.id,
+            batchNumber: payout.batch.batchNumber,
+            method: payout.batch.method,
+            status: payout.batch.status,
+            amount: Number(payout.amount),
+            itemCount: payout._count.payables,
+            reference: payout.reference,
+            createdAt: payout.createdAt,
+            paidAt: payout.batch.paidAt,
+          })),
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error getting seller payouts', {
+        sellerId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to get seller payouts', 500);
+    }
+  }
+
+  // ============================================================================
+  // PAYOUT BATCHES
+  // ============================================================================
+
+  /**
+   * Create a payout batch from open payables
+   * Without sellerIds, every seller whose preferred payout method matches
+   * is included; sellerIds picks sellers explicitly, whatever their
+   * preference. Sellers owed less than minAmount are skipped.
+   * @param {Object} data - Batch options
+   * @param {string} data.method - Payout method (PAYPAL, CHECK, ...)
+   * @param {Array<string>} data.sellerIds - Sellers to pay (optional)
+   * @param {number} data.minAmount - Minimum open balance to include (optional)
+   * @param {string} data.notes - Notes (optional)
+   * @param {string} adminId - Admin creating the batch
+   * @returns {Promise<Object>} Created batch with payouts
+   */
+  async createBatch(data, adminId) {
+    try {
+      const { method, sellerIds, notes } = data;
+      const minAmount = Number(data.minAmount || 0);
+
+      if (!PAYOUT_METHODS.includes(method)) {
+        throw new ApiError(
+          `method must be one of: ${PAYOUT_METHODS.join(', ')}`,
+          400
+        );
+      }
+
+      if (sellerIds !== undefined && !Array.isArray(sellerIds)) {
+        throw new ApiError('sellerIds must be an array', 400);
+      }
+
+      if (!Number.isFinite(minAmount) || minAmount < 0) {
+        throw new ApiError('minAmount must be a non-negative number', 400);
+      }
+
+      const sellerFilter = sellerIds?.length
+        ? { id: { in: sellerIds } }
+        : { payoutMethod: method };
+
+      const payables = await prisma.sellerPayable.findMany({
+        where: { status: 'OPEN', seller: sellerFilter },
+        include: {
+          seller: {
+            select: { id: true, payoutMethod: true, payoutDetails: true },
+          },
+        },
+      });
+
+      const bySeller = new Map();
+      for (const payable of payables) {
+        const entry = bySeller.get(payable.sellerId) || {
+          seller: payable.seller,
+          payableIds: [],
+          amount: 0,
+        };
+        entry.payableIds.push(payable.id);
+        entry.amount = round2(entry.amount + Number(payable.amount));
+        bySeller.set(payable.sellerId, entry);
+      }
+
+      const entries = [...bySeller.values()].filter(
+        (entry) => entry.amount > 0 && entry.amount >= minAmount
+      );
+
+      if (entries.length === 0) {
+        throw new ApiError('No open payables to include in a batch', 400);
+      }
+
+      const totalAmount = round2(entries.reduce((s, e) => s + e.amount, 0));
+
+      const batch = await prisma.$transaction(async (tx) => {
+        const created = await tx.payoutBatch.create({
+          data: {
+            batchNumber: this.generateBatchNumber(),
+            method,
+            totalAmount,
+            notes: notes || null,
+            createdBy: adminId || null,
+          },
+        });
+
+        for (const entry of entries) {
+          // Only the preferred method's details apply to this payout
+          const details =
+            entry.seller.payoutMethod === method
+              ? entry.seller.payoutDetails
+              : null;
+
+          const payout = await tx.sellerPayout.create({
+            data: {
+              batchId: created.id,
+              sellerId: entry.seller.id,
+              amount: entry.amount,
+              payoutDetails: details ?? undefined,
+            },
+          });
+
+          const { count } = await tx.sellerPayable.updateMany({
+            where: { id: { in: entry.payableIds }, status: 'OPEN' },
+            data: { status: 'BATCHED', payoutId: payout.id },
+          });
+
+          if (count !== entry.payableIds.length) {
+            throw new ApiError(
+              'Payables changed while creating the batch, try again',
+              409
+            );
+          }
+        }
+
+        return created;
+      });
+
+      logger.info('Payout batch created', {
+        batchId: batch.id,
+        batchNumber: batch.batchNumber,
+        method,
+        sellerCount: entries.length,
+        totalAmount,
+      });
+
+      return await this.getBatch(batch.id);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error creating payout batch', { error: error.message });
+      throw new ApiError('Failed to create payout batch', 500);
+    }
+  }
+
+  /**
+   * List payout batches
+   * @param {Object} filters - Filter options
+   * @param {string} filters.status - Batch status
+   * @param {string} filters.method - Payout method
+   * @param {number} filters.page - Page number
+   * @param {number} filters.limit - Results per page
+   * @returns {Promise<Object>} Paginated batches
+   */
+  async listBatches(filters = {}) {
+    try {
+      const { status, method } = filters;
+      const page = Math.max(1, Number(filters.page) || 1);
+      const limit = Math.min(100, Math.max(1, Number(filters.limit) || 20));
+
+      const where = {};
+      if (status) where.status = status;
+      if (method) where.method = method;
+
+      const [batches, total] = await Promise.all([
+        prisma.payoutBatch.findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit,
+          include: { _count: { select: { payouts: true } } },
+        }),
+        prisma.payoutBatch.count({ where }),
+      ]);
+
+      return {
+        items: batches.map((batch) => ({
+          ...this._formatBatch(batch),
+          sellerCount: batch._count.payouts,
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error listing payout batches', { error: error.message });
+      throw new ApiError('Failed to list payout batches', 500);
+    }
+  }
+
+  /**
+   * Get a payout batch with its seller payouts and audit trail
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object>} Batch
+   */
+  async getBatch(batchId) {
+    try {
+      const batch = await prisma.payoutBatch.findUnique({
+        where: { id: batchId },
+        include: {
+          payouts: {
+            orderBy: { amount: 'desc' },
+            include: {
+              seller: { select: { id: true, email: true, name: true } },
+              _count: { select: { payables: true } },
+            },
+          },
+          audits: { orderBy: { changedAt: 'desc' } },
+        },
+      });
+
+      if (!batch) {
+        throw new ApiError('Payout batch not found', 404);
+      }
+
+      return {
+        ...this._formatBatch(batch),
+        payouts: batch.payouts.map((payout) => ({
+          id: payout.id,
+          seller: payout.seller,
+          amount: Number(payout.amount),
+          itemCount: payout._count.payables,
+          payoutDetails: payout.payoutDetails,
+          reference: payout.reference,
+        })),
+        audits: batch.audits,
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error getting payout batch', {
+        batchId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to get payout batch', 500);
+    }
+  }
+
+  /**
+   * Move a payout batch to a new status
+   * PAID settles its payables; CANCELLED releases them back to OPEN so they
+   * can be batched again. Every change is written to the batch audit trail.
+   * @param {string} batchId - Batch ID
+   * @param {string} toStatus - APPROVED, PAID, FAILED or CANCELLED
+   * @param {Object} options - Transition options
+   * @param {string} options.reason - Reason for the change
+   * @param {Object} options.references - Payment references keyed by payout ID (PAID)
+   * @param {string} adminId - Admin making the change
+   * @returns {Promise<Object>} Updated batch
+   */
+  async transitionBatch(batchId, toStatus, options = {}, adminId) {
+    try {
+      const { reason, references } = options;
+
+      const batch = await prisma.payoutBatch.findUnique({
+        where: { id: batchId },
+      });
+
+      if (!batch) {
+        throw new ApiError('Payout batch not found', 404);
+      }
+
+      this.validateStatusTransition(batch.status, toStatus);
+
+      if (
+        references !== undefined &&
+        (typeof references !== 'object' || Array.isArray(references))
+      ) {
+        throw new ApiError('references must be an object', 400);
+      }
+
+      await prisma.$transaction(async (tx) => {
+        // Only move from the status validated above; a concurrent change
+        // (e.g. two admins marking it PAID) must not run the side effects twice
+        const { count } = await tx.payoutBatch.updateMany({
+          where: { id: batchId, status: batch.status },
+          data: {
+            status: toStatus,
+            ...(toStatus === 'APPROVED' && {
+              approvedBy: adminId || null,
+              approvedAt: new Date(),
+            }),
+            ...(toStatus === 'PAID' && { paidAt: new Date() }),
+          },
+        });
+
+        if (count === 0) {
+          throw new ApiError(
+            'Payout batch status changed while updating, try again',
+            409
+          );
+        }
+
+        const payouts = await tx.sellerPayout.findMany({
+          where: { batchId },
+          select: { id: true },
+        });
+        const payoutIds = payouts.map((payout) => payout.id);
+
+        if (toStatus === 'PAID') {
+          await tx.sellerPayable.updateMany({
+            where: { payoutId: { in: payoutIds } },
+            data: { status: 'PAID' },
+          });
+
+          for (const [payoutId, reference] of Object.entries(
+            references || {}
+          )) {
+            if (payoutIds.includes(payoutId)) {
+              await tx.sellerPayout.update({
+                where: { id: payoutId },
+                data: { reference: String(reference) },
+              });
+            }
+          }
+        }
+
+        if (toStatus === 'CANCELLED') {
+          await tx.sellerPayable.updateMany({
+            where: { payoutId: { in: payoutIds } },
+            data: { status: 'OPEN', payoutId: null },
+          });
+        }
+
+        await tx.payoutBatchAudit.create({
+          data: {
+            batchId,
+            fromStatus: batch.status,
+            toStatus,
+            changeReason: reason || null,
+            changedBy: adminId || null,
+          },
+        });
+      });
+
+      logger.info('Payout batch status updated', {
+        batchId,
+        fromStatus: batch.status,
+        toStatus,
+        reason,
+      });
+
+      return await this.getBatch(batchId);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error updating payout batch status', {
+        batchId,
+        toStatus,
+        error: error.message,
+      });
+      throw new ApiError('Failed to update payout batch status', 500);
+    }
+  }
+
+  /**
+   * Validate that a batch status transition is allowed
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - Desired status
+   * @throws {ApiError} If transition is invalid
+   */
+  validateStatusTransition(fromStatus, toStatus) {
+    const validTransitions = this.VALID_TRANSITIONS[fromStatus];
+
+    if (!validTransitions) {
+      throw new ApiError(`Unknown status: ${fromStatus}`, 400);
+    }
+
+    if (!validTransitions.includes(toStatus)) {
+      throw new ApiError(
+        `Cannot transition from ${fromStatus} to ${toStatus}`,
+        409
+      );
+    }
+  }
+
+  /**
+   * Export a payout batch as CSV for accounting
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<{filename: string, csv: string}>} CSV export
+   */
+  async exportBatchCsv(batchId) {
+    try {
+      const batch = await this.getBatch(batchId);
+
+      const rows = batch.payouts.map((payout) => ({
+        batch_number: batch.batchNumber,
+        batch_status: batch.status,
+        method: batch.method,
+        seller_id: payout.seller.id,
+        seller_email: payout.seller.email,
+        seller_name: payout.seller.name,
+        amount: payout.amount.toFixed(2),
+        item_count: payout.itemCount,
+        payout_details: payout.payoutDetails
+          ? JSON.stringify(payout.payoutDetails)
+          : '',
+        reference: payout.reference,
+        approved_at: batch.approvedAt,
+        paid_at: batch.paidAt,
+      }));
+
+      return {
+        filename: `${batch.batchNumber}.csv`,
+        csv: toCsv(rows, EXPORT_COLUMNS),
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error exporting payout batch', {
+        batchId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to export payout batch', 500);
+    }
+  }
+
+  /**
+   * Generate a payout batch number (PB-YYYYMMDD-XXXX)
+   * @returns {string} Batch number
+   */
+  generateBatchNumber() {
+    const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const random = Math.floor(Math.random() * 10000)
+      .toString()
+      .padStart(4, '0');
+
+    return `PB-${dateStr}-${random}`;
+  }
+
+  /**
+   * Seller ID for a submission, creating/linking a seller for legacy rows
+   * @param {Object} submission - Seller submission
+   * @returns {Promise<string>} Seller ID
+   * @private
+   */
+  async _resolveSellerId(submission) {
+    if (submission.sellerId) {
+      return submission.sellerId;
+    }
+
+    const { seller } = await sellerService.findOrCreateSeller({
+      email: submission.sellerContact,
+    });
+
+    await prisma.sellerSubmission.update({
+      where: { id: submission.id },
+      data: { sellerId: seller.id },
+    });
+
+    return seller.id;
+  }
+
+  /**
+   * Shape a payout batch for API responses
+   * @param {Object} batch - Payout batch record
+   * @returns {Object} Formatted batch
+   * @private
+   */
+  _formatBatch(batch) {
+    return {
+      id: batch.id,
+      batchNumber: batch.batchNumber,
+      method: batch.method,
+      status: batch.status,
+      totalAmount: Number(batch.totalAmount),
+      notes: batch.notes,
+      createdBy: batch.createdBy,
+      approvedBy: batch.approvedBy,
+      approvedAt: batch.approvedAt,
+      paidAt: batch.paidAt,
+      createdAt: batch.createdAt,
+      updatedAt: batch.updatedAt,
+    };
+  }
+}
+
+export default new PayoutService();
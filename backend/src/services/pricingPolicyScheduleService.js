@@ -0,0 +1,457 @@
+import { v4 as uuidv4 } from 'uuid';
+import prisma from '../utils/db.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import logger from '../../config/logger.js';
+import pricingService from './pricingService.js';
+import { clearCache } from '../utils/cache.js';
+
+/**
+ * Lifecycle of a policy version with an effective window
+ * SCHEDULED - waiting for effectiveFrom; ACTIVATED - live until effectiveUntil;
+ * EXPIRED - window ended; CANCELLED - withdrawn before activation
+ */
+const SCHEDULE_STATUS = {
+  SCHEDULED: 'SCHEDULED',
+  ACTIVATED: 'ACTIVATED',
+  EXPIRED: 'EXPIRED',
+  CANCELLED: 'CANCELLED',
+};
+
+const GLOBAL_SCOPES = ['BUYER', 'SELLER'];
+
+/**
+ * Pricing Policy Schedule Service
+ * Policy versions can carry an effective-from / effective-until window. A
+ * version saved with a future effectiveFrom waits inactive until the schedule
+ * job activates it, replacing whatever held its slot; when effectiveUntil
+ * passes it is deactivated and the version it replaced comes back.
+ */
+class PricingPolicyScheduleService {
+  /**
+   * Parse and validate an effective window
+   * @param {Object} input - { effectiveFrom, effectiveUntil } (ISO strings or Dates)
+   * @param {Date} now - Reference time
+   * @returns {Object} { effectiveFrom, effectiveUntil, scheduled }
+   */
+  parseWindow(input = {}, now = new Date()) {
+    const effectiveFrom = this._parseDate(input.effectiveFrom, 'effectiveFrom');
+    const effectiveUntil = this._parseDate(
+      input.effectiveUntil,
+      'effectiveUntil'
+    );
+
+    if (effectiveUntil && effectiveUntil <= now) {
+      throw new ApiError('effectiveUntil must be in the future', 400);
+    }
+    if (effectiveFrom && effectiveUntil && effectiveUntil <= effectiveFrom) {
+      throw new ApiError('effectiveUntil must be after effectiveFrom', 400);
+    }
+
+    return {
+      effectiveFrom,
+      effectiveUntil,
+      scheduled: Boolean(effectiveFrom && effectiveFrom > now),
+    };
+  }
+
+  /**
+   * Schedule fields to store on a new policy version
+   * @param {Object} window - Result of parseWindow
+   * @param {string|null} replacedPolicyId - Version deactivated by an immediate save
+   * @returns {Object} Prisma data fragment
+   */
+  scheduleData(window, replacedPolicyId = null) {
+    if (window.scheduled) {
+      return {
+        isActive: false,
+        effectiveFrom: window.effectiveFrom,
+        effectiveUntil: window.effectiveUntil,
+        scheduleStatus: SCHEDULE_STATUS.SCHEDULED,
+      };
+    }
+
+    return {
+      isActive: true,
+      effectiveFrom: window.effectiveFrom,
+      effectiveUntil: window.effectiveUntil,
+      scheduleStatus: window.effectiveUntil ? SCHEDULE_STATUS.ACTIVATED : null,
+      replacedPolicyId: window.effectiveUntil ? replacedPolicyId : null,
+    };
+  }
+
+  /**
+   * Upcoming and time-limited versions for a policy type
+   * @param {string} type - BUYER or SELLER
+   * @returns {Promise<Object>} { upcoming, ending }
+   */
+  async listSchedules(type) {
+    try {
+      this._validateType(type);
+      const typeWhere = { OR: [{ scope: type }, { policyType: type }] };
+
+      const [upcoming, ending] = await Promise.all([
+        prisma.pricingPolicy.findMany({
+          where: { ...typeWhere, scheduleStatus: SCHEDULE_STATUS.SCHEDULED },
+          orderBy: { effectiveFrom: 'asc' },
+        }),
+        prisma.pricingPolicy.findMany({
+          where: {
+            ...typeWhere,
+            isActive: true,
+            effectiveUntil: { not: null },
+          },
+          orderBy: { effectiveUntil: 'asc' },
+        }),
+      ]);
+
+      return {
+        upcoming: upcoming.map((policy) => this._format(policy)),
+        ending: ending.map((policy) => this._format(policy)),
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error listing pricing policy schedules', {
+        type,
+        error: error.message,
+      });
+      throw new ApiError('Failed to list pricing policy schedules', 500);
+    }
+  }
+
+  /**
+   * Withdraw a scheduled version before it activates
+   * @param {string} type - BUYER or SELLER
+   * @param {string} policyId - Scheduled policy UUID
+   * @param {string} userId - Admin cancelling
+   * @returns {Promise<Object>} Cancelled policy
+   */
+  async cancelSchedule(type, policyId, userId) {
+    try {
+      this._validateType(type);
+      const policy = await prisma.pricingPolicy.findUnique({
+        where: { id: policyId },
+      });
+
+      if (!policy || (policy.scope !== type && policy.policyType !== type)) {
+        throw new ApiError('Pricing policy not found', 404);
+      }
+      if (policy.scheduleStatus !== SCHEDULE_STATUS.SCHEDULED) {
+        throw new ApiError(
+          'Only scheduled policy versions can be cancelled',
+          400
+        );
+      }
+
+      const [cancelled] = await prisma.$transaction([
+        prisma.pricingPolicy.update({
+          where: { id: policyId },
+          data: { scheduleStatus: SCHEDULE_STATUS.CANCELLED },
+        }),
+        prisma.pricingPolicyAudit.create({
+          data: {
+            id: uuidv4(),
+            policyId,
+            changeType: 'SCHEDULE_CANCEL',
+            previousVersion: policy.version,
+            newVersion: policy.version,
+            changes: {
+              effectiveFrom: policy.effectiveFrom,
+              effectiveUntil: policy.effectiveUntil,
+            },
+            changedBy: userId,
+          },
+        }),
+      ]);
+
+      logger.info('Scheduled pricing policy cancelled', { policyId, userId });
+      return this._format(cancelled);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error cancelling scheduled pricing policy', {
+        policyId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to cancel scheduled pricing policy', 500);
+    }
+  }
+
+  /**
+   * Expire versions past effectiveUntil, then activate versions past
+   * effectiveFrom. Run by the policy schedule job.
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { activated, expired, reverted, errors }
+   */
+  async applySchedules(now = new Date()) {
+    const result = { activated: [], expired: [], reverted: [], errors: [] };
+
+    const expiring = await prisma.pricingPolicy.findMany({
+      where: { isActive: true, effectiveUntil: { lte: now } },
+      orderBy: { effectiveUntil: 'asc' },
+    });
+    for (const policy of expiring) {
+      try {
+        const reverted = await this._expirePolicy(policy, now);
+        result.expired.push(policy.id);
+        if (reverted) result.reverted.push(reverted.id);
+      } catch (error) {
+        logger.error('Error expiring pricing policy', {
+          policyId: policy.id,
+          error: error.message,
+        });
+        result.errors.push({ policyId: policy.id, error: error.message });
+      }
+    }
+
+    const due = await prisma.pricingPolicy.findMany({
+      where: {
+        scheduleStatus: SCHEDULE_STATUS.SCHEDULED,
+        effectiveFrom: { lte: now },
+      },
+      orderBy: [{ effectiveFrom: 'asc' }, { version: 'asc' }],
+    });
+    for (const policy of due) {
+      try {
+        if (policy.effectiveUntil && policy.effectiveUntil <= now) {
+          // The window passed while the job was down; never go live
+          await this._markExpired(policy, now, null, 'WINDOW_MISSED');
+          result.expired.push(policy.id);
+          continue;
+        }
+        await this._activatePolicy(policy, now);
+        result.activated.push(policy.id);
+      } catch (error) {
+        logger.error('Error activating scheduled pricing policy', {
+          policyId: policy.id,
+          error: error.message,
+        });
+        result.errors.push({ policyId: policy.id, error: error.message });
+      }
+    }
+
+    if (result.activated.length > 0 || result.expired.length > 0) {
+      pricingService.clearPolicyCache();
+      clearCache();
+    }
+
+    return result;
+  }
+
+  /**
+   * Activate a scheduled version, deactivating whatever holds its slot
+   * @private
+   */
+  async _activatePolicy(policy, now) {
+    const slot = this._slotWhere(policy);
+    let current = [];
+    if (slot) {
+      current = await prisma.pricingPolicy.findMany({
+        where: { ...slot, isActive: true, id: { not: policy.id } },
+        orderBy: { version: 'desc' },
+      });
+    }
+    const replaced = current[0] || null;
+
+    await prisma.$transaction([
+      prisma.pricingPolicy.updateMany({
+        where: { id: { in: current.map((p) => p.id) } },
+        data: { isActive: false },
+      }),
+      prisma.pricingPolicy.update({
+        where: { id: policy.id },
+        data: {
+          isActive: true,
+          scheduleStatus: SCHEDULE_STATUS.ACTIVATED,
+          replacedPolicyId: replaced?.id || null,
+        },
+      }),
+      prisma.pricingPolicyAudit.create({
+        data: {
+          id: uuidv4(),
+          policyId: policy.id,
+          changeType: 'SCHEDULED_ACTIVATION',
+          previousVersion: replaced?.version ?? null,
+          newVersion: policy.version,
+          changes: {
+            effectiveFrom: policy.effectiveFrom,
+            effectiveUntil: policy.effectiveUntil,
+            activatedAt: now,
+            replacedPolicyId: replaced?.id || null,
+          },
+          changedBy: null,
+        },
+      }),
+    ]);
+
+    logger.info('Scheduled pricing policy activated', {
+      policyId: policy.id,
+      scope: policy.scope,
+      version: policy.version,
+      replacedPolicyId: replaced?.id || null,
+    });
+  }
+
+  /**
+   * Deactivate an expired version and bring back the one it replaced, unless
+   * that one has expired too or something else already holds the slot
+   * @private
+   * @returns {Promise<Object|null>} Reverted policy
+   */
+  async _expirePolicy(policy, now) {
+    let revertTo = null;
+    if (policy.replacedPolicyId) {
+      const previous = await prisma.pricingPolicy.findUnique({
+        where: { id: policy.replacedPolicyId },
+      });
+      const stillValid =
+        previous &&
+        !previous.isActive &&
+        ![SCHEDULE_STATUS.EXPIRED, SCHEDULE_STATUS.CANCELLED].includes(
+          previous.scheduleStatus
+        ) &&
+        (!previous.effectiveUntil || previous.effectiveUntil > now);
+      const slot = this._slotWhere(policy);
+      const occupied =
+        slot &&
+        (await prisma.pricingPolicy.count({
+          where: { ...slot, isActive: true, id: { not: policy.id } },
+        })) > 0;
+      revertTo = stillValid && !occupied ? previous : null;
+    }
+
+    await this._markExpired(policy, now, revertTo, 'EFFECTIVE_UNTIL_REACHED');
+
+    logger.info('Pricing policy expired', {
+      policyId: policy.id,
+      scope: policy.scope,
+      version: policy.version,
+      revertedToPolicyId: revertTo?.id || null,
+    });
+
+    if (!revertTo && GLOBAL_SCOPES.includes(policy.scope)) {
+      logger.warn('No pricing policy to revert to, defaults apply', {
+        scope: policy.scope,
+        expiredPolicyId: policy.id,
+      });
+    }
+    return revertTo;
+  }
+
+  /**
+   * @private
+   */
+  async _markExpired(policy, now, revertTo, reason) {
+    const operations = [
+      prisma.pricingPolicy.update({
+        where: { id: policy.id },
+        data: { isActive: false, scheduleStatus: SCHEDULE_STATUS.EXPIRED },
+      }),
+      prisma.pricingPolicyAudit.create({
+        data: {
+          id: uuidv4(),
+          policyId: policy.id,
+          changeType: 'SCHEDULED_EXPIRY',
+          previousVersion: policy.version,
+          newVersion: revertTo?.version ?? policy.version,
+          changes: {
+            reason,
+            effectiveUntil: policy.effectiveUntil,
+            expiredAt: now,
+            revertedToPolicyId: revertTo?.id || null,
+          },
+          changedBy: null,
+        },
+      }),
+    ];
+
+    if (revertTo) {
+      operations.push(
+        prisma.pricingPolicy.update({
+          where: { id: revertTo.id },
+          data: { isActive: true },
+        }),
+        prisma.pricingPolicyAudit.create({
+          data: {
+            id: uuidv4(),
+            policyId: revertTo.id,
+            changeType: 'SCHEDULED_ACTIVATION',
+            previousVersion: policy.version,
+            newVersion: revertTo.version,
+            changes: {
+              reason: 'REVERT',
+              expiredPolicyId: policy.id,
+              activatedAt: now,
+            },
+            changedBy: null,
+          },
+        })
+      );
+    }
+
+    await prisma.$transaction(operations);
+  }
+
+  /**
+   * Policies that compete with this one: the same global type, or the same
+   * type, scope and value for scoped policies. Release policies are linked
+   * per release and never replace each other.
+   * @private
+   * @returns {Object|null} Prisma where fragment
+   */
+  _slotWhere(policy) {
+    if (GLOBAL_SCOPES.includes(policy.scope)) {
+      return { scope: policy.scope };
+    }
+
+    const field = pricingService.getScopeField(policy.scope);
+    const value = pricingService.getScopeValue(policy);
+    if (!field || !value) return null;
+
+    return {
+      policyType: policy.policyType,
+      scope: policy.scope,
+      [field]: { equals: value, mode: 'insensitive' },
+    };
+  }
+
+  /**
+   * @private
+   */
+  _parseDate(value, field) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new ApiError(`${field} must be a valid date`, 400);
+    }
+    return date;
+  }
+
+  /**
+   * @private
+   */
+  _validateType(type) {
+    if (!GLOBAL_SCOPES.includes(type)) {
+      throw new ApiError('Invalid policy type. Must be BUYER or SELLER', 400);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _format(policy) {
+    return {
+      id: policy.id,
+      type: policy.policyType || policy.scope,
+      scope: policy.scope,
+      scopeValue: pricingService.getScopeValue(policy),
+      name: policy.name,
+      version: policy.version,
+      isActive: policy.isActive,
+      effectiveFrom: policy.effectiveFrom,
+      effectiveUntil: policy.effectiveUntil,
+      scheduleStatus: policy.scheduleStatus,
+      replacedPolicyId: policy.replacedPolicyId,
+    };
+  }
+}
+
+export default new PricingPolicyScheduleService();
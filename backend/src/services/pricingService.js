@@ -42,6 +42,15 @@ class PricingService {
         30: 0.1,
         60: 0.2,
       },
+      // HYBRID market blending; override per policy via formula.marketBlend
+      marketBlend: {
+        weights: { DISCOGS: 0.5, EBAY: 0.5 },
+        confidenceSampleSize: 10,
+        defaultConfidence: 0.5,
+        halfLifeDays: 30,
+        maxAgeDays: 180,
+        outlierTolerance: 0.5,
+      },
     };
 
     // Policy cache to avoid repeated database queries
@@ -50,63 +59,247 @@ class PricingService {
   }
 
   /**
-   * Fetch active pricing policy by type (BUYER or SELLER)
+   * Fetch the pricing policy that applies to a record (BUYER or SELLER)
    * @param {string} policyType - 'BUYER' or 'SELLER'
-   * @param {Object} context - Optional context { genre, label, channel }
+   * @param {Object} context - Optional context { releaseId, genre, label, channel }
    * @returns {Promise<Object|null>} Pricing policy or null if not found
    */
   async getActivePricingPolicy(policyType, context = {}) {
+    const { policy } = await this.resolvePricingPolicy(policyType, context);
+    return policy;
+  }
+
+  /**
+   * Resolve which policy prices a record, most specific scope first:
+   * release link > label > genre > channel > the global BUYER/SELLER policy.
+   * Genre and label are read from the release when only releaseId is given.
+   * @param {string} policyType - 'BUYER' or 'SELLER'
+   * @param {Object} context - { releaseId, genre, label, channel }
+   * @returns {Promise<Object>} { policy, resolution } where resolution explains the match
+   */
+  async resolvePricingPolicy(policyType, context = {}) {
+    const { releaseId, channel } = context;
+    let { genre, label } = context;
+
     try {
-      const cacheKey = `${policyType}:${JSON.stringify(context)}`;
+      if (releaseId) {
+        const linked = await this._getReleasePolicy(policyType, releaseId);
+        if (linked) {
+          return this._policyMatch(linked, 'RELEASE', releaseId);
+        }
 
-      // Check cache
-      if (this.policyCache.has(cacheKey)) {
-        const cached = this.policyCache.get(cacheKey);
-        if (Date.now() - cached.timestamp < this.policyCacheTTL) {
-          return cached.data;
+        if (genre === undefined || label === undefined) {
+          const release = await prisma.release.findUnique({
+            where: { id: releaseId },
+            select: { genre: true, label: true },
+          });
+          genre = genre === undefined ? release?.genre : genre;
+          label = label === undefined ? release?.label : label;
         }
-        this.policyCache.delete(cacheKey);
       }
 
-      // Fetch from database
-      const policy = await prisma.pricingPolicy.findFirst({
+      const scoped = await this._getScopedPolicies(policyType);
+      const matches = [
+        ['LABEL', label],
+        ['GENRE', genre],
+        ['CHANNEL', channel],
+      ];
+      for (const [scope, value] of matches) {
+        if (!value) continue;
+        const policy = scoped.find(
+          (p) =>
+            p.scope === scope &&
+            this.getScopeValue(p)?.toLowerCase() === value.toLowerCase()
+        );
+        if (policy) {
+          return this._policyMatch(policy, scope, value);
+        }
+      }
+
+      const policy = await this._getGlobalPolicy(policyType);
+      return this._policyMatch(policy, policy ? 'GLOBAL' : 'DEFAULT', null);
+    } catch (error) {
+      logger.warn('Failed to fetch pricing policy', {
+        policyType,
+        context,
+        error: error.message,
+      });
+      return this._policyMatch(null, 'DEFAULT', null);
+    }
+  }
+
+  /**
+   * Value a scoped policy matches on (label, genre or channel name)
+   * @param {Object} policy - Pricing policy
+   * @returns {string|null} Scope value
+   */
+  getScopeValue(policy) {
+    const field = this.getScopeField(policy.scope);
+    return field ? (policy[field] ?? null) : null;
+  }
+
+  /**
+   * Column holding the matched value for a policy scope
+   * @param {string} scope - Policy scope
+   * @returns {string|null} Field name, null for release and global scopes
+   */
+  getScopeField(scope) {
+    const fields = {
+      LABEL: 'labelScope',
+      GENRE: 'genreScope',
+      CHANNEL: 'channelScope',
+    };
+    return fields[scope] || null;
+  }
+
+  /**
+   * Describe the policy behind a quote
+   * Formulas built by getBuyerFormula/getSellerFormula carry their
+   * resolution; anything else was passed in by the caller.
+   * @param {Object} formula - Formula used for the quote
+   * @returns {Object} { policyId, name, version, matchedBy, matchedValue }
+   */
+  explainPolicy(formula) {
+    if (formula.policyResolution) {
+      return formula.policyResolution;
+    }
+    return {
+      policyId: formula.policyId || null,
+      name: null,
+      version: null,
+      matchedBy: 'OVERRIDE',
+      matchedValue: null,
+    };
+  }
+
+  /**
+   * Active release-linked policy for a type, lowest priority number first
+   * Linked policies without a policyType apply to both BUYER and SELLER.
+   * @private
+   * @param {string} policyType - 'BUYER' or 'SELLER'
+   * @param {string} releaseId - Release UUID
+   * @returns {Promise<Object|null>} Pricing policy
+   */
+  async _getReleasePolicy(policyType, releaseId) {
+    const links = await prisma.releasePricingPolicy.findMany({
+      where: { releaseId, isActive: true, policy: { isActive: true } },
+      include: { policy: true },
+      orderBy: { priority: 'asc' },
+    });
+    const link = links.find(
+      (l) => !l.policy.policyType || l.policy.policyType === policyType
+    );
+    return link?.policy || null;
+  }
+
+  /**
+   * Active label, genre and channel policies for a type, newest version first
+   * @private
+   * @param {string} policyType - 'BUYER' or 'SELLER'
+   * @returns {Promise<Array<Object>>} Pricing policies
+   */
+  async _getScopedPolicies(policyType) {
+    return this._cachedPolicyLookup(`${policyType}:scoped`, () =>
+      prisma.pricingPolicy.findMany({
+        where: {
+          isActive: true,
+          policyType,
+          scope: { in: ['LABEL', 'GENRE', 'CHANNEL'] },
+        },
+        orderBy: { version: 'desc' },
+      })
+    );
+  }
+
+  /**
+   * Active global policy for a type (stored with scope BUYER or SELLER)
+   * @private
+   * @param {string} policyType - 'BUYER' or 'SELLER'
+   * @returns {Promise<Object|null>} Pricing policy
+   */
+  async _getGlobalPolicy(policyType) {
+    return this._cachedPolicyLookup(`${policyType}:global`, () =>
+      prisma.pricingPolicy.findFirst({
         where: {
           isActive: true,
           scope: policyType,
-          // TODO: Add scope-specific filters (genre, label, channel)
         },
         orderBy: {
           version: 'desc',
         },
-      });
+      })
+    );
+  }
 
-      // Cache the result
-      if (policy) {
-        this.policyCache.set(cacheKey, {
-          data: policy,
-          timestamp: Date.now(),
-        });
+  /**
+   * Read through the policy cache
+   * Empty results are not cached so a newly saved policy applies at once.
+   * @private
+   * @param {string} cacheKey - Cache key
+   * @param {Function} load - Loads the value on a miss
+   * @returns {Promise<*>} Cached or loaded value
+   */
+  async _cachedPolicyLookup(cacheKey, load) {
+    if (this.policyCache.has(cacheKey)) {
+      const cached = this.policyCache.get(cacheKey);
+      if (Date.now() - cached.timestamp < this.policyCacheTTL) {
+        return cached.data;
       }
+      this.policyCache.delete(cacheKey);
+    }
 
-      return policy || null;
-    } catch (error) {
-      logger.warn('Failed to fetch pricing policy', {
-        policyType,
-        context,
-        error: error.message,
+    const data = await load();
+    if (data && (!Array.isArray(data) || data.length > 0)) {
+      this.policyCache.set(cacheKey, {
+        data,
+        timestamp: Date.now(),
       });
-      return null;
     }
+    return data;
+  }
+
+  /**
+   * @private
+   * @param {Object|null} policy - Matched policy
+   * @param {string} matchedBy - RELEASE, LABEL, GENRE, CHANNEL, GLOBAL or DEFAULT
+   * @param {string|null} matchedValue - Release ID or scope value matched
+   * @returns {Object} { policy, resolution }
+   */
+  _policyMatch(policy, matchedBy, matchedValue) {
+    return {
+      policy,
+      resolution: {
+        policyId: policy?.id || null,
+        name: policy?.name || null,
+        version: policy?.version ?? null,
+        matchedBy,
+        matchedValue,
+      },
+    };
   }
 
   /**
    * Get buyer pricing formula with database policy overrides
-   * @param {Object} context - Optional context for policy selection
-   * @returns {Promise<Object>} Buyer formula configuration
+   * @param {Object} context - Optional context { releaseId, genre, label, channel }
+   * @returns {Promise<Object>} Buyer formula configuration, with policyResolution
    */
   async getBuyerFormula(context = {}) {
-    const policy = await this.getActivePricingPolicy('BUYER', context);
+    const { policy, resolution } = await this.resolvePricingPolicy(
+      'BUYER',
+      context
+    );
+    return {
+      ...this.buildBuyerFormula(policy),
+      policyResolution: resolution,
+    };
+  }
 
+  /**
+   * Normalize a policy (saved or draft) into a buyer formula
+   * @param {Object|null} policy - { id, buyFormula, conditionCurve }
+   * @returns {Object} Buyer formula configuration (defaults without a buyFormula)
+   */
+  buildBuyerFormula(policy) {
     if (policy && policy.buyFormula) {
       // Normalize field names from database to internal format
       // Handle both 'percentage' (old) and 'buyPercentage' (new) naming conventions
@@ -147,12 +340,26 @@ class PricingService {
 
   /**
    * Get seller pricing formula with database policy overrides
-   * @param {Object} context - Optional context for policy selection
-   * @returns {Promise<Object>} Seller formula configuration
+   * @param {Object} context - Optional context { releaseId, genre, label, channel }
+   * @returns {Promise<Object>} Seller formula configuration, with policyResolution
    */
   async getSellerFormula(context = {}) {
-    const policy = await this.getActivePricingPolicy('SELLER', context);
+    const { policy, resolution } = await this.resolvePricingPolicy(
+      'SELLER',
+      context
+    );
+    return {
+      ...this.buildSellerFormula(policy),
+      policyResolution: resolution,
+    };
+  }
 
+  /**
+   * Normalize a policy (saved or draft) into a seller formula
+   * @param {Object|null} policy - { id, sellFormula, conditionCurve }
+   * @returns {Object} Seller formula configuration (defaults without a sellFormula)
+   */
+  buildSellerFormula(policy) {
     if (policy && policy.sellFormula) {
       // Normalize field names from database to internal format
       // Handle both 'percentage' (old) and 'sellPercentage' (new) naming conventions
@@ -208,8 +415,10 @@ class PricingService {
    * @param {string} params.sleeveCondition - Sleeve condition enum
    * @param {string} params.marketSource - Market data source (DISCOGS, EBAY, HYBRID)
    * @param {string} params.marketStatistic - Price statistic to use (low, median, high)
-   * @param {Object} params.formula - Optional buy formula override
-   * @returns {Promise<Object>} { price, breakdown, policyUsed, marketData }
+   * @param {Object} params.formula - Optional buy formula override (default: the policy resolved for the release and channel)
+   * @param {string} params.channel - Acquisition/sales channel, for channel-scoped policies
+   * @param {boolean} params.liveMarketData - Query Discogs/eBay when no snapshot is stored (default true)
+   * @returns {Promise<Object>} { price, breakdown, policyUsed, policyApplied }
    */
   async calculateBuyPrice(params) {
     const {
@@ -218,7 +427,9 @@ class PricingService {
       sleeveCondition,
       marketSource = 'HYBRID',
       marketStatistic = 'median',
-      formula = {},
+      formula: formulaOverride,
+      channel,
+      liveMarketData = true,
     } = params;
 
     try {
@@ -226,6 +437,9 @@ class PricingService {
       this._validateCondition(mediaCondition);
       this._validateCondition(sleeveCondition);
 
+      const formula =
+        formulaOverride || (await this.getBuyerFormula({ releaseId, channel }));
+
       // Merge with defaults
       const config = {
         buyPercentage: formula.buyPercentage ?? this.defaults.buyPercentage,
@@ -235,23 +449,20 @@ class PricingService {
       };
 
       // Get market stat - first try from database snapshots, then from external sources
-      let marketStat = await this._getMarketStatFromDatabase(
+      const market = await this._resolveMarketStat(
         releaseId,
-        marketStatistic
+        marketSource,
+        marketStatistic,
+        formula.marketBlend,
+        liveMarketData
       );
 
-      if (!marketStat) {
-        marketStat = await this._getMarketStat(
-          releaseId,
-          marketSource,
-          marketStatistic
-        );
-      }
-
-      if (!marketStat) {
+      if (!market) {
         throw new ApiError('Market data not available for pricing', 404);
       }
 
+      const marketStat = market.value;
+
       // Get condition curve
       const curve = formula.conditionCurve || this.defaultConditionCurve;
       const weights = formula.weights || this.defaultWeights;
@@ -288,6 +499,7 @@ class PricingService {
           marketStat,
           marketSource,
           marketStatistic,
+          marketSources: this._describeMarketSources(market),
           baseOffer: parseFloat(baseOffer.toFixed(2)),
           mediaCondition,
           sleeveCondition,
@@ -303,6 +515,7 @@ class PricingService {
           ceilingApplied: final === config.buyCeiling,
         },
         policyUsed: formula.policyId || 'default',
+        policyApplied: this.explainPolicy(formula),
       };
     } catch (error) {
       if (error.isApiError) throw error;
@@ -324,8 +537,10 @@ class PricingService {
    * @param {number} params.costBasis - What we paid for it (required for margin validation)
    * @param {string} params.marketSource - Market data source
    * @param {string} params.marketStatistic - Price statistic
-   * @param {Object} params.formula - Optional sell formula override
-   * @returns {Promise<Object>} { price, marginPercent, breakdown }
+   * @param {Object} params.formula - Optional sell formula override (default: the policy resolved for the release and channel)
+   * @param {string} params.channel - Acquisition/sales channel, for channel-scoped policies
+   * @param {boolean} params.liveMarketData - Query Discogs/eBay when no snapshot is stored (default true)
+   * @returns {Promise<Object>} { price, marginPercent, breakdown, policyUsed, policyApplied }
    */
   async calculateSellPrice(params) {
     const {
@@ -335,7 +550,9 @@ class PricingService {
       costBasis,
       marketSource = 'HYBRID',
       marketStatistic = 'median',
-      formula = {},
+      formula: formulaOverride,
+      channel,
+      liveMarketData = true,
     } = params;
 
     try {
@@ -350,6 +567,10 @@ class PricingService {
       this._validateCondition(mediaCondition);
       this._validateCondition(sleeveCondition);
 
+      const formula =
+        formulaOverride ||
+        (await this.getSellerFormula({ releaseId, channel }));
+
       // Merge with defaults
       const config = {
         sellPercentage: formula.sellPercentage ?? this.defaults.sellPercentage,
@@ -361,23 +582,20 @@ class PricingService {
       };
 
       // Get market stat - prefer stored snapshots, fallback to external sources
-      let marketStat = await this._getMarketStatFromDatabase(
+      const market = await this._resolveMarketStat(
         releaseId,
-        marketStatistic
+        marketSource,
+        marketStatistic,
+        formula.marketBlend,
+        liveMarketData
       );
 
-      if (!marketStat) {
-        marketStat = await this._getMarketStat(
-          releaseId,
-          marketSource,
-          marketStatistic
-        );
-      }
-
-      if (!marketStat) {
+      if (!market) {
         throw new ApiError('Market data not available for pricing', 404);
       }
 
+      const marketStat = market.value;
+
       // Get condition curve
       const curve = formula.conditionCurve || this.defaultConditionCurve;
       const weights = formula.weights || this.defaultWeights;
@@ -425,6 +643,7 @@ class PricingService {
           marketStat,
           marketSource,
           marketStatistic,
+          marketSources: this._describeMarketSources(market),
           costBasis: parseFloat(costBasis.toFixed(2)),
           listSuggestion: parseFloat(listSuggestion.toFixed(2)),
           mediaCondition,
@@ -437,6 +656,7 @@ class PricingService {
           ceilingApplied: final === config.sellCeiling,
         },
         policyUsed: formula.policyId || 'default',
+        policyApplied: this.explainPolicy(formula),
       };
     } catch (error) {
       if (error.isApiError) throw error;
@@ -450,15 +670,30 @@ class PricingService {
 
   /**
    * Calculate markdown for unsold inventory
+   * Tiers are percentages of the pre-markdown price, so a lot already marked
+   * down to one tier only drops by the difference when it reaches the next.
+   * The result never goes below cost basis plus the minimum margin, and never
+   * raises the current price.
    * @param {Object} params
    * @param {number} params.currentPrice - Current list price
    * @param {Date} params.listedAt - When item was listed
    * @param {number} params.costBasis - Cost basis to prevent loss
    * @param {Object} params.markdownSchedule - { 30: 0.10, 60: 0.20 } (days: discount percentage)
-   * @returns {Object} { newPrice, discountPercent, daysListed }
+   * @param {number} params.minProfitMargin - Margin over cost basis for the price floor (default 0)
+   * @param {number} params.appliedDiscount - Markdown tier already in currentPrice (default 0)
+   * @param {Date} params.now - Evaluation time (default: now)
+   * @returns {Object} { newPrice, discountPercent, daysListed, floorPrice, floorApplied }
    */
   calculateMarkdown(params) {
-    const { currentPrice, listedAt, costBasis, markdownSchedule } = params;
+    const {
+      currentPrice,
+      listedAt,
+      costBasis,
+      markdownSchedule,
+      minProfitMargin = 0,
+      appliedDiscount = 0,
+      now = new Date(),
+    } = params;
 
     if (!currentPrice || currentPrice < 0) {
       throw new ApiError('Valid current price is required', 400);
@@ -469,7 +704,6 @@ class PricingService {
     }
 
     // Calculate days listed
-    const now = new Date();
     const daysListed = Math.floor((now - listedAt) / (1000 * 60 * 60 * 24));
 
     // Determine applicable markdown
@@ -486,17 +720,21 @@ class PricingService {
       }
     }
 
-    // Calculate new price
-    const newPrice = currentPrice * (1 - discountPercent);
+    // Calculate new price from the pre-markdown price
+    const basePrice = currentPrice / (1 - appliedDiscount);
+    const newPrice = basePrice * (1 - discountPercent);
 
-    // Floor to cost basis to prevent losses
-    const finalPrice = Math.min(newPrice, currentPrice);
+    // Floor to cost basis plus minimum margin to prevent losses
+    const floorPrice = (Number(costBasis) || 0) * (1 + minProfitMargin);
+    const finalPrice = Math.min(Math.max(newPrice, floorPrice), currentPrice);
 
     return {
       newPrice: parseFloat(finalPrice.toFixed(2)),
       discountPercent: parseFloat((discountPercent * 100).toFixed(1)),
       daysListed,
       originalPrice: parseFloat(currentPrice.toFixed(2)),
+      floorPrice: parseFloat(floorPrice.toFixed(2)),
+      floorApplied: newPrice < floorPrice,
       marginProtected: finalPrice >= costBasis,
     };
   }
@@ -578,141 +816,381 @@ class PricingService {
   }
 
   /**
-   * Get market statistic from appropriate source
-   * @private
-   * @param {string} releaseId
-   * @param {string} source - DISCOGS, EBAY, or HYBRID
-   * @param {string} statistic - low, median, or high
-   * @returns {Promise<number>} Market price
+   * Blend per-source market snapshots into one market statistic
+   * Each source's estimate is a recency-weighted average of its snapshots
+   * (half-life decay), after trimming snapshots far from the source's own
+   * median. Sources are then combined by policy weight × sample-size
+   * confidence × recency of their newest snapshot; with three or more
+   * sources, an estimate far from the cross-source median is dropped.
+   * A source with no snapshot inside maxAgeDays still contributes its newest
+   * snapshot (flagged stale) rather than leaving the price unpriced.
+   * @param {Array<Object>} snapshots - Snapshots ({source, statLow, statMedian, statHigh, sampleSize, fetchedAt})
+   * @param {Object} options
+   * @param {string} options.statistic - low, median, or high (default median)
+   * @param {Object} options.blend - Blend settings overriding defaults.marketBlend
+   * @param {Array<string>} options.sources - Only these sources, equally weighted
+   * @param {Date} options.now - Reference time (default: now)
+   * @returns {Object|null} { value, statistic, contributors, excluded }, or
+   *   null when no source has a usable price
    */
-  async _getMarketStatFromDatabase(releaseId, statistic) {
-    try {
-      logger.debug('Looking for market snapshot in database', {
-        releaseId,
-        statistic,
-      });
+  blendMarketStats(snapshots, options = {}) {
+    const { statistic = 'median', sources = null, now = new Date() } = options;
+    const blend = this._resolveMarketBlend(options.blend);
+    const stat = statistic.toLowerCase();
+    const ageDays = (date) =>
+      Math.max(0, (now.getTime() - new Date(date).getTime()) / 86400000);
+    const decay = (date) => 0.5 ** (ageDays(date) / blend.halfLifeDays);
+
+    const bySource = new Map();
+    for (const snapshot of snapshots || []) {
+      // HYBRID rows are blend outputs, never inputs
+      if (snapshot.source === 'HYBRID') continue;
+      if (sources && !sources.includes(snapshot.source)) continue;
+      if (!bySource.has(snapshot.source)) bySource.set(snapshot.source, []);
+      bySource.get(snapshot.source).push(snapshot);
+    }
 
-      // Get the most recent market snapshot for this release
-      const snapshot = await prisma.marketSnapshot.findFirst({
-        where: { releaseId },
-        orderBy: { fetchedAt: 'desc' },
-      });
+    const estimates = [];
+    const excluded = [];
 
-      if (!snapshot) {
-        logger.debug('No market snapshot found in database', {
-          releaseId,
-        });
-        return null;
+    for (const [source, sourceSnapshots] of bySource) {
+      const weight = sources ? 1 : (blend.weights[source] ?? 0);
+      if (weight <= 0) {
+        excluded.push({ source, reason: 'ZERO_WEIGHT' });
+        continue;
       }
 
-      logger.debug('Found market snapshot in database', {
-        releaseId,
-        snapshot: {
-          statLow: snapshot.statLow,
-          statMedian: snapshot.statMedian,
-          statHigh: snapshot.statHigh,
-        },
-      });
+      const priced = sourceSnapshots
+        .map((snapshot) => ({
+          snapshot,
+          value: this._snapshotStat(snapshot, stat),
+        }))
+        .filter((entry) => entry.value !== null)
+        .sort(
+          (a, b) =>
+            new Date(b.snapshot.fetchedAt) - new Date(a.snapshot.fetchedAt)
+        );
 
-      // Return the requested statistic with sensible fallbacks
-      const stat = (statistic || 'median').toLowerCase();
-      let result = null;
-
-      if (stat === 'low') {
-        result =
-          snapshot.statLow || snapshot.statMedian || snapshot.statHigh || null;
-      } else if (stat === 'high') {
-        result =
-          snapshot.statHigh || snapshot.statMedian || snapshot.statLow || null;
-      } else {
-        // Median path with fallback to low/high
-        result =
-          snapshot.statMedian || snapshot.statLow || snapshot.statHigh || null;
+      if (priced.length === 0) {
+        excluded.push({ source, reason: 'NO_DATA' });
+        continue;
       }
-      logger.debug('Returning market stat from database', {
-        releaseId,
-        statistic,
-        result,
+
+      let recent = priced.filter(
+        (entry) => ageDays(entry.snapshot.fetchedAt) <= blend.maxAgeDays
+      );
+      const stale = recent.length === 0;
+      if (stale) recent = [priced[0]];
+
+      let kept = recent;
+      if (recent.length >= 3) {
+        const center = this._median(recent.map((entry) => entry.value));
+        kept = recent.filter(
+          (entry) =>
+            Math.abs(entry.value - center) / center <= blend.outlierTolerance
+        );
+        // A split market (e.g. two clusters) leaves nothing near the median
+        if (kept.length === 0) kept = recent;
+      }
+
+      const decayed = kept.map((entry) => decay(entry.snapshot.fetchedAt));
+      const estimate =
+        kept.reduce((sum, entry, i) => sum + entry.value * decayed[i], 0) /
+        decayed.reduce((sum, d) => sum + d, 0);
+
+      const latest = kept[0].snapshot;
+      const confidence = latest.sampleSize
+        ? latest.sampleSize / (latest.sampleSize + blend.confidenceSampleSize)
+        : blend.defaultConfidence;
+      const recency = decay(latest.fetchedAt);
+
+      estimates.push({
+        source,
+        value: estimate,
+        policyWeight: weight,
+        confidence,
+        recency,
+        effectiveWeight: weight * confidence * recency,
+        snapshots: kept.length,
+        trimmed: recent.length - kept.length,
+        sampleSize: latest.sampleSize ?? null,
+        latestAt: latest.fetchedAt,
+        stale,
       });
-      return result;
-    } catch (error) {
-      logger.debug('Failed to fetch market stat from database', {
-        releaseId,
-        error: error.message,
+    }
+
+    let contributors = estimates;
+    if (estimates.length >= 3) {
+      const center = this._median(estimates.map((e) => e.value));
+      contributors = estimates.filter((estimate) => {
+        const outlier =
+          Math.abs(estimate.value - center) / center > blend.outlierTolerance;
+        if (outlier) {
+          excluded.push({ source: estimate.source, reason: 'OUTLIER' });
+        }
+        return !outlier;
       });
+    }
+
+    const totalWeight = contributors.reduce(
+      (sum, c) => sum + c.effectiveWeight,
+      0
+    );
+    if (contributors.length === 0 || totalWeight <= 0) {
       return null;
     }
+
+    const value =
+      contributors.reduce((sum, c) => sum + c.value * c.effectiveWeight, 0) /
+      totalWeight;
+
+    return {
+      value: parseFloat(value.toFixed(2)),
+      statistic: stat,
+      contributors: contributors.map((c) => ({
+        source: c.source,
+        value: parseFloat(c.value.toFixed(2)),
+        share: parseFloat((c.effectiveWeight / totalWeight).toFixed(4)),
+        policyWeight: c.policyWeight,
+        confidence: parseFloat(c.confidence.toFixed(4)),
+        recency: parseFloat(c.recency.toFixed(4)),
+        snapshots: c.snapshots,
+        trimmed: c.trimmed,
+        sampleSize: c.sampleSize,
+        latestAt: c.latestAt,
+        stale: c.stale,
+      })),
+      excluded,
+    };
   }
 
-  async _getMarketStat(releaseId, source, statistic) {
-    try {
-      const stat = statistic.toLowerCase();
+  /**
+   * Validate a policy's marketBlend settings
+   * @param {Object} blend - formula.marketBlend
+   * @throws {ApiError} If a setting is out of range
+   */
+  validateMarketBlend(blend) {
+    if (blend === undefined || blend === null) return;
+    if (typeof blend !== 'object' || Array.isArray(blend)) {
+      throw new ApiError('marketBlend must be an object', 400);
+    }
 
-      if (source === 'DISCOGS') {
-        const data = await discogsService.getPriceStatistics(
-          parseInt(releaseId)
+    const blendSources = ['DISCOGS', 'EBAY', 'MANUAL'];
+    for (const [source, weight] of Object.entries(blend.weights || {})) {
+      if (!blendSources.includes(source)) {
+        throw new ApiError(
+          `marketBlend.weights source must be one of: ${blendSources.join(', ')}`,
+          400
         );
-        return data?.[stat] || null;
       }
-
-      if (source === 'EBAY') {
-        const data = await ebayService.getPriceStatistics({ query: releaseId });
-        return data?.[stat] || null;
+      if (typeof weight !== 'number' || weight < 0) {
+        throw new ApiError(
+          `marketBlend.weights.${source} must be a non-negative number`,
+          400
+        );
       }
+    }
 
-      if (source === 'HYBRID') {
-        return await this._getHybridMarketStat(releaseId, stat);
+    for (const field of [
+      'confidenceSampleSize',
+      'halfLifeDays',
+      'maxAgeDays',
+      'outlierTolerance',
+    ]) {
+      if (
+        blend[field] !== undefined &&
+        (typeof blend[field] !== 'number' || blend[field] <= 0)
+      ) {
+        throw new ApiError(
+          `marketBlend.${field} must be a positive number`,
+          400
+        );
       }
+    }
 
-      return null;
-    } catch (error) {
-      logger.warn('Failed to fetch market stat', {
-        releaseId,
-        source,
-        error: error.message,
-      });
-      return null;
+    if (
+      blend.defaultConfidence !== undefined &&
+      (typeof blend.defaultConfidence !== 'number' ||
+        blend.defaultConfidence <= 0 ||
+        blend.defaultConfidence > 1)
+    ) {
+      throw new ApiError(
+        'marketBlend.defaultConfidence must be between 0 and 1',
+        400
+      );
     }
   }
 
   /**
-   * Get hybrid market statistic (average of Discogs and eBay)
+   * Resolve the market statistic for pricing
+   * Stored snapshots first: the requested source alone, or a HYBRID blend of
+   * all sources; a single source with no snapshots falls back to the blend.
+   * Only when nothing is stored are Discogs/eBay queried live.
    * @private
    * @param {string} releaseId
-   * @param {string} statistic
-   * @returns {Promise<number>} Average price
+   * @param {string} source - DISCOGS, EBAY, or HYBRID
+   * @param {string} statistic - low, median, or high
+   * @param {Object} blend - Policy marketBlend settings
+   * @param {boolean} live - Fall back to live Discogs/eBay lookups
+   * @returns {Promise<Object|null>} Blend result with origin (SNAPSHOTS or LIVE)
    */
-  async _getHybridMarketStat(releaseId, statistic) {
-    let discogsPrice = null;
-    let ebayPrice = null;
+  async _resolveMarketStat(releaseId, source, statistic, blend, live = true) {
+    const snapshots = await this._getMarketSnapshots(releaseId);
+    const sources = source === 'HYBRID' ? null : [source];
+
+    let market = this.blendMarketStats(snapshots, {
+      statistic,
+      blend,
+      sources,
+    });
+
+    if (!market && sources) {
+      market = this.blendMarketStats(snapshots, { statistic, blend });
+      if (market) market.fallbackFrom = source;
+    }
+
+    if (market) {
+      return { ...market, origin: 'SNAPSHOTS' };
+    }
+    if (!live) {
+      return null;
+    }
+
+    market = await this._getMarketStat(releaseId, source, statistic, blend);
+    return market ? { ...market, origin: 'LIVE' } : null;
+  }
 
+  /**
+   * Recent market snapshots for a release, newest first
+   * @private
+   * @param {string} releaseId
+   * @returns {Promise<Array<Object>>} Snapshots (empty on lookup failure)
+   */
+  async _getMarketSnapshots(releaseId) {
     try {
-      const discogsData = await discogsService.getPriceStatistics(
-        parseInt(releaseId)
-      );
-      discogsPrice = discogsData?.[statistic];
+      return await prisma.marketSnapshot.findMany({
+        where: { releaseId },
+        orderBy: { fetchedAt: 'desc' },
+        take: 50,
+      });
     } catch (error) {
-      logger.debug('Discogs data unavailable for hybrid pricing', {
+      logger.debug('Failed to fetch market snapshots from database', {
         releaseId,
+        error: error.message,
       });
+      return [];
     }
+  }
 
-    try {
-      const ebayData = await ebayService.getPriceStatistics({
-        query: releaseId,
-      });
-      ebayPrice = ebayData?.[statistic];
-    } catch (error) {
-      logger.debug('eBay data unavailable for hybrid pricing', { releaseId });
+  /**
+   * Fetch live statistics and blend them like stored snapshots
+   * @private
+   * @param {string} releaseId
+   * @param {string} source - DISCOGS, EBAY, or HYBRID
+   * @param {string} statistic - low, median, or high
+   * @param {Object} blend - Policy marketBlend settings
+   * @returns {Promise<Object|null>} Blend result
+   */
+  async _getMarketStat(releaseId, source, statistic, blend) {
+    const fetchers = {
+      DISCOGS: () => discogsService.getPriceStatistics(parseInt(releaseId)),
+      EBAY: () => ebayService.getPriceStatistics({ query: releaseId }),
+    };
+    const sources = source === 'HYBRID' ? Object.keys(fetchers) : [source];
+    const fetchedAt = new Date();
+    const snapshots = [];
+
+    for (const name of sources.filter((s) => fetchers[s])) {
+      try {
+        const data = await fetchers[name]();
+        if (data) {
+          snapshots.push({
+            source: name,
+            statLow: data.lowest ?? data.low ?? null,
+            statMedian: data.median ?? null,
+            statHigh: data.highest ?? data.high ?? null,
+            sampleSize: data.sampleSize ?? null,
+            fetchedAt,
+          });
+        }
+      } catch (error) {
+        logger.debug('Live market data unavailable', {
+          releaseId,
+          source: name,
+          error: error.message,
+        });
+      }
     }
 
-    // Return average if both available
-    if (discogsPrice && ebayPrice) {
-      return (discogsPrice + ebayPrice) / 2;
+    return this.blendMarketStats(snapshots, {
+      statistic,
+      blend,
+      sources: source === 'HYBRID' ? null : [source],
+      now: fetchedAt,
+    });
+  }
+
+  /**
+   * Requested statistic from a snapshot, falling back to the others
+   * @private
+   * @param {Object} snapshot
+   * @param {string} statistic - low, median, or high
+   * @returns {number|null} Price
+   */
+  _snapshotStat(snapshot, statistic) {
+    const order = {
+      low: ['statLow', 'statMedian', 'statHigh'],
+      high: ['statHigh', 'statMedian', 'statLow'],
+      median: ['statMedian', 'statLow', 'statHigh'],
+    }[statistic] || ['statMedian', 'statLow', 'statHigh'];
+
+    for (const field of order) {
+      const value = parseFloat(snapshot[field]);
+      if (value > 0) return value;
     }
+    return null;
+  }
+
+  /**
+   * Policy blend settings merged over the defaults
+   * @private
+   * @param {Object} blend - formula.marketBlend
+   * @returns {Object} Complete blend settings
+   */
+  _resolveMarketBlend(blend = {}) {
+    return {
+      ...this.defaults.marketBlend,
+      ...blend,
+      weights: { ...this.defaults.marketBlend.weights, ...blend?.weights },
+    };
+  }
+
+  /**
+   * Source summary recorded in a price breakdown
+   * @private
+   * @param {Object} market - Result of _resolveMarketStat
+   * @returns {Object} { origin, fallbackFrom, contributors, excluded }
+   */
+  _describeMarketSources(market) {
+    return {
+      origin: market.origin,
+      fallbackFrom: market.fallbackFrom || null,
+      contributors: market.contributors,
+      excluded: market.excluded,
+    };
+  }
 
-    // Fallback to whichever is available
-    return discogsPrice || ebayPrice || null;
+  /**
+   * @private
+   * @param {Array<number>} values
+   * @returns {number} Median
+   */
+  _median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2
+      ? sorted[mid]
+      : (sorted[mid - 1] + sorted[mid]) / 2;
   }
 
   /**
@@ -0,0 +1,416 @@
+import prisma from '../utils/db.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import logger from '../../config/logger.js';
+import pricingService from './pricingService.js';
+
+/**
+ * Submission statuses whose pending items would be re-quoted by a BUYER change
+ */
+const OPEN_SUBMISSION_STATUSES = ['PENDING_REVIEW', 'COUNTER_OFFERED'];
+
+/**
+ * Default and maximum number of lots/items priced per simulation
+ */
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 2000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Pricing Simulation Service
+ * Dry-runs a draft pricing policy before it is saved. A SELLER draft is
+ * priced against LIVE inventory lots (old = current list price); a BUYER
+ * draft against pending items in open submissions (old = current offer),
+ * with margins measured against the resale price the SELLER policy for the
+ * record would list it at. The draft stands in for the global policy, so
+ * rows priced by a release, label, genre or channel policy are reported as
+ * unaffected. Only stored market snapshots are used, so a simulation never
+ * calls Discogs or eBay.
+ */
+class PricingSimulationService {
+  /**
+   * Simulate a draft policy
+   * @param {string} type - BUYER or SELLER
+   * @param {Object} draft - { buyFormula, sellFormula, conditionCurve }
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} { type, target, summary, items }
+   */
+  async simulate(type, draft = {}, options = {}) {
+    try {
+      if (!['BUYER', 'SELLER'].includes(type)) {
+        throw new ApiError('Invalid policy type. Must be BUYER or SELLER', 400);
+      }
+
+      const formulaKey = type === 'BUYER' ? 'buyFormula' : 'sellFormula';
+      if (!draft[formulaKey] || typeof draft[formulaKey] !== 'object') {
+        throw new ApiError(`${formulaKey} is required to simulate`, 400);
+      }
+      pricingService.validateMarketBlend(draft[formulaKey].marketBlend);
+
+      const limit = Math.min(
+        Math.max(Number(options.limit) || DEFAULT_LIMIT, 1),
+        MAX_LIMIT
+      );
+      const draftPolicy = {
+        id: 'draft',
+        buyFormula: draft.buyFormula,
+        sellFormula: draft.sellFormula,
+        conditionCurve: draft.conditionCurve,
+      };
+
+      const result =
+        type === 'SELLER'
+          ? await this._simulateSellerPolicy(draftPolicy, limit)
+          : await this._simulateBuyerPolicy(draftPolicy, limit);
+
+      return { type, ...result };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error simulating pricing policy', {
+        type,
+        error: error.message,
+      });
+      throw new ApiError('Failed to simulate pricing policy', 500);
+    }
+  }
+
+  /**
+   * Reprice LIVE lots with a draft SELLER policy
+   * @private
+   * @param {Object} draftPolicy - Draft policy
+   * @param {number} limit - Max lots
+   * @returns {Promise<Object>} { target, summary, items }
+   */
+  async _simulateSellerPolicy(draftPolicy, limit) {
+    const formula = pricingService.buildSellerFormula(draftPolicy);
+    const minMargin = formula.minProfitMargin;
+
+    const [lots, total] = await Promise.all([
+      prisma.inventoryLot.findMany({
+        where: { status: 'LIVE' },
+        include: {
+          release: {
+            select: { title: true, artist: true, genre: true, label: true },
+          },
+        },
+        orderBy: { createdAt: 'asc' },
+        take: limit,
+      }),
+      prisma.inventoryLot.count({ where: { status: 'LIVE' } }),
+    ]);
+
+    const items = [];
+    for (const lot of lots) {
+      const costBasis = Number(lot.costBasis);
+      const oldPrice = Number(lot.listPrice);
+      const row = {
+        id: lot.id,
+        releaseId: lot.releaseId,
+        sku: lot.sku,
+        title: lot.release?.title || null,
+        artist: lot.release?.artist || null,
+        conditionMedia: lot.conditionMedia,
+        conditionSleeve: lot.conditionSleeve,
+        costBasis,
+        oldPrice,
+        oldMargin: this._margin(oldPrice, costBasis),
+      };
+
+      try {
+        const { resolution } = await pricingService.resolvePricingPolicy(
+          'SELLER',
+          this._policyContext(lot.releaseId, lot.release, lot.channel)
+        );
+        if (!this._draftApplies(resolution)) {
+          items.push(this._unaffected(row, resolution));
+          continue;
+        }
+
+        const quote = await pricingService.calculateSellPrice({
+          releaseId: lot.releaseId,
+          mediaCondition: lot.conditionMedia,
+          sleeveCondition: lot.conditionSleeve,
+          costBasis,
+          marketStatistic: this._statistic(formula),
+          formula,
+          liveMarketData: false,
+        });
+
+        items.push(
+          this._compare(row, quote.price, {
+            newMargin: this._margin(quote.price, costBasis),
+            floorApplied: quote.breakdown.floorApplied,
+            ceilingApplied: quote.breakdown.ceilingApplied,
+            marginViolation: !pricingService.validateMinimumMargin(
+              quote.price,
+              costBasis,
+              minMargin
+            ),
+          })
+        );
+      } catch (error) {
+        items.push({ ...row, newPrice: null, error: error.message });
+      }
+    }
+
+    return {
+      target: 'INVENTORY_LOTS',
+      summary: this._summarize(items, total, minMargin),
+      items,
+    };
+  }
+
+  /**
+   * Re-quote pending submission items with a draft BUYER policy
+   * @private
+   * @param {Object} draftPolicy - Draft policy
+   * @param {number} limit - Max items
+   * @returns {Promise<Object>} { target, summary, items }
+   */
+  async _simulateBuyerPolicy(draftPolicy, limit) {
+    const formula = pricingService.buildBuyerFormula(draftPolicy);
+    const minMargin = (await pricingService.getSellerFormula()).minProfitMargin;
+    const where = {
+      status: 'PENDING',
+      submission: { status: { in: OPEN_SUBMISSION_STATUSES } },
+    };
+
+    const [submissionItems, total] = await Promise.all([
+      prisma.submissionItem.findMany({
+        where,
+        include: {
+          release: {
+            select: { title: true, artist: true, genre: true, label: true },
+          },
+          submission: { select: { channel: true } },
+        },
+        orderBy: { createdAt: 'asc' },
+        take: limit,
+      }),
+      prisma.submissionItem.count({ where }),
+    ]);
+
+    const items = [];
+    for (const item of submissionItems) {
+      const quantity = item.quantity || 1;
+      const oldPrice = Number(item.autoOfferPrice) / quantity;
+      const row = {
+        id: item.id,
+        submissionId: item.submissionId,
+        releaseId: item.releaseId,
+        title: item.release?.title || null,
+        artist: item.release?.artist || null,
+        conditionMedia: item.sellerConditionMedia,
+        conditionSleeve: item.sellerConditionSleeve,
+        quantity,
+        oldPrice: round2(oldPrice),
+      };
+
+      try {
+        const context = this._policyContext(
+          item.releaseId,
+          item.release,
+          item.submission?.channel
+        );
+        const { resolution } = await pricingService.resolvePricingPolicy(
+          'BUYER',
+          context
+        );
+        if (!this._draftApplies(resolution)) {
+          items.push(this._unaffected(row, resolution));
+          continue;
+        }
+
+        const params = {
+          releaseId: item.releaseId,
+          mediaCondition: item.sellerConditionMedia,
+          sleeveCondition: item.sellerConditionSleeve,
+          liveMarketData: false,
+        };
+        const sellerFormula = await pricingService.getSellerFormula(context);
+        const quote = await pricingService.calculateBuyPrice({
+          ...params,
+          marketStatistic: this._statistic(formula),
+          formula,
+        });
+
+        // Resale at the market-driven list price, before the margin floor
+        // lifts it, so an offer that eats the margin shows up as a violation
+        const resale = await pricingService.calculateSellPrice({
+          ...params,
+          costBasis: quote.price || 0.01,
+          marketStatistic: this._statistic(sellerFormula),
+          formula: sellerFormula,
+        });
+        const resalePrice = resale.breakdown.beforeRounding;
+
+        items.push(
+          this._compare(row, quote.price, {
+            resalePrice,
+            oldMargin: this._margin(resalePrice, oldPrice),
+            newMargin: this._margin(resalePrice, quote.price),
+            floorApplied: quote.breakdown.floorApplied,
+            ceilingApplied: quote.breakdown.ceilingApplied,
+            marginViolation: !pricingService.validateMinimumMargin(
+              resalePrice,
+              quote.price,
+              sellerFormula.minProfitMargin
+            ),
+          })
+        );
+      } catch (error) {
+        items.push({ ...row, newPrice: null, error: error.message });
+      }
+    }
+
+    return {
+      target: 'SUBMISSION_ITEMS',
+      summary: this._summarize(items, total, minMargin),
+      items,
+    };
+  }
+
+  /**
+   * Policy resolution context for a lot or submission item
+   * @private
+   * @param {string} releaseId - Release UUID
+   * @param {Object} release - Release ({ genre, label }), if loaded
+   * @param {string} channel - Lot or submission channel
+   * @returns {Object} { releaseId, genre, label, channel }
+   */
+  _policyContext(releaseId, release, channel) {
+    return {
+      releaseId,
+      genre: release?.genre ?? null,
+      label: release?.label ?? null,
+      channel: channel || undefined,
+    };
+  }
+
+  /**
+   * Whether a draft global policy would price a row
+   * Release, label, genre and channel policies win over the global one.
+   * @private
+   * @param {Object} resolution - From pricingService.resolvePricingPolicy
+   * @returns {boolean} True when the row falls through to the global policy
+   */
+  _draftApplies(resolution) {
+    return ['GLOBAL', 'DEFAULT'].includes(resolution.matchedBy);
+  }
+
+  /**
+   * Row the draft would not reprice, with the policy that keeps it
+   * @private
+   * @param {Object} row - Row with oldPrice
+   * @param {Object} resolution - Winning policy resolution
+   * @returns {Object} Row
+   */
+  _unaffected(row, resolution) {
+    return {
+      ...row,
+      newPrice: row.oldPrice,
+      change: 0,
+      changePercent: 0,
+      unaffected: true,
+      pricedBy: resolution,
+    };
+  }
+
+  /**
+   * Add the new price and its change to a row
+   * @private
+   * @param {Object} row - Row with oldPrice
+   * @param {number} newPrice - Simulated price
+   * @param {Object} extra - Margin and constraint flags
+   * @returns {Object} Row
+   */
+  _compare(row, newPrice, extra) {
+    const change = round2(newPrice - row.oldPrice);
+    return {
+      ...row,
+      newPrice,
+      change,
+      changePercent:
+        row.oldPrice > 0 ? round2((change / row.oldPrice) * 100) : null,
+      ...extra,
+    };
+  }
+
+  /**
+   * Aggregate simulated rows
+   * Totals are per unit; margins are averaged over priced rows. Rows kept
+   * by another policy are counted as unaffected and left out of the totals.
+   * @private
+   * @param {Array<Object>} items - Rows
+   * @param {number} total - Rows in scope, before the limit
+   * @param {number} minMargin - Minimum profit margin checked
+   * @returns {Object} Summary
+   */
+  _summarize(items, total, minMargin) {
+    const affected = items.filter((item) => !item.unaffected);
+    const priced = affected.filter((item) => item.newPrice !== null);
+    const sum = (values) => values.reduce((acc, v) => acc + v, 0);
+    const average = (values) =>
+      values.length > 0 ? round2(sum(values) / values.length) : null;
+
+    const oldMargins = priced
+      .map((item) => item.oldMargin)
+      .filter((m) => m !== null);
+    const newMargins = priced
+      .map((item) => item.newMargin)
+      .filter((m) => m !== null);
+    const avgMarginOld = average(oldMargins);
+    const avgMarginNew = average(newMargins);
+    const oldTotal = round2(sum(priced.map((item) => item.oldPrice)));
+    const newTotal = round2(sum(priced.map((item) => item.newPrice)));
+
+    return {
+      inScope: total,
+      evaluated: items.length,
+      truncated: total > items.length,
+      unaffected: items.length - affected.length,
+      priced: priced.length,
+      unpriced: affected.length - priced.length,
+      increased: priced.filter((item) => item.change > 0).length,
+      decreased: priced.filter((item) => item.change < 0).length,
+      unchanged: priced.filter((item) => item.change === 0).length,
+      oldTotal,
+      newTotal,
+      totalChange: round2(newTotal - oldTotal),
+      avgMarginOld,
+      avgMarginNew,
+      marginChange:
+        avgMarginOld === null || avgMarginNew === null
+          ? null
+          : round2(avgMarginNew - avgMarginOld),
+      floorHits: priced.filter((item) => item.floorApplied).length,
+      ceilingHits: priced.filter((item) => item.ceilingApplied).length,
+      minProfitMargin: minMargin,
+      marginViolations: priced.filter((item) => item.marginViolation).length,
+    };
+  }
+
+  /**
+   * Margin over cost, in percent
+   * @private
+   * @param {number} price - Sell price
+   * @param {number} cost - Cost (cost basis or offer)
+   * @returns {number|null} Margin percent
+   */
+  _margin(price, cost) {
+    if (!cost || cost <= 0) return null;
+    return round2(pricingService.calculateProfitMargin(price, cost));
+  }
+
+  /**
+   * Price statistic a formula prices from
+   * @private
+   * @param {Object} formula - Normalized formula
+   * @returns {string} low, median, or high
+   */
+  _statistic(formula) {
+    return formula.priceStatistic?.toLowerCase() || 'median';
+  }
+}
+
+export default new PricingSimulationService();
@@ -0,0 +1,855 @@
+import prisma from '../utils/db.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import logger from '../../config/logger.js';
+
+const PROMOTION_TYPES = ['PERCENT_OFF', 'FIXED_OFF', 'FREE_SHIPPING'];
+
+/**
+ * Order statuses with captured payment, counted in redemption reports
+ */
+const REDEEMED_ORDER_STATUSES = [
+  'PAYMENT_CONFIRMED',
+  'PROCESSING',
+  'SHIPPED',
+  'DELIVERED',
+  'REFUNDED',
+];
+
+/**
+ * Order statuses whose redemption no longer uses up the code: the checkout
+ * was abandoned or never paid
+ */
+const RELEASED_ORDER_STATUSES = ['CANCELLED', 'PAYMENT_FAILED'];
+
+/**
+ * Codes are stored uppercase; letters, digits, dashes and underscores
+ */
+const CODE_PATTERN = /^[A-Z0-9_-]{3,50}$/;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// priceAtPurchase is per unit; a cart line can hold several units of a lot
+const lineTotal = (item) => Number(item.priceAtPurchase) * (item.quantity || 1);
+
+/**
+ * Promotion Service
+ * Admin-managed discount codes: percent or fixed amount off, or free
+ * shipping, optionally scoped to genres and/or labels, with a minimum
+ * subtotal, usage limits and an active window. Codes are attached to a
+ * cart and re-evaluated on every recalculation; a redemption is claimed
+ * when checkout starts and confirmed once payment is.
+ */
+class PromotionService {
+  // ============================================================================
+  // EVALUATION
+  // ============================================================================
+
+  /**
+   * Find a promotion by its code (case-insensitive)
+   * @param {string} code - Promo code
+   * @returns {Promise<Object|null>} Promotion, or null if not found
+   */
+  async findByCode(code) {
+    try {
+      const normalized = this.normalizeCode(code);
+      if (!normalized) {
+        return null;
+      }
+
+      return await prisma.promotion.findUnique({
+        where: { code: normalized },
+      });
+    } catch (error) {
+      logger.error('Error finding promotion', { code, error: error.message });
+      throw new ApiError('Failed to look up promo code', 500);
+    }
+  }
+
+  /**
+   * Check that a promotion can still be redeemed by a buyer: active, inside
+   * its window and under its usage limits. Redemptions on the given order
+   * are not counted against the limits.
+   * @param {Object} promotion - Promotion
+   * @param {string} buyerEmail - Buyer email
+   * @param {string} orderId - Order the code is applied to (optional)
+   * @returns {Promise<string|null>} Reason the code is unavailable, or null
+   */
+  async getUnavailableReason(promotion, buyerEmail, orderId = null) {
+    try {
+      const windowReason = this.checkWindow(promotion);
+      if (windowReason) {
+        return windowReason;
+      }
+
+      return await this._usageLimitReason(
+        prisma,
+        promotion,
+        buyerEmail,
+        orderId
+      );
+    } catch (error) {
+      logger.error('Error checking promotion availability', {
+        promotionId: promotion?.id,
+        error: error.message,
+      });
+      throw new ApiError('Failed to check promo code', 500);
+    }
+  }
+
+  /**
+   * Check a promotion's active flag and start/expiry window
+   * @param {Object} promotion - Promotion
+   * @param {Date} now - Evaluation time (default: now)
+   * @returns {string|null} Reason the code is unavailable, or null
+   */
+  checkWindow(promotion, now = new Date()) {
+    if (!promotion.isActive) {
+      return 'This promo code is no longer active';
+    }
+    if (promotion.startsAt && new Date(promotion.startsAt) > now) {
+      return 'This promo code is not active yet';
+    }
+    if (promotion.expiresAt && new Date(promotion.expiresAt) <= now) {
+      return 'This promo code has expired';
+    }
+    return null;
+  }
+
+  /**
+   * Calculate the discount a promotion gives a cart
+   * Percent and fixed discounts apply to eligible items only (a fixed amount
+   * is split across them by price); free shipping needs at least one
+   * eligible item.
+   * @param {Object} promotion - Promotion
+   * @param {Object} cart - Cart contents
+   * @param {Array<Object>} cart.items - Order items with inventoryLot.release
+   * @param {number} cart.shipping - Shipping charge
+   * @returns {Object} Discount breakdown; `applied` is false with a `reason`
+   * when the cart does not qualify
+   */
+  calculateDiscount(promotion, { items, shipping }) {
+    const breakdown = {
+      promotionId: promotion.id,
+      code: promotion.code,
+      type: promotion.type,
+      description: promotion.description || null,
+      applied: false,
+      reason: null,
+      eligibleSubtotal: 0,
+      itemDiscount: 0,
+      shippingDiscount: 0,
+      totalDiscount: 0,
+      lines: [],
+    };
+
+    const eligibleItems = items.filter((item) =>
+      this.isItemEligible(promotion, item)
+    );
+    if (eligibleItems.length === 0) {
+      breakdown.reason = 'No items in your cart qualify for this promo code';
+      return breakdown;
+    }
+
+    const eligibleSubtotal = round2(
+      eligibleItems.reduce((sum, item) => sum + lineTotal(item), 0)
+    );
+    breakdown.eligibleSubtotal = eligibleSubtotal;
+
+    const minSubtotal = Number(promotion.minSubtotal || 0);
+    if (eligibleSubtotal < minSubtotal) {
+      breakdown.reason = `Add $${(minSubtotal - eligibleSubtotal).toFixed(2)} of qualifying items to use this promo code`;
+      return breakdown;
+    }
+
+    if (promotion.type === 'FREE_SHIPPING') {
+      breakdown.shippingDiscount = round2(Number(shipping) || 0);
+    } else {
+      breakdown.lines = this._allocateItemDiscount(
+        promotion,
+        eligibleItems,
+        eligibleSubtotal
+      );
+      breakdown.itemDiscount = round2(
+        breakdown.lines.reduce((sum, line) => sum + line.amount, 0)
+      );
+    }
+
+    breakdown.applied = true;
+    breakdown.totalDiscount = round2(
+      breakdown.itemDiscount + breakdown.shippingDiscount
+    );
+    return breakdown;
+  }
+
+  /**
+   * Whether an order item falls within a promotion's genre/label scope
+   * An empty scope list matches everything; matching is case-insensitive
+   * @param {Object} promotion - Promotion with genres and labels
+   * @param {Object} item - Order item with inventoryLot.release
+   * @returns {boolean}
+   */
+  isItemEligible(promotion, item) {
+    const release = item.inventoryLot?.release || {};
+    const matches = (scope, value) =>
+      !scope?.length ||
+      scope.some(
+        (entry) => entry.toLowerCase() === String(value || '').toLowerCase()
+      );
+
+    return (
+      matches(promotion.genres, release.genre) &&
+      matches(promotion.labels, release.label)
+    );
+  }
+
+  /**
+   * Claim a use of the order's promo code as checkout starts
+   * The promotion row is locked while the uses are counted and the
+   * redemption written, so two checkouts can't both take the last use.
+   * @param {Object} order - Order with promotionId, discount and discountBreakdown
+   * @returns {Promise<string|null>} Reason the code is unavailable, or null
+   * once the use is claimed (or no promotion applied)
+   */
+  async claimRedemption(order) {
+    if (!order.promotionId || !order.discountBreakdown?.applied) {
+      return null;
+    }
+
+    try {
+      return await prisma.$transaction(async (tx) => {
+        await tx.$queryRaw`
+          SELECT id FROM promotions WHERE id = ${order.promotionId}::uuid FOR UPDATE
+        `;
+        const promotion = await tx.promotion.findUnique({
+          where: { id: order.promotionId },
+        });
+
+        const reason =
+          this.checkWindow(promotion) ||
+          (await this._usageLimitReason(
+            tx,
+            promotion,
+            order.buyerEmail,
+            order.id
+          ));
+        if (reason) {
+          return reason;
+        }
+
+        await tx.promotionRedemption.upsert({
+          where: {
+            promotionId_orderId: {
+              promotionId: order.promotionId,
+              orderId: order.id,
+            },
+          },
+          create: {
+            promotionId: order.promotionId,
+            orderId: order.id,
+            buyerEmail: order.buyerEmail,
+            discountAmount: order.discount,
+          },
+          update: {
+            buyerEmail: order.buyerEmail,
+            discountAmount: order.discount,
+          },
+        });
+        return null;
+      });
+    } catch (error) {
+      logger.error('Error claiming promotion redemption', {
+        orderId: order.id,
+        promotionId: order.promotionId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to claim promo code', 500);
+    }
+  }
+
+  /**
+   * Give back a use claimed by a checkout that didn't go ahead
+   * @param {string} orderId - Order ID
+   * @returns {Promise<void>}
+   */
+  async releaseRedemption(orderId) {
+    try {
+      await prisma.promotionRedemption.deleteMany({ where: { orderId } });
+    } catch (error) {
+      logger.error('Error releasing promotion redemption', {
+        orderId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Record a redemption for a paid order (idempotent per order)
+   * @param {Object} order - Order with promotionId, discount and discountBreakdown
+   * @returns {Promise<Object|null>} Redemption, or null if no promotion applied
+   */
+  async recordRedemption(order) {
+    try {
+      if (!order.promotionId || !order.discountBreakdown?.applied) {
+        return null;
+      }
+
+      const redemption = await prisma.promotionRedemption.upsert({
+        where: {
+          promotionId_orderId: {
+            promotionId: order.promotionId,
+            orderId: order.id,
+          },
+        },
+        create: {
+          promotionId: order.promotionId,
+          orderId: order.id,
+          buyerEmail: order.buyerEmail,
+          discountAmount: order.discount,
+        },
+        update: {},
+      });
+
+      logger.info('Promotion redeemed', {
+        promotionId: order.promotionId,
+        orderId: order.id,
+        discount: Number(order.discount),
+      });
+
+      return redemption;
+    } catch (error) {
+      logger.error('Error recording promotion redemption', {
+        orderId: order?.id,
+        error: error.message,
+      });
+      throw new ApiError('Failed to record promotion redemption', 500);
+    }
+  }
+
+  /**
+   * Normalize a promo code for lookup and storage
+   * @param {string} code - Raw code
+   * @returns {string} Uppercase, trimmed code
+   */
+  normalizeCode(code) {
+    return String(code || '')
+      .trim()
+      .toUpperCase();
+  }
+
+  // ============================================================================
+  // ADMIN MANAGEMENT
+  // ============================================================================
+
+  /**
+   * List promotions with redemption counts
+   * @param {Object} options - {active, page, limit}
+   * @returns {Promise<Object>} {promotions, pagination}
+   */
+  async listPromotions(options = {}) {
+    try {
+      const page = Math.max(parseInt(options.page, 10) || 1, 1);
+      const limit = Math.min(
+        Math.max(parseInt(options.limit, 10) || 20, 1),
+        100
+      );
+
+      const where = {};
+      if (options.active !== undefined) {
+        where.isActive = options.active === true || options.active === 'true';
+      }
+
+      const [promotions, total] = await Promise.all([
+        prisma.promotion.findMany({
+          where,
+          include: { _count: { select: { redemptions: true } } },
+          orderBy: { createdAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        prisma.promotion.count({ where }),
+      ]);
+
+      return {
+        promotions: promotions.map((promotion) =>
+          this._formatPromotion(promotion)
+        ),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error listing promotions', { error: error.message });
+      throw new ApiError('Failed to list promotions', 500);
+    }
+  }
+
+  /**
+   * Get a promotion by ID
+   * @param {string} promotionId - Promotion ID
+   * @returns {Promise<Object>} Promotion with redemption count
+   */
+  async getPromotion(promotionId) {
+    try {
+      const promotion = await prisma.promotion.findUnique({
+        where: { id: promotionId },
+        include: { _count: { select: { redemptions: true } } },
+      });
+
+      if (!promotion) {
+        throw new ApiError('Promotion not found', 404);
+      }
+
+      return this._formatPromotion(promotion);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error getting promotion', {
+        promotionId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to get promotion', 500);
+    }
+  }
+
+  /**
+   * Create a promotion
+   * @param {Object} data - Promotion fields
+   * @param {string} adminId - Admin creating the promotion
+   * @returns {Promise<Object>} Created promotion
+   */
+  async createPromotion(data, adminId = null) {
+    try {
+      const values = this._validatePromotion(data);
+
+      const existing = await prisma.promotion.findUnique({
+        where: { code: values.code },
+      });
+      if (existing) {
+        throw new ApiError(`Promo code ${values.code} already exists`, 409);
+      }
+
+      const promotion = await prisma.promotion.create({
+        data: { ...values, createdBy: adminId },
+      });
+
+      logger.info('Promotion created', {
+        promotionId: promotion.id,
+        code: promotion.code,
+        type: promotion.type,
+        adminId,
+      });
+
+      return this._formatPromotion(promotion);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error creating promotion', { error: error.message });
+      throw new ApiError('Failed to create promotion', 500);
+    }
+  }
+
+  /**
+   * Update a promotion
+   * The code and type cannot change once the promotion has been redeemed.
+   * Carts holding the code pick up changes on their next recalculation.
+   * @param {string} promotionId - Promotion ID
+   * @param {Object} data - Fields to change
+   * @param {string} adminId - Admin making the change
+   * @returns {Promise<Object>} Updated promotion
+   */
+  async updatePromotion(promotionId, data, adminId = null) {
+    try {
+      const existing = await prisma.promotion.findUnique({
+        where: { id: promotionId },
+        include: { _count: { select: { redemptions: true } } },
+      });
+
+      if (!existing) {
+        throw new ApiError('Promotion not found', 404);
+      }
+
+      const values = this._validatePromotion({
+        ...this._formatPromotion(existing),
+        ...data,
+      });
+
+      if (
+        existing._count.redemptions > 0 &&
+        (values.code !== existing.code || values.type !== existing.type)
+      ) {
+        throw new ApiError(
+          'Code and type cannot change after a promotion has been redeemed',
+          409
+        );
+      }
+
+      if (values.code !== existing.code) {
+        const duplicate = await prisma.promotion.findUnique({
+          where: { code: values.code },
+        });
+        if (duplicate) {
+          throw new ApiError(`Promo code ${values.code} already exists`, 409);
+        }
+      }
+
+      const promotion = await prisma.promotion.update({
+        where: { id: promotionId },
+        data: values,
+        include: { _count: { select: { redemptions: true } } },
+      });
+
+      logger.info('Promotion updated', {
+        promotionId,
+        code: promotion.code,
+        fields: Object.keys(data),
+        adminId,
+      });
+
+      return this._formatPromotion(promotion);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error updating promotion', {
+        promotionId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to update promotion', 500);
+    }
+  }
+
+  /**
+   * Deactivate a promotion
+   * Promotions are never deleted so redemption history is kept
+   * @param {string} promotionId - Promotion ID
+   * @param {string} adminId - Admin making the change
+   * @returns {Promise<Object>} Deactivated promotion
+   */
+  async deactivatePromotion(promotionId, adminId = null) {
+    return this.updatePromotion(promotionId, { isActive: false }, adminId);
+  }
+
+  // ============================================================================
+  // REPORTING
+  // ============================================================================
+
+  /**
+   * Redemption report per promotion for a date range
+   * @param {Object} options - {startDate, endDate, promotionId}
+   * @returns {Promise<Object>} {startDate, endDate, promotions, totals}
+   */
+  async getRedemptionReport(options = {}) {
+    try {
+      const endDate = options.endDate ? new Date(options.endDate) : new Date();
+      const startDate = options.startDate
+        ? new Date(options.startDate)
+        : new Date(endDate.getFullYear(), endDate.getMonth(), 1);
+
+      if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+        throw new ApiError('startDate and endDate must be valid dates', 400);
+      }
+      if (startDate > endDate) {
+        throw new ApiError('startDate must be before endDate', 400);
+      }
+
+      const where = {
+        createdAt: { gte: startDate, lte: endDate },
+        order: { status: { in: REDEEMED_ORDER_STATUSES } },
+      };
+      if (options.promotionId) {
+        where.promotionId = options.promotionId;
+      }
+
+      const redemptions = await prisma.promotionRedemption.findMany({
+        where,
+        include: {
+          promotion: { select: { code: true, type: true } },
+          order: { select: { subtotal: true, total: true, status: true } },
+        },
+      });
+
+      return {
+        startDate,
+        endDate,
+        ...this.summarizeRedemptions(redemptions),
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error building promotion report', {
+        error: error.message,
+      });
+      throw new ApiError('Failed to build promotion report', 500);
+    }
+  }
+
+  /**
+   * Group redemptions by promotion
+   * @param {Array<Object>} redemptions - Redemptions with promotion and order
+   * @returns {Object} {promotions, totals}
+   */
+  summarizeRedemptions(redemptions) {
+    const promotions = new Map();
+    const totals = { redemptions: 0, totalDiscount: 0, netSales: 0 };
+
+    for (const redemption of redemptions) {
+      if (!promotions.has(redemption.promotionId)) {
+        promotions.set(redemption.promotionId, {
+          promotionId: redemption.promotionId,
+          code: redemption.promotion?.code,
+          type: redemption.promotion?.type,
+          redemptions: 0,
+          buyers: new Set(),
+          totalDiscount: 0,
+          grossSales: 0,
+          netSales: 0,
+          refundedOrders: 0,
+        });
+      }
+
+      const entry = promotions.get(redemption.promotionId);
+      const discount = Number(redemption.discountAmount);
+      const netSales = Number(redemption.order?.total || 0);
+
+      entry.redemptions++;
+      entry.buyers.add(redemption.buyerEmail);
+      entry.totalDiscount = round2(entry.totalDiscount + discount);
+      entry.grossSales = round2(
+        entry.grossSales + Number(redemption.order?.subtotal || 0)
+      );
+      entry.netSales = round2(entry.netSales + netSales);
+      if (redemption.order?.status === 'REFUNDED') {
+        entry.refundedOrders++;
+      }
+
+      totals.redemptions++;
+      totals.totalDiscount = round2(totals.totalDiscount + discount);
+      totals.netSales = round2(totals.netSales + netSales);
+    }
+
+    return {
+      promotions: [...promotions.values()]
+        .map(({ buyers, ...entry }) => ({
+          ...entry,
+          uniqueBuyers: buyers.size,
+          averageDiscount: round2(entry.totalDiscount / entry.redemptions),
+        }))
+        .sort((a, b) => b.totalDiscount - a.totalDiscount),
+      totals,
+    };
+  }
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  /**
+   * Count the uses other orders hold against a promotion's limits
+   * Redemptions of cancelled or failed checkouts don't count.
+   * @private
+   */
+  async _usageLimitReason(client, promotion, buyerEmail, orderId = null) {
+    if (!promotion.maxRedemptions && !promotion.maxRedemptionsPerBuyer) {
+      return null;
+    }
+
+    const where = {
+      promotionId: promotion.id,
+      order: { status: { notIn: RELEASED_ORDER_STATUSES } },
+    };
+    if (orderId) {
+      where.orderId = { not: orderId };
+    }
+
+    const [redemptionCount, buyerRedemptionCount] = await Promise.all([
+      client.promotionRedemption.count({ where }),
+      client.promotionRedemption.count({
+        where: { ...where, buyerEmail },
+      }),
+    ]);
+
+    if (
+      promotion.maxRedemptions &&
+      redemptionCount >= promotion.maxRedemptions
+    ) {
+      return 'This promo code has reached its usage limit';
+    }
+    if (
+      promotion.maxRedemptionsPerBuyer &&
+      buyerRedemptionCount >= promotion.maxRedemptionsPerBuyer
+    ) {
+      return 'You have already used this promo code';
+    }
+
+    return null;
+  }
+
+  /**
+   * Split a promotion's item discount across eligible items
+   * Fixed amounts are capped at the eligible subtotal and split by price,
+   * with rounding pennies landing on the last line
+   * @private
+   */
+  _allocateItemDiscount(promotion, eligibleItems, eligibleSubtotal) {
+    const value = Number(promotion.value);
+
+    if (promotion.type === 'PERCENT_OFF') {
+      return eligibleItems.map((item) => ({
+        orderItemId: item.id,
+        inventoryLotId: item.inventoryLotId,
+        amount: round2((lineTotal(item) * value) / 100),
+      }));
+    }
+
+    const discount = Math.min(value, eligibleSubtotal);
+    let remaining = round2(discount);
+
+    return eligibleItems.map((item, index) => {
+      let amount = remaining;
+      if (index < eligibleItems.length - 1) {
+        amount = round2((discount * lineTotal(item)) / eligibleSubtotal);
+        remaining = round2(remaining - amount);
+      }
+      return {
+        orderItemId: item.id,
+        inventoryLotId: item.inventoryLotId,
+        amount,
+      };
+    });
+  }
+
+  /**
+   * Validate promotion fields and map them to model values
+   * @private
+   */
+  _validatePromotion(data) {
+    const code = this.normalizeCode(data.code);
+    if (!CODE_PATTERN.test(code)) {
+      throw new ApiError(
+        'code must be 3-50 letters, digits, dashes or underscores',
+        400
+      );
+    }
+
+    if (!PROMOTION_TYPES.includes(data.type)) {
+      throw new ApiError(
+        `type must be one of: ${PROMOTION_TYPES.join(', ')}`,
+        400
+      );
+    }
+
+    let value = 0;
+    if (data.type !== 'FREE_SHIPPING') {
+      value = Number(data.value);
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new ApiError('value must be a positive number', 400);
+      }
+      if (data.type === 'PERCENT_OFF' && value > 100) {
+        throw new ApiError('value must be at most 100 for PERCENT_OFF', 400);
+      }
+    }
+
+    const minSubtotal = this._parseOptionalNumber(
+      data.minSubtotal,
+      'minSubtotal'
+    );
+    const maxRedemptions = this._parseOptionalLimit(
+      data.maxRedemptions,
+      'maxRedemptions'
+    );
+    const maxRedemptionsPerBuyer = this._parseOptionalLimit(
+      data.maxRedemptionsPerBuyer,
+      'maxRedemptionsPerBuyer'
+    );
+    const startsAt = this._parseOptionalDate(data.startsAt, 'startsAt');
+    const expiresAt = this._parseOptionalDate(data.expiresAt, 'expiresAt');
+
+    if (startsAt && expiresAt && startsAt >= expiresAt) {
+      throw new ApiError('startsAt must be before expiresAt', 400);
+    }
+
+    return {
+      code,
+      description: data.description || null,
+      type: data.type,
+      value,
+      genres: this._parseScope(data.genres, 'genres'),
+      labels: this._parseScope(data.labels, 'labels'),
+      minSubtotal,
+      maxRedemptions,
+      maxRedemptionsPerBuyer,
+      startsAt,
+      expiresAt,
+      isActive: data.isActive !== undefined ? Boolean(data.isActive) : true,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _parseScope(values, field) {
+    if (values === undefined || values === null) {
+      return [];
+    }
+    if (!Array.isArray(values)) {
+      throw new ApiError(`${field} must be an array`, 400);
+    }
+    return values.map((value) => String(value).trim()).filter(Boolean);
+  }
+
+  /**
+   * @private
+   */
+  _parseOptionalNumber(value, field) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new ApiError(`${field} must be a non-negative number`, 400);
+    }
+    return number;
+  }
+
+  /**
+   * @private
+   */
+  _parseOptionalLimit(value, field) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new ApiError(`${field} must be a positive integer`, 400);
+    }
+    return number;
+  }
+
+  /**
+   * @private
+   */
+  _parseOptionalDate(value, field) {
+    if (!value) {
+      return null;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new ApiError(`${field} must be a valid date`, 400);
+    }
+    return date;
+  }
+
+  /**
+   * @private
+   */
+  _formatPromotion(promotion) {
+    const { _count, ...rest } = promotion;
+    return {
+      ...rest,
+      value: Number(promotion.value),
+      minSubtotal: promotion.minSubtotal ? Number(promotion.minSubtotal) : null,
+      redemptionCount: _count?.redemptions ?? 0,
+    };
+  }
+}
+
+export default new PromotionService();
@@ -3,6 +3,21 @@ import { ApiError } from '../middleware/errorHandler.js';
 import logger from '../../config/logger.js';
 import { getCached, setCached } from '../utils/cache.js';
 
+/**
+ * A/B test variants served by the recommendation endpoints
+ */
+const RECOMMENDATION_VARIANTS = ['control', 'experimental'];
+
+/**
+ * Order statuses that count as a completed purchase for attribution
+ */
+const PURCHASED_ORDER_STATUSES = [
+  'PAYMENT_CONFIRMED',
+  'PROCESSING',
+  'SHIPPED',
+  'DELIVERED',
+];
+
 /**
  * Recommendation Service
  * Provides recommendation algorithms including similar items, personalized, and new arrivals
@@ -382,6 +397,73 @@ class RecommendationService {
     }
   }
 
+  /**
+   * Record that a recommendation variant was shown to a buyer
+   * Impressions are the denominator for click-through rate
+   *
+   * @param {Object} impressionData - Impression tracking data
+   * @param {string} impressionData.recommendationTrackingId - Tracking ID
+   * @param {string} impressionData.variantName - Variant that was shown
+   * @param {Array<string>} impressionData.itemIds - Inventory lot IDs shown
+   * @param {string} impressionData.releaseId - Release the recommendations were for
+   * @param {string} impressionData.algorithm - Algorithm that produced the list
+   * @param {string} impressionData.buyerId - Buyer identifier
+   * @returns {Promise<Object>} Impression recorded
+   */
+  async recordRecommendationImpression(impressionData) {
+    try {
+      const {
+        recommendationTrackingId,
+        variantName,
+        itemIds = [],
+        releaseId = null,
+        algorithm = null,
+        buyerId = null,
+      } = impressionData;
+
+      if (!recommendationTrackingId || !variantName) {
+        throw new ApiError('trackingId and variant are required', 400);
+      }
+
+      this._validateVariant(variantName);
+
+      if (!Array.isArray(itemIds)) {
+        throw new ApiError('itemIds must be an array', 400);
+      }
+
+      const impression = await prisma.recommendationImpression.create({
+        data: {
+          trackingId: recommendationTrackingId,
+          variant: variantName,
+          algorithm,
+          sourceReleaseId: releaseId,
+          itemIds,
+          buyerId,
+        },
+      });
+
+      logger.debug('Recommendation impression recorded', {
+        trackingId: recommendationTrackingId,
+        variant: variantName,
+        itemCount: itemIds.length,
+      });
+
+      return {
+        success: true,
+        id: impression.id,
+        trackingId: recommendationTrackingId,
+        variant: variantName,
+        recordedAt: impression.createdAt,
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error recording recommendation impression', {
+        error: error.message,
+      });
+      throw new ApiError('Failed to record impression', 500);
+    }
+  }
+
   /**
    * Record recommendation click for conversion tracking
    * Used for A/B testing and analytics
@@ -402,21 +484,40 @@ class RecommendationService {
         throw new ApiError('trackingId, variant, and itemId are required', 400);
       }
 
-      // In production, this would write to a RecommendationClick model
+      this._validateVariant(variantName);
+
+      const lot = await prisma.inventoryLot.findUnique({
+        where: { id: itemId },
+        select: { id: true },
+      });
+
+      if (!lot) {
+        throw new ApiError('Recommended item not found', 404);
+      }
+
+      const click = await prisma.recommendationClick.create({
+        data: {
+          trackingId: recommendationTrackingId,
+          variant: variantName,
+          inventoryLotId: itemId,
+          buyerId: buyerId || null,
+        },
+      });
+
       logger.info('Recommendation click recorded', {
         trackingId: recommendationTrackingId,
         variant: variantName,
         itemId,
         buyerId: buyerId || 'anonymous',
-        timestamp: new Date(),
       });
 
       return {
         success: true,
+        id: click.id,
         trackingId: recommendationTrackingId,
         variant: variantName,
         itemId,
-        recordedAt: new Date(),
+        recordedAt: click.createdAt,
       };
     } catch (error) {
       if (error instanceof ApiError) throw error;
@@ -427,6 +528,260 @@ class RecommendationService {
     }
   }
 
+  /**
+   * Build A/B conversion report per recommendation variant
+   * Repeat clicks on the same item from the same impression count once. A
+   * click converts when the same buyer (matched on the order's buyer ID,
+   * email or cart session) buys the clicked lot within the attribution
+   * window; each purchase goes to the buyer's latest qualifying click, so a
+   * multi-unit lot bought by someone else never converts it. Anonymous
+   * clicks count towards CTR but cannot convert.
+   *
+   * @param {Object} options - Report options
+   * @param {Date} options.startDate - Start of reporting range
+   * @param {Date} options.endDate - End of reporting range
+   * @param {number} options.attributionDays - Days after a click a purchase still counts (default: 7)
+   * @param {string} options.baseline - Variant the others are compared against (default: control)
+   * @returns {Promise<Object>} CTR, conversion rate and significance per variant
+   */
+  async getVariantReport(options = {}) {
+    try {
+      const {
+        startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+        endDate = new Date(),
+        attributionDays = 7,
+        baseline = 'control',
+      } = options;
+
+      if (
+        Number.isNaN(startDate.getTime()) ||
+        Number.isNaN(endDate.getTime())
+      ) {
+        throw new ApiError('Invalid date range', 400);
+      }
+      if (startDate > endDate) {
+        throw new ApiError('startDate must be before endDate', 400);
+      }
+      if (!Number.isFinite(attributionDays) || attributionDays < 0) {
+        throw new ApiError('attributionDays must be a positive number', 400);
+      }
+
+      this._validateVariant(baseline);
+
+      const createdAt = { gte: startDate, lte: endDate };
+
+      const [impressionCounts, clickRows] = await Promise.all([
+        prisma.recommendationImpression.groupBy({
+          by: ['variant'],
+          where: { createdAt },
+          _count: { id: true },
+        }),
+        prisma.recommendationClick.findMany({
+          where: { createdAt },
+          select: {
+            id: true,
+            trackingId: true,
+            variant: true,
+            inventoryLotId: true,
+            buyerId: true,
+            createdAt: true,
+          },
+          orderBy: { createdAt: 'asc' },
+        }),
+      ]);
+      const clicks = this._dedupeClicks(clickRows);
+
+      // Purchases of clicked lots, joined through order_items
+      const clickedLotIds = [...new Set(clicks.map((c) => c.inventoryLotId))];
+      let purchases = [];
+      if (clickedLotIds.length > 0) {
+        purchases = await prisma.orderItem.findMany({
+          where: {
+            inventoryLotId: { in: clickedLotIds },
+            order: { status: { in: PURCHASED_ORDER_STATUSES } },
+          },
+          select: {
+            id: true,
+            inventoryLotId: true,
+            priceAtPurchase: true,
+            quantity: true,
+            order: {
+              select: {
+                buyerId: true,
+                buyerEmail: true,
+                sessionId: true,
+                createdAt: true,
+                paymentConfirmedAt: true,
+              },
+            },
+          },
+        });
+      }
+
+      const conversions = this._attributeConversions(
+        clicks,
+        purchases,
+        attributionDays * 24 * 60 * 60 * 1000
+      );
+      const stats = {};
+      RECOMMENDATION_VARIANTS.forEach((variant) => {
+        stats[variant] = {
+          impressions: 0,
+          clicks: 0,
+          conversions: 0,
+          revenue: 0,
+        };
+      });
+
+      impressionCounts.forEach((group) => {
+        if (stats[group.variant]) {
+          stats[group.variant].impressions = group._count.id;
+        }
+      });
+
+      clicks.forEach((click) => {
+        const variantStats = stats[click.variant];
+        if (!variantStats) return;
+
+        variantStats.clicks += 1;
+
+        const converted = conversions.get(click.id) || [];
+        if (converted.length > 0) {
+          variantStats.conversions += 1;
+          converted.forEach((purchase) => {
+            variantStats.revenue +=
+              Number(purchase.priceAtPurchase) * purchase.quantity;
+          });
+        }
+      });
+
+      const baselineStats = stats[baseline];
+      const variants = RECOMMENDATION_VARIANTS.map((variant) => {
+        const {
+          impressions,
+          clicks: clickCount,
+          conversions,
+          revenue,
+        } = stats[variant];
+
+        let significance = null;
+        if (variant !== baseline) {
+          significance = {
+            ctr: this._twoProportionZTest(
+              baselineStats.clicks,
+              baselineStats.impressions,
+              clickCount,
+              impressions
+            ),
+            conversionRate: this._twoProportionZTest(
+              baselineStats.conversions,
+              baselineStats.clicks,
+              conversions,
+              clickCount
+            ),
+          };
+        }
+
+        return {
+          variant,
+          impressions,
+          clicks: clickCount,
+          conversions,
+          revenue: parseFloat(revenue.toFixed(2)),
+          ctr: this._rate(clickCount, impressions),
+          conversionRate: this._rate(conversions, clickCount),
+          significance,
+        };
+      });
+
+      return {
+        range: { startDate, endDate },
+        attributionDays,
+        baseline,
+        variants,
+        generatedAt: new Date(),
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error building recommendation variant report', {
+        error: error.message,
+      });
+      throw new ApiError('Failed to build variant report', 500);
+    }
+  }
+
+  /**
+   * One click per impression, buyer and item (the earliest)
+   * @private
+   * @param {Array<Object>} clicks - Clicks, oldest first
+   * @returns {Array<Object>} Unique clicks
+   */
+  _dedupeClicks(clicks) {
+    const seen = new Set();
+    return clicks.filter((click) => {
+      const key = [
+        click.variant,
+        click.trackingId,
+        click.buyerId || '',
+        click.inventoryLotId,
+      ].join('|');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Attribute each purchase to the buyer's latest click on the lot within
+   * the attribution window
+   * @private
+   * @param {Array<Object>} clicks - Unique clicks
+   * @param {Array<Object>} purchases - Order items with their order's buyer
+   * @param {number} attributionMs - Attribution window (ms)
+   * @returns {Map<string, Array<Object>>} Purchases by click ID
+   */
+  _attributeConversions(clicks, purchases, attributionMs) {
+    const clicksByLot = new Map();
+    clicks.forEach((click) => {
+      if (!click.buyerId || click.buyerId === 'anonymous') return;
+      const list = clicksByLot.get(click.inventoryLotId) || [];
+      list.push(click);
+      clicksByLot.set(click.inventoryLotId, list);
+    });
+
+    const conversions = new Map();
+    purchases.forEach((purchase) => {
+      const { order } = purchase;
+      const buyerKeys = [order.buyerId, order.sessionId, order.buyerEmail]
+        .filter(Boolean)
+        .map((key) => key.toLowerCase());
+      const purchasedAt = (
+        order.paymentConfirmedAt || order.createdAt
+      ).getTime();
+
+      let attributed = null;
+      (clicksByLot.get(purchase.inventoryLotId) || []).forEach((click) => {
+        const clickTime = click.createdAt.getTime();
+        if (
+          buyerKeys.includes(click.buyerId.toLowerCase()) &&
+          purchasedAt >= clickTime &&
+          purchasedAt <= clickTime + attributionMs &&
+          (!attributed || clickTime > attributed.createdAt.getTime())
+        ) {
+          attributed = click;
+        }
+      });
+
+      if (attributed) {
+        const list = conversions.get(attributed.id) || [];
+        list.push(purchase);
+        conversions.set(attributed.id, list);
+      }
+    });
+
+    return conversions;
+  }
+
   /**
    * Calculate similarity score between two releases
    * @private
@@ -497,6 +852,81 @@ class RecommendationService {
     return score;
   }
 
+  /**
+   * Ensure a variant name is one we serve
+   * @private
+   */
+  _validateVariant(variantName) {
+    if (!RECOMMENDATION_VARIANTS.includes(variantName)) {
+      throw new ApiError(
+        `Invalid variant: ${variantName}. Must be one of: ${RECOMMENDATION_VARIANTS.join(', ')}`,
+        400
+      );
+    }
+  }
+
+  /**
+   * Ratio rounded to 4 decimal places (0 when the denominator is 0)
+   * @private
+   */
+  _rate(numerator, denominator) {
+    if (!denominator) return 0;
+    return parseFloat((numerator / denominator).toFixed(4));
+  }
+
+  /**
+   * Two-proportion z-test of variant B against baseline A
+   * Significant when the two-tailed p-value is below 0.05
+   * @private
+   */
+  _twoProportionZTest(successesA, totalA, successesB, totalB) {
+    if (!totalA || !totalB) {
+      return { zScore: null, pValue: null, significant: false, lift: null };
+    }
+
+    const rateA = successesA / totalA;
+    const rateB = successesB / totalB;
+    const pooled = (successesA + successesB) / (totalA + totalB);
+    const standardError = Math.sqrt(
+      pooled * (1 - pooled) * (1 / totalA + 1 / totalB)
+    );
+    const lift =
+      rateA > 0 ? parseFloat(((rateB - rateA) / rateA).toFixed(4)) : null;
+
+    if (standardError === 0) {
+      return { zScore: 0, pValue: 1, significant: false, lift };
+    }
+
+    const zScore = (rateB - rateA) / standardError;
+    const pValue = 2 * (1 - this._normalCdf(Math.abs(zScore)));
+
+    return {
+      zScore: parseFloat(zScore.toFixed(4)),
+      pValue: parseFloat(pValue.toFixed(4)),
+      significant: pValue < 0.05,
+      lift,
+    };
+  }
+
+  /**
+   * Standard normal cumulative distribution function
+   * Abramowitz & Stegun 7.1.26 approximation of erf (error < 1.5e-7)
+   * @private
+   */
+  _normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf =
+      1 -
+      ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) *
+        t +
+        0.254829592) *
+        t *
+        Math.exp(-x * x);
+
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
   /**
    * Calculate days since a date
    * @private
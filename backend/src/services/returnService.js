@@ -0,0 +1,915 @@
+import prisma from '../utils/db.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import logger from '../../config/logger.js';
+import paymentService from './paymentService.js';
+import shippingService from './shippingService.js';
+import notificationService from './notificationService.js';
+import buyerService from './buyerService.js';
+
+/**
+ * Days after delivery (or shipment, if never marked delivered) that a buyer
+ * can still open a return
+ */
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 30;
+
+/**
+ * Maximum number of photos attached to a return request
+ */
+const MAX_RETURN_PHOTOS = 6;
+
+/**
+ * Order statuses eligible for a return (records have been shipped)
+ */
+const RETURNABLE_ORDER_STATUSES = ['SHIPPED', 'DELIVERED'];
+
+/**
+ * Return statuses that still hold their order items (an item can only be in
+ * one open or completed return at a time)
+ */
+const ACTIVE_RETURN_STATUSES = [
+  'REQUESTED',
+  'APPROVED',
+  'RECEIVED',
+  'COMPLETED',
+];
+
+const RETURN_REASONS = [
+  'NOT_AS_DESCRIBED',
+  'DAMAGED_IN_TRANSIT',
+  'WRONG_ITEM',
+  'DEFECTIVE',
+  'OTHER',
+];
+
+const RETURN_STATUSES = [
+  'REQUESTED',
+  'APPROVED',
+  'DENIED',
+  'RECEIVED',
+  'COMPLETED',
+];
+
+const RETURN_DISPOSITIONS = ['RELIST', 'WRITE_OFF'];
+
+const VINYL_CONDITIONS = [
+  'MINT',
+  'NM',
+  'VG_PLUS',
+  'VG',
+  'VG_MINUS',
+  'G',
+  'FAIR',
+  'POOR',
+];
+
+const RETURN_INCLUDE = {
+  order: { select: { id: true, orderNumber: true, status: true } },
+  items: {
+    include: {
+      orderItem: {
+        select: {
+          id: true,
+          releaseTitle: true,
+          releaseArtist: true,
+          priceAtPurchase: true,
+          quantity: true,
+          conditionMedia: true,
+          conditionSleeve: true,
+          refundedAt: true,
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Return Service
+ * Customer returns (RMA) for shipped orders: buyer request, admin review,
+ * prepaid return label, receipt with condition re-grade, and refund hand-off
+ *
+ * Lifecycle: REQUESTED -> APPROVED -> RECEIVED -> COMPLETED
+ *            REQUESTED -> DENIED
+ */
+class ReturnService {
+  /**
+   * Open a return request for a shipped order
+   * @param {Object} data - Return request data
+   * @param {string} data.orderNumber - Order number
+   * @param {string} data.buyerEmail - Email used on the order
+   * @param {Array<string>} [data.orderItemIds] - Items to return (default: all eligible)
+   * @param {string} data.reason - One of RETURN_REASONS
+   * @param {string} [data.reasonDetails] - Free-text description
+   * @param {Array<string>} [data.photoUrls] - Photos of the problem
+   * @returns {Promise<Object>} Created return request
+   */
+  async requestReturn(data) {
+    try {
+      const {
+        orderNumber,
+        buyerEmail,
+        orderItemIds,
+        reason,
+        reasonDetails,
+        photoUrls = [],
+      } = data;
+
+      if (!orderNumber || !buyerEmail) {
+        throw new ApiError('orderNumber and buyerEmail are required', 400);
+      }
+
+      if (!RETURN_REASONS.includes(reason)) {
+        throw new ApiError(
+          `reason must be one of: ${RETURN_REASONS.join(', ')}`,
+          400
+        );
+      }
+
+      if (orderItemIds !== undefined && !Array.isArray(orderItemIds)) {
+        throw new ApiError('orderItemIds must be an array', 400);
+      }
+
+      this._validatePhotoUrls(photoUrls);
+
+      const order = await prisma.order.findUnique({
+        where: { orderNumber },
+        include: { items: true },
+      });
+
+      // Same response for unknown order and wrong email
+      if (
+        !order ||
+        order.buyerEmail.toLowerCase() !== buyerEmail.trim().toLowerCase()
+      ) {
+        throw new ApiError('Order not found', 404);
+      }
+
+      if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+        throw new ApiError(
+          `Cannot return order in ${order.status} status`,
+          400
+        );
+      }
+
+      if (!this.isWithinReturnWindow(order)) {
+        throw new ApiError(
+          `Return window of ${RETURN_WINDOW_DAYS} days has closed for this order`,
+          400
+        );
+      }
+
+      const activeReturnItems = await prisma.returnItem.findMany({
+        where: {
+          orderItemId: { in: order.items.map((item) => item.id) },
+          return: { status: { in: ACTIVE_RETURN_STATUSES } },
+        },
+        select: { orderItemId: true },
+      });
+      const itemsInReturn = new Set(
+        activeReturnItems.map((item) => item.orderItemId)
+      );
+
+      const eligibleItems = order.items.filter(
+        (item) => !item.refundedAt && !itemsInReturn.has(item.id)
+      );
+      let itemsToReturn = eligibleItems;
+
+      if (orderItemIds && orderItemIds.length > 0) {
+        const itemsById = new Map(order.items.map((item) => [item.id, item]));
+        itemsToReturn = [];
+
+        for (const itemId of new Set(orderItemIds)) {
+          const item = itemsById.get(itemId);
+          if (!item) {
+            throw new ApiError(`Order item ${itemId} not found in order`, 404);
+          }
+          if (item.refundedAt) {
+            throw new ApiError(`Order item ${itemId} is already refunded`, 409);
+          }
+          if (itemsInReturn.has(itemId)) {
+            throw new ApiError(
+              `Order item ${itemId} already has an open return`,
+              409
+            );
+          }
+          itemsToReturn.push(item);
+        }
+      }
+
+      if (itemsToReturn.length === 0) {
+        throw new ApiError(
+          'No items on this order are eligible for return',
+          400
+        );
+      }
+
+      const returnRequest = await prisma.returnRequest.create({
+        data: {
+          rmaNumber: this.generateRmaNumber(),
+          orderId: order.id,
+          buyerEmail: order.buyerEmail,
+          reason,
+          reasonDetails: reasonDetails || null,
+          photoUrls,
+          items: {
+            create: itemsToReturn.map((item) => ({
+              orderItemId: item.id,
+              inventoryLotId: item.inventoryLotId,
+            })),
+          },
+        },
+        include: RETURN_INCLUDE,
+      });
+
+      logger.info('Return requested', {
+        returnId: returnRequest.id,
+        rmaNumber: returnRequest.rmaNumber,
+        orderId: order.id,
+        itemCount: itemsToReturn.length,
+        reason,
+      });
+
+      await notificationService.notifyAdminReturnRequested({
+        returnId: returnRequest.id,
+        rmaNumber: returnRequest.rmaNumber,
+        orderNumber: order.orderNumber,
+        reason,
+        itemCount: itemsToReturn.length,
+      });
+
+      return this._formatReturn(returnRequest);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error requesting return', {
+        orderNumber: data.orderNumber,
+        error: error.message,
+      });
+      throw new ApiError('Failed to request return', 500);
+    }
+  }
+
+  /**
+   * List a buyer's return requests
+   * @param {string} buyerEmail - Buyer email address
+   * @returns {Promise<Array>} Return requests, newest first
+   */
+  async getBuyerReturns(buyerEmail) {
+    try {
+      if (!buyerEmail) {
+        throw new ApiError('buyerEmail is required', 400);
+      }
+
+      const returns = await prisma.returnRequest.findMany({
+        where: {
+          buyerEmail: { equals: buyerEmail.trim(), mode: 'insensitive' },
+        },
+        include: RETURN_INCLUDE,
+        orderBy: { createdAt: 'desc' },
+      });
+
+      return returns.map((returnRequest) => this._formatReturn(returnRequest));
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error getting buyer returns', {
+        error: error.message,
+      });
+      throw new ApiError('Failed to get returns', 500);
+    }
+  }
+
+  /**
+   * List return requests for admin review
+   * @param {Object} options - Filter options
+   * @param {string} [options.status] - Filter by return status
+   * @param {number} [options.page] - Page number
+   * @param {number} [options.limit] - Page size
+   * @returns {Promise<Object>} Paginated return requests
+   */
+  async listReturns(options = {}) {
+    try {
+      const { status } = options;
+      const page = Math.max(parseInt(options.page, 10) || 1, 1);
+      const limit = Math.min(
+        Math.max(parseInt(options.limit, 10) || 20, 1),
+        100
+      );
+
+      const where = {};
+      if (status) {
+        if (!RETURN_STATUSES.includes(status)) {
+          throw new ApiError(
+            `status must be one of: ${RETURN_STATUSES.join(', ')}`,
+            400
+          );
+        }
+        where.status = status;
+      }
+
+      const [returns, total] = await Promise.all([
+        prisma.returnRequest.findMany({
+          where,
+          include: RETURN_INCLUDE,
+          orderBy: { createdAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        prisma.returnRequest.count({ where }),
+      ]);
+
+      return {
+        returns: returns.map((returnRequest) =>
+          this._formatReturn(returnRequest)
+        ),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error listing returns', {
+        error: error.message,
+      });
+      throw new ApiError('Failed to list returns', 500);
+    }
+  }
+
+  /**
+   * Get a return request by ID
+   * @param {string} returnId - Return request ID
+   * @returns {Promise<Object>} Return request with items
+   */
+  async getReturn(returnId) {
+    try {
+      const returnRequest = await prisma.returnRequest.findUnique({
+        where: { id: returnId },
+        include: RETURN_INCLUDE,
+      });
+
+      if (!returnRequest) {
+        throw new ApiError('Return not found', 404);
+      }
+
+      return this._formatReturn(returnRequest);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error getting return', {
+        returnId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to get return', 500);
+    }
+  }
+
+  /**
+   * Approve a return and issue a prepaid return label
+   * @param {string} returnId - Return request ID
+   * @param {string} adminId - Reviewing admin
+   * @param {Object} [options] - {notes}
+   * @returns {Promise<Object>} Updated return request
+   */
+  async approveReturn(returnId, adminId, options = {}) {
+    try {
+      const returnRequest = await this._getReturnForUpdate(returnId);
+      this._assertStatus(returnRequest, 'REQUESTED', 'approve');
+
+      const label = await shippingService.generateReturnLabel(
+        returnRequest.order,
+        {
+          rmaNumber: returnRequest.rmaNumber,
+          itemCount: returnRequest.items.length,
+        }
+      );
+
+      const updated = await prisma.returnRequest.update({
+        where: { id: returnId },
+        data: {
+          status: 'APPROVED',
+          adminNotes: options.notes || returnRequest.adminNotes,
+          reviewedBy: adminId,
+          reviewedAt: new Date(),
+          labelUrl: label.labelUrl,
+          trackingNumber: label.trackingNumber,
+          carrier: label.carrier,
+        },
+        include: RETURN_INCLUDE,
+      });
+
+      logger.info('Return approved', {
+        returnId,
+        rmaNumber: updated.rmaNumber,
+        trackingNumber: label.trackingNumber,
+        adminId,
+      });
+
+      await notificationService.notifyReturnStatusChanged({
+        buyerEmail: updated.buyerEmail,
+        rmaNumber: updated.rmaNumber,
+        orderNumber: updated.order.orderNumber,
+        status: 'APPROVED',
+        notes: options.notes,
+        labelUrl: label.labelUrl,
+        trackingNumber: label.trackingNumber,
+      });
+
+      return this._formatReturn(updated);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error approving return', {
+        returnId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to approve return', 500);
+    }
+  }
+
+  /**
+   * Deny a return request
+   * @param {string} returnId - Return request ID
+   * @param {string} adminId - Reviewing admin
+   * @param {Object} options - {notes} explanation shown to the buyer (required)
+   * @returns {Promise<Object>} Updated return request
+   */
+  async denyReturn(returnId, adminId, options = {}) {
+    try {
+      if (!options.notes) {
+        throw new ApiError('notes are required when denying a return', 400);
+      }
+
+      const returnRequest = await this._getReturnForUpdate(returnId);
+      this._assertStatus(returnRequest, 'REQUESTED', 'deny');
+
+      const updated = await prisma.returnRequest.update({
+        where: { id: returnId },
+        data: {
+          status: 'DENIED',
+          adminNotes: options.notes,
+          reviewedBy: adminId,
+          reviewedAt: new Date(),
+        },
+        include: RETURN_INCLUDE,
+      });
+
+      logger.info('Return denied', {
+        returnId,
+        rmaNumber: updated.rmaNumber,
+        adminId,
+      });
+
+      await notificationService.notifyReturnStatusChanged({
+        buyerEmail: updated.buyerEmail,
+        rmaNumber: updated.rmaNumber,
+        orderNumber: updated.order.orderNumber,
+        status: 'DENIED',
+        notes: options.notes,
+      });
+
+      return this._formatReturn(updated);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error denying return', {
+        returnId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to deny return', 500);
+    }
+  }
+
+  /**
+   * Record receipt of returned records: re-grade each lot and choose whether
+   * it goes back on sale or is written off, then hand off to payments for
+   * the refund. If the refund fails the return stays RECEIVED and can be
+   * completed later with completeReturn.
+   * @param {string} returnId - Return request ID
+   * @param {string} adminId - Receiving admin
+   * @param {Object} data - Receipt data
+   * @param {Array<Object>} data.items - [{returnItemId, conditionMedia, conditionSleeve, disposition}]
+   * @param {string} [data.notes] - Inspection notes
+   * @returns {Promise<Object>} Updated return request (with refundError if the hand-off failed)
+   */
+  async receiveReturn(returnId, adminId, data = {}) {
+    try {
+      const returnRequest = await this._getReturnForUpdate(returnId);
+      this._assertStatus(returnRequest, 'APPROVED', 'receive');
+
+      const grades = this._validateReceivedItems(
+        returnRequest.items,
+        data.items
+      );
+      const now = new Date();
+
+      await prisma.$transaction(async (tx) => {
+        for (const item of returnRequest.items) {
+          const grade = grades.get(item.id);
+
+          await tx.returnItem.update({
+            where: { id: item.id },
+            data: {
+              receivedConditionMedia: grade.conditionMedia,
+              receivedConditionSleeve: grade.conditionSleeve,
+              disposition: grade.disposition,
+            },
+          });
+
+          // Re-grade the lot; it stays RETURNED until the return completes.
+          // A multi-unit lot with copies still on sale keeps its grade.
+          await tx.inventoryLot.updateMany({
+            where: { id: item.inventoryLotId, quantity: 0 },
+            data: {
+              conditionMedia: grade.conditionMedia,
+              conditionSleeve: grade.conditionSleeve,
+              status: 'RETURNED',
+            },
+          });
+        }
+
+        await tx.returnRequest.update({
+          where: { id: returnId },
+          data: {
+            status: 'RECEIVED',
+            adminNotes: data.notes || returnRequest.adminNotes,
+            receivedBy: adminId,
+            receivedAt: now,
+          },
+        });
+      });
+
+      logger.info('Return received', {
+        returnId,
+        rmaNumber: returnRequest.rmaNumber,
+        itemCount: returnRequest.items.length,
+        adminId,
+      });
+
+      try {
+        return await this.completeReturn(returnId, adminId);
+      } catch (error) {
+        logger.warn('Return refund hand-off failed, left in RECEIVED', {
+          returnId,
+          error: error.message,
+        });
+
+        await notificationService.notifyReturnStatusChanged({
+          buyerEmail: returnRequest.buyerEmail,
+          rmaNumber: returnRequest.rmaNumber,
+          orderNumber: returnRequest.order.orderNumber,
+          status: 'RECEIVED',
+        });
+
+        return {
+          ...(await this.getReturn(returnId)),
+          refundError: error.message,
+        };
+      }
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error receiving return', {
+        returnId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to receive return', 500);
+    }
+  }
+
+  /**
+   * Refund a received return through the payment service and apply each
+   * item's disposition: RELIST puts the copies back on their lot for sale
+   * (or on a new lot at the received grade when the lot's grade differs or
+   * it still has copies on sale), WRITE_OFF removes a lot that has no
+   * copies left
+   * @param {string} returnId - Return request ID
+   * @param {string} adminId - Admin completing the return
+   * @returns {Promise<Object>} Completed return request with refund
+   */
+  async completeReturn(returnId, adminId) {
+    try {
+      const returnRequest = await this._getReturnForUpdate(returnId);
+      this._assertStatus(returnRequest, 'RECEIVED', 'complete');
+
+      const unrefundedItemIds = returnRequest.items
+        .filter((item) => !item.orderItem.refundedAt)
+        .map((item) => item.orderItemId);
+
+      // Items refunded by hand in the meantime keep their existing refund
+      let refund = null;
+      if (unrefundedItemIds.length > 0) {
+        refund = await paymentService.createRefund(
+          returnRequest.orderId,
+          {
+            orderItemIds: unrefundedItemIds,
+            reason: `Return ${returnRequest.rmaNumber}: ${returnRequest.reason}`,
+          },
+          adminId
+        );
+      }
+
+      const refundId =
+        refund?.id || returnRequest.items[0].orderItem.refundId || null;
+      const now = new Date();
+
+      const relistedLotIds = [];
+      const updated = await prisma.$transaction(async (tx) => {
+        for (const item of returnRequest.items) {
+          if (item.disposition === 'RELIST') {
+            await tx.$queryRaw`
+              SELECT id FROM inventory_lots WHERE id = ${item.inventoryLotId}::uuid FOR UPDATE
+            `;
+            const lot = await tx.inventoryLot.findUnique({
+              where: { id: item.inventoryLotId },
+            });
+
+            if (this._relistsAsNewLot(lot, item)) {
+              const newLot = await this._createRelistedLot(
+                tx,
+                lot,
+                item,
+                returnRequest.rmaNumber,
+                now
+              );
+              relistedLotIds.push(newLot.id);
+              // The returned copies now live on the new lot
+              await tx.inventoryLot.updateMany({
+                where: { id: lot.id, quantity: 0, status: 'RETURNED' },
+                data: { status: 'SOLD' },
+              });
+              continue;
+            }
+
+            if (lot.status !== 'LIVE') relistedLotIds.push(item.inventoryLotId);
+            await tx.inventoryLot.update({
+              where: { id: item.inventoryLotId },
+              data: {
+                status: 'LIVE',
+                quantity: { increment: item.orderItem.quantity },
+                soldAt: null,
+                listedAt: now,
+              },
+            });
+            await tx.inventoryLot.updateMany({
+              where: { id: item.inventoryLotId, reservedQuantity: 0 },
+              data: { orderId: null, reservedAt: null },
+            });
+          } else {
+            // Written-off copies never rejoin the lot's stock
+            await tx.inventoryLot.updateMany({
+              where: { id: item.inventoryLotId, quantity: 0 },
+              data: { status: 'REMOVED' },
+            });
+          }
+        }
+
+        return tx.returnRequest.update({
+          where: { id: returnId },
+          data: {
+            status: 'COMPLETED',
+            refundId,
+            completedAt: now,
+          },
+          include: RETURN_INCLUDE,
+        });
+      });
+
+      logger.info('Return completed', {
+        returnId,
+        rmaNumber: updated.rmaNumber,
+        refundId,
+        relisted: returnRequest.items.filter(
+          (item) => item.disposition === 'RELIST'
+        ).length,
+        writtenOff: returnRequest.items.filter(
+          (item) => item.disposition === 'WRITE_OFF'
+        ).length,
+      });
+
+      // Wishlist alerts for relisted copies (never block the return)
+      for (const lotId of new Set(relistedLotIds)) {
+        await buyerService.handleWishlistNewListing(lotId);
+      }
+
+      await notificationService.notifyReturnStatusChanged({
+        buyerEmail: updated.buyerEmail,
+        rmaNumber: updated.rmaNumber,
+        orderNumber: updated.order.orderNumber,
+        status: 'COMPLETED',
+        refundAmount: refund?.amount,
+      });
+
+      return {
+        ...this._formatReturn(updated),
+        refund,
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error completing return', {
+        returnId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to complete return', 500);
+    }
+  }
+
+  /**
+   * Whether an order is still inside the return window
+   * @param {Object} order - Order with deliveredAt/shippedAt
+   * @param {Date} [now] - Reference time
+   * @returns {boolean} True if a return can still be opened
+   */
+  isWithinReturnWindow(order, now = new Date()) {
+    const startedAt = order.deliveredAt || order.shippedAt;
+    if (!startedAt) return true;
+
+    const windowMs = RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    return now.getTime() - new Date(startedAt).getTime() <= windowMs;
+  }
+
+  /**
+   * Generate RMA number
+   * Format: RMA-YYYYMMDD-XXXX (4 random digits)
+   * @returns {string} RMA number
+   */
+  generateRmaNumber() {
+    const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const random = Math.floor(Math.random() * 10000)
+      .toString()
+      .padStart(4, '0');
+
+    return `RMA-${dateStr}-${random}`;
+  }
+
+  /**
+   * Validate photo URLs attached to a return request
+   * @private
+   */
+  _validatePhotoUrls(photoUrls) {
+    if (!Array.isArray(photoUrls)) {
+      throw new ApiError('photoUrls must be an array', 400);
+    }
+
+    if (photoUrls.length > MAX_RETURN_PHOTOS) {
+      throw new ApiError(
+        `A return can include at most ${MAX_RETURN_PHOTOS} photos`,
+        400
+      );
+    }
+
+    for (const url of photoUrls) {
+      if (typeof url !== 'string' || !/^https?:\/\/\S+$/i.test(url)) {
+        throw new ApiError(`Invalid photo URL: ${url}`, 400);
+      }
+    }
+  }
+
+  /**
+   * Validate the inspection result for every item on a return
+   * @returns {Map<string, Object>} Grades keyed by return item ID
+   * @private
+   */
+  _validateReceivedItems(returnItems, receivedItems) {
+    if (!Array.isArray(receivedItems) || receivedItems.length === 0) {
+      throw new ApiError('items are required', 400);
+    }
+
+    const grades = new Map();
+    const returnItemIds = new Set(returnItems.map((item) => item.id));
+
+    for (const received of receivedItems) {
+      const { returnItemId, conditionMedia, conditionSleeve, disposition } =
+        received;
+
+      if (!returnItemIds.has(returnItemId)) {
+        throw new ApiError(
+          `Return item ${returnItemId} not found in return`,
+          404
+        );
+      }
+      if (
+        !VINYL_CONDITIONS.includes(conditionMedia) ||
+        !VINYL_CONDITIONS.includes(conditionSleeve)
+      ) {
+        throw new ApiError(
+          `conditionMedia and conditionSleeve must be one of: ${VINYL_CONDITIONS.join(', ')}`,
+          400
+        );
+      }
+      if (!RETURN_DISPOSITIONS.includes(disposition)) {
+        throw new ApiError(
+          `disposition must be one of: ${RETURN_DISPOSITIONS.join(', ')}`,
+          400
+        );
+      }
+
+      grades.set(returnItemId, {
+        conditionMedia,
+        conditionSleeve,
+        disposition,
+      });
+    }
+
+    if (grades.size !== returnItemIds.size) {
+      throw new ApiError('Every returned item must be graded', 400);
+    }
+
+    return grades;
+  }
+
+  /**
+   * Whether relisted copies need a lot of their own: merging them into a
+   * lot of another grade, or one whose copies are still on sale, would
+   * sell them under the wrong grade or mix them with other stock
+   * @param {Object} lot - Lot the copies were sold from
+   * @param {Object} item - Return item with its received grade
+   * @returns {boolean}
+   * @private
+   */
+  _relistsAsNewLot(lot, item) {
+    const conditionMedia = item.receivedConditionMedia || lot.conditionMedia;
+    const conditionSleeve = item.receivedConditionSleeve || lot.conditionSleeve;
+
+    return (
+      lot.quantity > 0 ||
+      conditionMedia !== lot.conditionMedia ||
+      conditionSleeve !== lot.conditionSleeve
+    );
+  }
+
+  /**
+   * List returned copies on a new lot at their received grade, priced and
+   * costed like the lot they were sold from
+   * @returns {Promise<Object>} Created lot
+   * @private
+   */
+  async _createRelistedLot(tx, lot, item, rmaNumber, now) {
+    return tx.inventoryLot.create({
+      data: {
+        releaseId: lot.releaseId,
+        submissionItemId: lot.submissionItemId,
+        conditionMedia: item.receivedConditionMedia || lot.conditionMedia,
+        conditionSleeve: item.receivedConditionSleeve || lot.conditionSleeve,
+        costBasis: lot.costBasis,
+        listPrice: lot.listPrice,
+        channel: lot.channel,
+        country: lot.country,
+        format: lot.format,
+        releaseStatus: lot.releaseStatus,
+        styles: lot.styles,
+        markdownOptOut: lot.markdownOptOut,
+        quantity: item.orderItem.quantity,
+        status: 'LIVE',
+        listedAt: now,
+        internalNotes: `Relisted from return ${rmaNumber} (lot ${lot.id})`,
+      },
+    });
+  }
+
+  /**
+   * Load a return with its order and items for a state change
+   * @private
+   */
+  async _getReturnForUpdate(returnId) {
+    const returnRequest = await prisma.returnRequest.findUnique({
+      where: { id: returnId },
+      include: {
+        order: true,
+        items: { include: { orderItem: true } },
+      },
+    });
+
+    if (!returnRequest) {
+      throw new ApiError('Return not found', 404);
+    }
+
+    return returnRequest;
+  }
+
+  /**
+   * @private
+   */
+  _assertStatus(returnRequest, expected, action) {
+    if (returnRequest.status !== expected) {
+      throw new ApiError(
+        `Cannot ${action} return in ${returnRequest.status} status`,
+        409
+      );
+    }
+  }
+
+  /**
+   * Convert Decimal fields for JSON responses
+   * @private
+   */
+  _formatReturn(returnRequest) {
+    return {
+      ...returnRequest,
+      items: returnRequest.items.map((item) => ({
+        ...item,
+        orderItem: item.orderItem && {
+          ...item.orderItem,
+          priceAtPurchase: Number(item.orderItem.priceAtPurchase),
+        },
+      })),
+    };
+  }
+}
+
+export default new ReturnService();
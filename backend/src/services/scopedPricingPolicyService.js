@@ -0,0 +1,602 @@
+import { v4 as uuidv4 } from 'uuid';
+import prisma from '../utils/db.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import logger from '../../config/logger.js';
+import pricingService from './pricingService.js';
+import pricingPolicyScheduleService from './pricingPolicyScheduleService.js';
+import { clearCache } from '../utils/cache.js';
+
+const POLICY_TYPES = ['BUYER', 'SELLER'];
+
+/**
+ * Scopes a policy can be narrowed to, with the column holding the value it
+ * matches (RELEASE policies are linked through release_pricing_policies)
+ */
+const SCOPE_FIELDS = {
+  RELEASE: null,
+  LABEL: { field: 'labelScope', maxLength: 255 },
+  GENRE: { field: 'genreScope', maxLength: 100 },
+  CHANNEL: { field: 'channelScope', maxLength: 50 },
+};
+
+/**
+ * Scoped Pricing Policy Service
+ * Admin CRUD for BUYER/SELLER policies narrowed to releases, labels, genres
+ * or channels. The global policies (scope BUYER/SELLER) stay with the
+ * pricing policy controller; which policy prices a record is decided by
+ * pricingService.resolvePricingPolicy.
+ */
+class ScopedPricingPolicyService {
+  /**
+   * List scoped policies
+   * @param {Object} filters - { type, scope, includeInactive }
+   * @returns {Promise<Array<Object>>} Policies with their release links
+   */
+  async listPolicies(filters = {}) {
+    try {
+      const { type, scope, includeInactive = false } = filters;
+      if (type) this._validateType(type);
+      if (scope) this._validateScope(scope);
+
+      const policies = await prisma.pricingPolicy.findMany({
+        where: {
+          policyType: type || { in: POLICY_TYPES },
+          scope: scope || { in: Object.keys(SCOPE_FIELDS) },
+          ...(includeInactive ? {} : { isActive: true }),
+        },
+        include: this._releaseInclude(),
+        orderBy: [{ policyType: 'asc' }, { scope: 'asc' }, { name: 'asc' }],
+      });
+
+      return policies.map((policy) => this._format(policy));
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error listing scoped pricing policies', {
+        error: error.message,
+      });
+      throw new ApiError('Failed to list scoped pricing policies', 500);
+    }
+  }
+
+  /**
+   * Get a scoped policy
+   * @param {string} policyId - Policy UUID
+   * @returns {Promise<Object>} Policy with release links
+   */
+  async getPolicy(policyId) {
+    try {
+      return this._format(await this._findPolicy(policyId));
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error getting scoped pricing policy', {
+        policyId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to get scoped pricing policy', 500);
+    }
+  }
+
+  /**
+   * Create a scoped policy
+   * @param {Object} data - { type, scope, name, scopeValue, releaseIds, priority,
+   *   buyFormula, sellFormula, conditionCurve, minOffer, maxOffer, offerExpiryDays,
+   *   effectiveFrom, effectiveUntil }
+   * @param {string} userId - Admin creating the policy
+   * @returns {Promise<Object>} Created policy
+   */
+  async createPolicy(data, userId) {
+    try {
+      const { type, scope, name } = data;
+      this._validateType(type);
+      this._validateScope(scope);
+      if (!name || typeof name !== 'string') {
+        throw new ApiError('name is required', 400);
+      }
+
+      const formulas = this._validateFormulas(type, data);
+      const scopeValue = this._validateScopeValue(scope, data.scopeValue);
+      const releaseIds =
+        scope === 'RELEASE'
+          ? await this._validateReleaseIds(data.releaseIds)
+          : [];
+      // Scheduled policies replace the active one when they activate
+      const window = pricingPolicyScheduleService.parseWindow(data);
+      if (scopeValue && !window.scheduled) {
+        await this._assertNoActiveDuplicate(type, scope, scopeValue);
+      }
+
+      const policy = await prisma.$transaction(async (tx) => {
+        const created = await tx.pricingPolicy.create({
+          data: {
+            id: uuidv4(),
+            name,
+            scope,
+            policyType: type,
+            version: 1,
+            ...formulas,
+            conditionCurve:
+              data.conditionCurve || pricingService.defaultConditionCurve,
+            minOffer: this._optionalAmount(data.minOffer),
+            maxOffer: this._optionalAmount(data.maxOffer),
+            offerExpiryDays: data.offerExpiryDays || 30,
+            ...pricingPolicyScheduleService.scheduleData(window),
+            ...(scopeValue ? { [SCOPE_FIELDS[scope].field]: scopeValue } : {}),
+            createdBy: userId,
+          },
+        });
+
+        if (releaseIds.length > 0) {
+          await tx.releasePricingPolicy.createMany({
+            data: releaseIds.map((releaseId) => ({
+              releaseId,
+              policyId: created.id,
+              priority: Number(data.priority) || 0,
+              isActive: true,
+            })),
+          });
+        }
+
+        await tx.pricingPolicyAudit.create({
+          data: {
+            id: uuidv4(),
+            policyId: created.id,
+            changeType: 'CREATE',
+            newVersion: 1,
+            changes: {
+              type,
+              scope,
+              scopeValue,
+              releaseIds,
+              effectiveFrom: window.effectiveFrom,
+              effectiveUntil: window.effectiveUntil,
+            },
+            changedBy: userId,
+          },
+        });
+
+        return created;
+      });
+
+      this._clearCaches();
+      logger.info('Scoped pricing policy created', {
+        policyId: policy.id,
+        type,
+        scope,
+        scopeValue,
+        releaseCount: releaseIds.length,
+        userId,
+      });
+
+      return this.getPolicy(policy.id);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error creating scoped pricing policy', {
+        error: error.message,
+      });
+      throw new ApiError('Failed to create scoped pricing policy', 500);
+    }
+  }
+
+  /**
+   * Update a scoped policy in place, bumping its version
+   * Type and scope are fixed; for RELEASE policies, releaseIds replaces the
+   * linked releases.
+   * @param {string} policyId - Policy UUID
+   * @param {Object} data - Fields to change
+   * @param {string} userId - Admin making the change
+   * @returns {Promise<Object>} Updated policy
+   */
+  async updatePolicy(policyId, data, userId) {
+    try {
+      const existing = await this._findPolicy(policyId);
+      const scheduled = existing.scheduleStatus === 'SCHEDULED';
+      if (!existing.isActive && !scheduled) {
+        throw new ApiError('Cannot update an inactive pricing policy', 400);
+      }
+
+      const type = existing.policyType;
+      const { scope } = existing;
+      const changes = {};
+      const update = {};
+
+      if (data.name !== undefined) {
+        if (!data.name || typeof data.name !== 'string') {
+          throw new ApiError('name must be a non-empty string', 400);
+        }
+        update.name = data.name;
+      }
+
+      const formulaKey = type === 'BUYER' ? 'buyFormula' : 'sellFormula';
+      if (data[formulaKey] !== undefined) {
+        Object.assign(update, this._validateFormulas(type, data));
+        changes[formulaKey] = {
+          old: existing[formulaKey],
+          new: update[formulaKey],
+        };
+      }
+
+      if (data.conditionCurve !== undefined) {
+        update.conditionCurve = data.conditionCurve;
+        changes.conditionCurve = {
+          old: existing.conditionCurve,
+          new: data.conditionCurve,
+        };
+      }
+
+      for (const field of ['minOffer', 'maxOffer']) {
+        if (data[field] !== undefined) {
+          update[field] = this._optionalAmount(data[field]);
+          changes[field] = { old: existing[field], new: update[field] };
+        }
+      }
+      if (data.offerExpiryDays !== undefined) {
+        update.offerExpiryDays = data.offerExpiryDays;
+      }
+
+      if (data.scopeValue !== undefined && SCOPE_FIELDS[scope]) {
+        const scopeValue = this._validateScopeValue(scope, data.scopeValue);
+        if (!scheduled) {
+          await this._assertNoActiveDuplicate(
+            type,
+            scope,
+            scopeValue,
+            policyId
+          );
+        }
+        update[SCOPE_FIELDS[scope].field] = scopeValue;
+        changes.scopeValue = {
+          old: pricingService.getScopeValue(existing),
+          new: scopeValue,
+        };
+      }
+
+      let releaseIds = null;
+      if (data.releaseIds !== undefined && scope === 'RELEASE') {
+        releaseIds = await this._validateReleaseIds(data.releaseIds);
+        changes.releaseIds = {
+          old: existing.releasePricingPolicies.map((link) => link.releaseId),
+          new: releaseIds,
+        };
+      }
+
+      const newVersion = existing.version + 1;
+      await prisma.$transaction(async (tx) => {
+        await tx.pricingPolicy.update({
+          where: { id: policyId },
+          data: { ...update, version: newVersion },
+        });
+
+        if (releaseIds) {
+          await tx.releasePricingPolicy.deleteMany({ where: { policyId } });
+          await tx.releasePricingPolicy.createMany({
+            data: releaseIds.map((releaseId) => ({
+              releaseId,
+              policyId,
+              priority:
+                Number(data.priority) ||
+                existing.releasePricingPolicies[0]?.priority ||
+                0,
+              isActive: true,
+            })),
+          });
+        }
+
+        await tx.pricingPolicyAudit.create({
+          data: {
+            id: uuidv4(),
+            policyId,
+            changeType: 'UPDATE',
+            previousVersion: existing.version,
+            newVersion,
+            changes,
+            changedBy: userId,
+          },
+        });
+      });
+
+      this._clearCaches();
+      logger.info('Scoped pricing policy updated', {
+        policyId,
+        version: newVersion,
+        userId,
+      });
+
+      return this.getPolicy(policyId);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error updating scoped pricing policy', {
+        policyId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to update scoped pricing policy', 500);
+    }
+  }
+
+  /**
+   * Deactivate a scoped policy; records fall back to the next scope.
+   * Scheduled policies are cancelled instead.
+   * @param {string} policyId - Policy UUID
+   * @param {string} userId - Admin making the change
+   * @returns {Promise<Object>} Deactivated policy
+   */
+  async deactivatePolicy(policyId, userId) {
+    try {
+      const existing = await this._findPolicy(policyId);
+      if (existing.scheduleStatus === 'SCHEDULED') {
+        await pricingPolicyScheduleService.cancelSchedule(
+          existing.policyType,
+          policyId,
+          userId
+        );
+        return this.getPolicy(policyId);
+      }
+      if (!existing.isActive) {
+        throw new ApiError('Pricing policy is already inactive', 400);
+      }
+
+      await prisma.$transaction([
+        prisma.pricingPolicy.update({
+          where: { id: policyId },
+          data: { isActive: false },
+        }),
+        prisma.releasePricingPolicy.updateMany({
+          where: { policyId },
+          data: { isActive: false },
+        }),
+        prisma.pricingPolicyAudit.create({
+          data: {
+            id: uuidv4(),
+            policyId,
+            changeType: 'DEACTIVATE',
+            previousVersion: existing.version,
+            newVersion: existing.version,
+            changes: { isActive: { old: true, new: false } },
+            changedBy: userId,
+          },
+        }),
+      ]);
+
+      this._clearCaches();
+      logger.info('Scoped pricing policy deactivated', { policyId, userId });
+
+      return this.getPolicy(policyId);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error deactivating scoped pricing policy', {
+        policyId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to deactivate scoped pricing policy', 500);
+    }
+  }
+
+  /**
+   * Explain which policy would price a record
+   * @param {string} type - BUYER or SELLER
+   * @param {Object} context - { releaseId, genre, label, channel }
+   * @returns {Promise<Object>} { type, context, resolution, precedence }
+   */
+  async explainResolution(type, context = {}) {
+    try {
+      this._validateType(type);
+      const { releaseId, genre, label, channel } = context;
+      if (!releaseId && !genre && !label && !channel) {
+        throw new ApiError(
+          'Provide at least one of releaseId, genre, label or channel',
+          400
+        );
+      }
+
+      const { resolution } = await pricingService.resolvePricingPolicy(
+        type,
+        context
+      );
+
+      return {
+        type,
+        context,
+        resolution,
+        precedence: ['RELEASE', 'LABEL', 'GENRE', 'CHANNEL', 'GLOBAL'],
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error explaining pricing policy resolution', {
+        type,
+        error: error.message,
+      });
+      throw new ApiError('Failed to resolve pricing policy', 500);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _findPolicy(policyId) {
+    const policy = await prisma.pricingPolicy.findUnique({
+      where: { id: policyId },
+      include: this._releaseInclude(),
+    });
+
+    if (!policy || !Object.hasOwn(SCOPE_FIELDS, policy.scope)) {
+      throw new ApiError('Scoped pricing policy not found', 404);
+    }
+    return policy;
+  }
+
+  /**
+   * @private
+   */
+  _releaseInclude() {
+    return {
+      releasePricingPolicies: {
+        include: {
+          release: { select: { id: true, title: true, artist: true } },
+        },
+        orderBy: { priority: 'asc' },
+      },
+    };
+  }
+
+  /**
+   * @private
+   */
+  _format(policy) {
+    return {
+      id: policy.id,
+      type: policy.policyType,
+      scope: policy.scope,
+      scopeValue: pricingService.getScopeValue(policy),
+      name: policy.name,
+      version: policy.version,
+      isActive: policy.isActive,
+      buyFormula: policy.buyFormula,
+      sellFormula: policy.sellFormula,
+      conditionCurve: policy.conditionCurve,
+      minOffer: policy.minOffer?.toString() ?? null,
+      maxOffer: policy.maxOffer?.toString() ?? null,
+      offerExpiryDays: policy.offerExpiryDays,
+      effectiveFrom: policy.effectiveFrom,
+      effectiveUntil: policy.effectiveUntil,
+      scheduleStatus: policy.scheduleStatus,
+      releases: (policy.releasePricingPolicies || []).map((link) => ({
+        releaseId: link.releaseId,
+        title: link.release?.title || null,
+        artist: link.release?.artist || null,
+        priority: link.priority,
+        isActive: link.isActive,
+      })),
+      createdAt: policy.createdAt,
+      updatedAt: policy.updatedAt,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _validateType(type) {
+    if (!POLICY_TYPES.includes(type)) {
+      throw new ApiError('Invalid policy type. Must be BUYER or SELLER', 400);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validateScope(scope) {
+    if (!Object.hasOwn(SCOPE_FIELDS, scope)) {
+      throw new ApiError(
+        `Invalid scope. Must be one of: ${Object.keys(SCOPE_FIELDS).join(', ')}`,
+        400
+      );
+    }
+  }
+
+  /**
+   * Only the formula for the policy's type is stored; the other is empty
+   * @private
+   * @returns {Object} { buyFormula, sellFormula }
+   */
+  _validateFormulas(type, data) {
+    const formulaKey = type === 'BUYER' ? 'buyFormula' : 'sellFormula';
+    const formula = data[formulaKey];
+    if (!formula || typeof formula !== 'object' || Array.isArray(formula)) {
+      throw new ApiError(`${formulaKey} is required for ${type} policies`, 400);
+    }
+    pricingService.validateMarketBlend(formula.marketBlend);
+
+    return type === 'BUYER'
+      ? { buyFormula: formula, sellFormula: {} }
+      : { buyFormula: {}, sellFormula: formula };
+  }
+
+  /**
+   * @private
+   * @returns {string|null} Trimmed scope value (null for RELEASE scope)
+   */
+  _validateScopeValue(scope, value) {
+    const spec = SCOPE_FIELDS[scope];
+    if (!spec) return null;
+
+    const trimmed = typeof value === 'string' ? value.trim() : '';
+    if (!trimmed) {
+      throw new ApiError(`scopeValue is required for ${scope} policies`, 400);
+    }
+    if (trimmed.length > spec.maxLength) {
+      throw new ApiError(
+        `scopeValue must be at most ${spec.maxLength} characters`,
+        400
+      );
+    }
+    return trimmed;
+  }
+
+  /**
+   * @private
+   */
+  async _validateReleaseIds(releaseIds) {
+    if (!Array.isArray(releaseIds) || releaseIds.length === 0) {
+      throw new ApiError('releaseIds is required for RELEASE policies', 400);
+    }
+
+    const unique = [...new Set(releaseIds)];
+    const found = await prisma.release.findMany({
+      where: { id: { in: unique } },
+      select: { id: true },
+    });
+    if (found.length !== unique.length) {
+      const known = new Set(found.map((release) => release.id));
+      const missing = unique.filter((id) => !known.has(id));
+      throw new ApiError(`Releases not found: ${missing.join(', ')}`, 404);
+    }
+    return unique;
+  }
+
+  /**
+   * One active policy per type, scope and value keeps resolution unambiguous
+   * @private
+   */
+  async _assertNoActiveDuplicate(type, scope, scopeValue, excludeId = null) {
+    const duplicate = await prisma.pricingPolicy.findFirst({
+      where: {
+        isActive: true,
+        policyType: type,
+        scope,
+        [SCOPE_FIELDS[scope].field]: {
+          equals: scopeValue,
+          mode: 'insensitive',
+        },
+        ...(excludeId ? { id: { not: excludeId } } : {}),
+      },
+    });
+
+    if (duplicate) {
+      throw new ApiError(
+        `An active ${type} ${scope} policy for "${scopeValue}" already exists (${duplicate.id})`,
+        409
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  _optionalAmount(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const amount = parseFloat(value);
+    if (Number.isNaN(amount) || amount < 0) {
+      throw new ApiError('minOffer and maxOffer must be non-negative', 400);
+    }
+    return amount;
+  }
+
+  /**
+   * Drop cached policies and cached quotes so changes apply immediately
+   * @private
+   */
+  _clearCaches() {
+    pricingService.clearPolicyCache();
+    clearCache();
+  }
+}
+
+export default new ScopedPricingPolicyService();
@@ -1,43 +1,92 @@
 import prisma from '../utils/db.js';
+import { Prisma } from '../generated/prisma/index.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import logger from '../../config/logger.js';
 import notificationService from './notificationService.js';
 
+/**
+ * Supported ways of paying a seller for records we buy
+ */
+const PAYOUT_METHODS = ['PAYPAL', 'BANK_TRANSFER', 'CHECK', 'STORE_CREDIT'];
+
+/**
+ * Submission item statuses that count as records sold to us
+ */
+const SOLD_ITEM_STATUSES = ['ACCEPTED', 'CONVERTED_TO_INVENTORY'];
+
+/**
+ * Submission statuses that still carry a live quote
+ */
+const OPEN_SUBMISSION_STATUSES = ['PENDING_REVIEW', 'COUNTER_OFFERED'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Seller Service
+ * A seller is one person (keyed by email) who may send us many submissions
+ * over time. Sellers can optionally be linked to a SELLER login account, in
+ * which case they can read and update their own record.
+ */
 class SellerService {
   /**
-   * Register a new seller
-   * Creates a seller contact record and returns seller ID for future submissions
+   * Register a seller and open a new submission for them
+   * A returning seller (same email) reuses their existing seller record
+   * unchanged: registration is anonymous, so contact and payout details are
+   * only changed through an authenticated update, and the response does not
+   * echo what is on file.
    * @param {Object} data - Seller data
    * @param {string} data.email - Seller email (required)
    * @param {string} data.name - Seller name (optional)
    * @param {string} data.phone - Seller phone (optional)
-   * @param {string} data.notes - Seller notes/instructions (optional)
-   * @returns {Promise<Object>} Created seller submission record
+   * @param {string} data.notes - Notes/instructions for this submission (optional)
+   * @param {string} data.payoutMethod - Preferred payout method (optional)
+   * @param {Object} options - { channel } intake channel (default 'direct');
+   *   drives channel-scoped pricing policies
+   * @returns {Promise<Object>} New submission (id) with its seller (sellerId)
    */
-  async registerSeller(data) {
+  async registerSeller(data, options = {}) {
+    const { channel = 'direct' } = options;
+
     try {
-      const { email, name, phone, notes } = data;
+      const { email, name, phone, notes, payoutMethod } = data;
 
       if (!email || email.trim().length === 0) {
         throw new ApiError('Email is required', 400);
       }
 
       // Validate email format
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email)) {
+      if (!EMAIL_PATTERN.test(email.trim())) {
         throw new ApiError('Invalid email format', 400);
       }
 
+      if (payoutMethod && !PAYOUT_METHODS.includes(payoutMethod)) {
+        throw new ApiError(
+          `payoutMethod must be one of: ${PAYOUT_METHODS.join(', ')}`,
+          400
+        );
+      }
+
+      const { seller, created } = await this.findOrCreateSeller({
+        email,
+        name,
+        phone,
+        payoutMethod,
+      });
+
       // Create seller submission with 30-day expiration
       const expiresAt = new Date();
       expiresAt.setDate(expiresAt.getDate() + 30);
 
-      const seller = await prisma.sellerSubmission.create({
+      const submission = await prisma.sellerSubmission.create({
         data: {
-          sellerContact: email,
-          sellerName: name || null,
+          sellerId: seller.id,
+          sellerContact: seller.email,
+          sellerName: seller.name,
           sellerNotes: notes || null,
-          channel: 'direct',
+          channel,
           status: 'PENDING_REVIEW',
           expiresAt,
         },
@@ -45,25 +94,33 @@ class SellerService {
 
       logger.info('Seller registered', {
         sellerId: seller.id,
-        email: seller.sellerContact,
-        name: seller.sellerName,
+        submissionId: submission.id,
+        email: seller.email,
+        returningSeller: !created,
+        channel,
       });
 
       // Notify admins of new submission
       await notificationService.notifyAdminNewSubmission({
-        submissionId: seller.id,
-        sellerName: seller.sellerName || seller.sellerContact,
+        submissionId: submission.id,
+        sellerName: seller.name || seller.email,
         itemCount: 0,
         totalOffered: 0,
       });
 
       return {
-        id: seller.id,
-        email: seller.sellerContact,
-        name: seller.sellerName,
-        status: seller.status,
-        expiresAt: seller.expiresAt,
-        createdAt: seller.createdAt,
+        id: submission.id,
+        submissionId: submission.id,
+        sellerId: seller.id,
+        email: seller.email,
+        name: created ? seller.name : null,
+        phone: created ? seller.phone : null,
+        payoutMethod: created ? seller.payoutMethod : null,
+        returningSeller: !created,
+        channel: submission.channel,
+        status: submission.status,
+        expiresAt: submission.expiresAt,
+        createdAt: submission.createdAt,
       };
     } catch (error) {
       if (error instanceof ApiError) throw error;
@@ -73,25 +130,61 @@ class SellerService {
   }
 
   /**
-   * Get seller info by ID
-   * @param {string} sellerId - Seller submission ID
+   * Find a seller by email, creating one if this is their first contact
+   * An existing seller is returned untouched; the details only seed a new
+   * record. Sellers are never linked to a login account by email, since
+   * account emails are not verified (see linkSellerAccount).
+   * @param {Object} data - Seller contact details
+   * @param {string} data.email - Seller email
+   * @param {string} data.name - Seller name (optional, new sellers only)
+   * @param {string} data.phone - Seller phone (optional, new sellers only)
+   * @param {string} data.payoutMethod - Payout method (optional, new sellers only)
+   * @returns {Promise<{seller: Object, created: boolean}>} Seller record
+   */
+  async findOrCreateSeller({ email, name, phone, payoutMethod }) {
+    try {
+      const normalizedEmail = this.normalizeEmail(email);
+      const existing = await prisma.seller.findUnique({
+        where: { email: normalizedEmail },
+      });
+
+      if (existing) {
+        return { seller: existing, created: false };
+      }
+
+      const details = {};
+      if (name) details.name = name.trim();
+      if (phone) details.phone = phone.trim();
+      if (payoutMethod) details.payoutMethod = payoutMethod;
+
+      const seller = await prisma.seller.create({
+        data: { email: normalizedEmail, ...details },
+      });
+      return { seller, created: true };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error finding or creating seller', {
+        email,
+        error: error.message,
+      });
+      throw new ApiError('Failed to save seller', 500);
+    }
+  }
+
+  /**
+   * Get a seller with their submissions and lifetime stats
+   * @param {string} sellerId - Seller ID
+   * @param {Object} requester - Authenticated user ({id, role}), if any
    * @returns {Promise<Object>} Seller information
    */
-  async getSellerById(sellerId) {
+  async getSellerById(sellerId, requester) {
     try {
-      const seller = await prisma.sellerSubmission.findUnique({
+      const seller = await prisma.seller.findUnique({
         where: { id: sellerId },
         include: {
-          items: {
-            include: {
-              release: {
-                select: {
-                  id: true,
-                  title: true,
-                  artist: true,
-                },
-              },
-            },
+          submissions: {
+            orderBy: { createdAt: 'desc' },
+            include: { _count: { select: { items: true } } },
           },
         },
       });
@@ -100,16 +193,24 @@ class SellerService {
         throw new ApiError('Seller not found', 404);
       }
 
-      // Check if submission expired
-      if (new Date() > seller.expiresAt && seller.status === 'PENDING_REVIEW') {
-        await prisma.sellerSubmission.update({
-          where: { id: sellerId },
-          data: { status: 'EXPIRED' },
-        });
-        throw new ApiError('Submission has expired', 410);
-      }
+      this.assertAccess(seller, requester);
 
-      return seller;
+      const stats = await this.getSellerStats(seller.id);
+
+      return {
+        ...this._formatSeller(seller, stats),
+        submissions: seller.submissions.map((submission) => ({
+          id: submission.id,
+          status: submission.status,
+          channel: submission.channel,
+          itemCount: submission._count.items,
+          totalOffered: Number(submission.totalOffered || 0),
+          totalAccepted: Number(submission.totalAccepted || 0),
+          expiresAt: submission.expiresAt,
+          reviewedAt: submission.reviewedAt,
+          createdAt: submission.createdAt,
+        })),
+      };
     } catch (error) {
       if (error instanceof ApiError) throw error;
       logger.error('Error getting seller', { sellerId, error: error.message });
@@ -118,16 +219,144 @@ class SellerService {
   }
 
   /**
-   * Update seller information
-   * @param {string} sellerId - Seller submission ID
+   * Get the seller record belonging to a logged-in SELLER account
+   * @param {Object} user - Authenticated user ({id, email, role})
+   * @returns {Promise<Object>} Seller information
+   */
+  async getSellerForUser(user) {
+    const sellerId = await this.findSellerIdForUser(user);
+    return this.getSellerById(sellerId, user);
+  }
+
+  /**
+   * Find the seller ID for a logged-in SELLER account
+   * Only an explicit link counts; see linkSellerAccount.
+   * @param {Object} user - Authenticated user ({id, email, role})
+   * @returns {Promise<string>} Seller ID
+   */
+  async findSellerIdForUser(user) {
+    try {
+      const seller = await prisma.seller.findUnique({
+        where: { userId: user.id },
+      });
+
+      if (!seller) {
+        throw new ApiError('No seller record for this account', 404);
+      }
+
+      return seller.id;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error finding seller for user', {
+        userId: user?.id,
+        error: error.message,
+      });
+      throw new ApiError('Failed to get seller information', 500);
+    }
+  }
+
+  /**
+   * Link a seller record to a SELLER login account (admin only)
+   * Account emails are not verified, so an admin confirms the person behind
+   * the account before linking; pass null to unlink.
+   * @param {string} sellerId - Seller ID
+   * @param {string|null} userId - SELLER account ID, or null
+   * @returns {Promise<Object>} Updated seller information
+   */
+  async linkSellerAccount(sellerId, userId) {
+    try {
+      if (userId === undefined) {
+        throw new ApiError('userId is required (null to unlink)', 400);
+      }
+
+      const seller = await prisma.seller.findUnique({
+        where: { id: sellerId },
+      });
+
+      if (!seller) {
+        throw new ApiError('Seller not found', 404);
+      }
+
+      if (userId) {
+        const user = UUID_PATTERN.test(userId)
+          ? await this._findSellerAccount(userId)
+          : null;
+        if (!user) {
+          throw new ApiError('userId must be an active SELLER account', 400);
+        }
+      }
+
+      const updated = await prisma.seller.update({
+        where: { id: sellerId },
+        data: { userId: userId || null },
+      });
+
+      logger.info(userId ? 'Seller linked to account' : 'Seller unlinked', {
+        sellerId,
+        userId,
+      });
+
+      const stats = await this.getSellerStats(sellerId);
+      return this._formatSeller(updated, stats);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      if (error.code === 'P2002') {
+        throw new ApiError('That account is already linked to a seller', 409);
+      }
+      logger.error('Error linking seller account', {
+        sellerId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to link seller account', 500);
+    }
+  }
+
+  /**
+   * Check that a seller exists and the requester may access it
+   * @param {string} sellerId - Seller ID
+   * @param {Object} requester - Authenticated user ({id, role}), if any
+   * @returns {Promise<void>}
+   * @throws {ApiError} 404 when not found, 403 when not accessible
+   */
+  async assertSellerAccess(sellerId, requester) {
+    try {
+      const seller = await prisma.seller.findUnique({
+        where: { id: sellerId },
+        select: { id: true, userId: true },
+      });
+
+      if (!seller) {
+        throw new ApiError('Seller not found', 404);
+      }
+
+      this.assertAccess(seller, requester);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error checking seller access', {
+        sellerId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to get seller information', 500);
+    }
+  }
+
+  /**
+   * Update seller contact and payout details
+   * @param {string} sellerId - Seller ID
    * @param {Object} data - Updated seller data
+   * @param {string} data.name - Seller name
+   * @param {string} data.phone - Seller phone
+   * @param {string} data.notes - Internal notes
+   * @param {string} data.payoutMethod - One of PAYOUT_METHODS, or null
+   * @param {Object} data.payoutDetails - Method-specific details, or null
+   * @param {Object} requester - Authenticated user ({id, role}), if any
    * @returns {Promise<Object>} Updated seller information
    */
-  async updateSeller(sellerId, data) {
+  async updateSeller(sellerId, data, requester) {
     try {
-      const { name, notes } = data;
+      const { name, phone, notes, payoutMethod, payoutDetails } = data;
 
-      const seller = await prisma.sellerSubmission.findUnique({
+      const seller = await prisma.seller.findUnique({
         where: { id: sellerId },
       });
 
@@ -135,16 +364,45 @@ class SellerService {
         throw new ApiError('Seller not found', 404);
       }
 
-      const updated = await prisma.sellerSubmission.update({
+      this.assertAccess(seller, requester);
+
+      const updates = {};
+      if (name !== undefined) updates.name = name || null;
+      if (phone !== undefined) updates.phone = phone || null;
+      if (notes !== undefined) updates.notes = notes || null;
+
+      if (payoutMethod !== undefined) {
+        if (payoutMethod !== null && !PAYOUT_METHODS.includes(payoutMethod)) {
+          throw new ApiError(
+            `payoutMethod must be one of: ${PAYOUT_METHODS.join(', ')}`,
+            400
+          );
+        }
+        updates.payoutMethod = payoutMethod;
+      }
+
+      if (payoutDetails !== undefined) {
+        if (
+          payoutDetails !== null &&
+          (typeof payoutDetails !== 'object' || Array.isArray(payoutDetails))
+        ) {
+          throw new ApiError('payoutDetails must be an object', 400);
+        }
+        updates.payoutDetails = payoutDetails ?? Prisma.DbNull;
+      }
+
+      const updated = await prisma.seller.update({
         where: { id: sellerId },
-        data: {
-          sellerName: name !== undefined ? name : seller.sellerName,
-          sellerNotes: notes !== undefined ? notes : seller.sellerNotes,
-        },
+        data: updates,
+      });
+
+      logger.info('Seller updated', {
+        sellerId,
+        fields: Object.keys(updates),
       });
 
-      logger.info('Seller updated', { sellerId });
-      return updated;
+      const stats = await this.getSellerStats(sellerId);
+      return this._formatSeller(updated, stats);
     } catch (error) {
       if (error instanceof ApiError) throw error;
       logger.error('Error updating seller', { sellerId, error: error.message });
@@ -153,40 +411,54 @@ class SellerService {
   }
 
   /**
-   * List all sellers with optional filtering
+   * List sellers with lifetime stats
    * @param {Object} filters - Filter options
-   * @param {string} filters.status - Filter by status
+   * @param {string} filters.search - Match email, name or phone
+   * @param {string} filters.status - Only sellers with a submission in this status
    * @param {number} filters.limit - Results per page
    * @param {number} filters.page - Page number
    * @returns {Promise<Object>} Paginated list of sellers
    */
   async listSellers(filters = {}) {
     try {
-      const { status, limit = 50, page = 1 } = filters;
+      const { search, status, limit = 50, page = 1 } = filters;
 
       if (limit > 500) {
         throw new ApiError('Limit cannot exceed 500', 400);
       }
 
       const where = {};
+      if (search) {
+        where.OR = [
+          { email: { contains: search, mode: 'insensitive' } },
+          { name: { contains: search, mode: 'insensitive' } },
+          { phone: { contains: search } },
+        ];
+      }
       if (status) {
-        where.status = status;
+        where.submissions = { some: { status } };
       }
 
       const skip = (page - 1) * limit;
 
       const [sellers, total] = await Promise.all([
-        prisma.sellerSubmission.findMany({
+        prisma.seller.findMany({
           where,
           skip,
           take: limit,
           orderBy: { createdAt: 'desc' },
         }),
-        prisma.sellerSubmission.count({ where }),
+        prisma.seller.count({ where }),
       ]);
 
+      const withStats = await Promise.all(
+        sellers.map(async (seller) =>
+          this._formatSeller(seller, await this.getSellerStats(seller.id))
+        )
+      );
+
       return {
-        sellers,
+        sellers: withStats,
         pagination: {
           total,
           page,
@@ -202,32 +474,127 @@ class SellerService {
   }
 
   /**
-   * Get seller quote (calculated offers for submission items)
-   * @param {string} sellerId - Seller submission ID
+   * Lifetime stats for a seller across all their submissions
+   * totalPaid counts settled payouts; balanceOwed is accepted but not yet
+   * paid (open or in a payout batch).
+   * @param {string} sellerId - Seller ID
+   * @returns {Promise<Object>} submissionCount, itemsSold, totalPaid, balanceOwed
+   */
+  async getSellerStats(sellerId) {
+    try {
+      const [submissionCount, sold, payables] = await Promise.all([
+        prisma.sellerSubmission.count({ where: { sellerId } }),
+        prisma.submissionItem.aggregate({
+          where: {
+            submission: { sellerId },
+            status: { in: SOLD_ITEM_STATUSES },
+          },
+          _sum: { quantity: true },
+        }),
+        prisma.sellerPayable.groupBy({
+          by: ['status'],
+          where: { sellerId, status: { in: ['OPEN', 'BATCHED', 'PAID'] } },
+          _sum: { amount: true },
+        }),
+      ]);
+
+      const sumOf = (statuses) =>
+        round2(
+          payables
+            .filter((group) => statuses.includes(group.status))
+            .reduce((sum, group) => sum + Number(group._sum.amount || 0), 0)
+        );
+
+      return {
+        submissionCount,
+        itemsSold: sold._sum.quantity || 0,
+        totalPaid: sumOf(['PAID']),
+        balanceOwed: sumOf(['OPEN', 'BATCHED']),
+      };
+    } catch (error) {
+      logger.error('Error calculating seller stats', {
+        sellerId,
+        error: error.message,
+      });
+      throw new ApiError('Failed to calculate seller stats', 500);
+    }
+  }
+
+  /**
+   * Get the live quote for a seller: items from their open submissions
+   * Submissions past their expiry are marked EXPIRED and left out.
+   * @param {string} sellerId - Seller ID
+   * @param {Object} requester - Authenticated user ({id, role}), if any
    * @returns {Promise<Object>} Quote summary with item offers
    */
-  async getSellerQuote(sellerId) {
+  async getSellerQuote(sellerId, requester) {
     try {
-      const seller = await this.getSellerById(sellerId);
+      const seller = await prisma.seller.findUnique({
+        where: { id: sellerId },
+        include: {
+          submissions: {
+            where: { status: { in: OPEN_SUBMISSION_STATUSES } },
+            orderBy: { createdAt: 'desc' },
+            include: {
+              items: {
+                include: {
+                  release: {
+                    select: {
+                      id: true,
+                      title: true,
+                      artist: true,
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      });
 
-      if (!seller.items || seller.items.length === 0) {
-        return {
-          sellerId,
-          items: [],
-          totalOffered: 0,
-          totalAccepted: seller.totalAccepted || 0,
-          status: seller.status,
-          expiresAt: seller.expiresAt,
-        };
+      if (!seller) {
+        throw new ApiError('Seller not found', 404);
+      }
+
+      this.assertAccess(seller, requester);
+
+      const now = new Date();
+      const open = [];
+      for (const submission of seller.submissions) {
+        if (
+          now > submission.expiresAt &&
+          submission.status === 'PENDING_REVIEW'
+        ) {
+          await prisma.sellerSubmission.update({
+            where: { id: submission.id },
+            data: { status: 'EXPIRED' },
+          });
+          continue;
+        }
+        open.push(submission);
       }
 
       return {
         sellerId,
-        items: seller.items,
-        totalOffered: seller.totalOffered || 0,
-        totalAccepted: seller.totalAccepted || 0,
-        status: seller.status,
-        expiresAt: seller.expiresAt,
+        submissions: open.map((submission) => ({
+          id: submission.id,
+          status: submission.status,
+          expiresAt: submission.expiresAt,
+          totalOffered: Number(submission.totalOffered || 0),
+          totalAccepted: Number(submission.totalAccepted || 0),
+        })),
+        items: open.flatMap((submission) =>
+          submission.items.map((item) => ({
+            ...item,
+            submissionId: submission.id,
+          }))
+        ),
+        totalOffered: round2(
+          open.reduce((sum, s) => sum + Number(s.totalOffered || 0), 0)
+        ),
+        totalAccepted: round2(
+          open.reduce((sum, s) => sum + Number(s.totalAccepted || 0), 0)
+        ),
       };
     } catch (error) {
       if (error instanceof ApiError) throw error;
@@ -238,6 +605,72 @@ class SellerService {
       throw new ApiError('Failed to get seller quote', 500);
     }
   }
+
+  /**
+   * Normalise an email for use as the seller key
+   * @param {string} email - Raw email
+   * @returns {string} Trimmed, lower-cased email
+   */
+  normalizeEmail(email) {
+    return String(email || '')
+      .trim()
+      .toLowerCase();
+  }
+
+  /**
+   * Find an active SELLER account by ID
+   * @param {string} userId - Admin user ID
+   * @returns {Promise<Object|null>} Admin user, or null
+   * @private
+   */
+  async _findSellerAccount(userId) {
+    return prisma.adminUser.findFirst({
+      where: {
+        id: userId,
+        role: 'SELLER',
+        isActive: true,
+      },
+      select: { id: true },
+    });
+  }
+
+  /**
+   * Sellers may only see their own record; admins see everything
+   * @param {Object} seller - Seller record (with userId)
+   * @param {Object} requester - Authenticated user ({id, role}), if any
+   * @throws {ApiError} 403 when the requester is not the seller or an admin
+   */
+  assertAccess(seller, requester) {
+    if (!requester) return;
+    if (['ADMIN', 'SUPER_ADMIN'].includes(requester.role)) return;
+    if (seller.userId && seller.userId === requester.id) return;
+
+    throw new ApiError('You do not have access to this seller', 403);
+  }
+
+  /**
+   * Shape a seller record for API responses
+   * @param {Object} seller - Seller record
+   * @param {Object} stats - Result of getSellerStats
+   * @returns {Object} Formatted seller
+   * @private
+   */
+  _formatSeller(seller, stats) {
+    return {
+      id: seller.id,
+      email: seller.email,
+      name: seller.name,
+      phone: seller.phone,
+      notes: seller.notes,
+      userId: seller.userId,
+      payoutMethod: seller.payoutMethod,
+      payoutDetails: seller.payoutDetails,
+      stats,
+      createdAt: seller.createdAt,
+      updatedAt: seller.updatedAt,
+    };
+  }
 }
 
+export { PAYOUT_METHODS };
 export default new SellerService();
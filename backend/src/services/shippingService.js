@@ -1,7 +1,64 @@
 import prisma from '../utils/db.js';
+import { Prisma } from '../generated/prisma/index.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import logger from '../../config/logger.js';
+import config from '../../config/config.js';
 import MockShippingProvider from '../providers/mockShippingProvider.js';
+import EasyPostShippingProvider from '../providers/easyPostShippingProvider.js';
+import ShippoShippingProvider from '../providers/shippoShippingProvider.js';
+import packingService from './packingService.js';
+import {
+  DOMESTIC_COUNTRY,
+  US_STATES,
+  isDomesticAddress,
+  listZip3Prefixes,
+  normalizeAddress,
+  normalizeCountry,
+  zip5,
+} from '../utils/address.js';
+
+/**
+ * Zones listing this country match every international destination not
+ * covered by a country-specific zone of the same priority
+ */
+const REST_OF_WORLD = '*';
+
+/**
+ * Harmonized System code for phonograph records (HS 8523.80)
+ */
+const VINYL_HS_CODE = '852380';
+
+/**
+ * CN22 covers low-value, light items (300 SDR and 2 kg under UPU rules);
+ * anything above needs a CN23
+ */
+const CN22_MAX_VALUE_USD = 400;
+const CN22_MAX_WEIGHT_OZ = 70;
+
+/**
+ * ShipmentStatus values
+ */
+const SHIPMENT_STATUSES = [
+  'PENDING_LABEL',
+  'LABEL_GENERATED',
+  'READY_TO_SHIP',
+  'IN_TRANSIT',
+  'OUT_FOR_DELIVERY',
+  'DELIVERED',
+  'FAILED_DELIVERY',
+  'RETURNED',
+  'EXCEPTION',
+];
+
+/**
+ * Statuses a carrier event never moves a shipment back from
+ */
+const FINAL_TRACKING_STATUSES = ['DELIVERED', 'RETURNED'];
+
+/**
+ * Package statuses that flag the whole shipment, most urgent first
+ */
+const PROBLEM_TRACKING_STATUSES = ['EXCEPTION', 'FAILED_DELIVERY', 'RETURNED'];
 
 /**
  * Shipping Service
@@ -10,13 +67,42 @@ import MockShippingProvider from '../providers/mockShippingProvider.js';
  */
 class ShippingService {
   constructor() {
-    this.provider = process.env.SHIPPING_PROVIDER || 'mock';
+    this.provider = config.shipping.provider;
     logger.info('ShippingService initialized', { provider: this.provider });
 
-    if (this.provider === 'mock') {
-      this.client = new MockShippingProvider();
+    this.client = this._createProvider(this.provider, config.shipping);
+    if (this.provider === 'mock' && config.app.env === 'production') {
+      logger.warn('Mock shipping provider in production: labels are not real');
+    }
+  }
+
+  /**
+   * Provider client for SHIPPING_PROVIDER
+   * @param {string} provider - mock, easypost or shippo
+   * @param {Object} settings - config.shipping
+   * @returns {ShippingProviderInterface} Provider client
+   * @private
+   */
+  _createProvider(provider, settings) {
+    const options = {
+      timeoutMs: settings.timeoutMs,
+      labelFormat: settings.labelFormat,
+      customsSigner: settings.customsSigner,
+    };
+
+    switch (provider) {
+      case 'mock':
+        return new MockShippingProvider();
+      case 'easypost':
+        return new EasyPostShippingProvider({
+          ...options,
+          ...settings.easypost,
+        });
+      case 'shippo':
+        return new ShippoShippingProvider({ ...options, ...settings.shippo });
+      default:
+        throw new Error(`Unsupported shipping provider: ${provider}`);
     }
-    // Future: Add Shippo, EasyPost providers
   }
 
   // ============================================================================
@@ -32,15 +118,28 @@ class ShippingService {
    */
   async calculateShippingRates(fromAddress, toAddress, packageDetails = {}) {
     try {
-      if (!toAddress || !toAddress.state) {
+      const destination = normalizeAddress(toAddress);
+      if (!destination?.country) {
+        throw new ApiError(
+          'Destination address with a valid country required',
+          400
+        );
+      }
+      if (destination.country === DOMESTIC_COUNTRY && !destination.state) {
         throw new ApiError('Destination address with state required', 400);
       }
 
       // Determine zone
-      const zone = await this.getZoneForAddress(toAddress);
+      const zone = await this.getZoneForAddress(destination);
+      if (!zone && destination.country === DOMESTIC_COUNTRY) {
+        throw new ApiError(
+          `No shipping zone found for state: ${destination.state}`,
+          400
+        );
+      }
       if (!zone) {
         throw new ApiError(
-          `No shipping zone found for state: ${toAddress.state}`,
+          `No shipping zone found for country: ${destination.country}`,
           400
         );
       }
@@ -67,6 +166,7 @@ class ShippingService {
       if (error instanceof ApiError) throw error;
       logger.error('Error calculating shipping rates', {
         toAddress: toAddress?.state,
+        country: toAddress?.country,
         error: error.message,
       });
       throw new ApiError('Failed to calculate shipping rates', 500);
@@ -75,38 +175,158 @@ class ShippingService {
 
   /**
    * Determine shipping zone from destination address
-   * @param {Object} toAddress - Address with state field
+   * A zone covers the countries it lists (no countries means US only, '*'
+   * means anywhere abroad), narrowed by its states and postal code patterns when
+   * it has them. US zones can also cover ZIP ranges, and a ZIP range match
+   * takes precedence over a state match. Otherwise the lowest priority value
+   * wins; at equal priority a country-specific zone beats a rest-of-world
+   * zone.
+   * @param {Object} toAddress - Address with country, state and postal code
    * @returns {Promise<Object>} Zone record
    */
   async getZoneForAddress(toAddress) {
+    const destination = normalizeAddress(toAddress);
+
     try {
-      if (!toAddress?.state) {
+      if (!destination?.country) {
         return null;
       }
 
-      // Find zone matching state (priority-based - lower priority = higher priority)
-      const zone = await prisma.shippingZone.findFirst({
-        where: {
-          isActive: true,
-          statesIncluded: {
-            hasSome: [toAddress.state.toUpperCase()],
+      let countryMatch;
+      if (destination.country === DOMESTIC_COUNTRY) {
+        countryMatch = [
+          { countriesIncluded: { has: DOMESTIC_COUNTRY } },
+          { countriesIncluded: { isEmpty: true } },
+        ];
+      } else {
+        countryMatch = [
+          {
+            countriesIncluded: {
+              hasSome: [destination.country, REST_OF_WORLD],
+            },
           },
-        },
-        orderBy: {
-          priority: 'asc',
-        },
+        ];
+      }
+
+      const zones = await prisma.shippingZone.findMany({
+        where: { isActive: true, OR: countryMatch },
+        orderBy: { priority: 'asc' },
       });
 
-      return zone;
+      const matching = zones
+        .map((zone) => ({ zone, type: this.zoneMatchType(zone, destination) }))
+        .filter((match) => match.type !== null);
+      const byZip = (match) => match.type === 'ZIP';
+      const isWildcard = (zone) =>
+        !(zone.countriesIncluded || []).includes(destination.country) &&
+        (zone.countriesIncluded || []).includes(REST_OF_WORLD);
+      matching.sort(
+        (a, b) =>
+          byZip(b) - byZip(a) ||
+          a.zone.priority - b.zone.priority ||
+          isWildcard(a.zone) - isWildcard(b.zone)
+      );
+
+      return matching[0]?.zone || null;
     } catch (error) {
       logger.error('Error finding shipping zone', {
-        state: toAddress?.state,
+        country: destination?.country,
+        state: destination?.state,
         error: error.message,
       });
       return null;
     }
   }
 
+  /**
+   * Whether a zone's ZIP range, state and postal code rules cover a
+   * normalized address (the country is matched by the query)
+   * @param {Object} zone - ShippingZone record
+   * @param {Object} destination - Address from normalizeAddress
+   * @returns {boolean} True if the zone applies
+   */
+  zoneCoversAddress(zone, destination) {
+    return this.zoneMatchType(zone, destination) !== null;
+  }
+
+  /**
+   * How a zone covers a normalized address: 'ZIP' through one of its ZIP
+   * ranges, 'AREA' through its states and postal code patterns, or null.
+   * A US zone with ZIP ranges but no states covers only those ranges.
+   * @param {Object} zone - ShippingZone record
+   * @param {Object} destination - Address from normalizeAddress
+   * @returns {string|null} Match type
+   */
+  zoneMatchType(zone, destination) {
+    const states = zone.statesIncluded || [];
+    const zipRanges = this._zoneZipBounds(zone);
+
+    if (zipRanges.length > 0 && destination.country === DOMESTIC_COUNTRY) {
+      const zip = zip5(destination.postalCode);
+      if (
+        zip &&
+        zipRanges.some(({ start, end }) => zip >= start && zip <= end)
+      ) {
+        return 'ZIP';
+      }
+      if (states.length === 0) return null;
+    }
+
+    if (states.length > 0 && !states.includes(destination.state)) {
+      return null;
+    }
+
+    const patterns = zone.postalCodePatterns || [];
+    if (patterns.length === 0) return 'AREA';
+    if (!destination.postalCode) return null;
+
+    const matches = patterns.some((pattern) =>
+      new RegExp(pattern, 'i').test(destination.postalCode)
+    );
+    return matches ? 'AREA' : null;
+  }
+
+  /**
+   * Validate a zone's ZIP ranges. A range is { from, to }, "from-to" or a
+   * single value, with both ends 5-digit ZIPs or both 3-digit ZIP3s
+   * (ZIP3 ranges cover every ZIP under those prefixes).
+   * @param {Array} ranges - ZIP ranges as entered
+   * @returns {Array<Object>} [{ from, to }]
+   */
+  normalizeZipRanges(ranges) {
+    if (!Array.isArray(ranges)) {
+      throw new ApiError('zipRanges must be an array', 400);
+    }
+
+    return ranges.map((range) => {
+      let from;
+      let to;
+      if (typeof range === 'string') {
+        [from, to] = range.split('-');
+      } else {
+        ({ from, to } = range || {});
+      }
+      from = String(from ?? '').trim();
+      to = String(to ?? from).trim();
+
+      if (
+        !/^(\d{3}|\d{5})$/.test(from) ||
+        !/^\d+$/.test(to) ||
+        to.length !== from.length
+      ) {
+        throw new ApiError(
+          `Invalid ZIP range ${JSON.stringify(range)}: use 5-digit ZIPs or 3-digit ZIP3s`,
+          400
+        );
+      }
+      if (from > to) {
+        throw new ApiError(`ZIP range ${from}-${to} is reversed`, 400);
+      }
+
+      return { from, to };
+    });
+  }
+
   /**
    * Get available rates for zone and weight
    * @param {string} zoneId - Zone UUID
@@ -191,6 +411,47 @@ class ShippingService {
     return itemWeight + packagingWeight;
   }
 
+  /**
+   * Zone rates for a multi-package shipment: every package is priced on its
+   * billable weight and the costs are added up per method. Methods missing
+   * for any package are left out.
+   * @param {Object} fromAddress - Origin address (warehouse)
+   * @param {Object} toAddress - Destination address
+   * @param {Array<Object>} packages - Planned packages with billableWeightOz
+   * @returns {Promise<Array>} Rates with summed cost and packageCosts
+   */
+  async calculatePackageRates(fromAddress, toAddress, packages) {
+    const perPackage = [];
+    for (const pkg of packages) {
+      perPackage.push(
+        await this.calculateShippingRates(fromAddress, toAddress, {
+          weight: pkg.billableWeightOz,
+        })
+      );
+    }
+
+    const [first, ...others] = perPackage;
+    return first
+      .map((rate) => [
+        rate,
+        ...others.map((rates) => rates.find((r) => r.method === rate.method)),
+      ])
+      .filter((matches) => matches.every(Boolean))
+      .map(([rate, ...rest]) => {
+        const matches = [rate, ...rest];
+        const sum = (field) =>
+          Math.round(matches.reduce((total, r) => total + r[field], 0) * 100) /
+          100;
+        return {
+          ...rate,
+          cost: sum('cost'),
+          baseRate: sum('baseRate'),
+          weight: matches.reduce((total, r) => total + r.weight, 0),
+          packageCosts: matches.map((r) => r.cost),
+        };
+      });
+  }
+
   // ============================================================================
   // LABEL GENERATION
   // ============================================================================
@@ -209,35 +470,64 @@ class ShippingService {
 
       const shipment = await prisma.shipment.findUnique({
         where: { id: shipmentId },
+        include: { packages: { orderBy: { packageNumber: 'asc' } } },
       });
 
       if (!shipment) {
         throw new ApiError('Shipment not found', 404);
       }
 
-      // Generate label using provider
-      const labelData = await this.client.generateLabel(shipment);
+      // One label per package; shipments created before packages existed
+      // get a single label for the whole shipment
+      const packages = [];
+      let labelData;
+      for (const pkg of shipment.packages || []) {
+        const packageLabel = await this.client.generateLabel(
+          this._packageShipment(shipment, pkg)
+        );
+        labelData = labelData || packageLabel;
+        packages.push(
+          await prisma.shipmentPackage.update({
+            where: { id: pkg.id },
+            data: {
+              ...this._labelFields(pkg, packageLabel),
+              status: 'LABEL_GENERATED',
+            },
+          })
+        );
+      }
+      if (!labelData) {
+        labelData = await this.client.generateLabel(shipment);
+      }
+
+      // The shipment carries the first package's label and tracking number
+      const data = {
+        ...this._labelFields(shipment, labelData),
+        shipmentStatus: 'LABEL_GENERATED',
+      };
+      if (labelData.carrier) data.carrier = labelData.carrier;
 
-      // Update shipment with label info
       const updated = await prisma.shipment.update({
         where: { id: shipmentId },
-        data: {
-          labelUrl: labelData.labelUrl,
-          labelFormat: labelData.labelFormat || 'PDF',
-          trackingNumber: labelData.trackingNumber || shipment.trackingNumber,
-          shipmentStatus: 'LABEL_GENERATED',
-        },
+        data,
       });
 
       logger.info('Shipping label generated', {
         shipmentId,
         trackingNumber: updated.trackingNumber,
+        packages: packages.length,
       });
 
       return {
         labelUrl: updated.labelUrl,
         trackingNumber: updated.trackingNumber,
         format: updated.labelFormat,
+        packages: packages.map((pkg) => ({
+          packageNumber: pkg.packageNumber,
+          boxName: pkg.boxName,
+          trackingNumber: pkg.trackingNumber,
+          labelUrl: pkg.labelUrl,
+        })),
       };
     } catch (error) {
       if (error instanceof ApiError) throw error;
@@ -249,6 +539,106 @@ class ShippingService {
     }
   }
 
+  /**
+   * Label, tracking and provider fields to store for a shipment or package
+   * @param {Object} record - Shipment or package being labelled
+   * @param {Object} labelData - Provider generateLabel result
+   * @returns {Object} Prisma update data
+   * @private
+   */
+  _labelFields(record, labelData) {
+    const data = {
+      labelUrl: labelData.labelUrl,
+      labelFormat: labelData.labelFormat || 'PDF',
+      trackingNumber: labelData.trackingNumber || record.trackingNumber,
+    };
+    if (labelData.trackingUrl) data.trackingUrl = labelData.trackingUrl;
+    if (labelData.providerShipmentId) {
+      data.providerShipmentId = labelData.providerShipmentId;
+    }
+    if (labelData.rateId) data.providerRateId = labelData.rateId;
+    if (labelData.metadata) {
+      data.providerMetadata = {
+        ...(record.providerMetadata || {}),
+        ...labelData.metadata,
+      };
+    }
+    return data;
+  }
+
+  /**
+   * A package in the shape providers expect for a shipment: the shipment's
+   * addresses and method with the package's parcel, customs and provider ids
+   * @param {Object} shipment - Shipment record
+   * @param {Object} pkg - Package record
+   * @returns {Object} Shipment-like record for the provider
+   * @private
+   */
+  _packageShipment(shipment, pkg) {
+    return {
+      ...shipment,
+      id: pkg.id,
+      shipmentId: shipment.id,
+      packageNumber: pkg.packageNumber,
+      trackingNumber: pkg.trackingNumber,
+      weightOz: pkg.weightOz,
+      dimensions: pkg.dimensions,
+      customsDeclaration: pkg.customsDeclaration || shipment.customsDeclaration,
+      providerShipmentId: pkg.providerShipmentId,
+      providerRateId: pkg.providerRateId,
+      providerMetadata: pkg.providerMetadata,
+    };
+  }
+
+  /**
+   * Generate prepaid return label from the buyer back to the warehouse
+   * @param {Object} order - Order with shippingAddress
+   * @param {Object} returnData - {rmaNumber, itemCount}
+   * @returns {Promise<Object>} Label details {labelUrl, trackingNumber, carrier, format}
+   */
+  async generateReturnLabel(order, returnData) {
+    try {
+      if (!order.shippingAddress) {
+        throw new ApiError('Order shipping address not set', 400);
+      }
+
+      const warehouseAddress = JSON.parse(
+        process.env.WAREHOUSE_ADDRESS || '{"state": "CA", "zip": "90001"}'
+      );
+
+      const labelData = await this.client.generateReturnLabel({
+        rmaNumber: returnData.rmaNumber,
+        orderId: order.id,
+        fromAddress: order.shippingAddress,
+        toAddress: warehouseAddress,
+        weightOz: this.calculatePackageWeight(
+          new Array(returnData.itemCount || 1).fill(null)
+        ),
+      });
+
+      logger.info('Return label generated', {
+        orderId: order.id,
+        rmaNumber: returnData.rmaNumber,
+        trackingNumber: labelData.trackingNumber,
+      });
+
+      return {
+        labelUrl: labelData.labelUrl,
+        trackingNumber: labelData.trackingNumber,
+        carrier: labelData.carrier || 'MOCK',
+        format: labelData.labelFormat || 'PDF',
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error generating return label', {
+        orderId: order.id,
+        rmaNumber: returnData.rmaNumber,
+        error: error.message,
+      });
+      throw new ApiError('Failed to generate return label', 502);
+    }
+  }
+
   /**
    * Generate mock tracking number (for testing)
    * Format: MOCK{12-digit-number}
@@ -269,8 +659,9 @@ class ShippingService {
    * Create tracking event for shipment
    * @param {string} shipmentId - Shipment UUID
    * @param {string} status - Status (e.g., 'IN_TRANSIT', 'DELIVERED')
-   * @param {Object} details - Event details {location, message, carrierEventId}
-   * @returns {Promise<Object>} Created tracking event
+   * @param {Object} details - Event details {location, message, carrierEventId, packageId}
+   * @returns {Promise<Object>} Created tracking event (409 if the carrier event
+   *   is already recorded for the shipment)
    */
   async createTrackingEvent(shipmentId, status, details = {}) {
     try {
@@ -282,6 +673,7 @@ class ShippingService {
       const event = await prisma.shipmentTracking.create({
         data: {
           shipmentId,
+          packageId: details.packageId,
           status,
           statusDetail: details.statusDetail,
           location: details.location,
@@ -300,6 +692,9 @@ class ShippingService {
       return event;
     } catch (error) {
       if (error instanceof ApiError) throw error;
+      if (error.code === 'P2002') {
+        throw new ApiError('Carrier event already recorded', 409);
+      }
       logger.error('Error creating tracking event', {
         shipmentId,
         status,
@@ -320,9 +715,13 @@ class ShippingService {
         throw new ApiError('Tracking number is required', 400);
       }
 
-      const shipment = await prisma.shipment.findUnique({
-        where: { trackingNumber },
+      // Any package's tracking number finds the whole shipment
+      const shipment = await prisma.shipment.findFirst({
+        where: {
+          OR: [{ trackingNumber }, { packages: { some: { trackingNumber } } }],
+        },
         include: {
+          packages: { orderBy: { packageNumber: 'asc' } },
           trackingEvents: {
             orderBy: { eventTime: 'desc' },
           },
@@ -343,6 +742,7 @@ class ShippingService {
 
       return {
         shipment,
+        packages: shipment.packages,
         trackingEvents: shipment.trackingEvents,
         order: shipment.order,
       };
@@ -428,16 +828,31 @@ class ShippingService {
       // Check if order exists and get details
       const order = await prisma.order.findUnique({
         where: { id: orderId },
-        include: { items: true },
+        include: {
+          items: {
+            include: {
+              inventoryLot: { include: { release: true } },
+            },
+          },
+        },
       });
 
       if (!order) {
         throw new ApiError('Order not found', 404);
       }
 
-      // Calculate weight if not provided
-      const weight =
-        packageDetails.weightOz || this.calculatePackageWeight(order.items);
+      // Split the order into mailer boxes, unless the packer already
+      // weighed it as a single package
+      let plan;
+      if (packageDetails.weightOz) {
+        plan = packingService.planSinglePackage(order.items, packageDetails);
+      } else {
+        plan = packingService.planPackages(
+          order.items,
+          await packingService.getActiveBoxes()
+        );
+      }
+      const weight = plan.totals.weightOz;
 
       // Get warehouse and shipping address
       const warehouseAddress = JSON.parse(
@@ -449,13 +864,11 @@ class ShippingService {
         throw new ApiError('Order shipping address not set', 400);
       }
 
-      // Calculate shipping cost
-      const rates = await this.calculateShippingRates(
+      // Calculate shipping cost (each package on its billable weight)
+      const rates = await this.calculatePackageRates(
         warehouseAddress,
         toAddress,
-        {
-          weight,
-        }
+        plan.packages
       );
 
       const selectedRate = rates.find((r) => r.method === shippingMethod);
@@ -466,19 +879,95 @@ class ShippingService {
         );
       }
 
+      // Parcels leaving the country carry a customs declaration: one for
+      // the order and one per package for its contents
+      const international = !isDomesticAddress(toAddress);
+      const originCountry = normalizeCountry(warehouseAddress.country);
+      let customs = null;
+      if (international) {
+        customs = this.buildCustomsDeclaration(order, {
+          weightOz: weight,
+          originCountry,
+        });
+      }
+
+      // Book each package with the provider; the buyer was charged the
+      // zone rate, the provider's quote is kept in the metadata
+      const packages = [];
+      let carrier;
+      for (const [index, pkg] of plan.packages.entries()) {
+        let packageCustoms = null;
+        if (international) {
+          packageCustoms = this.buildCustomsDeclaration(
+            { ...order, items: this._packageOrderItems(order, pkg) },
+            { weightOz: pkg.weightOz, originCountry }
+          );
+        }
+
+        const quote = await this.createShipmentWithProvider({
+          orderId,
+          fromAddress: warehouseAddress,
+          toAddress,
+          weight: pkg.weightOz,
+          dimensions: pkg.dimensions,
+          shippingMethod,
+          carrier: selectedRate.carrier,
+          customsDeclaration: packageCustoms,
+        });
+
+        packages.push({
+          packageNumber: pkg.packageNumber,
+          boxId: pkg.boxId,
+          boxName: pkg.boxName,
+          units: pkg.units,
+          items: pkg.items,
+          weightOz: pkg.weightOz,
+          dimensionalWeightOz: pkg.dimensionalWeightOz,
+          billableWeightOz: pkg.billableWeightOz,
+          cost: selectedRate.packageCosts[index],
+          trackingNumber: quote.trackingNumber || null,
+          providerShipmentId: quote.id,
+          providerRateId: quote.rateId || null,
+          ...(pkg.dimensions && { dimensions: pkg.dimensions }),
+          ...(quote.metadata && { providerMetadata: quote.metadata }),
+          ...(packageCustoms && { customsDeclaration: packageCustoms }),
+        });
+        carrier = carrier || quote.carrier;
+      }
+
+      // A single package's box size is the shipment's
+      const [firstPackage] = packages;
+      let dimensions;
+      if (packages.length === 1) dimensions = firstPackage.dimensions;
+
       // Create shipment
       const shipment = await prisma.shipment.create({
         data: {
           orderId,
-          carrier: 'MOCK',
+          carrier: carrier || 'MOCK',
           shippingMethod,
           weightOz: weight,
           baseRate: selectedRate.baseRate,
           totalCost: selectedRate.cost,
           fromAddress: warehouseAddress,
           toAddress,
-          trackingNumber: this.generateMockTrackingNumber(),
+          trackingNumber: firstPackage.trackingNumber,
+          providerShipmentId: firstPackage.providerShipmentId,
+          providerRateId: firstPackage.providerRateId,
+          ...(dimensions && { dimensions }),
+          ...(firstPackage.providerMetadata && {
+            providerMetadata: firstPackage.providerMetadata,
+          }),
+          ...(customs && {
+            customsForm: customs.form,
+            declaredValue: customs.declaredValue,
+            customsDeclaration: customs,
+          }),
+          packages: {
+            create: packages,
+          },
         },
+        include: { packages: { orderBy: { packageNumber: 'asc' } } },
       });
 
       logger.info('Shipment created', {
@@ -486,6 +975,8 @@ class ShippingService {
         orderId,
         shippingMethod,
         weight,
+        packages: packages.length,
+        customsForm: customs?.form,
       });
 
       return shipment;
@@ -500,6 +991,79 @@ class ShippingService {
     }
   }
 
+  /**
+   * The order's items limited to a package's contents, with the packed
+   * quantity
+   * @param {Object} order - Order with items
+   * @param {Object} pkg - Planned package with items [{ orderItemId, quantity }]
+   * @returns {Array<Object>} Order items
+   * @private
+   */
+  _packageOrderItems(order, pkg) {
+    return pkg.items.map((line) => ({
+      ...order.items.find((item) => item.id === line.orderItemId),
+      quantity: line.quantity,
+    }));
+  }
+
+  /**
+   * Build the customs declaration for an international order
+   * Every line is declared as phonograph records at the price paid per
+   * unit, with the pressing country as origin when it is a known country.
+   * @param {Object} order - Order with items.inventoryLot.release
+   * @param {Object} options - { weightOz, originCountry (default US) }
+   * @returns {Object} Declaration with form (CN22/CN23), declaredValue and items
+   */
+  buildCustomsDeclaration(order, options = {}) {
+    const { weightOz, originCountry } = options;
+    const fallbackOrigin = originCountry || DOMESTIC_COUNTRY;
+
+    const items = (order.items || []).map((item) => {
+      const release = item.inventoryLot?.release;
+      const pressingCountry = item.inventoryLot?.country
+        ? normalizeCountry(item.inventoryLot.country)
+        : null;
+      const quantity = item.quantity || 1;
+      const unitValue = parseFloat(item.priceAtPurchase);
+      return {
+        orderItemId: item.id,
+        description: release
+          ? `Vinyl record: ${release.artist} - ${release.title}`.slice(0, 100)
+          : 'Vinyl record',
+        hsCode: VINYL_HS_CODE,
+        quantity,
+        unitValue,
+        value: Math.round(unitValue * quantity * 100) / 100,
+        weightOz: 8 * quantity,
+        originCountry: pressingCountry || fallbackOrigin,
+      };
+    });
+
+    const declaredValue =
+      Math.round(items.reduce((sum, item) => sum + item.value, 0) * 100) / 100;
+    const totalWeight =
+      weightOz || this.calculatePackageWeight(order.items || []);
+    const form =
+      declaredValue <= CN22_MAX_VALUE_USD && totalWeight <= CN22_MAX_WEIGHT_OZ
+        ? 'CN22'
+        : 'CN23';
+
+    return {
+      form,
+      contentsType: 'MERCHANDISE',
+      contentsDescription: 'Vinyl records',
+      hsCode: VINYL_HS_CODE,
+      currency: 'USD',
+      declaredValue,
+      weightOz: totalWeight,
+      originCountry: fallbackOrigin,
+      destinationCountry: normalizeCountry(order.shippingAddress?.country),
+      invoiceNumber: order.orderNumber,
+      nonDeliveryOption: 'RETURN',
+      items,
+    };
+  }
+
   /**
    * Get shipment by ID
    * @param {string} shipmentId - Shipment UUID
@@ -514,6 +1078,7 @@ class ShippingService {
       const shipment = await prisma.shipment.findUnique({
         where: { id: shipmentId },
         include: {
+          packages: { orderBy: { packageNumber: 'asc' } },
           trackingEvents: {
             orderBy: { eventTime: 'desc' },
             take: 10,
@@ -536,6 +1101,15 @@ class ShippingService {
     }
   }
 
+  /**
+   * Whether a value is a ShipmentStatus
+   * @param {string} status - Status to check
+   * @returns {boolean} True for a known status
+   */
+  isShipmentStatus(status) {
+    return SHIPMENT_STATUSES.includes(status);
+  }
+
   /**
    * Update shipment status
    * @param {string} shipmentId - Shipment UUID
@@ -548,20 +1122,7 @@ class ShippingService {
         throw new ApiError('shipmentId and newStatus are required', 400);
       }
 
-      // Validate status
-      const validStatuses = [
-        'PENDING_LABEL',
-        'LABEL_GENERATED',
-        'READY_TO_SHIP',
-        'IN_TRANSIT',
-        'OUT_FOR_DELIVERY',
-        'DELIVERED',
-        'FAILED_DELIVERY',
-        'RETURNED',
-        'EXCEPTION',
-      ];
-
-      if (!validStatuses.includes(newStatus)) {
+      if (!this.isShipmentStatus(newStatus)) {
         throw new ApiError(`Invalid shipment status: ${newStatus}`, 400);
       }
 
@@ -588,7 +1149,7 @@ class ShippingService {
   }
 
   // ============================================================================
-  // PROVIDER ABSTRACTION (for future real provider integration)
+  // PROVIDER ABSTRACTION
   // ============================================================================
 
   /**
@@ -621,9 +1182,13 @@ class ShippingService {
     } catch (error) {
       logger.error('Error creating shipment with provider', {
         provider: this.provider,
+        orderId: shipmentData.orderId,
         error: error.message,
       });
-      throw new ApiError('Failed to create shipment with provider', 500);
+      throw new ApiError(
+        `Failed to create shipment with provider: ${error.message}`,
+        502
+      );
     }
   }
 
@@ -638,10 +1203,31 @@ class ShippingService {
         throw new ApiError('shipmentId is required', 400);
       }
 
-      const result = await this.client.voidLabel(shipmentId);
-      logger.info('Label voided', { shipmentId });
+      const shipment = await prisma.shipment.findUnique({
+        where: { id: shipmentId },
+        include: { packages: true },
+      });
+      if (!shipment) {
+        throw new ApiError('Shipment not found', 404);
+      }
+
+      // Every package label is refunded separately
+      const labelled = (shipment.packages || []).filter((pkg) => pkg.labelUrl);
+      let result = true;
+      for (const pkg of labelled) {
+        const voided = await this.client.voidLabel(
+          this._packageShipment(shipment, pkg)
+        );
+        result = result && voided;
+      }
+      if (labelled.length === 0) {
+        result = await this.client.voidLabel(shipment);
+      }
+
+      logger.info('Label voided', { shipmentId, packages: labelled.length });
       return result;
     } catch (error) {
+      if (error instanceof ApiError) throw error;
       logger.error('Error voiding label', {
         shipmentId,
         error: error.message,
@@ -655,44 +1241,173 @@ class ShippingService {
   // ============================================================================
 
   /**
-   * Process carrier webhook event
-   * @param {Object} webhookData - Webhook payload from carrier
-   * @returns {Promise<Object>} Processed result
+   * Apply a carrier tracking update (parsed by carrierWebhookService)
+   * Every new event is kept in the tracking history, but only moves the
+   * status when it is the newest carrier event and does not take a
+   * delivered or returned parcel back to an earlier status. Events already
+   * recorded for the shipment (carrier retries) are reported as duplicates.
+   * Events for one package of a multi-package shipment move that package,
+   * and the shipment follows its least advanced package.
+   * @param {Object} event - { eventId, trackingNumber, status, statusDetail, location, message, eventTime }
+   * @returns {Promise<Object>} { outcome, reason?, shipmentId?, trackingEventId?, shipmentStatus? }
+   *   outcome: PROCESSED, OUT_OF_ORDER, DUPLICATE or IGNORED
    */
-  async processCarrierWebhook(webhookData) {
+  async processCarrierWebhook(event) {
     try {
-      if (!webhookData) {
+      if (!event) {
         throw new ApiError('Webhook data is required', 400);
       }
 
-      // Implementation for carrier webhooks
       logger.info('Processing carrier webhook', {
-        eventType: webhookData.type,
-        trackingNumber: webhookData.tracking_number,
+        eventId: event.eventId,
+        eventType: event.eventType,
+        trackingNumber: event.trackingNumber,
+        status: event.status,
       });
 
-      // Create tracking event from webhook
-      if (webhookData.tracking_number) {
-        const shipment = await prisma.shipment.findUnique({
-          where: { trackingNumber: webhookData.tracking_number },
+      if (!event.trackingNumber) {
+        return { outcome: 'IGNORED', reason: 'Event has no tracking number' };
+      }
+      if (!event.status) {
+        return { outcome: 'IGNORED', reason: 'Unrecognized carrier status' };
+      }
+
+      const latestCarrierEvent = (where = {}) => ({
+        where: { ...where, carrierEventId: { not: null } },
+        orderBy: { eventTime: 'desc' },
+        take: 1,
+      });
+
+      // Package tracking numbers first; shipments created before packages
+      // existed are tracked on the shipment itself
+      const pkg = await prisma.shipmentPackage.findUnique({
+        where: { trackingNumber: event.trackingNumber },
+        include: { shipment: true },
+      });
+      let shipment;
+      let currentStatus;
+      let latestEvents;
+      if (pkg) {
+        shipment = pkg.shipment;
+        currentStatus = pkg.status;
+        latestEvents = await prisma.shipmentTracking.findMany(
+          latestCarrierEvent({ packageId: pkg.id })
+        );
+      } else {
+        shipment = await prisma.shipment.findUnique({
+          where: { trackingNumber: event.trackingNumber },
+          include: { trackingEvents: latestCarrierEvent() },
         });
+        currentStatus = shipment?.shipmentStatus;
+        latestEvents = shipment?.trackingEvents;
+      }
 
-        if (shipment) {
-          await this.createTrackingEvent(shipment.id, webhookData.status, {
-            statusDetail: webhookData.status_detail,
-            location: webhookData.location,
-            message: webhookData.message,
-            carrierEventId: webhookData.event_id,
-            eventTime: webhookData.timestamp
-              ? new Date(webhookData.timestamp)
-              : new Date(),
-          });
+      if (!shipment) {
+        return {
+          outcome: 'IGNORED',
+          reason: 'No shipment with this tracking number',
+        };
+      }
+
+      if (event.eventId) {
+        const recorded = await prisma.shipmentTracking.findUnique({
+          where: {
+            shipmentId_carrierEventId: {
+              shipmentId: shipment.id,
+              carrierEventId: event.eventId,
+            },
+          },
+        });
+        if (recorded) {
+          return {
+            outcome: 'DUPLICATE',
+            shipmentId: shipment.id,
+            trackingEventId: recorded.id,
+          };
+        }
+      }
+
+      const eventTime = event.eventTime || new Date();
+      let trackingEvent;
+      try {
+        trackingEvent = await this.createTrackingEvent(
+          shipment.id,
+          event.status,
+          {
+            packageId: pkg?.id,
+            statusDetail: event.statusDetail,
+            location: event.location,
+            message: event.message,
+            carrierEventId: event.eventId,
+            eventTime,
+          }
+        );
+      } catch (error) {
+        // A concurrent retry recorded it between the lookup and the insert
+        if (error instanceof ApiError && error.status === 409) {
+          return { outcome: 'DUPLICATE', shipmentId: shipment.id };
         }
+        throw error;
+      }
+
+      const [latest] = latestEvents;
+      if (
+        !this._isTrackingUpdateCurrent(
+          currentStatus,
+          latest?.eventTime,
+          event.status,
+          eventTime
+        )
+      ) {
+        logger.info('Out-of-order carrier event kept in history only', {
+          shipmentId: shipment.id,
+          packageId: pkg?.id,
+          currentStatus,
+          eventStatus: event.status,
+        });
+        return {
+          outcome: 'OUT_OF_ORDER',
+          shipmentId: shipment.id,
+          trackingEventId: trackingEvent.id,
+          shipmentStatus: shipment.shipmentStatus,
+        };
       }
 
-      return { acknowledged: true };
+      let shipmentStatus = event.status;
+      if (pkg) {
+        await prisma.shipmentPackage.update({
+          where: { id: pkg.id },
+          data: { status: event.status },
+        });
+        const packages = await prisma.shipmentPackage.findMany({
+          where: { shipmentId: shipment.id },
+          select: { status: true },
+        });
+        shipmentStatus = this._rollupPackageStatus(
+          packages.map((p) => p.status)
+        );
+      }
+
+      const updated = await prisma.shipment.update({
+        where: { id: shipment.id },
+        data: {
+          shipmentStatus,
+          ...(shipmentStatus === 'DELIVERED' && {
+            actualDeliveryDate: eventTime,
+          }),
+        },
+      });
+
+      return {
+        outcome: 'PROCESSED',
+        shipmentId: shipment.id,
+        trackingEventId: trackingEvent.id,
+        shipmentStatus: updated.shipmentStatus,
+      };
     } catch (error) {
+      if (error instanceof ApiError) throw error;
       logger.error('Error processing carrier webhook', {
+        trackingNumber: event?.trackingNumber,
         error: error.message,
       });
       throw new ApiError('Failed to process webhook', 500);
@@ -700,23 +1415,41 @@ class ShippingService {
   }
 
   /**
-   * Validate webhook signature
-   * @param {string} signature - Signature header from carrier
-   * @param {Object} body - Webhook body
-   * @returns {boolean} Signature valid
+   * Whether a carrier event should become the shipment status: it must not
+   * predate the newest carrier event already recorded, and delivered or
+   * returned shipments only accept another final status
+   * @param {string} currentStatus - Shipment status
+   * @param {Date} [latestEventTime] - Newest recorded carrier event time
+   * @param {string} status - Event status
+   * @param {Date} eventTime - Event time
+   * @returns {boolean} True when the event is current
+   * @private
    */
-  async validateWebhookSignature(signature, body) {
-    try {
-      // Implementation for signature validation
-      // This would vary by carrier (Shippo, EasyPost, etc.)
-      logger.info('Validating webhook signature');
-      return true; // Placeholder
-    } catch (error) {
-      logger.error('Error validating webhook signature', {
-        error: error.message,
-      });
-      return false;
-    }
+  _isTrackingUpdateCurrent(currentStatus, latestEventTime, status, eventTime) {
+    if (latestEventTime && eventTime < latestEventTime) return false;
+    return (
+      !FINAL_TRACKING_STATUSES.includes(currentStatus) ||
+      FINAL_TRACKING_STATUSES.includes(status)
+    );
+  }
+
+  /**
+   * Shipment status for its packages' statuses: a package with a delivery
+   * problem flags the whole shipment, otherwise the shipment is only as far
+   * along as its least advanced package
+   * @param {Array<string>} statuses - Package statuses
+   * @returns {string} Shipment status
+   * @private
+   */
+  _rollupPackageStatus(statuses) {
+    const problem = PROBLEM_TRACKING_STATUSES.find((status) =>
+      statuses.includes(status)
+    );
+    if (problem) return problem;
+    const [least] = [...statuses].sort(
+      (a, b) => SHIPMENT_STATUSES.indexOf(a) - SHIPMENT_STATUSES.indexOf(b)
+    );
+    return least;
   }
 
   // ============================================================================
@@ -783,30 +1516,49 @@ class ShippingService {
 
   /**
    * Create shipping zone
+   * Domestic zones list states; international zones list countries
+   * (ISO alpha-2, or '*' for rest of world) and optionally postal code
+   * patterns (regular expressions) to cover part of a country.
    */
   async createShippingZone({
     name,
-    statesIncluded,
+    statesIncluded = [],
+    countriesIncluded = [],
+    postalCodePatterns = [],
+    zipRanges,
     priority,
     description,
     isActive,
   }) {
     try {
+      if (!name) {
+        throw new ApiError('name is required', 400);
+      }
+
+      const coverage = this._normalizeZoneCoverage({
+        statesIncluded,
+        countriesIncluded,
+        postalCodePatterns,
+        zipRanges,
+      });
       if (
-        !name ||
-        !Array.isArray(statesIncluded) ||
-        statesIncluded.length === 0
+        coverage.statesIncluded.length === 0 &&
+        coverage.countriesIncluded.length === 0 &&
+        !Array.isArray(coverage.zipRanges)
       ) {
         throw new ApiError(
-          'name and statesIncluded (non-empty array) are required',
+          'statesIncluded, countriesIncluded or zipRanges (non-empty array) is required',
           400
         );
       }
+      if (Array.isArray(coverage.zipRanges)) {
+        await this._assertNoZipRangeOverlap(coverage.zipRanges);
+      }
 
       const zone = await prisma.shippingZone.create({
         data: {
           name,
-          statesIncluded: statesIncluded.map((s) => s.toUpperCase()),
+          ...coverage,
           priority,
           description,
           isActive,
@@ -828,13 +1580,18 @@ class ShippingService {
   async updateShippingZone(zoneId, updates) {
     try {
       // Filter out undefined values
-      const data = {};
-      if (updates.name !== undefined) data.name = updates.name;
-      if (updates.statesIncluded !== undefined) {
-        data.statesIncluded = updates.statesIncluded.map((s) =>
-          s.toUpperCase()
-        );
+      const data = {
+        ...this._normalizeZoneCoverage({
+          statesIncluded: updates.statesIncluded,
+          countriesIncluded: updates.countriesIncluded,
+          postalCodePatterns: updates.postalCodePatterns,
+          zipRanges: updates.zipRanges,
+        }),
+      };
+      if (Array.isArray(data.zipRanges)) {
+        await this._assertNoZipRangeOverlap(data.zipRanges, zoneId);
       }
+      if (updates.name !== undefined) data.name = updates.name;
       if (updates.priority !== undefined) data.priority = updates.priority;
       if (updates.description !== undefined)
         data.description = updates.description;
@@ -849,6 +1606,7 @@ class ShippingService {
       logger.info('Shipping zone updated', { zoneId, name: zone.name });
       return zone;
     } catch (error) {
+      if (error instanceof ApiError) throw error;
       if (error.code === 'P2025') {
         throw new ApiError('Shipping zone not found', 404);
       }
@@ -860,6 +1618,265 @@ class ShippingService {
     }
   }
 
+  /**
+   * Validate and normalize the coverage lists of a zone; lists left
+   * undefined are omitted and empty ZIP ranges are stored as null
+   * @private
+   */
+  _normalizeZoneCoverage({
+    statesIncluded,
+    countriesIncluded,
+    postalCodePatterns,
+    zipRanges,
+  }) {
+    const coverage = {};
+
+    for (const [field, list] of Object.entries({
+      statesIncluded,
+      countriesIncluded,
+      postalCodePatterns,
+    })) {
+      if (list !== undefined && !Array.isArray(list)) {
+        throw new ApiError(`${field} must be an array`, 400);
+      }
+    }
+
+    if (statesIncluded !== undefined) {
+      coverage.statesIncluded = statesIncluded.map((s) => s.toUpperCase());
+    }
+
+    if (countriesIncluded !== undefined) {
+      coverage.countriesIncluded = countriesIncluded.map((country) => {
+        if (country === REST_OF_WORLD) return country;
+        const code = normalizeCountry(country);
+        if (!code || !country) {
+          throw new ApiError(`Unknown country: ${country}`, 400);
+        }
+        return code;
+      });
+    }
+
+    if (postalCodePatterns !== undefined) {
+      coverage.postalCodePatterns = postalCodePatterns.map((pattern) => {
+        try {
+          new RegExp(pattern, 'i');
+        } catch {
+          throw new ApiError(`Invalid postal code pattern: ${pattern}`, 400);
+        }
+        return pattern;
+      });
+    }
+
+    if (zipRanges === null) {
+      coverage.zipRanges = Prisma.DbNull;
+    } else if (zipRanges !== undefined) {
+      const ranges = this.normalizeZipRanges(zipRanges);
+      coverage.zipRanges = ranges.length > 0 ? ranges : Prisma.DbNull;
+    }
+
+    return coverage;
+  }
+
+  /**
+   * Reject ZIP ranges that overlap each other or another zone's ranges
+   * @param {Array<Object>} ranges - Ranges from normalizeZipRanges
+   * @param {string} [zoneId] - Zone being updated (excluded from the check)
+   * @private
+   */
+  async _assertNoZipRangeOverlap(ranges, zoneId = null) {
+    const bounds = ranges.map((range) => ({
+      label: this._formatZipRange(range),
+      ...this._zipRangeBounds(range),
+    }));
+
+    bounds.forEach((a, i) => {
+      const b = bounds
+        .slice(i + 1)
+        .find((other) => this._zipRangesOverlap(a, other));
+      if (b) {
+        throw new ApiError(`ZIP ranges ${a.label} and ${b.label} overlap`, 400);
+      }
+    });
+
+    const zones = await prisma.shippingZone.findMany({
+      where: zoneId ? { id: { not: zoneId } } : {},
+      select: { id: true, name: true, zipRanges: true },
+    });
+
+    const conflicts = [];
+    for (const zone of zones) {
+      for (const existing of this._zoneZipBounds(zone)) {
+        for (const range of bounds.filter((b) =>
+          this._zipRangesOverlap(b, existing)
+        )) {
+          conflicts.push(
+            `${range.label} overlaps ${existing.label} in zone "${zone.name}"`
+          );
+        }
+      }
+    }
+
+    if (conflicts.length > 0) {
+      throw new ApiError(
+        `ZIP ranges overlap existing zones: ${conflicts.join('; ')}`,
+        409
+      );
+    }
+  }
+
+  /**
+   * Stored ZIP ranges of a zone as 5-digit bounds; malformed entries are
+   * skipped
+   * @private
+   */
+  _zoneZipBounds(zone) {
+    if (!Array.isArray(zone.zipRanges)) return [];
+
+    return zone.zipRanges.flatMap((range) => {
+      try {
+        const [normalized] = this.normalizeZipRanges([range]);
+        return [
+          {
+            label: this._formatZipRange(normalized),
+            ...this._zipRangeBounds(normalized),
+          },
+        ];
+      } catch {
+        return [];
+      }
+    });
+  }
+
+  /**
+   * "from-to" label of a ZIP range, or the single ZIP/ZIP3
+   * @private
+   */
+  _formatZipRange({ from, to }) {
+    return from === to ? from : `${from}-${to}`;
+  }
+
+  /**
+   * 5-digit bounds of a ZIP range; ZIP3 ranges span xxx00 to yyy99
+   * @private
+   */
+  _zipRangeBounds({ from, to }) {
+    return { start: from.padEnd(5, '0'), end: to.padEnd(5, '9') };
+  }
+
+  /**
+   * Whether two { start, end } ZIP bounds share any ZIP
+   * @private
+   */
+  _zipRangesOverlap(a, b) {
+    return a.start <= b.end && b.start <= a.end;
+  }
+
+  /**
+   * Coverage of US states and ZIP3 prefixes by active domestic zones.
+   * A state is covered by zones listing it (without postal code patterns,
+   * which cover only part of it); a ZIP3 by its state's zones or by any ZIP
+   * range reaching into it. ZIP3s reached by ZIP ranges of several zones are
+   * reported as overlapping, and ZIP3s only partly inside ZIP ranges with no
+   * state zone behind them as partially covered.
+   * @returns {Promise<Object>} Coverage report
+   */
+  async getZoneCoverageReport() {
+    try {
+      const zones = await prisma.shippingZone.findMany({
+        where: {
+          isActive: true,
+          OR: [
+            { countriesIncluded: { has: DOMESTIC_COUNTRY } },
+            { countriesIncluded: { isEmpty: true } },
+          ],
+        },
+        orderBy: [{ priority: 'asc' }, { name: 'asc' }],
+      });
+
+      const summarize = (zone) => ({
+        id: zone.id,
+        name: zone.name,
+        priority: zone.priority,
+      });
+
+      const zoneRanges = zones.map((zone) => ({
+        zone,
+        ranges: this._zoneZipBounds(zone),
+      }));
+
+      const stateZones = new Map(US_STATES.map((state) => [state, []]));
+      for (const { zone, ranges } of zoneRanges) {
+        const states = zone.statesIncluded || [];
+        if ((zone.postalCodePatterns || []).length > 0) continue;
+        if (states.length === 0 && ranges.length > 0) continue;
+
+        const covered = states.length > 0 ? states : US_STATES;
+        covered.forEach((state) => stateZones.get(state)?.push(zone));
+      }
+
+      const states = { uncovered: [], overlapping: [] };
+      for (const [state, covering] of stateZones) {
+        if (covering.length === 0) states.uncovered.push(state);
+        if (covering.length > 1) {
+          states.overlapping.push({ state, zones: covering.map(summarize) });
+        }
+      }
+
+      const zip3 = { uncovered: [], partiallyCovered: [], overlapping: [] };
+      const prefixes = listZip3Prefixes();
+      for (const prefix of prefixes) {
+        const block = { start: `${prefix.zip3}00`, end: `${prefix.zip3}99` };
+        const reaching = zoneRanges.filter(({ ranges }) =>
+          ranges.some((range) => this._zipRangesOverlap(range, block))
+        );
+        const hasStateZone = stateZones.get(prefix.state).length > 0;
+
+        if (reaching.length === 0 && !hasStateZone) {
+          zip3.uncovered.push(prefix);
+          continue;
+        }
+        if (reaching.length > 1) {
+          zip3.overlapping.push({
+            ...prefix,
+            zones: reaching.map(({ zone }) => summarize(zone)),
+          });
+        }
+
+        const wholeBlock = reaching.some(({ ranges }) =>
+          ranges.some(
+            (range) => range.start <= block.start && range.end >= block.end
+          )
+        );
+        if (reaching.length > 0 && !wholeBlock && !hasStateZone) {
+          zip3.partiallyCovered.push({
+            ...prefix,
+            zones: reaching.map(({ zone }) => summarize(zone)),
+          });
+        }
+      }
+
+      return {
+        zones: zones.length,
+        summary: {
+          states: US_STATES.length,
+          uncoveredStates: states.uncovered.length,
+          overlappingStates: states.overlapping.length,
+          zip3Prefixes: prefixes.length,
+          uncoveredZip3: zip3.uncovered.length,
+          partiallyCoveredZip3: zip3.partiallyCovered.length,
+          overlappingZip3: zip3.overlapping.length,
+        },
+        states,
+        zip3,
+      };
+    } catch (error) {
+      logger.error('Error building zone coverage report', {
+        error: error.message,
+      });
+      throw new ApiError('Failed to build zone coverage report', 500);
+    }
+  }
+
   /**
    * Delete shipping zone
    */
@@ -4,6 +4,7 @@ import logger from '../../config/logger.js';
 import pricingService from './pricingService.js';
 import releaseService from './releaseService.js';
 import notificationService from './notificationService.js';
+import payoutService from './payoutService.js';
 import { v4 as isUuid } from 'uuid';
 
 class SubmissionService {
@@ -45,11 +46,18 @@ class SubmissionService {
       });
 
       // Trigger notification
+      const submission = await prisma.sellerSubmission.findUnique({
+        where: { id: submissionId },
+        select: { sellerContact: true, sellerName: true },
+      });
+
       await notificationService.notifySubmissionStateChange({
         submissionId,
         fromStatus,
         toStatus,
         changeReason,
+        sellerEmail: submission?.sellerContact,
+        sellerName: submission?.sellerName,
       });
 
       logger.info('Submission status changed', {
@@ -75,9 +83,13 @@ class SubmissionService {
    * @param {string} items[].quantity - Quantity (default 1)
    * @param {string} items[].conditionMedia - Media condition
    * @param {string} items[].conditionSleeve - Sleeve condition
+   * @param {Object} options - { liveMarketData } (default true); bulk imports
+   *   quote from stored market snapshots only
    * @returns {Promise<Object>} Created submission with quotes
    */
-  async createSubmission(sellerId, items) {
+  async createSubmission(sellerId, items, options = {}) {
+    const { liveMarketData = true } = options;
+
     try {
       if (!items || items.length === 0) {
         throw new ApiError('At least one item is required', 400);
@@ -99,9 +111,6 @@ class SubmissionService {
         );
       }
 
-      // Load active buyer pricing formula to use for calculations
-      const buyerFormula = await pricingService.getBuyerFormula();
-
       let totalOffered = 0;
       const createdItems = [];
 
@@ -272,9 +281,22 @@ class SubmissionService {
           throw new ApiError(`Release ${releaseIdToUse} not found`, 404);
         }
 
-        // Use the quote from discogsResult if available, otherwise calculate
+        // Quote with the policy that applies to this release and channel
+        const buyerFormula = await pricingService.getBuyerFormula({
+          releaseId: releaseIdToUse,
+          genre: release.genre,
+          label: release.label,
+          channel: seller.channel,
+        });
+        const policyApplied = buyerFormula.policyResolution;
+        const globalPolicyApplies = ['GLOBAL', 'DEFAULT'].includes(
+          policyApplied.matchedBy
+        );
+
+        // Use the quote from discogsResult if available (it is priced with
+        // the global policy), otherwise calculate
         let autoOfferPrice = 0;
-        if (discogsResult && discogsResult.ourPrice) {
+        if (discogsResult && discogsResult.ourPrice && globalPolicyApplies) {
           // Use the pre-calculated price from Discogs enrichment
           autoOfferPrice = Number(discogsResult.ourPrice) * (quantity || 1);
           logger.debug('Using pre-calculated price from Discogs', {
@@ -290,8 +312,11 @@ class SubmissionService {
               releaseId: releaseIdToUse,
               mediaCondition: conditionMedia,
               sleeveCondition: conditionSleeve,
-              marketStatistic: buyerFormula.priceStatistic?.toLowerCase() || 'median',
+              marketStatistic:
+                buyerFormula.priceStatistic?.toLowerCase() || 'median',
               formula: buyerFormula,
+              channel: seller.channel,
+              liveMarketData,
             });
             autoOfferPrice = Number(quote.price) * (quantity || 1);
             logger.debug('Calculated price using pricing engine', {
@@ -332,14 +357,15 @@ class SubmissionService {
           },
         });
 
-        createdItems.push(submissionItem);
+        createdItems.push({ ...submissionItem, policyApplied });
       }
 
-      // Update seller submission totals
+      // Update seller submission totals; items can be added in several
+      // batches (in-store scanning, collection imports), so accumulate
       const updatedSeller = await prisma.sellerSubmission.update({
         where: { id: sellerId },
         data: {
-          totalOffered,
+          totalOffered: Number(seller.totalOffered || 0) + totalOffered,
         },
         include: {
           items: true,
@@ -460,6 +486,11 @@ class SubmissionService {
         },
       });
 
+      // A counter-offer reopens the deal, so an accepted price is no longer owed
+      if (item.status === 'ACCEPTED') {
+        await payoutService.voidPayable(itemId);
+      }
+
       logger.info('Item quote updated', { itemId, counterOfferPrice });
       return updatedItem;
     } catch (error) {
@@ -510,6 +541,13 @@ class SubmissionService {
         },
       });
 
+      // Keep the seller payout ledger in step with what we agreed to buy
+      if (action === 'accept') {
+        await payoutService.recordPayable(itemId);
+      } else {
+        await payoutService.voidPayable(itemId);
+      }
+
       // Calculate new submission totals
       const submission = await prisma.sellerSubmission.findUnique({
         where: { id: sellerId },
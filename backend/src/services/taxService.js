@@ -0,0 +1,917 @@
+import prisma from '../utils/db.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import logger from '../../config/logger.js';
+import { isDomesticAddress } from '../utils/address.js';
+import { parseCsv } from '../utils/csv.js';
+
+/**
+ * Upper bound for any single rate; catches percentages entered as 7.25
+ * instead of 0.0725
+ */
+const MAX_TAX_RATE = 0.2;
+
+/**
+ * Rows per transaction when importing rate tables
+ */
+const IMPORT_CHUNK_SIZE = 500;
+
+/**
+ * Order statuses with captured payment, included in tax reports.
+ * Fully refunded orders are left out since no tax is owed on them.
+ */
+const REPORTABLE_ORDER_STATUSES = [
+  'PAYMENT_CONFIRMED',
+  'PROCESSING',
+  'SHIPPED',
+  'DELIVERED',
+];
+
+const IMPORT_TABLES = ['jurisdictions', 'zip-rates'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Tax Service
+ * Sales tax by shipping destination: state rates (with per-state shipping
+ * taxability), ZIP-level local rates, and buyer exemption certificates.
+ * A state without an active jurisdiction row is not taxed (no nexus).
+ */
+class TaxService {
+  // ============================================================================
+  // CALCULATION
+  // ============================================================================
+
+  /**
+   * Calculate tax for an order destination
+   * @param {Object} params - Calculation inputs
+   * @param {number} params.subtotal - Item subtotal
+   * @param {number} params.shipping - Shipping charge
+   * @param {Object} params.shippingAddress - Address with state and zip
+   * @param {string} params.buyerEmail - Buyer email (for exemptions)
+   * @returns {Promise<Object>} {tax, breakdown}; breakdown is null without an address
+   */
+  async calculateTax({ subtotal, shipping, shippingAddress, buyerEmail }) {
+    try {
+      const destination = this.normalizeAddress(shippingAddress);
+      if (!destination) {
+        return { tax: 0, breakdown: null };
+      }
+
+      const jurisdiction = await prisma.taxJurisdiction.findUnique({
+        where: { state: destination.state },
+      });
+
+      let zipRate = null;
+      if (destination.zipCode) {
+        zipRate = await prisma.taxZipRate.findUnique({
+          where: { zipCode: destination.zipCode },
+        });
+      }
+
+      let exemption = null;
+      if (buyerEmail) {
+        exemption = await prisma.taxExemption.findFirst({
+          where: { buyerEmail: { equals: buyerEmail, mode: 'insensitive' } },
+        });
+      }
+
+      const breakdown = this.computeTax({
+        subtotal,
+        shipping,
+        destination,
+        jurisdiction,
+        zipRate,
+        exemption,
+      });
+
+      return { tax: breakdown.totalTax, breakdown };
+    } catch (error) {
+      logger.error('Error calculating tax', {
+        state: shippingAddress?.state,
+        error: error.message,
+      });
+      throw new ApiError('Failed to calculate tax', 500);
+    }
+  }
+
+  /**
+   * Compute the tax breakdown from already loaded rate records
+   * @param {Object} params - {subtotal, shipping, destination, jurisdiction, zipRate, exemption, now}
+   * @returns {Object} Breakdown stored on the order
+   */
+  computeTax({
+    subtotal,
+    shipping,
+    destination,
+    jurisdiction,
+    zipRate,
+    exemption,
+    now = new Date(),
+  }) {
+    const breakdown = {
+      state: destination.state,
+      zipCode: destination.zipCode,
+      regionName: null,
+      taxableAmount: 0,
+      shippingTaxable: false,
+      stateRate: 0,
+      localRate: 0,
+      combinedRate: 0,
+      stateTax: 0,
+      localTax: 0,
+      totalTax: 0,
+      exempt: false,
+      exemptionCertificate: null,
+      calculatedAt: now.toISOString(),
+    };
+
+    if (!jurisdiction || !jurisdiction.isActive) {
+      return breakdown;
+    }
+
+    if (this.isExemptionValid(exemption, destination.state, now)) {
+      breakdown.exempt = true;
+      breakdown.exemptionCertificate = exemption.certificateNumber;
+      return breakdown;
+    }
+
+    const stateRate = Number(jurisdiction.stateRate);
+    const localRate =
+      zipRate && zipRate.state === destination.state
+        ? Number(zipRate.localRate)
+        : 0;
+    const taxableAmount = round2(
+      subtotal + (jurisdiction.shippingTaxable ? shipping : 0)
+    );
+    const stateTax = round2(taxableAmount * stateRate);
+    const localTax = round2(taxableAmount * localRate);
+
+    return {
+      ...breakdown,
+      regionName: localRate > 0 ? zipRate.regionName : null,
+      taxableAmount,
+      shippingTaxable: jurisdiction.shippingTaxable,
+      stateRate,
+      localRate,
+      combinedRate: Number((stateRate + localRate).toFixed(5)),
+      stateTax,
+      localTax,
+      totalTax: round2(stateTax + localTax),
+    };
+  }
+
+  /**
+   * Whether an exemption certificate covers a destination state
+   * @param {Object|null} exemption - Exemption record
+   * @param {string} state - Destination state
+   * @param {Date} [now] - Reference time
+   * @returns {boolean} True if the buyer is exempt
+   */
+  isExemptionValid(exemption, state, now = new Date()) {
+    if (!exemption) return false;
+    if (exemption.expiresAt && new Date(exemption.expiresAt) <= now) {
+      return false;
+    }
+
+    const states = exemption.exemptStates || [];
+    return states.length === 0 || states.includes(state);
+  }
+
+  /**
+   * Extract state and 5-digit ZIP from a shipping address
+   * @param {Object} address - Address with state and zip (or postalCode)
+   * @returns {Object|null} {state, zipCode} or null without a state, or for
+   *   an address outside the US (exports carry no sales tax)
+   */
+  normalizeAddress(address) {
+    if (!address?.state || !isDomesticAddress(address)) {
+      return null;
+    }
+
+    const zipMatch = String(address.zip || address.postalCode || '').match(
+      /^\s*(\d{5})/
+    );
+
+    return {
+      state: String(address.state).trim().toUpperCase(),
+      zipCode: zipMatch ? zipMatch[1] : null,
+    };
+  }
+
+  // ============================================================================
+  // JURISDICTIONS (STATE RATES)
+  // ============================================================================
+
+  /**
+   * List state jurisdictions with the shippable states that have no rate
+   * @returns {Promise<Object>} {jurisdictions, statesWithoutRate}
+   */
+  async listJurisdictions() {
+    try {
+      const [jurisdictions, shippableStates] = await Promise.all([
+        prisma.taxJurisdiction.findMany({ orderBy: { state: 'asc' } }),
+        this._getShippableStates(),
+      ]);
+
+      const configured = new Set(jurisdictions.map((j) => j.state));
+
+      return {
+        jurisdictions: jurisdictions.map((j) => this._formatJurisdiction(j)),
+        statesWithoutRate: [...shippableStates]
+          .filter((state) => !configured.has(state))
+          .sort(),
+      };
+    } catch (error) {
+      logger.error('Error listing tax jurisdictions', {
+        error: error.message,
+      });
+      throw new ApiError('Failed to list tax jurisdictions', 500);
+    }
+  }
+
+  /**
+   * Create or update a state jurisdiction
+   * @param {string} state - Two-letter state code
+   * @param {Object} data - {stateRate, shippingTaxable, name, isActive}
+   * @returns {Promise<Object>} Jurisdiction
+   */
+  async upsertJurisdiction(state, data) {
+    try {
+      const shippableStates = await this._getShippableStates();
+      const values = this._validateJurisdiction(
+        { ...data, state },
+        shippableStates
+      );
+
+      const jurisdiction = await prisma.taxJurisdiction.upsert({
+        where: { state: values.state },
+        create: values,
+        update: values,
+      });
+
+      logger.info('Tax jurisdiction saved', {
+        state: values.state,
+        stateRate: values.stateRate,
+        shippingTaxable: values.shippingTaxable,
+      });
+
+      return this._formatJurisdiction(jurisdiction);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error saving tax jurisdiction', {
+        state,
+        error: error.message,
+      });
+      throw new ApiError('Failed to save tax jurisdiction', 500);
+    }
+  }
+
+  /**
+   * Delete a state jurisdiction (stops collecting tax for the state)
+   * @param {string} state - Two-letter state code
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteJurisdiction(state) {
+    try {
+      const existing = await prisma.taxJurisdiction.findUnique({
+        where: { state: String(state).toUpperCase() },
+      });
+
+      if (!existing) {
+        throw new ApiError('Tax jurisdiction not found', 404);
+      }
+
+      await prisma.taxJurisdiction.delete({ where: { id: existing.id } });
+
+      logger.info('Tax jurisdiction deleted', { state: existing.state });
+      return true;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error deleting tax jurisdiction', {
+        state,
+        error: error.message,
+      });
+      throw new ApiError('Failed to delete tax jurisdiction', 500);
+    }
+  }
+
+  // ============================================================================
+  // ZIP RATES (LOCAL RATES)
+  // ============================================================================
+
+  /**
+   * List ZIP-level local rates
+   * @param {Object} options - {state, page, limit}
+   * @returns {Promise<Object>} Paginated ZIP rates
+   */
+  async listZipRates(options = {}) {
+    try {
+      const page = Math.max(parseInt(options.page, 10) || 1, 1);
+      const limit = Math.min(
+        Math.max(parseInt(options.limit, 10) || 50, 1),
+        500
+      );
+
+      const where = {};
+      if (options.state) {
+        where.state = String(options.state).toUpperCase();
+      }
+
+      const [zipRates, total] = await Promise.all([
+        prisma.taxZipRate.findMany({
+          where,
+          orderBy: { zipCode: 'asc' },
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        prisma.taxZipRate.count({ where }),
+      ]);
+
+      return {
+        zipRates: zipRates.map((zipRate) => this._formatZipRate(zipRate)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error('Error listing tax ZIP rates', { error: error.message });
+      throw new ApiError('Failed to list tax ZIP rates', 500);
+    }
+  }
+
+  /**
+   * Create or update a ZIP-level local rate
+   * @param {string} zipCode - 5-digit ZIP code
+   * @param {Object} data - {state, localRate, regionName}
+   * @returns {Promise<Object>} ZIP rate
+   */
+  async upsertZipRate(zipCode, data) {
+    try {
+      const shippableStates = await this._getShippableStates();
+      const values = this._validateZipRate(
+        { ...data, zipCode },
+        shippableStates
+      );
+
+      const zipRate = await prisma.taxZipRate.upsert({
+        where: { zipCode: values.zipCode },
+        create: values,
+        update: values,
+      });
+
+      logger.info('Tax ZIP rate saved', {
+        zipCode: values.zipCode,
+        localRate: values.localRate,
+      });
+
+      return this._formatZipRate(zipRate);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error saving tax ZIP rate', {
+        zipCode,
+        error: error.message,
+      });
+      throw new ApiError('Failed to save tax ZIP rate', 500);
+    }
+  }
+
+  /**
+   * Delete a ZIP-level local rate
+   * @param {string} zipCode - 5-digit ZIP code
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteZipRate(zipCode) {
+    try {
+      const existing = await prisma.taxZipRate.findUnique({
+        where: { zipCode },
+      });
+
+      if (!existing) {
+        throw new ApiError('Tax ZIP rate not found', 404);
+      }
+
+      await prisma.taxZipRate.delete({ where: { id: existing.id } });
+
+      logger.info('Tax ZIP rate deleted', { zipCode });
+      return true;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error deleting tax ZIP rate', {
+        zipCode,
+        error: error.message,
+      });
+      throw new ApiError('Failed to delete tax ZIP rate', 500);
+    }
+  }
+
+  // ============================================================================
+  // CSV IMPORT
+  // ============================================================================
+
+  /**
+   * Import a rate table from CSV. Valid rows are upserted; invalid rows are
+   * reported with their line number and skipped.
+   *
+   * jurisdictions: state, state_rate, shipping_taxable[, name, is_active]
+   * zip-rates: state, zip_code, local_rate[, region_name]
+   *   (the common state,zipcode,taxregionname,...,estimatedcountyrate,
+   *   estimatedcityrate,estimatedspecialrate layout is also accepted)
+   *
+   * @param {string} table - 'jurisdictions' or 'zip-rates'
+   * @param {string} csvText - CSV with header row
+   * @returns {Promise<Object>} {table, processed, created, updated, errors}
+   */
+  async importCsv(table, csvText) {
+    try {
+      if (!IMPORT_TABLES.includes(table)) {
+        throw new ApiError(
+          `table must be one of: ${IMPORT_TABLES.join(', ')}`,
+          400
+        );
+      }
+
+      const records = parseCsv(csvText);
+      if (records.length === 0) {
+        throw new ApiError('CSV contains no data rows', 400);
+      }
+
+      const shippableStates = await this._getShippableStates();
+      const keyField = table === 'jurisdictions' ? 'state' : 'zipCode';
+      const errors = [];
+      const valid = new Map();
+
+      for (const record of records) {
+        try {
+          const values = this._validateImportRecord(
+            table,
+            record,
+            shippableStates
+          );
+
+          // Later rows win when a key repeats
+          valid.set(values[keyField], values);
+        } catch (error) {
+          errors.push({ line: record._line, error: error.message });
+        }
+      }
+
+      const model =
+        table === 'jurisdictions' ? prisma.taxJurisdiction : prisma.taxZipRate;
+      const existingCount = await model.count({
+        where: { [keyField]: { in: [...valid.keys()] } },
+      });
+
+      const rows = [...valid.values()];
+      for (let i = 0; i < rows.length; i += IMPORT_CHUNK_SIZE) {
+        const chunk = rows.slice(i, i + IMPORT_CHUNK_SIZE);
+        await prisma.$transaction(
+          chunk.map((values) =>
+            model.upsert({
+              where: { [keyField]: values[keyField] },
+              create: values,
+              update: values,
+            })
+          )
+        );
+      }
+
+      const result = {
+        table,
+        processed: records.length,
+        created: rows.length - existingCount,
+        updated: existingCount,
+        errors,
+      };
+
+      logger.info('Tax table imported', {
+        table,
+        processed: result.processed,
+        created: result.created,
+        updated: result.updated,
+        errorCount: errors.length,
+      });
+
+      return result;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error importing tax table', {
+        table,
+        error: error.message,
+      });
+      throw new ApiError('Failed to import tax table', 500);
+    }
+  }
+
+  // ============================================================================
+  // EXEMPTIONS
+  // ============================================================================
+
+  /**
+   * List buyer tax exemptions
+   * @returns {Promise<Array>} Exemptions, with an expired flag
+   */
+  async listExemptions() {
+    try {
+      const exemptions = await prisma.taxExemption.findMany({
+        orderBy: { buyerEmail: 'asc' },
+      });
+
+      const now = new Date();
+      return exemptions.map((exemption) => ({
+        ...exemption,
+        expired: Boolean(exemption.expiresAt && exemption.expiresAt <= now),
+      }));
+    } catch (error) {
+      logger.error('Error listing tax exemptions', { error: error.message });
+      throw new ApiError('Failed to list tax exemptions', 500);
+    }
+  }
+
+  /**
+   * Create or update a buyer's exemption certificate
+   * @param {string} buyerEmail - Buyer email
+   * @param {Object} data - {certificateNumber, exemptStates, expiresAt, notes}
+   * @param {string} adminId - Admin recording the certificate
+   * @returns {Promise<Object>} Exemption
+   */
+  async upsertExemption(buyerEmail, data, adminId = null) {
+    try {
+      const email = String(buyerEmail || '')
+        .trim()
+        .toLowerCase();
+      if (!email || !email.includes('@')) {
+        throw new ApiError('A valid buyerEmail is required', 400);
+      }
+
+      if (!data.certificateNumber) {
+        throw new ApiError('certificateNumber is required', 400);
+      }
+
+      const exemptStates = (data.exemptStates || []).map((state) =>
+        String(state).trim().toUpperCase()
+      );
+      if (exemptStates.some((state) => !/^[A-Z]{2}$/.test(state))) {
+        throw new ApiError('exemptStates must be two-letter state codes', 400);
+      }
+
+      let expiresAt = null;
+      if (data.expiresAt) {
+        expiresAt = new Date(data.expiresAt);
+        if (isNaN(expiresAt.getTime())) {
+          throw new ApiError('expiresAt must be a valid date', 400);
+        }
+      }
+
+      const values = {
+        buyerEmail: email,
+        certificateNumber: data.certificateNumber,
+        exemptStates,
+        expiresAt,
+        notes: data.notes || null,
+        createdBy: adminId,
+      };
+
+      const exemption = await prisma.taxExemption.upsert({
+        where: { buyerEmail: email },
+        create: values,
+        update: values,
+      });
+
+      logger.info('Tax exemption saved', {
+        buyerEmail: email,
+        exemptStates,
+        expiresAt,
+        adminId,
+      });
+
+      return exemption;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error saving tax exemption', {
+        buyerEmail,
+        error: error.message,
+      });
+      throw new ApiError('Failed to save tax exemption', 500);
+    }
+  }
+
+  /**
+   * Remove a buyer's exemption
+   * @param {string} buyerEmail - Buyer email
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteExemption(buyerEmail) {
+    try {
+      const email = String(buyerEmail || '')
+        .trim()
+        .toLowerCase();
+      const existing = await prisma.taxExemption.findUnique({
+        where: { buyerEmail: email },
+      });
+
+      if (!existing) {
+        throw new ApiError('Tax exemption not found', 404);
+      }
+
+      await prisma.taxExemption.delete({ where: { id: existing.id } });
+
+      logger.info('Tax exemption deleted', { buyerEmail: email });
+      return true;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error deleting tax exemption', {
+        buyerEmail,
+        error: error.message,
+      });
+      throw new ApiError('Failed to delete tax exemption', 500);
+    }
+  }
+
+  // ============================================================================
+  // REPORTING
+  // ============================================================================
+
+  /**
+   * Tax collected per state for filing, from the breakdown stored on orders
+   * @param {Object} options - {startDate, endDate} on payment confirmation time
+   * @returns {Promise<Object>} Per-state totals with per-region detail
+   */
+  async getTaxReport(options = {}) {
+    try {
+      const endDate = options.endDate ? new Date(options.endDate) : new Date();
+      const startDate = options.startDate
+        ? new Date(options.startDate)
+        : new Date(endDate.getFullYear(), endDate.getMonth(), 1);
+
+      if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+        throw new ApiError('startDate and endDate must be valid dates', 400);
+      }
+      if (startDate > endDate) {
+        throw new ApiError('startDate must be before endDate', 400);
+      }
+
+      const orders = await prisma.order.findMany({
+        where: {
+          status: { in: REPORTABLE_ORDER_STATUSES },
+          paymentConfirmedAt: { gte: startDate, lte: endDate },
+        },
+        select: {
+          id: true,
+          subtotal: true,
+          shipping: true,
+          discount: true,
+          tax: true,
+          taxBreakdown: true,
+        },
+      });
+
+      return {
+        startDate,
+        endDate,
+        ...this.summarizeTaxBreakdowns(orders),
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error('Error building tax report', { error: error.message });
+      throw new ApiError('Failed to build tax report', 500);
+    }
+  }
+
+  /**
+   * Group order tax breakdowns by state and region
+   * @param {Array<Object>} orders - Orders with subtotal, shipping, discount, tax, taxBreakdown
+   * @returns {Object} {states, totals, unassignedOrders}
+   */
+  summarizeTaxBreakdowns(orders) {
+    const states = new Map();
+    const totals = { orderCount: 0, taxableAmount: 0, totalTax: 0 };
+    let unassignedOrders = 0;
+
+    for (const order of orders) {
+      const breakdown = order.taxBreakdown;
+      if (!breakdown?.state) {
+        unassignedOrders++;
+        continue;
+      }
+
+      if (!states.has(breakdown.state)) {
+        states.set(breakdown.state, {
+          state: breakdown.state,
+          orderCount: 0,
+          grossSales: 0,
+          taxableAmount: 0,
+          exemptSales: 0,
+          stateTax: 0,
+          localTax: 0,
+          totalTax: 0,
+          regions: {},
+        });
+      }
+
+      const entry = states.get(breakdown.state);
+      const grossSales =
+        Number(order.subtotal) +
+        Number(order.shipping) -
+        Number(order.discount || 0);
+
+      entry.orderCount++;
+      entry.grossSales = round2(entry.grossSales + grossSales);
+      if (breakdown.exempt) {
+        entry.exemptSales = round2(entry.exemptSales + grossSales);
+      }
+      entry.taxableAmount = round2(
+        entry.taxableAmount + breakdown.taxableAmount
+      );
+      entry.stateTax = round2(entry.stateTax + breakdown.stateTax);
+      entry.localTax = round2(entry.localTax + breakdown.localTax);
+      entry.totalTax = round2(entry.totalTax + breakdown.totalTax);
+
+      if (breakdown.localTax > 0) {
+        const region = breakdown.regionName || breakdown.zipCode;
+        entry.regions[region] = round2(
+          (entry.regions[region] || 0) + breakdown.localTax
+        );
+      }
+
+      totals.orderCount++;
+      totals.taxableAmount = round2(
+        totals.taxableAmount + breakdown.taxableAmount
+      );
+      totals.totalTax = round2(totals.totalTax + breakdown.totalTax);
+    }
+
+    return {
+      states: [...states.values()].sort((a, b) =>
+        a.state.localeCompare(b.state)
+      ),
+      totals,
+      unassignedOrders,
+    };
+  }
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  /**
+   * States covered by active shipping zones; empty when no zones exist
+   * @private
+   */
+  async _getShippableStates() {
+    const zones = await prisma.shippingZone.findMany({
+      where: { isActive: true },
+      select: { statesIncluded: true },
+    });
+
+    return new Set(zones.flatMap((zone) => zone.statesIncluded));
+  }
+
+  /**
+   * @private
+   */
+  _validateState(state, shippableStates) {
+    const code = String(state || '')
+      .trim()
+      .toUpperCase();
+
+    if (!/^[A-Z]{2}$/.test(code)) {
+      throw new ApiError('state must be a two-letter state code', 400);
+    }
+    if (shippableStates.size > 0 && !shippableStates.has(code)) {
+      throw new ApiError(`State ${code} is not in any shipping zone`, 400);
+    }
+
+    return code;
+  }
+
+  /**
+   * @private
+   */
+  _validateRate(value, field) {
+    const rate = Number(value);
+    if (value === '' || value === null || value === undefined || isNaN(rate)) {
+      throw new ApiError(`${field} is required`, 400);
+    }
+    if (rate < 0 || rate > MAX_TAX_RATE) {
+      throw new ApiError(
+        `${field} must be a decimal between 0 and ${MAX_TAX_RATE} (e.g. 0.0725)`,
+        400
+      );
+    }
+    return rate;
+  }
+
+  /**
+   * @private
+   */
+  _validateJurisdiction(data, shippableStates) {
+    return {
+      state: this._validateState(data.state, shippableStates),
+      name: data.name || null,
+      stateRate: this._validateRate(data.stateRate, 'stateRate'),
+      shippingTaxable: Boolean(data.shippingTaxable),
+      isActive: data.isActive !== undefined ? Boolean(data.isActive) : true,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _validateZipRate(data, shippableStates) {
+    const zipCode = String(data.zipCode || '').trim();
+    if (!/^\d{5}$/.test(zipCode)) {
+      throw new ApiError('zipCode must be a 5-digit ZIP code', 400);
+    }
+
+    return {
+      zipCode,
+      state: this._validateState(data.state, shippableStates),
+      regionName: data.regionName || null,
+      localRate: this._validateRate(data.localRate, 'localRate'),
+    };
+  }
+
+  /**
+   * Map and validate one CSV record for an import table
+   * @private
+   */
+  _validateImportRecord(table, record, shippableStates) {
+    if (table === 'jurisdictions') {
+      return this._validateJurisdiction(
+        this._jurisdictionFromCsv(record),
+        shippableStates
+      );
+    }
+
+    return this._validateZipRate(this._zipRateFromCsv(record), shippableStates);
+  }
+
+  /**
+   * @private
+   */
+  _jurisdictionFromCsv(record) {
+    return {
+      state: record.state,
+      name: record.name,
+      stateRate: record.state_rate ?? record.staterate ?? record.rate,
+      shippingTaxable: this._parseBoolean(record.shipping_taxable),
+      isActive:
+        record.is_active !== undefined && record.is_active !== ''
+          ? this._parseBoolean(record.is_active)
+          : undefined,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _zipRateFromCsv(record) {
+    let localRate = record.local_rate;
+    if (localRate === undefined && record.estimatedcountyrate !== undefined) {
+      localRate =
+        Number(record.estimatedcountyrate || 0) +
+        Number(record.estimatedcityrate || 0) +
+        Number(record.estimatedspecialrate || 0);
+    }
+
+    const zipCode = record.zip_code ?? record.zipcode ?? record.zip;
+
+    return {
+      state: record.state,
+      // Spreadsheets drop leading zeros from ZIPs (e.g. 02108 -> 2108)
+      zipCode: zipCode ? String(zipCode).padStart(5, '0') : zipCode,
+      regionName: record.region_name ?? record.taxregionname,
+      localRate,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _parseBoolean(value) {
+    return ['true', 'yes', 'y', '1'].includes(
+      String(value || '')
+        .trim()
+        .toLowerCase()
+    );
+  }
+
+  /**
+   * @private
+   */
+  _formatJurisdiction(jurisdiction) {
+    return { ...jurisdiction, stateRate: Number(jurisdiction.stateRate) };
+  }
+
+  /**
+   * @private
+   */
+  _formatZipRate(zipRate) {
+    return { ...zipRate, localRate: Number(zipRate.localRate) };
+  }
+}
+
+export default new TaxService();
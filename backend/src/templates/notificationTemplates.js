@@ -0,0 +1,185 @@
+/**
+ * Notification Templates
+ * Subject and body lines per notification event type
+ * Rendered to plain text and HTML for email, and stored as-is for in-app inbox
+ */
+
+/**
+ * Notification event types
+ */
+export const NOTIFICATION_EVENTS = {
+  SUBMISSION_STATUS_CHANGED: 'SUBMISSION_STATUS_CHANGED',
+  COUNTER_OFFER: 'COUNTER_OFFER',
+  QUOTE_EXPIRING: 'QUOTE_EXPIRING',
+  INVENTORY_CREATED: 'INVENTORY_CREATED',
+  ADMIN_NEW_SUBMISSION: 'ADMIN_NEW_SUBMISSION',
+  WISHLIST_PRICE_DROP: 'WISHLIST_PRICE_DROP',
+  WISHLIST_BACK_IN_STOCK: 'WISHLIST_BACK_IN_STOCK',
+  ORDER_SHIPPED: 'ORDER_SHIPPED',
+  OUT_FOR_DELIVERY: 'OUT_FOR_DELIVERY',
+  DELIVERED: 'DELIVERED',
+  TRACKING_UPDATE: 'TRACKING_UPDATE',
+  DELIVERY_EXCEPTION: 'DELIVERY_EXCEPTION',
+  ADMIN_FULFILLMENT_ACTION: 'ADMIN_FULFILLMENT_ACTION',
+  ADMIN_RETURN_REQUESTED: 'ADMIN_RETURN_REQUESTED',
+  RETURN_STATUS_CHANGED: 'RETURN_STATUS_CHANGED',
+};
+
+const formatPrice = (value) =>
+  value === undefined || value === null ? '-' : `$${Number(value).toFixed(2)}`;
+
+const formatDate = (value) =>
+  value ? new Date(value).toISOString().split('T')[0] : 'TBD';
+
+const RETURN_STATUS_MESSAGES = {
+  APPROVED:
+    'Your return was approved. Print the prepaid label and ship the records back to us.',
+  DENIED: 'Your return request was declined.',
+  RECEIVED: 'We received your returned records and are inspecting them.',
+  COMPLETED: 'Your return is complete and your refund has been issued.',
+};
+
+const TEMPLATES = {
+  [NOTIFICATION_EVENTS.SUBMISSION_STATUS_CHANGED]: (data) => ({
+    subject: `Submission update: ${data.toStatus}`,
+    lines: [
+      `Hi ${data.sellerName || 'there'},`,
+      data.message,
+      `Submission: ${data.submissionId}`,
+    ],
+  }),
+  [NOTIFICATION_EVENTS.COUNTER_OFFER]: (data) => ({
+    subject: `Counter-offer on ${data.itemTitle || 'your record'}`,
+    lines: [
+      `We've made a counter-offer of ${formatPrice(data.counterOfferPrice)} for ${data.itemTitle || 'an item in your submission'}.`,
+      'Review the offer in your submission to accept or decline it.',
+      `Submission: ${data.submissionId}`,
+    ],
+  }),
+  [NOTIFICATION_EVENTS.QUOTE_EXPIRING]: (data) => ({
+    subject: 'Your quote is about to expire',
+    lines: [
+      `Your quote for submission ${data.submissionId} expires on ${formatDate(data.expiresAt)}.`,
+      'Accept it before then to lock in the offered prices.',
+    ],
+  }),
+  [NOTIFICATION_EVENTS.INVENTORY_CREATED]: (data) => ({
+    subject: 'Your records have been added to inventory',
+    lines: [
+      `${data.itemCount} item(s) from submission ${data.submissionId} were accepted.`,
+      `Total accepted value: ${formatPrice(data.totalInventoryValue)}`,
+    ],
+  }),
+  [NOTIFICATION_EVENTS.ADMIN_NEW_SUBMISSION]: (data) => ({
+    subject: `New submission from ${data.sellerName || 'a seller'}`,
+    lines: [
+      `${data.itemCount} item(s) submitted, ${formatPrice(data.totalOffered)} offered.`,
+      `Submission: ${data.submissionId}`,
+    ],
+  }),
+  [NOTIFICATION_EVENTS.WISHLIST_PRICE_DROP]: (data) => ({
+    subject: `Price drop: ${data.releaseArtist} - ${data.releaseTitle}`,
+    lines: [
+      `${data.releaseArtist} - ${data.releaseTitle} dropped from ${formatPrice(data.previousPrice)} to ${formatPrice(data.newPrice)}.`,
+    ],
+  }),
+  [NOTIFICATION_EVENTS.WISHLIST_BACK_IN_STOCK]: (data) => ({
+    subject: `Back in stock: ${data.releaseArtist} - ${data.releaseTitle}`,
+    lines: [
+      `A ${data.condition} copy of ${data.releaseArtist} - ${data.releaseTitle} is available for ${formatPrice(data.price)}.`,
+    ],
+  }),
+  [NOTIFICATION_EVENTS.ORDER_SHIPPED]: (data) => ({
+    subject: `Order ${data.orderNumber} has shipped`,
+    lines: [
+      `Your order ${data.orderNumber} is on its way via ${data.carrier || 'our carrier'}.`,
+      `Tracking number: ${data.trackingNumber || 'pending'}`,
+      data.trackingUrl ? `Track your package: ${data.trackingUrl}` : null,
+      `Estimated delivery: ${formatDate(data.estimatedDelivery)}`,
+    ],
+  }),
+  [NOTIFICATION_EVENTS.OUT_FOR_DELIVERY]: (data) => ({
+    subject: `Order ${data.orderNumber} is out for delivery`,
+    lines: [
+      `Your package ${data.trackingNumber} is out for delivery.`,
+      data.deliveryWindow ? `Expected: ${data.deliveryWindow}` : null,
+    ],
+  }),
+  [NOTIFICATION_EVENTS.DELIVERED]: (data) => ({
+    subject: `Order ${data.orderNumber} was delivered`,
+    lines: [
+      `Your package ${data.trackingNumber} was delivered.`,
+      data.deliveryLocation ? `Left at: ${data.deliveryLocation}` : null,
+    ],
+  }),
+  [NOTIFICATION_EVENTS.TRACKING_UPDATE]: (data) => ({
+    subject: `Tracking update for order ${data.orderNumber}`,
+    lines: [
+      `Status: ${data.status}`,
+      data.location ? `Location: ${data.location}` : null,
+      data.message,
+    ],
+  }),
+  [NOTIFICATION_EVENTS.DELIVERY_EXCEPTION]: (data) => ({
+    subject: `Delivery issue with order ${data.orderNumber}`,
+    lines: [
+      `There is a problem with package ${data.trackingNumber}: ${data.exceptionType}.`,
+      data.details,
+      data.contactInfo ? `Contact us: ${data.contactInfo}` : null,
+    ],
+  }),
+  [NOTIFICATION_EVENTS.ADMIN_FULFILLMENT_ACTION]: (data) => ({
+    subject: `Fulfillment: ${data.actionType} for order ${data.orderNumber}`,
+    lines: [`${data.itemCount} item(s).`, data.details],
+  }),
+  [NOTIFICATION_EVENTS.ADMIN_RETURN_REQUESTED]: (data) => ({
+    subject: `Return requested: ${data.rmaNumber}`,
+    lines: [
+      `${data.itemCount} item(s) from order ${data.orderNumber}.`,
+      `Reason: ${data.reason}`,
+    ],
+  }),
+  [NOTIFICATION_EVENTS.RETURN_STATUS_CHANGED]: (data) => ({
+    subject: `Return ${data.rmaNumber}: ${data.status}`,
+    lines: [
+      RETURN_STATUS_MESSAGES[data.status] ||
+        `Your return is now ${data.status}.`,
+      `Order: ${data.orderNumber}`,
+      data.labelUrl ? `Return label: ${data.labelUrl}` : null,
+      data.trackingNumber ? `Tracking number: ${data.trackingNumber}` : null,
+      data.refundAmount !== undefined && data.refundAmount !== null
+        ? `Refund: ${formatPrice(data.refundAmount)}`
+        : null,
+      data.notes,
+    ],
+  }),
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Render a notification for an event type
+ * @param {string} eventType - One of NOTIFICATION_EVENTS
+ * @param {Object} data - Template variables
+ * @returns {Object} {subject, text, html}
+ */
+export function renderNotification(eventType, data = {}) {
+  const template = TEMPLATES[eventType];
+  if (!template) {
+    throw new Error(`Unknown notification event type: ${eventType}`);
+  }
+
+  const { subject, lines } = template(data);
+  const body = lines.filter(Boolean);
+
+  return {
+    subject,
+    text: body.join('\n\n'),
+    html: body.map((line) => `<p>${escapeHtml(line)}</p>`).join('\n'),
+  };
+}
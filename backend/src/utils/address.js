@@ -0,0 +1,270 @@
+/**
+ * Shipping address helpers
+ * Addresses are stored on orders as the buyer entered them; these helpers
+ * resolve the country and postal code used for zone matching, tax and
+ * customs. An address without a country is treated as a US address.
+ */
+
+export const DOMESTIC_COUNTRY = 'US';
+
+/**
+ * Country names buyers type instead of ISO 3166-1 alpha-2 codes
+ */
+const COUNTRY_ALIASES = {
+  USA: 'US',
+  'UNITED STATES': 'US',
+  'UNITED STATES OF AMERICA': 'US',
+  UK: 'GB',
+  'UNITED KINGDOM': 'GB',
+  'GREAT BRITAIN': 'GB',
+  CANADA: 'CA',
+  MEXICO: 'MX',
+  GERMANY: 'DE',
+  DEUTSCHLAND: 'DE',
+  FRANCE: 'FR',
+  NETHERLANDS: 'NL',
+  BELGIUM: 'BE',
+  SPAIN: 'ES',
+  ITALY: 'IT',
+  SWEDEN: 'SE',
+  IRELAND: 'IE',
+  JAPAN: 'JP',
+  AUSTRALIA: 'AU',
+  'NEW ZEALAND': 'NZ',
+  BRAZIL: 'BR',
+};
+
+/**
+ * Postal code formats checked at checkout (after uppercasing and collapsing
+ * spaces); other countries accept any postal code
+ */
+const POSTAL_CODE_FORMATS = {
+  US: /^\d{5}(-\d{4})?$/,
+  CA: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/,
+  MX: /^\d{5}$/,
+  GB: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/,
+  DE: /^\d{5}$/,
+  FR: /^\d{5}$/,
+  NL: /^\d{4} ?[A-Z]{2}$/,
+  BE: /^\d{4}$/,
+  ES: /^\d{5}$/,
+  IT: /^\d{5}$/,
+  SE: /^\d{3} ?\d{2}$/,
+  JP: /^\d{3}-?\d{4}$/,
+  AU: /^\d{4}$/,
+  NZ: /^\d{4}$/,
+  BR: /^\d{5}-?\d{3}$/,
+};
+
+/**
+ * Countries whose addresses have no (or an optional) postal code
+ */
+const POSTAL_CODE_OPTIONAL = ['AE', 'HK', 'IE', 'MO', 'QA'];
+
+/**
+ * Countries whose addresses need a state, province or territory
+ */
+const STATE_REQUIRED = ['US', 'CA', 'AU', 'MX', 'BR'];
+
+/**
+ * Resolve a country code or common country name to an ISO alpha-2 code
+ * @param {string} country - Country as entered (blank means US)
+ * @returns {string|null} Two-letter code, or null if unrecognized
+ */
+export function normalizeCountry(country) {
+  const value = String(country || '')
+    .trim()
+    .toUpperCase()
+    .replace(/\./g, '');
+  if (!value) return DOMESTIC_COUNTRY;
+  if (COUNTRY_ALIASES[value]) return COUNTRY_ALIASES[value];
+  return /^[A-Z]{2}$/.test(value) ? value : null;
+}
+
+/**
+ * Postal code uppercased with whitespace collapsed
+ * @param {string} postalCode - Postal code as entered
+ * @returns {string|null} Normalized postal code
+ */
+export function normalizePostalCode(postalCode) {
+  const value = String(postalCode || '')
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, ' ');
+  return value || null;
+}
+
+/**
+ * Normalize an address for shipping; `zip`, `zipCode` and `zipcode` are
+ * accepted for the postal code
+ * @param {Object} address - Address as entered
+ * @returns {Object|null} Address with country, state and postalCode normalized
+ */
+export function normalizeAddress(address) {
+  if (!address) return null;
+
+  const state = String(address.state || '')
+    .trim()
+    .toUpperCase();
+
+  return {
+    ...address,
+    country: normalizeCountry(address.country),
+    state: state || null,
+    postalCode: normalizePostalCode(
+      address.postalCode ?? address.zip ?? address.zipCode ?? address.zipcode
+    ),
+  };
+}
+
+/**
+ * Whether an address is inside the US
+ * @param {Object} address - Address
+ * @returns {boolean} True for US (or country-less) addresses
+ */
+export function isDomesticAddress(address) {
+  return normalizeCountry(address?.country) === DOMESTIC_COUNTRY;
+}
+
+/**
+ * Check a shipping address against its country's format
+ * US addresses need a state (the ZIP stays optional); international
+ * addresses need a postal code where the country uses one.
+ * @param {Object} address - Address as entered
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateShippingAddress(address) {
+  if (!address || typeof address !== 'object') {
+    return ['shippingAddress is required'];
+  }
+
+  const normalized = normalizeAddress(address);
+  const errors = [];
+
+  if (!normalized.country) {
+    return [`Unknown country: ${address.country}`];
+  }
+
+  if (STATE_REQUIRED.includes(normalized.country) && !normalized.state) {
+    errors.push(`shippingAddress.state is required for ${normalized.country}`);
+  }
+
+  const format = POSTAL_CODE_FORMATS[normalized.country];
+  if (normalized.postalCode) {
+    if (format && !format.test(normalized.postalCode)) {
+      errors.push(
+        `shippingAddress.postalCode ${normalized.postalCode} is not a valid ${normalized.country} postal code`
+      );
+    }
+  } else if (
+    normalized.country !== DOMESTIC_COUNTRY &&
+    !POSTAL_CODE_OPTIONAL.includes(normalized.country)
+  ) {
+    errors.push(
+      `shippingAddress.postalCode is required for ${normalized.country}`
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Five-digit US ZIP code from a postal code ("90001-1234" -> "90001")
+ * @param {string} postalCode - Postal code
+ * @returns {string|null} ZIP code, or null if it doesn't start with 5 digits
+ */
+export function zip5(postalCode) {
+  const match = String(postalCode || '').match(/^\s*(\d{5})/);
+  return match ? match[1] : null;
+}
+
+/**
+ * The 50 states and DC
+ */
+export const US_STATES = (
+  'AL AK AZ AR CA CO CT DE DC FL GA HI ID IL IN IA KS KY LA ME MD MA MI MN MS MO ' +
+  'MT NE NV NH NJ NM NY NC ND OH OK OR PA RI SC SD TN TX UT VT VA WA WV WI WY'
+).split(' ');
+
+/**
+ * ZIP3 prefixes allocated to each state (USPS), as [first, last, state];
+ * territories and military prefixes are left out
+ */
+const ZIP3_STATE_RANGES = [
+  ['005', '005', 'NY'],
+  ['010', '027', 'MA'],
+  ['028', '029', 'RI'],
+  ['030', '038', 'NH'],
+  ['039', '049', 'ME'],
+  ['050', '054', 'VT'],
+  ['055', '055', 'MA'],
+  ['056', '059', 'VT'],
+  ['060', '069', 'CT'],
+  ['070', '089', 'NJ'],
+  ['100', '149', 'NY'],
+  ['150', '196', 'PA'],
+  ['197', '199', 'DE'],
+  ['200', '200', 'DC'],
+  ['201', '201', 'VA'],
+  ['202', '205', 'DC'],
+  ['206', '219', 'MD'],
+  ['220', '246', 'VA'],
+  ['247', '268', 'WV'],
+  ['270', '289', 'NC'],
+  ['290', '299', 'SC'],
+  ['300', '319', 'GA'],
+  ['320', '339', 'FL'],
+  ['341', '349', 'FL'],
+  ['350', '369', 'AL'],
+  ['370', '385', 'TN'],
+  ['386', '397', 'MS'],
+  ['398', '399', 'GA'],
+  ['400', '427', 'KY'],
+  ['430', '459', 'OH'],
+  ['460', '479', 'IN'],
+  ['480', '499', 'MI'],
+  ['500', '528', 'IA'],
+  ['530', '549', 'WI'],
+  ['550', '567', 'MN'],
+  ['569', '569', 'DC'],
+  ['570', '577', 'SD'],
+  ['580', '588', 'ND'],
+  ['590', '599', 'MT'],
+  ['600', '629', 'IL'],
+  ['630', '658', 'MO'],
+  ['660', '679', 'KS'],
+  ['680', '693', 'NE'],
+  ['700', '714', 'LA'],
+  ['716', '729', 'AR'],
+  ['730', '732', 'OK'],
+  ['733', '733', 'TX'],
+  ['734', '749', 'OK'],
+  ['750', '799', 'TX'],
+  ['800', '816', 'CO'],
+  ['820', '831', 'WY'],
+  ['832', '838', 'ID'],
+  ['840', '847', 'UT'],
+  ['850', '865', 'AZ'],
+  ['870', '884', 'NM'],
+  ['885', '885', 'TX'],
+  ['889', '898', 'NV'],
+  ['900', '961', 'CA'],
+  ['967', '968', 'HI'],
+  ['970', '979', 'OR'],
+  ['980', '994', 'WA'],
+  ['995', '999', 'AK'],
+];
+
+/**
+ * Every state ZIP3 prefix with its state
+ * @returns {Array<Object>} [{ zip3, state }] in ZIP order
+ */
+export function listZip3Prefixes() {
+  return ZIP3_STATE_RANGES.flatMap(([first, last, state]) => {
+    const prefixes = [];
+    for (let n = Number(first); n <= Number(last); n += 1) {
+      prefixes.push({ zip3: String(n).padStart(3, '0'), state });
+    }
+    return prefixes;
+  });
+}
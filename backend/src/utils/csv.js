@@ -0,0 +1,105 @@
+/**
+ * CSV helpers for admin imports and exports
+ * RFC 4180 style: comma separated, double-quoted fields, "" escapes a quote
+ */
+
+/**
+ * Parse CSV text into records keyed by header
+ * Headers are trimmed, lowercased and spaces become underscores, so
+ * "Zip Code" and "zip_code" map to the same key
+ * @param {string} text - CSV text with a header row
+ * @returns {Array<Object>} Records with a `_line` property (1-based source line)
+ */
+export function parseCsv(text) {
+  const rows = parseRows(String(text || '').replace(/^\uFEFF/, ''));
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const headers = rows[0].map((header) =>
+    header.trim().toLowerCase().replace(/\s+/g, '_')
+  );
+
+  return rows
+    .slice(1)
+    .filter((row) => row.some((value) => value.trim() !== ''))
+    .map((row) => {
+      const record = { _line: row.line };
+      headers.forEach((header, index) => {
+        record[header] = (row[index] ?? '').trim();
+      });
+      return record;
+    });
+}
+
+/**
+ * Serialize records to CSV text
+ * @param {Array<Object>} records - Records to serialize
+ * @param {Array<string>} columns - Column keys, in order (used as header row)
+ * @returns {string} CSV text
+ */
+export function toCsv(records, columns) {
+  const lines = [columns.map(escapeField).join(',')];
+
+  for (const record of records) {
+    lines.push(columns.map((column) => escapeField(record[column])).join(','));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  row.line = line;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      field = '';
+      line++;
+      row = [];
+      row.line = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
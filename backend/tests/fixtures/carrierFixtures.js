@@ -0,0 +1,60 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AxiosError } from 'axios';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Axios adapter replaying recorded carrier API responses
+ * Interactions are matched on method and path (query strings ignored);
+ * requests without a recording fail so tests never reach the network.
+ * @param {string} provider - Fixture file in tests/fixtures/carriers (easypost, shippo)
+ * @returns {Object} { adapter, requests } - requests collects {method, path, headers, body}
+ */
+export function replayCarrierFixtures(provider) {
+  const interactions = JSON.parse(
+    fs.readFileSync(
+      path.join(__dirname, 'carriers', `${provider}.json`),
+      'utf8'
+    )
+  );
+  const requests = [];
+
+  const adapter = async (config) => {
+    const method = config.method.toLowerCase();
+    const requestPath = new URL(config.url, 'http://fixture').pathname;
+    const body = config.data ? JSON.parse(config.data) : undefined;
+    requests.push({ method, path: requestPath, headers: config.headers, body });
+
+    const recorded = interactions.find(
+      ({ request }) => request.method === method && request.path === requestPath
+    );
+    if (!recorded) {
+      throw new Error(
+        `No ${provider} fixture for ${method.toUpperCase()} ${requestPath}`
+      );
+    }
+
+    const response = {
+      data: recorded.response.data,
+      status: recorded.response.status,
+      statusText: String(recorded.response.status),
+      headers: {},
+      config,
+      request: {},
+    };
+    if (response.status >= 400) {
+      throw new AxiosError(
+        `Request failed with status code ${response.status}`,
+        AxiosError.ERR_BAD_REQUEST,
+        config,
+        {},
+        response
+      );
+    }
+    return response;
+  };
+
+  return { adapter, requests };
+}
@@ -0,0 +1,234 @@
+import crypto from 'crypto';
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import config from '../../config/config.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+// Generic webhooks are signed with a test secret, as a carrier would sign them
+const authHeader = getTestAuthHeader();
+const webhookSecret = 'carrier_test_secret';
+
+describe('Carrier Webhook Integration Tests', () => {
+  const suffix = Date.now();
+  const trackingNumber = `WEBHOOK${suffix}`;
+  let order;
+  let shipment;
+  let previousSecret;
+
+  const sendSigned = (body) => {
+    const rawBody = JSON.stringify(body);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = crypto
+      .createHmac('sha256', webhookSecret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+    return request(app)
+      .post('/api/v1/webhooks/shipping/carrier-events')
+      .set('Content-Type', 'application/json')
+      .set('X-Carrier-Timestamp', timestamp)
+      .set('X-Carrier-Signature', signature)
+      .send(rawBody);
+  };
+
+  const postEvent = (body) =>
+    sendSigned({
+      type: 'tracking_update',
+      tracking_number: trackingNumber,
+      ...body,
+    });
+
+  beforeAll(async () => {
+    previousSecret = config.shipping.webhookSecret;
+    config.shipping.webhookSecret = webhookSecret;
+
+    order = await prisma.order.create({
+      data: {
+        orderNumber: `WEBHOOK-${suffix}`,
+        buyerEmail: 'test@example.com',
+        status: 'SHIPPED',
+        subtotal: 25,
+        tax: 2,
+        shipping: 5,
+        total: 32,
+        stripePaymentIntentId: `pi_test_webhook_${suffix}`,
+        shippingAddress: { state: 'NY', zip: '11201' },
+        shippedAt: new Date(),
+      },
+    });
+
+    shipment = await prisma.shipment.create({
+      data: {
+        orderId: order.id,
+        shipmentStatus: 'LABEL_GENERATED',
+        carrier: 'USPS',
+        shippingMethod: 'STANDARD',
+        trackingNumber,
+        weightOz: 12,
+        baseRate: 5,
+        totalCost: 5,
+        fromAddress: { state: 'CA', zip: '90001' },
+        toAddress: { state: 'NY', zip: '11201' },
+      },
+    });
+  });
+
+  afterAll(async () => {
+    config.shipping.webhookSecret = previousSecret;
+    try {
+      await prisma.carrierWebhookEvent.deleteMany({
+        where: { trackingNumber },
+      });
+      await prisma.order.deleteMany({ where: { id: order.id } });
+    } catch (error) {
+      console.error('Cleanup error:', error.message);
+    }
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/v1/webhooks/shipping/carrier-events', () => {
+    it('should apply a new tracking event', async () => {
+      const response = await postEvent({
+        event_id: `evt-transit-${suffix}`,
+        status: 'IN_TRANSIT',
+        timestamp: '2026-10-20T09:00:00Z',
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.outcome).toBe('PROCESSED');
+
+      const updated = await prisma.shipment.findUnique({
+        where: { id: shipment.id },
+      });
+      expect(updated.shipmentStatus).toBe('IN_TRANSIT');
+    });
+
+    it('should not record a retried event twice', async () => {
+      const response = await postEvent({
+        event_id: `evt-transit-${suffix}`,
+        status: 'IN_TRANSIT',
+        timestamp: '2026-10-20T09:00:00Z',
+      });
+
+      expect(response.body.data.outcome).toBe('DUPLICATE');
+      expect(
+        await prisma.shipmentTracking.count({
+          where: {
+            shipmentId: shipment.id,
+            carrierEventId: `evt-transit-${suffix}`,
+          },
+        })
+      ).toBe(1);
+    });
+
+    it('should keep DELIVERED when an older event arrives late', async () => {
+      await postEvent({
+        event_id: `evt-delivered-${suffix}`,
+        status: 'DELIVERED',
+        timestamp: '2026-10-21T15:30:00Z',
+      });
+      const response = await postEvent({
+        event_id: `evt-ofd-${suffix}`,
+        status: 'OUT_FOR_DELIVERY',
+        timestamp: '2026-10-21T07:10:00Z',
+      });
+
+      expect(response.body.data.outcome).toBe('OUT_OF_ORDER');
+
+      const updated = await prisma.shipment.findUnique({
+        where: { id: shipment.id },
+        include: { trackingEvents: true },
+      });
+      expect(updated.shipmentStatus).toBe('DELIVERED');
+      expect(updated.actualDeliveryDate).toEqual(
+        new Date('2026-10-21T15:30:00Z')
+      );
+      expect(updated.trackingEvents.map((e) => e.status)).toContain(
+        'OUT_FOR_DELIVERY'
+      );
+    });
+
+    it('should record events for unknown tracking numbers as ignored', async () => {
+      const response = await sendSigned({
+        tracking_number: `UNKNOWN${suffix}`,
+        status: 'IN_TRANSIT',
+      });
+
+      expect(response.body.data.outcome).toBe('IGNORED');
+      await prisma.carrierWebhookEvent.deleteMany({
+        where: { trackingNumber: `UNKNOWN${suffix}` },
+      });
+    });
+
+    it('should refuse unsigned events', async () => {
+      const response = await request(app)
+        .post('/api/v1/webhooks/shipping/carrier-events')
+        .send({ tracking_number: `UNSIGNED${suffix}`, status: 'IN_TRANSIT' });
+
+      expect(response.status).toBe(401);
+      await prisma.carrierWebhookEvent.deleteMany({
+        where: { trackingNumber: `UNSIGNED${suffix}` },
+      });
+    });
+
+    it('should reject unsupported providers', async () => {
+      const response = await request(app)
+        .post('/api/v1/webhooks/shipping/carrier-events')
+        .query({ provider: 'pigeon' })
+        .send({ tracking_number: trackingNumber });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Admin webhook view', () => {
+    it('should list webhooks with outcome counts', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/shipping/webhooks')
+        .query({ trackingNumber })
+        .set('Authorization', authHeader);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.outcomes).toMatchObject({
+        PROCESSED: 2,
+        DUPLICATE: 1,
+        OUT_OF_ORDER: 1,
+      });
+      expect(response.body.data.webhooks[0].rawBody).toBeUndefined();
+    });
+
+    it('should show the raw body and replay a webhook', async () => {
+      const webhook = await prisma.carrierWebhookEvent.findFirst({
+        where: { trackingNumber, outcome: 'PROCESSED' },
+      });
+
+      const detail = await request(app)
+        .get(`/api/v1/admin/shipping/webhooks/${webhook.id}`)
+        .set('Authorization', authHeader);
+
+      expect(detail.status).toBe(200);
+      expect(JSON.parse(detail.body.data.rawBody).tracking_number).toBe(
+        trackingNumber
+      );
+      expect(detail.body.data.trackingEvent.shipmentId).toBe(shipment.id);
+
+      const replay = await request(app)
+        .post(`/api/v1/admin/shipping/webhooks/${webhook.id}/replay`)
+        .set('Authorization', authHeader);
+
+      expect(replay.status).toBe(200);
+      expect(replay.body.data).toMatchObject({
+        outcome: 'DUPLICATE',
+        replayCount: 1,
+      });
+    });
+
+    it('should require admin access', async () => {
+      const response = await request(app).get(
+        '/api/v1/admin/shipping/webhooks'
+      );
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+const authHeader = getTestAuthHeader();
+
+describe('Catalog Lookup and In-Store Intake Integration Tests', () => {
+  const suffix = Date.now();
+  const upc = String(suffix).slice(-11).padStart(11, '7') + '1';
+  const catno = `LKP-${suffix}`;
+  const releaseIds = [];
+  let submissionId;
+
+  beforeAll(async () => {
+    const pressings = [
+      { label: 'Lookup Records', releaseYear: 1972, barcode: upc },
+      { label: 'Lookup Records', releaseYear: 1985, barcode: null },
+      { label: 'Reissue Label', releaseYear: 2015, barcode: null },
+    ];
+
+    for (const pressing of pressings) {
+      const release = await prisma.release.create({
+        data: {
+          title: 'Lookup Album',
+          artist: 'Lookup Artist',
+          catalogNumber: catno,
+          ...pressing,
+          // Stored the way it is printed on the sleeve
+          barcode: pressing.barcode
+            ? `${pressing.barcode.slice(0, 1)} ${pressing.barcode.slice(1, 6)} ${pressing.barcode.slice(6)}`
+            : null,
+        },
+      });
+      releaseIds.push(release.id);
+
+      await prisma.marketSnapshot.create({
+        data: {
+          releaseId: release.id,
+          source: 'DISCOGS',
+          statLow: 20,
+          statMedian: 30,
+          statHigh: 40,
+          fetchedAt: new Date(),
+        },
+      });
+    }
+  });
+
+  afterAll(async () => {
+    try {
+      if (submissionId) {
+        await prisma.submissionItem.deleteMany({ where: { submissionId } });
+        await prisma.sellerSubmission.delete({ where: { id: submissionId } });
+      }
+      await prisma.marketSnapshot.deleteMany({
+        where: { releaseId: { in: releaseIds } },
+      });
+      await prisma.release.deleteMany({ where: { id: { in: releaseIds } } });
+    } catch (error) {
+      console.error('Cleanup error:', error.message);
+    }
+    await prisma.$disconnect();
+  });
+
+  describe('GET /api/v1/catalog/lookup', () => {
+    it('should resolve a scanned UPC against an EAN-13 or spaced barcode', async () => {
+      const response = await request(app)
+        .get('/api/v1/catalog/lookup')
+        .query({ barcode: `0${upc}`, source: 'LOCAL' })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        source: 'LOCAL',
+        match: 'EXACT',
+      });
+      expect(response.body.data.candidates[0].releaseId).toBe(releaseIds[0]);
+    });
+
+    it('should list pressings sharing a catalog number with their differences', async () => {
+      const response = await request(app)
+        .get('/api/v1/catalog/lookup')
+        .query({
+          catno: catno.toLowerCase().replace('-', ' '),
+          source: 'LOCAL',
+        })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.match).toBe('AMBIGUOUS');
+      expect(response.body.data.candidates).toHaveLength(3);
+      expect(response.body.data.differences).toEqual(
+        expect.arrayContaining(['year', 'label'])
+      );
+    });
+
+    it('should narrow a catalog number by label', async () => {
+      const response = await request(app)
+        .get('/api/v1/catalog/lookup')
+        .query({ catno, label: 'reissue', source: 'LOCAL' })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.match).toBe('EXACT');
+      expect(response.body.data.candidates[0].releaseId).toBe(releaseIds[2]);
+    });
+
+    it('should report no match without falling back to Discogs for LOCAL', async () => {
+      const response = await request(app)
+        .get('/api/v1/catalog/lookup')
+        .query({ barcode: '1234567890128', source: 'LOCAL' })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        source: 'NONE',
+        match: 'NONE',
+        candidates: [],
+      });
+    });
+
+    it('should reject a lookup without barcode or catno', async () => {
+      await request(app)
+        .get('/api/v1/catalog/lookup')
+        .set('Authorization', authHeader)
+        .expect(400);
+    });
+  });
+
+  describe('In-store submissions', () => {
+    it('should open an in-store submission', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/submissions/in-store')
+        .set('Authorization', authHeader)
+        .send({ email: `walkin-${suffix}@test.com`, name: 'Walk In' })
+        .expect(201);
+
+      submissionId = response.body.data.id;
+      expect(response.body.data.channel).toBe('in_store');
+      expect(response.body.data.status).toBe('PENDING_REVIEW');
+    });
+
+    it('should quote scanned items and accumulate the submission total', async () => {
+      const scan = (releaseId) =>
+        request(app)
+          .post(`/api/v1/submissions/${submissionId}`)
+          .set('Authorization', authHeader)
+          .send({
+            items: [
+              { releaseId, conditionMedia: 'NM', conditionSleeve: 'VG_PLUS' },
+            ],
+          })
+          .expect(201);
+
+      const first = await scan(releaseIds[0]);
+      const second = await scan(releaseIds[1]);
+      const offers = [first, second].map((response) =>
+        Number(response.body.data.items[0].autoOfferPrice)
+      );
+      offers.forEach((offer) => expect(offer).toBeGreaterThan(0));
+
+      const submission = await prisma.sellerSubmission.findUnique({
+        where: { id: submissionId },
+      });
+      expect(Number(submission.totalOffered)).toBeCloseTo(
+        offers[0] + offers[1],
+        2
+      );
+    });
+  });
+});
@@ -511,6 +511,32 @@ describe('Checkout API Integration Tests', () => {
   describe('POST /api/v1/checkout/initiate', () => {
     let cartId;
 
+    it('should return 400 for a cart without a shipping address', async () => {
+      const cartResponse = await request(app)
+        .get('/api/v1/checkout/cart')
+        .set('Authorization', authHeader)
+        .query({ buyerEmail: `no-address-${Date.now()}@test.com` });
+      const noAddressCartId = cartResponse.body.data.id;
+
+      await request(app)
+        .post('/api/v1/checkout/cart/items')
+        .set('Authorization', authHeader)
+        .send({
+          orderId: noAddressCartId,
+          inventoryLotId: testInventoryLot.id,
+        });
+
+      const response = await request(app)
+        .post('/api/v1/checkout/initiate')
+        .set('Authorization', authHeader)
+        .send({ orderId: noAddressCartId })
+        .expect(400);
+
+      expect(response.body.error.message).toMatch(
+        /A valid shipping address is required/
+      );
+    });
+
     it('should initiate checkout with payment intent', async () => {
       // Verify test inventory lot exists
       expect(testInventoryLot).toBeDefined();
@@ -558,6 +584,7 @@ describe('Checkout API Integration Tests', () => {
         .send({
           orderId: cartId,
           shippingMethod: 'STANDARD',
+          shippingAddress: { state: 'NY', zip: '11201' },
         });
 
       expect(recalcResponse.status).toBe(200);
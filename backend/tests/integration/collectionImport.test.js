@@ -0,0 +1,180 @@
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+const authHeader = getTestAuthHeader();
+
+describe('Collection Import Integration Tests', () => {
+  const suffix = Date.now();
+  const discogsIds = [suffix % 1000000000, (suffix % 1000000000) + 1];
+  const missingDiscogsId = (suffix % 1000000000) + 2;
+  const releaseIds = [];
+  let seller;
+
+  const exportCsv = () =>
+    [
+      'Catalog#,Artist,Title,Label,Format,Rating,Released,release_id,CollectionFolder,Date Added,Collection Media Condition,Collection Sleeve Condition,Collection Notes',
+      `IMP-1,Import Artist,First Album,Import Label,LP,,1970,${discogsIds[0]},Uncategorized,,Very Good Plus (VG+),Very Good (VG),`,
+      `IMP-1,Import Artist,First Album,Import Label,LP,,1970,${discogsIds[0]},Uncategorized,,Very Good Plus (VG+),Very Good (VG),`,
+      `IMP-2,Import Artist,Second Album,Import Label,LP,,1971,${discogsIds[1]},Uncategorized,,,,`,
+      `IMP-3,Import Artist,Unknown Album,Import Label,LP,,1972,${missingDiscogsId},Uncategorized,,,,`,
+      'IMP-4,Import Artist,Bootleg,Import Label,LP,,1973,,Uncategorized,,,,',
+      `IMP-1,Import Artist,First Album,Import Label,LP,,1970,${discogsIds[0]},Uncategorized,,Sealed,,`,
+    ].join('\n');
+
+  beforeAll(async () => {
+    for (const [index, discogsId] of discogsIds.entries()) {
+      const release = await prisma.release.create({
+        data: {
+          title: index === 0 ? 'First Album' : 'Second Album',
+          artist: 'Import Artist',
+          label: 'Import Label',
+          releaseYear: 1970 + index,
+          discogsId,
+        },
+      });
+      releaseIds.push(release.id);
+
+      await prisma.marketSnapshot.create({
+        data: {
+          releaseId: release.id,
+          source: 'DISCOGS',
+          statLow: 10,
+          statMedian: 20,
+          statHigh: 30,
+          fetchedAt: new Date(),
+        },
+      });
+    }
+
+    seller = await prisma.sellerSubmission.create({
+      data: {
+        sellerContact: `import-${suffix}@test.com`,
+        sellerName: 'Import Seller',
+        status: 'PENDING_REVIEW',
+        expiresAt: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
+      },
+    });
+  });
+
+  afterAll(async () => {
+    try {
+      await prisma.submissionItem.deleteMany({
+        where: { submissionId: seller.id },
+      });
+      await prisma.sellerSubmission.delete({ where: { id: seller.id } });
+      await prisma.marketSnapshot.deleteMany({
+        where: { releaseId: { in: releaseIds } },
+      });
+      await prisma.release.deleteMany({ where: { id: { in: releaseIds } } });
+    } catch (error) {
+      console.error('Cleanup error:', error.message);
+    }
+    await prisma.$disconnect();
+  });
+
+  it('should preview matches without creating items', async () => {
+    const response = await request(app)
+      .post(`/api/v1/submissions/${seller.id}/import`)
+      .set('Authorization', authHeader)
+      .query({
+        preview: 'true',
+        defaultConditionMedia: 'VG',
+        defaultConditionSleeve: 'VG',
+      })
+      .set('Content-Type', 'text/csv')
+      .send(exportCsv())
+      .expect(200);
+
+    expect(response.body.data.preview).toBe(true);
+    expect(response.body.data.summary).toMatchObject({
+      source: 'CSV',
+      rows: 6,
+      matchedRows: 3,
+      items: 2,
+      unmatchedRows: 3,
+    });
+
+    const items = await prisma.submissionItem.count({
+      where: { submissionId: seller.id },
+    });
+    expect(items).toBe(0);
+  });
+
+  it('should group duplicate rows and report unmatched rows', async () => {
+    const response = await request(app)
+      .post(`/api/v1/submissions/${seller.id}/import`)
+      .set('Authorization', authHeader)
+      .query({ defaultConditionMedia: 'VG', defaultConditionSleeve: 'G' })
+      .set('Content-Type', 'text/csv')
+      .send(exportCsv())
+      .expect(201);
+
+    const { submission, unmatched } = response.body.data;
+    const first = submission.items.find(
+      (item) => item.releaseId === releaseIds[0]
+    );
+    const second = submission.items.find(
+      (item) => item.releaseId === releaseIds[1]
+    );
+
+    expect(first).toMatchObject({
+      quantity: 2,
+      conditionMedia: 'VG_PLUS',
+      conditionSleeve: 'VG',
+    });
+    expect(second).toMatchObject({
+      quantity: 1,
+      conditionMedia: 'VG',
+      conditionSleeve: 'G',
+    });
+    expect(unmatched.map((row) => row.reason).sort()).toEqual([
+      'INVALID_CONDITION',
+      'MISSING_RELEASE_ID',
+      'NOT_IN_CATALOG',
+    ]);
+  });
+
+  it('should require defaults when the collection has no grades', async () => {
+    const response = await request(app)
+      .post(`/api/v1/submissions/${seller.id}/import`)
+      .set('Authorization', authHeader)
+      .query({ preview: 'true' })
+      .set('Content-Type', 'text/csv')
+      .send(exportCsv())
+      .expect(200);
+
+    const reasons = response.body.data.unmatched.map((row) => row.reason);
+    expect(reasons).toContain('MISSING_CONDITION');
+  });
+
+  it('should require a logged-in seller', async () => {
+    await request(app)
+      .post(`/api/v1/submissions/${seller.id}/import`)
+      .query({ preview: 'true', discogsUsername: 'someone-else' })
+      .expect(401);
+  });
+
+  it('should refuse sellers who do not own the submission', async () => {
+    await request(app)
+      .post(`/api/v1/submissions/${seller.id}/import`)
+      .set(
+        'Authorization',
+        getTestAuthHeader({
+          userId: '11111111-1111-1111-1111-111111111111',
+          role: 'SELLER',
+        })
+      )
+      .query({ preview: 'true', discogsUsername: 'someone-else' })
+      .expect(403);
+  });
+
+  it('should reject a request without a collection', async () => {
+    await request(app)
+      .post(`/api/v1/submissions/${seller.id}/import`)
+      .set('Authorization', authHeader)
+      .send({ defaultConditionMedia: 'VG' })
+      .expect(400);
+  });
+});
@@ -0,0 +1,287 @@
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import shippingService from '../../src/services/shippingService.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+const authHeader = getTestAuthHeader();
+
+describe('International Shipping Integration Tests', () => {
+  const suffix = Date.now();
+  const zoneIds = [];
+  let testRelease;
+  let lot;
+  let cartLot;
+  let order;
+
+  const createZone = async (data, baseRate) => {
+    const zone = await prisma.shippingZone.create({
+      data: { isActive: true, ...data, name: `${data.name} ${suffix}` },
+    });
+    zoneIds.push(zone.id);
+
+    await prisma.shippingRate.create({
+      data: {
+        zoneId: zone.id,
+        shippingMethod: 'STANDARD',
+        carrier: 'USPS',
+        baseRate: String(baseRate),
+        perOzRate: '0',
+        minWeightOz: 1,
+        maxWeightOz: 160,
+        minDays: 7,
+        maxDays: 21,
+        isActive: true,
+        effectiveDate: new Date('2025-01-01'),
+      },
+    });
+    return zone;
+  };
+
+  beforeAll(async () => {
+    await createZone(
+      { name: 'Intl UK', countriesIncluded: ['GB'], priority: 10 },
+      24
+    );
+    await createZone(
+      {
+        name: 'Intl Northern Ireland',
+        countriesIncluded: ['GB'],
+        postalCodePatterns: ['^BT'],
+        priority: 5,
+      },
+      27
+    );
+    await createZone(
+      { name: 'Intl Rest of World', countriesIncluded: ['*'], priority: 10 },
+      35
+    );
+
+    testRelease = await prisma.release.create({
+      data: {
+        title: 'Export Album',
+        artist: 'Customs Artist',
+        releaseYear: 1977,
+        barcode: `INTL-${suffix}`,
+      },
+    });
+
+    lot = await prisma.inventoryLot.create({
+      data: {
+        releaseId: testRelease.id,
+        status: 'SOLD',
+        conditionMedia: 'NM',
+        conditionSleeve: 'VG_PLUS',
+        costBasis: 20,
+        listPrice: 60,
+        country: 'Germany',
+      },
+    });
+
+    cartLot = await prisma.inventoryLot.create({
+      data: {
+        releaseId: testRelease.id,
+        status: 'LIVE',
+        conditionMedia: 'VG_PLUS',
+        conditionSleeve: 'VG_PLUS',
+        costBasis: 10,
+        listPrice: 30,
+      },
+    });
+
+    order = await prisma.order.create({
+      data: {
+        orderNumber: `INTL-${suffix}`,
+        buyerEmail: `intl-${suffix}@test.com`,
+        status: 'PAYMENT_CONFIRMED',
+        subtotal: 120,
+        tax: 0,
+        shipping: 24,
+        total: 144,
+        shippingAddress: {
+          line1: '10 Downing Street',
+          city: 'London',
+          postalCode: 'SW1A 2AA',
+          country: 'GB',
+        },
+        items: {
+          create: [
+            { inventoryLotId: lot.id, priceAtPurchase: 60, quantity: 2 },
+          ],
+        },
+      },
+    });
+  });
+
+  afterAll(async () => {
+    try {
+      await prisma.shipment.deleteMany({ where: { orderId: order.id } });
+      await prisma.orderItem.deleteMany({ where: { orderId: order.id } });
+      await prisma.inventoryHold.deleteMany({
+        where: { inventoryLotId: cartLot.id },
+      });
+      await prisma.orderItem.deleteMany({
+        where: { inventoryLotId: cartLot.id },
+      });
+      await prisma.order.deleteMany({
+        where: { buyerEmail: { contains: `intl-${suffix}` } },
+      });
+      await prisma.inventoryLot.deleteMany({
+        where: { id: { in: [lot.id, cartLot.id] } },
+      });
+      await prisma.release.delete({ where: { id: testRelease.id } });
+      await prisma.shippingRate.deleteMany({
+        where: { zoneId: { in: zoneIds } },
+      });
+      await prisma.shippingZone.deleteMany({ where: { id: { in: zoneIds } } });
+    } catch (error) {
+      console.error('Cleanup error:', error.message);
+    }
+    await prisma.$disconnect();
+  });
+
+  describe('Zone matching', () => {
+    const lookup = (query) =>
+      request(app)
+        .get('/api/v1/shipping/zones/lookup')
+        .query(query)
+        .set('Authorization', authHeader);
+
+    it('should match a country zone without a state', async () => {
+      const response = await lookup({
+        country: 'GB',
+        postalCode: 'SW1A 2AA',
+      }).expect(200);
+      expect(response.body.data.name).toBe(`Intl UK ${suffix}`);
+    });
+
+    it('should prefer a postal code zone with a lower priority', async () => {
+      const response = await lookup({
+        country: 'GB',
+        postalCode: 'bt1 5gs',
+      }).expect(200);
+      expect(response.body.data.name).toBe(`Intl Northern Ireland ${suffix}`);
+    });
+
+    it('should fall back to the rest-of-world zone', async () => {
+      const response = await lookup({ country: 'JP' }).expect(200);
+      expect(response.body.data.name).toBe(`Intl Rest of World ${suffix}`);
+    });
+
+    it('should quote international rates', async () => {
+      const response = await request(app)
+        .post('/api/v1/shipping/calculate-rates')
+        .set('Authorization', authHeader)
+        .send({
+          destinationAddress: { country: 'GB', postalCode: 'SW1A 2AA' },
+          items: [{ title: 'Album' }],
+        })
+        .expect(200);
+
+      expect(response.body.data[0]).toMatchObject({
+        method: 'STANDARD',
+        cost: 24,
+      });
+    });
+  });
+
+  describe('Checkout with a non-US address', () => {
+    let cartId;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .get('/api/v1/checkout/cart')
+        .set('Authorization', authHeader)
+        .query({ buyerEmail: `intl-${suffix}-cart@test.com` });
+      cartId = response.body.data.id;
+
+      await request(app)
+        .post('/api/v1/checkout/cart/items')
+        .set('Authorization', authHeader)
+        .send({ orderId: cartId, inventoryLotId: cartLot.id })
+        .expect(200);
+    });
+
+    it('should charge the zone rate and no sales tax', async () => {
+      const response = await request(app)
+        .post('/api/v1/checkout/cart/recalculate')
+        .set('Authorization', authHeader)
+        .send({
+          orderId: cartId,
+          shippingAddress: {
+            city: 'Tokyo',
+            postalCode: '100-0001',
+            country: 'Japan',
+          },
+        })
+        .expect(200);
+
+      expect(response.body.data.shipping).toBe(35);
+      expect(response.body.data.tax).toBe(0);
+    });
+
+    it('should reject a postal code in the wrong format', async () => {
+      await request(app)
+        .post('/api/v1/checkout/cart/recalculate')
+        .set('Authorization', authHeader)
+        .send({
+          orderId: cartId,
+          shippingAddress: { postalCode: '1000', country: 'DE' },
+        })
+        .expect(400);
+    });
+
+    it('should reject a method the zone has no rate for', async () => {
+      await request(app)
+        .post('/api/v1/checkout/cart/recalculate')
+        .set('Authorization', authHeader)
+        .send({
+          orderId: cartId,
+          shippingMethod: 'OVERNIGHT',
+          shippingAddress: { postalCode: 'SW1A 2AA', country: 'GB' },
+        })
+        .expect(400);
+    });
+
+    it('should charge no shipping once the last item is removed', async () => {
+      await request(app)
+        .post('/api/v1/checkout/cart/recalculate')
+        .set('Authorization', authHeader)
+        .send({
+          orderId: cartId,
+          shippingAddress: { postalCode: 'SW1A 2AA', country: 'GB' },
+        })
+        .expect(200);
+
+      const response = await request(app)
+        .delete(`/api/v1/checkout/cart/items/${cartLot.id}`)
+        .set('Authorization', authHeader)
+        .send({ orderId: cartId })
+        .expect(200);
+
+      expect(response.body.data.items).toHaveLength(0);
+      expect(response.body.data.shipping).toBe(0);
+    });
+  });
+
+  describe('Customs declarations', () => {
+    it('should store the declaration on an international shipment', async () => {
+      const shipment = await shippingService.createShipment(
+        order.id,
+        'STANDARD'
+      );
+
+      expect(shipment.customsForm).toBe('CN22');
+      expect(Number(shipment.declaredValue)).toBe(120);
+      expect(shipment.customsDeclaration).toMatchObject({
+        hsCode: '852380',
+        destinationCountry: 'GB',
+      });
+      expect(shipment.customsDeclaration.items[0]).toMatchObject({
+        quantity: 2,
+        unitValue: 60,
+        originCountry: 'DE',
+      });
+    });
+  });
+});
@@ -0,0 +1,180 @@
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+const authHeader = getTestAuthHeader();
+
+describe('Inventory Export/Import Integration Tests', () => {
+  const suffix = Date.now();
+  const newSku = `CSV-NEW-${suffix}`;
+  let testRelease;
+  let lot;
+
+  beforeAll(async () => {
+    testRelease = await prisma.release.create({
+      data: {
+        title: 'Stocktake Album',
+        artist: 'Spreadsheet Artist',
+        genre: 'Rock',
+        releaseYear: 1979,
+        barcode: `CSV-${suffix}`,
+      },
+    });
+
+    lot = await prisma.inventoryLot.create({
+      data: {
+        releaseId: testRelease.id,
+        sku: `CSV-${suffix}`,
+        status: 'LIVE',
+        conditionMedia: 'VG',
+        conditionSleeve: 'VG',
+        costBasis: 10,
+        listPrice: 25,
+        quantity: 2,
+      },
+    });
+  });
+
+  afterAll(async () => {
+    try {
+      await prisma.inventoryLot.deleteMany({
+        where: { releaseId: testRelease.id },
+      });
+      await prisma.release.delete({ where: { id: testRelease.id } });
+    } catch (error) {
+      console.error('Cleanup error:', error.message);
+    }
+    await prisma.$disconnect();
+  });
+
+  describe('GET /api/v1/inventory/export', () => {
+    it('should export filtered lots as CSV with the key columns', async () => {
+      const response = await request(app)
+        .get('/api/v1/inventory/export')
+        .query({ search: `CSV-${suffix}`, columns: 'title,listPrice' })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      const [header, row] = response.text.trim().split(/\r?\n/);
+      expect(header).toBe(
+        'id,sku,release_id,quantity,reserved_quantity,title,list_price'
+      );
+      expect(row).toContain(lot.id);
+      expect(row).toContain('Stocktake Album');
+    });
+
+    it('should export JSON rows', async () => {
+      const response = await request(app)
+        .get('/api/v1/inventory/export')
+        .query({ search: `CSV-${suffix}`, format: 'json', columns: 'all' })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.rows).toHaveLength(1);
+      expect(response.body.data.rows[0]).toMatchObject({
+        id: lot.id,
+        quantity: 2,
+        condition_media: 'VG',
+      });
+    });
+
+    it('should reject unknown columns', async () => {
+      await request(app)
+        .get('/api/v1/inventory/export')
+        .query({ columns: 'title,nope' })
+        .set('Authorization', authHeader)
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/v1/inventory/import', () => {
+    const sheet = () =>
+      [
+        'id,sku,release_id,quantity,condition_media,condition_sleeve,cost_basis,list_price,status',
+        `${lot.id},CSV-${suffix},,5,,,,27.50,`,
+        `,${newSku},${testRelease.id},1,NM,VG+,8,20,LIVE`,
+        `,CSV-BAD-${suffix},${testRelease.id},,Great,,,,`,
+      ].join('\n');
+
+    it('should report changes and errors without writing on a dry run', async () => {
+      const response = await request(app)
+        .post('/api/v1/inventory/import')
+        .query({ dryRun: 'true' })
+        .set('Authorization', authHeader)
+        .set('Content-Type', 'text/csv')
+        .send(sheet())
+        .expect(200);
+
+      const { summary, rows } = response.body.data;
+      expect(summary).toMatchObject({
+        rows: 3,
+        create: 1,
+        update: 1,
+        error: 1,
+      });
+      expect(rows[0].changes).toMatchObject({
+        quantity: { from: 2, to: 5 },
+        listPrice: { from: 25, to: 27.5 },
+      });
+      expect(rows[2]).toMatchObject({ line: 4, action: 'ERROR' });
+
+      const unchanged = await prisma.inventoryLot.findUnique({
+        where: { id: lot.id },
+      });
+      expect(unchanged.quantity).toBe(2);
+    });
+
+    it('should apply valid rows and skip invalid ones', async () => {
+      await request(app)
+        .post('/api/v1/inventory/import')
+        .set('Authorization', authHeader)
+        .send({ csv: sheet() })
+        .expect(200);
+
+      const updated = await prisma.inventoryLot.findUnique({
+        where: { id: lot.id },
+      });
+      expect(updated.quantity).toBe(5);
+      expect(Number(updated.listPrice)).toBe(27.5);
+
+      const created = await prisma.inventoryLot.findFirst({
+        where: { sku: newSku },
+      });
+      expect(created).toMatchObject({ status: 'LIVE', conditionMedia: 'NM' });
+
+      const skipped = await prisma.inventoryLot.count({
+        where: { sku: `CSV-BAD-${suffix}` },
+      });
+      expect(skipped).toBe(0);
+    });
+
+    it('should mark a lot sold when the stocktake counts none', async () => {
+      const response = await request(app)
+        .post('/api/v1/inventory/import')
+        .set('Authorization', authHeader)
+        .set('Content-Type', 'text/csv')
+        .send(`id,quantity\n${lot.id},0`)
+        .expect(200);
+
+      expect(response.body.data.rows[0]).toMatchObject({
+        action: 'UPDATE',
+        changes: { quantity: { from: 5, to: 0 } },
+      });
+      const counted = await prisma.inventoryLot.findUnique({
+        where: { id: lot.id },
+      });
+      expect(counted).toMatchObject({ quantity: 0, status: 'SOLD' });
+    });
+
+    it('should reject an empty sheet', async () => {
+      await request(app)
+        .post('/api/v1/inventory/import')
+        .set('Authorization', authHeader)
+        .set('Content-Type', 'text/csv')
+        .send('sku,list_price\n')
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import pricingService from '../../src/services/pricingService.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+const authHeader = getTestAuthHeader();
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+describe('Scheduled Markdowns Integration Tests', () => {
+  let testPolicy;
+  let testRelease;
+  let agedLot;
+  let optedOutLot;
+  let floorLot;
+
+  beforeAll(async () => {
+    testPolicy = await prisma.pricingPolicy.create({
+      data: {
+        name: 'Markdown Test Policy',
+        scope: 'SELLER',
+        isActive: true,
+        version: 9999,
+        buyFormula: {},
+        sellFormula: {
+          minProfitMargin: 0.3,
+          markdownSchedule: { 30: 0.1, 60: 0.25 },
+        },
+        conditionCurve: {},
+      },
+    });
+    pricingService.clearPolicyCache();
+
+    testRelease = await prisma.release.create({
+      data: {
+        title: 'Markdown Album',
+        artist: 'Markdown Artist',
+        genre: 'Soul',
+        releaseYear: 1971,
+        barcode: `MARKDOWN-${Date.now()}`,
+      },
+    });
+
+    const lotData = {
+      releaseId: testRelease.id,
+      status: 'LIVE',
+      conditionMedia: 'VG_PLUS',
+      conditionSleeve: 'VG',
+    };
+
+    agedLot = await prisma.inventoryLot.create({
+      data: {
+        ...lotData,
+        costBasis: 20,
+        listPrice: 100,
+        listedAt: daysAgo(65),
+      },
+    });
+    optedOutLot = await prisma.inventoryLot.create({
+      data: {
+        ...lotData,
+        costBasis: 20,
+        listPrice: 100,
+        listedAt: daysAgo(65),
+      },
+    });
+    floorLot = await prisma.inventoryLot.create({
+      data: {
+        ...lotData,
+        costBasis: 40,
+        listPrice: 55,
+        listedAt: daysAgo(35),
+      },
+    });
+  });
+
+  afterAll(async () => {
+    try {
+      await prisma.inventoryLot.deleteMany({
+        where: { releaseId: testRelease.id },
+      });
+      await prisma.release.deleteMany({ where: { id: testRelease.id } });
+      await prisma.pricingPolicy.deleteMany({ where: { id: testPolicy.id } });
+      pricingService.clearPolicyCache();
+    } catch (error) {
+      console.error('Error in markdown test cleanup:', error);
+    }
+
+    await prisma.$disconnect();
+  });
+
+  const changeFor = (result, lot) =>
+    result.changes.find((change) => change.inventoryLotId === lot.id);
+
+  it('should let a lot opt out of markdowns', async () => {
+    const response = await request(app)
+      .put(`/api/v1/inventory/${optedOutLot.id}`)
+      .set('Authorization', authHeader)
+      .send({ markdownOptOut: true })
+      .expect(200);
+
+    expect(response.body.data.pricing.markdownOptOut).toBe(true);
+  });
+
+  it('should preview markdowns without changing prices', async () => {
+    const response = await request(app)
+      .post('/api/v1/inventory/pricing/markdowns')
+      .set('Authorization', authHeader)
+      .send({ dryRun: true })
+      .expect(200);
+
+    const result = response.body.data;
+    expect(result.dryRun).toBe(true);
+    expect(result.policyName).toBe('Markdown Test Policy');
+    expect(changeFor(result, agedLot)).toMatchObject({
+      discountPercent: 25,
+      oldPrice: 100,
+      newPrice: 75,
+    });
+    expect(changeFor(result, optedOutLot)).toBeUndefined();
+
+    // 10% off $55 would be $49.50; floor is $40 * 1.3 = $52
+    expect(changeFor(result, floorLot)).toMatchObject({
+      newPrice: 52,
+      floorApplied: true,
+    });
+
+    const lot = await prisma.inventoryLot.findUnique({
+      where: { id: agedLot.id },
+    });
+    expect(Number(lot.listPrice)).toBe(100);
+  });
+
+  it('should apply markdowns once per tier and record pricing history', async () => {
+    await request(app)
+      .post('/api/v1/inventory/pricing/markdowns')
+      .set('Authorization', authHeader)
+      .send({})
+      .expect(200);
+
+    const lot = await prisma.inventoryLot.findUnique({
+      where: { id: agedLot.id },
+    });
+    expect(Number(lot.listPrice)).toBe(75);
+    expect(Number(lot.markdownPercent)).toBe(0.25);
+
+    const rerun = await request(app)
+      .post('/api/v1/inventory/pricing/markdowns')
+      .set('Authorization', authHeader)
+      .send({ dryRun: true })
+      .expect(200);
+    expect(changeFor(rerun.body.data, agedLot)).toBeUndefined();
+
+    const history = await request(app)
+      .get(`/api/v1/inventory/${agedLot.id}/pricing-history`)
+      .set('Authorization', authHeader)
+      .expect(200);
+    expect(history.body.data.history).toContainEqual(
+      expect.objectContaining({
+        type: 'MARKDOWN',
+        policy: 'Markdown Test Policy',
+        discountPercent: 25,
+        oldPrice: 100,
+        newPrice: 75,
+      })
+    );
+  });
+
+  it('should mark a repriced lot down from its new price', async () => {
+    const response = await request(app)
+      .put(`/api/v1/inventory/${agedLot.id}`)
+      .set('Authorization', authHeader)
+      .send({ listPrice: 60 })
+      .expect(200);
+
+    expect(response.body.data.pricing.markdownPercent).toBe(0);
+
+    // The new price is undiscounted, so the 25% tier applies to it again
+    const rerun = await request(app)
+      .post('/api/v1/inventory/pricing/markdowns')
+      .set('Authorization', authHeader)
+      .send({ dryRun: true })
+      .expect(200);
+    expect(changeFor(rerun.body.data, agedLot)).toMatchObject({
+      oldPrice: 60,
+      newPrice: 45,
+    });
+  });
+
+  it('should require the admin role', async () => {
+    await request(app)
+      .post('/api/v1/inventory/pricing/markdowns')
+      .set('Authorization', getTestAuthHeader({ role: 'BUYER' }))
+      .send({ dryRun: true })
+      .expect(403);
+  });
+});
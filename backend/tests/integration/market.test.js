@@ -0,0 +1,123 @@
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+const authHeader = getTestAuthHeader();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Market Trends Integration Tests', () => {
+  const suffix = Date.now();
+  let testRelease;
+
+  beforeAll(async () => {
+    testRelease = await prisma.release.create({
+      data: {
+        title: 'Heating Up',
+        artist: 'Trend Artist',
+        releaseYear: 1977,
+        barcode: `MARKET-${suffix}`,
+      },
+    });
+
+    const now = Date.now();
+    await prisma.marketSnapshot.createMany({
+      data: [
+        { daysAgo: 60, median: 20 },
+        { daysAgo: 35, median: 24 },
+        { daysAgo: 10, median: 30 },
+        { daysAgo: 1, median: 36 },
+      ].map(({ daysAgo, median }) => ({
+        releaseId: testRelease.id,
+        source: 'DISCOGS',
+        statLow: median - 5,
+        statMedian: median,
+        statHigh: median + 5,
+        fetchedAt: new Date(now - daysAgo * DAY_MS),
+      })),
+    });
+  });
+
+  afterAll(async () => {
+    try {
+      await prisma.release.deleteMany({ where: { id: testRelease.id } });
+    } finally {
+      await prisma.$disconnect();
+    }
+  });
+
+  it('should return the price series with a trend summary', async () => {
+    const response = await request(app)
+      .get(`/api/v1/admin/market/releases/${testRelease.id}/history`)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    const [series] = response.body.data.series;
+    expect(series.source).toBe('DISCOGS');
+    expect(series.points).toHaveLength(4);
+    expect(series.points[0].median).toBe(20);
+    expect(series.trend.price).toBe(36);
+    expect(series.trend.change30d.percent).toBe(50);
+    expect(series.trend.change90d.percent).toBe(80);
+    expect(series.trend.volatility).toBeGreaterThan(0);
+  });
+
+  it('should limit points to the requested window', async () => {
+    const response = await request(app)
+      .get(`/api/v1/admin/market/releases/${testRelease.id}/history`)
+      .set('Authorization', authHeader)
+      .query({ days: 30 })
+      .expect(200);
+
+    const [series] = response.body.data.series;
+    expect(series.points).toHaveLength(2);
+    expect(series.trend.change90d.percent).toBe(80);
+  });
+
+  it('should list the release among market movers', async () => {
+    const response = await request(app)
+      .get('/api/v1/admin/market/alerts')
+      .set('Authorization', authHeader)
+      .query({ days: 30, threshold: 40, limit: 100 })
+      .expect(200);
+
+    const alert = response.body.data.alerts.find(
+      (a) => a.releaseId === testRelease.id
+    );
+    expect(alert).toMatchObject({
+      source: 'DISCOGS',
+      title: 'Heating Up',
+      fromPrice: 24,
+      toPrice: 36,
+      percent: 50,
+      direction: 'UP',
+    });
+  });
+
+  it('should leave out releases below the threshold', async () => {
+    const response = await request(app)
+      .get('/api/v1/admin/market/alerts')
+      .set('Authorization', authHeader)
+      .query({ days: 30, threshold: 60, limit: 100 })
+      .expect(200);
+
+    expect(
+      response.body.data.alerts.some((a) => a.releaseId === testRelease.id)
+    ).toBe(false);
+  });
+
+  it('should reject an unknown source', async () => {
+    await request(app)
+      .get(`/api/v1/admin/market/releases/${testRelease.id}/history`)
+      .set('Authorization', authHeader)
+      .query({ source: 'AMAZON' })
+      .expect(400);
+  });
+
+  it('should require the admin role', async () => {
+    await request(app)
+      .get('/api/v1/admin/market/alerts')
+      .set('Authorization', getTestAuthHeader({ role: 'SELLER' }))
+      .expect(403);
+  });
+});
@@ -0,0 +1,174 @@
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import inventoryService from '../../src/services/inventoryService.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+const authHeader = getTestAuthHeader();
+
+describe('Multi-Unit Inventory Integration Tests', () => {
+  const suffix = Date.now();
+  let testRelease;
+  let sealedLot;
+  let order;
+
+  const openCart = async () => {
+    const response = await request(app)
+      .get('/api/v1/checkout/cart')
+      .set('Authorization', authHeader)
+      .query({ buyerEmail: `multiunit-${suffix}-${Math.random()}@test.com` });
+    return response.body.data.id;
+  };
+
+  const addToCart = (orderId, quantity) =>
+    request(app)
+      .post('/api/v1/checkout/cart/items')
+      .set('Authorization', authHeader)
+      .send({ orderId, inventoryLotId: sealedLot.id, quantity });
+
+  beforeAll(async () => {
+    testRelease = await prisma.release.create({
+      data: {
+        title: 'Sealed Reissue',
+        artist: 'Multi Unit Artist',
+        genre: 'Jazz',
+        releaseYear: 2024,
+        barcode: `MULTI-${suffix}`,
+      },
+    });
+
+    sealedLot = await prisma.inventoryLot.create({
+      data: {
+        releaseId: testRelease.id,
+        status: 'LIVE',
+        conditionMedia: 'MINT',
+        conditionSleeve: 'MINT',
+        costBasis: 18,
+        listPrice: 32.5,
+        quantity: 3,
+      },
+    });
+
+    order = await prisma.order.create({
+      data: {
+        orderNumber: `MULTI-${suffix}`,
+        buyerEmail: `multiunit-order-${suffix}@test.com`,
+        status: 'PAYMENT_PENDING',
+        subtotal: 65,
+        tax: 0,
+        shipping: 0,
+        total: 65,
+      },
+    });
+  });
+
+  afterEach(async () => {
+    await prisma.inventoryHold.deleteMany({
+      where: { inventoryLotId: sealedLot.id },
+    });
+  });
+
+  afterAll(async () => {
+    try {
+      await prisma.orderItem.deleteMany({
+        where: { inventoryLotId: sealedLot.id },
+      });
+      await prisma.order.deleteMany({
+        where: { buyerEmail: { contains: `multiunit-` } },
+      });
+      await prisma.inventoryLot.deleteMany({ where: { id: sealedLot.id } });
+      await prisma.release.deleteMany({ where: { id: testRelease.id } });
+    } catch (error) {
+      console.error('Cleanup error:', error.message);
+    }
+    await prisma.$disconnect();
+  });
+
+  describe('Cart line quantities', () => {
+    it('should hold and price every unit on the line', async () => {
+      const cartId = await openCart();
+      const response = await addToCart(cartId, 2).expect(200);
+
+      expect(response.body.data.items[0].quantity).toBe(2);
+      expect(response.body.data.subtotal).toBeCloseTo(65, 2);
+
+      const hold = await prisma.inventoryHold.findFirst({
+        where: { inventoryLotId: sealedLot.id, orderId: cartId },
+      });
+      expect(hold.quantity).toBe(2);
+
+      const summary = await request(app)
+        .get('/api/v1/checkout/cart/summary')
+        .set('Authorization', authHeader)
+        .query({ orderId: cartId })
+        .expect(200);
+      expect(summary.body.data.itemCount).toBe(2);
+    });
+
+    it('should only hold the units other carts have not', async () => {
+      const firstCart = await openCart();
+      const secondCart = await openCart();
+      await addToCart(firstCart, 2).expect(200);
+
+      const response = await addToCart(secondCart, 2).expect(409);
+      expect(response.body.error.message).toMatch(/Only 1 available/);
+
+      await addToCart(secondCart, 1).expect(200);
+    });
+
+    it('should reject a quantity that is not a positive integer', async () => {
+      const cartId = await openCart();
+      await addToCart(cartId, 0).expect(400);
+    });
+  });
+
+  describe('Reservations and sales', () => {
+    it('should keep the lot LIVE until every unit is reserved', async () => {
+      let lot = await inventoryService.reserveInventory(
+        sealedLot.id,
+        order.id,
+        2
+      );
+      expect(lot).toMatchObject({ status: 'LIVE', reservedQuantity: 2 });
+
+      await expect(
+        inventoryService.reserveInventory(sealedLot.id, order.id, 2)
+      ).rejects.toMatchObject({ status: 409 });
+
+      lot = await inventoryService.releaseReservation(
+        sealedLot.id,
+        'Test release',
+        2
+      );
+      expect(lot).toMatchObject({
+        status: 'LIVE',
+        reservedQuantity: 0,
+        orderId: null,
+      });
+    });
+
+    it('should sell units off the lot and mark it SOLD when none are left', async () => {
+      await inventoryService.reserveInventory(sealedLot.id, order.id, 2);
+      let lot = await inventoryService.markAsSold(sealedLot.id, order.id, 2);
+      expect(lot).toMatchObject({
+        status: 'LIVE',
+        quantity: 1,
+        reservedQuantity: 0,
+      });
+
+      const alerts = await request(app)
+        .get('/api/v1/inventory/analytics/low-stock')
+        .set('Authorization', authHeader)
+        .query({ threshold: 2 })
+        .expect(200);
+      const alert = alerts.body.data.alerts.find(
+        (entry) => entry.releaseId === testRelease.id
+      );
+      expect(alert.stockCount).toBe(1);
+
+      await inventoryService.reserveInventory(sealedLot.id, order.id, 1);
+      lot = await inventoryService.markAsSold(sealedLot.id, order.id, 1);
+      expect(lot).toMatchObject({ status: 'SOLD', quantity: 0 });
+    });
+  });
+});
@@ -0,0 +1,286 @@
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+const authHeader = getTestAuthHeader();
+
+describe('Seller Payouts Integration Tests', () => {
+  const suffix = Date.now();
+  const email = `payout-seller-${suffix}@test.com`;
+  let testRelease;
+  let sellerUser;
+  let sellerId;
+  let submissionId;
+  let batchId;
+
+  beforeAll(async () => {
+    testRelease = await prisma.release.create({
+      data: {
+        title: 'Payout Album',
+        artist: 'Payout Artist',
+        releaseYear: 1971,
+        barcode: `PAYOUT-${suffix}`,
+      },
+    });
+
+    sellerUser = await prisma.adminUser.create({
+      data: {
+        email,
+        name: 'Payout Seller',
+        role: 'SELLER',
+        passwordHash: 'not-a-real-hash',
+      },
+    });
+
+    const registration = await request(app)
+      .post('/api/v1/sellers/register')
+      .send({ email, name: 'Payout Seller', payoutMethod: 'PAYPAL' })
+      .expect(201);
+
+    sellerId = registration.body.data.sellerId;
+    submissionId = registration.body.data.submissionId;
+
+    await prisma.seller.update({
+      where: { id: sellerId },
+      data: { payoutDetails: { paypalEmail: email } },
+    });
+
+    await request(app)
+      .put(`/api/v1/sellers/${sellerId}/account`)
+      .set('Authorization', authHeader)
+      .send({ userId: sellerUser.id })
+      .expect(200);
+
+    await prisma.submissionItem.createMany({
+      data: [25, 15].map((price) => ({
+        submissionId,
+        releaseId: testRelease.id,
+        quantity: 1,
+        sellerConditionMedia: 'VG_PLUS',
+        sellerConditionSleeve: 'VG',
+        autoOfferPrice: price,
+        status: 'PENDING',
+      })),
+    });
+  });
+
+  afterAll(async () => {
+    try {
+      await prisma.payoutBatch.deleteMany({ where: { id: batchId } });
+      await prisma.inventoryLot.deleteMany({
+        where: { releaseId: testRelease.id },
+      });
+      await prisma.sellerSubmission.deleteMany({ where: { sellerId } });
+      await prisma.seller.deleteMany({ where: { id: sellerId } });
+      await prisma.adminUser.deleteMany({ where: { id: sellerUser.id } });
+      await prisma.release.deleteMany({ where: { id: testRelease.id } });
+    } finally {
+      await prisma.$disconnect();
+    }
+  });
+
+  it('should record a payable for every accepted item', async () => {
+    await request(app)
+      .post(`/api/v1/admin/submissions/${submissionId}/accept`)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    const payables = await prisma.sellerPayable.findMany({
+      where: { submissionId },
+    });
+    expect(payables).toHaveLength(2);
+    expect(payables.every((p) => p.status === 'OPEN')).toBe(true);
+
+    const response = await request(app)
+      .get('/api/v1/admin/payouts/balances')
+      .set('Authorization', authHeader)
+      .query({ payoutMethod: 'PAYPAL', owedOnly: 'true' })
+      .expect(200);
+
+    const balance = response.body.data.balances.find(
+      (b) => b.sellerId === sellerId
+    );
+    expect(balance.openAmount).toBe(40);
+    expect(balance.openItems).toBe(2);
+  });
+
+  it('should batch open payables for sellers preferring the method', async () => {
+    const response = await request(app)
+      .post('/api/v1/admin/payouts/batches')
+      .set('Authorization', authHeader)
+      .send({ method: 'PAYPAL', sellerIds: [sellerId] })
+      .expect(201);
+
+    batchId = response.body.data.id;
+    expect(response.body.data.status).toBe('DRAFT');
+    expect(response.body.data.batchNumber).toMatch(/^PB-\d{8}-\d{4}$/);
+    expect(response.body.data.payouts).toHaveLength(1);
+    expect(response.body.data.payouts[0].amount).toBe(40);
+    expect(response.body.data.payouts[0].payoutDetails).toEqual({
+      paypalEmail: email,
+    });
+
+    const payables = await prisma.sellerPayable.findMany({
+      where: { submissionId },
+    });
+    expect(payables.every((p) => p.status === 'BATCHED')).toBe(true);
+  });
+
+  it('should refuse to pay a batch that is not approved', async () => {
+    await request(app)
+      .post(`/api/v1/admin/payouts/batches/${batchId}/paid`)
+      .set('Authorization', authHeader)
+      .expect(409);
+  });
+
+  it('should export the batch as CSV', async () => {
+    const response = await request(app)
+      .get(`/api/v1/admin/payouts/batches/${batchId}/export`)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/text\/csv/);
+    const [header, row] = response.text.trim().split('\n');
+    expect(header.split(',')[0]).toBe('batch_number');
+    expect(row).toContain(email);
+    expect(row).toContain('40.00');
+  });
+
+  it('should approve and settle the batch with an audit trail', async () => {
+    await request(app)
+      .post(`/api/v1/admin/payouts/batches/${batchId}/approve`)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    const batch = await request(app)
+      .get(`/api/v1/admin/payouts/batches/${batchId}`)
+      .set('Authorization', authHeader)
+      .expect(200);
+    const payoutId = batch.body.data.payouts[0].id;
+
+    const response = await request(app)
+      .post(`/api/v1/admin/payouts/batches/${batchId}/paid`)
+      .set('Authorization', authHeader)
+      .send({ references: { [payoutId]: 'PP-TXN-123' } })
+      .expect(200);
+
+    expect(response.body.data.status).toBe('PAID');
+    expect(response.body.data.paidAt).toBeDefined();
+    expect(response.body.data.payouts[0].reference).toBe('PP-TXN-123');
+    expect(response.body.data.audits.map((a) => a.toStatus)).toEqual([
+      'PAID',
+      'APPROVED',
+    ]);
+  });
+
+  it('should show the payout on the seller portal', async () => {
+    const response = await request(app)
+      .get('/api/v1/sellers/me/payouts')
+      .set(
+        'Authorization',
+        getTestAuthHeader({ userId: sellerUser.id, email, role: 'SELLER' })
+      )
+      .expect(200);
+
+    expect(response.body.data.balance).toEqual({
+      owed: 0,
+      inPayout: 0,
+      paid: 40,
+      openItems: 0,
+    });
+    expect(response.body.data.payouts[0].status).toBe('PAID');
+  });
+
+  it('should not reopen payables paid through a batch', async () => {
+    const items = await prisma.submissionItem.findMany({
+      where: { submissionId },
+      select: { id: true },
+    });
+
+    const response = await request(app)
+      .post('/api/v1/admin/payouts/payables/reopen')
+      .set('Authorization', authHeader)
+      .send({ submissionItemIds: items.map((item) => item.id) })
+      .expect(200);
+
+    expect(response.body.data).toEqual({ reopened: 0, skipped: 2 });
+  });
+
+  it('should reopen a historical payable that is still owed', async () => {
+    const item = await prisma.submissionItem.create({
+      data: {
+        submissionId,
+        releaseId: testRelease.id,
+        quantity: 1,
+        sellerConditionMedia: 'VG',
+        sellerConditionSleeve: 'VG',
+        autoOfferPrice: 10,
+        status: 'ACCEPTED',
+      },
+    });
+    await prisma.sellerPayable.create({
+      data: {
+        sellerId,
+        submissionId,
+        submissionItemId: item.id,
+        amount: 10,
+        status: 'PAID',
+      },
+    });
+
+    const response = await request(app)
+      .post('/api/v1/admin/payouts/payables/reopen')
+      .set('Authorization', authHeader)
+      .send({ submissionItemIds: [item.id] })
+      .expect(200);
+
+    expect(response.body.data).toEqual({ reopened: 1, skipped: 0 });
+
+    const payable = await prisma.sellerPayable.findUnique({
+      where: { submissionItemId: item.id },
+    });
+    expect(payable.status).toBe('OPEN');
+  });
+
+  it('should void the payable when an accepted item is counter-offered', async () => {
+    const item = await prisma.submissionItem.create({
+      data: {
+        submissionId,
+        releaseId: testRelease.id,
+        quantity: 1,
+        sellerConditionMedia: 'VG',
+        sellerConditionSleeve: 'VG',
+        autoOfferPrice: 12,
+        status: 'ACCEPTED',
+      },
+    });
+    await prisma.sellerPayable.create({
+      data: {
+        sellerId,
+        submissionId,
+        submissionItemId: item.id,
+        amount: 12,
+        status: 'OPEN',
+      },
+    });
+
+    await request(app)
+      .put(`/api/v1/submissions/${submissionId}/items/${item.id}`)
+      .set('Authorization', authHeader)
+      .send({ counterOfferPrice: 8 })
+      .expect(200);
+
+    const payable = await prisma.sellerPayable.findUnique({
+      where: { submissionItemId: item.id },
+    });
+    expect(payable.status).toBe('VOID');
+  });
+
+  it('should require the admin role for batches', async () => {
+    await request(app)
+      .get('/api/v1/admin/payouts/batches')
+      .set('Authorization', getTestAuthHeader({ role: 'SELLER' }))
+      .expect(403);
+  });
+});
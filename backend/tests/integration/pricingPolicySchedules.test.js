@@ -0,0 +1,149 @@
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import pricingService from '../../src/services/pricingService.js';
+import pricingPolicyScheduleService from '../../src/services/pricingPolicyScheduleService.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+const authHeader = getTestAuthHeader();
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+describe('Scheduled Pricing Policy Integration Tests', () => {
+  const genre = `Scheduled Genre ${Date.now()}`;
+  const createdPolicyIds = [];
+  let regularPolicy;
+  let campaignPolicy;
+
+  const createPolicy = async (body, status = 201) => {
+    const response = await request(app)
+      .post('/api/v1/admin/pricing/scoped')
+      .set('Authorization', authHeader)
+      .send({
+        type: 'SELLER',
+        scope: 'GENRE',
+        scopeValue: genre,
+        ...body,
+      })
+      .expect(status);
+    if (response.body.data?.id) createdPolicyIds.push(response.body.data.id);
+    return response.body.data;
+  };
+
+  const resolvedPolicyId = async () => {
+    const { resolution } = await pricingService.resolvePricingPolicy('SELLER', {
+      genre,
+    });
+    return resolution.policyId;
+  };
+
+  beforeAll(async () => {
+    regularPolicy = await createPolicy({
+      name: 'Regular Genre Pricing',
+      sellFormula: { sellPercentage: 1.25 },
+    });
+  });
+
+  afterAll(async () => {
+    try {
+      await prisma.pricingPolicy.deleteMany({
+        where: { id: { in: createdPolicyIds } },
+      });
+      pricingService.clearPolicyCache();
+    } finally {
+      await prisma.$disconnect();
+    }
+  });
+
+  it('should queue a version with a future effectiveFrom without activating it', async () => {
+    campaignPolicy = await createPolicy({
+      name: 'Black Friday',
+      sellFormula: { sellPercentage: 1.1 },
+      effectiveFrom: hoursFromNow(1).toISOString(),
+      effectiveUntil: hoursFromNow(2).toISOString(),
+    });
+
+    expect(campaignPolicy).toMatchObject({
+      isActive: false,
+      scheduleStatus: 'SCHEDULED',
+    });
+    expect(await resolvedPolicyId()).toBe(regularPolicy.id);
+
+    const response = await request(app)
+      .get('/api/v1/admin/pricing/SELLER/scheduled')
+      .set('Authorization', authHeader)
+      .expect(200);
+    expect(response.body.data.upcoming.map((p) => p.id)).toContain(
+      campaignPolicy.id
+    );
+  });
+
+  it('should activate the version once effectiveFrom passes', async () => {
+    const result = await pricingPolicyScheduleService.applySchedules(
+      hoursFromNow(1.5)
+    );
+
+    expect(result.activated).toContain(campaignPolicy.id);
+    expect(await resolvedPolicyId()).toBe(campaignPolicy.id);
+
+    const activated = await prisma.pricingPolicy.findUnique({
+      where: { id: campaignPolicy.id },
+    });
+    expect(activated.replacedPolicyId).toBe(regularPolicy.id);
+
+    const audit = await prisma.pricingPolicyAudit.findFirst({
+      where: {
+        policyId: campaignPolicy.id,
+        changeType: 'SCHEDULED_ACTIVATION',
+      },
+    });
+    expect(audit.changes.replacedPolicyId).toBe(regularPolicy.id);
+  });
+
+  it('should revert to the replaced version once effectiveUntil passes', async () => {
+    const result = await pricingPolicyScheduleService.applySchedules(
+      hoursFromNow(3)
+    );
+
+    expect(result.expired).toContain(campaignPolicy.id);
+    expect(result.reverted).toContain(regularPolicy.id);
+    expect(await resolvedPolicyId()).toBe(regularPolicy.id);
+
+    const audits = await prisma.pricingPolicyAudit.findMany({
+      where: { policyId: regularPolicy.id, changeType: 'SCHEDULED_ACTIVATION' },
+    });
+    expect(audits).toHaveLength(1);
+    expect(audits[0].changes.expiredPolicyId).toBe(campaignPolicy.id);
+  });
+
+  it('should cancel a scheduled version', async () => {
+    const scheduled = await createPolicy({
+      name: 'Cancelled Campaign',
+      sellFormula: { sellPercentage: 1.05 },
+      effectiveFrom: hoursFromNow(24).toISOString(),
+    });
+
+    const response = await request(app)
+      .delete(`/api/v1/admin/pricing/SELLER/scheduled/${scheduled.id}`)
+      .set('Authorization', authHeader)
+      .expect(200);
+    expect(response.body.data.scheduleStatus).toBe('CANCELLED');
+
+    const result = await pricingPolicyScheduleService.applySchedules(
+      hoursFromNow(25)
+    );
+    expect(result.activated).not.toContain(scheduled.id);
+  });
+
+  it('should reject a window that ends before it starts', async () => {
+    await createPolicy(
+      {
+        name: 'Backwards Campaign',
+        sellFormula: { sellPercentage: 1.05 },
+        effectiveFrom: hoursFromNow(5).toISOString(),
+        effectiveUntil: hoursFromNow(4).toISOString(),
+      },
+      400
+    );
+  });
+});
@@ -0,0 +1,260 @@
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import pricingService from '../../src/services/pricingService.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+const authHeader = getTestAuthHeader();
+
+const conditionCurve = {
+  MINT: 1.1,
+  NM: 1.0,
+  VG_PLUS: 0.85,
+  VG: 0.6,
+  VG_MINUS: 0.45,
+  G: 0.3,
+};
+
+describe('Pricing Policy Simulation Integration Tests', () => {
+  const suffix = Date.now();
+  let testRelease;
+  let labelRelease;
+  let labelLot;
+  let labelPolicyId;
+  let submission;
+  let cheapLot;
+  let ceilingLot;
+  let pendingItem;
+
+  beforeAll(async () => {
+    testRelease = await prisma.release.create({
+      data: {
+        title: 'Simulated Album',
+        artist: 'Simulation Artist',
+        releaseYear: 1979,
+        barcode: `SIMULATE-${suffix}`,
+      },
+    });
+
+    await prisma.marketSnapshot.create({
+      data: {
+        releaseId: testRelease.id,
+        source: 'DISCOGS',
+        statLow: 30,
+        statMedian: 40,
+        statHigh: 50,
+        fetchedAt: new Date(),
+      },
+    });
+
+    const lotData = {
+      releaseId: testRelease.id,
+      status: 'LIVE',
+      conditionMedia: 'NM',
+      conditionSleeve: 'NM',
+    };
+    cheapLot = await prisma.inventoryLot.create({
+      data: { ...lotData, costBasis: 20, listPrice: 30 },
+    });
+    ceilingLot = await prisma.inventoryLot.create({
+      data: { ...lotData, costBasis: 90, listPrice: 120 },
+    });
+
+    labelRelease = await prisma.release.create({
+      data: {
+        title: 'Label Priced Album',
+        artist: 'Simulation Artist',
+        label: `Simulated Label ${suffix}`,
+        releaseYear: 1980,
+        barcode: `SIMULATE-LABEL-${suffix}`,
+      },
+    });
+    labelLot = await prisma.inventoryLot.create({
+      data: {
+        ...lotData,
+        releaseId: labelRelease.id,
+        costBasis: 20,
+        listPrice: 35,
+      },
+    });
+
+    submission = await prisma.sellerSubmission.create({
+      data: {
+        sellerContact: `simulate-${suffix}@test.com`,
+        status: 'PENDING_REVIEW',
+        expiresAt: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
+      },
+    });
+    pendingItem = await prisma.submissionItem.create({
+      data: {
+        submissionId: submission.id,
+        releaseId: testRelease.id,
+        quantity: 2,
+        sellerConditionMedia: 'NM',
+        sellerConditionSleeve: 'NM',
+        autoOfferPrice: 30,
+        status: 'PENDING',
+      },
+    });
+  });
+
+  afterAll(async () => {
+    try {
+      await prisma.submissionItem.deleteMany({
+        where: { submissionId: submission.id },
+      });
+      await prisma.sellerSubmission.deleteMany({
+        where: { id: submission.id },
+      });
+      await prisma.inventoryLot.deleteMany({
+        where: { releaseId: { in: [testRelease.id, labelRelease.id] } },
+      });
+      if (labelPolicyId) {
+        await prisma.pricingPolicy.deleteMany({ where: { id: labelPolicyId } });
+        pricingService.clearPolicyCache();
+      }
+      await prisma.release.deleteMany({
+        where: { id: { in: [testRelease.id, labelRelease.id] } },
+      });
+    } finally {
+      await prisma.$disconnect();
+    }
+  });
+
+  it('should reprice LIVE lots with a draft sell formula', async () => {
+    const response = await request(app)
+      .post('/api/v1/admin/pricing/SELLER/simulate')
+      .set('Authorization', authHeader)
+      .send({
+        sellFormula: {
+          sellPercentage: 1.5,
+          minProfitMargin: 0.3,
+          sellFloor: 10,
+          sellCeiling: 100,
+        },
+        conditionCurve,
+        limit: 2000,
+      })
+      .expect(200);
+
+    const { data } = response.body;
+    expect(data.target).toBe('INVENTORY_LOTS');
+
+    const cheap = data.items.find((item) => item.id === cheapLot.id);
+    expect(cheap).toMatchObject({
+      oldPrice: 30,
+      newPrice: 60,
+      change: 30,
+      oldMargin: 50,
+      newMargin: 200,
+      marginViolation: false,
+      ceilingApplied: false,
+    });
+
+    // The margin floor lifts it to 117, then the ceiling caps it at 100
+    const capped = data.items.find((item) => item.id === ceilingLot.id);
+    expect(capped).toMatchObject({
+      newPrice: 100,
+      ceilingApplied: true,
+      marginViolation: true,
+    });
+
+    expect(data.summary.ceilingHits).toBeGreaterThanOrEqual(1);
+    expect(data.summary.marginViolations).toBeGreaterThanOrEqual(1);
+    expect(data.summary.minProfitMargin).toBe(0.3);
+  });
+
+  it('should re-quote pending submission items per unit with a draft buy formula', async () => {
+    const response = await request(app)
+      .post('/api/v1/admin/pricing/BUYER/simulate')
+      .set('Authorization', authHeader)
+      .send({
+        buyFormula: { buyPercentage: 0.5, buyFloor: 5, buyCeiling: 500 },
+        conditionCurve,
+        limit: 2000,
+      })
+      .expect(200);
+
+    const { data } = response.body;
+    expect(data.target).toBe('SUBMISSION_ITEMS');
+
+    const item = data.items.find((row) => row.id === pendingItem.id);
+    expect(item).toMatchObject({
+      quantity: 2,
+      oldPrice: 15,
+      newPrice: 20,
+      change: 5,
+    });
+    expect(item.resalePrice).toBeGreaterThan(0);
+  });
+
+  it('should leave lots priced by a scoped policy unaffected', async () => {
+    const policy = await request(app)
+      .post('/api/v1/admin/pricing/scoped')
+      .set('Authorization', authHeader)
+      .send({
+        type: 'SELLER',
+        scope: 'LABEL',
+        name: `Simulated Label Policy ${suffix}`,
+        scopeValue: labelRelease.label,
+        sellFormula: { sellPercentage: 1.2 },
+      })
+      .expect(201);
+    labelPolicyId = policy.body.data.id;
+
+    const response = await request(app)
+      .post('/api/v1/admin/pricing/SELLER/simulate')
+      .set('Authorization', authHeader)
+      .send({
+        sellFormula: { sellPercentage: 1.5 },
+        conditionCurve,
+        limit: 2000,
+      })
+      .expect(200);
+
+    const { data } = response.body;
+    const row = data.items.find((item) => item.id === labelLot.id);
+    expect(row).toMatchObject({
+      unaffected: true,
+      oldPrice: 35,
+      newPrice: 35,
+      change: 0,
+    });
+    expect(row.pricedBy).toMatchObject({
+      policyId: labelPolicyId,
+      matchedBy: 'LABEL',
+    });
+    expect(data.summary.unaffected).toBeGreaterThanOrEqual(1);
+
+    const cheap = data.items.find((item) => item.id === cheapLot.id);
+    expect(cheap.unaffected).toBeUndefined();
+  });
+
+  it('should not save the draft', async () => {
+    const before = await prisma.pricingPolicy.count();
+
+    await request(app)
+      .post('/api/v1/admin/pricing/SELLER/simulate')
+      .set('Authorization', authHeader)
+      .send({ sellFormula: { sellPercentage: 2 }, conditionCurve })
+      .expect(200);
+
+    expect(await prisma.pricingPolicy.count()).toBe(before);
+  });
+
+  it('should require the formula being simulated', async () => {
+    await request(app)
+      .post('/api/v1/admin/pricing/BUYER/simulate')
+      .set('Authorization', authHeader)
+      .send({ sellFormula: { sellPercentage: 1.5 } })
+      .expect(400);
+  });
+
+  it('should require the admin role', async () => {
+    await request(app)
+      .post('/api/v1/admin/pricing/SELLER/simulate')
+      .set('Authorization', getTestAuthHeader({ role: 'SELLER' }))
+      .send({ sellFormula: { sellPercentage: 1.5 } })
+      .expect(403);
+  });
+});
@@ -0,0 +1,265 @@
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import promotionService from '../../src/services/promotionService.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+const authHeader = getTestAuthHeader();
+
+describe('Promotions Integration Tests', () => {
+  const suffix = Date.now();
+  const jazzCode = `JAZZ20-${suffix}`;
+  const shipCode = `SHIPFREE-${suffix}`;
+  const onceCode = `ONCE-${suffix}`;
+  let testRelease;
+  let testInventoryLot;
+  let cartId;
+  let jazzPromotionId;
+
+  beforeAll(async () => {
+    testRelease = await prisma.release.create({
+      data: {
+        title: 'Promo Album',
+        artist: 'Promo Artist',
+        genre: 'Jazz',
+        label: 'Blue Note',
+        releaseYear: 1964,
+        barcode: `PROMO-${suffix}`,
+      },
+    });
+
+    testInventoryLot = await prisma.inventoryLot.create({
+      data: {
+        releaseId: testRelease.id,
+        status: 'LIVE',
+        conditionMedia: 'NM',
+        conditionSleeve: 'VG_PLUS',
+        costBasis: 10,
+        listPrice: 40,
+      },
+    });
+
+    const cartResponse = await request(app)
+      .get('/api/v1/checkout/cart')
+      .set('Authorization', authHeader)
+      .query({ buyerEmail: `promo-buyer-${suffix}@test.com` });
+    cartId = cartResponse.body.data.id;
+
+    await request(app)
+      .post('/api/v1/checkout/cart/items')
+      .set('Authorization', authHeader)
+      .send({ orderId: cartId, inventoryLotId: testInventoryLot.id });
+  });
+
+  afterAll(async () => {
+    try {
+      await prisma.orderItem.deleteMany({
+        where: { inventoryLotId: testInventoryLot.id },
+      });
+      await prisma.order.deleteMany({ where: { id: cartId } });
+      await prisma.order.deleteMany({
+        where: { orderNumber: { startsWith: `PROMO-${suffix}-` } },
+      });
+      await prisma.inventoryLot.deleteMany({
+        where: { releaseId: testRelease.id },
+      });
+      await prisma.release.deleteMany({ where: { id: testRelease.id } });
+      await prisma.promotion.deleteMany({
+        where: { code: { in: [jazzCode, shipCode, onceCode] } },
+      });
+    } catch (error) {
+      console.error('Error in promotions test cleanup:', error);
+    }
+
+    await prisma.$disconnect();
+  });
+
+  describe('Admin promotions', () => {
+    it('should create a genre-scoped percent promotion', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/promotions')
+        .set('Authorization', authHeader)
+        .send({
+          code: jazzCode.toLowerCase(),
+          type: 'PERCENT_OFF',
+          value: 20,
+          genres: ['Jazz'],
+          minSubtotal: 25,
+        })
+        .expect(201);
+
+      jazzPromotionId = response.body.data.id;
+      expect(response.body.data.code).toBe(jazzCode);
+      expect(response.body.data.redemptionCount).toBe(0);
+    });
+
+    it('should reject duplicate codes', async () => {
+      await request(app)
+        .post('/api/v1/admin/promotions')
+        .set('Authorization', authHeader)
+        .send({ code: jazzCode, type: 'FIXED_OFF', value: 5 })
+        .expect(409);
+    });
+
+    it('should forbid non-admins', async () => {
+      await request(app)
+        .get('/api/v1/admin/promotions')
+        .set('Authorization', getTestAuthHeader({ role: 'BUYER' }))
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/v1/checkout/cart/promo', () => {
+    it('should 404 for unknown codes', async () => {
+      await request(app)
+        .post('/api/v1/checkout/cart/promo')
+        .set('Authorization', authHeader)
+        .send({ orderId: cartId, code: 'NOPE-NOT-REAL' })
+        .expect(404);
+    });
+
+    it('should apply the discount to the cart total', async () => {
+      const response = await request(app)
+        .post('/api/v1/checkout/cart/promo')
+        .set('Authorization', authHeader)
+        .send({ orderId: cartId, code: jazzCode })
+        .expect(200);
+
+      expect(response.body.data.discount).toBe(8);
+      expect(response.body.data.total).toBe(37.99); // 40 - 8 + 5.99
+      expect(response.body.data.discountBreakdown).toMatchObject({
+        code: jazzCode,
+        applied: true,
+        itemDiscount: 8,
+      });
+      expect(response.body.data.items[0].discountAmount).toBe(8);
+    });
+
+    it('should show the discount in the cart summary', async () => {
+      const response = await request(app)
+        .get('/api/v1/checkout/cart/summary')
+        .set('Authorization', authHeader)
+        .query({ orderId: cartId })
+        .expect(200);
+
+      expect(response.body.data.discount).toBe(8);
+      expect(response.body.data.discountBreakdown.code).toBe(jazzCode);
+    });
+
+    it('should drop the discount when the code is deactivated', async () => {
+      await request(app)
+        .delete(`/api/v1/admin/promotions/${jazzPromotionId}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/v1/checkout/cart/recalculate')
+        .set('Authorization', authHeader)
+        .send({ orderId: cartId })
+        .expect(200);
+
+      expect(response.body.data.discount).toBe(0);
+      expect(response.body.data.discountBreakdown.applied).toBe(false);
+      expect(response.body.data.discountBreakdown.reason).toMatch(
+        /no longer active/
+      );
+    });
+
+    it('should replace the code and waive shipping', async () => {
+      await request(app)
+        .post('/api/v1/admin/promotions')
+        .set('Authorization', authHeader)
+        .send({ code: shipCode, type: 'FREE_SHIPPING' })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/v1/checkout/cart/promo')
+        .set('Authorization', authHeader)
+        .send({ orderId: cartId, code: shipCode, shippingMethod: 'EXPRESS' })
+        .expect(200);
+
+      expect(response.body.data.shipping).toBe(14.99);
+      expect(response.body.data.discount).toBe(14.99);
+      expect(response.body.data.total).toBe(40);
+    });
+
+    it('should remove the code', async () => {
+      const response = await request(app)
+        .delete('/api/v1/checkout/cart/promo')
+        .set('Authorization', authHeader)
+        .send({ orderId: cartId })
+        .expect(200);
+
+      expect(response.body.data.promotionId).toBeNull();
+      expect(response.body.data.discount).toBe(0);
+      expect(response.body.data.discountBreakdown).toBeNull();
+    });
+  });
+
+  describe('Usage limits at checkout', () => {
+    const pendingOrder = (promotionId, n) =>
+      prisma.order.create({
+        data: {
+          orderNumber: `PROMO-${suffix}-${n}`,
+          buyerEmail: `promo-once-${n}-${suffix}@test.com`,
+          status: 'PAYMENT_PENDING',
+          subtotal: 40,
+          discount: 5,
+          total: 35,
+          promotionId,
+          discountBreakdown: { applied: true, totalDiscount: 5 },
+        },
+      });
+
+    it('should let only one of two concurrent checkouts take the last use', async () => {
+      const promotion = await promotionService.createPromotion({
+        code: onceCode,
+        type: 'FIXED_OFF',
+        value: 5,
+        maxRedemptions: 1,
+      });
+      const orders = await Promise.all([
+        pendingOrder(promotion.id, 1),
+        pendingOrder(promotion.id, 2),
+      ]);
+
+      const reasons = await Promise.all(
+        orders.map((order) => promotionService.claimRedemption(order))
+      );
+
+      expect(reasons.filter((reason) => reason === null)).toHaveLength(1);
+      expect(reasons).toContain('This promo code has reached its usage limit');
+      expect(
+        await prisma.promotionRedemption.count({
+          where: { promotionId: promotion.id },
+        })
+      ).toBe(1);
+    });
+
+    it('should give the use back when the checkout fails', async () => {
+      const promotion = await promotionService.findByCode(onceCode);
+      const claimed = await prisma.promotionRedemption.findFirst({
+        where: { promotionId: promotion.id },
+      });
+      await prisma.order.update({
+        where: { id: claimed.orderId },
+        data: { status: 'PAYMENT_FAILED' },
+      });
+
+      const order = await pendingOrder(promotion.id, 3);
+      expect(await promotionService.claimRedemption(order)).toBeNull();
+    });
+  });
+
+  describe('GET /api/v1/admin/promotions/report', () => {
+    it('should return a redemption report', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/promotions/report')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.promotions).toBeInstanceOf(Array);
+      expect(response.body.data.totals).toHaveProperty('totalDiscount');
+    });
+  });
+});
@@ -0,0 +1,304 @@
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import paymentService from '../../src/services/paymentService.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+const authHeader = getTestAuthHeader();
+
+describe('Order Refunds Integration Tests', () => {
+  let testRelease;
+  let lots = [];
+
+  // Completed checkouts took the units off their lots; without `sold` the
+  // units are still reserved for the order
+  const createPaidOrder = async (
+    status,
+    lotIds,
+    paymentIntentId,
+    { sold = true } = {}
+  ) => {
+    const order = await prisma.order.create({
+      data: {
+        orderNumber: `REFUND-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+        buyerEmail: `refund-${Date.now()}@test.com`,
+        status,
+        subtotal: 50,
+        tax: 4,
+        shipping: 6,
+        total: 60,
+        stripePaymentIntentId: paymentIntentId,
+      },
+    });
+
+    const prices = [20, 30];
+    for (const [index, lotId] of lotIds.entries()) {
+      await prisma.orderItem.create({
+        data: {
+          orderId: order.id,
+          inventoryLotId: lotId,
+          priceAtPurchase: prices[index],
+          releaseTitle: testRelease.title,
+          releaseArtist: testRelease.artist,
+          conditionMedia: 'NM',
+          conditionSleeve: 'NM',
+          soldAt: sold ? new Date() : null,
+        },
+      });
+      await prisma.inventoryLot.update({
+        where: { id: lotId },
+        data: sold
+          ? {
+              status: 'SOLD',
+              quantity: 0,
+              orderId: order.id,
+              soldAt: new Date(),
+            }
+          : { status: 'RESERVED', reservedQuantity: 1, orderId: order.id },
+      });
+    }
+
+    return prisma.order.findUnique({
+      where: { id: order.id },
+      include: { items: true },
+    });
+  };
+
+  beforeAll(async () => {
+    testRelease = await prisma.release.create({
+      data: {
+        title: 'Refund Album',
+        artist: 'Refund Artist',
+        genre: 'Rock',
+        releaseYear: 1979,
+        barcode: `REFUND-${Date.now()}`,
+      },
+    });
+
+    for (let i = 0; i < 4; i++) {
+      lots.push(
+        await prisma.inventoryLot.create({
+          data: {
+            releaseId: testRelease.id,
+            status: 'LIVE',
+            conditionMedia: 'NM',
+            conditionSleeve: 'NM',
+            costBasis: 10,
+            listPrice: 25,
+          },
+        })
+      );
+    }
+  });
+
+  afterAll(async () => {
+    try {
+      await prisma.order.deleteMany({
+        where: { buyerEmail: { contains: 'refund-' } },
+      });
+      await prisma.inventoryLot.deleteMany({
+        where: { releaseId: testRelease.id },
+      });
+      await prisma.release.deleteMany({ where: { id: testRelease.id } });
+    } catch (error) {
+      console.error('Error in refund test cleanup:', error);
+    }
+
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/v1/checkout/orders/:orderId/refunds', () => {
+    let order;
+    let wishlistItem;
+
+    beforeAll(async () => {
+      order = await createPaidOrder(
+        'PAYMENT_CONFIRMED',
+        [lots[0].id, lots[1].id],
+        `pi_test_refund_${Date.now()}`
+      );
+      // A buyer watching another copy of the release for back-in-stock alerts
+      wishlistItem = await prisma.wishlistItem.create({
+        data: {
+          sessionId: `refund-wishlist-${Date.now()}`,
+          notifyEmail: 'refund-wishlist@test.com',
+          inventoryLotId: lots[3].id,
+          releaseId: testRelease.id,
+          priceAtAdd: 25,
+        },
+      });
+    });
+
+    it('should partially refund a single order item', async () => {
+      const response = await request(app)
+        .post(`/api/v1/checkout/orders/${order.id}/refunds`)
+        .set('Authorization', authHeader)
+        .send({ orderItemIds: [order.items[0].id], reason: 'Damaged' })
+        .expect(201);
+
+      expect(response.body.data.amount).toBe(21.6);
+      expect(response.body.data.isFullRefund).toBe(false);
+      expect(response.body.data.orderStatus).toBe('PAYMENT_CONFIRMED');
+
+      const lot = await prisma.inventoryLot.findUnique({
+        where: { id: order.items[0].inventoryLotId },
+      });
+      expect(lot.status).toBe('LIVE');
+      expect(lot.orderId).toBeNull();
+    });
+
+    it('should alert wishlists when a refund puts a lot back on sale', async () => {
+      const alerted = await prisma.wishlistItem.findUnique({
+        where: { id: wishlistItem.id },
+      });
+      expect(alerted.lastAlertedAt).not.toBeNull();
+    });
+
+    it('should reject refunding the same item twice', async () => {
+      await request(app)
+        .post(`/api/v1/checkout/orders/${order.id}/refunds`)
+        .set('Authorization', authHeader)
+        .send({ orderItemIds: [order.items[0].id] })
+        .expect(409);
+    });
+
+    it('should refund the remaining balance and mark the order REFUNDED', async () => {
+      const response = await request(app)
+        .post(`/api/v1/checkout/orders/${order.id}/refunds`)
+        .set('Authorization', authHeader)
+        .send({})
+        .expect(201);
+
+      expect(response.body.data.amount).toBe(38.4);
+      expect(response.body.data.isFullRefund).toBe(true);
+      expect(response.body.data.totalRefunded).toBe(60);
+
+      const updated = await prisma.order.findUnique({
+        where: { id: order.id },
+        include: { audits: true },
+      });
+      expect(updated.status).toBe('REFUNDED');
+      expect(updated.audits.some((a) => a.toStatus === 'REFUNDED')).toBe(true);
+    });
+
+    it('should list refunds for the order', async () => {
+      const response = await request(app)
+        .get(`/api/v1/checkout/orders/${order.id}/refunds`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.refunds).toHaveLength(2);
+      expect(response.body.data.totalRefunded).toBe(60);
+    });
+
+    it('should require admin role', async () => {
+      await request(app)
+        .post(`/api/v1/checkout/orders/${order.id}/refunds`)
+        .set('Authorization', getTestAuthHeader({ role: 'BUYER' }))
+        .send({})
+        .expect(403);
+    });
+  });
+
+  describe('charge.refunded webhook', () => {
+    it('should record a dashboard refund and mark shipped lots RETURNED', async () => {
+      const paymentIntentId = `pi_test_webhook_${Date.now()}`;
+      const order = await createPaidOrder(
+        'SHIPPED',
+        [lots[2].id, lots[3].id],
+        paymentIntentId
+      );
+
+      const charge = {
+        id: 'ch_test_refund',
+        payment_intent: paymentIntentId,
+        refunded: true,
+        amount_refunded: 6000,
+        refunds: {
+          data: [
+            {
+              id: `re_dashboard_${Date.now()}`,
+              amount: 6000,
+              status: 'succeeded',
+            },
+          ],
+        },
+      };
+
+      const result = await paymentService.handleChargeRefunded(charge);
+
+      expect(result.status).toBe('REFUNDED');
+      expect(result.recorded).toBe(1);
+
+      const returnedLots = await prisma.inventoryLot.findMany({
+        where: { id: { in: [lots[2].id, lots[3].id] } },
+      });
+      returnedLots.forEach((lot) => expect(lot.status).toBe('RETURNED'));
+
+      // Redelivered webhook is a no-op
+      const replay = await paymentService.handleChargeRefunded(charge);
+      expect(replay.recorded).toBe(0);
+
+      const refunds = await paymentService.getRefunds(order.id);
+      expect(refunds.refunds).toHaveLength(1);
+    });
+  });
+
+  describe('Restocking refunded items', () => {
+    let lot;
+
+    beforeEach(async () => {
+      lot = await prisma.inventoryLot.create({
+        data: {
+          releaseId: testRelease.id,
+          status: 'LIVE',
+          conditionMedia: 'NM',
+          conditionSleeve: 'NM',
+          costBasis: 10,
+          listPrice: 25,
+        },
+      });
+    });
+
+    it('should release the reservation of units checkout never sold', async () => {
+      const order = await createPaidOrder(
+        'PAYMENT_CONFIRMED',
+        [lot.id],
+        `pi_test_unsold_${Date.now()}`,
+        { sold: false }
+      );
+
+      await prisma.$transaction((tx) =>
+        paymentService._refundOrderItems(tx, order, order.items, null)
+      );
+
+      const restocked = await prisma.inventoryLot.findUnique({
+        where: { id: lot.id },
+      });
+      expect(restocked).toMatchObject({
+        status: 'LIVE',
+        quantity: 1,
+        reservedQuantity: 0,
+        orderId: null,
+      });
+    });
+
+    it('should restock items only once when two refunds race', async () => {
+      const order = await createPaidOrder('PAYMENT_CONFIRMED', [lot.id], null);
+
+      const relisted = await prisma.$transaction((tx) =>
+        paymentService._refundOrderItems(tx, order, order.items, null)
+      );
+      const again = await prisma.$transaction((tx) =>
+        paymentService._refundOrderItems(tx, order, order.items, null)
+      );
+
+      expect(relisted).toEqual([lot.id]);
+      expect(again).toEqual([]);
+      const restocked = await prisma.inventoryLot.findUnique({
+        where: { id: lot.id },
+      });
+      expect(restocked).toMatchObject({ status: 'LIVE', quantity: 1 });
+    });
+  });
+});
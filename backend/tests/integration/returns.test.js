@@ -0,0 +1,246 @@
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+// Test token email is test@example.com; orders are placed with it so the
+// authenticated buyer owns them
+const authHeader = getTestAuthHeader();
+const buyerEmail = 'test@example.com';
+
+describe('Returns (RMA) Integration Tests', () => {
+  let testRelease;
+  let order;
+  const lots = [];
+
+  beforeAll(async () => {
+    testRelease = await prisma.release.create({
+      data: {
+        title: 'Return Album',
+        artist: 'Return Artist',
+        genre: 'Rock',
+        releaseYear: 1975,
+        barcode: `RETURN-${Date.now()}`,
+      },
+    });
+
+    for (let i = 0; i < 2; i++) {
+      lots.push(
+        await prisma.inventoryLot.create({
+          data: {
+            releaseId: testRelease.id,
+            status: 'SOLD',
+            quantity: 0,
+            conditionMedia: 'NM',
+            conditionSleeve: 'NM',
+            costBasis: 10,
+            listPrice: 25,
+          },
+        })
+      );
+    }
+
+    order = await prisma.order.create({
+      data: {
+        orderNumber: `RETURN-${Date.now()}`,
+        buyerEmail,
+        status: 'DELIVERED',
+        subtotal: 50,
+        tax: 4,
+        shipping: 6,
+        total: 60,
+        stripePaymentIntentId: `pi_test_return_${Date.now()}`,
+        shippingAddress: { state: 'NY', zip: '10001' },
+        shippedAt: new Date(),
+        deliveredAt: new Date(),
+      },
+    });
+
+    const prices = [20, 30];
+    for (const [index, lot] of lots.entries()) {
+      await prisma.orderItem.create({
+        data: {
+          orderId: order.id,
+          inventoryLotId: lot.id,
+          priceAtPurchase: prices[index],
+          releaseTitle: testRelease.title,
+          releaseArtist: testRelease.artist,
+          conditionMedia: 'NM',
+          conditionSleeve: 'NM',
+        },
+      });
+    }
+
+    order = await prisma.order.findUnique({
+      where: { id: order.id },
+      include: { items: true },
+    });
+  });
+
+  afterAll(async () => {
+    try {
+      await prisma.order.deleteMany({
+        where: { orderNumber: { startsWith: 'RETURN-' } },
+      });
+      await prisma.inventoryLot.deleteMany({
+        where: { releaseId: testRelease.id },
+      });
+      await prisma.release.deleteMany({ where: { id: testRelease.id } });
+    } catch (error) {
+      console.error('Error in returns test cleanup:', error);
+    }
+
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/v1/returns', () => {
+    it('should reject an invalid reason', async () => {
+      await request(app)
+        .post('/api/v1/returns')
+        .set('Authorization', authHeader)
+        .send({ orderNumber: order.orderNumber, reason: 'BORED' })
+        .expect(400);
+    });
+
+    it('should not reveal orders placed with another email', async () => {
+      await request(app)
+        .post('/api/v1/returns')
+        .set('Authorization', getTestAuthHeader({ email: 'other@test.com' }))
+        .send({ orderNumber: order.orderNumber, reason: 'DEFECTIVE' })
+        .expect(404);
+    });
+  });
+
+  describe('Return lifecycle', () => {
+    let returnId;
+    let returnItems;
+
+    it('should open a return with an RMA number', async () => {
+      const response = await request(app)
+        .post('/api/v1/returns')
+        .set('Authorization', authHeader)
+        .send({
+          orderNumber: order.orderNumber,
+          reason: 'NOT_AS_DESCRIBED',
+          reasonDetails: 'Sleeve has a seam split',
+          photoUrls: ['https://example.com/split.jpg'],
+        })
+        .expect(201);
+
+      expect(response.body.data.rmaNumber).toMatch(/^RMA-\d{8}-\d{4}$/);
+      expect(response.body.data.status).toBe('REQUESTED');
+      expect(response.body.data.items).toHaveLength(2);
+
+      returnId = response.body.data.id;
+      returnItems = response.body.data.items;
+    });
+
+    it('should not open a second return for the same items', async () => {
+      await request(app)
+        .post('/api/v1/returns')
+        .set('Authorization', authHeader)
+        .send({ orderNumber: order.orderNumber, reason: 'DEFECTIVE' })
+        .expect(400);
+    });
+
+    it('should list the buyer returns', async () => {
+      const response = await request(app)
+        .get('/api/v1/returns')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.map((r) => r.id)).toContain(returnId);
+    });
+
+    it('should forbid buyers from approving returns', async () => {
+      await request(app)
+        .post(`/api/v1/admin/returns/${returnId}/approve`)
+        .set('Authorization', getTestAuthHeader({ role: 'BUYER' }))
+        .expect(403);
+    });
+
+    it('should approve and issue a return label', async () => {
+      const response = await request(app)
+        .post(`/api/v1/admin/returns/${returnId}/approve`)
+        .set('Authorization', authHeader)
+        .send({ notes: 'Please pack the record in its original mailer' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('APPROVED');
+      expect(response.body.data.labelUrl).toContain(
+        response.body.data.rmaNumber
+      );
+      expect(response.body.data.trackingNumber).toBeTruthy();
+    });
+
+    it('should not deny an approved return', async () => {
+      await request(app)
+        .post(`/api/v1/admin/returns/${returnId}/deny`)
+        .set('Authorization', authHeader)
+        .send({ notes: 'Too late' })
+        .expect(409);
+    });
+
+    it('should require a grade for every returned item', async () => {
+      await request(app)
+        .post(`/api/v1/admin/returns/${returnId}/receive`)
+        .set('Authorization', authHeader)
+        .send({
+          items: [
+            {
+              returnItemId: returnItems[0].id,
+              conditionMedia: 'VG',
+              conditionSleeve: 'G',
+              disposition: 'RELIST',
+            },
+          ],
+        })
+        .expect(400);
+    });
+
+    it('should re-grade, refund and relist or write off on receipt', async () => {
+      const response = await request(app)
+        .post(`/api/v1/admin/returns/${returnId}/receive`)
+        .set('Authorization', authHeader)
+        .send({
+          items: [
+            {
+              returnItemId: returnItems[0].id,
+              conditionMedia: 'VG',
+              conditionSleeve: 'G',
+              disposition: 'RELIST',
+            },
+            {
+              returnItemId: returnItems[1].id,
+              conditionMedia: 'POOR',
+              conditionSleeve: 'POOR',
+              disposition: 'WRITE_OFF',
+            },
+          ],
+        })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('COMPLETED');
+      expect(response.body.data.refund.isFullRefund).toBe(true);
+      expect(response.body.data.refundId).toBe(response.body.data.refund.id);
+
+      const relisted = await prisma.inventoryLot.findUnique({
+        where: { id: returnItems[0].inventoryLotId },
+      });
+      expect(relisted.status).toBe('LIVE');
+      expect(relisted.conditionMedia).toBe('VG');
+      expect(relisted.conditionSleeve).toBe('G');
+      expect(relisted.orderId).toBeNull();
+
+      const writtenOff = await prisma.inventoryLot.findUnique({
+        where: { id: returnItems[1].inventoryLotId },
+      });
+      expect(writtenOff.status).toBe('REMOVED');
+
+      const updatedOrder = await prisma.order.findUnique({
+        where: { id: order.id },
+      });
+      expect(updatedOrder.status).toBe('REFUNDED');
+    });
+  });
+});
@@ -0,0 +1,202 @@
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import pricingService from '../../src/services/pricingService.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+const authHeader = getTestAuthHeader();
+
+describe('Scoped Pricing Policy Integration Tests', () => {
+  const suffix = Date.now();
+  const genre = `Scoped Jazz ${suffix}`;
+  const label = `Scoped Label ${suffix}`;
+  const createdPolicyIds = [];
+  let testRelease;
+
+  const createPolicy = async (body) => {
+    const response = await request(app)
+      .post('/api/v1/admin/pricing/scoped')
+      .set('Authorization', authHeader)
+      .send({ type: 'SELLER', sellFormula: { sellPercentage: 1.5 }, ...body })
+      .expect(201);
+    createdPolicyIds.push(response.body.data.id);
+    return response.body.data;
+  };
+
+  const resolve = async (query) => {
+    const response = await request(app)
+      .get('/api/v1/admin/pricing/resolve')
+      .query({ type: 'SELLER', ...query })
+      .set('Authorization', authHeader)
+      .expect(200);
+    return response.body.data.resolution;
+  };
+
+  beforeAll(async () => {
+    testRelease = await prisma.release.create({
+      data: {
+        title: 'Scoped Album',
+        artist: 'Scoped Artist',
+        label,
+        genre,
+        releaseYear: 1959,
+        barcode: `SCOPED-${suffix}`,
+      },
+    });
+
+    await prisma.marketSnapshot.create({
+      data: {
+        releaseId: testRelease.id,
+        source: 'DISCOGS',
+        statLow: 30,
+        statMedian: 40,
+        statHigh: 50,
+        fetchedAt: new Date(),
+      },
+    });
+  });
+
+  afterAll(async () => {
+    try {
+      await prisma.releasePricingPolicy.deleteMany({
+        where: { policyId: { in: createdPolicyIds } },
+      });
+      await prisma.pricingPolicy.deleteMany({
+        where: { id: { in: createdPolicyIds } },
+      });
+      await prisma.marketSnapshot.deleteMany({
+        where: { releaseId: testRelease.id },
+      });
+      await prisma.release.deleteMany({ where: { id: testRelease.id } });
+      pricingService.clearPolicyCache();
+    } finally {
+      await prisma.$disconnect();
+    }
+  });
+
+  it('should apply a genre policy to releases in that genre', async () => {
+    const policy = await createPolicy({
+      scope: 'GENRE',
+      name: 'Jazz Markup',
+      scopeValue: genre,
+      sellFormula: { sellPercentage: 2, roundIncrement: 1 },
+    });
+
+    const resolution = await resolve({ releaseId: testRelease.id });
+    expect(resolution).toMatchObject({
+      policyId: policy.id,
+      matchedBy: 'GENRE',
+      matchedValue: genre,
+    });
+
+    const quote = await pricingService.calculateSellPrice({
+      releaseId: testRelease.id,
+      mediaCondition: 'NM',
+      sleeveCondition: 'NM',
+      costBasis: 20,
+      liveMarketData: false,
+    });
+    expect(quote.policyApplied).toMatchObject({
+      policyId: policy.id,
+      matchedBy: 'GENRE',
+    });
+  });
+
+  it('should prefer a label policy over a genre policy', async () => {
+    const policy = await createPolicy({
+      scope: 'LABEL',
+      name: 'Label Premium',
+      scopeValue: label.toUpperCase(),
+    });
+
+    const resolution = await resolve({ releaseId: testRelease.id });
+    expect(resolution).toMatchObject({
+      policyId: policy.id,
+      matchedBy: 'LABEL',
+    });
+  });
+
+  it('should prefer a release policy over label and genre policies', async () => {
+    const policy = await createPolicy({
+      scope: 'RELEASE',
+      name: 'Rare Pressing',
+      releaseIds: [testRelease.id],
+    });
+
+    const resolution = await resolve({ releaseId: testRelease.id });
+    expect(resolution).toMatchObject({
+      policyId: policy.id,
+      matchedBy: 'RELEASE',
+      matchedValue: testRelease.id,
+    });
+  });
+
+  it('should fall back to the next scope when a policy is deactivated', async () => {
+    const releasePolicyId = createdPolicyIds[2];
+
+    await request(app)
+      .delete(`/api/v1/admin/pricing/scoped/${releasePolicyId}`)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    const resolution = await resolve({ releaseId: testRelease.id });
+    expect(resolution.matchedBy).toBe('LABEL');
+  });
+
+  it('should reject a second active policy for the same scope value', async () => {
+    await request(app)
+      .post('/api/v1/admin/pricing/scoped')
+      .set('Authorization', authHeader)
+      .send({
+        type: 'SELLER',
+        scope: 'GENRE',
+        name: 'Duplicate',
+        scopeValue: genre.toLowerCase(),
+        sellFormula: { sellPercentage: 1.2 },
+      })
+      .expect(409);
+  });
+
+  it('should bump the version and audit updates', async () => {
+    const genrePolicyId = createdPolicyIds[0];
+
+    const response = await request(app)
+      .put(`/api/v1/admin/pricing/scoped/${genrePolicyId}`)
+      .set('Authorization', authHeader)
+      .send({ sellFormula: { sellPercentage: 1.8 } })
+      .expect(200);
+
+    expect(response.body.data.version).toBe(2);
+    expect(response.body.data.sellFormula.sellPercentage).toBe(1.8);
+
+    const audits = await prisma.pricingPolicyAudit.findMany({
+      where: { policyId: genrePolicyId },
+    });
+    expect(audits.map((audit) => audit.changeType).sort()).toEqual([
+      'CREATE',
+      'UPDATE',
+    ]);
+  });
+
+  it('should list scoped policies by scope', async () => {
+    const response = await request(app)
+      .get('/api/v1/admin/pricing/scoped')
+      .query({ type: 'SELLER', scope: 'LABEL' })
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    expect(response.body.data.map((policy) => policy.id)).toContain(
+      createdPolicyIds[1]
+    );
+    expect(response.body.data.every((policy) => policy.scope === 'LABEL')).toBe(
+      true
+    );
+  });
+
+  it('should require the admin role', async () => {
+    await request(app)
+      .get('/api/v1/admin/pricing/scoped')
+      .set('Authorization', getTestAuthHeader({ role: 'SELLER' }))
+      .expect(403);
+  });
+});
@@ -0,0 +1,214 @@
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+const authHeader = getTestAuthHeader();
+
+describe('Sellers Integration Tests', () => {
+  const suffix = Date.now();
+  const email = `repeat-seller-${suffix}@test.com`;
+  let sellerId;
+  let sellerUser;
+  const submissionIds = [];
+
+  beforeAll(async () => {
+    sellerUser = await prisma.adminUser.create({
+      data: {
+        email,
+        name: 'Repeat Seller',
+        role: 'SELLER',
+        passwordHash: 'not-a-real-hash',
+      },
+    });
+  });
+
+  afterAll(async () => {
+    try {
+      await prisma.sellerSubmission.deleteMany({
+        where: { id: { in: submissionIds } },
+      });
+      await prisma.seller.deleteMany({ where: { email } });
+      await prisma.adminUser.deleteMany({ where: { id: sellerUser.id } });
+    } finally {
+      await prisma.$disconnect();
+    }
+  });
+
+  describe('POST /api/v1/sellers/register', () => {
+    it('should create a seller record and a first submission', async () => {
+      const response = await request(app)
+        .post('/api/v1/sellers/register')
+        .send({ email, name: 'Repeat Seller', phone: '555-0100' })
+        .expect(201);
+
+      expect(response.body.data.id).toBe(response.body.data.submissionId);
+      expect(response.body.data.sellerId).toBeDefined();
+      expect(response.body.data.phone).toBe('555-0100');
+      expect(response.body.data.returningSeller).toBe(false);
+
+      sellerId = response.body.data.sellerId;
+      submissionIds.push(response.body.data.submissionId);
+    });
+
+    it('should reuse the seller record for a repeat seller', async () => {
+      const response = await request(app)
+        .post('/api/v1/sellers/register')
+        .send({
+          email: email.toUpperCase(),
+          name: 'Impostor',
+          phone: '555-0199',
+        })
+        .expect(201);
+
+      expect(response.body.data.sellerId).toBe(sellerId);
+      expect(response.body.data.returningSeller).toBe(true);
+      expect(response.body.data.submissionId).not.toBe(submissionIds[0]);
+      expect(response.body.data.phone).toBeNull();
+
+      submissionIds.push(response.body.data.submissionId);
+    });
+
+    it('should not change an existing seller from an anonymous registration', async () => {
+      const seller = await prisma.seller.findUnique({
+        where: { id: sellerId },
+      });
+      expect(seller.name).toBe('Repeat Seller');
+      expect(seller.phone).toBe('555-0100');
+    });
+
+    it('should not link the seller to a SELLER account by email', async () => {
+      const seller = await prisma.seller.findUnique({
+        where: { id: sellerId },
+      });
+      expect(seller.userId).toBeNull();
+
+      await request(app)
+        .get('/api/v1/sellers/me')
+        .set(
+          'Authorization',
+          getTestAuthHeader({ userId: sellerUser.id, email, role: 'SELLER' })
+        )
+        .expect(404);
+    });
+  });
+
+  describe('PUT /api/v1/sellers/:id/account', () => {
+    it('should not let a SELLER link themselves', async () => {
+      await request(app)
+        .put(`/api/v1/sellers/${sellerId}/account`)
+        .set(
+          'Authorization',
+          getTestAuthHeader({ userId: sellerUser.id, email, role: 'SELLER' })
+        )
+        .send({ userId: sellerUser.id })
+        .expect(403);
+    });
+
+    it('should reject a user that is not a SELLER account', async () => {
+      await request(app)
+        .put(`/api/v1/sellers/${sellerId}/account`)
+        .set('Authorization', authHeader)
+        .send({ userId: '11111111-1111-1111-1111-111111111111' })
+        .expect(400);
+    });
+
+    it('should let an admin link the seller to a SELLER account', async () => {
+      const response = await request(app)
+        .put(`/api/v1/sellers/${sellerId}/account`)
+        .set('Authorization', authHeader)
+        .send({ userId: sellerUser.id })
+        .expect(200);
+
+      expect(response.body.data.id).toBe(sellerId);
+
+      const seller = await prisma.seller.findUnique({
+        where: { id: sellerId },
+      });
+      expect(seller.userId).toBe(sellerUser.id);
+    });
+  });
+
+  describe('GET /api/v1/sellers/:id', () => {
+    it('should return submissions and lifetime stats', async () => {
+      const response = await request(app)
+        .get(`/api/v1/sellers/${sellerId}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.submissions).toHaveLength(2);
+      expect(response.body.data.stats).toEqual({
+        submissionCount: 2,
+        itemsSold: 0,
+        totalPaid: 0,
+        balanceOwed: 0,
+      });
+    });
+
+    it('should let the linked SELLER account read its own record', async () => {
+      const response = await request(app)
+        .get('/api/v1/sellers/me')
+        .set(
+          'Authorization',
+          getTestAuthHeader({ userId: sellerUser.id, email, role: 'SELLER' })
+        )
+        .expect(200);
+
+      expect(response.body.data.id).toBe(sellerId);
+    });
+
+    it("should not let a SELLER read someone else's record", async () => {
+      await request(app)
+        .get(`/api/v1/sellers/${sellerId}`)
+        .set(
+          'Authorization',
+          getTestAuthHeader({
+            userId: '11111111-1111-1111-1111-111111111111',
+            role: 'SELLER',
+          })
+        )
+        .expect(403);
+    });
+  });
+
+  describe('PUT /api/v1/sellers/:id', () => {
+    it('should store payout details', async () => {
+      const response = await request(app)
+        .put(`/api/v1/sellers/${sellerId}`)
+        .set('Authorization', authHeader)
+        .send({ payoutMethod: 'PAYPAL', payoutDetails: { email } })
+        .expect(200);
+
+      expect(response.body.data.payoutMethod).toBe('PAYPAL');
+      expect(response.body.data.payoutDetails).toEqual({ email });
+    });
+
+    it('should reject an unknown payout method', async () => {
+      await request(app)
+        .put(`/api/v1/sellers/${sellerId}`)
+        .set('Authorization', authHeader)
+        .send({ payoutMethod: 'BITCOIN' })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/v1/sellers', () => {
+    it('should find sellers by email', async () => {
+      const response = await request(app)
+        .get('/api/v1/sellers')
+        .set('Authorization', authHeader)
+        .query({ search: `repeat-seller-${suffix}` })
+        .expect(200);
+
+      expect(response.body.data.sellers).toHaveLength(1);
+      expect(response.body.data.sellers[0].stats.submissionCount).toBe(2);
+    });
+
+    it('should require the admin role', async () => {
+      await request(app)
+        .get('/api/v1/sellers')
+        .set('Authorization', getTestAuthHeader({ role: 'SELLER' }))
+        .expect(403);
+    });
+  });
+});
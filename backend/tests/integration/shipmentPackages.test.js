@@ -0,0 +1,261 @@
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import config from '../../config/config.js';
+import shippingService from '../../src/services/shippingService.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+// Uses the box catalogue seeded by the add_shipment_packages migration, and
+// posts unsigned carrier webhooks (as a local carrier would)
+const authHeader = getTestAuthHeader();
+
+describe('Shipment Packages Integration Tests', () => {
+  const suffix = Date.now();
+  let zone;
+  let testRelease;
+  let lot;
+  let order;
+  let shipment;
+  let allowedUnsigned;
+
+  beforeAll(async () => {
+    allowedUnsigned = config.shipping.allowUnsignedWebhooks;
+    config.shipping.allowUnsignedWebhooks = true;
+
+    zone = await prisma.shippingZone.create({
+      data: {
+        name: `Packages Iceland ${suffix}`,
+        countriesIncluded: ['IS'],
+        priority: 1,
+        isActive: true,
+      },
+    });
+    await prisma.shippingRate.create({
+      data: {
+        zoneId: zone.id,
+        shippingMethod: 'STANDARD',
+        carrier: 'USPS',
+        baseRate: '30',
+        perOzRate: '0',
+        minWeightOz: 1,
+        maxWeightOz: 400,
+        minDays: 7,
+        maxDays: 21,
+        isActive: true,
+        effectiveDate: new Date('2025-01-01'),
+      },
+    });
+
+    testRelease = await prisma.release.create({
+      data: {
+        title: 'Box Set',
+        artist: 'Packing Artist',
+        releaseYear: 1981,
+        barcode: `PACK-${suffix}`,
+      },
+    });
+
+    lot = await prisma.inventoryLot.create({
+      data: {
+        releaseId: testRelease.id,
+        status: 'SOLD',
+        conditionMedia: 'NM',
+        conditionSleeve: 'NM',
+        costBasis: 10,
+        listPrice: 20,
+        quantity: 20,
+      },
+    });
+
+    order = await prisma.order.create({
+      data: {
+        orderNumber: `PACK-${suffix}`,
+        buyerEmail: `pack-${suffix}@test.com`,
+        status: 'PAYMENT_CONFIRMED',
+        subtotal: 400,
+        tax: 0,
+        shipping: 60,
+        total: 460,
+        shippingAddress: {
+          line1: 'Laugavegur 1',
+          city: 'Reykjavik',
+          postalCode: '101',
+          country: 'IS',
+        },
+        items: {
+          create: [
+            {
+              inventoryLotId: lot.id,
+              priceAtPurchase: 20,
+              releaseTitle: 'Box Set',
+              releaseArtist: 'Packing Artist',
+              conditionMedia: 'NM',
+              conditionSleeve: 'NM',
+              quantity: 20,
+            },
+          ],
+        },
+      },
+    });
+  });
+
+  afterAll(async () => {
+    config.shipping.allowUnsignedWebhooks = allowedUnsigned;
+    try {
+      await prisma.shipment.deleteMany({ where: { orderId: order.id } });
+      await prisma.orderItem.deleteMany({ where: { orderId: order.id } });
+      await prisma.order.delete({ where: { id: order.id } });
+      await prisma.inventoryLot.delete({ where: { id: lot.id } });
+      await prisma.release.delete({ where: { id: testRelease.id } });
+      await prisma.shippingRate.deleteMany({ where: { zoneId: zone.id } });
+      await prisma.shippingZone.delete({ where: { id: zone.id } });
+      await prisma.shippingBox.deleteMany({
+        where: { name: { contains: `${suffix}` } },
+      });
+    } catch (error) {
+      console.error('Cleanup error:', error.message);
+    }
+    await prisma.$disconnect();
+  });
+
+  describe('GET /api/v1/fulfillment/orders/:orderId/packing-plan', () => {
+    it('should pack 20 LPs into two 10 LP boxes', async () => {
+      const response = await request(app)
+        .get(`/api/v1/fulfillment/orders/${order.id}/packing-plan`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.packages.map((p) => p.boxName)).toEqual([
+        '10 LP Box',
+        '10 LP Box',
+      ]);
+      expect(response.body.data.totals).toMatchObject({
+        packages: 2,
+        units: 20,
+        weightOz: 200,
+      });
+    });
+  });
+
+  describe('Multi-package shipments', () => {
+    it('should book one provider shipment per package', async () => {
+      shipment = await shippingService.createShipment(order.id, 'STANDARD');
+
+      expect(shipment.packages).toHaveLength(2);
+      expect(shipment.weightOz).toBe(200);
+      expect(Number(shipment.totalCost)).toBe(60);
+      expect(shipment.trackingNumber).toBe(shipment.packages[0].trackingNumber);
+      expect(shipment.packages[1].trackingNumber).not.toBe(
+        shipment.trackingNumber
+      );
+      expect(shipment.packages[1].customsDeclaration.items[0]).toMatchObject({
+        quantity: 10,
+      });
+    });
+
+    it('should generate a label for every package', async () => {
+      const label = await shippingService.generateShippingLabel(shipment.id);
+
+      expect(label.packages).toHaveLength(2);
+      expect(label.packages.every((p) => p.labelUrl)).toBe(true);
+    });
+
+    it('should find the shipment by any package tracking number', async () => {
+      const history = await shippingService.getTrackingHistory(
+        shipment.packages[1].trackingNumber
+      );
+
+      expect(history.shipment.id).toBe(shipment.id);
+      expect(history.packages).toHaveLength(2);
+    });
+
+    it('should keep the shipment in transit until every package is delivered', async () => {
+      await prisma.shipmentPackage.updateMany({
+        where: { shipmentId: shipment.id },
+        data: { status: 'IN_TRANSIT' },
+      });
+
+      const first = await request(app)
+        .post('/api/v1/webhooks/shipping/carrier-events')
+        .send({
+          event_id: `evt-pkg2-${suffix}`,
+          tracking_number: shipment.packages[1].trackingNumber,
+          status: 'DELIVERED',
+          timestamp: '2026-10-21T12:00:00Z',
+        });
+      expect(first.body.data).toMatchObject({
+        outcome: 'PROCESSED',
+        shipmentStatus: 'IN_TRANSIT',
+      });
+
+      const second = await request(app)
+        .post('/api/v1/webhooks/shipping/carrier-events')
+        .send({
+          event_id: `evt-pkg1-${suffix}`,
+          tracking_number: shipment.packages[0].trackingNumber,
+          status: 'DELIVERED',
+          timestamp: '2026-10-22T12:00:00Z',
+        });
+      expect(second.body.data.shipmentStatus).toBe('DELIVERED');
+
+      await prisma.carrierWebhookEvent.deleteMany({
+        where: {
+          trackingNumber: {
+            in: shipment.packages.map((p) => p.trackingNumber),
+          },
+        },
+      });
+    });
+  });
+
+  describe('Box catalogue', () => {
+    let boxId;
+
+    it('should create, update and delete a box', async () => {
+      const created = await request(app)
+        .post('/api/v1/shipping/boxes')
+        .set('Authorization', authHeader)
+        .send({
+          name: `Test Crate ${suffix}`,
+          capacity: 25,
+          lengthIn: 14,
+          widthIn: 14,
+          heightIn: 11,
+          emptyWeightOz: 32,
+          isActive: false,
+        })
+        .expect(201);
+      boxId = created.body.data.id;
+
+      const updated = await request(app)
+        .put(`/api/v1/shipping/boxes/${boxId}`)
+        .set('Authorization', authHeader)
+        .send({ emptyWeightOz: 30 })
+        .expect(200);
+      expect(updated.body.data.emptyWeightOz).toBe(30);
+
+      await request(app)
+        .delete(`/api/v1/shipping/boxes/${boxId}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+    });
+
+    it('should reject a box without a capacity', async () => {
+      await request(app)
+        .post('/api/v1/shipping/boxes')
+        .set('Authorization', authHeader)
+        .send({
+          name: `No Capacity ${suffix}`,
+          lengthIn: 13,
+          widthIn: 13,
+          heightIn: 3,
+          emptyWeightOz: 14,
+        })
+        .expect(400);
+    });
+
+    it('should require admin access', async () => {
+      await request(app).get('/api/v1/shipping/boxes').expect(401);
+    });
+  });
+});
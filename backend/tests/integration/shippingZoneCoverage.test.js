@@ -0,0 +1,100 @@
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+const authHeader = getTestAuthHeader();
+
+describe('Shipping Zone ZIP Ranges Integration Tests', () => {
+  const suffix = Date.now();
+  const zoneIds = [];
+
+  const createZone = async (body) => {
+    const response = await request(app)
+      .post('/api/v1/shipping/zones')
+      .set('Authorization', authHeader)
+      .send({ ...body, name: `${body.name} ${suffix}` });
+    if (response.body.data?.id) zoneIds.push(response.body.data.id);
+    return response;
+  };
+
+  afterAll(async () => {
+    try {
+      await prisma.shippingZone.deleteMany({ where: { id: { in: zoneIds } } });
+    } catch (error) {
+      console.error('Cleanup error:', error.message);
+    }
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/v1/shipping/zones', () => {
+    it('should create a zone from ZIP ranges alone', async () => {
+      const response = await createZone({
+        name: 'Honolulu Metro',
+        zipRanges: ['96801-96830', { from: '96701', to: '96701' }],
+        priority: 50,
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.zipRanges).toEqual([
+        { from: '96801', to: '96830' },
+        { from: '96701', to: '96701' },
+      ]);
+    });
+
+    it('should reject ranges overlapping another zone', async () => {
+      const response = await createZone({
+        name: 'Oahu',
+        zipRanges: ['967-968'],
+        priority: 50,
+      });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.message).toContain(`Honolulu Metro ${suffix}`);
+    });
+
+    it('should reject ranges overlapping each other', async () => {
+      const response = await createZone({
+        name: 'Self Overlap',
+        zipRanges: ['968', '96850-96860'],
+      });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject malformed ranges', async () => {
+      const response = await createZone({
+        name: 'Bad Range',
+        zipRanges: ['96999-96900'],
+      });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Zone lookup', () => {
+    it('should prefer a ZIP range zone over a state zone', async () => {
+      const response = await request(app)
+        .get('/api/v1/shipping/zones/lookup')
+        .query({ state: 'HI', postalCode: '96813' })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.name).toBe(`Honolulu Metro ${suffix}`);
+    });
+  });
+
+  describe('GET /api/v1/shipping/zones/coverage', () => {
+    it('should count ZIP range zones toward ZIP3 coverage', async () => {
+      const response = await request(app)
+        .get('/api/v1/shipping/zones/coverage')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      const { summary, states, zip3 } = response.body.data;
+      expect(summary.states).toBe(51);
+      expect(Array.isArray(states.overlapping)).toBe(true);
+      expect(zip3.uncovered.map((p) => p.zip3)).not.toContain('968');
+    });
+  });
+});
@@ -0,0 +1,230 @@
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+const authHeader = getTestAuthHeader();
+
+// Fictional state codes so real tax tables are never touched
+const TAXED_STATE = 'ZY';
+const UNTAXED_STATE = 'ZX';
+
+describe('Sales Tax Integration Tests', () => {
+  let testZone;
+  let testRelease;
+  let testInventoryLot;
+  const exemptEmail = `tax-exempt-${Date.now()}@test.com`;
+
+  const createCart = async (buyerEmail) => {
+    const cartResponse = await request(app)
+      .get('/api/v1/checkout/cart')
+      .set('Authorization', authHeader)
+      .query({ buyerEmail });
+
+    const cartId = cartResponse.body.data.id;
+
+    await request(app)
+      .post('/api/v1/checkout/cart/items')
+      .set('Authorization', authHeader)
+      .send({ orderId: cartId, inventoryLotId: testInventoryLot.id });
+
+    return cartId;
+  };
+
+  beforeAll(async () => {
+    testZone = await prisma.shippingZone.create({
+      data: {
+        name: `Tax Test Zone ${Date.now()}`,
+        statesIncluded: [TAXED_STATE, UNTAXED_STATE],
+        priority: 999,
+      },
+    });
+
+    testRelease = await prisma.release.create({
+      data: {
+        title: 'Tax Album',
+        artist: 'Tax Artist',
+        genre: 'Jazz',
+        releaseYear: 1959,
+        barcode: `TAX-${Date.now()}`,
+      },
+    });
+
+    testInventoryLot = await prisma.inventoryLot.create({
+      data: {
+        releaseId: testRelease.id,
+        status: 'LIVE',
+        conditionMedia: 'NM',
+        conditionSleeve: 'NM',
+        costBasis: 20,
+        listPrice: 100,
+      },
+    });
+  });
+
+  afterAll(async () => {
+    try {
+      await prisma.orderItem.deleteMany({
+        where: { inventoryLotId: testInventoryLot.id },
+      });
+      await prisma.order.deleteMany({
+        where: { buyerEmail: { startsWith: 'tax-' } },
+      });
+      await prisma.inventoryLot.deleteMany({
+        where: { releaseId: testRelease.id },
+      });
+      await prisma.release.deleteMany({ where: { id: testRelease.id } });
+      await prisma.taxZipRate.deleteMany({ where: { state: TAXED_STATE } });
+      await prisma.taxJurisdiction.deleteMany({
+        where: { state: { in: [TAXED_STATE, UNTAXED_STATE] } },
+      });
+      await prisma.taxExemption.deleteMany({
+        where: { buyerEmail: exemptEmail },
+      });
+      await prisma.shippingZone.delete({ where: { id: testZone.id } });
+    } catch (error) {
+      console.error('Error in tax test cleanup:', error);
+    }
+
+    await prisma.$disconnect();
+  });
+
+  describe('Tax tables', () => {
+    it('should save a state rate', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/tax/jurisdictions/${TAXED_STATE}`)
+        .set('Authorization', authHeader)
+        .send({ stateRate: 0.05, shippingTaxable: true, name: 'Test State' })
+        .expect(200);
+
+      expect(response.body.data.stateRate).toBe(0.05);
+      expect(response.body.data.shippingTaxable).toBe(true);
+    });
+
+    it('should list shippable states that have no rate', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/tax/jurisdictions')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.statesWithoutRate).toContain(UNTAXED_STATE);
+      expect(response.body.data.statesWithoutRate).not.toContain(TAXED_STATE);
+    });
+
+    it('should import ZIP rates from CSV and report bad rows', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/tax/import/zip-rates')
+        .set('Authorization', authHeader)
+        .set('Content-Type', 'text/csv')
+        .send(
+          [
+            'state,zip_code,region_name,local_rate',
+            `${TAXED_STATE},99901,Test City,0.02`,
+            `${TAXED_STATE},99902,Bad Rate,2`,
+          ].join('\n')
+        )
+        .expect(200);
+
+      expect(response.body.data.created).toBe(1);
+      expect(response.body.data.errors).toHaveLength(1);
+      expect(response.body.data.errors[0].line).toBe(3);
+    });
+
+    it('should forbid non-admins', async () => {
+      await request(app)
+        .get('/api/v1/admin/tax/jurisdictions')
+        .set('Authorization', getTestAuthHeader({ role: 'BUYER' }))
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/v1/checkout/cart/recalculate', () => {
+    it('should tax by destination and store the breakdown', async () => {
+      const cartId = await createCart(`tax-buyer-${Date.now()}@test.com`);
+
+      const response = await request(app)
+        .post('/api/v1/checkout/cart/recalculate')
+        .set('Authorization', authHeader)
+        .send({
+          orderId: cartId,
+          shippingMethod: 'STANDARD',
+          shippingAddress: { state: TAXED_STATE, zip: '99901' },
+        })
+        .expect(200);
+
+      // (100 + 5.99 shipping) * (0.05 state + 0.02 local)
+      expect(response.body.data.tax).toBe(7.42);
+      expect(response.body.data.taxBreakdown).toMatchObject({
+        state: TAXED_STATE,
+        zipCode: '99901',
+        regionName: 'Test City',
+        shippingTaxable: true,
+        stateTax: 5.3,
+        localTax: 2.12,
+      });
+    });
+
+    it('should not tax states without a rate', async () => {
+      const cartId = await createCart(`tax-buyer-${Date.now()}@test.com`);
+
+      const response = await request(app)
+        .post('/api/v1/checkout/cart/recalculate')
+        .set('Authorization', authHeader)
+        .send({
+          orderId: cartId,
+          shippingAddress: { state: UNTAXED_STATE, zip: '99801' },
+        })
+        .expect(200);
+
+      expect(response.body.data.tax).toBe(0);
+      expect(response.body.data.taxBreakdown.state).toBe(UNTAXED_STATE);
+    });
+
+    it('should not tax exempt buyers', async () => {
+      await request(app)
+        .put(`/api/v1/admin/tax/exemptions/${exemptEmail}`)
+        .set('Authorization', authHeader)
+        .send({ certificateNumber: 'RESALE-123', exemptStates: [TAXED_STATE] })
+        .expect(200);
+
+      const cartId = await createCart(exemptEmail);
+
+      const response = await request(app)
+        .post('/api/v1/checkout/cart/recalculate')
+        .set('Authorization', authHeader)
+        .send({
+          orderId: cartId,
+          shippingAddress: { state: TAXED_STATE, zip: '99901' },
+        })
+        .expect(200);
+
+      expect(response.body.data.tax).toBe(0);
+      expect(response.body.data.taxBreakdown.exempt).toBe(true);
+      expect(response.body.data.taxBreakdown.exemptionCertificate).toBe(
+        'RESALE-123'
+      );
+    });
+
+    it('should not charge an exempt cart from another account', async () => {
+      // Anyone can start a cart with the exempt buyer's email
+      const cartId = await createCart(exemptEmail);
+
+      await request(app)
+        .post('/api/v1/checkout/cart/recalculate')
+        .set('Authorization', authHeader)
+        .send({
+          orderId: cartId,
+          shippingAddress: { state: TAXED_STATE, zip: '99901' },
+        })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/v1/checkout/initiate')
+        .set('Authorization', authHeader)
+        .send({ orderId: cartId })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/utils/db.js';
+import buyerService from '../../src/services/buyerService.js';
+import notificationService from '../../src/services/notificationService.js';
+import { getTestAuthHeader } from '../fixtures/tokens.js';
+
+const authHeader = getTestAuthHeader();
+
+describe('Buyer Wishlist Integration Tests', () => {
+  const sessionId = `wishlist-session-${Date.now()}`;
+  let testRelease;
+  let testInventoryLot;
+  let secondInventoryLot;
+
+  beforeAll(async () => {
+    testRelease = await prisma.release.create({
+      data: {
+        title: 'Wishlist Album',
+        artist: 'Wishlist Artist',
+        genre: 'Jazz',
+        releaseYear: 1965,
+        barcode: `WISH-${Date.now()}`,
+      },
+    });
+
+    testInventoryLot = await prisma.inventoryLot.create({
+      data: {
+        releaseId: testRelease.id,
+        status: 'LIVE',
+        conditionMedia: 'VG_PLUS',
+        conditionSleeve: 'VG',
+        costBasis: 10.0,
+        listPrice: 30.0,
+      },
+    });
+
+    secondInventoryLot = await prisma.inventoryLot.create({
+      data: {
+        releaseId: testRelease.id,
+        status: 'DRAFT',
+        conditionMedia: 'NM',
+        conditionSleeve: 'NM',
+        costBasis: 15.0,
+        listPrice: 45.0,
+      },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    try {
+      await prisma.wishlistItem.deleteMany({
+        where: { releaseId: testRelease.id },
+      });
+      await prisma.inventoryLot.deleteMany({
+        where: { releaseId: testRelease.id },
+      });
+      await prisma.release.deleteMany({ where: { id: testRelease.id } });
+    } catch (error) {
+      console.error('Error in wishlist test cleanup:', error);
+    }
+
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/v1/buyer/wishlist', () => {
+    it('should persist item for a guest session', async () => {
+      const response = await request(app)
+        .post('/api/v1/buyer/wishlist')
+        .set('Authorization', authHeader)
+        .set('X-Session-ID', sessionId)
+        .send({
+          inventoryLotId: testInventoryLot.id,
+          email: 'wishlist-guest@test.com',
+        })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.inventoryLotId).toBe(testInventoryLot.id);
+      expect(response.body.data.priceAtAdd).toBe(30);
+
+      const stored = await buyerService.getWishlist({ sessionId });
+      expect(stored.items).toHaveLength(1);
+    });
+
+    it('should not duplicate an item added twice', async () => {
+      await buyerService.addToWishlist({ sessionId }, testInventoryLot.id);
+
+      const wishlist = await buyerService.getWishlist({ sessionId });
+      expect(wishlist.items).toHaveLength(1);
+    });
+
+    it('should reject lots that are not LIVE', async () => {
+      await expect(
+        buyerService.addToWishlist({ sessionId }, secondInventoryLot.id)
+      ).rejects.toThrow('Product not found or not available');
+    });
+  });
+
+  describe('Wishlist alerts', () => {
+    it('should alert on a price drop below the saved price', async () => {
+      const spy = jest
+        .spyOn(notificationService, 'notifyWishlistPriceDrop')
+        .mockResolvedValue();
+
+      const alerted = await buyerService.handleWishlistPriceChange(
+        testInventoryLot.id,
+        30,
+        25
+      );
+
+      expect(alerted).toBe(1);
+      expect(spy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          recipientEmail: 'wishlist-guest@test.com',
+          previousPrice: 30,
+          newPrice: 25,
+        })
+      );
+    });
+
+    it('should not alert again until the price drops further', async () => {
+      const spy = jest
+        .spyOn(notificationService, 'notifyWishlistPriceDrop')
+        .mockResolvedValue();
+
+      const alerted = await buyerService.handleWishlistPriceChange(
+        testInventoryLot.id,
+        28,
+        26
+      );
+
+      expect(alerted).toBe(0);
+      expect(spy).not.toHaveBeenCalled();
+    });
+
+    it('should alert when another copy of the release goes LIVE', async () => {
+      const spy = jest
+        .spyOn(notificationService, 'notifyWishlistBackInStock')
+        .mockResolvedValue();
+
+      await prisma.inventoryLot.update({
+        where: { id: secondInventoryLot.id },
+        data: { status: 'LIVE' },
+      });
+
+      const alerted = await buyerService.handleWishlistNewListing(
+        secondInventoryLot.id
+      );
+
+      expect(alerted).toBe(1);
+      expect(spy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          inventoryLotId: secondInventoryLot.id,
+          price: 45,
+        })
+      );
+    });
+  });
+
+  describe('GET /api/v1/buyer/wishlist', () => {
+    it('should list wishlist items with price changes', async () => {
+      const response = await request(app)
+        .get('/api/v1/buyer/wishlist')
+        .set('Authorization', authHeader)
+        .set('X-Session-ID', sessionId)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.summary.total).toBe(1);
+    });
+  });
+
+  describe('DELETE /api/v1/buyer/wishlist/:inventoryLotId', () => {
+    it('should remove item from wishlist', async () => {
+      await request(app)
+        .delete(`/api/v1/buyer/wishlist/${testInventoryLot.id}`)
+        .set('Authorization', authHeader)
+        .set('X-Session-ID', sessionId)
+        .expect(200);
+
+      const wishlist = await buyerService.getWishlist({ sessionId });
+      expect(wishlist.items).toHaveLength(0);
+    });
+
+    it('should return 404 for items not in wishlist', async () => {
+      await request(app)
+        .delete(`/api/v1/buyer/wishlist/${testInventoryLot.id}`)
+        .set('Authorization', authHeader)
+        .set('X-Session-ID', sessionId)
+        .expect(404);
+    });
+  });
+});
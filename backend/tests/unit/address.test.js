@@ -0,0 +1,93 @@
+import {
+  US_STATES,
+  isDomesticAddress,
+  listZip3Prefixes,
+  normalizeAddress,
+  normalizeCountry,
+  validateShippingAddress,
+  zip5,
+} from '../../src/utils/address.js';
+
+describe('address utils', () => {
+  describe('normalizeCountry', () => {
+    it('should default a blank country to US', () => {
+      expect(normalizeCountry('')).toBe('US');
+      expect(normalizeCountry(undefined)).toBe('US');
+    });
+
+    it('should resolve common country names and codes', () => {
+      expect(normalizeCountry('United Kingdom')).toBe('GB');
+      expect(normalizeCountry('u.s.a.')).toBe('US');
+      expect(normalizeCountry('de')).toBe('DE');
+    });
+
+    it('should return null for unknown names', () => {
+      expect(normalizeCountry('Atlantis')).toBeNull();
+    });
+  });
+
+  describe('normalizeAddress', () => {
+    it('should read the postal code from zip aliases', () => {
+      expect(
+        normalizeAddress({ country: 'ca', state: 'on', zipcode: 'm5v  2t6' })
+      ).toMatchObject({ country: 'CA', state: 'ON', postalCode: 'M5V 2T6' });
+    });
+  });
+
+  describe('isDomesticAddress', () => {
+    it('should treat addresses without a country as US', () => {
+      expect(isDomesticAddress({ state: 'NY' })).toBe(true);
+      expect(isDomesticAddress({ country: 'JP' })).toBe(false);
+    });
+  });
+
+  describe('validateShippingAddress', () => {
+    it('should keep the US rules: state required, ZIP optional', () => {
+      expect(validateShippingAddress({ state: 'NY' })).toEqual([]);
+      expect(validateShippingAddress({ zip: '10001' })).toEqual([
+        'shippingAddress.state is required for US',
+      ]);
+    });
+
+    it('should accept international addresses without a state', () => {
+      expect(
+        validateShippingAddress({ country: 'GB', postalCode: 'SW1A 1AA' })
+      ).toEqual([]);
+      expect(validateShippingAddress({ country: 'HK' })).toEqual([]);
+    });
+
+    it('should check postal codes against the country format', () => {
+      expect(
+        validateShippingAddress({ country: 'DE', postalCode: '1011' })
+      ).toEqual([
+        'shippingAddress.postalCode 1011 is not a valid DE postal code',
+      ]);
+      expect(validateShippingAddress({ country: 'FR' })).toEqual([
+        'shippingAddress.postalCode is required for FR',
+      ]);
+    });
+
+    it('should reject unknown countries', () => {
+      expect(validateShippingAddress({ country: 'Atlantis' })).toEqual([
+        'Unknown country: Atlantis',
+      ]);
+    });
+  });
+
+  describe('zip5', () => {
+    it('should take the first five digits of a ZIP+4', () => {
+      expect(zip5('90001-1234')).toBe('90001');
+      expect(zip5('9000')).toBeNull();
+      expect(zip5(null)).toBeNull();
+    });
+  });
+
+  describe('listZip3Prefixes', () => {
+    it('should map ZIP3 prefixes to states in ZIP order', () => {
+      const prefixes = listZip3Prefixes();
+      expect(prefixes[0]).toEqual({ zip3: '005', state: 'NY' });
+      expect(prefixes).toContainEqual({ zip3: '941', state: 'CA' });
+      expect(new Set(prefixes.map((p) => p.state)).size).toBe(US_STATES.length);
+    });
+  });
+});
@@ -0,0 +1,286 @@
+import crypto from 'crypto';
+import carrierWebhookService from '../../src/services/carrierWebhookService.js';
+
+const hmac = (secret, payload) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const settings = {
+  webhookSecret: 'generic_secret',
+  webhookToleranceSeconds: 300,
+  easypost: { webhookSecret: 'easypost_secret' },
+  shippo: { webhookSecret: 'shippo_secret' },
+};
+
+const easyPostEvent = {
+  object: 'Event',
+  id: 'evt_9a8b7c6d5e4f',
+  description: 'tracker.updated',
+  created_at: '2026-10-21T15:31:02Z',
+  result: {
+    object: 'Tracker',
+    id: 'trk_5f6e7d8c',
+    tracking_code: '9400100000000000000001',
+    status: 'delivered',
+    status_detail: 'arrived_at_destination',
+    tracking_details: [
+      {
+        status: 'in_transit',
+        message: 'Departed USPS Regional Facility',
+        datetime: '2026-10-20T09:00:00Z',
+        tracking_location: { city: 'LOS ANGELES', state: 'CA', zip: '90001' },
+      },
+      {
+        status: 'delivered',
+        message: 'Delivered, In/At Mailbox',
+        datetime: '2026-10-21T15:30:00Z',
+        tracking_location: { city: 'BROOKLYN', state: 'NY', zip: '11201' },
+      },
+    ],
+  },
+};
+
+const shippoEvent = {
+  event: 'track_updated',
+  test: false,
+  data: {
+    carrier: 'usps',
+    tracking_number: 'LZ123456789US',
+    tracking_status: {
+      object_id: 'b3f1c2d4e5a6478990a1b2c3d4e5f607',
+      status: 'TRANSIT',
+      substatus: { code: 'out_for_delivery', text: 'Out for delivery' },
+      status_details: 'Out for Delivery, Expected Delivery by 8:00pm',
+      status_date: '2026-10-21T07:10:00Z',
+      location: { city: 'London', zip: 'SW1A 2AA', country: 'GB' },
+    },
+  },
+};
+
+describe('CarrierWebhookService', () => {
+  describe('detectProvider', () => {
+    it('should use the requested provider', () => {
+      expect(carrierWebhookService.detectProvider({}, {}, 'Shippo')).toBe(
+        'shippo'
+      );
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() =>
+        carrierWebhookService.detectProvider({}, {}, 'pigeon')
+      ).toThrow('Unsupported webhook provider: pigeon');
+    });
+
+    it('should detect the provider from headers or body', () => {
+      expect(
+        carrierWebhookService.detectProvider({ 'x-hmac-signature': 'x' }, {})
+      ).toBe('easypost');
+      expect(carrierWebhookService.detectProvider({}, shippoEvent)).toBe(
+        'shippo'
+      );
+      expect(
+        carrierWebhookService.detectProvider({}, { tracking_number: '1' })
+      ).toBe('generic');
+    });
+  });
+
+  describe('verifySignature', () => {
+    const rawBody = JSON.stringify(easyPostEvent);
+    const now = Math.floor(Date.now() / 1000);
+
+    it('should accept a valid EasyPost signature', () => {
+      const headers = {
+        'x-hmac-signature': `hmac-sha256-hex=${hmac('easypost_secret', rawBody)}`,
+      };
+      expect(
+        carrierWebhookService.verifySignature(
+          'easypost',
+          headers,
+          rawBody,
+          settings
+        )
+      ).toEqual({ verified: true, accepted: true });
+    });
+
+    it('should reject an EasyPost signature over a different body', () => {
+      const headers = {
+        'x-hmac-signature': `hmac-sha256-hex=${hmac('easypost_secret', rawBody)}`,
+      };
+      expect(
+        carrierWebhookService.verifySignature(
+          'easypost',
+          headers,
+          rawBody.replace('delivered', 'in_transit'),
+          settings
+        )
+      ).toMatchObject({ accepted: false, reason: 'Invalid signature' });
+    });
+
+    it('should accept a fresh Shippo signature and refuse a stale one', () => {
+      const sign = (t) => ({
+        'shippo-auth-signature': `t=${t},v1=${hmac('shippo_secret', `${t}.${rawBody}`)}`,
+      });
+
+      expect(
+        carrierWebhookService.verifySignature(
+          'shippo',
+          sign(now),
+          rawBody,
+          settings
+        ).accepted
+      ).toBe(true);
+      expect(
+        carrierWebhookService.verifySignature(
+          'shippo',
+          sign(now - 3600),
+          rawBody,
+          settings
+        ).accepted
+      ).toBe(false);
+    });
+
+    it('should verify the generic timestamped signature', () => {
+      const headers = {
+        'x-carrier-timestamp': String(now),
+        'x-carrier-signature': hmac('generic_secret', `${now}.${rawBody}`),
+      };
+      expect(
+        carrierWebhookService.verifySignature(
+          'generic',
+          headers,
+          rawBody,
+          settings
+        ).verified
+      ).toBe(true);
+      expect(
+        carrierWebhookService.verifySignature('generic', {}, rawBody, settings)
+          .accepted
+      ).toBe(false);
+    });
+
+    it('should refuse webhooks when no secret is set', () => {
+      expect(
+        carrierWebhookService.verifySignature('generic', {}, rawBody, {})
+      ).toEqual({
+        verified: false,
+        accepted: false,
+        reason: 'No webhook secret configured for generic',
+      });
+    });
+
+    it('should accept unverified webhooks when unsigned ones are allowed', () => {
+      expect(
+        carrierWebhookService.verifySignature('generic', {}, rawBody, {
+          allowUnsignedWebhooks: true,
+        })
+      ).toEqual({ verified: false, accepted: true });
+    });
+  });
+
+  describe('parseEvent', () => {
+    it('should take the status and newest detail from an EasyPost tracker', () => {
+      expect(
+        carrierWebhookService.parseEvent('easypost', easyPostEvent)
+      ).toEqual({
+        eventId: 'evt_9a8b7c6d5e4f',
+        eventType: 'tracker.updated',
+        trackingNumber: '9400100000000000000001',
+        status: 'DELIVERED',
+        statusDetail: 'arrived_at_destination',
+        location: 'BROOKLYN, NY 11201',
+        message: 'Delivered, In/At Mailbox',
+        eventTime: new Date('2026-10-21T15:30:00Z'),
+      });
+    });
+
+    it('should map a Shippo out-for-delivery substatus', () => {
+      expect(carrierWebhookService.parseEvent('shippo', shippoEvent)).toEqual({
+        eventId: 'b3f1c2d4e5a6478990a1b2c3d4e5f607',
+        eventType: 'track_updated',
+        trackingNumber: 'LZ123456789US',
+        status: 'OUT_FOR_DELIVERY',
+        statusDetail: 'Out for delivery',
+        location: 'London, SW1A 2AA, GB',
+        message: 'Out for Delivery, Expected Delivery by 8:00pm',
+        eventTime: new Date('2026-10-21T07:10:00Z'),
+      });
+    });
+
+    it('should leave non-tracking Shippo events without a tracking number', () => {
+      const event = carrierWebhookService.parseEvent('shippo', {
+        event: 'transaction_created',
+        data: { tracking_number: 'LZ123456789US' },
+      });
+      expect(event.trackingNumber).toBeUndefined();
+    });
+
+    it('should parse the generic format and drop unknown statuses', () => {
+      const event = carrierWebhookService.parseEvent('generic', {
+        type: 'tracking_update',
+        event_id: 'carrier-evt-1',
+        tracking_number: 'MOCK123456789012',
+        status: 'in_transit',
+        timestamp: '2026-10-20T09:00:00Z',
+      });
+      expect(event).toMatchObject({
+        eventId: 'carrier-evt-1',
+        status: 'IN_TRANSIT',
+        eventTime: new Date('2026-10-20T09:00:00Z'),
+      });
+
+      expect(
+        carrierWebhookService.parseEvent('generic', { status: 'LOST' }).status
+      ).toBeNull();
+    });
+  });
+
+  describe('_headersForLog', () => {
+    it('should drop credentials', () => {
+      expect(
+        carrierWebhookService._headersForLog({
+          authorization: 'Bearer x',
+          'x-hmac-signature': 'sig',
+        })
+      ).toEqual({ 'x-hmac-signature': 'sig' });
+    });
+  });
+
+  describe('_contentForLog', () => {
+    const headers = {
+      authorization: 'Bearer x',
+      'content-type': 'application/json',
+      'x-forwarded-for': '10.0.0.1',
+      'x-carrier-signature': 'sig',
+    };
+
+    it('should keep accepted webhooks in full', () => {
+      const rawBody = 'x'.repeat(5000);
+
+      expect(
+        carrierWebhookService._contentForLog(headers, rawBody, true)
+      ).toEqual({
+        headers: {
+          'content-type': 'application/json',
+          'x-forwarded-for': '10.0.0.1',
+          'x-carrier-signature': 'sig',
+        },
+        rawBody,
+      });
+    });
+
+    it('should keep only an excerpt of rejected webhooks', () => {
+      const content = carrierWebhookService._contentForLog(
+        { ...headers, 'user-agent': 'u'.repeat(5000) },
+        'x'.repeat(5000),
+        false
+      );
+
+      expect(Object.keys(content.headers)).toEqual([
+        'content-type',
+        'x-carrier-signature',
+        'user-agent',
+      ]);
+      expect(content.headers['user-agent']).toHaveLength(1024);
+      expect(content.rawBody).toHaveLength(1024);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import catalogLookupService from '../../src/services/catalogLookupService.js';
+
+describe('CatalogLookupService', () => {
+  describe('barcodeVariants', () => {
+    it('should strip spaces and dashes from scanned barcodes', () => {
+      expect(catalogLookupService.barcodeVariants('0 77774-6034 1 1')).toEqual([
+        '077774603411',
+        '0077774603411',
+      ]);
+    });
+
+    it('should treat UPC-A and EAN-13 forms as equal', () => {
+      expect(catalogLookupService.barcodeVariants('075678164521')).toEqual([
+        '075678164521',
+        '0075678164521',
+      ]);
+      expect(catalogLookupService.barcodeVariants('0075678164521')).toEqual([
+        '0075678164521',
+        '075678164521',
+      ]);
+      expect(catalogLookupService.barcodeVariants('5099902987828')).toEqual([
+        '5099902987828',
+      ]);
+    });
+  });
+
+  describe('normalizeCatalogNumber', () => {
+    it('should ignore case, spaces and punctuation', () => {
+      expect(catalogLookupService.normalizeCatalogNumber('BST-84003')).toBe(
+        'bst84003'
+      );
+      expect(catalogLookupService.normalizeCatalogNumber('bst 84003')).toBe(
+        'bst84003'
+      );
+      expect(catalogLookupService.normalizeCatalogNumber('ST.8.4003')).toBe(
+        'st84003'
+      );
+    });
+  });
+
+  describe('lookup validation', () => {
+    it('should require a barcode or catalog number', async () => {
+      await expect(catalogLookupService.lookup({})).rejects.toMatchObject({
+        status: 400,
+      });
+    });
+
+    it('should reject barcodes with too few digits', async () => {
+      await expect(
+        catalogLookupService.lookup({ barcode: '12-34' })
+      ).rejects.toThrow('barcode must contain 8 to 14 digits');
+    });
+
+    it('should reject catalog numbers without letters or digits', async () => {
+      await expect(
+        catalogLookupService.lookup({ catno: ' -- ' })
+      ).rejects.toThrow('catno must contain letters or digits');
+    });
+
+    it('should reject an unknown source', async () => {
+      await expect(
+        catalogLookupService.lookup({ barcode: '075678164521', source: 'EBAY' })
+      ).rejects.toThrow('source must be one of: AUTO, LOCAL, DISCOGS');
+    });
+  });
+});
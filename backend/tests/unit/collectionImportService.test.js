@@ -0,0 +1,105 @@
+import collectionImportService from '../../src/services/collectionImportService.js';
+
+describe('CollectionImportService', () => {
+  describe('parseCollectionCsv', () => {
+    it('should read the Discogs collection export columns', () => {
+      const csv = [
+        'Catalog#,Artist,Title,Label,Format,Rating,Released,release_id,CollectionFolder,Date Added,Collection Media Condition,Collection Sleeve Condition,Collection Notes',
+        "BST 84003,Art Blakey,Moanin',Blue Note,LP,,1959,2258735,Uncategorized,2024-01-02 10:00:00,Very Good Plus (VG+),Generic,",
+        'CL 1355,Miles Davis,Kind Of Blue,Columbia,LP,,1959,,Uncategorized,2024-01-03 10:00:00,,,',
+      ].join('\n');
+
+      const rows = collectionImportService.parseCollectionCsv(csv);
+
+      expect(rows).toHaveLength(2);
+      expect(rows[0]).toMatchObject({
+        discogsId: 2258735,
+        artist: 'Art Blakey',
+        title: "Moanin'",
+        catalogNumber: 'BST 84003',
+        mediaCondition: 'Very Good Plus (VG+)',
+        sleeveCondition: 'Generic',
+      });
+      expect(rows[1]).toMatchObject({
+        discogsId: null,
+        mediaCondition: null,
+        sleeveCondition: null,
+      });
+    });
+  });
+
+  describe('mapCondition', () => {
+    it('should map Discogs grades to internal conditions', () => {
+      expect(collectionImportService.mapCondition('Mint (M)')).toBe('MINT');
+      expect(collectionImportService.mapCondition('Near Mint (NM or M-)')).toBe(
+        'NM'
+      );
+      expect(collectionImportService.mapCondition('VG+')).toBe('VG_PLUS');
+      expect(collectionImportService.mapCondition('Good Plus (G+)')).toBe('G');
+      expect(collectionImportService.mapCondition('No Cover')).toBe('POOR');
+    });
+
+    it('should accept internal condition codes', () => {
+      expect(collectionImportService.mapCondition('vg_minus')).toBe('VG_MINUS');
+    });
+
+    it('should defer to the default for blank and generic grades', () => {
+      expect(collectionImportService.mapCondition('')).toBeNull();
+      expect(collectionImportService.mapCondition(null)).toBeNull();
+      expect(collectionImportService.mapCondition('Generic')).toBeNull();
+    });
+
+    it('should return undefined for unrecognized grades', () => {
+      expect(collectionImportService.mapCondition('Sealed')).toBeUndefined();
+    });
+  });
+
+  describe('importCollection validation', () => {
+    it('should reject an invalid default condition', async () => {
+      await expect(
+        collectionImportService.importCollection(
+          'seller-id',
+          { csv: 'release_id\n1' },
+          { defaultConditionMedia: 'EXCELLENT' }
+        )
+      ).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('_assertImportAccess', () => {
+    const submission = { seller: { id: 'seller-1', userId: 'user-1' } };
+
+    it('should allow the linked seller and admins', () => {
+      expect(() =>
+        collectionImportService._assertImportAccess(submission, {
+          id: 'user-1',
+          role: 'SELLER',
+        })
+      ).not.toThrow();
+      expect(() =>
+        collectionImportService._assertImportAccess(
+          { seller: null },
+          { id: 'admin-1', role: 'ADMIN' }
+        )
+      ).not.toThrow();
+    });
+
+    it('should reject anonymous callers and other sellers', () => {
+      expect(() =>
+        collectionImportService._assertImportAccess(submission, undefined)
+      ).toThrow('Authentication required');
+      expect(() =>
+        collectionImportService._assertImportAccess(submission, {
+          id: 'user-2',
+          role: 'SELLER',
+        })
+      ).toThrow('You do not have access to this seller');
+      expect(() =>
+        collectionImportService._assertImportAccess(
+          { seller: null },
+          { id: 'user-2', role: 'SELLER' }
+        )
+      ).toThrow('You do not have access to this seller');
+    });
+  });
+});
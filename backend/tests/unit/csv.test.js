@@ -0,0 +1,56 @@
+import { parseCsv, toCsv } from '../../src/utils/csv.js';
+
+describe('CSV utils', () => {
+  describe('parseCsv', () => {
+    it('should key records by normalized header', () => {
+      const records = parseCsv('State,Zip Code,Local Rate\nCA,90001,0.0225\n');
+
+      expect(records).toEqual([
+        { _line: 2, state: 'CA', zip_code: '90001', local_rate: '0.0225' },
+      ]);
+    });
+
+    it('should handle quoted fields with commas, quotes and newlines', () => {
+      const records = parseCsv(
+        'name,notes\r\n"Smith, J","He said ""hi""\nthen left"\r\nx,y'
+      );
+
+      expect(records[0].name).toBe('Smith, J');
+      expect(records[0].notes).toBe('He said "hi"\nthen left');
+      expect(records[1]).toEqual({ _line: 4, name: 'x', notes: 'y' });
+    });
+
+    it('should skip blank lines and strip a byte order mark', () => {
+      const records = parseCsv('\uFEFFstate\nCA\n\n  \nNY');
+
+      expect(records.map((r) => r.state)).toEqual(['CA', 'NY']);
+    });
+
+    it('should return no records for empty input', () => {
+      expect(parseCsv('')).toEqual([]);
+      expect(parseCsv(undefined)).toEqual([]);
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should quote fields that need escaping', () => {
+      const text = toCsv(
+        [
+          { a: 'plain', b: 'has,comma', c: 'say "x"' },
+          { a: null, b: 5 },
+        ],
+        ['a', 'b', 'c']
+      );
+
+      expect(text).toBe('a,b,c\nplain,"has,comma","say ""x"""\n,5,\n');
+    });
+
+    it('should round-trip through parseCsv', () => {
+      const rows = [{ id: '1', title: 'Kind of Blue, Remastered' }];
+
+      const parsed = parseCsv(toCsv(rows, ['id', 'title']));
+
+      expect(parsed[0].title).toBe('Kind of Blue, Remastered');
+    });
+  });
+});
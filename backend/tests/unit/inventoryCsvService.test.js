@@ -0,0 +1,174 @@
+import inventoryCsvService from '../../src/services/inventoryCsvService.js';
+
+describe('InventoryCsvService', () => {
+  const lot = {
+    id: '11111111-1111-1111-1111-111111111111',
+    sku: 'SKU-1',
+    releaseId: '22222222-2222-2222-2222-222222222222',
+    status: 'LIVE',
+    quantity: 3,
+    reservedQuantity: 0,
+    conditionMedia: 'VG',
+    conditionSleeve: 'VG',
+    costBasis: '10.00',
+    listPrice: '25.00',
+    salePrice: null,
+    markdownOptOut: false,
+  };
+
+  describe('planRow for existing lots', () => {
+    it('should report only the fields that change', () => {
+      const row = inventoryCsvService.planRow(
+        {
+          _line: 2,
+          sku: 'SKU-1',
+          list_price: '$27.50',
+          condition_media: 'vg+',
+          cost_basis: '10',
+        },
+        lot
+      );
+
+      expect(row.action).toBe('UPDATE');
+      expect(row.errors).toEqual([]);
+      expect(row.changes).toEqual({
+        listPrice: { from: 25, to: 27.5 },
+        conditionMedia: { from: 'VG', to: 'VG_PLUS' },
+      });
+    });
+
+    it('should mark a row with no differences as unchanged', () => {
+      const row = inventoryCsvService.planRow(
+        { _line: 2, sku: 'SKU-1', list_price: '25', status: 'live' },
+        lot
+      );
+
+      expect(row.action).toBe('UNCHANGED');
+    });
+
+    it('should reject invalid conditions, prices and quantities', () => {
+      const row = inventoryCsvService.planRow(
+        {
+          _line: 3,
+          sku: 'SKU-1',
+          condition_sleeve: 'Great',
+          sale_price: '-1',
+          quantity: '2.5',
+        },
+        lot
+      );
+
+      expect(row.errors).toHaveLength(3);
+      expect(row.data).toBeUndefined();
+    });
+
+    it('should reject status changes outside the import transitions', () => {
+      const row = inventoryCsvService.planRow(
+        { _line: 4, sku: 'SKU-1', status: 'SOLD' },
+        lot
+      );
+
+      expect(row.errors).toEqual(['Cannot change status from LIVE to SOLD']);
+    });
+
+    it('should not drop quantity below the units in checkout', () => {
+      const row = inventoryCsvService.planRow(
+        { _line: 5, sku: 'SKU-1', quantity: '1' },
+        { ...lot, reservedQuantity: 2 }
+      );
+
+      expect(row.errors[0]).toMatch(/reserved for checkout/);
+    });
+
+    it('should follow the stock count when quantity changes on a listed lot', () => {
+      const row = inventoryCsvService.planRow(
+        { _line: 6, sku: 'SKU-1', quantity: '2' },
+        { ...lot, status: 'RESERVED', quantity: 1, reservedQuantity: 1 }
+      );
+
+      expect(row.changes.status).toEqual({ from: 'RESERVED', to: 'LIVE' });
+    });
+
+    it('should mark a listed lot sold when the stocktake counts none', () => {
+      const row = inventoryCsvService.planRow(
+        { _line: 7, sku: 'SKU-1', quantity: '0' },
+        lot
+      );
+
+      expect(row.errors).toEqual([]);
+      expect(row.data).toMatchObject({ quantity: 0, status: 'SOLD' });
+    });
+  });
+
+  describe('planRow for new lots', () => {
+    const releaseIds = new Set([lot.releaseId]);
+
+    it('should create a DRAFT lot from a complete row', () => {
+      const row = inventoryCsvService.planRow(
+        {
+          _line: 2,
+          sku: 'NEW-1',
+          release_id: lot.releaseId,
+          condition_media: 'NM',
+          condition_sleeve: 'VG+',
+          cost_basis: '8',
+          list_price: '20',
+        },
+        null,
+        releaseIds
+      );
+
+      expect(row.action).toBe('CREATE');
+      expect(row.data).toMatchObject({
+        sku: 'NEW-1',
+        releaseId: lot.releaseId,
+        status: 'DRAFT',
+        quantity: 1,
+      });
+    });
+
+    it('should not create a lot with no units', () => {
+      const row = inventoryCsvService.planRow(
+        {
+          _line: 2,
+          sku: 'NEW-0',
+          release_id: lot.releaseId,
+          condition_media: 'NM',
+          condition_sleeve: 'NM',
+          cost_basis: '8',
+          list_price: '20',
+          quantity: '0',
+        },
+        null,
+        releaseIds
+      );
+
+      expect(row.errors).toEqual(['quantity of a new lot must be at least 1']);
+    });
+
+    it('should list the missing required columns', () => {
+      const row = inventoryCsvService.planRow(
+        { _line: 2, sku: 'NEW-2', release_id: 'unknown' },
+        null,
+        releaseIds
+      );
+
+      expect(row.errors).toEqual(
+        expect.arrayContaining([
+          'condition_media is required for a new lot',
+          'list_price is required for a new lot',
+          'No release with id unknown',
+        ])
+      );
+    });
+
+    it('should report an id that matches no lot', () => {
+      const row = inventoryCsvService.planRow(
+        { _line: 2, id: lot.id, sku: 'SKU-1' },
+        null
+      );
+
+      expect(row.errors).toEqual([`No lot with id ${lot.id}`]);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import inventoryService from '../../src/services/inventoryService.js';
+
+describe('InventoryService', () => {
+  describe('availableQuantity', () => {
+    it('should subtract units reserved for checkout', () => {
+      expect(
+        inventoryService.availableQuantity({ quantity: 5, reservedQuantity: 2 })
+      ).toBe(3);
+    });
+
+    it('should never go below zero', () => {
+      expect(
+        inventoryService.availableQuantity({ quantity: 1, reservedQuantity: 3 })
+      ).toBe(0);
+    });
+
+    it('should treat lots without counts as a single unit', () => {
+      expect(inventoryService.availableQuantity({})).toBe(1);
+    });
+  });
+
+  describe('statusForQuantity', () => {
+    it('should stay LIVE while some units are unreserved', () => {
+      expect(inventoryService.statusForQuantity(5, 4)).toBe('LIVE');
+      expect(inventoryService.statusForQuantity(1, 0)).toBe('LIVE');
+    });
+
+    it('should be RESERVED when every unit left is in checkout', () => {
+      expect(inventoryService.statusForQuantity(3, 3)).toBe('RESERVED');
+    });
+
+    it('should be SOLD once no units are left', () => {
+      expect(inventoryService.statusForQuantity(0, 0)).toBe('SOLD');
+    });
+  });
+
+  describe('withMarkdownReset', () => {
+    const lot = { listPrice: '40.00' };
+
+    it('should clear the markdown state when the price changes', () => {
+      expect(
+        inventoryService.withMarkdownReset({ listPrice: 45 }, lot)
+      ).toEqual({ listPrice: 45, markdownPercent: 0, markedDownAt: null });
+    });
+
+    it('should keep the markdown state when the price is unchanged', () => {
+      expect(
+        inventoryService.withMarkdownReset({ listPrice: 40 }, lot)
+      ).toEqual({ listPrice: 40 });
+      expect(
+        inventoryService.withMarkdownReset({ internalNotes: 'x' }, lot)
+      ).toEqual({ internalNotes: 'x' });
+    });
+  });
+
+  describe('reserveInventory validation', () => {
+    it('should require a lot and an order', async () => {
+      await expect(
+        inventoryService.reserveInventory(null, 'order-id')
+      ).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should reject a quantity that is not a positive integer', async () => {
+      await expect(
+        inventoryService.reserveInventory('lot-id', 'order-id', 0)
+      ).rejects.toMatchObject({ status: 400 });
+      await expect(
+        inventoryService.reserveInventory('lot-id', 'order-id', 1.5)
+      ).rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
@@ -0,0 +1,202 @@
+import marketSnapshotService from '../../src/services/marketSnapshotService.js';
+
+const now = new Date('2026-10-19T12:00:00Z');
+const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+const rank = (candidates, sources = ['DISCOGS', 'EBAY']) =>
+  marketSnapshotService.rankCandidates(candidates, {
+    sources,
+    staleAfterHours: 24,
+    now,
+  });
+
+describe('MarketSnapshotService', () => {
+  describe('rankCandidates', () => {
+    it('should drop releases whose snapshots are all fresh', () => {
+      const ranked = rank([
+        {
+          releaseId: 'fresh',
+          value: 100,
+          lastFetched: { DISCOGS: hoursAgo(2), EBAY: hoursAgo(5) },
+        },
+      ]);
+
+      expect(ranked).toEqual([]);
+    });
+
+    it('should only refresh the sources that are stale', () => {
+      const [candidate] = rank([
+        {
+          releaseId: 'mixed',
+          value: 20,
+          lastFetched: { DISCOGS: hoursAgo(30), EBAY: hoursAgo(1) },
+        },
+      ]);
+
+      expect(candidate.staleSources).toEqual(['DISCOGS']);
+    });
+
+    it('should put never-fetched releases first, by value', () => {
+      const ranked = rank([
+        {
+          releaseId: 'very-old',
+          value: 500,
+          lastFetched: { DISCOGS: hoursAgo(500), EBAY: hoursAgo(500) },
+        },
+        { releaseId: 'new-cheap', value: 5, lastFetched: {} },
+        {
+          releaseId: 'new-valuable',
+          value: 80,
+          lastFetched: { DISCOGS: hoursAgo(1) },
+        },
+      ]);
+
+      expect(ranked.map((c) => c.releaseId)).toEqual([
+        'new-valuable',
+        'new-cheap',
+        'very-old',
+      ]);
+      expect(ranked[0].staleSources).toEqual(['EBAY']);
+    });
+
+    it('should weigh staleness against value', () => {
+      const ranked = rank([
+        {
+          releaseId: 'cheap-older',
+          value: 2,
+          lastFetched: { DISCOGS: hoursAgo(50), EBAY: hoursAgo(50) },
+        },
+        {
+          releaseId: 'valuable-stale',
+          value: 400,
+          lastFetched: { DISCOGS: hoursAgo(30), EBAY: hoursAgo(30) },
+        },
+        {
+          releaseId: 'cheap-stale',
+          value: 2,
+          lastFetched: { DISCOGS: hoursAgo(30), EBAY: hoursAgo(30) },
+        },
+      ]);
+
+      expect(ranked.map((c) => c.releaseId)).toEqual([
+        'valuable-stale',
+        'cheap-older',
+        'cheap-stale',
+      ]);
+    });
+  });
+
+  describe('rankCandidates with refresh attempts', () => {
+    it('should not treat a release with no data as never fetched', () => {
+      const ranked = rank([
+        {
+          releaseId: 'no-data',
+          value: 900,
+          lastFetched: {},
+          lastAttempt: {
+            DISCOGS: { attemptedAt: hoursAgo(30), misses: 1 },
+            EBAY: { attemptedAt: hoursAgo(30), misses: 1 },
+          },
+        },
+        {
+          releaseId: 'stale',
+          value: 10,
+          lastFetched: { DISCOGS: hoursAgo(30), EBAY: hoursAgo(30) },
+        },
+      ]);
+
+      expect(ranked.map((c) => c.releaseId)).toEqual(['stale']);
+    });
+
+    it('should retry a release with no data once its back-off has passed', () => {
+      const [candidate] = rank([
+        {
+          releaseId: 'no-data',
+          value: 900,
+          lastFetched: { EBAY: hoursAgo(2) },
+          lastAttempt: {
+            DISCOGS: { attemptedAt: hoursAgo(100), misses: 2 },
+            EBAY: { attemptedAt: hoursAgo(2), misses: 0 },
+          },
+        },
+      ]);
+
+      expect(candidate.staleSources).toEqual(['DISCOGS']);
+      expect(candidate.score).toBeLessThan(Number.MAX_SAFE_INTEGER / 2);
+    });
+
+    it('should use the later of the last snapshot and the last attempt', () => {
+      const ranked = rank([
+        {
+          releaseId: 'old-snapshot-recent-miss',
+          value: 50,
+          lastFetched: { DISCOGS: hoursAgo(200), EBAY: hoursAgo(200) },
+          lastAttempt: {
+            DISCOGS: { attemptedAt: hoursAgo(30), misses: 1 },
+            EBAY: { attemptedAt: hoursAgo(30), misses: 1 },
+          },
+        },
+      ]);
+
+      expect(ranked).toEqual([]);
+    });
+  });
+
+  describe('retryWindowHours', () => {
+    it('should double the window per miss up to the cap', () => {
+      expect(marketSnapshotService.retryWindowHours(0, 24)).toBe(24);
+      expect(marketSnapshotService.retryWindowHours(1, 24)).toBe(48);
+      expect(marketSnapshotService.retryWindowHours(3, 24)).toBe(192);
+      expect(marketSnapshotService.retryWindowHours(20, 24)).toBe(720);
+    });
+  });
+
+  describe('computeTrend', () => {
+    const point = (days, median, low = null) => ({
+      fetchedAt: hoursAgo(days * 24),
+      low,
+      median,
+      high: null,
+    });
+
+    it('should measure change from the price at the start of each window', () => {
+      const trend = marketSnapshotService.computeTrend(
+        [point(120, 10), point(60, 20), point(31, 40), point(1, 50)],
+        now
+      );
+
+      expect(trend.price).toBe(50);
+      expect(trend.change30d.fromPrice).toBe(40);
+      expect(trend.change30d.percent).toBe(25);
+      expect(trend.change90d.fromPrice).toBe(10);
+      expect(trend.change90d.percent).toBe(400);
+    });
+
+    it('should fall back to the low when a source has no median', () => {
+      const trend = marketSnapshotService.computeTrend(
+        [point(10, null, 20), point(2, null, 15)],
+        now
+      );
+
+      expect(trend.change30d.percent).toBe(-25);
+      expect(trend.volatility).toBeNull();
+    });
+
+    it('should report volatility as the coefficient of variation', () => {
+      const trend = marketSnapshotService.computeTrend(
+        [point(20, 10), point(10, 20), point(1, 30)],
+        now
+      );
+
+      expect(trend.volatility).toBeCloseTo(40.82, 2);
+    });
+
+    it('should not report change without two priced points', () => {
+      const trend = marketSnapshotService.computeTrend([point(5, 30)], now);
+
+      expect(trend.price).toBe(30);
+      expect(trend.change30d).toBeNull();
+      expect(trend.change90d).toBeNull();
+    });
+  });
+});
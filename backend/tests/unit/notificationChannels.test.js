@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import EmailNotificationChannel from '../../src/providers/emailNotificationChannel.js';
+import WebhookNotificationChannel from '../../src/providers/webhookNotificationChannel.js';
+import { NOTIFICATION_EVENTS } from '../../src/templates/notificationTemplates.js';
+
+describe('Notification channels', () => {
+  describe('WebhookNotificationChannel', () => {
+    it('should sign timestamp and body with HMAC-SHA256', () => {
+      const channel = new WebhookNotificationChannel({ secret: 'shh' });
+      const expected = crypto
+        .createHmac('sha256', 'shh')
+        .update('1700000000.{"a":1}')
+        .digest('hex');
+
+      expect(channel.sign('{"a":1}', 1700000000)).toBe(expected);
+    });
+  });
+
+  describe('EmailNotificationChannel (file transport)', () => {
+    let outputDir;
+
+    beforeAll(async () => {
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'notify-mail-'));
+    });
+
+    afterAll(async () => {
+      await fs.rm(outputDir, { recursive: true, force: true });
+    });
+
+    it('should write the rendered message to an .eml file', async () => {
+      const channel = new EmailNotificationChannel({
+        transport: 'file',
+        from: 'shop@example.com',
+        outputDir,
+      });
+
+      const result = await channel.send({
+        id: 'abc-123',
+        eventType: NOTIFICATION_EVENTS.WISHLIST_PRICE_DROP,
+        recipient: 'buyer@example.com',
+        subject: 'Price drop: Artist - Title',
+        body: 'Dropped',
+        payload: {
+          releaseArtist: 'Artist',
+          releaseTitle: 'Title',
+          previousPrice: 30,
+          newPrice: 25,
+        },
+      });
+
+      const contents = await fs.readFile(result.filePath, 'utf8');
+      expect(contents).toContain('To: buyer@example.com');
+      expect(contents).toContain('Subject: Price drop: Artist - Title');
+      expect(contents).toMatch(/X-Notification-Id: abc-123/i);
+    });
+
+    it('should reject unsupported transports', () => {
+      expect(
+        () => new EmailNotificationChannel({ transport: 'carrier-pigeon' })
+      ).toThrow('Unsupported email transport');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import notificationService from '../../src/services/notificationService.js';
+import {
+  NOTIFICATION_EVENTS,
+  renderNotification,
+} from '../../src/templates/notificationTemplates.js';
+
+describe('NotificationService', () => {
+  describe('renderNotification', () => {
+    it('should render a counter-offer with price and item title', () => {
+      const { subject, text, html } = renderNotification(
+        NOTIFICATION_EVENTS.COUNTER_OFFER,
+        {
+          itemTitle: 'Miles Davis - Kind of Blue',
+          counterOfferPrice: 42.5,
+          submissionId: 'sub-1',
+        }
+      );
+
+      expect(subject).toBe('Counter-offer on Miles Davis - Kind of Blue');
+      expect(text).toContain('$42.50');
+      expect(html).toContain('<p>');
+    });
+
+    it('should skip empty optional lines', () => {
+      const { text } = renderNotification(NOTIFICATION_EVENTS.ORDER_SHIPPED, {
+        orderNumber: 'OUL-1',
+        trackingNumber: 'TRK1',
+      });
+
+      expect(text).not.toContain('Track your package');
+      expect(text).not.toContain('null');
+    });
+
+    it('should escape HTML in template variables', () => {
+      const { html } = renderNotification(
+        NOTIFICATION_EVENTS.SUBMISSION_STATUS_CHANGED,
+        {
+          sellerName: '<script>',
+          toStatus: 'ACCEPTED',
+          message: 'ok',
+          submissionId: 'sub-1',
+        }
+      );
+
+      expect(html).toContain('&lt;script&gt;');
+      expect(html).not.toContain('<script>');
+    });
+
+    it('should reject unknown event types', () => {
+      expect(() => renderNotification('NOPE', {})).toThrow(
+        'Unknown notification event type'
+      );
+    });
+  });
+
+  describe('_getRetryDelayMs', () => {
+    it('should back off exponentially from the base delay', () => {
+      const base = notificationService.settings.retryBaseDelaySeconds * 1000;
+
+      expect(notificationService._getRetryDelayMs(1)).toBe(base);
+      expect(notificationService._getRetryDelayMs(2)).toBe(base * 2);
+      expect(notificationService._getRetryDelayMs(3)).toBe(base * 4);
+    });
+
+    it('should cap the delay at six hours', () => {
+      expect(notificationService._getRetryDelayMs(50)).toBe(6 * 60 * 60 * 1000);
+    });
+  });
+});
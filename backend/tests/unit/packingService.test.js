@@ -0,0 +1,202 @@
+import packingService from '../../src/services/packingService.js';
+
+const box = (name, capacity, lengthIn, widthIn, heightIn, emptyWeightOz) => ({
+  id: name,
+  name,
+  capacity,
+  lengthIn: String(lengthIn),
+  widthIn: String(widthIn),
+  heightIn: String(heightIn),
+  emptyWeightOz,
+});
+
+// The catalogue seeded by the add_shipment_packages migration
+const boxes = [
+  box('10 LP Box', 10, 13.5, 13.5, 4.5, 20),
+  box('Single LP Mailer', 1, 12.75, 12.75, 1, 6),
+  box('5 LP Box', 5, 13, 13, 3, 14),
+  box('1-3 LP Mailer', 3, 12.75, 12.75, 2, 9),
+];
+
+const settings = { dimDivisor: 166, dimMinCubicInches: 1728 };
+
+describe('PackingService', () => {
+  describe('chooseBoxes', () => {
+    const names = (unitCount) =>
+      packingService.chooseBoxes(unitCount, boxes).map((b) => b.name);
+
+    it('should use the smallest box that holds a small order', () => {
+      expect(names(1)).toEqual(['Single LP Mailer']);
+      expect(names(2)).toEqual(['1-3 LP Mailer']);
+      expect(names(4)).toEqual(['5 LP Box']);
+      expect(names(10)).toEqual(['10 LP Box']);
+    });
+
+    it('should split large orders into the largest box plus a remainder box', () => {
+      expect(names(20)).toEqual(['10 LP Box', '10 LP Box']);
+      expect(names(12)).toEqual(['10 LP Box', '1-3 LP Mailer']);
+      expect(names(25)).toEqual(['10 LP Box', '10 LP Box', '5 LP Box']);
+    });
+
+    it('should fall back to one unboxed package without a catalogue', () => {
+      expect(packingService.chooseBoxes(20, [])).toEqual([null]);
+    });
+  });
+
+  describe('dimensionalWeightOz', () => {
+    it('should be zero at or below the minimum volume', () => {
+      expect(
+        packingService.dimensionalWeightOz(
+          { length: 13.5, width: 13.5, height: 4.5 },
+          settings
+        )
+      ).toBe(0);
+      expect(packingService.dimensionalWeightOz(null, settings)).toBe(0);
+    });
+
+    it('should round dimensions and pounds up', () => {
+      // 13 x 13 x 11 = 1859 in3 / 166 = 11.2 -> 12 lb
+      expect(
+        packingService.dimensionalWeightOz(
+          { length: 12.5, width: 12.1, height: 10.2 },
+          settings
+        )
+      ).toBe(192);
+      // 14 x 14 x 5 = 980 in3 / 139 = 7.05 -> 8 lb
+      expect(
+        packingService.dimensionalWeightOz(
+          { length: 13.5, width: 13.5, height: 4.5 },
+          { dimDivisor: 139, dimMinCubicInches: 0 }
+        )
+      ).toBe(128);
+    });
+  });
+
+  describe('planPackages', () => {
+    const items = [
+      { id: 'item-1', releaseTitle: 'Kind of Blue', quantity: 12 },
+      { id: 'item-2', releaseTitle: 'Blue Train' },
+    ];
+
+    it('should split items across packages and weigh each one', () => {
+      const plan = packingService.planPackages(items, boxes, settings);
+
+      expect(plan.packages).toHaveLength(2);
+      expect(plan.packages[0]).toMatchObject({
+        packageNumber: 1,
+        boxName: '10 LP Box',
+        units: 10,
+        items: [{ orderItemId: 'item-1', title: 'Kind of Blue', quantity: 10 }],
+        dimensions: { length: 13.5, width: 13.5, height: 4.5 },
+        weightOz: 100,
+        billableWeightOz: 100,
+      });
+      expect(plan.packages[1]).toMatchObject({
+        packageNumber: 2,
+        boxName: '1-3 LP Mailer',
+        units: 3,
+        items: [
+          { orderItemId: 'item-1', quantity: 2 },
+          { orderItemId: 'item-2', quantity: 1 },
+        ],
+        weightOz: 33,
+      });
+      expect(plan.totals).toEqual({
+        packages: 2,
+        units: 13,
+        weightOz: 133,
+        billableWeightOz: 133,
+      });
+    });
+
+    it('should bill the dimensional weight when it is higher', () => {
+      const plan = packingService.planPackages(
+        [{ id: 'item-1' }],
+        [box('Crate', 1, 24, 24, 12, 16)],
+        settings
+      );
+
+      // 24 x 24 x 12 = 6912 in3 / 166 = 41.6 -> 42 lb
+      expect(plan.packages[0]).toMatchObject({
+        weightOz: 24,
+        dimensionalWeightOz: 672,
+        billableWeightOz: 672,
+      });
+    });
+
+    it('should use the legacy weight estimate without a catalogue', () => {
+      const plan = packingService.planPackages(items, [], settings);
+
+      expect(plan.packages).toHaveLength(1);
+      expect(plan.packages[0]).toMatchObject({
+        boxId: null,
+        dimensions: null,
+        weightOz: 13 * 8 + 4,
+      });
+    });
+
+    it('should reject an order with no items', () => {
+      expect(() => packingService.planPackages([], boxes, settings)).toThrow(
+        'Nothing to pack'
+      );
+    });
+  });
+
+  describe('planSinglePackage', () => {
+    it('should use the weight and size the packer measured', () => {
+      const plan = packingService.planSinglePackage(
+        [{ id: 'item-1', quantity: 3 }],
+        { weightOz: 40, dimensions: { length: 13, width: 13, height: 3 } },
+        settings
+      );
+
+      expect(plan.packages[0]).toMatchObject({
+        units: 3,
+        weightOz: 40,
+        dimensionalWeightOz: 0,
+        billableWeightOz: 40,
+      });
+      expect(plan.totals.weightOz).toBe(40);
+    });
+  });
+
+  describe('_normalizeBox', () => {
+    const valid = {
+      name: ' 5 LP Box ',
+      capacity: '5',
+      lengthIn: 13,
+      widthIn: 13,
+      heightIn: 3,
+      emptyWeightOz: 14,
+    };
+
+    it('should trim and convert box fields', () => {
+      expect(packingService._normalizeBox(valid)).toEqual({
+        name: '5 LP Box',
+        capacity: 5,
+        lengthIn: '13',
+        widthIn: '13',
+        heightIn: '3',
+        emptyWeightOz: 14,
+      });
+    });
+
+    it('should reject invalid capacity and dimensions', () => {
+      expect(() =>
+        packingService._normalizeBox({ ...valid, capacity: 0 })
+      ).toThrow('capacity must be a whole number of records');
+      expect(() =>
+        packingService._normalizeBox({ ...valid, heightIn: -1 })
+      ).toThrow('heightIn must be a positive number');
+      expect(() =>
+        packingService._normalizeBox({ ...valid, name: undefined })
+      ).toThrow('name is required');
+    });
+
+    it('should only validate supplied fields on update', () => {
+      expect(
+        packingService._normalizeBox({ isActive: false }, { partial: true })
+      ).toEqual({ isActive: false });
+    });
+  });
+});
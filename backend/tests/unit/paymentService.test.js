@@ -0,0 +1,101 @@
+import paymentService from '../../src/services/paymentService.js';
+
+describe('PaymentService', () => {
+  describe('calculateRefundAmount', () => {
+    const order = { subtotal: 50, tax: 4, shipping: 6, total: 60 };
+    const items = [
+      { id: 'a', priceAtPurchase: 20 },
+      { id: 'b', priceAtPurchase: 30 },
+    ];
+
+    it('should refund item price plus its share of tax for a partial refund', () => {
+      const result = paymentService.calculateRefundAmount(
+        order,
+        [items[0]],
+        2,
+        0
+      );
+
+      // $20 + (20/50 * $4 tax)
+      expect(result.amount).toBe(21.6);
+      expect(result.isFullRefund).toBe(false);
+    });
+
+    it('should refund the remaining balance when the last items are refunded', () => {
+      const result = paymentService.calculateRefundAmount(
+        order,
+        [items[1]],
+        1,
+        21.6
+      );
+
+      // Includes shipping: $60 - $21.60 already refunded
+      expect(result.amount).toBe(38.4);
+      expect(result.isFullRefund).toBe(true);
+    });
+
+    it('should refund the whole order when no items are specified', () => {
+      const result = paymentService.calculateRefundAmount(order, [], 2, 0);
+
+      expect(result.amount).toBe(60);
+      expect(result.isFullRefund).toBe(true);
+    });
+
+    it('should never refund more than the remaining balance', () => {
+      const result = paymentService.calculateRefundAmount(
+        order,
+        [items[1]],
+        2,
+        50
+      );
+
+      expect(result.amount).toBe(10);
+    });
+
+    it('should refund the discounted price when a promo code was used', () => {
+      // 10% off both items: $45 paid for items, tax on $45
+      const discountedOrder = {
+        subtotal: 50,
+        tax: 3.6,
+        shipping: 6,
+        total: 54.6,
+        discountBreakdown: { itemDiscount: 5 },
+      };
+
+      const result = paymentService.calculateRefundAmount(
+        discountedOrder,
+        [{ id: 'a', priceAtPurchase: 20, discountAmount: 2 }],
+        2,
+        0
+      );
+
+      // $18 + (18/45 * $3.60 tax)
+      expect(result.amount).toBe(19.44);
+      expect(result.isFullRefund).toBe(false);
+    });
+
+    it('should handle orders without tax', () => {
+      const result = paymentService.calculateRefundAmount(
+        { subtotal: 0, tax: 0, total: 0 },
+        [],
+        0,
+        0
+      );
+
+      expect(result.amount).toBe(0);
+    });
+  });
+
+  describe('_sumRefunds', () => {
+    it('should ignore failed and cancelled refunds', () => {
+      const total = paymentService._sumRefunds([
+        { amount: '10.50', status: 'succeeded' },
+        { amount: '5.00', status: 'pending' },
+        { amount: '99.00', status: 'failed' },
+        { amount: '1.00', status: 'canceled' },
+      ]);
+
+      expect(total).toBe(15.5);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import payoutService from '../../src/services/payoutService.js';
+
+describe('PayoutService', () => {
+  describe('validateStatusTransition', () => {
+    it('should allow the approve then pay path', () => {
+      expect(() =>
+        payoutService.validateStatusTransition('DRAFT', 'APPROVED')
+      ).not.toThrow();
+      expect(() =>
+        payoutService.validateStatusTransition('APPROVED', 'PAID')
+      ).not.toThrow();
+    });
+
+    it('should allow a failed batch to be retried or cancelled', () => {
+      expect(() =>
+        payoutService.validateStatusTransition('FAILED', 'APPROVED')
+      ).not.toThrow();
+      expect(() =>
+        payoutService.validateStatusTransition('FAILED', 'CANCELLED')
+      ).not.toThrow();
+    });
+
+    it('should not pay a batch that has not been approved', () => {
+      expect(() =>
+        payoutService.validateStatusTransition('DRAFT', 'PAID')
+      ).toThrow('Cannot transition from DRAFT to PAID');
+    });
+
+    it('should treat paid and cancelled batches as final', () => {
+      expect(() =>
+        payoutService.validateStatusTransition('PAID', 'CANCELLED')
+      ).toThrow('Cannot transition from PAID to CANCELLED');
+      expect(() =>
+        payoutService.validateStatusTransition('CANCELLED', 'APPROVED')
+      ).toThrow('Cannot transition from CANCELLED to APPROVED');
+    });
+  });
+
+  describe('reopenHistoricalPayables', () => {
+    it('should require submission item IDs', async () => {
+      await expect(
+        payoutService.reopenHistoricalPayables([], 'admin-1')
+      ).rejects.toThrow('submissionItemIds must be a non-empty array');
+    });
+  });
+
+  describe('generateBatchNumber', () => {
+    it('should use the PB-YYYYMMDD-XXXX format', () => {
+      expect(payoutService.generateBatchNumber()).toMatch(/^PB-\d{8}-\d{4}$/);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import pricingPolicyScheduleService from '../../src/services/pricingPolicyScheduleService.js';
+
+describe('PricingPolicyScheduleService', () => {
+  const now = new Date('2026-11-20T12:00:00Z');
+
+  describe('parseWindow', () => {
+    it('should treat a missing window as immediate', () => {
+      expect(pricingPolicyScheduleService.parseWindow({}, now)).toEqual({
+        effectiveFrom: null,
+        effectiveUntil: null,
+        scheduled: false,
+      });
+    });
+
+    it('should schedule versions with a future effectiveFrom', () => {
+      const window = pricingPolicyScheduleService.parseWindow(
+        {
+          effectiveFrom: '2026-11-27T00:00:00Z',
+          effectiveUntil: '2026-12-01T00:00:00Z',
+        },
+        now
+      );
+
+      expect(window.scheduled).toBe(true);
+      expect(window.effectiveFrom.toISOString()).toBe(
+        '2026-11-27T00:00:00.000Z'
+      );
+      expect(window.effectiveUntil.toISOString()).toBe(
+        '2026-12-01T00:00:00.000Z'
+      );
+    });
+
+    it('should activate immediately when effectiveFrom has passed', () => {
+      const window = pricingPolicyScheduleService.parseWindow(
+        { effectiveFrom: '2026-11-01T00:00:00Z' },
+        now
+      );
+
+      expect(window.scheduled).toBe(false);
+    });
+
+    it('should reject invalid dates', () => {
+      expect(() =>
+        pricingPolicyScheduleService.parseWindow(
+          { effectiveFrom: 'next friday' },
+          now
+        )
+      ).toThrow('effectiveFrom must be a valid date');
+    });
+
+    it('should reject windows that end before they start', () => {
+      expect(() =>
+        pricingPolicyScheduleService.parseWindow(
+          {
+            effectiveFrom: '2026-12-01T00:00:00Z',
+            effectiveUntil: '2026-11-27T00:00:00Z',
+          },
+          now
+        )
+      ).toThrow('effectiveUntil must be after effectiveFrom');
+    });
+
+    it('should reject windows that already ended', () => {
+      expect(() =>
+        pricingPolicyScheduleService.parseWindow(
+          { effectiveUntil: '2026-11-01T00:00:00Z' },
+          now
+        )
+      ).toThrow('effectiveUntil must be in the future');
+    });
+  });
+
+  describe('scheduleData', () => {
+    it('should keep scheduled versions inactive', () => {
+      const window = pricingPolicyScheduleService.parseWindow(
+        { effectiveFrom: '2026-11-27T00:00:00Z' },
+        now
+      );
+
+      expect(
+        pricingPolicyScheduleService.scheduleData(window, 'current-policy')
+      ).toMatchObject({
+        isActive: false,
+        scheduleStatus: 'SCHEDULED',
+      });
+    });
+
+    it('should remember the replaced version for time-limited saves', () => {
+      const window = pricingPolicyScheduleService.parseWindow(
+        { effectiveUntil: '2026-12-01T00:00:00Z' },
+        now
+      );
+
+      expect(
+        pricingPolicyScheduleService.scheduleData(window, 'current-policy')
+      ).toMatchObject({
+        isActive: true,
+        scheduleStatus: 'ACTIVATED',
+        replacedPolicyId: 'current-policy',
+      });
+    });
+
+    it('should leave open-ended saves unscheduled', () => {
+      const window = pricingPolicyScheduleService.parseWindow({}, now);
+
+      expect(
+        pricingPolicyScheduleService.scheduleData(window, 'current-policy')
+      ).toMatchObject({
+        isActive: true,
+        scheduleStatus: null,
+        replacedPolicyId: null,
+      });
+    });
+  });
+});
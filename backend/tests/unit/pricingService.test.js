@@ -280,6 +280,55 @@ describe('PricingService - Unit Tests', () => {
       expect(result.discountPercent).toBe(30);
       expect(result.newPrice).toBe(70);
     });
+
+    test('markdown stops at cost basis plus minimum margin', () => {
+      const listedAt = new Date();
+      listedAt.setDate(listedAt.getDate() - 65);
+
+      const result = pricingService.calculateMarkdown({
+        currentPrice: 70,
+        listedAt,
+        costBasis: 50,
+        minProfitMargin: 0.3,
+      });
+
+      // 20% off would be $56, floor is $65
+      expect(result.newPrice).toBe(65);
+      expect(result.floorPrice).toBe(65);
+      expect(result.floorApplied).toBe(true);
+    });
+
+    test('markdown never raises a price already below the floor', () => {
+      const listedAt = new Date();
+      listedAt.setDate(listedAt.getDate() - 65);
+
+      const result = pricingService.calculateMarkdown({
+        currentPrice: 60,
+        listedAt,
+        costBasis: 50,
+        minProfitMargin: 0.3,
+      });
+
+      expect(result.newPrice).toBe(60);
+    });
+
+    test('markdown tiers apply to the pre-markdown price', () => {
+      const now = new Date('2026-06-01T00:00:00Z');
+      const listedAt = new Date('2026-03-28T00:00:00Z'); // 65 days
+
+      // Already marked down 10% from $100 at the 30-day tier
+      const result = pricingService.calculateMarkdown({
+        currentPrice: 90,
+        listedAt,
+        costBasis: 20,
+        appliedDiscount: 0.1,
+        now,
+      });
+
+      expect(result.daysListed).toBe(65);
+      expect(result.discountPercent).toBe(20);
+      expect(result.newPrice).toBe(80);
+    });
   });
 
   // ============================================================================
@@ -682,6 +731,179 @@ describe('PricingService - Unit Tests', () => {
     });
   });
 
+  // ============================================================================
+  // SCOPED POLICY RESOLUTION TESTS
+  // ============================================================================
+
+  describe('Scoped Policy Resolution', () => {
+    test('should read the scope value for the policy scope', () => {
+      expect(
+        pricingService.getScopeValue({ scope: 'LABEL', labelScope: 'Blue Note' })
+      ).toBe('Blue Note');
+      expect(
+        pricingService.getScopeValue({ scope: 'GENRE', genreScope: 'Jazz' })
+      ).toBe('Jazz');
+      expect(
+        pricingService.getScopeValue({ scope: 'CHANNEL', channelScope: 'STORE' })
+      ).toBe('STORE');
+      expect(pricingService.getScopeValue({ scope: 'SELLER' })).toBeNull();
+    });
+
+    test('should explain the resolved policy behind a formula', () => {
+      const resolution = {
+        policyId: 'policy-1',
+        name: 'Jazz Offers',
+        version: 2,
+        matchedBy: 'GENRE',
+        matchedValue: 'Jazz',
+      };
+
+      expect(
+        pricingService.explainPolicy({
+          buyPercentage: 0.6,
+          policyResolution: resolution,
+        })
+      ).toBe(resolution);
+    });
+
+    test('should report caller-supplied formulas as overrides', () => {
+      expect(
+        pricingService.explainPolicy({ buyPercentage: 0.6, policyId: 'draft' })
+      ).toEqual({
+        policyId: 'draft',
+        name: null,
+        version: null,
+        matchedBy: 'OVERRIDE',
+        matchedValue: null,
+      });
+    });
+  });
+
+  // ============================================================================
+  // HYBRID MARKET BLENDING TESTS
+  // ============================================================================
+
+  describe('Hybrid Market Blending', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    const daysAgo = (days) => new Date(now.getTime() - days * 86400000);
+    const snapshot = (source, median, overrides = {}) => ({
+      source,
+      statLow: null,
+      statMedian: median,
+      statHigh: null,
+      sampleSize: 10,
+      fetchedAt: now,
+      ...overrides,
+    });
+
+    test('blends sources by policy weight', () => {
+      const result = pricingService.blendMarketStats(
+        [snapshot('DISCOGS', 40), snapshot('EBAY', 20)],
+        { blend: { weights: { DISCOGS: 0.75, EBAY: 0.25 } }, now }
+      );
+
+      expect(result.value).toBe(35);
+      expect(result.contributors.map((c) => c.source)).toEqual([
+        'DISCOGS',
+        'EBAY',
+      ]);
+      expect(result.contributors[0].share).toBe(0.75);
+    });
+
+    test('gives larger samples more confidence', () => {
+      const result = pricingService.blendMarketStats(
+        [
+          snapshot('DISCOGS', 40, { sampleSize: 90 }),
+          snapshot('EBAY', 20, { sampleSize: 10 }),
+        ],
+        { now }
+      );
+
+      // Confidence 0.9 vs 0.5 at equal weights
+      expect(result.value).toBeCloseTo(32.86, 2);
+    });
+
+    test('decays older snapshots by half-life', () => {
+      const result = pricingService.blendMarketStats(
+        [
+          snapshot('DISCOGS', 30, { fetchedAt: daysAgo(30) }),
+          snapshot('DISCOGS', 60, { fetchedAt: now }),
+        ],
+        { now }
+      );
+
+      // Weights 0.5 and 1.0
+      expect(result.value).toBe(50);
+    });
+
+    test('trims snapshots far from the source median', () => {
+      const result = pricingService.blendMarketStats(
+        [
+          snapshot('EBAY', 20),
+          snapshot('EBAY', 22),
+          snapshot('EBAY', 21),
+          snapshot('EBAY', 200),
+        ],
+        { now }
+      );
+
+      expect(result.value).toBe(21);
+      expect(result.contributors[0].trimmed).toBe(1);
+    });
+
+    test('keeps every snapshot when trimming would drop them all', () => {
+      const result = pricingService.blendMarketStats(
+        [
+          snapshot('EBAY', 10),
+          snapshot('EBAY', 10),
+          snapshot('EBAY', 40),
+          snapshot('EBAY', 40),
+        ],
+        { now }
+      );
+
+      expect(result.value).toBe(25);
+      expect(result.contributors[0].snapshots).toBe(4);
+      expect(result.contributors[0].trimmed).toBe(0);
+    });
+
+    test('falls back to the remaining source when one is missing', () => {
+      const result = pricingService.blendMarketStats(
+        [snapshot('DISCOGS', 25), snapshot('EBAY', null)],
+        { now }
+      );
+
+      expect(result.value).toBe(25);
+      expect(result.excluded).toEqual([{ source: 'EBAY', reason: 'NO_DATA' }]);
+    });
+
+    test('uses the newest stale snapshot when nothing is recent', () => {
+      const result = pricingService.blendMarketStats(
+        [snapshot('DISCOGS', 18, { fetchedAt: daysAgo(400) })],
+        { now }
+      );
+
+      expect(result.value).toBe(18);
+      expect(result.contributors[0].stale).toBe(true);
+    });
+
+    test('leaves out zero-weight sources and returns null without data', () => {
+      const result = pricingService.blendMarketStats(
+        [snapshot('EBAY', 30)],
+        { blend: { weights: { EBAY: 0 } }, now }
+      );
+
+      expect(result).toBeNull();
+      expect(pricingService.blendMarketStats([], { now })).toBeNull();
+    });
+
+    test('rejects negative source weights', () => {
+      expect(() =>
+        pricingService.validateMarketBlend({ weights: { EBAY: -1 } })
+      ).toThrow('marketBlend.weights.EBAY must be a non-negative number');
+    });
+  });
+
   // ============================================================================
   // PRIVATE METHOD VALIDATION TESTS
   // ============================================================================
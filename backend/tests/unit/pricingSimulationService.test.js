@@ -0,0 +1,73 @@
+import pricingSimulationService from '../../src/services/pricingSimulationService.js';
+
+describe('PricingSimulationService', () => {
+  describe('simulate validation', () => {
+    it('should reject an unknown policy type', async () => {
+      await expect(
+        pricingSimulationService.simulate('DEALER', { sellFormula: {} })
+      ).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should require the formula for the policy type', async () => {
+      await expect(
+        pricingSimulationService.simulate('SELLER', {
+          buyFormula: { buyPercentage: 0.5 },
+        })
+      ).rejects.toThrow('sellFormula is required to simulate');
+    });
+
+    it('should reject invalid market blend weights', async () => {
+      await expect(
+        pricingSimulationService.simulate('BUYER', {
+          buyFormula: { marketBlend: { weights: { DISCOGS: -1 } } },
+        })
+      ).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('_draftApplies', () => {
+    it('should apply the draft only where the global policy would win', () => {
+      expect(
+        pricingSimulationService._draftApplies({ matchedBy: 'GLOBAL' })
+      ).toBe(true);
+      expect(
+        pricingSimulationService._draftApplies({ matchedBy: 'DEFAULT' })
+      ).toBe(true);
+      for (const matchedBy of ['RELEASE', 'LABEL', 'GENRE', 'CHANNEL']) {
+        expect(pricingSimulationService._draftApplies({ matchedBy })).toBe(
+          false
+        );
+      }
+    });
+  });
+
+  describe('_summarize', () => {
+    it('should leave unaffected rows out of the totals', () => {
+      const priced = pricingSimulationService._compare(
+        { id: 'a', oldPrice: 10, oldMargin: 100 },
+        15,
+        { newMargin: 200 }
+      );
+      const kept = pricingSimulationService._unaffected(
+        { id: 'b', oldPrice: 40, oldMargin: 100 },
+        { policyId: 'p1', matchedBy: 'LABEL' }
+      );
+
+      const summary = pricingSimulationService._summarize(
+        [priced, kept],
+        2,
+        0.3
+      );
+
+      expect(summary).toMatchObject({
+        evaluated: 2,
+        unaffected: 1,
+        priced: 1,
+        unpriced: 0,
+        oldTotal: 10,
+        newTotal: 15,
+        totalChange: 5,
+      });
+    });
+  });
+});
@@ -0,0 +1,280 @@
+import promotionService from '../../src/services/promotionService.js';
+
+describe('PromotionService', () => {
+  const item = (id, price, genre = 'Jazz', label = 'Blue Note') => ({
+    id,
+    inventoryLotId: `lot-${id}`,
+    priceAtPurchase: price,
+    inventoryLot: { release: { genre, label } },
+  });
+
+  const promotion = (overrides = {}) => ({
+    id: 'promo-1',
+    code: 'RSD2026',
+    type: 'PERCENT_OFF',
+    value: 20,
+    genres: [],
+    labels: [],
+    minSubtotal: null,
+    isActive: true,
+    startsAt: null,
+    expiresAt: null,
+    ...overrides,
+  });
+
+  describe('calculateDiscount', () => {
+    it('should take a percentage off every item', () => {
+      const discount = promotionService.calculateDiscount(promotion(), {
+        items: [item('a', 25), item('b', 14.99)],
+        shipping: 5.99,
+      });
+
+      expect(discount.applied).toBe(true);
+      expect(discount.lines).toEqual([
+        { orderItemId: 'a', inventoryLotId: 'lot-a', amount: 5 },
+        { orderItemId: 'b', inventoryLotId: 'lot-b', amount: 3 },
+      ]);
+      expect(discount.itemDiscount).toBe(8);
+      expect(discount.shippingDiscount).toBe(0);
+      expect(discount.totalDiscount).toBe(8);
+    });
+
+    it('should only discount items in the genre and label scope', () => {
+      const discount = promotionService.calculateDiscount(
+        promotion({ genres: ['jazz'], labels: ['Blue Note'] }),
+        {
+          items: [
+            item('a', 30),
+            item('b', 30, 'Rock', 'Blue Note'),
+            item('c', 30, 'Jazz', 'Impulse!'),
+          ],
+          shipping: 5.99,
+        }
+      );
+
+      expect(discount.lines.map((line) => line.orderItemId)).toEqual(['a']);
+      expect(discount.eligibleSubtotal).toBe(30);
+      expect(discount.totalDiscount).toBe(6);
+    });
+
+    it('should split a fixed amount across items by price', () => {
+      const discount = promotionService.calculateDiscount(
+        promotion({ type: 'FIXED_OFF', value: 10 }),
+        { items: [item('a', 10), item('b', 10), item('c', 10)], shipping: 0 }
+      );
+
+      // Rounding pennies land on the last line
+      expect(discount.lines.map((line) => line.amount)).toEqual([
+        3.33, 3.33, 3.34,
+      ]);
+      expect(discount.itemDiscount).toBe(10);
+    });
+
+    it('should discount every unit on a multi-unit line', () => {
+      const discount = promotionService.calculateDiscount(
+        promotion({ type: 'FIXED_OFF', value: 10 }),
+        {
+          items: [{ ...item('a', 15), quantity: 3 }, item('b', 15)],
+          shipping: 0,
+        }
+      );
+
+      expect(discount.eligibleSubtotal).toBe(60);
+      expect(discount.lines.map((line) => line.amount)).toEqual([7.5, 2.5]);
+    });
+
+    it('should cap a fixed amount at the qualifying subtotal', () => {
+      const discount = promotionService.calculateDiscount(
+        promotion({ type: 'FIXED_OFF', value: 50 }),
+        { items: [item('a', 20)], shipping: 5.99 }
+      );
+
+      expect(discount.totalDiscount).toBe(20);
+    });
+
+    it('should waive shipping for free shipping codes', () => {
+      const discount = promotionService.calculateDiscount(
+        promotion({ type: 'FREE_SHIPPING', value: 0 }),
+        { items: [item('a', 20)], shipping: 14.99 }
+      );
+
+      expect(discount.lines).toEqual([]);
+      expect(discount.shippingDiscount).toBe(14.99);
+      expect(discount.totalDiscount).toBe(14.99);
+    });
+
+    it('should not apply below the minimum qualifying subtotal', () => {
+      const discount = promotionService.calculateDiscount(
+        promotion({ minSubtotal: '50.00', genres: ['Jazz'] }),
+        { items: [item('a', 30), item('b', 40, 'Rock')], shipping: 5.99 }
+      );
+
+      expect(discount.applied).toBe(false);
+      expect(discount.totalDiscount).toBe(0);
+      expect(discount.reason).toMatch(/\$20\.00/);
+    });
+
+    it('should not apply when no items qualify', () => {
+      const discount = promotionService.calculateDiscount(
+        promotion({ labels: ['ECM'] }),
+        { items: [item('a', 30)], shipping: 5.99 }
+      );
+
+      expect(discount.applied).toBe(false);
+      expect(discount.reason).toMatch(/No items/);
+    });
+  });
+
+  describe('checkWindow', () => {
+    const now = new Date('2026-04-18T12:00:00Z');
+
+    it('should accept an active code inside its window', () => {
+      expect(
+        promotionService.checkWindow(
+          promotion({
+            startsAt: new Date('2026-04-18T00:00:00Z'),
+            expiresAt: new Date('2026-04-19T00:00:00Z'),
+          }),
+          now
+        )
+      ).toBeNull();
+    });
+
+    it('should reject inactive, early and expired codes', () => {
+      expect(
+        promotionService.checkWindow(promotion({ isActive: false }), now)
+      ).toMatch(/no longer active/);
+      expect(
+        promotionService.checkWindow(
+          promotion({ startsAt: new Date('2026-04-19T00:00:00Z') }),
+          now
+        )
+      ).toMatch(/not active yet/);
+      expect(
+        promotionService.checkWindow(
+          promotion({ expiresAt: new Date('2026-04-18T00:00:00Z') }),
+          now
+        )
+      ).toMatch(/expired/);
+    });
+  });
+
+  describe('_validatePromotion', () => {
+    it('should normalize the code and scope lists', () => {
+      const values = promotionService._validatePromotion({
+        code: ' rsd-2026 ',
+        type: 'PERCENT_OFF',
+        value: '15',
+        genres: [' Jazz ', ''],
+      });
+
+      expect(values.code).toBe('RSD-2026');
+      expect(values.value).toBe(15);
+      expect(values.genres).toEqual(['Jazz']);
+      expect(values.labels).toEqual([]);
+      expect(values.isActive).toBe(true);
+    });
+
+    it('should ignore value for free shipping codes', () => {
+      const values = promotionService._validatePromotion({
+        code: 'SHIPFREE',
+        type: 'FREE_SHIPPING',
+        value: 99,
+      });
+
+      expect(values.value).toBe(0);
+    });
+
+    it('should reject invalid promotions', () => {
+      const base = { code: 'SAVE10', type: 'PERCENT_OFF', value: 10 };
+
+      expect(() =>
+        promotionService._validatePromotion({ ...base, code: 'a b' })
+      ).toThrow(/code/);
+      expect(() =>
+        promotionService._validatePromotion({ ...base, type: 'BOGO' })
+      ).toThrow(/type/);
+      expect(() =>
+        promotionService._validatePromotion({ ...base, value: 150 })
+      ).toThrow(/at most 100/);
+      expect(() =>
+        promotionService._validatePromotion({ ...base, maxRedemptions: 0 })
+      ).toThrow(/positive integer/);
+      expect(() =>
+        promotionService._validatePromotion({
+          ...base,
+          startsAt: '2026-04-19',
+          expiresAt: '2026-04-18',
+        })
+      ).toThrow(/before expiresAt/);
+    });
+  });
+
+  describe('_usageLimitReason', () => {
+    const client = (total, byBuyer) => ({
+      promotionRedemption: {
+        count: async ({ where }) => (where.buyerEmail ? byBuyer : total),
+      },
+    });
+
+    it('should skip counting when the code has no limits', async () => {
+      const reason = await promotionService._usageLimitReason(
+        client(99, 99),
+        promotion(),
+        'a@test.com'
+      );
+
+      expect(reason).toBeNull();
+    });
+
+    it('should report the overall limit before the per-buyer limit', async () => {
+      const limited = promotion({
+        maxRedemptions: 2,
+        maxRedemptionsPerBuyer: 1,
+      });
+
+      await expect(
+        promotionService._usageLimitReason(client(2, 1), limited, 'a@test.com')
+      ).resolves.toBe('This promo code has reached its usage limit');
+      await expect(
+        promotionService._usageLimitReason(client(1, 1), limited, 'a@test.com')
+      ).resolves.toBe('You have already used this promo code');
+      await expect(
+        promotionService._usageLimitReason(client(1, 0), limited, 'a@test.com')
+      ).resolves.toBeNull();
+    });
+  });
+
+  describe('summarizeRedemptions', () => {
+    it('should total discounts and unique buyers per promotion', () => {
+      const redemption = (promotionId, buyerEmail, discount, total) => ({
+        promotionId,
+        buyerEmail,
+        discountAmount: discount,
+        promotion: { code: promotionId.toUpperCase(), type: 'PERCENT_OFF' },
+        order: { subtotal: total + discount, total, status: 'DELIVERED' },
+      });
+
+      const report = promotionService.summarizeRedemptions([
+        redemption('rsd', 'a@test.com', 5, 20),
+        redemption('rsd', 'a@test.com', 10, 40),
+        redemption('rsd', 'b@test.com', 3, 12),
+        redemption('welcome', 'c@test.com', 2, 18),
+      ]);
+
+      expect(report.promotions[0]).toMatchObject({
+        code: 'RSD',
+        redemptions: 3,
+        uniqueBuyers: 2,
+        totalDiscount: 18,
+        netSales: 72,
+        averageDiscount: 6,
+      });
+      expect(report.totals).toEqual({
+        redemptions: 4,
+        totalDiscount: 20,
+        netSales: 90,
+      });
+    });
+  });
+});
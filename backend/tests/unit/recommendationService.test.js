@@ -0,0 +1,194 @@
+import recommendationService from '../../src/services/recommendationService.js';
+
+describe('RecommendationService', () => {
+  describe('_normalCdf', () => {
+    it('should return 0.5 at zero', () => {
+      expect(recommendationService._normalCdf(0)).toBeCloseTo(0.5, 6);
+    });
+
+    it('should match standard normal table values', () => {
+      expect(recommendationService._normalCdf(1.96)).toBeCloseTo(0.975, 3);
+      expect(recommendationService._normalCdf(-1.96)).toBeCloseTo(0.025, 3);
+      expect(recommendationService._normalCdf(1)).toBeCloseTo(0.8413, 3);
+    });
+  });
+
+  describe('_twoProportionZTest', () => {
+    it('should flag a large difference on a large sample as significant', () => {
+      // 10% vs 13% CTR over 2000 impressions each
+      const result = recommendationService._twoProportionZTest(
+        200,
+        2000,
+        260,
+        2000
+      );
+
+      expect(result.zScore).toBeCloseTo(2.98, 1);
+      expect(result.pValue).toBeLessThan(0.05);
+      expect(result.significant).toBe(true);
+      expect(result.lift).toBeCloseTo(0.3, 4);
+    });
+
+    it('should not flag a small difference on a small sample', () => {
+      const result = recommendationService._twoProportionZTest(5, 50, 7, 50);
+
+      expect(result.pValue).toBeGreaterThan(0.05);
+      expect(result.significant).toBe(false);
+    });
+
+    it('should report a negative z-score when the variant underperforms', () => {
+      const result = recommendationService._twoProportionZTest(
+        300,
+        1000,
+        200,
+        1000
+      );
+
+      expect(result.zScore).toBeLessThan(0);
+      expect(result.significant).toBe(true);
+    });
+
+    it('should return nulls when either group has no observations', () => {
+      const result = recommendationService._twoProportionZTest(0, 0, 5, 100);
+
+      expect(result.zScore).toBeNull();
+      expect(result.pValue).toBeNull();
+      expect(result.significant).toBe(false);
+    });
+
+    it('should handle identical zero rates without dividing by zero', () => {
+      const result = recommendationService._twoProportionZTest(0, 100, 0, 100);
+
+      expect(result.zScore).toBe(0);
+      expect(result.pValue).toBe(1);
+      expect(result.significant).toBe(false);
+    });
+  });
+
+  describe('_rate', () => {
+    it('should return 0 for an empty denominator', () => {
+      expect(recommendationService._rate(3, 0)).toBe(0);
+    });
+
+    it('should round to four decimal places', () => {
+      expect(recommendationService._rate(1, 3)).toBe(0.3333);
+    });
+  });
+
+  describe('getVariantReport', () => {
+    it('should reject a start date after the end date', async () => {
+      await expect(
+        recommendationService.getVariantReport({
+          startDate: new Date('2026-02-01'),
+          endDate: new Date('2026-01-01'),
+        })
+      ).rejects.toThrow('startDate must be before endDate');
+    });
+
+    it('should reject an unknown baseline variant', async () => {
+      await expect(
+        recommendationService.getVariantReport({ baseline: 'treatment' })
+      ).rejects.toThrow('Invalid variant');
+    });
+  });
+
+  const at = (iso) => new Date(iso);
+  const click = (id, overrides = {}) => ({
+    id,
+    variant: 'control',
+    trackingId: 'track-1',
+    inventoryLotId: 'lot-1',
+    buyerId: 'buyer@test.com',
+    createdAt: at('2026-10-01T10:00:00Z'),
+    ...overrides,
+  });
+  const purchase = (id, order, overrides = {}) => ({
+    id,
+    inventoryLotId: 'lot-1',
+    priceAtPurchase: 20,
+    quantity: 1,
+    order: {
+      buyerId: null,
+      buyerEmail: 'buyer@test.com',
+      sessionId: null,
+      createdAt: at('2026-10-02T10:00:00Z'),
+      paymentConfirmedAt: null,
+      ...order,
+    },
+    ...overrides,
+  });
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  describe('_dedupeClicks', () => {
+    it('should count repeat clicks on an item from one impression once', () => {
+      const unique = recommendationService._dedupeClicks([
+        click('c1'),
+        click('c2', { createdAt: at('2026-10-01T10:05:00Z') }),
+        click('c3', { trackingId: 'track-2' }),
+        click('c4', { buyerId: 'other@test.com' }),
+      ]);
+
+      expect(unique.map((c) => c.id)).toEqual(['c1', 'c3', 'c4']);
+    });
+  });
+
+  describe('_attributeConversions', () => {
+    it("should not attribute another buyer's purchase of a multi-unit lot", () => {
+      const conversions = recommendationService._attributeConversions(
+        [click('c1')],
+        [purchase('p1', { buyerEmail: 'someone-else@test.com' })],
+        7 * dayMs
+      );
+
+      expect(conversions.size).toBe(0);
+    });
+
+    it('should match the buyer on email, buyer ID or cart session', () => {
+      const conversions = recommendationService._attributeConversions(
+        [
+          click('c1', { buyerId: 'BUYER@test.com' }),
+          click('c2', { inventoryLotId: 'lot-2', buyerId: 'session-9' }),
+        ],
+        [
+          purchase('p1', {}),
+          purchase(
+            'p2',
+            { buyerEmail: 'x@test.com', sessionId: 'session-9' },
+            { inventoryLotId: 'lot-2' }
+          ),
+        ],
+        7 * dayMs
+      );
+
+      expect(conversions.get('c1').map((p) => p.id)).toEqual(['p1']);
+      expect(conversions.get('c2').map((p) => p.id)).toEqual(['p2']);
+    });
+
+    it("should give a purchase to the buyer's latest click only", () => {
+      const conversions = recommendationService._attributeConversions(
+        [
+          click('c1'),
+          click('c2', {
+            trackingId: 'track-2',
+            createdAt: at('2026-10-01T20:00:00Z'),
+          }),
+        ],
+        [purchase('p1', {})],
+        7 * dayMs
+      );
+
+      expect(conversions.has('c1')).toBe(false);
+      expect(conversions.get('c2')).toHaveLength(1);
+    });
+
+    it('should ignore anonymous clicks and purchases outside the window', () => {
+      const conversions = recommendationService._attributeConversions(
+        [click('c1', { buyerId: 'anonymous' }), click('c2')],
+        [purchase('p1', { createdAt: at('2026-10-20T10:00:00Z') })],
+        7 * dayMs
+      );
+
+      expect(conversions.size).toBe(0);
+    });
+  });
+});
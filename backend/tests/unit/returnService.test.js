@@ -0,0 +1,140 @@
+import returnService from '../../src/services/returnService.js';
+
+describe('ReturnService', () => {
+  describe('isWithinReturnWindow', () => {
+    const now = new Date('2026-03-31T12:00:00Z');
+
+    it('should allow returns within 30 days of delivery', () => {
+      const order = { deliveredAt: new Date('2026-03-05T12:00:00Z') };
+      expect(returnService.isWithinReturnWindow(order, now)).toBe(true);
+    });
+
+    it('should close the window 30 days after delivery', () => {
+      const order = { deliveredAt: new Date('2026-02-27T12:00:00Z') };
+      expect(returnService.isWithinReturnWindow(order, now)).toBe(false);
+    });
+
+    it('should fall back to the ship date when not marked delivered', () => {
+      const order = {
+        deliveredAt: null,
+        shippedAt: new Date('2026-02-01T12:00:00Z'),
+      };
+      expect(returnService.isWithinReturnWindow(order, now)).toBe(false);
+    });
+  });
+
+  describe('generateRmaNumber', () => {
+    it('should use the RMA-YYYYMMDD-XXXX format', () => {
+      expect(returnService.generateRmaNumber()).toMatch(/^RMA-\d{8}-\d{4}$/);
+    });
+  });
+
+  describe('_validatePhotoUrls', () => {
+    it('should accept http(s) URLs', () => {
+      expect(() =>
+        returnService._validatePhotoUrls([
+          'https://example.com/a.jpg',
+          'http://example.com/b.png',
+        ])
+      ).not.toThrow();
+    });
+
+    it('should reject non-URL values', () => {
+      expect(() =>
+        returnService._validatePhotoUrls(['javascript:alert(1)'])
+      ).toThrow('Invalid photo URL');
+    });
+
+    it('should reject more than six photos', () => {
+      const urls = Array.from(
+        { length: 7 },
+        (_, i) => `https://example.com/${i}.jpg`
+      );
+      expect(() => returnService._validatePhotoUrls(urls)).toThrow(
+        'at most 6 photos'
+      );
+    });
+  });
+
+  describe('_validateReceivedItems', () => {
+    const returnItems = [{ id: 'item-1' }, { id: 'item-2' }];
+    const grade = (returnItemId, overrides = {}) => ({
+      returnItemId,
+      conditionMedia: 'VG_PLUS',
+      conditionSleeve: 'VG',
+      disposition: 'RELIST',
+      ...overrides,
+    });
+
+    it('should return grades keyed by return item', () => {
+      const grades = returnService._validateReceivedItems(returnItems, [
+        grade('item-1'),
+        grade('item-2', { disposition: 'WRITE_OFF' }),
+      ]);
+
+      expect(grades.get('item-1').conditionMedia).toBe('VG_PLUS');
+      expect(grades.get('item-2').disposition).toBe('WRITE_OFF');
+    });
+
+    it('should require every item to be graded', () => {
+      expect(() =>
+        returnService._validateReceivedItems(returnItems, [grade('item-1')])
+      ).toThrow('Every returned item must be graded');
+    });
+
+    it('should reject unknown conditions and dispositions', () => {
+      expect(() =>
+        returnService._validateReceivedItems(returnItems, [
+          grade('item-1', { conditionMedia: 'GREAT' }),
+          grade('item-2'),
+        ])
+      ).toThrow('conditionMedia and conditionSleeve');
+
+      expect(() =>
+        returnService._validateReceivedItems(returnItems, [
+          grade('item-1', { disposition: 'DONATE' }),
+          grade('item-2'),
+        ])
+      ).toThrow('disposition must be one of');
+    });
+
+    it('should reject items that are not on the return', () => {
+      expect(() =>
+        returnService._validateReceivedItems(returnItems, [grade('item-3')])
+      ).toThrow('Return item item-3 not found');
+    });
+  });
+
+  describe('_relistsAsNewLot', () => {
+    const lot = (overrides = {}) => ({
+      quantity: 0,
+      conditionMedia: 'VG',
+      conditionSleeve: 'VG',
+      ...overrides,
+    });
+    const item = (overrides = {}) => ({
+      receivedConditionMedia: 'VG',
+      receivedConditionSleeve: 'VG',
+      ...overrides,
+    });
+
+    it('should put copies back on an empty lot of the same grade', () => {
+      expect(returnService._relistsAsNewLot(lot(), item())).toBe(false);
+    });
+
+    it('should use a new lot when the received grade differs', () => {
+      expect(
+        returnService._relistsAsNewLot(
+          lot(),
+          item({ receivedConditionSleeve: 'G' })
+        )
+      ).toBe(true);
+    });
+
+    it('should use a new lot when the lot still has copies on sale', () => {
+      expect(returnService._relistsAsNewLot(lot({ quantity: 2 }), item())).toBe(
+        true
+      );
+    });
+  });
+});
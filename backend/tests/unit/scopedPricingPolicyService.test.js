@@ -0,0 +1,74 @@
+import scopedPricingPolicyService from '../../src/services/scopedPricingPolicyService.js';
+
+describe('ScopedPricingPolicyService', () => {
+  describe('createPolicy validation', () => {
+    const sellFormula = { sellPercentage: 1.4 };
+
+    it('should reject an unknown policy type', async () => {
+      await expect(
+        scopedPricingPolicyService.createPolicy({
+          type: 'DEALER',
+          scope: 'GENRE',
+          name: 'Jazz',
+          scopeValue: 'Jazz',
+          sellFormula,
+        })
+      ).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should reject global scopes', async () => {
+      await expect(
+        scopedPricingPolicyService.createPolicy({
+          type: 'SELLER',
+          scope: 'SELLER',
+          name: 'Global',
+          sellFormula,
+        })
+      ).rejects.toThrow('Invalid scope');
+    });
+
+    it('should require the formula for the policy type', async () => {
+      await expect(
+        scopedPricingPolicyService.createPolicy({
+          type: 'BUYER',
+          scope: 'LABEL',
+          name: 'Blue Note',
+          scopeValue: 'Blue Note',
+          sellFormula,
+        })
+      ).rejects.toThrow('buyFormula is required for BUYER policies');
+    });
+
+    it('should require a scope value for label, genre and channel scopes', async () => {
+      await expect(
+        scopedPricingPolicyService.createPolicy({
+          type: 'SELLER',
+          scope: 'CHANNEL',
+          name: 'Store',
+          scopeValue: '   ',
+          sellFormula,
+        })
+      ).rejects.toThrow('scopeValue is required for CHANNEL policies');
+    });
+
+    it('should require releases for release scope', async () => {
+      await expect(
+        scopedPricingPolicyService.createPolicy({
+          type: 'SELLER',
+          scope: 'RELEASE',
+          name: 'Rare pressing',
+          releaseIds: [],
+          sellFormula,
+        })
+      ).rejects.toThrow('releaseIds is required for RELEASE policies');
+    });
+  });
+
+  describe('explainResolution validation', () => {
+    it('should require some pricing context', async () => {
+      await expect(
+        scopedPricingPolicyService.explainResolution('SELLER', {})
+      ).rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
@@ -0,0 +1,56 @@
+import sellerService from '../../src/services/sellerService.js';
+
+describe('SellerService', () => {
+  describe('normalizeEmail', () => {
+    it('should trim and lower-case emails so repeat sellers match', () => {
+      expect(sellerService.normalizeEmail('  Jane.Doe@Example.COM ')).toBe(
+        'jane.doe@example.com'
+      );
+    });
+  });
+
+  describe('assertAccess', () => {
+    const seller = { id: 'seller-1', userId: 'user-1' };
+
+    it('should allow admins to access any seller', () => {
+      expect(() =>
+        sellerService.assertAccess(seller, { id: 'admin', role: 'ADMIN' })
+      ).not.toThrow();
+      expect(() =>
+        sellerService.assertAccess(seller, {
+          id: 'root',
+          role: 'SUPER_ADMIN',
+        })
+      ).not.toThrow();
+    });
+
+    it('should allow the linked seller account', () => {
+      expect(() =>
+        sellerService.assertAccess(seller, { id: 'user-1', role: 'SELLER' })
+      ).not.toThrow();
+    });
+
+    it('should reject other seller accounts', () => {
+      expect(() =>
+        sellerService.assertAccess(seller, { id: 'user-2', role: 'SELLER' })
+      ).toThrow('You do not have access to this seller');
+    });
+
+    it('should reject sellers with no linked account', () => {
+      expect(() =>
+        sellerService.assertAccess(
+          { id: 'seller-2', userId: null },
+          { id: 'user-1', role: 'SELLER' }
+        )
+      ).toThrow('You do not have access to this seller');
+    });
+  });
+
+  describe('linkSellerAccount', () => {
+    it('should require an explicit userId (null to unlink)', async () => {
+      await expect(
+        sellerService.linkSellerAccount('seller-1', undefined)
+      ).rejects.toThrow('userId is required (null to unlink)');
+    });
+  });
+});
@@ -0,0 +1,313 @@
+import EasyPostShippingProvider from '../../src/providers/easyPostShippingProvider.js';
+import ShippoShippingProvider from '../../src/providers/shippoShippingProvider.js';
+import shippingService from '../../src/services/shippingService.js';
+import { replayCarrierFixtures } from '../fixtures/carrierFixtures.js';
+
+const warehouse = {
+  name: 'Vinyl Catalog',
+  line1: '123 Commerce St',
+  city: 'Los Angeles',
+  state: 'CA',
+  zip: '90001',
+};
+
+const buyer = {
+  name: 'Pat Buyer',
+  line1: '1 Main St',
+  city: 'Brooklyn',
+  state: 'NY',
+  postalCode: '11201',
+};
+
+describe('Carrier shipping providers', () => {
+  describe('EasyPostShippingProvider', () => {
+    let fixtures;
+    let provider;
+
+    beforeEach(() => {
+      fixtures = replayCarrierFixtures('easypost');
+      provider = new EasyPostShippingProvider({
+        apiKey: 'EZTK_test',
+        adapter: fixtures.adapter,
+      });
+    });
+
+    it('should require an API key', () => {
+      expect(() => new EasyPostShippingProvider({})).toThrow(
+        'EASYPOST_API_KEY'
+      );
+    });
+
+    it('should map rates to methods and drop unsupported carriers', async () => {
+      const rates = await provider.getRates(warehouse, buyer, { weight: 12 });
+
+      expect(rates.map((r) => [r.service, r.method, r.carrier])).toEqual([
+        ['MediaMail', 'STANDARD', 'USPS'],
+        ['GroundAdvantage', 'STANDARD', 'USPS'],
+        ['Priority', 'EXPRESS', 'USPS'],
+        ['2ndDayAir', 'EXPRESS', 'UPS'],
+        ['Express', 'OVERNIGHT', 'USPS'],
+      ]);
+
+      const [request] = fixtures.requests;
+      expect(request.headers.Authorization).toBe(
+        `Basic ${Buffer.from('EZTK_test:').toString('base64')}`
+      );
+      expect(request.body.shipment).toMatchObject({
+        from_address: { street1: '123 Commerce St', zip: '90001' },
+        to_address: { state: 'NY', zip: '11201', country: 'US' },
+        parcel: { weight: 12, length: 13 },
+        options: { label_format: 'PDF' },
+      });
+    });
+
+    it('should book the cheapest rate for the method', async () => {
+      const quote = await provider.createShipment({
+        orderId: 'order-1001',
+        fromAddress: warehouse,
+        toAddress: buyer,
+        weight: 12,
+        shippingMethod: 'EXPRESS',
+      });
+
+      expect(quote).toMatchObject({
+        id: 'shp_4e7f0c1a2b3d4c5e8f9a0b1c2d3e4f50',
+        rateId: 'rate_priority_1',
+        carrier: 'USPS',
+        metadata: { provider: 'easypost', service: 'Priority', rate: 9.85 },
+      });
+    });
+
+    it('should send customs info for international parcels', async () => {
+      await provider.getRates(
+        warehouse,
+        { country: 'GB' },
+        {
+          weight: 20,
+          customsDeclaration: {
+            declaredValue: 120,
+            nonDeliveryOption: 'RETURN',
+            items: [
+              {
+                description: 'Vinyl record: Artist - Title',
+                hsCode: '852380',
+                quantity: 2,
+                value: 120,
+                weightOz: 16,
+                originCountry: 'DE',
+              },
+            ],
+          },
+        }
+      );
+
+      expect(fixtures.requests[0].body.shipment.customs_info).toMatchObject({
+        contents_type: 'merchandise',
+        non_delivery_option: 'return',
+        customs_items: [
+          { hs_tariff_number: '852380', origin_country: 'DE', value: 120 },
+        ],
+      });
+    });
+
+    it('should buy the quoted rate and return the PDF label', async () => {
+      const label = await provider.generateLabel({
+        id: 'shipment-1',
+        providerShipmentId: 'shp_4e7f0c1a2b3d4c5e8f9a0b1c2d3e4f50',
+        providerRateId: 'rate_priority_1',
+      });
+
+      expect(fixtures.requests).toHaveLength(1);
+      expect(fixtures.requests[0].body).toEqual({
+        rate: { id: 'rate_priority_1' },
+      });
+      expect(label).toMatchObject({
+        trackingNumber: '9400100000000000000001',
+        labelUrl: expect.stringMatching(/label\.pdf$/),
+        carrier: 'USPS',
+        rateId: 'rate_priority_1',
+        metadata: { trackerId: 'trk_5f6e7d8c', postage: 9.85 },
+      });
+    });
+
+    it('should quote before buying when the shipment has no rate', async () => {
+      const label = await provider.generateLabel({
+        id: 'shipment-2',
+        fromAddress: warehouse,
+        toAddress: buyer,
+        weightOz: 12,
+        shippingMethod: 'STANDARD',
+      });
+
+      expect(fixtures.requests.map((r) => r.path)).toEqual([
+        '/shipments',
+        '/shipments/shp_4e7f0c1a2b3d4c5e8f9a0b1c2d3e4f50/buy',
+      ]);
+      expect(label.rateId).toBe('rate_media_1');
+      expect(label.metadata.service).toBe('MediaMail');
+    });
+
+    it('should map tracker status and events', async () => {
+      const tracking = await provider.getTracking(
+        '9400100000000000000001',
+        'USPS'
+      );
+
+      expect(tracking.status).toBe('OUT_FOR_DELIVERY');
+      expect(tracking.events[0]).toMatchObject({
+        status: 'LABEL_GENERATED',
+        location: 'LOS ANGELES, CA 90001, US',
+      });
+      expect(tracking.estimatedDelivery).toEqual(
+        new Date('2026-10-22T20:00:00Z')
+      );
+    });
+
+    it('should refund a label', async () => {
+      await expect(
+        provider.voidLabel({
+          id: 'shipment-1',
+          providerShipmentId: 'shp_4e7f0c1a2b3d4c5e8f9a0b1c2d3e4f50',
+        })
+      ).resolves.toBe(true);
+    });
+
+    it('should surface EasyPost error messages', async () => {
+      await expect(
+        provider.generateLabel({
+          providerShipmentId: 'shp_invalid',
+          providerRateId: 'rate_old',
+        })
+      ).rejects.toThrow(
+        'easypost POST /shipments/shp_invalid/buy failed (422): Unable to buy postage for the shipment; rate is no longer valid'
+      );
+    });
+  });
+
+  describe('ShippoShippingProvider', () => {
+    let fixtures;
+    let provider;
+
+    beforeEach(() => {
+      fixtures = replayCarrierFixtures('shippo');
+      provider = new ShippoShippingProvider({
+        apiKey: 'shippo_test_key',
+        adapter: fixtures.adapter,
+      });
+    });
+
+    it('should create the customs declaration before quoting abroad', async () => {
+      const quote = await provider.createShipment({
+        orderId: 'order-2002',
+        fromAddress: warehouse,
+        toAddress: { country: 'GB', postalCode: 'SW1A 2AA', city: 'London' },
+        weight: 20,
+        shippingMethod: 'STANDARD',
+        customsDeclaration: {
+          declaredValue: 120,
+          items: [
+            {
+              description: 'Vinyl record: Artist - Title',
+              hsCode: '852380',
+              quantity: 2,
+              value: 120,
+              weightOz: 16,
+              originCountry: 'DE',
+            },
+          ],
+        },
+      });
+
+      const [customs, shipment] = fixtures.requests;
+      expect(customs.headers.Authorization).toBe('ShippoToken shippo_test_key');
+      expect(customs.body.items[0]).toMatchObject({
+        tariff_number: '852380',
+        value_amount: 120,
+        mass_unit: 'oz',
+      });
+      expect(shipment.body).toMatchObject({
+        customs_declaration: 'c9a1b2c3d4e5f60718293a4b5c6d7e8f',
+        parcels: [{ weight: 20, mass_unit: 'oz', distance_unit: 'in' }],
+        async: false,
+      });
+      expect(quote).toMatchObject({
+        id: '5e40ead7cffe4cc1ad45108696162e42',
+        rateId: '545ab0a1a6ea4c9f9adb2512a57d6d8b',
+        carrier: 'USPS',
+      });
+    });
+
+    it('should classify DHL Express as an express rate', async () => {
+      const rates = await provider.getRates(warehouse, buyer, { weight: 12 });
+      expect(rates.find((r) => r.carrier === 'DHL').method).toBe('EXPRESS');
+    });
+
+    it('should buy the rate as a transaction', async () => {
+      const label = await provider.generateLabel({
+        id: 'shipment-3',
+        providerShipmentId: '5e40ead7cffe4cc1ad45108696162e42',
+        providerRateId: '545ab0a1a6ea4c9f9adb2512a57d6d8b',
+      });
+
+      expect(fixtures.requests[0].body).toEqual({
+        rate: '545ab0a1a6ea4c9f9adb2512a57d6d8b',
+        label_file_type: 'PDF',
+        async: false,
+      });
+      expect(label).toMatchObject({
+        trackingNumber: 'LZ123456789US',
+        labelUrl: expect.stringMatching(/\.pdf$/),
+        metadata: { transactionId: '70ae8117ee1749e393f249d5b77c45e0' },
+      });
+    });
+
+    it('should map tracking history', async () => {
+      const tracking = await provider.getTracking('LZ123456789US', 'USPS');
+
+      expect(fixtures.requests[0].path).toBe('/tracks/usps/LZ123456789US');
+      expect(tracking.status).toBe('IN_TRANSIT');
+      expect(tracking.events.map((e) => e.status)).toEqual([
+        'LABEL_GENERATED',
+        'IN_TRANSIT',
+      ]);
+    });
+
+    it('should refund the label transaction', async () => {
+      await expect(
+        provider.voidLabel({
+          id: 'shipment-3',
+          providerMetadata: {
+            transactionId: '70ae8117ee1749e393f249d5b77c45e0',
+          },
+        })
+      ).resolves.toBe(true);
+      await expect(provider.voidLabel({ id: 'shipment-4' })).rejects.toThrow(
+        'no Shippo transaction id'
+      );
+    });
+  });
+
+  describe('ShippingService provider selection', () => {
+    const settings = {
+      timeoutMs: 5000,
+      labelFormat: 'PDF',
+      easypost: { apiKey: 'EZTK_test' },
+      shippo: { apiKey: 'shippo_test_key' },
+    };
+
+    it('should build the configured provider', () => {
+      expect(
+        shippingService._createProvider('easypost', settings)
+      ).toBeInstanceOf(EasyPostShippingProvider);
+      expect(
+        shippingService._createProvider('shippo', settings)
+      ).toBeInstanceOf(ShippoShippingProvider);
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => shippingService._createProvider('pigeon', settings)).toThrow(
+        'Unsupported shipping provider: pigeon'
+      );
+    });
+  });
+});
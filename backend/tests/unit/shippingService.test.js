@@ -147,6 +147,264 @@ describe('ShippingService', () => {
     });
   });
 
+  describe('zoneCoversAddress', () => {
+    it('should match any address in the country without narrowing rules', () => {
+      const zone = { statesIncluded: [], postalCodePatterns: [] };
+      expect(
+        shippingService.zoneCoversAddress(zone, {
+          country: 'DE',
+          postalCode: '10115',
+        })
+      ).toBe(true);
+    });
+
+    it('should require the state when the zone lists states', () => {
+      const zone = { statesIncluded: ['CA', 'NV'], postalCodePatterns: [] };
+      expect(shippingService.zoneCoversAddress(zone, { state: 'CA' })).toBe(
+        true
+      );
+      expect(shippingService.zoneCoversAddress(zone, { state: 'NY' })).toBe(
+        false
+      );
+    });
+
+    it('should match postal code patterns case-insensitively', () => {
+      const zone = { statesIncluded: [], postalCodePatterns: ['^bt\\d'] };
+      expect(
+        shippingService.zoneCoversAddress(zone, { postalCode: 'BT1 5GS' })
+      ).toBe(true);
+      expect(
+        shippingService.zoneCoversAddress(zone, { postalCode: 'SW1A 1AA' })
+      ).toBe(false);
+      expect(shippingService.zoneCoversAddress(zone, {})).toBe(false);
+    });
+  });
+
+  describe('zoneMatchType', () => {
+    const bayArea = {
+      statesIncluded: [],
+      zipRanges: ['940-941', { from: '94501', to: '94502' }],
+    };
+
+    it('should match ZIP ranges ahead of states', () => {
+      const zone = { ...bayArea, statesIncluded: ['CA'] };
+      expect(
+        shippingService.zoneMatchType(zone, {
+          country: 'US',
+          state: 'CA',
+          postalCode: '94110-1234',
+        })
+      ).toBe('ZIP');
+      expect(
+        shippingService.zoneMatchType(zone, {
+          country: 'US',
+          state: 'CA',
+          postalCode: '90001',
+        })
+      ).toBe('AREA');
+    });
+
+    it('should cover only its ranges when a zone lists no states', () => {
+      const address = { country: 'US', state: 'CA' };
+      expect(
+        shippingService.zoneMatchType(bayArea, {
+          ...address,
+          postalCode: '94502',
+        })
+      ).toBe('ZIP');
+      expect(
+        shippingService.zoneMatchType(bayArea, {
+          ...address,
+          postalCode: '94503',
+        })
+      ).toBeNull();
+      expect(shippingService.zoneMatchType(bayArea, address)).toBeNull();
+    });
+  });
+
+  describe('normalizeZipRanges', () => {
+    it('should accept objects, dashed strings and single values', () => {
+      expect(
+        shippingService.normalizeZipRanges([
+          { from: '90001', to: '90099' },
+          ' 900 - 961 ',
+          '10001',
+        ])
+      ).toEqual([
+        { from: '90001', to: '90099' },
+        { from: '900', to: '961' },
+        { from: '10001', to: '10001' },
+      ]);
+    });
+
+    it('should reject mixed lengths, reversed and non-numeric ranges', () => {
+      expect(() => shippingService.normalizeZipRanges(['900-90099'])).toThrow(
+        'Invalid ZIP range'
+      );
+      expect(() => shippingService.normalizeZipRanges(['961-900'])).toThrow(
+        'reversed'
+      );
+      expect(() => shippingService.normalizeZipRanges(['ABCDE'])).toThrow(
+        'Invalid ZIP range'
+      );
+      expect(() => shippingService.normalizeZipRanges('900')).toThrow(
+        'must be an array'
+      );
+    });
+  });
+
+  describe('buildCustomsDeclaration', () => {
+    const order = (priceAtPurchase, quantity = 1) => ({
+      orderNumber: 'ORD-1',
+      shippingAddress: { country: 'Germany', postalCode: '10115' },
+      items: [
+        {
+          id: 'item-1',
+          priceAtPurchase: String(priceAtPurchase),
+          quantity,
+          inventoryLot: {
+            country: 'UK',
+            release: { artist: 'Artist', title: 'Album' },
+          },
+        },
+      ],
+    });
+
+    it('should declare vinyl at the price paid with a CN22 for low values', () => {
+      const customs = shippingService.buildCustomsDeclaration(order(25, 2), {
+        weightOz: 20,
+      });
+
+      expect(customs).toMatchObject({
+        form: 'CN22',
+        hsCode: '852380',
+        declaredValue: 50,
+        destinationCountry: 'DE',
+        originCountry: 'US',
+      });
+      expect(customs.items[0]).toMatchObject({
+        description: 'Vinyl record: Artist - Album',
+        quantity: 2,
+        unitValue: 25,
+        value: 50,
+        originCountry: 'GB',
+      });
+    });
+
+    it('should need a CN23 above the CN22 value or weight limits', () => {
+      expect(
+        shippingService.buildCustomsDeclaration(order(450), { weightOz: 12 })
+          .form
+      ).toBe('CN23');
+      expect(
+        shippingService.buildCustomsDeclaration(order(20), { weightOz: 100 })
+          .form
+      ).toBe('CN23');
+    });
+  });
+
+  describe('_isTrackingUpdateCurrent', () => {
+    const earlier = new Date('2026-10-20T09:00:00Z');
+    const later = new Date('2026-10-21T15:30:00Z');
+
+    it('should apply the newest carrier event', () => {
+      expect(
+        shippingService._isTrackingUpdateCurrent(
+          'IN_TRANSIT',
+          earlier,
+          'OUT_FOR_DELIVERY',
+          later
+        )
+      ).toBe(true);
+    });
+
+    it('should apply the first carrier event', () => {
+      expect(
+        shippingService._isTrackingUpdateCurrent(
+          'LABEL_GENERATED',
+          undefined,
+          'IN_TRANSIT',
+          earlier
+        )
+      ).toBe(true);
+    });
+
+    it('should not apply an event older than the latest one', () => {
+      expect(
+        shippingService._isTrackingUpdateCurrent(
+          'OUT_FOR_DELIVERY',
+          later,
+          'IN_TRANSIT',
+          earlier
+        )
+      ).toBe(false);
+    });
+
+    it('should never move a delivered shipment back in transit', () => {
+      expect(
+        shippingService._isTrackingUpdateCurrent(
+          'DELIVERED',
+          earlier,
+          'IN_TRANSIT',
+          later
+        )
+      ).toBe(false);
+      expect(
+        shippingService._isTrackingUpdateCurrent(
+          'DELIVERED',
+          earlier,
+          'RETURNED',
+          later
+        )
+      ).toBe(true);
+    });
+  });
+
+  describe('_rollupPackageStatus', () => {
+    it('should follow the least advanced package', () => {
+      expect(
+        shippingService._rollupPackageStatus([
+          'DELIVERED',
+          'OUT_FOR_DELIVERY',
+          'IN_TRANSIT',
+        ])
+      ).toBe('IN_TRANSIT');
+      expect(
+        shippingService._rollupPackageStatus(['DELIVERED', 'DELIVERED'])
+      ).toBe('DELIVERED');
+    });
+
+    it('should flag the shipment when any package has a problem', () => {
+      expect(
+        shippingService._rollupPackageStatus(['DELIVERED', 'FAILED_DELIVERY'])
+      ).toBe('FAILED_DELIVERY');
+      expect(
+        shippingService._rollupPackageStatus([
+          'RETURNED',
+          'EXCEPTION',
+          'IN_TRANSIT',
+        ])
+      ).toBe('EXCEPTION');
+    });
+  });
+
+  describe('_packageOrderItems', () => {
+    it('should keep the packed quantity of each order item', () => {
+      const order = {
+        items: [
+          { id: 'item-1', releaseTitle: 'Kind of Blue', quantity: 12 },
+          { id: 'item-2', releaseTitle: 'Blue Train', quantity: 1 },
+        ],
+      };
+
+      expect(
+        shippingService._packageOrderItems(order, {
+          items: [{ orderItemId: 'item-1', quantity: 2 }],
+        })
+      ).toEqual([{ id: 'item-1', releaseTitle: 'Kind of Blue', quantity: 2 }]);
+    });
+  });
+
   describe('Provider initialization', () => {
     it('should initialize with mock provider by default', () => {
       expect(shippingService.provider).toBe('mock');
@@ -0,0 +1,252 @@
+import taxService from '../../src/services/taxService.js';
+
+describe('TaxService', () => {
+  const now = new Date('2026-06-01T00:00:00Z');
+  const destination = { state: 'CA', zipCode: '90001' };
+  const jurisdiction = {
+    state: 'CA',
+    stateRate: '0.0725',
+    shippingTaxable: false,
+    isActive: true,
+  };
+  const zipRate = {
+    zipCode: '90001',
+    state: 'CA',
+    regionName: 'Los Angeles',
+    localRate: '0.0225',
+  };
+
+  describe('computeTax', () => {
+    it('should apply state and local rates to the subtotal', () => {
+      const breakdown = taxService.computeTax({
+        subtotal: 100,
+        shipping: 10,
+        destination,
+        jurisdiction,
+        zipRate,
+        exemption: null,
+        now,
+      });
+
+      expect(breakdown.taxableAmount).toBe(100);
+      expect(breakdown.stateTax).toBe(7.25);
+      expect(breakdown.localTax).toBe(2.25);
+      expect(breakdown.totalTax).toBe(9.5);
+      expect(breakdown.combinedRate).toBe(0.095);
+      expect(breakdown.regionName).toBe('Los Angeles');
+    });
+
+    it('should include shipping where the state taxes it', () => {
+      const breakdown = taxService.computeTax({
+        subtotal: 100,
+        shipping: 10,
+        destination,
+        jurisdiction: { ...jurisdiction, shippingTaxable: true },
+        zipRate: null,
+        exemption: null,
+        now,
+      });
+
+      expect(breakdown.shippingTaxable).toBe(true);
+      expect(breakdown.taxableAmount).toBe(110);
+      expect(breakdown.totalTax).toBe(7.98);
+    });
+
+    it('should not tax states without an active jurisdiction', () => {
+      const breakdown = taxService.computeTax({
+        subtotal: 100,
+        shipping: 10,
+        destination: { state: 'OR', zipCode: '97201' },
+        jurisdiction: null,
+        zipRate: null,
+        exemption: null,
+        now,
+      });
+
+      expect(breakdown.state).toBe('OR');
+      expect(breakdown.totalTax).toBe(0);
+    });
+
+    it('should ignore a ZIP rate that belongs to another state', () => {
+      const breakdown = taxService.computeTax({
+        subtotal: 100,
+        shipping: 0,
+        destination,
+        jurisdiction,
+        zipRate: { ...zipRate, state: 'NV' },
+        exemption: null,
+        now,
+      });
+
+      expect(breakdown.localTax).toBe(0);
+      expect(breakdown.totalTax).toBe(7.25);
+    });
+
+    it('should zero tax for exempt buyers and record the certificate', () => {
+      const breakdown = taxService.computeTax({
+        subtotal: 100,
+        shipping: 10,
+        destination,
+        jurisdiction,
+        zipRate,
+        exemption: { certificateNumber: 'RESALE-1', exemptStates: ['CA'] },
+        now,
+      });
+
+      expect(breakdown.exempt).toBe(true);
+      expect(breakdown.exemptionCertificate).toBe('RESALE-1');
+      expect(breakdown.totalTax).toBe(0);
+    });
+  });
+
+  describe('isExemptionValid', () => {
+    it('should cover all states when exemptStates is empty', () => {
+      expect(taxService.isExemptionValid({ exemptStates: [] }, 'NY', now)).toBe(
+        true
+      );
+    });
+
+    it('should only cover listed states', () => {
+      const exemption = { exemptStates: ['CA', 'NV'] };
+      expect(taxService.isExemptionValid(exemption, 'NV', now)).toBe(true);
+      expect(taxService.isExemptionValid(exemption, 'NY', now)).toBe(false);
+    });
+
+    it('should not apply expired certificates', () => {
+      const exemption = {
+        exemptStates: [],
+        expiresAt: new Date('2026-05-31T00:00:00Z'),
+      };
+      expect(taxService.isExemptionValid(exemption, 'CA', now)).toBe(false);
+    });
+  });
+
+  describe('normalizeAddress', () => {
+    it('should upper-case the state and keep the 5-digit ZIP', () => {
+      expect(
+        taxService.normalizeAddress({ state: 'ca', zip: '90001-1234' })
+      ).toEqual({ state: 'CA', zipCode: '90001' });
+    });
+
+    it('should return null without a state', () => {
+      expect(taxService.normalizeAddress({ zip: '90001' })).toBeNull();
+      expect(taxService.normalizeAddress(null)).toBeNull();
+    });
+
+    it('should return null for an address outside the US', () => {
+      expect(
+        taxService.normalizeAddress({
+          state: 'ON',
+          postalCode: 'M5V 2T6',
+          country: 'CA',
+        })
+      ).toBeNull();
+    });
+  });
+
+  describe('_validateImportRecord', () => {
+    const anyState = new Set();
+
+    it('should map jurisdiction rows', () => {
+      const values = taxService._validateImportRecord(
+        'jurisdictions',
+        { state: 'ny', state_rate: '0.04', shipping_taxable: 'yes' },
+        anyState
+      );
+
+      expect(values).toEqual({
+        state: 'NY',
+        name: null,
+        stateRate: 0.04,
+        shippingTaxable: true,
+        isActive: true,
+      });
+    });
+
+    it('should sum county, city and special rates and restore ZIP zeros', () => {
+      const values = taxService._validateImportRecord(
+        'zip-rates',
+        {
+          state: 'MA',
+          zipcode: '2108',
+          taxregionname: 'Boston',
+          estimatedcountyrate: '0.01',
+          estimatedcityrate: '0.005',
+          estimatedspecialrate: '0',
+        },
+        anyState
+      );
+
+      expect(values.zipCode).toBe('02108');
+      expect(values.localRate).toBeCloseTo(0.015, 6);
+      expect(values.regionName).toBe('Boston');
+    });
+
+    it('should reject rates entered as percentages', () => {
+      expect(() =>
+        taxService._validateImportRecord(
+          'jurisdictions',
+          { state: 'CA', state_rate: '7.25' },
+          anyState
+        )
+      ).toThrow('stateRate must be a decimal between 0 and 0.2');
+    });
+
+    it('should reject states outside the shipping zones', () => {
+      expect(() =>
+        taxService._validateImportRecord(
+          'jurisdictions',
+          { state: 'HI', state_rate: '0.04' },
+          new Set(['CA', 'NY'])
+        )
+      ).toThrow('State HI is not in any shipping zone');
+    });
+  });
+
+  describe('summarizeTaxBreakdowns', () => {
+    it('should group tax by state and region', () => {
+      const orders = [
+        {
+          subtotal: 100,
+          shipping: 10,
+          taxBreakdown: {
+            state: 'CA',
+            zipCode: '90001',
+            regionName: 'Los Angeles',
+            taxableAmount: 100,
+            stateTax: 7.25,
+            localTax: 2.25,
+            totalTax: 9.5,
+          },
+        },
+        {
+          subtotal: 50,
+          shipping: 5,
+          taxBreakdown: {
+            state: 'CA',
+            exempt: true,
+            taxableAmount: 0,
+            stateTax: 0,
+            localTax: 0,
+            totalTax: 0,
+          },
+        },
+        { subtotal: 20, shipping: 5, taxBreakdown: null },
+      ];
+
+      const summary = taxService.summarizeTaxBreakdowns(orders);
+
+      expect(summary.unassignedOrders).toBe(1);
+      expect(summary.states).toHaveLength(1);
+      expect(summary.states[0]).toMatchObject({
+        state: 'CA',
+        orderCount: 2,
+        grossSales: 165,
+        exemptSales: 55,
+        totalTax: 9.5,
+        regions: { 'Los Angeles': 2.25 },
+      });
+      expect(summary.totals.totalTax).toBe(9.5);
+    });
+  });
+});